@@ -0,0 +1,191 @@
+/**
+ * Phase 3-A: サイト全体クロール (SiteCrawler) のテスト
+ *
+ * checkSEO はモックし、内部リンクのグラフを与えてクロール挙動を検証する:
+ *   1. 深さ・ページ数・同一ホストの制限
+ *   2. URL 正規化（相対パス・フラグメント・非HTML拡張子）
+ *   3. ページ失敗時も続行し、サイト集計に反映される
+ */
+const SiteCrawler = require('../site-crawler');
+const EnhancedReporter = require('../enhanced-reporter.js');
+
+// url → 内部リンク href[] のグラフから checkSEO モックを作る
+function makeChecker(graph, options = {}) {
+  const calls = [];
+  return {
+    calls,
+    enhancedReporter: new EnhancedReporter(),
+    checkSEO: async (url) => {
+      calls.push(url);
+      if (options.failOn && options.failOn.includes(url)) {
+        const err = new Error('fetch failed');
+        err.code = 'FETCH_FAILED';
+        throw err;
+      }
+      const score = (options.scores && options.scores[url]) || 70;
+      return {
+        url,
+        overallScore: score,
+        aioOverallScore: score - 10,
+        combinedScore: score - 5,
+        checks: {
+          titleTag: { score, current: `Title of ${url}`, issues: [] },
+          internalLinkStructure: {
+            score: 60,
+            internalLinks: (graph[url] || []).map(href => ({ href, text: 'link' })),
+          },
+        },
+        aio: { overallScore: score - 10, checks: { llmsTxtCompliance: { score: 0 } } },
+        conciseRecommendations: [
+          { category: 'headingStructure', type: 'seo', priority: 'high', issue: 'H1タグが存在しません' },
+          { category: 'titleTag', type: 'seo', priority: 'low', issue: 'タイトルが短すぎます（10全角文字）' },
+        ],
+      };
+    },
+  };
+}
+
+const ROOT = 'https://example.com/';
+
+describe('Phase 3-A: SiteCrawler — クロール範囲', () => {
+  test('開始URLから内部リンクを幅優先でたどる', async () => {
+    const checker = makeChecker({
+      [ROOT]: ['/a', '/b'],
+      'https://example.com/a': ['/c'],
+    });
+    const crawler = new SiteCrawler(checker, { delayMs: 0, maxDepth: 3 });
+    const report = await crawler.crawl(ROOT);
+    expect(checker.calls).toEqual([
+      ROOT,
+      'https://example.com/a',
+      'https://example.com/b',
+      'https://example.com/c',
+    ]);
+    expect(report.pages.map(p => p.depth)).toEqual([0, 1, 1, 2]);
+    expect(report.pages[3].foundOn).toBe('https://example.com/a');
+  });
+
+  test('maxDepth を超えるリンクはたどらない', async () => {
+    const checker = makeChecker({
+      [ROOT]: ['/a'],
+      'https://example.com/a': ['/b'],
+    });
+    const report = await new SiteCrawler(checker, { delayMs: 0, maxDepth: 1 }).crawl(ROOT);
+    expect(checker.calls).toEqual([ROOT, 'https://example.com/a']);
+    expect(report.truncated).toBe(false);
+  });
+
+  test('maxPages で打ち切り、残りがあれば truncated=true', async () => {
+    const checker = makeChecker({ [ROOT]: ['/1', '/2', '/3', '/4'] });
+    const report = await new SiteCrawler(checker, { delayMs: 0, maxPages: 3 }).crawl(ROOT);
+    expect(report.pages).toHaveLength(3);
+    expect(report.truncated).toBe(true);
+    expect(report.pendingUrls).toBe(2);
+  });
+
+  test('開始URLがリダイレクトしたら、最終URLを基準にリンクを解決し範囲を判定する', async () => {
+    const WWW = 'https://www.example.com/';
+    const checker = makeChecker({
+      [ROOT]: ['/a', 'https://www.example.com/b', '/'],
+      'https://www.example.com/a': [],
+      'https://www.example.com/b': [],
+    });
+    const checkSEO = checker.checkSEO;
+    checker.checkSEO = async (url) => ({ ...(await checkSEO(url)), finalUrl: url === ROOT ? WWW : url });
+    const report = await new SiteCrawler(checker, { delayMs: 0 }).crawl(ROOT);
+    // 最終URL（www）自体は開始URLと同じページなので二度診断しない
+    expect(checker.calls).toEqual([ROOT, 'https://www.example.com/a', 'https://www.example.com/b']);
+    expect(report.summary.pagesSucceeded).toBe(3);
+  });
+
+  test('同じURLは二度診断しない（フラグメント違いも同一視）', async () => {
+    const checker = makeChecker({
+      [ROOT]: ['/a', '/a#top', 'https://example.com/a'],
+      'https://example.com/a': ['/'],
+    });
+    await new SiteCrawler(checker, { delayMs: 0 }).crawl(ROOT);
+    expect(checker.calls).toEqual([ROOT, 'https://example.com/a']);
+  });
+
+  test('sameHostOnly=true ではサブドメインを除外、false なら許可', async () => {
+    const graph = { [ROOT]: ['https://shop.example.com/', 'https://other.com/?ref=example.com'] };
+    const strict = makeChecker(graph);
+    await new SiteCrawler(strict, { delayMs: 0 }).crawl(ROOT);
+    expect(strict.calls).toEqual([ROOT]);
+
+    const loose = makeChecker(graph);
+    await new SiteCrawler(loose, { delayMs: 0, sameHostOnly: false }).crawl(ROOT);
+    expect(loose.calls).toEqual([ROOT, 'https://shop.example.com/']);
+  });
+
+  test('mailto / 画像 / PDF はクロール対象外', async () => {
+    const checker = makeChecker({ [ROOT]: ['mailto:a@example.com', '/logo.png', '/doc.pdf', '/ok'] });
+    await new SiteCrawler(checker, { delayMs: 0 }).crawl(ROOT);
+    expect(checker.calls).toEqual([ROOT, 'https://example.com/ok']);
+  });
+
+  test('上限を超える設定は HARD_LIMITS に丸める', () => {
+    const opts = SiteCrawler.resolveOptions({ maxDepth: 99, maxPages: 9999 });
+    expect(opts.maxDepth).toBe(SiteCrawler.HARD_LIMITS.maxDepth);
+    expect(opts.maxPages).toBe(SiteCrawler.HARD_LIMITS.maxPages);
+  });
+
+  test('waitForJS / sameHostOnly の文字列 "false" は false として扱う', () => {
+    expect(SiteCrawler.resolveOptions({ waitForJS: 'false', sameHostOnly: 'false' })).toMatchObject({ waitForJS: false, sameHostOnly: false });
+    expect(SiteCrawler.resolveOptions({ waitForJS: 'true', sameHostOnly: 'true' })).toMatchObject({ waitForJS: true, sameHostOnly: true });
+    expect(SiteCrawler.resolveOptions({ waitForJS: 'yes', sameHostOnly: 1 })).toMatchObject({ waitForJS: false, sameHostOnly: true });
+  });
+
+  test('不正な開始URLは INVALID_URL', async () => {
+    const crawler = new SiteCrawler(makeChecker({}), { delayMs: 0 });
+    await expect(crawler.crawl('not a url')).rejects.toMatchObject({ code: 'INVALID_URL' });
+  });
+});
+
+describe('Phase 3-A: SiteCrawler — サイトレポート', () => {
+  test('ページ失敗は記録して続行し、集計から除外する', async () => {
+    const checker = makeChecker(
+      { [ROOT]: ['/a', '/b'] },
+      { failOn: ['https://example.com/a'], scores: { [ROOT]: 90, 'https://example.com/b': 50 } }
+    );
+    const report = await new SiteCrawler(checker, { delayMs: 0 }).crawl(ROOT);
+    const failed = report.pages.find(p => p.url === 'https://example.com/a');
+    expect(failed.status).toBe('error');
+    expect(failed.code).toBe('FETCH_FAILED');
+
+    expect(report.summary.pagesCrawled).toBe(3);
+    expect(report.summary.pagesFailed).toBe(1);
+    expect(report.summary.averageScores.overallScore).toBe(70);
+    expect(report.summary.lowestPage.url).toBe('https://example.com/b');
+    expect(report.summary.highestPage.url).toBe(ROOT);
+  });
+
+  test('ページごとのカテゴリスコアと優先度別件数を持つ', async () => {
+    const report = await new SiteCrawler(makeChecker({}), { delayMs: 0 }).crawl(ROOT);
+    const page = report.pages[0];
+    expect(page.categoryScores.seo.titleTag).toBe(70);
+    expect(page.categoryScores.aio.llmsTxtCompliance).toBe(0);
+    expect(page.issueCounts).toEqual({ critical: 0, high: 1, medium: 0, low: 1 });
+    expect(report.summary.categoryAverages.seo.internalLinkStructure).toBe(60);
+  });
+
+  test('commonIssues は getIssueKey 単位でページ数を数える', async () => {
+    const checker = makeChecker({ [ROOT]: ['/a'] });
+    const report = await new SiteCrawler(checker, { delayMs: 0 }).crawl(ROOT);
+    const h1 = report.summary.commonIssues.find(i => i.issueKey === 'missing_h1');
+    expect(h1.pageCount).toBe(2);
+    expect(report.summary.issueTotals.high).toBe(2);
+  });
+
+  test('onPage フックが各ページで呼ばれ、失敗してもクロールは続く', async () => {
+    const seen = [];
+    const checker = makeChecker({ [ROOT]: ['/a'] });
+    await new SiteCrawler(checker, { delayMs: 0 }).crawl(ROOT, {
+      onPage: async (page) => {
+        seen.push(page.url);
+        throw new Error('db down');
+      },
+    });
+    expect(seen).toEqual([ROOT, 'https://example.com/a']);
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Phase 3-B: sitemap.xml チェッカーのテスト
+ * 単体テスト（HTTPフェッチは _fetch を差し替え）+ otherSEOElements / enhanced-reporter 統合テスト
+ */
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+const SitemapChecker = require('../sitemap-checker');
+const EnhancedReporter = require('../enhanced-reporter.js');
+const SEOChecker = require('../index.js');
+
+// url → 本文（string/Buffer）または HTTP ステータス(number) のマップから _fetch を作る
+function stubFetch(checker, responses) {
+  const requested = [];
+  checker._fetch = async (url) => {
+    requested.push(url);
+    const res = responses[url];
+    if (res === undefined) return { ok: false, status: 404, body: null, contentType: '', error: null };
+    if (res === null) return { ok: false, status: null, body: null, contentType: '', error: 'ECONNREFUSED' };
+    if (typeof res === 'number') return { ok: false, status: res, body: null, contentType: '', error: null };
+    return { ok: true, status: 200, body: Buffer.isBuffer(res) ? res : Buffer.from(res), contentType: 'application/xml', error: null };
+  };
+  return requested;
+}
+
+const urlset = (entries) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+  ...entries.map(e => `<url><loc>${e.loc}</loc>${e.lastmod ? `<lastmod>${e.lastmod}</lastmod>` : ''}</url>`),
+  '</urlset>',
+].join('\n');
+
+describe('Phase 3-B: SitemapChecker — パース機能', () => {
+  const checker = new SitemapChecker();
+
+  test('urlset から loc / lastmod を取り出す', () => {
+    const parsed = checker._parseSitemap(urlset([
+      { loc: 'https://example.com/', lastmod: '2024-05-01' },
+      { loc: 'https://example.com/a' },
+    ]));
+    expect(parsed.type).toBe('urlset');
+    expect(parsed.entries).toEqual([
+      { loc: 'https://example.com/', lastmod: '2024-05-01' },
+      { loc: 'https://example.com/a', lastmod: null },
+    ]);
+  });
+
+  test('sitemapindex は子サイトマップの一覧になる', () => {
+    const xml = '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+      '<sitemap><loc>https://example.com/s1.xml</loc></sitemap>' +
+      '<sitemap><loc>https://example.com/s2.xml.gz</loc></sitemap></sitemapindex>';
+    const parsed = checker._parseSitemap(xml);
+    expect(parsed.type).toBe('sitemapindex');
+    expect(parsed.sitemaps.map(s => s.loc)).toEqual(['https://example.com/s1.xml', 'https://example.com/s2.xml.gz']);
+  });
+
+  test('サイトマップでないXML/HTMLは type=null', () => {
+    expect(checker._parseSitemap('<html><body>Not found</body></html>').type).toBeNull();
+    expect(checker._parseSitemap('').type).toBeNull();
+  });
+
+  test('robots.txt の Sitemap: 行とグループを抽出する', () => {
+    const robots = checker._parseRobotsTxt([
+      'User-agent: *',
+      'Disallow: /private/',
+      'Allow: /private/public',
+      '',
+      'Sitemap: https://example.com/sitemap_index.xml # comment',
+      'User-agent: GPTBot',
+      'Disallow: /',
+    ].join('\n'));
+    expect(robots.sitemaps).toEqual(['https://example.com/sitemap_index.xml']);
+    expect(robots.groups).toHaveLength(2);
+    expect(checker._isAllowedByRobots(robots.groups, '/private/x')).toBe(false);
+    expect(checker._isAllowedByRobots(robots.groups, '/private/public/page')).toBe(true);
+    expect(checker._isAllowedByRobots(robots.groups, '/blog')).toBe(true);
+    expect(checker._isAllowedByRobots(robots.groups, '/blog', 'GPTBot')).toBe(false);
+  });
+
+  test('robots.txt の * と $ ワイルドカード', () => {
+    const { groups } = checker._parseRobotsTxt('User-agent: *\nDisallow: /*.pdf$\nDisallow: /*?sort=');
+    expect(checker._isAllowedByRobots(groups, '/files/a.pdf')).toBe(false);
+    expect(checker._isAllowedByRobots(groups, '/files/a.pdf?x=1')).toBe(true);
+    expect(checker._isAllowedByRobots(groups, '/list?sort=asc')).toBe(false);
+  });
+
+  test('lastmod は W3C Datetime のみ許可し、未来日付は不正', () => {
+    ['2024', '2024-05', '2024-05-01', '2024-05-01T10:00+09:00', '2024-05-01T10:00:00Z', '2024-05-01T10:00:00.5-05:00']
+      .forEach(v => expect(checker._isValidLastmod(v)).toBe(true));
+    ['2024/05/01', '05-01-2024', '2024-13-01', '2024-05-01 10:00:00', '2024-05-01T10:00:00', 'yesterday', '2999-01-01']
+      .forEach(v => expect(checker._isValidLastmod(v)).toBe(false));
+  });
+
+  test('gzip 圧縮されたサイトマップを展開できる', () => {
+    const xml = urlset([{ loc: 'https://example.com/' }]);
+    const decoded = checker._decodeBody(zlib.gzipSync(Buffer.from(xml)));
+    expect(decoded.gzipped).toBe(true);
+    expect(decoded.text).toBe(xml);
+  });
+});
+
+describe('Phase 3-B: SitemapChecker — check()', () => {
+  const PAGE = 'https://example.com/blog/post';
+
+  test('robots.txt の Sitemap: 経由でインデックスと gzip 子サイトマップをたどる', async () => {
+    const checker = new SitemapChecker();
+    const requested = stubFetch(checker, {
+      'https://example.com/robots.txt': 'User-agent: *\nDisallow: /admin/\nSitemap: https://example.com/index.xml',
+      'https://example.com/index.xml': '<sitemapindex><sitemap><loc>https://example.com/posts.xml.gz</loc></sitemap></sitemapindex>',
+      'https://example.com/posts.xml.gz': zlib.gzipSync(urlset([
+        { loc: PAGE, lastmod: '2024-05-01' },
+        { loc: 'https://example.com/about/', lastmod: '2024-05-01' },
+      ])),
+    });
+    const result = await checker.check(PAGE);
+    expect(requested).not.toContain('https://example.com/sitemap.xml');
+    expect(result.found).toBe(true);
+    expect(result.discoveredVia).toBe('robots.txt');
+    expect(result.sitemaps.map(s => s.type)).toEqual(['sitemapindex', 'urlset']);
+    expect(result.sitemaps[1].gzipped).toBe(true);
+    expect(result.urlCount).toBe(2);
+    expect(result.pageInSitemap).toBe(true);
+    expect(result.score).toBe(100);
+    expect(result.issues).toEqual([]);
+  });
+
+  test('robots.txt に記載がなければ /sitemap.xml を試す', async () => {
+    const checker = new SitemapChecker();
+    stubFetch(checker, {
+      'https://example.com/sitemap.xml': urlset([{ loc: 'https://example.com/' }]),
+    });
+    const result = await checker.check(PAGE);
+    expect(result.found).toBe(true);
+    expect(result.discoveredVia).toBe('default');
+    expect(result.pageInSitemap).toBe(false);
+    expect(result.issues).toContain('robots.txt に Sitemap: ディレクティブがありません');
+    expect(result.issues).toContain('このページがサイトマップに含まれていません');
+  });
+
+  test('末尾スラッシュ違い・canonical 一致でも掲載ありと判定', async () => {
+    const checker = new SitemapChecker();
+    stubFetch(checker, {
+      'https://example.com/sitemap.xml': urlset([{ loc: 'https://example.com/blog/post/' }, { loc: 'https://example.com/canonical' }]),
+    });
+    expect((await checker.check(PAGE)).pageInSitemap).toBe(true);
+    const viaCanonical = await checker.check('https://example.com/blog/post?ref=x', { canonicalUrl: 'https://example.com/canonical' });
+    expect(viaCanonical.pageInSitemap).toBe(true);
+  });
+
+  test('不正な lastmod・非正規URL・robots.txt ブロックを検出する', async () => {
+    const checker = new SitemapChecker();
+    stubFetch(checker, {
+      'https://example.com/robots.txt': 'User-agent: *\nDisallow: /admin/\nSitemap: https://example.com/sitemap.xml',
+      'https://example.com/sitemap.xml': urlset([
+        { loc: PAGE, lastmod: '2024/05/01' },
+        { loc: 'http://example.com/http-only' },
+        { loc: 'https://example.com/a#section' },
+        { loc: 'https://example.com/b?utm_source=mail' },
+        { loc: 'https://example.com/admin/settings' },
+      ]),
+    });
+    const result = await checker.check(PAGE, { canonicalUrl: 'https://example.com/blog/post-canonical' });
+    expect(result.invalidLastmod.count).toBe(1);
+    expect(result.nonCanonicalUrls.samples.map(s => s.reason)).toEqual([
+      'canonical_mismatch', 'origin_mismatch', 'fragment', 'tracking_param',
+    ]);
+    expect(result.disallowedUrls.samples).toEqual(['https://example.com/admin/settings']);
+    expect(result.issues).toEqual([
+      'サイトマップの1件のURLでlastmodの日付形式が不正です',
+      'サイトマップの4件のURLが正規URLではありません',
+      'サイトマップの1件のURLがrobots.txtでブロックされています',
+    ]);
+    expect(result.score).toBe(70);
+  });
+
+  test('サイトマップが無ければ score=0 と設置の推奨', async () => {
+    const checker = new SitemapChecker();
+    stubFetch(checker, { 'https://example.com/robots.txt': 'User-agent: *\nAllow: /' });
+    const result = await checker.check(PAGE);
+    expect(result.found).toBe(false);
+    expect(result.skipped).toBe(false);
+    expect(result.score).toBe(0);
+    expect(result.issues).toEqual(['sitemap.xml が見つかりません']);
+    expect(result.recommendations[0].codeExample).toContain('Sitemap: https://example.com/sitemap.xml');
+  });
+
+  test('ネットワークエラーのみ（HTTP応答なし）の場合は判定不能として skipped', async () => {
+    const checker = new SitemapChecker();
+    stubFetch(checker, { 'https://example.com/robots.txt': null, 'https://example.com/sitemap.xml': null });
+    const result = await checker.check(PAGE);
+    expect(result.skipped).toBe(true);
+    expect(result.issues).toEqual([]);
+  });
+
+  test('不正なURLは INVALID_URL で skipped', async () => {
+    const result = await new SitemapChecker().check('not a url');
+    expect(result.skipped).toBe(true);
+    expect(result.fetchError).toBe('INVALID_URL');
+  });
+});
+
+describe('Phase 3-B: otherSEOElements への統合', () => {
+  const checker = new SEOChecker();
+  const $ = cheerio.load('<html><head><meta name="viewport" content="width=device-width, initial-scale=1"></head><body></body></html>');
+
+  test('サイトマップの issue が otherSEOElements に加算され、詳細は sitemap に入る', () => {
+    const base = checker.checkOtherSEOElements($, 'https://example.com/page');
+    const sitemap = {
+      found: true,
+      pageInSitemap: false,
+      score: 60,
+      issues: ['このページがサイトマップに含まれていません'],
+      recommendations: [{ type: 'medium', title: 'このページの正規URLをサイトマップに追加', description: '' }],
+    };
+    const withSitemap = checker.checkOtherSEOElements($, 'https://example.com/page', { sitemap });
+    expect(withSitemap.issues).toContain('このページがサイトマップに含まれていません');
+    expect(withSitemap.recommendations).toContain('このページの正規URLをサイトマップに追加');
+    expect(withSitemap.score).toBe(base.score - 5);
+    expect(withSitemap.sitemap.pageInSitemap).toBe(false);
+    expect(withSitemap.sitemap.richRecommendations[0].type).toBe('medium');
+    expect(base.sitemap).toBeUndefined();
+  });
+
+  test('HTML直接入力（url なし）ではサイトマップを取得しない', async () => {
+    const spy = jest.spyOn(checker.sitemapChecker, 'check');
+    const results = await checker.checkSEO(null, '<html><head><title>t</title></head><body><h1>h</h1></body></html>', false);
+    expect(spy).not.toHaveBeenCalled();
+    expect(results.checks.otherSEOElements.sitemap).toBeUndefined();
+    spy.mockRestore();
+  });
+});
+
+describe('Phase 3-B: enhanced-reporter 統合', () => {
+  const reporter = new EnhancedReporter();
+
+  test('件数入りの issue も固定の issueKey に寄る', () => {
+    expect(reporter.getIssueKey('サイトマップの3件のURLでlastmodの日付形式が不正です')).toBe('sitemap_invalid_lastmod');
+    expect(reporter.getIssueKey('サイトマップの12件のURLが正規URLではありません')).toBe('sitemap_non_canonical_urls');
+    expect(reporter.getIssueKey('サイトマップの1件のURLがrobots.txtでブロックされています')).toBe('sitemap_disallowed_urls');
+    expect(reporter.getIssueKey('sitemap.xml が見つかりません')).toBe('sitemap_missing');
+  });
+
+  test('サイトマップ issue は汎用のURL構造ドキュメントに先食いされない', () => {
+    expect(reporter.getDocLink('サイトマップの3件のURLでlastmodの日付形式が不正です', 'otherSEOElements'))
+      .toBe('https://www.sitemaps.org/protocol.html#lastmoddef');
+    expect(reporter.getDocLink('サイトマップの1件のURLがrobots.txtでブロックされています', 'otherSEOElements'))
+      .toContain('/robots/intro');
+    expect(reporter.getDocLink('このページがサイトマップに含まれていません', 'otherSEOElements'))
+      .toContain('/sitemaps/');
+  });
+
+  test('具体fixはカテゴリヒントのフォールバックにならない', () => {
+    const fix = reporter.getConciseFix('sitemap.xml が見つかりません', 'otherSEOElements');
+    expect(fix).toContain('robots.txt');
+    expect(fix).not.toContain('→');
+  });
+});
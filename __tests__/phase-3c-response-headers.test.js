@@ -0,0 +1,193 @@
+/**
+ * Phase 3-C: HTTPレスポンスヘッダー診断のテスト
+ *   1. ResponseHeaderChecker の各ヘッダー判定とスコア
+ *   2. requestWithRedirects がホップごとのリダイレクトを記録する
+ *   3. checkSEO 経由で otherSEOElements に反映され、HTML直接入力ではスキップされる
+ */
+const cheerio = require('cheerio');
+const axios = require('axios');
+const ResponseHeaderChecker = require('../response-header-checker');
+const SEOChecker = require('../index.js');
+
+const SECURE_HEADERS = {
+  'content-type': 'text/html; charset=UTF-8',
+  'strict-transport-security': 'max-age=31536000; includeSubDomains',
+  'x-content-type-options': 'nosniff',
+  'content-security-policy': "default-src 'self'",
+  'referrer-policy': 'strict-origin-when-cross-origin',
+  'cache-control': 'public, max-age=0, must-revalidate',
+};
+
+const response = (headers, finalUrl = 'https://example.com/') => ({
+  statusCode: 200, headers, finalUrl, redirectChain: [],
+});
+
+describe('Phase 3-C: ResponseHeaderChecker — 判定', () => {
+  const checker = new ResponseHeaderChecker();
+
+  test('推奨ヘッダーがすべて揃っていれば 100 点・issue なし', () => {
+    const result = checker.check(response(SECURE_HEADERS));
+    expect(result.skipped).toBe(false);
+    expect(result.score).toBe(100);
+    expect(result.issues).toEqual([]);
+    expect(Object.values(result.checks).every(c => c.status === 'pass')).toBe(true);
+  });
+
+  test('ヘッダーが無ければ各ヘッダーの issue と推奨を出す', () => {
+    const result = checker.check(response({}));
+    expect(result.issues).toEqual([
+      'Content-Typeヘッダーが未設定です',
+      'Strict-Transport-Security（HSTS）ヘッダーが未設定です',
+      'X-Content-Type-Optionsヘッダーが未設定です',
+      'Content-Security-Policyヘッダーが未設定です',
+      'Referrer-Policyヘッダーが未設定です',
+      'Cache-Controlヘッダーが未設定です',
+    ]);
+    expect(result.recommendations).toHaveLength(6);
+    expect(result.recommendations[0]).toHaveProperty('docLink');
+    // X-Robots-Tag 無しは満点（25点）
+    expect(result.score).toBe(25);
+  });
+
+  test('X-Robots-Tag の noindex は indexingIssues に分け、UA 指定も解釈する', () => {
+    const all = checker.check(response({ ...SECURE_HEADERS, 'x-robots-tag': 'noindex, nofollow' }));
+    expect(all.indexingIssues).toEqual(['X-Robots-Tagヘッダーでnoindexが指定されています']);
+    expect(all.issues).toEqual([]);
+    expect(all.checks.xRobotsTag.score).toBe(0);
+
+    const bot = checker.check(response({ ...SECURE_HEADERS, 'x-robots-tag': 'googlebot: noindex' }));
+    expect(bot.indexingIssues).toEqual(['X-Robots-Tagヘッダーでnoindexが指定されています（googlebot）']);
+
+    const dated = checker.check(response({ ...SECURE_HEADERS, 'x-robots-tag': 'unavailable_after: 25 Jun 2030 15:00:00 PST' }));
+    expect(dated.indexingIssues).toEqual([]);
+    expect(dated.checks.xRobotsTag.status).toBe('pass');
+
+    const nofollow = checker.check(response({ ...SECURE_HEADERS, 'x-robots-tag': 'nofollow' }));
+    expect(nofollow.issues).toEqual(['X-Robots-Tagヘッダーでnofollowが指定されています']);
+    expect(nofollow.checks.xRobotsTag.status).toBe('warn');
+  });
+
+  test('HSTS は max-age 180日未満で warn、HTTP ページでは評価しない', () => {
+    const short = checker.check(response({ ...SECURE_HEADERS, 'strict-transport-security': 'max-age=300' }));
+    expect(short.checks.hsts.status).toBe('warn');
+    expect(short.issues).toEqual(['HSTSのmax-ageが短すぎます（300秒）']);
+
+    const http = checker.check(response({ ...SECURE_HEADERS, 'strict-transport-security': undefined }, 'http://example.com/'));
+    expect(http.checks.hsts.status).toBe('skipped');
+    expect(http.score).toBe(100);
+  });
+
+  test('Content-Type の charset はヘッダー優先、<meta charset> のみなら warn', () => {
+    const $ = cheerio.load('<html><head><meta charset="utf-8"></head></html>');
+    const metaOnly = checker.check(response({ ...SECURE_HEADERS, 'content-type': 'text/html' }), { $ });
+    expect(metaOnly.checks.contentType.status).toBe('warn');
+    expect(metaOnly.issues).toEqual(['Content-Typeヘッダーにcharsetが指定されていません（<meta charset>のみ）']);
+
+    const none = checker.check(response({ ...SECURE_HEADERS, 'content-type': 'text/html' }), { $: cheerio.load('<p>x</p>') });
+    expect(none.checks.contentType.status).toBe('fail');
+
+    const json = checker.check(response({ ...SECURE_HEADERS, 'content-type': 'application/json; charset=utf-8' }));
+    expect(json.issues).toEqual(['Content-Typeがtext/htmlではありません（application/json）']);
+  });
+
+  test('CSP report-only・nosniff 以外・unsafe-url を検出', () => {
+    const { 'content-security-policy': _csp, ...rest } = SECURE_HEADERS;
+    const result = checker.check(response({
+      ...rest,
+      'content-security-policy-report-only': "default-src 'self'",
+      'x-content-type-options': 'sniff',
+      'referrer-policy': 'no-referrer, unsafe-url',
+    }));
+    expect(result.checks.csp.status).toBe('warn');
+    expect(result.issues).toEqual([
+      'X-Content-Type-Optionsの値がnosniffではありません（sniff）',
+      'Content-Security-Policyがreport-onlyのみです',
+      'Referrer-Policyがunsafe-urlに設定されています',
+    ]);
+  });
+
+  test('レスポンスが無い（HTML直接入力）場合は skipped で推奨も出さない', () => {
+    const result = checker.check(null);
+    expect(result.skipped).toBe(true);
+    expect(result.skipReason).toContain('HTML直接入力');
+    expect(result.issues).toEqual([]);
+    expect(result.recommendations).toEqual([]);
+  });
+
+  test('normalizeHeaders は小文字キー化し、複数値を連結する', () => {
+    expect(ResponseHeaderChecker.normalizeHeaders({
+      'Content-Type': 'text/html',
+      'Set-Cookie': ['a=1', 'b=2'],
+      'X-Robots-Tag': 'noindex\nnofollow',
+    })).toEqual({
+      'content-type': 'text/html',
+      'set-cookie': 'a=1, b=2',
+      'x-robots-tag': 'noindex, nofollow',
+    });
+  });
+});
+
+describe('Phase 3-C: requestWithRedirects', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('各ホップの URL・ステータス・遷移先を記録し、最終URLを返す', async () => {
+    const hops = {
+      'http://example.com/old': { status: 301, headers: { location: 'https://example.com/old' } },
+      'https://example.com/old': { status: 302, headers: { location: '/new' } },
+      'https://example.com/new': { status: 200, headers: { 'content-type': 'text/html' }, data: Buffer.from('ok') },
+    };
+    const spy = jest.spyOn(axios, 'get').mockImplementation(async (url) => hops[url]);
+    const { response: res, finalUrl, redirectChain } = await new SEOChecker().requestWithRedirects('http://example.com/old', { timeout: 1000 });
+    expect(res.status).toBe(200);
+    expect(finalUrl).toBe('https://example.com/new');
+    expect(redirectChain).toEqual([
+      { url: 'http://example.com/old', statusCode: 301, location: 'https://example.com/old' },
+      { url: 'https://example.com/old', statusCode: 302, location: 'https://example.com/new' },
+    ]);
+    expect(spy.mock.calls.every(([, opts]) => opts.maxRedirects === 0 && opts.timeout === 1000)).toBe(true);
+  });
+
+  test('上限を超えるリダイレクトは TOO_MANY_REDIRECTS', async () => {
+    jest.spyOn(axios, 'get').mockImplementation(async (url) => ({ status: 302, headers: { location: `${url}x` } }));
+    await expect(new SEOChecker().requestWithRedirects('https://example.com/a', {}, 3))
+      .rejects.toMatchObject({ code: 'TOO_MANY_REDIRECTS' });
+  });
+});
+
+describe('Phase 3-C: checkSEO への統合', () => {
+  const HTML = '<html><head><title>テストページのタイトルです</title><meta name="viewport" content="width=device-width, initial-scale=1"></head><body><h1>見出し</h1></body></html>';
+
+  function makeChecker(headers) {
+    const checker = new SEOChecker();
+    checker.fetchHTMLWithAxios = async (url) => ({ html: HTML, ...response(headers, url) });
+    // 外部HTTPを発生させない
+    checker.sitemapChecker.check = async () => ({ skipped: true });
+    checker.aioChecker.checkLlmsTxtSafe = async () => checker.aioChecker._llmsTxtSkippedResult();
+    return checker;
+  }
+
+  test('取得したヘッダーが otherSEOElements.responseHeaders に入り、X-Robots-Tag noindex は noindex 扱い', async () => {
+    const checker = makeChecker({ ...SECURE_HEADERS, 'x-robots-tag': 'noindex' });
+    const results = await checker.checkSEO('https://example.com/', null, false);
+    const other = results.checks.otherSEOElements;
+    expect(other.responseHeaders.skipped).toBe(false);
+    expect(other.responseHeaders.checks.hsts.status).toBe('pass');
+    expect(other.issues).toContain('X-Robots-Tagヘッダーでnoindexが指定されています');
+    const rec = results.conciseRecommendations.find(r => r.issue.startsWith('X-Robots-Tag'));
+    expect(rec.docLink).toContain('robots-meta-tag');
+  });
+
+  test('ヘッダーが揃っていれば一般論のセキュリティ推奨は出ない', async () => {
+    const results = await makeChecker(SECURE_HEADERS).checkSEO('https://example.com/', null, false);
+    const other = results.checks.otherSEOElements;
+    expect(other.recommendations.some(r => /ヘッダー/.test(r))).toBe(false);
+  });
+
+  test('HTML直接入力ではヘッダー診断をスキップと明示する', async () => {
+    const results = await new SEOChecker().checkSEO(null, HTML, false);
+    const other = results.checks.otherSEOElements;
+    expect(other.responseHeaders.skipped).toBe(true);
+    expect(other.responseHeaders.skipReason).toContain('HTML直接入力');
+    expect(other.recommendations.some(r => /X-Frame-Options|X-XSS-Protection/.test(r))).toBe(false);
+  });
+});
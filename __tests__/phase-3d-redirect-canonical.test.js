@@ -0,0 +1,210 @@
+/**
+ * Phase 3-D: リダイレクトチェーン / canonical 整合性監査のテスト
+ * canonical 先の確認は probeImpl を注入してネットワークを使わない
+ */
+const cheerio = require('cheerio');
+const RedirectCanonicalChecker = require('../redirect-canonical-checker');
+const EnhancedReporter = require('../enhanced-reporter.js');
+const SEOChecker = require('../index.js');
+
+const FINAL = 'https://example.com/page';
+
+const page = (head = '') => cheerio.load(`<html><head>${head}</head><body></body></html>`);
+const httpResponse = (redirectChain = [], extra = {}) => ({
+  statusCode: 200, headers: {}, finalUrl: FINAL, redirectChain, ...extra,
+});
+const canonicalTag = (href = FINAL) => `<link rel="canonical" href="${href}">`;
+
+function makeChecker(probes = {}) {
+  const probed = [];
+  const checker = new RedirectCanonicalChecker({
+    probeImpl: async (url) => {
+      probed.push(url);
+      return probes[url] || { statusCode: 200, location: null };
+    },
+  });
+  return { checker, probed };
+}
+
+describe('Phase 3-D: リダイレクト', () => {
+  test('リダイレクトなし・canonical 一致なら 100 点', async () => {
+    const { checker, probed } = makeChecker();
+    const result = await checker.check({ url: FINAL, httpResponse: httpResponse(), $: page(canonicalTag()) });
+    expect(result.score).toBe(100);
+    expect(result.issues).toEqual([]);
+    expect(result.canonical.matchesFinalUrl).toBe(true);
+    // 最終URLと同じ canonical は確認リクエスト不要
+    expect(probed).toEqual([]);
+  });
+
+  test('2ホップ以上のチェーンと一時的リダイレクトを指摘', async () => {
+    const { checker } = makeChecker();
+    const result = await checker.check({
+      url: 'http://example.com/old',
+      httpResponse: httpResponse([
+        { url: 'http://example.com/old', statusCode: 301, location: 'https://example.com/old' },
+        { url: 'https://example.com/old', statusCode: 302, location: FINAL },
+      ]),
+      $: page(canonicalTag()),
+    });
+    expect(result.redirects.hops).toHaveLength(2);
+    expect(result.issues).toEqual([
+      'リダイレクトチェーンが発生しています（2ホップ）',
+      '一時的リダイレクト（302）で転送されています',
+    ]);
+    expect(result.recommendations[0].description).toContain('http://example.com/old (301)');
+  });
+
+  test('HTTPS → HTTP のダウングレードを指摘', async () => {
+    const { checker } = makeChecker();
+    const result = await checker.check({
+      url: 'https://example.com/a',
+      httpResponse: { ...httpResponse([{ url: 'https://example.com/a', statusCode: 308, location: 'http://example.com/a' }]), finalUrl: 'http://example.com/a' },
+      $: page(canonicalTag('http://example.com/a')),
+    });
+    expect(result.issues).toEqual(['HTTPSからHTTPへのリダイレクト（ダウングレード）があります']);
+    expect(result.recommendations[0].type).toBe('critical');
+  });
+
+  test('静的HTMLの meta refresh と Puppeteer で観測した JS リダイレクトを指摘', async () => {
+    const { checker } = makeChecker();
+    const meta = await checker.check({
+      url: FINAL,
+      httpResponse: httpResponse(),
+      $: page(`${canonicalTag()}<meta http-equiv="Refresh" content="0; URL='/next'">`),
+    });
+    expect(meta.redirects.metaRefresh).toEqual({ delay: 0, target: 'https://example.com/next' });
+    expect(meta.issues).toEqual(['meta refreshによるリダイレクトがあります']);
+
+    const js = await checker.check({
+      url: FINAL,
+      httpResponse: httpResponse([], { clientRedirects: [{ from: FINAL, to: 'https://example.com/app', type: 'javascript' }] }),
+      $: page(canonicalTag()),
+    });
+    expect(js.issues).toEqual(['JavaScriptによるリダイレクトがあります']);
+  });
+
+  test('SEOChecker.detectClientRedirects は最初のHTMLで meta refresh / JS を判別', () => {
+    const checker = new SEOChecker();
+    expect(checker.detectClientRedirects(FINAL, `${FINAL}#top`, '')).toEqual([]);
+    expect(checker.detectClientRedirects(FINAL, 'https://example.com/b', '<meta http-equiv="refresh" content="0;url=/b">'))
+      .toEqual([{ from: FINAL, to: 'https://example.com/b', type: 'meta-refresh' }]);
+    expect(checker.detectClientRedirects(FINAL, 'https://example.com/b', '<script>location.href="/b"</script>')[0].type)
+      .toBe('javascript');
+  });
+});
+
+describe('Phase 3-D: canonical', () => {
+  test('未設定・複数・相対URLを指摘', async () => {
+    const { checker } = makeChecker();
+    const missing = await checker.check({ url: FINAL, httpResponse: httpResponse(), $: page() });
+    expect(missing.issues).toEqual(['canonicalタグが未設定です']);
+
+    const multiple = await checker.check({
+      url: FINAL, httpResponse: httpResponse(), $: page(`${canonicalTag()}${canonicalTag('https://example.com/other')}`),
+    });
+    expect(multiple.issues[0]).toBe('canonicalタグが複数あります（2個）');
+    expect(multiple.recommendations[0].description).toContain('https://example.com/other');
+
+    const relative = await checker.check({ url: FINAL, httpResponse: httpResponse(), $: page(canonicalTag('/page')) });
+    expect(relative.canonical.resolved).toBe(FINAL);
+    expect(relative.issues).toEqual(['canonicalが相対URLで指定されています']);
+  });
+
+  test('canonical がリダイレクト / 404 のURLを指していれば指摘', async () => {
+    const { checker, probed } = makeChecker({
+      'https://example.com/moved': { statusCode: 301, location: 'https://example.com/new' },
+      'https://example.com/gone': { statusCode: 404, location: null },
+    });
+    const moved = await checker.check({ url: FINAL, httpResponse: httpResponse(), $: page(canonicalTag('https://example.com/moved')) });
+    expect(probed).toEqual(['https://example.com/moved']);
+    expect(moved.issues).toEqual([
+      'canonicalが最終URLと異なります',
+      'canonicalがリダイレクトするURLを指しています（301）',
+    ]);
+
+    const gone = await checker.check({ url: FINAL, httpResponse: httpResponse(), $: page(canonicalTag('https://example.com/gone')) });
+    expect(gone.issues).toContain('canonicalがステータス404のURLを指しています');
+    expect(gone.canonical.target.statusCode).toBe(404);
+  });
+
+  test('canonical 先に到達できない場合は減点しない', async () => {
+    const checker = new RedirectCanonicalChecker({
+      probeImpl: async () => { const e = new Error('timeout'); e.code = 'ECONNABORTED'; throw e; },
+    });
+    const result = await checker.check({ url: FINAL, httpResponse: httpResponse(), $: page(canonicalTag('https://example.com/x')) });
+    expect(result.issues).toEqual(['canonicalが最終URLと異なります']);
+    expect(result.canonical.target.error).toBe('ECONNABORTED');
+  });
+
+  test('og:url と JSON-LD の url / @id を canonical と比較（断片だけの @id は無視）', async () => {
+    const { checker } = makeChecker();
+    const jsonLd = (obj) => `<script type="application/ld+json">${JSON.stringify(obj)}</script>`;
+    const ok = await checker.check({
+      url: FINAL,
+      httpResponse: httpResponse(),
+      $: page(canonicalTag() + '<meta property="og:url" content="https://example.com/page">' + jsonLd({
+        '@context': 'https://schema.org',
+        '@graph': [
+          { '@type': 'Organization', '@id': '#org', url: 'https://example.com/' },
+          { '@type': 'WebPage', '@id': 'https://example.com/page#webpage' },
+        ],
+      })),
+    });
+    expect(ok.issues).toEqual([]);
+    expect(ok.jsonLdUrls.map(d => d.resolved)).toEqual([FINAL]);
+
+    const ng = await checker.check({
+      url: FINAL,
+      httpResponse: httpResponse(),
+      $: page(canonicalTag() + '<meta property="og:url" content="https://example.com/page?utm=1">' +
+        jsonLd({ '@type': 'Article', url: 'https://example.com/amp/page' })),
+    });
+    expect(ng.issues).toEqual([
+      'og:urlがcanonicalと一致しません',
+      'JSON-LDのurl/@idがcanonicalと一致しません',
+    ]);
+  });
+
+  test('HTML直接入力ではリダイレクトを評価せず、相対 canonical は解決不能でも指摘する', async () => {
+    const { checker, probed } = makeChecker();
+    const result = await checker.check({ url: null, httpResponse: null, $: page(canonicalTag('/page')) });
+    expect(result.redirects.skipped).toBe(true);
+    expect(result.issues).toEqual(['canonicalが相対URLで指定されています']);
+    expect(probed).toEqual([]);
+  });
+});
+
+describe('Phase 3-D: otherSEOElements / enhanced-reporter 統合', () => {
+  test('checkSEO の結果に redirectCanonical が入り、issue が加算される', async () => {
+    const checker = new SEOChecker();
+    checker.fetchHTMLWithAxios = async () => ({
+      html: '<html><head><title>t</title></head><body><h1>h</h1></body></html>',
+      ...httpResponse([
+        { url: 'http://example.com/page', statusCode: 301, location: 'https://example.com/page/' },
+        { url: 'https://example.com/page/', statusCode: 301, location: FINAL },
+      ]),
+    });
+    checker.sitemapChecker.check = async () => ({ skipped: true });
+    checker.aioChecker.checkLlmsTxtSafe = async () => checker.aioChecker._llmsTxtSkippedResult();
+
+    const results = await checker.checkSEO('http://example.com/page', null, false);
+    const other = results.checks.otherSEOElements;
+    expect(other.redirectCanonical.redirects.hops).toHaveLength(2);
+    expect(other.issues).toEqual(expect.arrayContaining([
+      'リダイレクトチェーンが発生しています（2ホップ）',
+      'canonicalタグが未設定です',
+    ]));
+    const rec = results.conciseRecommendations.find(r => r.issue.startsWith('リダイレクトチェーン'));
+    expect(rec.docLink).toContain('301-redirects');
+  });
+
+  test('canonical 系 issue は汎用URL構造ドキュメントに先食いされない', () => {
+    const reporter = new EnhancedReporter();
+    expect(reporter.getIssueKey('canonicalタグが複数あります（3個）')).toBe('canonical_multiple');
+    expect(reporter.getDocLink('canonicalがリダイレクトするURLを指しています（301）', 'otherSEOElements'))
+      .toContain('consolidate-duplicate-urls');
+    expect(reporter.getDocLink('HTTPSからHTTPへのリダイレクト（ダウングレード）があります', 'otherSEOElements'))
+      .toContain('301-redirects');
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Phase 3-E: リンク切れ検証のテスト
+ * requestImpl を注入してネットワークを使わない
+ */
+const LinkVerifier = require('../link-verifier');
+const EnhancedReporter = require('../enhanced-reporter.js');
+const SEOChecker = require('../index.js');
+
+const BASE = 'https://example.com/page';
+
+/**
+ * URL → レスポンス（または例外）の表から requestImpl を作る
+ * 表に無いURLは 200
+ */
+function makeRequest(table = {}) {
+  const calls = [];
+  const requestImpl = async (method, url) => {
+    calls.push({ method, url, at: Date.now() });
+    const entry = table[`${method} ${url}`] || table[url];
+    if (entry instanceof Error) throw entry;
+    if (typeof entry === 'function') return entry();
+    return entry || { status: 200, headers: {} };
+  };
+  return { requestImpl, calls };
+}
+
+const timeoutError = () => Object.assign(new Error('timeout of 5000ms exceeded'), { code: 'ECONNABORTED' });
+const link = (href, text = 'リンク') => ({ href, text });
+
+describe('Phase 3-E: LinkVerifier — 判定', () => {
+  test('200 は ok、404 は broken として brokenLinks に入る', async () => {
+    const { requestImpl } = makeRequest({ 'https://example.com/gone': { status: 404, headers: {} } });
+    const verifier = new LinkVerifier({ requestImpl, perHostIntervalMs: 0 });
+    const result = await verifier.verify({
+      internalLinks: [link('/about'), link('/gone')],
+      externalLinks: [link('https://other.example.org/')],
+    }, BASE);
+
+    expect(result.links.map(l => [l.url, l.status])).toEqual([
+      ['https://example.com/about', 'ok'],
+      ['https://example.com/gone', 'broken'],
+      ['https://other.example.org/', 'ok'],
+    ]);
+    expect(result.brokenLinks).toHaveLength(1);
+    expect(result.brokenLinks[0]).toMatchObject({ href: '/gone', statusCode: 404, type: 'internal' });
+    expect(result.summary).toMatchObject({ checked: 3, ok: 2, broken: 1, skipped: 0, budgetExceeded: false });
+  });
+
+  test('HEAD が 405 なら GET で再確認する', async () => {
+    const { requestImpl, calls } = makeRequest({
+      'HEAD https://example.com/no-head': { status: 405, headers: {} },
+      'GET https://example.com/no-head': { status: 200, headers: {} },
+    });
+    const result = await new LinkVerifier({ requestImpl, perHostIntervalMs: 0 })
+      .verify({ internalLinks: [link('/no-head')] }, BASE);
+    expect(calls.map(c => c.method)).toEqual(['HEAD', 'GET']);
+    expect(result.links[0].status).toBe('ok');
+  });
+
+  test('タイムアウトと接続エラーを区別する', async () => {
+    const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    const { requestImpl } = makeRequest({
+      'https://slow.example.net/': timeoutError(),
+      'https://down.example.net/': refused,
+    });
+    const result = await new LinkVerifier({ requestImpl, perHostIntervalMs: 0 }).verify({
+      externalLinks: [link('https://slow.example.net/'), link('https://down.example.net/')],
+    }, BASE);
+    expect(result.links.map(l => [l.status, l.error])).toEqual([
+      ['timeout', 'ECONNABORTED'],
+      ['error', 'ECONNREFUSED'],
+    ]);
+    expect(result.summary).toMatchObject({ timedOut: 1, errors: 1 });
+    expect(result.brokenLinks).toHaveLength(2);
+  });
+
+  test('リダイレクトは最終URLを記録し、ループは redirect_loop にする', async () => {
+    const { requestImpl } = makeRequest({
+      'https://example.com/old': { status: 301, headers: { location: '/new' } },
+      'https://example.com/a': { status: 302, headers: { location: 'https://example.com/b' } },
+      'https://example.com/b': { status: 302, headers: { location: 'https://example.com/a' } },
+    });
+    const result = await new LinkVerifier({ requestImpl, perHostIntervalMs: 0 })
+      .verify({ internalLinks: [link('/old'), link('/a')] }, BASE);
+
+    const [moved, loop] = result.links;
+    expect(moved).toMatchObject({ status: 'redirect', statusCode: 200, finalUrl: 'https://example.com/new' });
+    expect(moved.redirectChain).toEqual([{ url: 'https://example.com/old', statusCode: 301, location: 'https://example.com/new' }]);
+    expect(loop.status).toBe('redirect_loop');
+    expect(result.redirectedLinks.map(l => l.href)).toEqual(['/old']);
+    expect(result.brokenLinks.map(l => l.href)).toEqual(['/a']);
+  });
+
+  test('リダイレクト回数が maxRedirects を超えたら redirect_loop', async () => {
+    const requestImpl = async (method, url) => ({ status: 301, headers: { location: `${url}x` } });
+    const verifier = new LinkVerifier({ requestImpl, perHostIntervalMs: 0, maxRedirects: 2 });
+    const result = await verifier.checkLink('https://example.com/r');
+    expect(result.status).toBe('redirect_loop');
+    expect(result.redirectChain).toHaveLength(3);
+  });
+});
+
+describe('Phase 3-E: LinkVerifier — 対象の絞り込みと負荷制御', () => {
+  test('重複・フラグメント・http(s) 以外を除き、内部リンク優先で maxLinks 件に絞る', async () => {
+    const { requestImpl } = makeRequest();
+    const result = await new LinkVerifier({ requestImpl, perHostIntervalMs: 0, maxLinks: 3 }).verify({
+      internalLinks: [link('/a'), link('/a#section'), link('mailto:info@example.com'), link('/b')],
+      externalLinks: [link('https://other.example.org/'), link('https://other.example.org/2')],
+    }, BASE);
+    expect(result.links.map(l => l.url)).toEqual([
+      'https://example.com/a',
+      'https://example.com/b',
+      'https://other.example.org/',
+    ]);
+    expect(result.summary).toMatchObject({ totalCollected: 4, truncated: true });
+  });
+
+  test('同時リクエスト数は concurrency を超えない', async () => {
+    let active = 0;
+    let peak = 0;
+    const requestImpl = async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      active--;
+      return { status: 200, headers: {} };
+    };
+    const externalLinks = Array.from({ length: 8 }, (_, i) => link(`https://host${i}.example.net/`));
+    await new LinkVerifier({ requestImpl, perHostIntervalMs: 0, concurrency: 3 }).verify({ externalLinks }, BASE);
+    expect(peak).toBe(3);
+  });
+
+  test('同一ホストへのリクエストは perHostIntervalMs 以上空ける', async () => {
+    const { requestImpl, calls } = makeRequest();
+    await new LinkVerifier({ requestImpl, perHostIntervalMs: 40, concurrency: 3 })
+      .verify({ internalLinks: [link('/1'), link('/2'), link('/3')] }, BASE);
+    const gaps = calls.slice(1).map((c, i) => c.at - calls[i].at);
+    // タイマー精度の誤差を数ms許容する
+    expect(gaps.every(gap => gap >= 35)).toBe(true);
+  });
+
+  test('持ち時間を超えた分は skipped（TIME_BUDGET_EXCEEDED）として残す', async () => {
+    const requestImpl = async () => {
+      await new Promise(resolve => setTimeout(resolve, 30));
+      return { status: 200, headers: {} };
+    };
+    const result = await new LinkVerifier({ requestImpl, perHostIntervalMs: 0, concurrency: 1, timeBudgetMs: 50 })
+      .verify({ internalLinks: [link('/1'), link('/2'), link('/3'), link('/4')] }, BASE);
+    const skipped = result.links.filter(l => l.status === 'skipped');
+    expect(skipped.length).toBeGreaterThan(0);
+    expect(skipped[0].error).toBe('TIME_BUDGET_EXCEEDED');
+    expect(result.summary.budgetExceeded).toBe(true);
+    expect(result.brokenLinks).toEqual([]);
+  });
+});
+
+describe('Phase 3-E: checkSEO への統合', () => {
+  const HTML = `<html><head><title>リンク検証テスト</title></head><body><h1>見出し</h1>
+    <a href="/ok">正常</a><a href="/gone">削除済み</a><a href="/moved">移転</a>
+    <a href="https://other.example.org/">外部</a></body></html>`;
+
+  function makeChecker(table) {
+    const checker = new SEOChecker();
+    checker.fetchHTMLWithAxios = async () => ({
+      html: HTML, statusCode: 200, headers: {}, finalUrl: BASE, redirectChain: [],
+    });
+    checker.sitemapChecker.check = async () => ({ skipped: true });
+    checker.aioChecker.checkLlmsTxtSafe = async () => checker.aioChecker._llmsTxtSkippedResult();
+    checker.config.linkVerification = { ...checker.config.linkVerification, perHostIntervalMs: 0, requestImpl: makeRequest(table).requestImpl };
+    return checker;
+  }
+
+  test('verifyLinks 指定時は brokenLinks・issue・スコア・詳細分析の位置に反映する', async () => {
+    const checker = makeChecker({
+      'https://example.com/gone': { status: 404, headers: {} },
+      'https://example.com/moved': { status: 301, headers: { location: 'https://example.com/new' } },
+    });
+    const baseline = await checker.checkSEO(BASE, null, false);
+    const results = await checker.checkSEO(BASE, null, false, { verifyLinks: true });
+    const linkCheck = results.checks.internalLinkStructure;
+
+    expect(linkCheck.brokenLinks.map(l => [l.href, l.statusCode])).toEqual([['/gone', 404]]);
+    expect(linkCheck.redirectedLinks.map(l => l.finalUrl)).toEqual(['https://example.com/new']);
+    expect(linkCheck.linkVerification).toMatchObject({ checked: 4, broken: 1, redirected: 1 });
+    expect(linkCheck.issues).toEqual(expect.arrayContaining([
+      '1個のリンク切れがあります',
+      '1個のリンクがリダイレクトするURLを指しています',
+    ]));
+    expect(linkCheck.score).toBe(baseline.checks.internalLinkStructure.score - 12);
+
+    const specific = results.detailedAnalysis.internalLinkStructure.specificIssues;
+    const broken = specific.find(i => i.type === 'broken_links');
+    expect(broken.links).toEqual([expect.objectContaining({ href: '/gone', position: 2, statusCode: 404 })]);
+    expect(specific.find(i => i.type === 'redirected_links').links[0].position).toBe(3);
+  });
+
+  test('verifyLinks 未指定・HTML直接入力ではリンク先にアクセスしない', async () => {
+    const checker = makeChecker({});
+    const spy = jest.spyOn(checker, 'verifyLinksSafe');
+    const results = await checker.checkSEO(BASE, null, false);
+    await checker.checkSEO(null, HTML, false, { verifyLinks: true });
+    expect(spy).not.toHaveBeenCalled();
+    expect(results.checks.internalLinkStructure.brokenLinks).toEqual([]);
+    expect(results.checks.internalLinkStructure.linkVerification).toBeUndefined();
+  });
+
+  test('リンク検証の issue は専用キー・fix・ドキュメントに対応する', () => {
+    const reporter = new EnhancedReporter();
+    expect(reporter.getIssueKey('3個のリンク切れがあります')).toBe('links_broken');
+    expect(reporter.getIssueKey('2個のリンクでリダイレクトループが発生しています')).toBe('links_redirect_loop');
+    expect(reporter.getDocLink('1個のリンクがタイムアウトしました', 'internalLinkStructure')).toContain('http-network-errors');
+    expect(reporter.getConciseFix('1個のリンクがリダイレクトするURLを指しています', 'internalLinkStructure'))
+      .toContain('最終URL');
+  });
+});
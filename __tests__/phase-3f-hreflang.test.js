@@ -0,0 +1,218 @@
+/**
+ * Phase 3-F: hreflang / 多言語サイト検証のテスト
+ * 代替ページの取得は fetchImpl を注入してネットワークを使わない
+ */
+const cheerio = require('cheerio');
+const HreflangChecker = require('../hreflang-checker');
+const SitemapChecker = require('../sitemap-checker');
+const EnhancedReporter = require('../enhanced-reporter.js');
+const SEOChecker = require('../index.js');
+
+const JA = 'https://example.com/';
+const EN = 'https://example.com/en/';
+const ZH = 'https://example.com/zh/';
+
+const JA_TEXT = 'これは日本語のページです。多言語サイトの検証のために、ひらがなとカタカナと漢字を十分に含む本文を用意しています。';
+const EN_TEXT = 'This is the English version of the page. It has enough latin text for the content language detection to work reliably.';
+
+const alternates = (list) => list.map(([lang, href]) => `<link rel="alternate" hreflang="${lang}" href="${href}">`).join('');
+const FULL_SET = [['ja', JA], ['en', EN], ['zh-Hans', ZH], ['x-default', JA]];
+
+const page = ({ lang = 'ja', head = '', body = JA_TEXT } = {}) =>
+  `<html${lang ? ` lang="${lang}"` : ''}><head>${head}</head><body><p>${body}</p></body></html>`;
+const response = (extra = {}) => ({ statusCode: 200, headers: {}, finalUrl: JA, redirectChain: [], ...extra });
+
+/** URL → 代替ページ（既定は FULL_SET を持つ 200）の表から checker を作る */
+function makeChecker(pages = {}) {
+  const fetched = [];
+  const checker = new HreflangChecker({
+    fetchImpl: async (url) => {
+      fetched.push(url);
+      const entry = pages[url];
+      if (entry instanceof Error) throw entry;
+      return entry || { statusCode: 200, headers: {}, html: page({ head: alternates(FULL_SET) + `<link rel="canonical" href="${url}">` }) };
+    },
+  });
+  return { checker, fetched };
+}
+
+describe('Phase 3-F: hreflang の収集と検証', () => {
+  test('相互参照・x-default・自己参照が揃っていれば 100 点', async () => {
+    const { checker, fetched } = makeChecker();
+    const result = await checker.check({
+      url: JA, httpResponse: response(), $: cheerio.load(page({ head: alternates(FULL_SET) })),
+    });
+    expect(result.issues).toEqual([]);
+    expect(result.score).toBe(100);
+    expect(result.sources).toEqual({ html: 4, header: 0, sitemap: 0 });
+    expect(result.hasXDefault).toBe(true);
+    expect(result.hasSelfReference).toBe(true);
+    expect(fetched.sort()).toEqual([EN, ZH]);
+    expect(result.alternates.every(a => a.returnLink)).toBe(true);
+  });
+
+  test('言語・地域コードの誤りを正しい候補つきで指摘', async () => {
+    const { checker } = makeChecker();
+    expect(['ja', 'en-GB', 'zh-Hant', 'zh-Hant-TW', 'x-default'].every(v => checker.isValidHreflang(v))).toBe(true);
+    expect(['jp', 'en-uk', 'en_US', 'us', 'en-GB-XX'].some(v => checker.isValidHreflang(v))).toBe(false);
+
+    const result = await checker.check({
+      url: null, httpResponse: null,
+      $: cheerio.load(page({ head: alternates([['jp', JA], ['en-uk', EN], ['en_US', EN], ['x-default', JA]]) })),
+    });
+    expect(result.issues).toEqual(['hreflangの言語・地域コードが不正です（jp, en-uk, en_US）']);
+    expect(result.recommendations[0].description).toContain('jp → ja');
+    expect(result.recommendations[0].description).toContain('en_US → en-US');
+  });
+
+  test('重複・相対URL・x-default 欠落・自己参照欠落を指摘', async () => {
+    const { checker } = makeChecker();
+    const result = await checker.check({
+      url: JA, httpResponse: response(),
+      $: cheerio.load(page({ head: alternates([['en', EN], ['en', 'https://example.com/english/'], ['zh', '/zh/']]) })),
+    });
+    expect(result.issues).toEqual([
+      'hreflangの値が重複しています（en）',
+      'hreflangのURLが相対URLで指定されています（1件）',
+      'hreflangに自己参照が含まれていません',
+      'hreflangにx-defaultが未設定です',
+    ]);
+    expect(result.duplicates).toEqual([{ hreflang: 'en', urls: ['https://example.com/en', 'https://example.com/english'] }]);
+  });
+
+  test('Link ヘッダーとサイトマップの xhtml:link も収集する', async () => {
+    const { checker } = makeChecker();
+    expect(checker.parseLinkHeader(`<${EN}>; rel="alternate"; hreflang="en", <https://example.com/style.css>; rel=preload, <${ZH}>; hreflang=zh; rel=alternate`))
+      .toEqual([{ hreflang: 'en', href: EN }, { hreflang: 'zh', href: ZH }]);
+
+    const result = await checker.check({
+      url: JA,
+      httpResponse: response({ headers: { link: `<${JA}>; rel="alternate"; hreflang="ja", <${EN}>; rel="alternate"; hreflang="en"` } }),
+      $: cheerio.load(page()),
+      sitemap: { pageEntry: { loc: JA, alternates: [{ hreflang: 'zh-Hans', href: ZH }, { hreflang: 'x-default', href: JA }] }, alternateEntries: [] },
+    });
+    expect(result.sources).toEqual({ html: 0, header: 2, sitemap: 2 });
+    expect(result.issues).toEqual([]);
+  });
+
+  test('SitemapChecker は xhtml:link を pageEntry.alternates / alternateEntries に残す', () => {
+    const sitemapChecker = new SitemapChecker();
+    const xml = `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+      <url><loc>${JA}</loc><xhtml:link rel="alternate" hreflang="en" href="${EN}"/></url>
+      <url><loc>${EN}</loc><xhtml:link rel="alternate" hreflang="ja" href="${JA}"/></url>
+      <url><loc>https://example.com/other</loc></url></urlset>`;
+    const parsed = sitemapChecker._parseSitemap(xml);
+    expect(parsed.entries[0].alternates).toEqual([{ hreflang: 'en', href: EN }]);
+    expect(parsed.entries[2]).not.toHaveProperty('alternates');
+
+    const result = { pageUrl: JA, canonicalUrl: null, truncated: false, invalidLastmod: { count: 0, samples: [] }, nonCanonicalUrls: { count: 0, samples: [] }, disallowedUrls: { count: 0, samples: [] } };
+    sitemapChecker._inspectEntries(result, parsed.entries, [], 'https://example.com');
+    expect(result.alternateEntries.map(e => e.loc)).toEqual([EN]);
+  });
+});
+
+describe('Phase 3-F: 戻りリンクと canonical', () => {
+  test('戻りリンクが無い代替ページ・到達できない代替ページ・非正規の代替ページを指摘', async () => {
+    const { checker } = makeChecker({
+      [EN]: { statusCode: 200, headers: {}, html: page({ lang: 'en', body: EN_TEXT, head: alternates([['en', EN]]) }) },
+      [ZH]: { statusCode: 404, headers: {}, html: '' },
+      'https://example.com/ko/': { statusCode: 200, headers: {}, html: page({ head: alternates(FULL_SET) + '<link rel="canonical" href="https://example.com/">' }) },
+    });
+    const result = await checker.check({
+      url: JA, httpResponse: response(),
+      $: cheerio.load(page({ head: alternates([...FULL_SET, ['ko', 'https://example.com/ko/']]) })),
+    });
+    expect(result.issues).toEqual([
+      'hreflangの代替URLにアクセスできません（1件）',
+      'hreflangの戻りリンクが不足しています（1件）',
+      'hreflangの代替URLが正規URLになっていません（1件）',
+    ]);
+    expect(result.alternates.find(a => a.url === EN).returnLink).toBe(false);
+  });
+
+  test('戻りリンクはサイトマップの代替エントリでも満たせる', async () => {
+    const { checker } = makeChecker({
+      [EN]: { statusCode: 200, headers: {}, html: page({ lang: 'en', body: EN_TEXT }) },
+    });
+    const result = await checker.check({
+      url: JA, httpResponse: response(), $: cheerio.load(page()),
+      sitemap: {
+        pageEntry: { loc: JA, alternates: [{ hreflang: 'ja', href: JA }, { hreflang: 'en', href: EN }, { hreflang: 'x-default', href: JA }] },
+        alternateEntries: [{ loc: EN, alternates: [{ hreflang: 'ja', href: JA }] }],
+      },
+    });
+    expect(result.issues).toEqual([]);
+  });
+
+  test('canonical が別の言語版を指していれば矛盾として指摘', async () => {
+    const { checker } = makeChecker();
+    const result = await checker.check({
+      url: JA, httpResponse: response(),
+      $: cheerio.load(page({ head: alternates(FULL_SET) + `<link rel="canonical" href="${EN}">` })),
+    });
+    expect(result.issues).toEqual(['canonicalとhreflangが矛盾しています']);
+    expect(result.recommendations[0].description).toContain('en: https://example.com/en');
+  });
+
+  test('HTML直接入力では代替ページを取得しない', async () => {
+    const { checker, fetched } = makeChecker();
+    await checker.check({ url: null, httpResponse: null, $: cheerio.load(page({ head: alternates(FULL_SET) })) });
+    expect(fetched).toEqual([]);
+  });
+});
+
+describe('Phase 3-F: html lang と本文の言語', () => {
+  const checker = new HreflangChecker();
+
+  test('本文の言語を日本語・中国語・ラテン文字で判定', () => {
+    expect(checker.detectContentLanguage(JA_TEXT)).toBe('ja');
+    expect(checker.detectContentLanguage('这是中文页面。我们为多语言网站的验证准备了足够的汉字内容，用于检测内容语言是否正确无误。')).toBe('zh');
+    expect(checker.detectContentLanguage(EN_TEXT)).toBe('latin');
+    expect(checker.detectContentLanguage('短い')).toBeNull();
+  });
+
+  test('lang 未設定・本文との食い違いを指摘し、hreflang が無いページでも評価する', async () => {
+    const missing = await checker.check({ url: null, httpResponse: null, $: cheerio.load(page({ lang: null })) });
+    expect(missing.present).toBe(false);
+    expect(missing.issues).toEqual(['html要素のlang属性が未設定です']);
+    expect(missing.recommendations[0].description).toContain('lang="ja"');
+
+    const mismatch = await checker.check({ url: null, httpResponse: null, $: cheerio.load(page({ lang: 'en' })) });
+    expect(mismatch.issues).toEqual(['html langと本文の言語が一致しません（lang="en"、本文は日本語）']);
+
+    const english = await checker.check({ url: null, httpResponse: null, $: cheerio.load(page({ lang: 'ja', body: EN_TEXT })) });
+    expect(english.htmlLang).toEqual({ value: 'ja', contentLanguage: 'latin', matches: false });
+
+    const ok = await checker.check({ url: null, httpResponse: null, $: cheerio.load(page({ lang: 'ja-JP' })) });
+    expect(ok.issues).toEqual([]);
+  });
+});
+
+describe('Phase 3-F: checkSEO / enhanced-reporter 統合', () => {
+  test('otherSEOElements.hreflang に結果が入り、issue とスコアに反映される', async () => {
+    const checker = new SEOChecker();
+    checker.fetchHTMLWithAxios = async () => ({ html: page({ lang: 'en', head: alternates([['ja', JA], ['jp', EN]]) }), ...response() });
+    checker.sitemapChecker.check = async () => ({ skipped: true });
+    checker.aioChecker.checkLlmsTxtSafe = async () => checker.aioChecker._llmsTxtSkippedResult();
+    checker.hreflangChecker.fetchImpl = async () => ({ statusCode: 200, headers: {}, html: page({ head: alternates([['ja', JA]]) }) });
+
+    const results = await checker.checkSEO(JA, null, false);
+    const other = results.checks.otherSEOElements;
+    expect(other.hreflang.present).toBe(true);
+    expect(other.issues).toEqual(expect.arrayContaining([
+      'hreflangの言語・地域コードが不正です（jp）',
+      'hreflangにx-defaultが未設定です',
+      'html langと本文の言語が一致しません（lang="en"、本文は日本語）',
+    ]));
+    const rec = results.conciseRecommendations.find(r => r.issue.startsWith('hreflangの言語'));
+    expect(rec.docLink).toContain('localized-versions');
+  });
+
+  test('hreflang 系 issue は canonical / URL 構造のドキュメントに先食いされない', () => {
+    const reporter = new EnhancedReporter();
+    expect(reporter.getIssueKey('hreflangの戻りリンクが不足しています（3件）')).toBe('hreflang_missing_return');
+    expect(reporter.getDocLink('canonicalとhreflangが矛盾しています', 'otherSEOElements')).toContain('localized-versions');
+    expect(reporter.getDocLink('hreflangのURLが相対URLで指定されています（1件）', 'otherSEOElements')).toContain('localized-versions');
+    expect(reporter.isCriticalIssue('hreflangの代替URLが正規URLになっていません（1件）')).toBe(false);
+  });
+});
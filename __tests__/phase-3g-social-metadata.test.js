@@ -0,0 +1,240 @@
+/**
+ * Phase 3-G: SNSシェア（OGP / Twitterカード）チェックのテスト
+ * og:image の取得は imageProbeImpl を注入してネットワークを使わない
+ */
+const cheerio = require('cheerio');
+const SocialMetadataChecker = require('../social-metadata-checker');
+const EnhancedReporter = require('../enhanced-reporter.js');
+const SEOChecker = require('../index.js');
+
+const URL_ = 'https://example.com/article';
+const IMAGE = 'https://example.com/ogp.png';
+
+/** 幅・高さだけを持つ画像ヘッダーを作る */
+function pngHeader(width, height) {
+  const buf = Buffer.alloc(32);
+  buf.writeUInt32BE(0x89504e47, 0);
+  buf.writeUInt32BE(0x0d0a1a0a, 4);
+  buf.writeUInt32BE(13, 8);
+  buf.write('IHDR', 12, 'ascii');
+  buf.writeUInt32BE(width, 16);
+  buf.writeUInt32BE(height, 20);
+  return buf;
+}
+function gifHeader(width, height) {
+  const buf = Buffer.alloc(32);
+  buf.write('GIF89a', 0, 'ascii');
+  buf.writeUInt16LE(width, 6);
+  buf.writeUInt16LE(height, 8);
+  return buf;
+}
+function jpegHeader(width, height) {
+  // SOI → APP0（長さ16）→ SOF0
+  const buf = Buffer.alloc(40);
+  buf.writeUInt16BE(0xffd8, 0);
+  buf.writeUInt16BE(0xffe0, 2);
+  buf.writeUInt16BE(16, 4);
+  buf.writeUInt16BE(0xffc0, 20);
+  buf.writeUInt16BE(17, 22);
+  buf[24] = 8;
+  buf.writeUInt16BE(height, 25);
+  buf.writeUInt16BE(width, 27);
+  return buf;
+}
+function webpHeader(width, height) {
+  const buf = Buffer.alloc(32);
+  buf.write('RIFF', 0, 'ascii');
+  buf.write('WEBP', 8, 'ascii');
+  buf.write('VP8X', 12, 'ascii');
+  buf.writeUIntLE(width - 1, 24, 3);
+  buf.writeUIntLE(height - 1, 27, 3);
+  return buf;
+}
+
+const FULL_HEAD = `
+  <meta property="og:title" content="記事のタイトル">
+  <meta property="og:type" content="article">
+  <meta property="og:image" content="${IMAGE}">
+  <meta property="og:url" content="${URL_}">
+  <meta property="og:description" content="記事の説明文です。">
+  <meta property="og:site_name" content="Example">
+  <meta name="twitter:card" content="summary_large_image">`;
+
+const load = (head) => cheerio.load(`<html><head>${head}</head><body></body></html>`);
+const imageResponse = (body, headers = {}) => async () => ({ statusCode: 206, headers: { 'content-type': 'image/png', ...headers }, body });
+
+function makeChecker(imageProbeImpl = imageResponse(pngHeader(1200, 630))) {
+  const probed = [];
+  const checker = new SocialMetadataChecker({
+    imageProbeImpl: async (url) => {
+      probed.push(url);
+      return imageProbeImpl(url);
+    },
+  });
+  return { checker, probed };
+}
+
+const run = (checker, head, extra = {}) =>
+  checker.check({ url: URL_, $: load(head), title: '記事のタイトル', description: '記事の説明文です。', ...extra });
+
+describe('Phase 3-G: 必須プロパティ', () => {
+  test('OG / Twitterカードが揃い画像が 1200×630 なら 100 点', async () => {
+    const { checker, probed } = makeChecker();
+    const result = await run(checker, FULL_HEAD);
+    expect(result.issues).toEqual([]);
+    expect(result.score).toBe(100);
+    expect(probed).toEqual([IMAGE]);
+    expect(result.image).toMatchObject({ width: 1200, height: 630, format: 'png', source: 'fetch' });
+    expect(result.og['og:site_name']).toBe('Example');
+  });
+
+  test('未設定の OG プロパティと twitter:card をそれぞれ指摘する', async () => {
+    const { checker } = makeChecker();
+    const result = await run(checker, '<meta property="og:title" content="記事のタイトル">');
+    expect(result.issues).toEqual([
+      'og:typeが未設定です',
+      'og:imageが未設定です',
+      'og:urlが未設定です',
+      'og:descriptionが未設定です',
+      'twitter:cardが未設定です',
+    ]);
+    expect(result.score).toBe(100 - 5 - 20 - 10 - 10 - 10);
+    expect(result.recommendations[1]).toMatchObject({ type: 'high', codeExample: expect.stringContaining('og:image') });
+    expect(result.image).toBeNull();
+  });
+
+  test('twitter:card の不正な値を指摘し、name / property どちらの書き方も読む', async () => {
+    const { checker } = makeChecker();
+    const head = FULL_HEAD.replace('<meta name="twitter:card" content="summary_large_image">', '<meta property="twitter:card" content="large">');
+    const result = await run(checker, head);
+    expect(result.twitter['twitter:card']).toBe('large');
+    expect(result.issues).toEqual(['twitter:cardの値が不正です（large）']);
+  });
+});
+
+describe('Phase 3-G: og:image の検証', () => {
+  test.each([
+    ['png', pngHeader(1200, 630)],
+    ['gif', gifHeader(800, 418)],
+    ['jpeg', jpegHeader(1080, 566)],
+    ['webp', webpHeader(1200, 628)],
+  ])('%s のヘッダーから幅・高さを読む', (format, buf) => {
+    const size = new SocialMetadataChecker().readImageSize(buf);
+    expect(size.format).toBe(format);
+    expect(size.width / size.height).toBeCloseTo(1.91, 1);
+  });
+
+  test('小さすぎる画像・比率違い・5MB 超を指摘する', async () => {
+    const { checker } = makeChecker(imageResponse(pngHeader(400, 400), { 'content-range': 'bytes 0-65535/6291456' }));
+    const result = await run(checker, FULL_HEAD);
+    expect(result.issues).toEqual([
+      'og:imageの画像が小さすぎます（400×400）',
+      'og:imageのアスペクト比が推奨（1.91:1）と異なります（1.00:1）',
+      'og:imageのファイルサイズが大きすぎます（6.0MB）',
+    ]);
+    expect(result.image.bytes).toBe(6291456);
+  });
+
+  test('og:image:width / height の宣言値を優先し、実寸の読み取りに頼らない', async () => {
+    const { checker } = makeChecker(imageResponse(Buffer.alloc(0)));
+    const head = `${FULL_HEAD}<meta property="og:image:width" content="1200"><meta property="og:image:height" content="630">`;
+    const result = await run(checker, head);
+    expect(result.image).toMatchObject({ width: 1200, height: 630, source: 'meta' });
+    expect(result.issues).toEqual([]);
+  });
+
+  test('404 は取得できない画像として指摘し、通信エラーは減点しない', async () => {
+    const notFound = await run(makeChecker(async () => ({ statusCode: 404, headers: {}, body: null })).checker, FULL_HEAD);
+    expect(notFound.issues).toEqual(['og:imageの画像を取得できません（404）']);
+
+    const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    const offline = await run(makeChecker(async () => { throw refused; }).checker, FULL_HEAD);
+    expect(offline.issues).toEqual([]);
+    expect(offline.image.error).toBe('ECONNREFUSED');
+  });
+
+  test('相対URLの og:image は指摘し、HTML直接入力では画像を取得しない', async () => {
+    const { checker, probed } = makeChecker();
+    const head = FULL_HEAD.replace(IMAGE, '/ogp.png');
+    const result = await run(checker, head, { url: null });
+    expect(result.issues).toEqual(['og:imageが相対URLで指定されています']);
+    expect(probed).toEqual([]);
+  });
+});
+
+describe('Phase 3-G: title / description との整合性', () => {
+  test('サイト名の付け外し程度は許容し、別物のタイトルは指摘する', async () => {
+    const { checker } = makeChecker();
+    const withSiteName = await run(checker, FULL_HEAD, { title: '記事のタイトル | Example' });
+    expect(withSiteName.issues).toEqual([]);
+
+    const unrelated = await run(checker, FULL_HEAD, { title: '会社概要', description: 'サイト全体の共通説明' });
+    expect(unrelated.issues).toEqual([
+      'og:titleがtitleタグと大きく異なります',
+      'og:descriptionがmeta descriptionと大きく異なります',
+    ]);
+  });
+});
+
+describe('Phase 3-G: リンクカードのプレビュー', () => {
+  test('プラットフォームごとのレイアウト・ドメイン表記・説明文の有無', async () => {
+    const { checker } = makeChecker();
+    const { previews } = await run(checker, FULL_HEAD);
+    expect(previews.line).toMatchObject({ layout: 'large', domain: 'example.com', description: '記事の説明文です。', imageUrl: IMAGE });
+    expect(previews.x).toMatchObject({ layout: 'large', aspectRatio: 2, description: null });
+    expect(previews.facebook).toMatchObject({ domain: 'EXAMPLE.COM', siteName: 'Example' });
+  });
+
+  test('長いタイトルは全角換算で切り詰め、小さい画像は summary になる', async () => {
+    const checker = new SEOChecker().socialMetadataChecker;
+    checker.imageProbeImpl = imageResponse(pngHeader(300, 300));
+    const longTitle = 'あ'.repeat(50);
+    const head = FULL_HEAD.replace('記事のタイトル', longTitle).replace('summary_large_image', 'summary');
+    const { previews } = await run(checker, head, { title: longTitle });
+
+    expect(previews.line.truncated.title).toBe(true);
+    expect(previews.line.title).toBe(`${'あ'.repeat(39)}…`);
+    expect(previews.facebook.layout).toBe('summary');
+    expect(previews.facebook.warnings).toEqual([expect.stringContaining('小さいサムネイル')]);
+    expect(previews.x.layout).toBe('summary');
+  });
+});
+
+describe('Phase 3-G: checkSEO への統合', () => {
+  const HTML = `<html lang="ja"><head><title>記事のタイトル</title>
+    <meta name="description" content="記事の説明文です。">${FULL_HEAD}</head>
+    <body><h1>記事のタイトル</h1><p>本文</p></body></html>`;
+
+  function makeSEOChecker(html) {
+    const checker = new SEOChecker();
+    checker.fetchHTMLWithAxios = async () => ({ html, statusCode: 200, headers: {}, finalUrl: URL_, redirectChain: [] });
+    checker.sitemapChecker.check = async () => ({ skipped: true });
+    checker.aioChecker.checkLlmsTxtSafe = async () => checker.aioChecker._llmsTxtSkippedResult();
+    checker.hreflangChecker.fetchImpl = async () => ({ statusCode: 404, headers: {}, html: '' });
+    checker.socialMetadataChecker.imageProbeImpl = imageResponse(pngHeader(1200, 630));
+    return checker;
+  }
+
+  test('socialMetadata カテゴリとして結果に含め、総合スコアの配分は変えない', async () => {
+    const results = await makeSEOChecker(HTML).checkSEO(URL_, null, false);
+    const social = results.checks.socialMetadata;
+    expect(social.score).toBe(100);
+    expect(social.previews.line.title).toBe('記事のタイトル');
+    expect(Array.isArray(social.richRecommendations)).toBe(true);
+
+    const broken = await makeSEOChecker(HTML.replace(FULL_HEAD, '')).checkSEO(URL_, null, false);
+    expect(broken.checks.socialMetadata.score).toBe(100 - 15 - 5 - 20 - 10 - 10 - 10);
+    expect(broken.checks.socialMetadata.recommendations).toContain('og:image を設定');
+    // 以前の結果（履歴・監視）と比べられるよう、OGP の有無では総合スコアは変わらない
+    expect(broken.overallScore).toBe(results.overallScore);
+  });
+
+  test('OGP の issue は専用キー・fix・ドキュメントに対応する', () => {
+    const reporter = new EnhancedReporter();
+    expect(reporter.getIssueKey('og:imageが未設定です')).toBe('og_image_missing');
+    expect(reporter.getIssueKey('twitter:cardが未設定です')).toBe('twitter_card_missing');
+    expect(reporter.getIssueKey('og:imageの画像が小さすぎます（400×400）')).toBe('og_image_small');
+    expect(reporter.getDocLink('twitter:cardの値が不正です（large）', 'socialMetadata')).toContain('developer.x.com');
+    expect(reporter.getConciseFix('og:imageが未設定です', 'socialMetadata')).toBeTruthy();
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Phase 3-H: Core Web Vitals ラボ計測のテスト
+ * Puppeteer のページ・CDP セッションはフェイクで置き換え、ブラウザを起動しない
+ */
+const PerformanceChecker = require('../performance-checker');
+const EnhancedReporter = require('../enhanced-reporter.js');
+const SEOChecker = require('../index.js');
+
+const URL_ = 'https://example.com/';
+
+const GOOD_METRICS = {
+  lcp: 1800, lcpElement: '<img src="https://example.com/hero.webp">', cls: 0.02, tbt: 90, inp: null,
+  fcp: 900, ttfb: 300, transferBytes: 1.2 * 1024 * 1024, requestCount: 40, failedRequests: 0,
+  requestsByType: { document: 1, script: 12, image: 20 },
+};
+
+/** 呼び出しを記録するフェイクの Page / CDPSession */
+function makeFakePage(observed = {}) {
+  const calls = [];
+  const listeners = {};
+  const cdp = {
+    send: async (method) => { calls.push(['cdp', method]); },
+    on: (event, handler) => { listeners[event] = handler; },
+    detach: async () => { calls.push(['cdp', 'detach']); },
+  };
+  const page = {
+    setViewport: async (v) => calls.push(['setViewport', v]),
+    setUserAgent: async (ua) => calls.push(['setUserAgent', ua]),
+    emulateCPUThrottling: async (rate) => calls.push(['emulateCPUThrottling', rate]),
+    emulateNetworkConditions: async (conditions) => calls.push(['emulateNetworkConditions', conditions]),
+    evaluateOnNewDocument: async (fn) => calls.push(['evaluateOnNewDocument', fn]),
+    createCDPSession: async () => cdp,
+    evaluate: async (fn) => {
+      calls.push(['evaluate', fn]);
+      return { lcp: 2000, cls: 0.05, tbt: 100, inp: null, fcp: 1000, ttfb: 200, ...observed };
+    },
+  };
+  const emit = (event, payload) => listeners[event](payload);
+  return { page, calls, emit };
+}
+
+describe('Phase 3-H: 計測値の採点', () => {
+  const checker = new PerformanceChecker();
+
+  test('good / needs-improvement / poor の境界は web.dev の閾値', () => {
+    expect(checker.rate('lcp', 2500)).toBe('good');
+    expect(checker.rate('lcp', 2501)).toBe('needs-improvement');
+    expect(checker.rate('lcp', 4001)).toBe('poor');
+    expect(checker.rate('cls', 0.1)).toBe('good');
+    expect(checker.rate('cls', 0.26)).toBe('poor');
+    expect(checker.rate('tbt', 300)).toBe('needs-improvement');
+  });
+
+  test('すべて good なら 100 点で、サマリーを current に入れる', () => {
+    const result = checker.evaluate(GOOD_METRICS, 'mobile');
+    expect(result).toMatchObject({ profile: 'mobile', score: 100, issues: [] });
+    expect(result.ratings).toMatchObject({ lcp: 'good', cls: 'good', tbt: 'good', inp: null });
+    expect(result.current).toBe('LCP 1.8秒 / CLS 0.02 / TBT 90ms / FCP 0.9秒 / TTFB 300ms（モバイル、1.2MB・40リクエスト）');
+  });
+
+  test('遅い指標を重みつきで減点し、INP が計測できなければ TBT で代替する', () => {
+    const result = checker.evaluate({ ...GOOD_METRICS, lcp: 4500, cls: 0.15, tbt: 700, ttfb: 1000 }, 'mobile');
+    expect(result.issues).toEqual([
+      'LCP（最大コンテンツの描画）が4.5秒です（目標: 2.5秒以内）',
+      'CLS（レイアウトのずれ）が0.15です（目標: 0.1以下）',
+      'TBT（メインスレッドのブロック時間）が700ミリ秒です（目標: 200ミリ秒以内。INP の代替指標）',
+      'TTFB（サーバーの応答時間）が1000ミリ秒です（目標: 800ミリ秒以内）',
+    ]);
+    expect(result.score).toBe(100 - 30 - 10 - 30 - 5);
+    expect(result.recommendations[0]).toMatchObject({ type: 'high', description: expect.stringContaining('hero.webp') });
+  });
+
+  test('INP が計測できた場合は INP も採点する', () => {
+    const result = checker.evaluate({ ...GOOD_METRICS, inp: 350 }, 'desktop');
+    expect(result.issues).toEqual(['INP（操作への応答）が350ミリ秒です（目標: 200ミリ秒以内）']);
+    expect(result.current).toContain('INP 350ms');
+  });
+
+  test('転送量・リクエスト数の予算はプロファイルごとに異なる', () => {
+    const heavy = { ...GOOD_METRICS, transferBytes: 4 * 1024 * 1024, requestCount: 120 };
+    expect(checker.evaluate(heavy, 'mobile').issues).toEqual([
+      'ページの転送量が4.0MBです（目標: 3MB以内）',
+      'リクエスト数が120件です（目標: 100件以内）',
+    ]);
+    expect(checker.evaluate(heavy, 'desktop').issues).toEqual([]);
+  });
+});
+
+describe('Phase 3-H: ページへの仕込みと収集', () => {
+  test('mobile はモバイルのビューポート・CPU 4倍遅延・Slow 4G を設定する', async () => {
+    const { page, calls } = makeFakePage();
+    await new PerformanceChecker({ settleTime: 0 }).prepare(page, 'mobile');
+    const byName = Object.fromEntries(calls.filter(c => c[0] !== 'cdp').map(c => [c[0], c[1]]));
+
+    expect(byName.setViewport).toMatchObject({ width: 412, isMobile: true, hasTouch: true });
+    expect(byName.setUserAgent).toContain('Mobile');
+    expect(byName.emulateCPUThrottling).toBe(4);
+    expect(byName.emulateNetworkConditions).toMatchObject({ latency: 562.5 });
+    expect(byName.evaluateOnNewDocument).toBe(PerformanceChecker.installPerformanceObservers);
+    expect(calls).toContainEqual(['cdp', 'Network.enable']);
+  });
+
+  test('desktop は CPU 制限なし・広いビューポート、不明なプロファイルは mobile 扱い', async () => {
+    const desktop = makeFakePage();
+    await new PerformanceChecker({ settleTime: 0 }).prepare(desktop.page, 'desktop');
+    expect(desktop.calls).toContainEqual(['emulateCPUThrottling', null]);
+    expect(desktop.calls.find(c => c[0] === 'setViewport')[1]).toMatchObject({ width: 1350, isMobile: false });
+    expect(PerformanceChecker.resolveProfile('tablet')).toBe('mobile');
+  });
+
+  test('collect は PerformanceObserver の値と CDP の転送量・リクエスト数をまとめる', async () => {
+    const { page, calls, emit } = makeFakePage({ lcp: 2100 });
+    const session = await new PerformanceChecker({ settleTime: 0 }).prepare(page, 'mobile');
+    emit('Network.responseReceived', { type: 'Document' });
+    emit('Network.responseReceived', { type: 'Image' });
+    emit('Network.responseReceived', { type: 'Image' });
+    emit('Network.loadingFinished', { encodedDataLength: 1000 });
+    emit('Network.loadingFinished', { encodedDataLength: 2500 });
+    emit('Network.loadingFailed', {});
+
+    const metrics = await session.collect();
+    expect(metrics).toMatchObject({
+      lcp: 2100, transferBytes: 3500, requestCount: 3, failedRequests: 1,
+      requestsByType: { document: 1, image: 2 },
+    });
+    expect(calls).toContainEqual(['evaluate', PerformanceChecker.readPerformanceObservers]);
+    expect(calls).toContainEqual(['cdp', 'detach']);
+  });
+
+  describe('ページ内スクリプト', () => {
+    const originalWindow = global.window;
+    afterEach(() => { global.window = originalWindow; });
+
+    /** type ごとに登録された observer へエントリを流せるフェイクの window */
+    function makeFakeWindow(navigation, paints) {
+      const observers = {};
+      global.window = {
+        PerformanceObserver: class {
+          constructor(callback) { this.callback = callback; }
+          observe({ type }) { observers[type] = this.callback; }
+        },
+        performance: {
+          getEntriesByType: (type) => (type === 'navigation' ? [navigation] : paints),
+        },
+      };
+      return (type, entries) => observers[type]({ getEntries: () => entries });
+    }
+
+    test('LCP は最後の候補、CLS はセッションウィンドウの最大値、TBT は FCP 以降の Long Task', () => {
+      const push = makeFakeWindow(
+        { responseStart: 180, domContentLoadedEventEnd: 700, loadEventEnd: 1500 },
+        [{ name: 'first-contentful-paint', startTime: 600 }]
+      );
+      PerformanceChecker.installPerformanceObservers();
+
+      push('largest-contentful-paint', [
+        { startTime: 800, element: { tagName: 'H1' } },
+        { startTime: 1400, element: { tagName: 'IMG', currentSrc: 'https://example.com/hero.webp' } },
+      ]);
+      // 1つ目のウィンドウ: 0.05 + 0.04、2つ目（1秒以上空く）: 0.12、入力直後のずれは除外
+      push('layout-shift', [
+        { startTime: 1000, value: 0.05, hadRecentInput: false },
+        { startTime: 1500, value: 0.04, hadRecentInput: false },
+        { startTime: 3000, value: 0.12, hadRecentInput: false },
+        { startTime: 3200, value: 0.3, hadRecentInput: true },
+      ]);
+      push('longtask', [
+        { startTime: 100, duration: 400 }, // FCP 前に終わる
+        { startTime: 900, duration: 120 },
+        { startTime: 1300, duration: 250 },
+      ]);
+
+      const metrics = PerformanceChecker.readPerformanceObservers();
+      expect(metrics).toMatchObject({
+        lcp: 1400,
+        lcpElement: '<img src="https://example.com/hero.webp">',
+        cls: 0.12,
+        tbt: 70 + 200,
+        inp: null,
+        fcp: 600,
+        ttfb: 180,
+        longTaskCount: 3,
+      });
+    });
+  });
+});
+
+describe('Phase 3-H: checkSEO への統合', () => {
+  const HTML = '<html lang="ja"><head><title>パフォーマンス計測テスト</title></head><body><h1>見出し</h1><p>本文</p></body></html>';
+
+  function makeChecker(performance) {
+    const checker = new SEOChecker();
+    const fetchCalls = [];
+    checker.fetchHTMLWithPuppeteer = async (url, options) => {
+      fetchCalls.push(options);
+      if (performance instanceof Error) throw performance;
+      const fetched = { html: HTML, statusCode: 200, headers: {}, finalUrl: url, redirectChain: [], clientRedirects: [] };
+      return options && options.performanceProfile ? { ...fetched, performance } : fetched;
+    };
+    checker.fetchHTMLWithAxios = async () => ({ html: HTML, statusCode: 200, headers: {}, finalUrl: URL_, redirectChain: [] });
+    checker.sitemapChecker.check = async () => ({ skipped: true });
+    checker.aioChecker.checkLlmsTxtSafe = async () => checker.aioChecker._llmsTxtSkippedResult();
+    checker.hreflangChecker.fetchImpl = async () => ({ statusCode: 404, headers: {}, html: '' });
+    return { checker, fetchCalls };
+  }
+
+  test('measurePerformance 指定時は Puppeteer で計測し、performance カテゴリを総合スコアに 10% 配分する', async () => {
+    const slow = { profile: 'desktop', metrics: { ...GOOD_METRICS, lcp: 5000, tbt: 800 } };
+    const { checker, fetchCalls } = makeChecker(slow);
+    const baseline = await checker.checkSEO(URL_, null, false);
+    const results = await checker.checkSEO(URL_, null, false, { measurePerformance: true, performanceProfile: 'desktop' });
+
+    expect(fetchCalls).toEqual([{ performanceProfile: 'desktop', mobileAudit: true }]);
+    const perf = results.checks.performance;
+    expect(perf).toMatchObject({ profile: 'desktop', score: 40 });
+    expect(perf.recommendations).toContain('LCP 要素を早く表示する');
+    expect(Array.isArray(perf.richRecommendations)).toBe(true);
+    expect(baseline.checks.performance).toBeUndefined();
+
+    const withoutPerf = { ...results.checks };
+    delete withoutPerf.performance;
+    expect(results.overallScore).toBe(Math.round(checker.calculateOverallScore(withoutPerf) * 0.9 + 40 * 0.1));
+    expect(results.conciseRecommendations.some(r => r.category === 'performance')).toBe(true);
+  });
+
+  test('Puppeteer が失敗したら performance を省略し、警告を残す', async () => {
+    const { checker } = makeChecker(new Error('Could not find Chrome'));
+    const results = await checker.checkSEO(URL_, null, false, { measurePerformance: true });
+    expect(results.checks.performance).toBeUndefined();
+    expect(results.warnings.map(w => w.code)).toEqual(['ADVANCED_FALLBACK_TO_SIMPLE', 'PERFORMANCE_NOT_MEASURED']);
+  });
+
+  test('HTML直接入力では計測しない', async () => {
+    const { checker, fetchCalls } = makeChecker(null);
+    const results = await checker.checkSEO(null, HTML, false, { measurePerformance: true });
+    expect(fetchCalls).toEqual([]);
+    expect(results.checks.performance).toBeUndefined();
+    expect(results.warnings).toEqual([]);
+  });
+
+  test('パフォーマンスの issue は専用キー・fix・ドキュメントに対応する', () => {
+    const reporter = new EnhancedReporter();
+    expect(reporter.getIssueKey('LCP（最大コンテンツの描画）が4.5秒です（目標: 2.5秒以内）')).toBe('perf_lcp');
+    expect(reporter.getIssueKey('ページの転送量が4.0MBです（目標: 3MB以内）')).toBe('perf_transfer_size');
+    expect(reporter.getDocLink('CLS（レイアウトのずれ）が0.15です（目標: 0.1以下）', 'performance')).toBe('https://web.dev/articles/optimize-cls');
+    expect(reporter.getConciseFix('TBT（メインスレッドのブロック時間）が700ミリ秒です（目標: 200ミリ秒以内。INP の代替指標）', 'performance'))
+      .toContain('defer');
+    expect(reporter.getConciseFix('リクエスト数が120件です（目標: 100件以内）', 'performance')).toContain('サードパーティ');
+  });
+});
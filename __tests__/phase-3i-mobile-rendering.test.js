@@ -0,0 +1,235 @@
+/**
+ * Phase 3-I: モバイル表示の実測監査のテスト
+ * ページ内の計測処理はレイアウト（getBoundingClientRect / getComputedStyle）を持つフェイクの DOM で実行する
+ */
+const MobileRenderingAuditor = require('../mobile-rendering-auditor');
+const EnhancedReporter = require('../enhanced-reporter.js');
+const SEOChecker = require('../index.js');
+
+const URL_ = 'https://example.com/';
+const TAP_SELECTOR = 'a[href], button, input:not([type="hidden"]), select, textarea, [role="button"]';
+
+/**
+ * 最小限のフェイク DOM
+ * el({ tag, rect: [left, top, width, height], style, text, children, tap })
+ */
+function buildDom(vw, vh, bodySpec, { scrollWidth = vw } = {}) {
+  const all = [];
+  const textNodes = [];
+  const make = (spec, parent) => {
+    const [left, top, width, height] = spec.rect || [0, 0, 0, 0];
+    const el = {
+      tagName: (spec.tag || 'div').toUpperCase(),
+      id: spec.id || '',
+      className: spec.className || '',
+      parentElement: parent,
+      children: [],
+      tap: !!spec.tap,
+      style: { display: 'block', visibility: 'visible', opacity: '1', position: 'static', fontSize: '16px', ...spec.style },
+      getBoundingClientRect: () => ({ left, top, width, height, right: left + width, bottom: top + height }),
+      getAttribute: () => null,
+      contains(other) {
+        for (let node = other; node; node = node.parentElement) if (node === this) return true;
+        return false;
+      },
+    };
+    if (parent) all.push(el);
+    if (spec.text) textNodes.push({ textContent: spec.text, parentElement: el });
+    el.children = (spec.children || []).map(child => make(child, el));
+    Object.defineProperty(el, 'textContent', {
+      get: () => (spec.text || '') + el.children.map(c => c.textContent).join(''),
+    });
+    return el;
+  };
+  const body = make({ tag: 'body', rect: [0, 0, vw, vh], children: bodySpec }, null);
+
+  global.NodeFilter = { SHOW_TEXT: 4 };
+  global.window = {
+    innerWidth: vw,
+    innerHeight: vh,
+    scrollX: 0,
+    scrollY: 0,
+    getComputedStyle: (el) => el.style,
+  };
+  global.document = {
+    body: {
+      ...body,
+      scrollWidth,
+      querySelectorAll: (selector) => (selector === '*' ? all : []),
+    },
+    documentElement: { scrollWidth },
+    querySelectorAll: (selector) => (selector === TAP_SELECTOR ? all.filter(el => el.tap) : []),
+    createTreeWalker: () => {
+      let i = 0;
+      return { nextNode: () => textNodes[i++] || null };
+    },
+  };
+}
+
+const CLEAN_RAW = {
+  viewport: { width: 412, height: 823 },
+  tapTargets: { total: 10, smallCount: 0, small: [], closePairCount: 0, closePairs: [] },
+  text: { totalChars: 500, smallChars: 20, smallRatio: 0.04, examples: [] },
+  overflow: { viewportWidth: 412, scrollWidth: 412, overflowing: false, offenders: [] },
+  interstitials: [],
+};
+
+describe('Phase 3-I: ページ内の計測処理', () => {
+  const saved = { window: global.window, document: global.document, NodeFilter: global.NodeFilter };
+  afterEach(() => Object.assign(global, saved));
+
+  const measure = () => MobileRenderingAuditor.measureMobileLayout(new MobileRenderingAuditor().thresholds);
+
+  test('密集した小さいターゲットと間隔の狭いペアを数え、離れたターゲット・文中リンクは除外する', () => {
+    buildDom(412, 823, [
+      { tag: 'button', className: 'icon prev', rect: [10, 10, 30, 30], tap: true },
+      { tag: 'button', className: 'icon next', rect: [44, 10, 30, 30], tap: true },
+      // 周囲に他のターゲットが無い小さいリンクは押し間違えないので対象外
+      { tag: 'a', id: 'lonely', rect: [300, 600, 30, 30], tap: true },
+      { tag: 'p', rect: [0, 300, 412, 60], text: 'この段落には十分に長い本文があり、その途中に', children: [
+        { tag: 'a', rect: [100, 320, 40, 16], style: { display: 'inline' }, text: '詳細', tap: true },
+      ] },
+      { tag: 'a', className: 'cta', rect: [10, 400, 200, 48], tap: true, children: [
+        { tag: 'button', rect: [20, 405, 100, 38], tap: true },
+      ] },
+    ]);
+    const { tapTargets } = measure();
+    expect(tapTargets.total).toBe(5);
+    expect(tapTargets.small).toEqual([
+      { selector: 'button.icon.prev', text: '', width: 30, height: 30 },
+      { selector: 'button.icon.next', text: '', width: 30, height: 30 },
+    ]);
+    expect(tapTargets.closePairs).toEqual([{ a: 'button.icon.prev', b: 'button.icon.next', gap: 4 }]);
+  });
+
+  test('12px 未満の文字の割合を文字数で測る', () => {
+    buildDom(412, 823, [
+      { tag: 'p', rect: [0, 0, 412, 100], text: 'あ'.repeat(100) },
+      { tag: 'small', className: 'note', rect: [0, 100, 412, 100], style: { fontSize: '10px' }, text: 'い'.repeat(200) },
+      { tag: 'p', rect: [0, 0, 0, 0], style: { display: 'none' }, text: 'う'.repeat(500) },
+    ]);
+    const { text } = measure();
+    expect(text).toMatchObject({ totalChars: 300, smallChars: 200, smallRatio: 0.667 });
+    expect(text.examples).toEqual([{ selector: 'small.note', fontSize: 10, chars: 200 }]);
+  });
+
+  test('横スクロールの原因になっている最上位の要素と、画面を覆う固定要素を記録する', () => {
+    buildDom(412, 823, [
+      { tag: 'table', className: 'price', rect: [0, 0, 900, 300], children: [
+        { tag: 'td', rect: [500, 0, 400, 300] },
+      ] },
+      { tag: 'div', id: 'modal', rect: [0, 0, 412, 823], style: { position: 'fixed' }, text: '会員登録してください', children: [
+        { tag: 'div', className: 'modal-body', rect: [20, 100, 372, 600], style: { position: 'fixed' } },
+      ] },
+      { tag: 'div', className: 'cookie', rect: [0, 743, 412, 80], style: { position: 'fixed' } },
+    ], { scrollWidth: 900 });
+    const { overflow, interstitials } = measure();
+    expect(overflow).toMatchObject({ viewportWidth: 412, scrollWidth: 900, overflowing: true });
+    expect(overflow.offenders).toEqual([{ selector: 'table.price', width: 900, right: 900 }]);
+    expect(interstitials).toEqual([{ selector: 'div#modal', coverage: 1, text: '会員登録してください' }]);
+  });
+});
+
+describe('Phase 3-I: 計測値の評価', () => {
+  const auditor = new MobileRenderingAuditor();
+
+  test('問題が無ければ issue なし', () => {
+    const result = auditor.evaluate(CLEAN_RAW);
+    expect(result).toMatchObject({ measured: true, issues: [], recommendations: [] });
+  });
+
+  test('タッチターゲット・文字サイズ・横スクロール・インタースティシャルをそれぞれ指摘する', () => {
+    const result = auditor.evaluate({
+      ...CLEAN_RAW,
+      tapTargets: {
+        total: 30, smallCount: 12, small: [{ selector: 'a.nav-item' }], closePairCount: 3,
+        closePairs: [{ a: 'a.prev', b: 'a.next', gap: 2 }],
+      },
+      text: { totalChars: 500, smallChars: 300, smallRatio: 0.6, examples: [{ selector: 'p.note' }] },
+      overflow: { viewportWidth: 412, scrollWidth: 980, overflowing: true, offenders: [{ selector: 'div.container' }] },
+      interstitials: [{ selector: 'div#modal', coverage: 0.85 }],
+    });
+    expect(result.issues).toEqual([
+      '12個のタッチターゲットが小さすぎます（48×48px未満）',
+      '3組のタッチターゲットの間隔が狭すぎます（8px未満）',
+      '12px未満の文字が本文の60%を占めています',
+      'ページの横幅が画面幅を超えています（画面 412px に対して 980px）',
+      '画面の85%を覆うポップアップ（インタースティシャル）が表示されています',
+    ]);
+    expect(result.recommendations[3].description).toContain('div.container');
+  });
+
+  test('audit はモバイル端末に切り替えてから計測し、emulate: false なら切り替えない', async () => {
+    const calls = [];
+    const page = {
+      setUserAgent: async (ua) => calls.push(['setUserAgent', ua]),
+      setViewport: async (v) => calls.push(['setViewport', v]),
+      waitForNetworkIdle: async () => { calls.push(['waitForNetworkIdle']); throw new Error('timeout'); },
+      evaluate: async (fn, thresholds) => { calls.push(['evaluate', fn, thresholds]); return CLEAN_RAW; },
+    };
+    await expect(auditor.audit(page)).resolves.toBe(CLEAN_RAW);
+    expect(calls.map(c => c[0])).toEqual(['setUserAgent', 'setViewport', 'waitForNetworkIdle', 'evaluate']);
+    expect(calls[1][1]).toMatchObject({ width: 412, isMobile: true });
+    expect(calls[3][1]).toBe(MobileRenderingAuditor.measureMobileLayout);
+
+    calls.length = 0;
+    await auditor.audit(page, { emulate: false });
+    expect(calls.map(c => c[0])).toEqual(['evaluate']);
+  });
+});
+
+describe('Phase 3-I: checkSEO への統合', () => {
+  // 静的チェックではインラインスタイルの無いリンクが全部「小さい」と判定される
+  const HTML = `<html lang="ja"><head><title>モバイル表示テスト</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1"></head>
+    <body><h1>見出し</h1><a href="/a">A</a><a href="/b">B</a><button>送信</button></body></html>`;
+
+  function makeChecker(mobileAudit) {
+    const checker = new SEOChecker();
+    const fetchCalls = [];
+    const fetched = { html: HTML, statusCode: 200, headers: {}, finalUrl: URL_, redirectChain: [] };
+    checker.fetchHTMLWithPuppeteer = async (url, options) => {
+      fetchCalls.push(options);
+      return { ...fetched, clientRedirects: [], mobileAudit };
+    };
+    checker.fetchHTMLWithAxios = async () => fetched;
+    checker.sitemapChecker.check = async () => ({ skipped: true });
+    checker.aioChecker.checkLlmsTxtSafe = async () => checker.aioChecker._llmsTxtSkippedResult();
+    checker.hreflangChecker.fetchImpl = async () => ({ statusCode: 404, headers: {}, html: '' });
+    return { checker, fetchCalls };
+  }
+
+  test('Advanced Check では静的なタッチターゲット推定の代わりに実測結果を使う', async () => {
+    const raw = { ...CLEAN_RAW, overflow: { viewportWidth: 412, scrollWidth: 600, overflowing: true, offenders: [] } };
+    const { checker, fetchCalls } = makeChecker(raw);
+    const results = await checker.checkSEO(URL_, null, true);
+    const other = results.checks.otherSEOElements;
+
+    expect(fetchCalls).toEqual([{ mobileAudit: true }]);
+    expect(other.issues).toContain('ページの横幅が画面幅を超えています（画面 412px に対して 600px）');
+    expect(other.issues.some(i => i.includes('タッチターゲットが小さすぎます'))).toBe(false);
+    expect(other.recommendations).toContain('横スクロールが発生しないようにする');
+    expect(other.mobileRendering).toMatchObject({ measured: true, overflow: { scrollWidth: 600 } });
+    expect(other.mobileRendering.richRecommendations).toHaveLength(1);
+  });
+
+  test('Simple Check と、実測に失敗した場合は従来の静的チェックのまま', async () => {
+    const simple = await makeChecker(null).checker.checkSEO(URL_, null, false);
+    expect(simple.checks.otherSEOElements.issues).toContain('3個のタッチターゲットが小さすぎます');
+    expect(simple.checks.otherSEOElements.mobileRendering).toBeUndefined();
+
+    const failed = await makeChecker(null).checker.checkSEO(URL_, null, true);
+    expect(failed.checks.otherSEOElements.issues).toContain('3個のタッチターゲットが小さすぎます');
+  });
+
+  test('実測の issue は専用キー・fix・ドキュメントに対応する', () => {
+    const reporter = new EnhancedReporter();
+    expect(reporter.getIssueKey('12個のタッチターゲットが小さすぎます（48×48px未満）')).toBe('small_touch_targets');
+    expect(reporter.getIssueKey('3組のタッチターゲットの間隔が狭すぎます（8px未満）')).toBe('touch_targets_too_close');
+    expect(reporter.getIssueKey('12px未満の文字が本文の60%を占めています')).toBe('small_font_text');
+    expect(reporter.getDocLink('画面の85%を覆うポップアップ（インタースティシャル）が表示されています', 'otherSEOElements'))
+      .toContain('avoid-intrusive-interstitials');
+    expect(reporter.getConciseFix('ページの横幅が画面幅を超えています（画面 412px に対して 980px）', 'otherSEOElements'))
+      .toContain('max-width: 100%');
+  });
+});
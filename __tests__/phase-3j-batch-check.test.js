@@ -0,0 +1,161 @@
+/**
+ * Phase 3-J: 複数URLの一括診断 (BatchChecker) のテスト
+ *
+ * checkSEO はモックし、以下を検証する:
+ *   1. URL リスト / CSV の読み取り（見出し行・クォート・不正値・重複）
+ *   2. 同時実行数の制限と、1件失敗してもバッチが続行すること
+ *   3. URL ごとの要約・全体集計・CSV 出力
+ */
+const BatchChecker = require('../batch-checker');
+
+function makeChecker(options = {}) {
+  const calls = [];
+  let active = 0;
+  const stats = { maxActive: 0 };
+  return {
+    calls,
+    stats,
+    checkSEO: async (url, html, waitForJS) => {
+      calls.push({ url, waitForJS });
+      active++;
+      stats.maxActive = Math.max(stats.maxActive, active);
+      await new Promise(resolve => setTimeout(resolve, (options.delays && options.delays[url]) || 5));
+      active--;
+      if (options.failOn && options.failOn.includes(url)) {
+        const err = new Error('getaddrinfo ENOTFOUND');
+        err.code = 'ENOTFOUND';
+        throw err;
+      }
+      const score = (options.scores && options.scores[url]) || 70;
+      return {
+        overallScore: score,
+        aioOverallScore: score - 10,
+        combinedScore: score - 5,
+        checks: {
+          titleTag: { score, issues: [] },
+          metaDescription: { score: 40, issues: [] },
+        },
+        aio: { overallScore: score - 10, checks: { llmsTxtCompliance: { score: 0 } } },
+        conciseRecommendations: [
+          { category: 'headingStructure', type: 'seo', priority: 'critical', issue: 'H1タグが存在しません', fix: '<h1>を1つ追加' },
+          { category: 'titleTag', type: 'seo', priority: 'low', issue: 'タイトルが短すぎます（10全角文字）', fix: 'タイトルを延ばす' },
+        ],
+      };
+    },
+  };
+}
+
+const URLS = ['https://example.com/', 'https://example.com/a', 'https://example.com/b', 'https://example.com/c'];
+
+describe('Phase 3-J: URL リストの読み取り', () => {
+  test('配列の URL を正規化し、不正値・http(s) 以外・重複は行番号つきで除外する', () => {
+    const { urls, skipped } = BatchChecker.parseUrlList([
+      'https://example.com', ' https://example.com/a ', 'not a url', 'ftp://example.com/', 'https://example.com/', '',
+    ]);
+    expect(urls).toEqual(['https://example.com/', 'https://example.com/a']);
+    expect(skipped).toEqual([
+      { line: 3, value: 'not a url', reason: 'URLの形式が不正です' },
+      { line: 4, value: 'ftp://example.com/', reason: 'http / https 以外のURLです' },
+      { line: 5, value: 'https://example.com/', reason: '重複しています' },
+    ]);
+  });
+
+  test('CSV は見出し行の url 列を読み、クォート・BOM・CRLF に対応する', () => {
+    const csv = `${String.fromCharCode(0xfeff)}client,URL,memo\r\n` +
+      'A社,https://a.example.com/,"メモ, カンマ入り"\r\n' +
+      'B社,"https://b.example.com/?q=1",""\r\n' +
+      'C社,,"改行\nを含む"\r\n';
+    const { urls, skipped } = BatchChecker.parseUrlList(csv);
+    expect(urls).toEqual(['https://a.example.com/', 'https://b.example.com/?q=1']);
+    expect(skipped).toEqual([]);
+  });
+
+  test('見出し行が無ければ1列目を読み、改行区切りのリストもそのまま使える', () => {
+    const { urls, skipped } = BatchChecker.parseUrlList('https://example.com/a,x\nhttps://example.com/b\nhello\n');
+    expect(urls).toEqual(['https://example.com/a', 'https://example.com/b']);
+    expect(skipped).toEqual([{ line: 3, value: 'hello', reason: 'URLの形式が不正です' }]);
+  });
+
+  test('同時実行数と件数は上限で丸め、waitForJS 時は同時実行を 2 までにする', () => {
+    expect(BatchChecker.resolveOptions({})).toEqual({ concurrency: 3, maxUrls: 50, waitForJS: false });
+    expect(BatchChecker.resolveOptions({ concurrency: '99', maxUrls: 1000 })).toMatchObject({ concurrency: 5, maxUrls: 200 });
+    expect(BatchChecker.resolveOptions({ concurrency: 5, waitForJS: 'true' })).toMatchObject({ concurrency: 2, waitForJS: true });
+    expect(BatchChecker.resolveOptions({ concurrency: 0 }).concurrency).toBe(1);
+  });
+});
+
+describe('Phase 3-J: バッチの実行', () => {
+  test('同時実行数を守り、完了順に関係なく入力順で結果を返す', async () => {
+    const checker = makeChecker({ delays: { [URLS[0]]: 30 } });
+    const batch = new BatchChecker(checker, { concurrency: 2 });
+    const progress = [];
+    const report = await batch.run(URLS, { onProgress: (event) => progress.push(event) });
+
+    expect(checker.stats.maxActive).toBe(2);
+    expect(report.items.map(item => item.url)).toEqual(URLS);
+    expect(progress.map(event => event.completed)).toEqual([1, 2, 3, 4]);
+    expect(progress[0].item.url).not.toBe(URLS[0]);
+    expect(progress[3]).toMatchObject({ total: 4, item: { url: URLS[0] } });
+  });
+
+  test('1件失敗してもバッチは続行し、失敗した行と集計に反映する', async () => {
+    const checker = makeChecker({ failOn: [URLS[1]], scores: { [URLS[2]]: 90, [URLS[3]]: 50 } });
+    const saved = [];
+    const report = await new BatchChecker(checker).run(URLS, {
+      onResult: async (url) => {
+        saved.push(url);
+        throw new Error('DB down');
+      },
+    });
+
+    expect(report.items[1]).toEqual({ url: URLS[1], status: 'error', error: 'getaddrinfo ENOTFOUND', code: 'ENOTFOUND' });
+    expect(saved).toEqual(expect.arrayContaining([URLS[0], URLS[2], URLS[3]]));
+    expect(report.summary).toEqual({
+      total: 4,
+      succeeded: 3,
+      failed: 1,
+      averageScores: { overallScore: 70, aioOverallScore: 60, combinedScore: 65 },
+      lowest: { url: URLS[3], combinedScore: 45 },
+      highest: { url: URLS[2], combinedScore: 85 },
+    });
+  });
+
+  test('URL ごとにスコアとカテゴリ別スコア、最優先の推奨事項を要約する', async () => {
+    const report = await new BatchChecker(makeChecker()).run([URLS[0]]);
+    expect(report.items[0]).toEqual({
+      url: URLS[0],
+      status: 'ok',
+      overallScore: 70,
+      aioOverallScore: 60,
+      combinedScore: 65,
+      categoryScores: { seo: { titleTag: 70, metaDescription: 40 }, aio: { llmsTxtCompliance: 0 } },
+      topRecommendation: { priority: 'critical', category: 'headingStructure', type: 'seo', issue: 'H1タグが存在しません', fix: '<h1>を1つ追加' },
+    });
+  });
+
+  test('maxUrls を超える件数は実行せずに TOO_MANY_URLS', async () => {
+    const checker = makeChecker();
+    await expect(new BatchChecker(checker, { maxUrls: 2 }).run(URLS)).rejects.toMatchObject({ code: 'TOO_MANY_URLS' });
+    expect(checker.calls).toEqual([]);
+  });
+});
+
+describe('Phase 3-J: CSV 出力', () => {
+  test('カテゴリ別スコアを列に展開し、失敗行はエラーだけを埋める', async () => {
+    const batch = new BatchChecker(makeChecker({ failOn: [URLS[1]] }));
+    const csv = batch.toCsv(await batch.run(URLS.slice(0, 2)));
+    const lines = csv.trimEnd().split('\r\n');
+
+    expect(lines[0]).toBe('url,status,overallScore,aioOverallScore,combinedScore,seo:titleTag,seo:metaDescription,aio:llmsTxtCompliance,topPriority,topCategory,topIssue,topFix,error');
+    expect(lines[1]).toBe('https://example.com/,ok,70,60,65,70,40,0,critical,headingStructure,H1タグが存在しません,<h1>を1つ追加,');
+    expect(lines[2]).toBe('https://example.com/a,error,,,,,,,,,,,getaddrinfo ENOTFOUND');
+  });
+
+  test('カンマ・引用符を含むセルはクォートし、式として解釈される値は無効化する', () => {
+    const batch = new BatchChecker(makeChecker());
+    const csv = batch.toCsv({
+      items: [{ url: 'https://example.com/', status: 'error', error: '=HYPERLINK("x"), 失敗' }],
+    });
+    expect(csv.split('\r\n')[1]).toBe('https://example.com/,error,,,,,,,,"\'=HYPERLINK(""x""), 失敗"');
+  });
+});
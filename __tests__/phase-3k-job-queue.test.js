@@ -0,0 +1,291 @@
+/**
+ * Phase 3-K: 非同期ジョブキュー (JobQueue) のテスト
+ *
+ * MemoryJobStore で以下を検証する（MongoJobStore も同じインターフェース）:
+ *   1. 登録 → 実行 → 結果保存と、処理段階（stage）の記録
+ *   2. 待機中 / 処理中ジョブの取り消し
+ *   3. 失敗の記録、担当期限切れジョブの引き継ぎ、中断を繰り返すジョブの中止
+ *   4. checkSEO の onStage による段階通知と中断
+ */
+const JobQueue = require('../job-queue');
+const SEOChecker = require('../index.js');
+
+const { MemoryJobStore, MongoJobStore } = JobQueue;
+
+// 外から resolve できる Promise（処理中のジョブを止めておく用）
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+describe('Phase 3-K: ジョブの実行', () => {
+  test('登録したジョブを実行し、段階と結果を保存する', async () => {
+    const stages = [];
+    const queue = new JobQueue({
+      handlers: {
+        seo: async (params, ctx) => {
+          await ctx.setStage('fetch');
+          stages.push((await queue.get(ctx.jobId)).stage);
+          await ctx.setStage('report');
+          return { url: params.url, overallScore: 80 };
+        },
+      },
+    });
+
+    const job = await queue.enqueue('seo', { url: 'https://example.com/' }, { sessionId: 's1' });
+    expect(job).toMatchObject({ status: 'queued', type: 'seo', result: null });
+
+    await queue.tick();
+    await queue.idle();
+    const done = await queue.get(job.id);
+    expect(stages).toEqual(['fetch']);
+    expect(done).toMatchObject({
+      status: 'succeeded',
+      stage: 'done',
+      attempts: 1,
+      result: { url: 'https://example.com/', overallScore: 80 },
+      error: null,
+    });
+    expect(done.finishedAt).toBeInstanceOf(Date);
+    expect((await queue.store.get(job.id)).sessionId).toBe('s1');
+  });
+
+  test('同時実行数を超えて取り出さず、登録順に処理する', async () => {
+    const order = [];
+    const gate = deferred();
+    const queue = new JobQueue({
+      concurrency: 2,
+      handlers: { seo: async (params) => { order.push(params.n); await gate.promise; } },
+    });
+    for (const n of [1, 2, 3]) await queue.enqueue('seo', { n });
+
+    await queue.tick();
+    expect(queue.running.size).toBe(2);
+    expect(order).toEqual([1, 2]);
+    gate.resolve();
+    await queue.idle();
+    await queue.tick();
+    await queue.idle();
+    expect(order).toEqual([1, 2, 3]);
+  });
+
+  test('失敗はエラーメッセージとコードを記録し、未対応の種別は登録しない', async () => {
+    const queue = new JobQueue({
+      handlers: {
+        seo: async () => {
+          const err = new Error('両方のURLの取得に失敗しました');
+          err.code = 'BOTH_FETCH_FAILED';
+          throw err;
+        },
+      },
+    });
+    const job = await queue.enqueue('seo', {});
+    await queue.tick();
+    await queue.idle();
+    expect(await queue.get(job.id)).toMatchObject({
+      status: 'failed',
+      result: null,
+      error: { message: '両方のURLの取得に失敗しました', code: 'BOTH_FETCH_FAILED' },
+    });
+
+    await expect(queue.enqueue('crawl', {})).rejects.toMatchObject({ code: 'UNSUPPORTED_JOB_TYPE' });
+  });
+});
+
+describe('Phase 3-K: 取り消し', () => {
+  test('待機中のジョブは即座に cancelled になり、実行されない', async () => {
+    const handler = jest.fn();
+    const queue = new JobQueue({ handlers: { seo: handler } });
+    const job = await queue.enqueue('seo', {});
+
+    const cancelled = await queue.cancel(job.id);
+    expect(cancelled.status).toBe('cancelled');
+    expect(JobQueue.isFinished(cancelled)).toBe(true);
+    await queue.tick();
+    await queue.idle();
+    expect(handler).not.toHaveBeenCalled();
+    expect(await queue.cancel('no-such-job')).toBeNull();
+  });
+
+  test('userId を渡すと、ほかの利用者のジョブは取得・取り消しできない', async () => {
+    const queue = new JobQueue({ handlers: { seo: jest.fn() } });
+    const keyed = await queue.enqueue('seo', {}, { userId: 'acme' });
+    const anonymous = await queue.enqueue('seo', {});
+
+    expect(await queue.get(keyed.id, { userId: 'acme' })).toMatchObject({ id: keyed.id });
+    expect(await queue.get(keyed.id, { userId: null })).toBeNull();
+    expect(await queue.get(anonymous.id, { userId: 'acme' })).toBeNull();
+
+    expect(await queue.cancel(keyed.id, { userId: 'other' })).toBeNull();
+    expect((await queue.get(keyed.id)).status).toBe('queued');
+    expect(await queue.cancel(keyed.id, { userId: 'acme' })).toMatchObject({ status: 'cancelled' });
+  });
+
+  test('API キーなしのジョブは、登録時に返したトークンがあるときだけ取得・取り消しできる', async () => {
+    const queue = new JobQueue({ handlers: { seo: jest.fn() } });
+    const mine = await queue.enqueue('seo', {}, { userId: null });
+    const theirs = await queue.enqueue('seo', {}, { userId: null });
+    expect(mine.accessToken).toEqual(expect.any(String));
+    expect(mine.accessToken).not.toBe(theirs.accessToken);
+    // キーのジョブにはトークンを付けない。保存するのはハッシュだけで、取得結果にも出さない
+    expect((await queue.enqueue('seo', {}, { userId: 'acme' })).accessToken).toBeUndefined();
+    expect((await queue.store.get(mine.id)).accessTokenHash).not.toContain(mine.accessToken);
+    expect(await queue.get(mine.id, { userId: null, accessToken: mine.accessToken })).not.toHaveProperty('accessToken');
+
+    // キーなしの呼び出しどうしでも、トークンが無い・違えば見つからない
+    expect(await queue.get(mine.id, { userId: null })).toBeNull();
+    expect(await queue.get(mine.id, { userId: null, accessToken: theirs.accessToken })).toBeNull();
+    expect(await queue.get(mine.id, { userId: null, accessToken: mine.accessToken })).toMatchObject({ id: mine.id });
+    expect(await queue.cancel(mine.id, { userId: null, accessToken: theirs.accessToken })).toBeNull();
+    expect(await queue.cancel(mine.id, { userId: null, accessToken: mine.accessToken })).toMatchObject({ status: 'cancelled' });
+  });
+
+  test('処理中のジョブは次の段階に進むところで止まる', async () => {
+    const gate = deferred();
+    let reachedReport = false;
+    const queue = new JobQueue({
+      handlers: {
+        seo: async (params, ctx) => {
+          await ctx.setStage('fetch');
+          await gate.promise;
+          await ctx.setStage('report');
+          reachedReport = true;
+          return {};
+        },
+      },
+    });
+    const job = await queue.enqueue('seo', {});
+    await queue.tick();
+
+    const cancelling = await queue.cancel(job.id);
+    expect(cancelling).toMatchObject({ status: 'running', cancelRequested: true });
+    gate.resolve();
+    await queue.idle();
+    expect(reachedReport).toBe(false);
+    expect(await queue.get(job.id)).toMatchObject({ status: 'cancelled', result: null, error: null });
+  });
+});
+
+describe('Phase 3-K: インスタンス停止への備え', () => {
+  test('担当期限が切れたジョブは別のワーカーが引き継ぐ', async () => {
+    const store = new MemoryJobStore();
+    const crashed = new JobQueue({ store, workerId: 'crashed', handlers: { seo: async () => ({}) } });
+    const job = await crashed.enqueue('seo', {});
+    // 取り出した直後に落ちた想定（期限 1ms で延長されない）
+    await store.claimNext('crashed', 1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const survivor = new JobQueue({ store, workerId: 'survivor', handlers: { seo: async () => ({ ok: true }) } });
+    await survivor.tick();
+    await survivor.idle();
+    expect(await survivor.get(job.id)).toMatchObject({ status: 'succeeded', attempts: 2, result: { ok: true } });
+    // 落ちたワーカーが後から書き込もうとしても反映されない
+    expect(await store.update(job.id, 'crashed', { status: 'failed' })).toBeNull();
+  });
+
+  test('中断を繰り返したジョブは maxAttempts を超えたら中止する', async () => {
+    const store = new MemoryJobStore();
+    const handler = jest.fn();
+    const queue = new JobQueue({ store, maxAttempts: 2, handlers: { seo: handler } });
+    const job = await queue.enqueue('seo', {});
+    for (let i = 0; i < 2; i++) {
+      await store.claimNext('crashed', 1);
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    await queue.tick();
+    await queue.idle();
+    expect(handler).not.toHaveBeenCalled();
+    expect(await queue.get(job.id)).toMatchObject({ status: 'failed', attempts: 3, error: { code: 'JOB_ABANDONED' } });
+  });
+
+  test('終了したジョブは保持期限を過ぎると消える', async () => {
+    const queue = new JobQueue({ retentionMs: 1, handlers: { seo: async () => ({}) } });
+    const job = await queue.enqueue('seo', {});
+    await queue.tick();
+    await queue.idle();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    expect(await queue.get(job.id)).toBeNull();
+  });
+
+  test('待機中のまま取り消したジョブも保持期限を過ぎると消える', async () => {
+    const queue = new JobQueue({ retentionMs: 1, handlers: { seo: async () => ({}) } });
+    const job = await queue.enqueue('seo', {});
+    const cancelled = await queue.cancel(job.id);
+    expect(cancelled.status).toBe('cancelled');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    expect(await queue.get(job.id)).toBeNull();
+  });
+
+  test('MongoJobStore でも待機中の取り消しに expiresAt（TTL インデックスの対象）を付ける', async () => {
+    const model = { findOneAndUpdate: jest.fn(async (filter, update) => ({ _id: filter._id, ...update.$set })) };
+    const store = new MongoJobStore(model);
+    const id = '64b7f0c2a1b2c3d4e5f60718';
+    const job = await store.requestCancel(id, 60000);
+    expect(job).toMatchObject({ id, status: 'cancelled' });
+    expect(job.expiresAt.getTime() - job.finishedAt.getTime()).toBe(60000);
+  });
+
+  test('MongoJobStore は _id を id に変換し、ObjectId でない ID は DB に問い合わせない', async () => {
+    const model = { findById: jest.fn() };
+    const store = new MongoJobStore(model);
+    expect(await store.get('not-an-object-id')).toBeNull();
+    expect(await store.requestCancel('../etc')).toBeNull();
+    expect(model.findById).not.toHaveBeenCalled();
+    expect(MongoJobStore.toJob({ _id: 'abc', __v: 0, status: 'queued' })).toEqual({ id: 'abc', status: 'queued' });
+  });
+});
+
+describe('Phase 3-K: checkSEO の処理段階', () => {
+  const HTML = '<html lang="ja"><head><title>ジョブのテスト</title></head><body><h1>見出し</h1></body></html>';
+
+  test('fetch → analyze → aio → report の順に onStage を呼ぶ', async () => {
+    const stages = [];
+    const results = await new SEOChecker().checkSEO(null, HTML, false, { onStage: async (stage) => stages.push(stage) });
+    expect(stages).toEqual(['fetch', 'analyze', 'aio', 'report']);
+    expect(results.conciseRecommendations).toBeDefined();
+  });
+
+  test('onStage が throw すると診断を中断する', async () => {
+    const checker = new SEOChecker();
+    const spy = jest.spyOn(checker.aioChecker, 'checkAIO');
+    const onStage = async (stage) => {
+      if (stage === 'aio') throw Object.assign(new Error('ジョブは取り消されました'), { code: 'JOB_CANCELLED' });
+    };
+    await expect(checker.checkSEO(null, HTML, false, { onStage })).rejects.toMatchObject({ code: 'JOB_CANCELLED' });
+    expect(spy).not.toHaveBeenCalled();
+  });
+});
+
+describe('Phase 3-K: /api/jobs の所有者', () => {
+  const axios = require('axios');
+  let server;
+  let baseUrl;
+
+  beforeAll(() => new Promise((resolve) => {
+    server = SEOChecker.app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  }));
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  const request = (method, path, headers = {}) => axios({ method, url: `${baseUrl}${path}`, headers, validateStatus: () => true });
+
+  test('API キーなしのジョブは、登録時に返したトークン（?token= / X-Job-Token）でだけ取得・取り消しできる', async () => {
+    const created = await axios.post(`${baseUrl}/api/jobs`, { type: 'seo', html: '<html><head><title>t</title></head><body></body></html>' }, { validateStatus: () => true });
+    expect(created.status).toBe(202);
+    const { id, accessToken, statusUrl } = created.data.data;
+    expect(accessToken).toEqual(expect.any(String));
+    expect(statusUrl).toBe(`/api/jobs/${id}?token=${encodeURIComponent(accessToken)}`);
+    expect(created.headers.location).toBe(statusUrl);
+
+    expect((await request('get', statusUrl)).data.data).toMatchObject({ id, status: 'queued' });
+    expect((await request('get', `/api/jobs/${id}`)).status).toBe(404);
+    expect((await request('get', `/api/jobs/${id}?token=wrong`)).status).toBe(404);
+    expect((await request('delete', `/api/jobs/${id}`)).status).toBe(404);
+    expect((await request('delete', `/api/jobs/${id}`, { 'X-Job-Token': accessToken })).data.data).toMatchObject({ status: 'cancelled' });
+  });
+});
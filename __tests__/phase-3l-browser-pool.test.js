@@ -0,0 +1,223 @@
+/**
+ * Phase 3-L: Puppeteer ブラウザプール (BrowserPool) のテスト
+ * ブラウザは launchImpl でフェイクに置き換え、Chromium を起動しない
+ */
+const BrowserPool = require('../browser-pool');
+const SEOChecker = require('../index.js');
+const OutboundGuard = require('../outbound-guard');
+
+/** 起動・コンテキスト・終了を記録するフェイクのブラウザ */
+function makeLauncher() {
+  const browsers = [];
+  const launchImpl = async () => {
+    const listeners = {};
+    const browser = {
+      id: browsers.length + 1,
+      closed: false,
+      contexts: [],
+      on: (event, handler) => { listeners[event] = handler; },
+      emit: (event) => listeners[event](),
+      createBrowserContext: async () => {
+        const context = {
+          closed: false,
+          newPage: async () => ({ browserId: browser.id }),
+          close: async () => { context.closed = true; },
+        };
+        browser.contexts.push(context);
+        return context;
+      },
+      close: async () => { browser.closed = true; },
+    };
+    browsers.push(browser);
+    return browser;
+  };
+  return { browsers, launchImpl };
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+const heap = (mb) => () => ({ heapUsed: mb * 1024 * 1024 });
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Phase 3-L: ブラウザの使い回し', () => {
+  test('1つのブラウザを使い回し、ページごとにコンテキストを作って閉じる', async () => {
+    const { browsers, launchImpl } = makeLauncher();
+    const pool = new BrowserPool({ launchImpl, memoryUsageImpl: heap(100) });
+
+    const first = await pool.withPage(async page => page.browserId);
+    const second = await pool.withPage(async page => page.browserId);
+    expect([first, second]).toEqual([1, 1]);
+    expect(browsers).toHaveLength(1);
+    expect(browsers[0].contexts.map(c => c.closed)).toEqual([true, true]);
+    expect(pool.getStats()).toMatchObject({ browsers: 1, activePages: 0, launched: 1, pagesServed: 2 });
+    await pool.close();
+    expect(browsers[0].closed).toBe(true);
+  });
+
+  test('recycleAfterPages ページ処理したブラウザは閉じて作り直す', async () => {
+    const { browsers, launchImpl } = makeLauncher();
+    const pool = new BrowserPool({ launchImpl, memoryUsageImpl: heap(100), recycleAfterPages: 2 });
+    const ids = [];
+    for (let i = 0; i < 3; i++) ids.push(await pool.withPage(async page => page.browserId));
+
+    expect(ids).toEqual([1, 1, 2]);
+    expect(browsers[0].closed).toBe(true);
+    expect(pool.getStats()).toMatchObject({ browsers: 1, launched: 2, recycled: 1 });
+    await pool.close();
+  });
+
+  test('ヒープが recycleHeapMB を超えたら、処理中のページが終わってからブラウザを作り直す', async () => {
+    const { browsers, launchImpl } = makeLauncher();
+    let heapMB = 100;
+    const pool = new BrowserPool({ launchImpl, memoryUsageImpl: () => ({ heapUsed: heapMB * 1024 * 1024 }), recycleHeapMB: 300 });
+    const gate = deferred();
+    const slow = pool.withPage(() => gate.promise);
+    await tick();
+
+    heapMB = 350;
+    await pool.withPage(async () => {});
+    expect(browsers[0].closed).toBe(false);
+    gate.resolve();
+    await slow;
+    expect(browsers[0].closed).toBe(true);
+    expect(pool.getStats().browsers).toBe(0);
+  });
+
+  test('起動に失敗したら枠を返し、次の要求で起動し直す', async () => {
+    const { browsers, launchImpl } = makeLauncher();
+    let fail = true;
+    const pool = new BrowserPool({
+      memoryUsageImpl: heap(100),
+      launchImpl: async () => {
+        if (fail) throw new Error('Could not find Chrome');
+        return launchImpl();
+      },
+    });
+    await expect(pool.withPage(async () => {})).rejects.toThrow('Could not find Chrome');
+    expect(pool.getStats()).toMatchObject({ browsers: 0, activePages: 0 });
+
+    fail = false;
+    await expect(pool.withPage(async page => page.browserId)).resolves.toBe(1);
+    expect(browsers).toHaveLength(1);
+    await pool.close();
+  });
+
+  test('クラッシュしたブラウザには以後割り当てない', async () => {
+    const { browsers, launchImpl } = makeLauncher();
+    const pool = new BrowserPool({ launchImpl, memoryUsageImpl: heap(100) });
+    await pool.withPage(async () => {});
+    browsers[0].emit('disconnected');
+    await expect(pool.withPage(async page => page.browserId)).resolves.toBe(2);
+    await pool.close();
+  });
+
+  test('しばらく使われないブラウザは閉じる', async () => {
+    const { browsers, launchImpl } = makeLauncher();
+    const pool = new BrowserPool({ launchImpl, memoryUsageImpl: heap(100), idleCloseMs: 5 });
+    await pool.withPage(async () => {});
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(browsers[0].closed).toBe(true);
+    expect(pool.getStats().browsers).toBe(0);
+  });
+});
+
+describe('Phase 3-L: 同時実行数の制限と受付停止', () => {
+  test('同時に開くページ数を超えた要求は待ち行列に並び、空いた順に処理する', async () => {
+    const { launchImpl } = makeLauncher();
+    const pool = new BrowserPool({ launchImpl, memoryUsageImpl: heap(100), maxBrowsers: 1, pagesPerBrowser: 2 });
+    const gates = [deferred(), deferred(), deferred()];
+    const started = [];
+    const runs = gates.map((gate, i) => pool.withPage(async () => { started.push(i); await gate.promise; }));
+    await tick();
+
+    expect(started).toEqual([0, 1]);
+    expect(pool.getStats()).toMatchObject({ activePages: 2, capacity: 2, queued: 1 });
+    gates[0].resolve();
+    await runs[0];
+    await tick();
+    expect(started).toEqual([0, 1, 2]);
+    gates[1].resolve();
+    gates[2].resolve();
+    await Promise.all(runs);
+    await pool.close();
+  });
+
+  test('待ち行列が満杯なら BROWSER_QUEUE_FULL（503）で断る', async () => {
+    const { launchImpl } = makeLauncher();
+    const pool = new BrowserPool({ launchImpl, memoryUsageImpl: heap(100), pagesPerBrowser: 1, maxQueue: 1 });
+    const gate = deferred();
+    const running = pool.withPage(() => gate.promise);
+    const queued = pool.withPage(async () => 'queued');
+    await tick();
+
+    await expect(pool.withPage(async () => {})).rejects.toMatchObject({ code: 'BROWSER_QUEUE_FULL', status: 503 });
+    expect(pool.getStats().rejectedQueueFull).toBe(1);
+    gate.resolve();
+    await expect(queued).resolves.toBe('queued');
+    await running;
+    await pool.close();
+  });
+
+  test('待ち時間が queueTimeoutMs を超えたら BROWSER_QUEUE_TIMEOUT', async () => {
+    const { launchImpl } = makeLauncher();
+    const pool = new BrowserPool({ launchImpl, memoryUsageImpl: heap(100), pagesPerBrowser: 1, queueTimeoutMs: 10 });
+    const gate = deferred();
+    const running = pool.withPage(() => gate.promise);
+
+    const error = await pool.withPage(async () => {}).catch(e => e);
+    expect(BrowserPool.isOverloadError(error)).toBe(true);
+    expect(error.code).toBe('BROWSER_QUEUE_TIMEOUT');
+    expect(pool.getStats().queued).toBe(0);
+    gate.resolve();
+    await running;
+    await pool.close();
+  });
+
+  test('ヒープが heapBudgetMB を超えていればブラウザを起動せず MEMORY_OVER_BUDGET', async () => {
+    const { browsers, launchImpl } = makeLauncher();
+    const pool = new BrowserPool({ launchImpl, memoryUsageImpl: heap(450), heapBudgetMB: 420 });
+    await expect(pool.withPage(async () => {})).rejects.toMatchObject({ code: 'MEMORY_OVER_BUDGET', status: 503 });
+    expect(browsers).toHaveLength(0);
+    expect(pool.getStats()).toMatchObject({ rejectedMemory: 1, heapUsedMB: 450, heapBudgetMB: 420 });
+  });
+});
+
+describe('Phase 3-L: checkSEO との連携', () => {
+  const HTML = '<html><head><title>プールのテスト</title></head><body><h1>見出し</h1></body></html>';
+
+  function makeChecker(withPage) {
+    const checker = new SEOChecker();
+    checker.browserPool = { withPage };
+    // 名前解決できない環境でも宛先検査を通す（Phase 3-M は解決できない宛先を拒否する）
+    checker.outboundGuard = new OutboundGuard({ lookupImpl: (hostname, options, callback) => callback(null, [{ address: '93.184.216.34', family: 4 }]) });
+    checker.fetchHTMLWithAxios = jest.fn(async () => ({ html: HTML, statusCode: 200, headers: {}, finalUrl: 'https://example.com/', redirectChain: [] }));
+    checker.sitemapChecker.check = async () => ({ skipped: true });
+    checker.aioChecker.checkLlmsTxtSafe = async () => checker.aioChecker._llmsTxtSkippedResult();
+    checker.hreflangChecker.fetchImpl = async () => ({ statusCode: 404, headers: {}, html: '' });
+    checker.socialMetadataChecker.imageProbeImpl = async () => ({ statusCode: 404, headers: {}, body: null });
+    return checker;
+  }
+
+  test('SEOChecker のインスタンス間で同じプールを共有する', () => {
+    expect(new SEOChecker().browserPool).toBe(new SEOChecker().browserPool);
+    expect(new SEOChecker().browserPool).toBeInstanceOf(BrowserPool);
+  });
+
+  test('プールに断られた Advanced Check は Simple Check に落とさずそのまま失敗させる', async () => {
+    const overload = Object.assign(new Error('混雑しているため受け付けられません'), { code: 'BROWSER_QUEUE_FULL', status: 503 });
+    const checker = makeChecker(async () => { throw overload; });
+    await expect(checker.checkSEO('https://example.com/', null, true)).rejects.toBe(overload);
+    expect(checker.fetchHTMLWithAxios).not.toHaveBeenCalled();
+  });
+
+  test('ブラウザ自体の失敗は従来どおり Simple Check にフォールバックする', async () => {
+    const checker = makeChecker(async () => { throw new Error('Navigation timeout'); });
+    const results = await checker.checkSEO('https://example.com/', null, true);
+    expect(checker.fetchHTMLWithAxios).toHaveBeenCalled();
+    expect(results.warnings.map(w => w.code)).toContain('ADVANCED_FALLBACK_TO_SIMPLE');
+  });
+});
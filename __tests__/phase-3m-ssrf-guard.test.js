@@ -0,0 +1,272 @@
+/**
+ * Phase 3-M: 外向きリクエストの SSRF 対策 (OutboundGuard) のテスト
+ * 名前解決は lookupImpl で差し替え、実際のネットワークには出ない
+ */
+const axios = require('axios');
+const OutboundGuard = require('../outbound-guard');
+const SEOChecker = require('../index.js');
+const LlmsTxtChecker = require('../llms-txt-checker');
+const SitemapChecker = require('../sitemap-checker');
+const LinkVerifier = require('../link-verifier');
+
+/** ホスト名 → アドレスの表で名前解決するフェイク（表に無いホストは ENOTFOUND） */
+function fakeLookup(table) {
+  const calls = [];
+  const lookupImpl = (hostname, options, callback) => {
+    calls.push(hostname);
+    const addresses = table[hostname];
+    if (!addresses) return callback(Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' }));
+    return callback(null, addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+  };
+  return { calls, lookupImpl };
+}
+
+const blocked = { code: 'BLOCKED_DESTINATION', status: 400 };
+
+describe('Phase 3-M: URL の検査（名前解決なし）', () => {
+  const guard = new OutboundGuard();
+
+  test.each([
+    'http://127.0.0.1/',
+    'http://2130706433/',                       // 10進表記の 127.0.0.1
+    'http://169.254.169.254/latest/meta-data/', // クラウドのメタデータ
+    'http://10.0.0.5/',
+    'http://172.20.1.1/',
+    'http://192.168.1.1/',
+    'http://100.64.0.1/',
+    'http://0.0.0.0/',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://[fd00:ec2::254]/',
+    'http://[fe80::1]/',
+    'http://[64:ff9b::a9fe:a9fe]/',             // NAT64 経由の 169.254.169.254
+    'http://[2002:7f00:1::]/',                  // 6to4 に埋め込んだ 127.0.0.1
+    'http://[2002:a9fe:a9fe::1]/',              // 6to4 に埋め込んだ 169.254.169.254
+    'http://[::127.0.0.1]/',                    // IPv4 互換アドレスの 127.0.0.1
+    'http://[::a00:5]/',                        // IPv4 互換アドレスの 10.0.0.5
+    'http://[::ffff:0:7f00:1]/',                // IPv4 変換アドレスの 127.0.0.1
+    'http://[::ffff:0:a9fe:a9fe]/',             // IPv4 変換アドレスの 169.254.169.254
+    'http://[fec0::1]/',                        // サイトローカル（廃止済み）
+    'http://localhost/',
+    'http://app.localhost/',
+    'http://metadata.google.internal/',
+  ])('内部ネットワークの宛先は拒否する: %s', (url) => {
+    expect(() => guard.assertUrlAllowed(url)).toThrow(expect.objectContaining(blocked));
+  });
+
+  test.each([
+    'file:///etc/passwd',
+    'ftp://example.com/',
+    'gopher://example.com/',
+    'http://example.com:22/',
+    'https://example.com:6379/',
+    'not a url',
+  ])('http(s) 以外のスキーム・許可していないポートは拒否する: %s', (url) => {
+    expect(() => guard.assertUrlAllowed(url)).toThrow(expect.objectContaining(blocked));
+  });
+
+  test.each([
+    'https://example.com/',
+    'http://example.com:8080/',
+    'http://93.184.216.34/',
+    'http://[2606:2800:220:1:248:1893:25c8:1946]/',
+    'http://172.32.0.1/',
+    'http://[2002:5db8:d822::]/',               // 6to4 に埋め込んだ 93.184.216.34
+    'http://[::ffff:0:5db8:d822]/',             // IPv4 変換アドレスの 93.184.216.34
+  ])('公開されている宛先は通す: %s', (url) => {
+    expect(guard.assertUrlAllowed(url)).toBeInstanceOf(URL);
+  });
+
+  test('エラーには拒否した宛先と理由が入る', () => {
+    let error;
+    try { guard.assertUrlAllowed('http://169.254.169.254/'); } catch (e) { error = e; }
+    expect(error).toBeInstanceOf(Error);
+    expect(error).toMatchObject({ destination: 'http://169.254.169.254/' });
+    expect(error.reason).toContain('169.254.169.254');
+    expect(OutboundGuard.isBlockedError(error)).toBe(true);
+  });
+
+  test('allowedPorts を指定すると既定のポート一覧を置き換える', () => {
+    const custom = new OutboundGuard({ allowedPorts: '443, 9000' });
+    expect(() => custom.assertUrlAllowed('https://example.com:9000/')).not.toThrow();
+    expect(() => custom.assertUrlAllowed('http://example.com/')).toThrow(expect.objectContaining(blocked));
+  });
+});
+
+describe('Phase 3-M: 名前解決後のアドレスの検査', () => {
+  test('解決したアドレスに内部ネットワークが1つでも含まれれば拒否する', async () => {
+    const { lookupImpl } = fakeLookup({
+      'intranet.example.com': ['10.1.2.3'],
+      'mixed.example.com': ['93.184.216.34', '127.0.0.1'],
+      'www.example.com': ['93.184.216.34'],
+    });
+    const guard = new OutboundGuard({ lookupImpl });
+    await expect(guard.check('https://intranet.example.com/')).rejects.toMatchObject(blocked);
+    await expect(guard.check('https://mixed.example.com/')).rejects.toMatchObject(blocked);
+    await expect(guard.check('https://www.example.com/')).resolves.toBeUndefined();
+  });
+
+  test('名前解決できない・アドレスが無いホストは拒否する（ブラウザが解決し直すと内部に届くことがあるため）', async () => {
+    const guard = new OutboundGuard(fakeLookup({ 'empty.example': [] }));
+    await expect(guard.check('https://no-such-host.example/')).rejects.toMatchObject(blocked);
+    await expect(guard.check('https://empty.example/')).rejects.toMatchObject(blocked);
+  });
+
+  test('名前解決の結果は短時間キャッシュする', async () => {
+    const { calls, lookupImpl } = fakeLookup({ 'www.example.com': ['93.184.216.34'] });
+    const guard = new OutboundGuard({ lookupImpl });
+    await guard.check('https://www.example.com/a.js');
+    await guard.check('https://www.example.com/b.css');
+    expect(calls).toEqual(['www.example.com']);
+  });
+
+  test('lookup は dns.lookup 互換で、all の有無に応じて返し方を変える', async () => {
+    const { lookupImpl } = fakeLookup({ 'www.example.com': ['93.184.216.34', '2606:2800:220:1:248:1893:25c8:1946'], 'db.internal.example': ['192.168.0.10'] });
+    const guard = new OutboundGuard({ lookupImpl });
+    const call = (hostname, options) => new Promise(resolve => guard.lookup(hostname, options, (...args) => resolve(args)));
+
+    expect(await call('www.example.com', {})).toEqual([null, '93.184.216.34', 4]);
+    const [, all] = await call('www.example.com', { all: true });
+    expect(all).toHaveLength(2);
+    const [error] = await call('db.internal.example', {});
+    expect(error).toMatchObject(blocked);
+  });
+
+  test('lookup は解決結果が空なら ENOTFOUND で失敗させる', async () => {
+    const guard = new OutboundGuard({ lookupImpl: (hostname, options, callback) => callback(null, []) });
+    const [error] = await new Promise(resolve => guard.lookup('empty.example', {}, (...args) => resolve(args)));
+    expect(error).toMatchObject({ code: 'ENOTFOUND', hostname: 'empty.example' });
+  });
+
+  test('許可リストのホストは検査しない（*.example.com でサブドメインも許可）', async () => {
+    const { lookupImpl } = fakeLookup({ 'staging.corp.example': ['10.0.0.8'], 'api.staging.example.com': ['10.0.0.9'] });
+    const guard = new OutboundGuard({ lookupImpl, allowlist: 'staging.corp.example, *.staging.example.com' });
+    await expect(guard.check('http://staging.corp.example:3000/')).resolves.toBeUndefined();
+    await expect(guard.check('https://api.staging.example.com/')).resolves.toBeUndefined();
+    await expect(guard.check('https://other.corp.example/')).rejects.toMatchObject(blocked);
+    await expect(new OutboundGuard({ lookupImpl }).check('http://staging.corp.example/')).rejects.toMatchObject(blocked);
+  });
+
+  test('自動追跡するリダイレクト先も beforeRedirect で検査する', () => {
+    const guard = new OutboundGuard();
+    expect(() => guard.beforeRedirect({ href: 'http://169.254.169.254/latest' })).toThrow(expect.objectContaining(blocked));
+    expect(() => guard.beforeRedirect({ protocol: 'https:', hostname: 'example.com', path: '/next' })).not.toThrow();
+    const wrapped = Object.assign(new Error('Redirected request failed'), { code: 'ERR_FR_REDIRECTION_FAILURE', cause: OutboundGuard.blockedError('http://10.0.0.1/', 'テスト') });
+    expect(OutboundGuard.findBlockedError(wrapped)).toBe(wrapped.cause);
+  });
+});
+
+describe('Phase 3-M: 各チェッカーの外向きリクエスト', () => {
+  const { lookupImpl } = fakeLookup({ 'intranet.example.com': ['10.1.2.3'] });
+  const guard = new OutboundGuard({ lookupImpl });
+
+  test('llms.txt・サイトマップの取得は BLOCKED_DESTINATION として記録する', async () => {
+    const llms = await new LlmsTxtChecker({ outboundGuard: guard })._fetchText('http://169.254.169.254/llms.txt');
+    expect(llms).toMatchObject({ ok: false, error: 'BLOCKED_DESTINATION' });
+    const sitemap = await new SitemapChecker({ outboundGuard: guard })._fetch('https://intranet.example.com/sitemap.xml');
+    expect(sitemap).toMatchObject({ ok: false, error: 'BLOCKED_DESTINATION' });
+  });
+
+  test('リンク検証は内部ネットワーク宛てのリンクに接続しない', async () => {
+    const verifier = new LinkVerifier({ outboundGuard: guard });
+    const outcome = await verifier.checkLink('https://intranet.example.com/admin');
+    expect(outcome).toMatchObject({ status: 'error', error: 'BLOCKED_DESTINATION' });
+  });
+});
+
+describe('Phase 3-M: SEOChecker の取得', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('Simple Check はリダイレクトのホップごとに宛先を検査する', async () => {
+    const get = jest.spyOn(axios, 'get').mockResolvedValueOnce({
+      status: 302,
+      headers: { location: 'http://169.254.169.254/latest/meta-data/' },
+      data: Buffer.from(''),
+    });
+    const checker = new SEOChecker();
+    await expect(checker.fetchHTMLWithAxios('https://example.com/')).rejects.toMatchObject(blocked);
+    expect(get).toHaveBeenCalledTimes(1);
+    expect(get.mock.calls[0][1].lookup).toBe(checker.outboundGuard.lookup);
+  });
+
+  test('Advanced Check は内部ネットワーク宛てならブラウザを使わず、Simple Check にも落とさない', async () => {
+    const checker = new SEOChecker();
+    checker.browserPool = { withPage: jest.fn() };
+    checker.fetchHTMLWithAxios = jest.fn();
+    await expect(checker.checkSEO('http://169.254.169.254/', null, true)).rejects.toMatchObject(blocked);
+    expect(checker.browserPool.withPage).not.toHaveBeenCalled();
+    expect(checker.fetchHTMLWithAxios).not.toHaveBeenCalled();
+  });
+
+  describe('Puppeteer のリクエスト横取り', () => {
+    /** goto の途中で requests を順にブラウザから出したことにするフェイクのページ */
+    function makePage(requests) {
+      const mainFrame = { name: 'main' };
+      const handled = [];
+      let onRequest = null;
+      const page = {
+        setCacheEnabled: async () => {},
+        setJavaScriptEnabled: async () => {},
+        setViewport: async () => {},
+        setUserAgent: async () => {},
+        setRequestInterception: async () => {},
+        on: (event, handler) => { if (event === 'request') onRequest = handler; },
+        mainFrame: () => mainFrame,
+        goto: async () => {
+          for (const { url, type = 'script', navigation = false } of requests) {
+            await onRequest({
+              url: () => url,
+              resourceType: () => type,
+              isNavigationRequest: () => navigation,
+              frame: () => mainFrame,
+              abort: async (reason = 'failed') => { handled.push([url, `abort:${reason}`]); },
+              continue: async () => { handled.push([url, 'continue']); },
+            });
+          }
+          // ページ本体を中止されたら、実際のブラウザと同じく goto が失敗する
+          if (handled[0][1] !== 'continue') throw new Error('net::ERR_BLOCKED_BY_CLIENT');
+          return null;
+        },
+        waitForNetworkIdle: async () => {},
+        content: async () => '<html><head><title>t</title></head></html>',
+        url: () => requests[0].url,
+      };
+      return { page, handled };
+    }
+
+    function makeChecker() {
+      const checker = new SEOChecker();
+      checker.config.jsWaitTime = 0;
+      checker.waitForDynamicContent = async () => {};
+      checker.outboundGuard = guard;
+      return checker;
+    }
+    const { lookupImpl } = fakeLookup({ 'www.example.com': ['93.184.216.34'], 'intranet.example.com': ['10.1.2.3'] });
+    const guard = new OutboundGuard({ lookupImpl });
+
+    test('サブリソースの内部ネットワーク宛てリクエストだけを中止する', async () => {
+      const { page, handled } = makePage([
+        { url: 'https://www.example.com/', type: 'document', navigation: true },
+        { url: 'https://intranet.example.com/config.js' },
+        { url: 'https://www.example.com/app.js' },
+        { url: 'https://www.example.com/hero.png', type: 'image' },
+      ]);
+      const result = await makeChecker().renderWithPuppeteer(page, 'https://www.example.com/');
+      expect(result.html).toContain('<title>t</title>');
+      expect(handled).toEqual([
+        ['https://www.example.com/', 'continue'],
+        ['https://intranet.example.com/config.js', 'abort:blockedbyclient'],
+        ['https://www.example.com/app.js', 'continue'],
+        ['https://www.example.com/hero.png', 'abort:failed'],
+      ]);
+    });
+
+    test('ページ本体が内部ネットワークへリダイレクトしたら BLOCKED_DESTINATION', async () => {
+      const { page, handled } = makePage([
+        { url: 'http://169.254.169.254/latest/meta-data/', type: 'document', navigation: true },
+      ]);
+      await expect(makeChecker().renderWithPuppeteer(page, 'https://www.example.com/')).rejects.toMatchObject(blocked);
+      expect(handled).toEqual([['http://169.254.169.254/latest/meta-data/', 'abort:blockedbyclient']]);
+    });
+  });
+});
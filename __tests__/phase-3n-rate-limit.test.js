@@ -0,0 +1,288 @@
+/**
+ * Phase 3-N: API キー認証と利用回数の制限 (RateLimiter) のテスト
+ * メモリの保存先と差し替えた時計で検証する（MongoDB の保存先も同じインターフェース）
+ */
+const axios = require('axios');
+const RateLimiter = require('../rate-limiter');
+
+const { MemoryApiKeyStore, MongoUsageStore } = RateLimiter;
+
+/** Express の req の代わり（ヘッダーは小文字で持つ） */
+function makeReq(headers = {}, ip = '203.0.113.5') {
+  return { ip, get: (name) => headers[name.toLowerCase()] };
+}
+
+/** res.set したヘッダーを記録する */
+function makeRes() {
+  const headers = {};
+  return { headers, set: (name, value) => { headers[name] = value; } };
+}
+
+// 2026-10-19 12:00:30 UTC（1分の枠の途中）
+const NOON = Date.UTC(2026, 9, 19, 12, 0, 30);
+
+describe('Phase 3-N: API キー', () => {
+  test('発行したキーはハッシュだけを保存し、Bearer / X-API-Key のどちらでも識別できる', async () => {
+    const keyStore = new MemoryApiKeyStore();
+    const limiter = new RateLimiter({ keyStore });
+    const { key, record } = await limiter.createKey({ name: 'CI', userId: 'acme' });
+
+    expect(key).toMatch(/^sad_[A-Za-z0-9_-]{43}$/);
+    expect(record.keyHash).toBe(RateLimiter.hashKey(key));
+    expect(JSON.stringify([...keyStore.keys.values()])).not.toContain(key);
+    expect(key.startsWith(record.prefix)).toBe(true);
+
+    const viaBearer = await limiter.authenticate(makeReq({ authorization: `Bearer ${key}` }));
+    const viaHeader = await limiter.authenticate(makeReq({ 'x-api-key': key }));
+    expect(viaBearer).toMatchObject({ type: 'key', userId: 'acme', subject: `key:${record.id}` });
+    expect(viaHeader.subject).toBe(viaBearer.subject);
+  });
+
+  test('キーなしは IP アドレスごとの匿名利用として扱う', async () => {
+    const identity = await new RateLimiter().authenticate(makeReq({}, '198.51.100.7'));
+    expect(identity).toMatchObject({ type: 'anonymous', subject: 'ip:198.51.100.7', userId: null });
+    expect(identity.limits).toEqual(RateLimiter.DEFAULT_LIMITS.anonymous);
+  });
+
+  test('未登録・失効したキーは INVALID_API_KEY（401）', async () => {
+    const keyStore = new MemoryApiKeyStore();
+    const limiter = new RateLimiter({ keyStore });
+    await expect(limiter.authenticate(makeReq({ 'x-api-key': 'sad_unknown' }))).rejects.toMatchObject({ code: 'INVALID_API_KEY', status: 401 });
+
+    const { key, record } = await limiter.createKey({ name: 'old', userId: 'acme' });
+    keyStore.keys.get(record.keyHash).revokedAt = new Date();
+    await expect(new RateLimiter({ keyStore }).authenticate(makeReq({ 'x-api-key': key }))).rejects.toMatchObject({ code: 'INVALID_API_KEY' });
+  });
+
+  test('キーごとの limits で既定値を上書きし、最終利用日時を記録する', async () => {
+    const keyStore = new MemoryApiKeyStore();
+    const limiter = new RateLimiter({ keyStore, now: () => NOON });
+    const { key, record } = await limiter.createKey({ name: 'big', userId: 'acme', limits: { llm: { perDay: 5000 }, check: { perMinute: 'x' } } });
+
+    const identity = await limiter.authenticate(makeReq({ 'x-api-key': key }));
+    expect(identity.limits.llm).toEqual({ perMinute: RateLimiter.DEFAULT_LIMITS.key.llm.perMinute, perDay: 5000 });
+    expect(identity.limits.check).toEqual(RateLimiter.DEFAULT_LIMITS.key.check);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(keyStore.keys.get(record.keyHash).lastUsedAt).toEqual(new Date(NOON));
+  });
+
+  test('name と userId の無いキーは発行しない', async () => {
+    await expect(new RateLimiter().createKey({ name: 'x' })).rejects.toMatchObject({ code: 'INVALID_API_KEY_FIELDS' });
+  });
+});
+
+describe('Phase 3-N: 利用回数の制限', () => {
+  const identityWith = (limits) => ({ type: 'key', subject: 'key:test', userId: 'acme', limits });
+
+  test('1分あたりの上限を超えたら RATE_LIMITED、次の分にはリセットされる', async () => {
+    let now = NOON;
+    const limiter = new RateLimiter({ now: () => now });
+    const identity = identityWith({ check: { perMinute: 2, perDay: 100 } });
+
+    const first = await limiter.consume(identity, 'check');
+    expect(first).toMatchObject({ allowed: true, limit: 2, remaining: 1, window: 'perMinute', resetSec: 30 });
+    await limiter.consume(identity, 'check');
+    const third = await limiter.consume(identity, 'check');
+    expect(third).toMatchObject({ allowed: false, code: 'RATE_LIMITED', remaining: 0, resetSec: 30 });
+
+    now += 60 * 1000;
+    expect(await limiter.consume(identity, 'check')).toMatchObject({ allowed: true });
+  });
+
+  test('1日の上限を超えたら QUOTA_EXCEEDED。1分の枠で断った分は1日の回数に数えない', async () => {
+    let now = NOON;
+    const limiter = new RateLimiter({ now: () => now });
+    const identity = identityWith({ llm: { perMinute: 1, perDay: 2 } });
+
+    await limiter.consume(identity, 'llm');
+    expect(await limiter.consume(identity, 'llm')).toMatchObject({ allowed: false, code: 'RATE_LIMITED' });
+    now += 60 * 1000;
+    expect(await limiter.consume(identity, 'llm')).toMatchObject({ allowed: true, remaining: 0 });
+    now += 60 * 1000;
+    const denied = await limiter.consume(identity, 'llm');
+    expect(denied).toMatchObject({ allowed: false, code: 'QUOTA_EXCEEDED', limit: 2 });
+    expect(denied.resetSec).toBe(12 * 60 * 60 - 150); // UTC 0時まで
+    expect(RateLimiter.describe(denied)).toContain('1日の上限（2回）');
+  });
+
+  test('種別ごと・利用者ごとに別々に数え、cost で複数回分を数える', async () => {
+    const limiter = new RateLimiter({ now: () => NOON });
+    const limits = { check: { perMinute: 5, perDay: 100 }, puppeteer: { perMinute: 1, perDay: 10 } };
+    const a = { ...identityWith(limits), subject: 'key:a' };
+    const b = { ...identityWith(limits), subject: 'key:b' };
+
+    expect(await limiter.consume(a, 'puppeteer')).toMatchObject({ allowed: true });
+    expect(await limiter.consume(a, 'check')).toMatchObject({ allowed: true, remaining: 4 });
+    expect(await limiter.consume(b, 'puppeteer')).toMatchObject({ allowed: true });
+    expect(await limiter.consume(a, 'check', 5)).toMatchObject({ allowed: false, code: 'RATE_LIMITED' });
+  });
+
+  test('断った依頼の分は数えず、残りの枠で通る依頼はそのまま通る', async () => {
+    const limiter = new RateLimiter({ now: () => NOON });
+    const identity = identityWith({ check: { perMinute: 10, perDay: 100 } });
+
+    expect(await limiter.consume(identity, 'check', 6)).toMatchObject({ allowed: true, remaining: 4 });
+    for (let i = 0; i < 3; i++) {
+      expect(await limiter.consume(identity, 'check', 5)).toMatchObject({ allowed: false, code: 'RATE_LIMITED', remaining: 4 });
+    }
+    expect(await limiter.consume(identity, 'check', 4)).toMatchObject({ allowed: true, remaining: 0 });
+    // 1日の枠でも断った分は戻す
+    const daily = identityWith({ llm: { perMinute: 50, perDay: 10 } });
+    await limiter.consume(daily, 'llm', 8);
+    expect(await limiter.consume(daily, 'llm', 3)).toMatchObject({ allowed: false, code: 'QUOTA_EXCEEDED' });
+    expect(await limiter.consume(daily, 'llm', 2)).toMatchObject({ allowed: true, window: 'perDay', remaining: 0 });
+  });
+
+  test('cost だけで上限を超える依頼は数えずに COST_EXCEEDS_LIMIT（待っても通らないため Retry-After を付けない）', async () => {
+    const limiter = new RateLimiter({ now: () => NOON });
+    const anonymous = { type: 'anonymous', subject: 'ip:203.0.113.5', userId: null, limits: RateLimiter.DEFAULT_LIMITS.anonymous };
+
+    // 1回で 20 回分として数える依頼は、キーなしの1分あたり 10 回の枠にいつまでも収まらない
+    const denied = await limiter.consume(anonymous, 'check', 20);
+    expect(denied).toMatchObject({ allowed: false, code: 'COST_EXCEEDS_LIMIT', window: 'perMinute', limit: 10, cost: 20 });
+    expect(RateLimiter.describe(denied)).toContain('1分あたりの上限は10回');
+    expect(await limiter.consume(anonymous, 'check', 10)).toMatchObject({ allowed: true, remaining: 0 });
+  });
+
+  test('RateLimit-* ヘッダーを付け、拒否時は Retry-After も付ける', async () => {
+    const limiter = new RateLimiter({ now: () => NOON });
+    const identity = identityWith({ check: { perMinute: 1, perDay: 100 } });
+
+    const allowedRes = makeRes();
+    RateLimiter.setHeaders(allowedRes, await limiter.consume(identity, 'check'));
+    expect(allowedRes.headers).toEqual({
+      'RateLimit-Limit': '1',
+      'RateLimit-Remaining': '0',
+      'RateLimit-Reset': '30',
+      'RateLimit-Policy': '1;w=60, 100;w=86400',
+    });
+
+    const deniedRes = makeRes();
+    RateLimiter.setHeaders(deniedRes, await limiter.consume(identity, 'check'));
+    expect(deniedRes.headers['Retry-After']).toBe('30');
+  });
+
+  test('回数を保存できないときは制限せずに通す', async () => {
+    const logger = { warn: jest.fn() };
+    const limiter = new RateLimiter({ logger, usageStore: { increment: async () => { throw new Error('connection lost'); } } });
+    const decision = await limiter.consume(identityWith(RateLimiter.DEFAULT_LIMITS.key), 'check');
+    expect(decision.allowed).toBe(true);
+    expect(logger.warn).toHaveBeenCalled();
+  });
+
+  test('RATE_LIMITS の上書きは数値だけを採用する', () => {
+    const limiter = new RateLimiter({ limits: { anonymous: { check: { perMinute: 20, perDay: 'many' } } } });
+    expect(limiter.limits.anonymous.check).toEqual({ perMinute: 20, perDay: RateLimiter.DEFAULT_LIMITS.anonymous.check.perDay });
+    expect(limiter.limits.key).toEqual(RateLimiter.DEFAULT_LIMITS.key);
+  });
+
+  test('MongoUsageStore は時間枠ごとのドキュメントに $inc で加算し、枠の終わりに消えるようにする', async () => {
+    const model = { findOneAndUpdate: jest.fn(async () => ({ count: 3 })) };
+    const expiresAt = new Date(NOON + 30 * 1000);
+    expect(await new MongoUsageStore(model).increment('key:a:check:60000:1', 2, expiresAt)).toBe(3);
+    expect(model.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'key:a:check:60000:1' },
+      { $inc: { count: 2 }, $setOnInsert: { expiresAt } },
+      expect.objectContaining({ upsert: true, new: true })
+    );
+  });
+});
+
+describe('Phase 3-N: クロール・一括診断のルート', () => {
+  const SITE = 'https://shop.example.com';
+  const PAGES = 12;
+  let server;
+  let baseUrl;
+  let checkSEO;
+
+  // トップページが 11 ページにリンクする 12 ページのサイト（取得はしない）
+  function fakeResults(url) {
+    const isTop = new URL(url).pathname === '/';
+    const links = isTop ? Array.from({ length: PAGES - 1 }, (_, i) => ({ href: `/${i + 1}` })) : [];
+    return {
+      url,
+      overallScore: 70,
+      aioOverallScore: 60,
+      combinedScore: 65,
+      checks: { titleTag: { score: 70, current: url, issues: [] }, internalLinkStructure: { score: 60, internalLinks: links } },
+      aio: { overallScore: 60, checks: {} },
+      conciseRecommendations: [],
+      contentFingerprint: null,
+    };
+  }
+
+  beforeAll(async () => {
+    // 架空のサイトを許可し、X-Forwarded-For を接続元として使う（読み込み時だけ設定する）
+    const env = { OUTBOUND_ALLOWLIST: 'shop.example.com', TRUST_PROXY: '1' };
+    const original = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+    Object.assign(process.env, env);
+    let SEOChecker;
+    try {
+      jest.isolateModules(() => {
+        SEOChecker = require('../index.js');
+      });
+    } finally {
+      for (const [name, value] of Object.entries(original)) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+    }
+    checkSEO = jest.spyOn(SEOChecker.prototype, 'checkSEO').mockImplementation(async url => fakeResults(url));
+    await new Promise((resolve) => {
+      server = SEOChecker.app.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      });
+    });
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  // クロールは数秒かかるため、途中で1分の枠が切り替わって回数が戻らないよう時刻を止める
+  beforeEach(() => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => Date.now.mockRestore());
+
+  // 呼び出しごとに別の接続元（キーなしの回数は IP ごと）にする
+  let client = 0;
+  async function post(path, body) {
+    client++;
+    return axios.post(`${baseUrl}${path}`, body, {
+      headers: { 'X-Forwarded-For': `203.0.113.${client}` },
+      validateStatus: () => true,
+    });
+  }
+
+  test('キーなしの既定のクロール（最大 20 ページ）は断らず、1分あたりの上限のページ数で止める', async () => {
+    checkSEO.mockClear();
+    const res = await post('/api/crawl', { url: `${SITE}/` });
+    expect(res.status).toBe(200);
+    const report = res.data.data;
+    expect(report.options.maxPages).toBe(20);
+    expect(report.summary.pagesSucceeded).toBe(10);
+    expect(report.truncated).toBe(true);
+    expect(report.stoppedReason).toMatchObject({ code: 'RATE_LIMITED' });
+    expect(checkSEO).toHaveBeenCalledTimes(10);
+  }, 20000);
+
+  test('waitForJS のクロールは puppeteer の枠で数え、上限のページ数まで診断する', async () => {
+    checkSEO.mockClear();
+    const res = await post('/api/crawl', { url: `${SITE}/`, waitForJS: true });
+    expect(res.status).toBe(200);
+    expect(res.data.data.summary.pagesSucceeded).toBe(3);
+    expect(res.data.data.stoppedReason).toMatchObject({ code: 'RATE_LIMITED' });
+    expect(checkSEO.mock.calls.every(call => call[2] === true)).toBe(true);
+  }, 20000);
+
+  test('キーなしの 12 件の一括診断は断らず、上限を超えた URL だけ RATE_LIMITED の行にする', async () => {
+    const urls = Array.from({ length: PAGES }, (_, i) => `${SITE}/${i}`);
+    const res = await post('/api/check/batch', { urls });
+    expect(res.status).toBe(200);
+    const codes = res.data.data.items.map(item => item.code || null);
+    expect(codes.filter(code => code === null)).toHaveLength(10);
+    expect(codes.filter(code => code === 'RATE_LIMITED')).toHaveLength(2);
+  });
+});
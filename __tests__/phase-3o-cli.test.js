@@ -0,0 +1,203 @@
+/**
+ * Phase 3-O: コマンドライン (seo-aio-doctor) のテスト
+ * checker・標準入出力は差し替え、Express サーバーや実際の取得は使わない
+ */
+const { Readable } = require('stream');
+const Cli = require('../cli');
+
+const { EXIT_CODES } = Cli;
+
+/** checkSEO の戻り値の最小形 */
+function makeResults(overrides = {}) {
+  return {
+    url: 'https://example.com/',
+    timestamp: '2026-10-19T00:00:00.000Z',
+    overallScore: 82,
+    aioOverallScore: 64,
+    combinedScore: 73,
+    checks: {
+      titleTag: { score: 100, issues: [] },
+      metaDescription: { score: 40, issues: ['メタディスクリプションが短すぎます'] },
+    },
+    aio: { checks: { llmsTxtCompliance: { score: 50, issues: ['llms.txt | 見出し'] } } },
+    conciseRecommendations: [
+      { priority: 'high', type: 'seo', category: 'metaDescription', issue: 'メタディスクリプションが短すぎます', fix: '70全角文字以上にしてください' },
+      { priority: 'low', type: 'aio', category: 'llmsTxtCompliance', issue: 'llms.txt | 見出し', fix: null },
+    ],
+    warnings: [],
+    ...overrides,
+  };
+}
+
+/** write された文字列をためる出力先 */
+function makeStream() {
+  const stream = { text: '', write: (chunk) => { stream.text += chunk; return true; } };
+  return stream;
+}
+
+function makeCli({ results = makeResults(), checkSEO, stdin, readFileImpl } = {}) {
+  const stdout = makeStream();
+  const stderr = makeStream();
+  const browserPool = { close: jest.fn(async () => {}) };
+  const checker = { checkSEO: jest.fn(checkSEO || (async () => results)), browserPool };
+  const cli = new Cli({
+    createChecker: () => checker,
+    stdin: stdin || Readable.from([]),
+    stdout,
+    stderr,
+    readFileImpl,
+  });
+  return { cli, checker, stdout, stderr, browserPool };
+}
+
+describe('Phase 3-O: 引数の解釈', () => {
+  test('入力・形式・基準を読み取り、--name=value の形も受け付ける', () => {
+    const args = Cli.parseArgs(['https://example.com', '--js', '--format=markdown', '--min-seo', '80', '--min-aio=60', '--fail-on', 'critical']);
+    expect(args).toMatchObject({ input: 'https://example.com', js: true, format: 'markdown', minSeo: 80, minAio: 60, failOn: 'critical' });
+    expect(Cli.parseArgs([])).toMatchObject({ input: null, format: 'table', minSeo: null, failOn: null });
+  });
+
+  test.each([
+    [['--format', 'xml', 'a.html'], '--format'],
+    [['--min-seo', '120', 'a.html'], '--min-seo'],
+    [['--min-aio', 'abc', 'a.html'], '--min-aio'],
+    [['--fail-on', 'urgent', 'a.html'], '--fail-on'],
+    [['--verbose', 'a.html'], '不明なオプション'],
+    [['a.html', 'b.html'], '1つだけ'],
+    [['--js', 'a.html'], '--js'],
+    [['a.html', '--min-seo'], '値を指定'],
+  ])('誤り %j は INVALID_ARGUMENT', (argv, message) => {
+    expect(() => Cli.parseArgs(argv)).toThrow(expect.objectContaining({ code: 'INVALID_ARGUMENT', message: expect.stringContaining(message) }));
+  });
+});
+
+describe('Phase 3-O: 基準の評価', () => {
+  test('スコアが下限以上で、--fail-on の優先度以上の問題が無ければ合格', () => {
+    const evaluation = Cli.evaluateBudget(makeResults(), { minSeo: 80, minAio: 60, failOn: 'critical' });
+    expect(evaluation).toEqual({ passed: true, failures: [], issueCounts: { critical: 0, high: 1, medium: 0, low: 1 } });
+  });
+
+  test('下限を下回ったスコアと、指定した優先度以上の問題をそれぞれ不合格の理由にする', () => {
+    const evaluation = Cli.evaluateBudget(makeResults(), { minSeo: 90, minAio: 60, failOn: 'high' });
+    expect(evaluation.passed).toBe(false);
+    expect(evaluation.failures.map(failure => failure.code)).toEqual(['MIN_SEO', 'FAIL_ON']);
+    expect(evaluation.failures[1].message).toContain('1 件');
+  });
+
+  test('スコアが数値でない結果は下限を満たさない', () => {
+    const evaluation = Cli.evaluateBudget(makeResults({ aioOverallScore: undefined }), { minAio: 0 });
+    expect(evaluation.failures.map(failure => failure.code)).toEqual(['MIN_AIO']);
+  });
+});
+
+describe('Phase 3-O: 出力形式', () => {
+  const results = makeResults();
+  const evaluation = Cli.evaluateBudget(results, { minSeo: 90 });
+
+  test('json はスコア・カテゴリ・問題・基準を機械可読で出す', () => {
+    const json = JSON.parse(Cli.format(results, evaluation, 'json', { minSeo: 90 }));
+    expect(json.scores).toEqual({ seo: 82, aio: 64, combined: 73 });
+    expect(json.categories).toContainEqual({ type: 'aio', category: 'llmsTxtCompliance', score: 50, issues: 1 });
+    expect(json.issues[0]).toEqual({ priority: 'high', type: 'seo', category: 'metaDescription', issue: 'メタディスクリプションが短すぎます', fix: '70全角文字以上にしてください' });
+    expect(json.budget).toMatchObject({ passed: false, minSeo: 90, minAio: null, failOn: null });
+  });
+
+  test('table はスコアと不合格の理由を人が読める形で出す', () => {
+    const table = Cli.format(results, evaluation, 'table');
+    expect(table).toContain('SEO スコア : 82/100');
+    expect(table).toMatch(/seo\s+metaDescription\s+40\s+1/);
+    expect(table).toContain('[high] seo/metaDescription');
+    expect(table).toContain('基準: NG（1 件）');
+    expect(table).toContain('✗ SEO スコア 82 が下限 90 を下回りました');
+  });
+
+  test('markdown は表の | を逃がす', () => {
+    const markdown = Cli.format(results, evaluation, 'markdown');
+    expect(markdown).toContain('| 82 | 64 | 73 | 0 | 1 | 0 | 1 |');
+    expect(markdown).toContain('| aio | `llmsTxtCompliance` | 50 | 1 |');
+    expect(markdown).toContain('llms.txt \\| 見出し');
+  });
+});
+
+describe('Phase 3-O: 実行と終了コード', () => {
+  test('URL を診断し、基準を満たせば 0、満たさなければ 1 を返す', async () => {
+    const ok = makeCli();
+    expect(await ok.cli.run(['https://example.com/', '--js', '--min-seo', '80'])).toBe(EXIT_CODES.ok);
+    expect(ok.checker.checkSEO).toHaveBeenCalledWith('https://example.com/', null, true);
+    expect(ok.stdout.text).toContain('基準: OK');
+
+    const ng = makeCli();
+    expect(await ng.cli.run(['https://example.com/', '--fail-on', 'high', '--format', 'json'])).toBe(EXIT_CODES.budgetFailed);
+    expect(JSON.parse(ng.stdout.text).budget.failures[0].code).toBe('FAIL_ON');
+  });
+
+  test('ローカルの HTML ファイルを読み込んで HTML として診断する', async () => {
+    const readFileImpl = jest.fn(async () => '<html><title>t</title></html>');
+    const { cli, checker } = makeCli({ readFileImpl });
+    expect(await cli.run(['dist/index.html'])).toBe(EXIT_CODES.ok);
+    expect(readFileImpl.mock.calls[0][0]).toMatch(/dist[\\/]index\.html$/);
+    expect(checker.checkSEO).toHaveBeenCalledWith(null, '<html><title>t</title></html>', false);
+  });
+
+  test('- またはパイプ入力では標準入力の HTML を診断する', async () => {
+    const html = '<html><title>日本語のタイトル</title></html>';
+    const dash = makeCli({ stdin: Readable.from([Buffer.from(html)]) });
+    expect(await dash.cli.run(['-'])).toBe(EXIT_CODES.ok);
+    expect(dash.checker.checkSEO).toHaveBeenCalledWith(null, html, false);
+
+    const piped = makeCli({ stdin: Readable.from([html]) });
+    expect(await piped.cli.run([])).toBe(EXIT_CODES.ok);
+    expect(piped.checker.checkSEO).toHaveBeenCalledWith(null, html, false);
+  });
+
+  test('入力なしで端末から起動したら使い方を出して 2', async () => {
+    const stdin = Readable.from([]);
+    stdin.isTTY = true;
+    const { cli, checker, stderr } = makeCli({ stdin });
+    expect(await cli.run([])).toBe(EXIT_CODES.error);
+    expect(stderr.text).toContain('URL・HTML ファイルを指定してください');
+    expect(checker.checkSEO).not.toHaveBeenCalled();
+  });
+
+  test('引数の誤り・読み込めないファイル・空の入力は 2', async () => {
+    const bad = makeCli();
+    expect(await bad.cli.run(['--min-seo', 'x', 'a.html'])).toBe(EXIT_CODES.error);
+    expect(bad.stderr.text).toContain('使い方: seo-aio-doctor');
+
+    const missing = makeCli({ readFileImpl: async () => { throw Object.assign(new Error('no such file'), { code: 'ENOENT' }); } });
+    expect(await missing.cli.run(['missing.html'])).toBe(EXIT_CODES.error);
+    expect(missing.stderr.text).toContain('INPUT_UNREADABLE');
+
+    const empty = makeCli({ stdin: Readable.from(['  \n']) });
+    expect(await empty.cli.run(['-'])).toBe(EXIT_CODES.error);
+    expect(empty.stderr.text).toContain('INPUT_EMPTY');
+  });
+
+  test('診断の失敗は 2 で、内部ネットワーク宛てなら OUTBOUND_ALLOWLIST を案内する。ブラウザは必ず閉じる', async () => {
+    const blocked = Object.assign(new Error('このURLにはアクセスできません'), { code: 'BLOCKED_DESTINATION' });
+    const { cli, stderr, stdout, browserPool } = makeCli({ checkSEO: async () => { throw blocked; } });
+    expect(await cli.run(['http://localhost:3000/'])).toBe(EXIT_CODES.error);
+    expect(stderr.text).toContain('(BLOCKED_DESTINATION)');
+    expect(stderr.text).toContain('OUTBOUND_ALLOWLIST');
+    expect(stdout.text).toBe('');
+    expect(browserPool.close).toHaveBeenCalled();
+  });
+
+  test('結果の warnings は標準エラーに出し、標準出力は結果だけにする', async () => {
+    const results = makeResults({ warnings: [{ code: 'ADVANCED_FALLBACK_TO_SIMPLE', message: 'Simple Check の結果です' }] });
+    const { cli, stdout, stderr } = makeCli({ results });
+    await cli.run(['https://example.com/', '--format', 'json']);
+    expect(stderr.text).toContain('警告: Simple Check の結果です');
+    expect(() => JSON.parse(stdout.text)).not.toThrow();
+  });
+
+  test('--help と --version は 0', async () => {
+    const help = makeCli();
+    expect(await help.cli.run(['--help'])).toBe(EXIT_CODES.ok);
+    expect(help.stdout.text).toContain('--fail-on');
+
+    const version = makeCli();
+    expect(await version.cli.run(['-v'])).toBe(EXIT_CODES.ok);
+    expect(version.stdout.text.trim()).toBe(require('../package.json').version);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Phase 3-P: CI 向けの出力（SARIF / JUnit）のテスト
+ * checkSEO の結果の形を手で組み立て、ルールID・level・場所・合否を検証する
+ */
+const { Readable } = require('stream');
+const CiReporter = require('../ci-reporter');
+const Cli = require('../cli');
+
+const HTML = [
+  '<!DOCTYPE html>',
+  '<html><head><title>短い</title></head>',
+  '<body>',
+  '<img src="/hero.png">',
+  '</body></html>',
+].join('\n');
+
+function makeResults(overrides = {}) {
+  return {
+    url: 'https://example.com/',
+    timestamp: '2026-10-19T00:00:00.000Z',
+    overallScore: 62,
+    aioOverallScore: 48,
+    combinedScore: 55,
+    checks: {
+      titleTag: { score: 50, issues: ['タイトルが短すぎます（2全角文字）'] },
+      imageAltAttributes: { score: 90, issues: ['1個の画像にalt属性がありません'] },
+    },
+    aio: {
+      checks: {
+        credibilitySignals: { score: 30, issues: ['著者情報が見つかりません <author> & "出典"'] },
+        llmsTxtCompliance: { score: 0, issues: [], details: { skipped: true, skipReason: 'URLが指定されていないためllms.txtチェックをスキップしました' } },
+      },
+    },
+    conciseRecommendations: [
+      { priority: 'critical', type: 'seo', category: 'titleTag', issue: 'タイトルが短すぎます（2全角文字）', fix: 'タイトルを拡張してください', element: 'title', location: 'head', docLink: 'https://developers.google.com/search/docs/appearance/title-link?hl=ja' },
+      { priority: 'medium', type: 'seo', category: 'imageAltAttributes', issue: '1個の画像にalt属性がありません', fix: 'alt属性を追加してください', element: 'img', location: 'body' },
+      { priority: 'low', type: 'aio', category: 'credibilitySignals', issue: '著者情報が見つかりません <author> & "出典"', fix: null, element: '本文', location: 'body' },
+    ],
+    detailedAnalysis: {
+      titleTag: { specificIssues: [{ element: 'title', location: 'head', description: '現在のタイトル「短い」は2全角文字で短すぎます' }] },
+      imageAltAttributes: { specificIssues: [{ element: 'img', location: 'body', src: '/hero.png', description: '画像（/hero.png）にalt属性がありません' }] },
+    },
+    ...overrides,
+  };
+}
+
+describe('Phase 3-P: SARIF', () => {
+  test('SARIF 2.1.0 の形で、ツール情報・ルール・スコアを載せる', () => {
+    const sarif = new CiReporter().toSarif(makeResults());
+    expect(sarif.version).toBe('2.1.0');
+    const run = sarif.runs[0];
+    expect(run.tool.driver).toMatchObject({ name: 'seo-aio-doctor', version: require('../package.json').version });
+    expect(run.tool.driver.rules.map(rule => rule.id)).toEqual([
+      'seo/titleTag/title_length',
+      'seo/imageAltAttributes/missing_alt',
+      expect.stringMatching(/^aio\/credibilitySignals\/h[0-9a-f]{8}$/),
+    ]);
+    expect(run.tool.driver.rules[0]).toMatchObject({
+      help: { text: 'タイトルを拡張してください' },
+      helpUri: 'https://developers.google.com/search/docs/appearance/title-link?hl=ja',
+      defaultConfiguration: { level: 'error' },
+    });
+    expect(run.artifacts).toEqual([{ location: { uri: 'https://example.com/' } }]);
+    expect(run.properties).toEqual({ overallScore: 62, aioOverallScore: 48, combinedScore: 55 });
+  });
+
+  test('level は優先度から決め、ruleIndex でルールを指す', () => {
+    const { results } = new CiReporter().toSarif(makeResults()).runs[0];
+    expect(results.map(result => result.level)).toEqual(['error', 'warning', 'note']);
+    expect(results.map(result => result.ruleIndex)).toEqual([0, 1, 2]);
+    expect(results[0].message.text).toBe('タイトルが短すぎます（2全角文字）\n対応: タイトルを拡張してください');
+    expect(results[1].properties).toEqual({ priority: 'medium', type: 'seo', category: 'imageAltAttributes', count: 1 });
+  });
+
+  test('数値が変わってもルールIDとフィンガープリントは変わらない', () => {
+    const reporter = new CiReporter();
+    const before = reporter.toSarif(makeResults()).runs[0].results[0];
+    const changed = makeResults();
+    changed.conciseRecommendations[0] = { ...changed.conciseRecommendations[0], issue: 'タイトルが短すぎます（5全角文字）' };
+    const after = reporter.toSarif(changed).runs[0].results[0];
+    expect(after.ruleId).toBe(before.ruleId);
+    expect(after.partialFingerprints).toEqual(before.partialFingerprints);
+    expect(reporter.ruleId('aio', 'credibilitySignals', '3件の出典')).toBe(reporter.ruleId('aio', 'credibilitySignals', '12件の出典'));
+  });
+
+  test('specificIssues を relatedLocations にし、HTML が分かれば行番号を付ける', () => {
+    const { results } = new CiReporter().toSarif(makeResults({ url: 'HTMLコンテンツ' }), { artifactUri: 'dist/index.html', html: HTML }).runs[0];
+    const image = results[1];
+    expect(image.locations[0]).toEqual({
+      physicalLocation: { artifactLocation: { uri: 'dist/index.html' }, region: { startLine: 4 } },
+      logicalLocations: [{ name: 'img', kind: 'element', fullyQualifiedName: 'body img' }],
+    });
+    expect(image.relatedLocations).toEqual([{
+      id: 1,
+      message: { text: '画像（/hero.png）にalt属性がありません' },
+      physicalLocation: { artifactLocation: { uri: 'dist/index.html' }, region: { startLine: 4 } },
+      logicalLocations: [{ name: 'img', kind: 'element' }],
+    }]);
+    expect(results[0].locations[0].physicalLocation.region).toEqual({ startLine: 2 });
+    expect(results[2].relatedLocations).toBeUndefined();
+  });
+
+  test('URL もファイル名も無い HTML 入力では要素だけを場所にする', () => {
+    const { results, artifacts } = new CiReporter().toSarif(makeResults({ url: 'HTMLコンテンツ' })).runs[0];
+    expect(artifacts).toBeUndefined();
+    expect(results[0].locations[0]).toEqual({ logicalLocations: [{ name: 'title', kind: 'element', fullyQualifiedName: 'head title' }] });
+  });
+});
+
+describe('Phase 3-P: JUnit', () => {
+  test('カテゴリごとの testcase がしきい値で合否を決め、取得しなかったカテゴリは skipped', () => {
+    const xml = new CiReporter({ threshold: 60 }).toJUnit(makeResults());
+    expect(xml).toContain('<testsuites name="seo-aio-doctor" tests="4" failures="2" errors="0" skipped="1" time="0">');
+    expect(xml).toContain('<testsuite name="seo-aio-doctor.seo" tests="2" failures="1"');
+    expect(xml).toContain('<property name="score" value="62"/>');
+    expect(xml).toMatch(/<testcase classname="seo-aio-doctor.seo" name="titleTag" time="0">\s*<failure type="threshold" message="スコア 50 が基準 60 を下回りました">タイトルが短すぎます（2全角文字）<\/failure>/);
+    expect(xml).toContain('<testcase classname="seo-aio-doctor.seo" name="imageAltAttributes" time="0"/>');
+    expect(xml).toMatch(/name="llmsTxtCompliance" time="0">\s*<skipped message="URLが指定されていないため/);
+  });
+
+  test('既定のしきい値は 70 で、カテゴリごとに上書きできる', () => {
+    expect(CiReporter.DEFAULT_THRESHOLD).toBe(70);
+    const xml = new CiReporter({ thresholds: { imageAltAttributes: 95, titleTag: 40 } }).toJUnit(makeResults());
+    expect(xml).toContain('message="スコア 90 が基準 95 を下回りました"');
+    expect(xml).toContain('name="titleTag" time="0"/>');
+  });
+
+  test('問題文の < & " は XML でエスケープする', () => {
+    const xml = new CiReporter().toJUnit(makeResults());
+    expect(xml).toContain('著者情報が見つかりません &lt;author&gt; &amp; &quot;出典&quot;');
+    expect(xml).not.toContain('<author>');
+  });
+});
+
+describe('Phase 3-P: CLI の --format sarif / junit', () => {
+  function run(argv, stdinText) {
+    const stdout = { text: '', write(chunk) { this.text += chunk; } };
+    const stderr = { text: '', write(chunk) { this.text += chunk; } };
+    const cli = new Cli({
+      createChecker: () => ({ checkSEO: async () => makeResults({ url: 'HTMLコンテンツ' }) }),
+      stdin: Readable.from([stdinText || '']),
+      readFileImpl: async () => HTML,
+      stdout,
+      stderr,
+    });
+    return cli.run(argv).then(code => ({ code, stdout: stdout.text }));
+  }
+
+  test('ファイル入力の SARIF は入力のパスと行番号を場所にする', async () => {
+    const { code, stdout } = await run(['site/index.html', '--format', 'sarif']);
+    expect(code).toBe(0);
+    const { results } = JSON.parse(stdout).runs[0];
+    expect(results[1].locations[0].physicalLocation).toEqual({ artifactLocation: { uri: 'site/index.html' }, region: { startLine: 4 } });
+  });
+
+  test('junit は --threshold を使い、合否は基準（--min-seo 等）の終了コードとは別', async () => {
+    const { code, stdout } = await run(['-', '--format', 'junit', '--threshold', '95'], HTML);
+    expect(code).toBe(0);
+    expect(stdout).toContain('failures="3"');
+    expect(Cli.parseArgs(['a.html', '--format', 'junit']).threshold).toBeNull();
+    expect(() => Cli.parseArgs(['a.html', '--threshold', '101'])).toThrow(expect.objectContaining({ code: 'INVALID_ARGUMENT' }));
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Phase 3-Q: 持ち帰り用レポート (ReportExporter) のテスト
+ * HTML は文字列として検証し、PDF はブラウザプールとページを差し替えて印刷の手順を検証する
+ */
+const ReportExporter = require('../report-exporter');
+
+const NOW = new Date(Date.UTC(2026, 9, 19, 3, 0, 0));
+
+function makeResults(overrides = {}) {
+  return {
+    url: 'https://example.com/?q=<script>',
+    timestamp: NOW.toISOString(),
+    overallScore: 82,
+    aioOverallScore: 55,
+    combinedScore: 69,
+    warnings: [{ code: 'ADVANCED_FALLBACK_TO_SIMPLE', message: 'Simple Check の結果を表示しています' }],
+    checks: {
+      titleTag: { score: 90, issues: [] },
+      metaDescription: { score: 40, issues: ['メタディスクリプションが短すぎます（20全角文字）'] },
+      structuredData: {
+        score: 20,
+        issues: ['構造化データが存在しません'],
+        jsonLd: [],
+        pageTypeAnalysis: { primaryType: 'Article', confidence: 0.82 },
+        structuredDataRecommendations: {
+          recommendations: {
+            missing: [{ schema: 'Article', priority: 'critical', reason: 'Articleはニュース記事やブログ投稿として必須です' }],
+            improvements: [{ schema: 'BreadcrumbList', priority: 'high', reason: 'パンくずを検索結果に表示できます' }],
+          },
+        },
+        implementationExamples: {
+          immediate: [{ schema: 'Article', title: 'Article スキーマ', jsonLd: { '@context': 'https://schema.org', '@type': 'Article', headline: '見出し & "引用"' } }],
+        },
+      },
+    },
+    aio: {
+      checks: {
+        credibilitySignals: { score: 30, issues: ['著者情報がありません'], recommendations: ['著者プロフィールを追加してください'] },
+        llmsTxtCompliance: { score: 0, issues: [], recommendations: [], details: { skipped: true, skipReason: 'URLが指定されていないためllms.txtチェックをスキップしました' } },
+      },
+    },
+    conciseRecommendations: [
+      {
+        priority: 'critical', type: 'seo', category: 'metaDescription', location: 'head',
+        issue: 'メタディスクリプションが短すぎます（20全角文字）', fix: '70全角文字以上にしてください',
+        codeExample: '<meta name="description" content="...">', docLink: 'https://developers.google.com/search/docs/appearance/snippet?hl=ja', count: 1,
+      },
+      { priority: 'low', type: 'aio', category: 'credibilitySignals', issue: '著者情報がありません', fix: null, docLink: 'javascript:alert(1)', count: 2 },
+    ],
+    ...overrides,
+  };
+}
+
+describe('Phase 3-Q: branding の検証', () => {
+  test('未指定なら既定値、指定した値は整えて返す', () => {
+    expect(ReportExporter.resolveBranding(undefined)).toEqual(ReportExporter.DEFAULT_BRANDING);
+    expect(ReportExporter.resolveBranding({ companyName: ' 株式会社サンプル ', primaryColor: '#0F766E', logoUrl: 'https://cdn.example.com/logo.png' })).toEqual({
+      companyName: '株式会社サンプル',
+      logoUrl: 'https://cdn.example.com/logo.png',
+      primaryColor: '#0f766e',
+      footerText: null,
+    });
+    expect(ReportExporter.resolveBranding({ logoUrl: 'data:image/png;base64,iVBORw0KGgo=' }).logoUrl).toBe('data:image/png;base64,iVBORw0KGgo=');
+  });
+
+  test.each([
+    ['文字列', 'acme'],
+    ['色の形式', { primaryColor: 'red;}</style><script>' }],
+    ['http のロゴ', { logoUrl: 'http://example.com/logo.png' }],
+    ['SVG の data: URL', { logoUrl: 'data:image/svg+xml;base64,PHN2Zz4=' }],
+    ['javascript: URL', { logoUrl: 'javascript:alert(1)' }],
+    ['長すぎる社名', { companyName: 'あ'.repeat(101) }],
+  ])('%s は INVALID_BRANDING（400）', (_label, input) => {
+    expect(() => ReportExporter.resolveBranding(input)).toThrow(expect.objectContaining({ code: 'INVALID_BRANDING', status: 400 }));
+  });
+});
+
+describe('Phase 3-Q: HTML レポート', () => {
+  const exporter = new ReportExporter({ now: () => NOW, outboundGuard: {} });
+
+  test('スコアの要約・改善提案・構造化データ・AIO の詳細を1ファイルに入れる', () => {
+    const html = exporter.renderHtml(makeResults());
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<div class="value good">82</div>');
+    expect(html).toContain('/ 100（評価 A）');
+    expect(html).toContain('緊急 1件');
+    expect(html).toContain('Simple Check の結果を表示しています');
+    // 改善提案（コード例・参考リンク）
+    expect(html).toContain('SEO / メタディスクリプション / head');
+    expect(html).toContain('<pre><code>&lt;meta name=&quot;description&quot; content=&quot;...&quot;&gt;</code></pre>');
+    expect(html).toContain('<a href="https://developers.google.com/search/docs/appearance/snippet?hl=ja">');
+    expect(html).toContain('著者情報がありません（2件）');
+    // 構造化データ
+    expect(html).toContain('ページの種類: <strong>Article</strong>（確度 82%）');
+    expect(html).toContain('<code>BreadcrumbList</code>');
+    expect(html).toContain('&quot;headline&quot;: &quot;見出し &amp; \\&quot;引用\\&quot;&quot;');
+    // AIO
+    expect(html).toContain('信頼性シグナル <span class="poor">30 / 100</span>');
+    expect(html).toContain('著者プロフィールを追加してください');
+    expect(html).toContain('llms.txt 対応');
+    expect(html).toContain('URLが指定されていないためllms.txtチェックをスキップしました');
+  });
+
+  test('結果の文字列はすべてエスケープし、スクリプトや http(s) 以外のリンクを出さない', () => {
+    const html = exporter.renderHtml(makeResults());
+    expect(html).not.toMatch(/<script/i);
+    expect(html).toContain('https://example.com/?q=&lt;script&gt;');
+    expect(html).not.toContain('javascript:alert');
+    expect(html).toContain(`content="${ReportExporter.CONTENT_SECURITY_POLICY}"`);
+  });
+
+  test('branding のロゴ・社名・色・フッターを入れる', () => {
+    const branding = ReportExporter.resolveBranding({
+      companyName: 'ACME <Agency>',
+      logoUrl: 'https://cdn.example.com/logo.png',
+      primaryColor: '#0f766e',
+      footerText: 'お問い合わせ: seo@acme.example',
+    });
+    const html = exporter.renderHtml(makeResults(), { branding });
+    expect(html).toContain('--brand: #0f766e;');
+    expect(html).toContain('<img src="https://cdn.example.com/logo.png" alt="ACME &lt;Agency&gt;">');
+    expect(html).toContain('<span class="brand-name">ACME &lt;Agency&gt;</span>');
+    expect(html).toContain('<p>お問い合わせ: seo@acme.example</p>');
+    expect(exporter.renderHtml(makeResults())).not.toContain('class="brand"');
+  });
+
+  test('改善提案が無い・構造化データの結果が無い古い形でも出力できる', () => {
+    const html = exporter.renderHtml(makeResults({ conciseRecommendations: [], checks: { titleTag: { score: 100, issues: [] } }, aio: undefined }));
+    expect(html).toContain('改善が必要な項目は見つかりませんでした。');
+    expect(html).not.toContain('構造化データの推奨');
+    expect(html).not.toContain('AIO（AI 検索最適化）の詳細');
+  });
+});
+
+describe('Phase 3-Q: PDF レポート', () => {
+  /** page.on('request') に渡された処理を記録する偽のページ */
+  function makePage() {
+    const page = {
+      handlers: [],
+      setJavaScriptEnabled: jest.fn(async () => {}),
+      setRequestInterception: jest.fn(async () => {}),
+      on: jest.fn((event, handler) => { if (event === 'request') page.handlers.push(handler); }),
+      setContent: jest.fn(async () => {}),
+      pdf: jest.fn(async () => new Uint8Array([0x25, 0x50, 0x44, 0x46])),
+    };
+    return page;
+  }
+
+  function makeRequest(url) {
+    return { url: () => url, continue: jest.fn(), abort: jest.fn() };
+  }
+
+  test('JavaScript を止めた Chromium で印刷し、ロゴ以外の外部リクエストは止める', async () => {
+    const page = makePage();
+    const outboundGuard = { check: jest.fn(async () => {}) };
+    const exporter = new ReportExporter({ browserPool: { withPage: fn => fn(page) }, outboundGuard, now: () => NOW });
+    const branding = ReportExporter.resolveBranding({ logoUrl: 'https://cdn.example.com/logo.png' });
+
+    const pdf = await exporter.renderPdf(makeResults(), { branding });
+    expect(Buffer.isBuffer(pdf)).toBe(true);
+    expect(pdf.toString()).toBe('%PDF');
+    expect(page.setJavaScriptEnabled).toHaveBeenCalledWith(false);
+    expect(page.setContent).toHaveBeenCalledWith(expect.stringContaining('SEO・AIO 診断レポート'), expect.objectContaining({ waitUntil: 'networkidle0' }));
+    expect(page.pdf).toHaveBeenCalledWith(ReportExporter.PDF_OPTIONS);
+
+    const [handler] = page.handlers;
+    const logo = makeRequest('https://cdn.example.com/logo.png');
+    const other = makeRequest('http://169.254.169.254/latest/meta-data/');
+    const inline = makeRequest('data:image/png;base64,AAAA');
+    await handler(logo);
+    await handler(other);
+    await handler(inline);
+    expect(outboundGuard.check).toHaveBeenCalledWith('https://cdn.example.com/logo.png');
+    expect(logo.continue).toHaveBeenCalled();
+    expect(other.abort).toHaveBeenCalledWith('blockedbyclient');
+    expect(inline.continue).toHaveBeenCalled();
+  });
+
+  test('宛先検査で拒否されたロゴは読み込まない', async () => {
+    const page = makePage();
+    const outboundGuard = { check: jest.fn(async () => { throw Object.assign(new Error('blocked'), { code: 'BLOCKED_DESTINATION' }); }) };
+    const exporter = new ReportExporter({ browserPool: { withPage: fn => fn(page) }, outboundGuard });
+    await exporter.renderPdf(makeResults(), { branding: ReportExporter.resolveBranding({ logoUrl: 'https://internal.example/logo.png' }) });
+
+    const request = makeRequest('https://internal.example/logo.png');
+    await page.handlers[0](request);
+    expect(request.continue).not.toHaveBeenCalled();
+    expect(request.abort).toHaveBeenCalledWith('blockedbyclient');
+  });
+
+  test('Chromium が無い環境では CHROME_UNAVAILABLE（503）で HTML 出力を案内する', async () => {
+    const exporter = new ReportExporter({
+      browserPool: { withPage: async () => { throw new Error('Could not find Chrome (ver. 140.0)'); } },
+      outboundGuard: {},
+    });
+    await expect(exporter.renderPdf(makeResults())).rejects.toMatchObject({ code: 'CHROME_UNAVAILABLE', status: 503, message: expect.stringContaining('format: "html"') });
+  });
+
+  test('混雑によるプールの拒否はそのまま返す（API で 503 + Retry-After にする）', async () => {
+    const overload = Object.assign(new Error('混雑しています'), { code: 'BROWSER_QUEUE_FULL', status: 503 });
+    const exporter = new ReportExporter({ browserPool: { withPage: async () => { throw overload; } }, outboundGuard: {} });
+    await expect(exporter.renderPdf(makeResults())).rejects.toBe(overload);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Phase 3-R: カテゴリ別のスコア履歴と推移 (ScoreHistory) のテスト
+ * AnalysisHistory は find().sort().limit().lean() を真似た偽物に差し替える
+ */
+const ScoreHistory = require('../score-history');
+
+/** 呼ばれた条件を記録し、新しい順に並べた items を返す偽の AnalysisHistory */
+function makeModel(items) {
+  const calls = {};
+  const model = {
+    calls,
+    find: jest.fn((filter) => {
+      calls.filter = filter;
+      const chain = {
+        sort: (sort) => { calls.sort = sort; return chain; },
+        limit: (limit) => { calls.limit = limit; return chain; },
+        lean: async () => items.slice().sort((a, b) => b.createdAt - a.createdAt).slice(0, calls.limit),
+      };
+      return chain;
+    }),
+  };
+  return model;
+}
+
+function makeItem(day, overrides = {}) {
+  return {
+    _id: `id${day}`,
+    url: 'https://example.com/',
+    waitForJS: false,
+    createdAt: new Date(Date.UTC(2026, 9, day)),
+    overallScore: 70,
+    aioOverallScore: 50,
+    combinedScore: 60,
+    categoryScores: { seo: { titleTag: 80, metaDescription: 60 }, aio: { credibilitySignals: 40 } },
+    issueCounts: { critical: 1, high: 2, medium: 0, low: 3 },
+    pageType: 'Article',
+    ...overrides,
+  };
+}
+
+describe('Phase 3-R: URL のグループ', () => {
+  test.each([
+    ['https://www.Example.com/blog/', 'example.com/blog'],
+    ['http://example.com/blog/index.html', 'example.com/blog'],
+    ['https://example.com/blog?utm_source=x&b=2&a=1#top', 'example.com/blog?a=1&b=2'],
+    ['https://example.com:443/', 'example.com'],
+    ['https://example.com:8443/', 'example.com:8443'],
+  ])('%s → %s', (url, expected) => {
+    expect(ScoreHistory.normalizeUrl(url)).toBe(expected);
+  });
+
+  test('URL でない値・http(s) 以外は null', () => {
+    expect(ScoreHistory.normalizeUrl(null)).toBeNull();
+    expect(ScoreHistory.normalizeUrl('HTMLコンテンツ')).toBeNull();
+    expect(ScoreHistory.normalizeUrl('ftp://example.com/')).toBeNull();
+  });
+});
+
+describe('Phase 3-R: 履歴に保存する値', () => {
+  test('カテゴリ別スコア・優先度ごとの問題数・ページの種類を取り出し、取得しなかったカテゴリは除く', () => {
+    const results = {
+      checks: {
+        titleTag: { score: 90 },
+        socialMetadata: { score: 0, skipped: true },
+        structuredData: { score: 40, pageTypeAnalysis: { primaryType: 'Product', confidence: 0.9 } },
+      },
+      aio: {
+        checks: {
+          credibilitySignals: { score: 55 },
+          llmsTxtCompliance: { score: 0, details: { skipped: true, skipReason: 'URLが指定されていないため' } },
+        },
+      },
+      conciseRecommendations: [{ priority: 'critical' }, { priority: 'high' }, { priority: 'high' }, { priority: 'unknown' }],
+    };
+    expect(ScoreHistory.snapshot(results, 'https://www.example.com/item/')).toEqual({
+      normalizedUrl: 'example.com/item',
+      categoryScores: { seo: { titleTag: 90, structuredData: 40 }, aio: { credibilitySignals: 55 } },
+      issueCounts: { critical: 1, high: 2, medium: 0, low: 0 },
+      pageType: 'Product',
+    });
+    expect(ScoreHistory.snapshot({ checks: {} }).normalizedUrl).toBeNull();
+  });
+});
+
+describe('Phase 3-R: 推移の条件', () => {
+  const history = new ScoreHistory({ model: makeModel([]) });
+
+  test('既定値は match=exact・50件・移動平均3回', () => {
+    expect(history.parseQuery({ url: ' https://example.com/ ' })).toEqual({
+      url: 'https://example.com/', normalizedUrl: 'example.com', match: 'exact', limit: 50, window: 3,
+    });
+  });
+
+  test.each([
+    [{}, 'MISSING_URL'],
+    [{ url: 'example' }, 'INVALID_URL'],
+    [{ url: 'https://example.com/', match: 'fuzzy' }, 'INVALID_MATCH'],
+    [{ url: 'https://example.com/', limit: '500' }, 'INVALID_LIMIT'],
+    [{ url: 'https://example.com/', window: '0' }, 'INVALID_WINDOW'],
+  ])('%j は %s（400）', (query, code) => {
+    expect(() => history.parseQuery(query)).toThrow(expect.objectContaining({ code, status: 400 }));
+  });
+});
+
+describe('Phase 3-R: 推移', () => {
+  test('URL の完全一致で新しい順に limit 件取り、古い順の系列にする', async () => {
+    const model = makeModel([makeItem(1), makeItem(2), makeItem(3)]);
+    const trend = await new ScoreHistory({ model }).trend({ url: 'https://example.com/', limit: '2', userId: 'acme' });
+    expect(model.calls).toEqual({ filter: { url: 'https://example.com/', userId: 'acme' }, sort: { createdAt: -1 }, limit: 2 });
+    expect(trend).toMatchObject({ url: 'https://example.com/', match: 'exact', count: 2, from: '2026-10-02T00:00:00.000Z', to: '2026-10-03T00:00:00.000Z' });
+    expect(trend.runs.map(run => run.id)).toEqual(['id2', 'id3']);
+  });
+
+  test('userId: null（API キーなし）はキーなしで保存した履歴だけを対象にする', async () => {
+    const model = makeModel([makeItem(1)]);
+    await new ScoreHistory({ model }).trend({ url: 'https://example.com/', userId: null });
+    expect(model.calls.filter).toEqual({ url: 'https://example.com/', userId: null });
+  });
+
+  test('match=normalized はグループのキーと、キーを持たない以前の履歴の URL で探す', async () => {
+    const model = makeModel([]);
+    await new ScoreHistory({ model }).trend({ url: 'https://www.example.com/?utm_source=mail', match: 'normalized' });
+    expect(model.calls.filter).toEqual({ $or: [{ normalizedUrl: 'example.com' }, { url: 'https://www.example.com/?utm_source=mail' }] });
+  });
+
+  test('系列ごとの値と移動平均を返し、値の無い回は飛ばす', () => {
+    const items = [
+      makeItem(1, { combinedScore: 50 }),
+      makeItem(2, { combinedScore: 60, categoryScores: { seo: new Map([['titleTag', 40]]) } }),
+      makeItem(3, { combinedScore: 80 }),
+      // Phase 3-R より前の履歴（合計スコアだけ）
+      makeItem(4, { combinedScore: 90, categoryScores: undefined, issueCounts: undefined }),
+    ];
+    const trend = new ScoreHistory().buildTrend(items, { window: 2 });
+    const combined = trend.series.find(s => s.key === 'combinedScore');
+    expect(combined).toMatchObject({ group: 'total', label: '総合スコア', latest: 90, change: 40, min: 50, max: 90 });
+    expect(combined.points.map(p => p.movingAverage)).toEqual([50, 55, 70, 85]);
+
+    const title = trend.series.find(s => s.key === 'seo.titleTag');
+    expect(title).toMatchObject({ group: 'seo', category: 'titleTag', label: 'タイトルタグ' });
+    expect(title.points.map(p => p.value)).toEqual([80, 40, 80]);
+    expect(trend.series.find(s => s.key === 'seo.metaDescription').points).toHaveLength(2);
+    expect(trend.series.find(s => s.key === 'issues.low')).toMatchObject({ group: 'issues', latest: 3 });
+  });
+
+  test('連続する2回の差が大きいスコアと、ページの種類の変化を返す', () => {
+    const items = [
+      makeItem(1),
+      makeItem(2, { overallScore: 72, categoryScores: { seo: { titleTag: 30, metaDescription: 60 }, aio: { credibilitySignals: 40 } }, pageType: 'Product' }),
+      makeItem(3, { overallScore: 60, categoryScores: { seo: { titleTag: 30, metaDescription: 60 }, aio: { credibilitySignals: 65 } } }),
+    ];
+    const trend = new ScoreHistory().buildTrend(items);
+    expect(trend.largestChanges.map(change => [change.key, change.delta])).toEqual([
+      ['seo.titleTag', -50],
+      ['aio.credibilitySignals', 25],
+      ['overallScore', -12],
+      ['overallScore', 2],
+    ]);
+    expect(trend.largestChanges[0]).toMatchObject({
+      label: 'タイトルタグ',
+      from: { at: '2026-10-01T00:00:00.000Z', value: 80 },
+      to: { at: '2026-10-02T00:00:00.000Z', value: 30 },
+    });
+    expect(trend.pageTypeChanges).toEqual([
+      { at: '2026-10-02T00:00:00.000Z', from: 'Article', to: 'Product' },
+      { at: '2026-10-03T00:00:00.000Z', from: 'Product', to: 'Article' },
+    ]);
+  });
+
+  test('履歴が無ければ空の推移', () => {
+    expect(new ScoreHistory().buildTrend([])).toEqual({
+      count: 0, from: null, to: null, runs: [], series: [], largestChanges: [], pageTypeChanges: [],
+    });
+  });
+});
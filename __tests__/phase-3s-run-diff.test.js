@@ -0,0 +1,192 @@
+/**
+ * Phase 3-S: 同じ URL の診断結果の差分 (RunDiff) のテスト
+ * AnalysisHistory は findById / find を真似た偽物に差し替える
+ */
+const RunDiff = require('../run-diff');
+
+const ID_A = '64b000000000000000000001';
+const ID_B = '64b000000000000000000002';
+
+function makeResults(overrides = {}) {
+  return {
+    url: 'https://example.com/',
+    timestamp: '2026-10-19T00:00:00.000Z',
+    overallScore: 80,
+    aioOverallScore: 60,
+    combinedScore: 70,
+    checks: {
+      titleTag: { score: 60, current: ' 旧タイトル ', issues: ['タイトルが短すぎます（5全角文字）'] },
+      metaDescription: { score: 90, current: '説明文', issues: [] },
+      headingStructure: { score: 100, h1Texts: ['見出し'], issues: [] },
+      imageAltAttributes: { score: 0, issues: ['2個の画像にalt属性がありません'] },
+      structuredData: {
+        score: 50,
+        issues: [],
+        jsonLd: [{ '@context': 'https://schema.org', '@graph': [{ '@type': 'Article', author: { '@type': 'Person' } }, { '@type': ['BreadcrumbList'] }] }],
+        pageTypeAnalysis: { primaryType: 'Article' },
+      },
+      otherSEOElements: { score: 80, issues: [], redirectCanonical: { canonical: { href: 'https://example.com/' } } },
+      socialMetadata: { score: 70, og: { 'og:title': 'OG タイトル' }, issues: [] },
+    },
+    aio: { checks: { credibilitySignals: { score: 40, issues: ['著者情報がありません'] } } },
+    conciseRecommendations: [
+      { priority: 'high', type: 'seo', category: 'titleTag', issue: 'タイトルが短すぎます（5全角文字）' },
+      { priority: 'critical', type: 'seo', category: 'imageAltAttributes', issue: '2個の画像にalt属性がありません' },
+    ],
+    ...overrides,
+  };
+}
+
+/** checkSEO の結果を AnalysisHistory のドキュメントの形にする */
+function toRun(runDiff, results, fields = {}) {
+  return {
+    url: 'https://example.com/',
+    normalizedUrl: 'example.com',
+    createdAt: new Date(results.timestamp),
+    overallScore: results.overallScore,
+    aioOverallScore: results.aioOverallScore,
+    combinedScore: results.combinedScore,
+    categoryScores: { seo: { titleTag: results.checks.titleTag.score, imageAltAttributes: results.checks.imageAltAttributes.score }, aio: {} },
+    pageType: 'Article',
+    ...runDiff.snapshot(results),
+    ...fields,
+  };
+}
+
+function makeModel(runs) {
+  const model = {
+    calls: {},
+    findById: jest.fn(id => ({ lean: async () => runs.find(run => String(run._id) === id) || null })),
+    find: jest.fn((filter) => {
+      model.calls.filter = filter;
+      const chain = {
+        sort: () => chain,
+        limit: (limit) => { model.calls.limit = limit; return chain; },
+        lean: async () => runs.slice().sort((a, b) => b.createdAt - a.createdAt).slice(0, model.calls.limit),
+      };
+      return chain;
+    }),
+  };
+  return model;
+}
+
+describe('Phase 3-S: 差分用に保存する値', () => {
+  test('問題に SARIF と同じ ruleId と優先度を付け、ページの値と JSON-LD の @type を取り出す', () => {
+    const snapshot = new RunDiff().snapshot(makeResults());
+    expect(snapshot.issues).toEqual([
+      { ruleId: 'seo/titleTag/title_length', type: 'seo', category: 'titleTag', priority: 'high', issue: 'タイトルが短すぎます（5全角文字）' },
+      { ruleId: 'seo/imageAltAttributes/missing_alt', type: 'seo', category: 'imageAltAttributes', priority: 'critical', issue: '2個の画像にalt属性がありません' },
+      { ruleId: 'aio/credibilitySignals/aio_no_author', type: 'aio', category: 'credibilitySignals', priority: null, issue: '著者情報がありません' },
+    ]);
+    expect(snapshot.values).toEqual({
+      title: '旧タイトル',
+      metaDescription: '説明文',
+      h1: '見出し',
+      canonical: 'https://example.com/',
+      ogTitle: 'OG タイトル',
+      ogDescription: null,
+      ogImage: null,
+    });
+    expect(snapshot.jsonLdTypes).toEqual(['Article', 'BreadcrumbList', 'Person']);
+  });
+});
+
+describe('Phase 3-S: 2回分の差分', () => {
+  const runDiff = new RunDiff();
+  const before = toRun(runDiff, makeResults(), { _id: ID_A });
+  const afterResults = makeResults({ timestamp: '2026-10-20T00:00:00.000Z', overallScore: 72, combinedScore: 66 });
+  afterResults.checks.titleTag = { score: 40, current: '新しいタイトル', issues: ['タイトルが長すぎます（70全角文字）'] };
+  afterResults.checks.imageAltAttributes = { score: 0, issues: ['5個の画像にalt属性がありません'] };
+  afterResults.checks.headingStructure = { score: 0, h1Texts: [], issues: ['H1タグが存在しません'] };
+  afterResults.checks.structuredData.jsonLd = [{ '@type': 'Article' }, { '@type': 'FAQPage' }];
+  afterResults.aio.checks.credibilitySignals.issues = [];
+  const after = toRun(runDiff, afterResults, { _id: ID_B });
+
+  test('新しい問題・解消した問題・文言が変わった問題を ruleId で突き合わせる', () => {
+    const { issues } = runDiff.diff(before, after);
+    expect(issues.added.map(issue => issue.ruleId)).toEqual(['seo/headingStructure/missing_h1']);
+    expect(issues.resolved.map(issue => issue.issue)).toEqual(['著者情報がありません']);
+    // 「短すぎます」→「長すぎます」は同じ title_length のまま文言が変わった。alt の件数だけの変化は同じ問題
+    expect(issues.changed).toEqual([{
+      ruleId: 'seo/titleTag/title_length',
+      type: 'seo',
+      category: 'titleTag',
+      priority: 'high',
+      before: ['タイトルが短すぎます（5全角文字）'],
+      after: ['タイトルが長すぎます（70全角文字）'],
+    }]);
+    expect(issues.unchangedCount).toBe(1);
+  });
+
+  test('ページの値・JSON-LD の @type・スコアの変化を返す', () => {
+    const diff = runDiff.diff(before, after);
+    expect(diff.from).toEqual({ id: ID_A, at: '2026-10-19T00:00:00.000Z', url: 'https://example.com/', pageType: 'Article' });
+    expect(diff.values).toEqual([
+      { field: 'title', label: 'タイトル', before: '旧タイトル', after: '新しいタイトル' },
+      { field: 'h1', label: 'H1', before: '見出し', after: null },
+    ]);
+    expect(diff.jsonLdTypes).toEqual({ added: ['FAQPage'], removed: ['BreadcrumbList', 'Person'] });
+    expect(diff.scores.find(row => row.key === 'overallScore')).toEqual({ key: 'overallScore', group: 'total', category: null, label: 'SEO スコア', before: 80, after: 72, delta: -8 });
+    expect(diff.scores.find(row => row.key === 'seo.titleTag')).toMatchObject({ label: 'タイトルタグ', before: 60, after: 40, delta: -20 });
+    expect(diff.warnings).toEqual([]);
+  });
+
+  test('問題の一覧を保存する前の履歴はスコアだけを比べ、ページの種類の変化は警告する', () => {
+    const legacy = { _id: ID_A, url: 'https://example.com/', createdAt: new Date('2026-10-01'), overallScore: 90, pageType: 'Product' };
+    const diff = runDiff.diff(legacy, after);
+    expect(diff).toMatchObject({ issues: null, values: null, jsonLdTypes: null });
+    expect(diff.scores[0]).toMatchObject({ before: 90, after: 72, delta: -18 });
+    expect(diff.scores.find(row => row.key === 'seo.titleTag')).toMatchObject({ before: null, after: 40, delta: null });
+    expect(diff.warnings.map(warning => warning.code)).toEqual(['RUN_WITHOUT_DETAILS', 'PAGE_TYPE_CHANGED']);
+  });
+});
+
+describe('Phase 3-S: 履歴の取得', () => {
+  const snapshotter = new RunDiff();
+  const older = toRun(snapshotter, makeResults(), { _id: ID_A });
+  const newer = toRun(snapshotter, makeResults({ timestamp: '2026-10-20T00:00:00.000Z', overallScore: 50 }), { _id: ID_B });
+
+  test('from / to を省くと URL のグループの最新の2回を古い順に比べる', async () => {
+    const model = makeModel([newer, older]);
+    const diff = await new RunDiff({ model }).compareStored({ url: 'https://www.example.com/', userId: 'acme' });
+    expect(model.calls.filter).toEqual({ $or: [{ normalizedUrl: 'example.com' }, { url: 'https://www.example.com/' }], userId: 'acme' });
+    expect([diff.from.id, diff.to.id]).toEqual([ID_A, ID_B]);
+  });
+
+  test('id の指定・誤り・URL の食い違い・履歴不足', async () => {
+    const model = makeModel([older, newer, { ...newer, _id: '64b000000000000000000003', url: 'https://other.example/', normalizedUrl: 'other.example' }]);
+    const runDiff = new RunDiff({ model });
+    expect((await runDiff.compareStored({ from: ID_B, to: ID_A })).from.id).toBe(ID_B);
+    await expect(runDiff.compareStored({ from: ID_A })).rejects.toMatchObject({ code: 'MISSING_RUN_ID', status: 400 });
+    await expect(runDiff.compareStored({ from: 'abc', to: ID_A })).rejects.toMatchObject({ code: 'INVALID_RUN_ID', status: 400 });
+    await expect(runDiff.compareStored({ from: ID_A, to: '64b0000000000000000000ff' })).rejects.toMatchObject({ code: 'RUN_NOT_FOUND', status: 404 });
+    await expect(runDiff.compareStored({ from: ID_A, to: '64b000000000000000000003' })).rejects.toMatchObject({ code: 'URL_MISMATCH', status: 400 });
+    await expect(new RunDiff({ model: makeModel([older]) }).compareStored({ url: 'https://example.com/' })).rejects.toMatchObject({ code: 'NOT_ENOUGH_RUNS', status: 404 });
+    await expect(runDiff.compareStored({})).rejects.toMatchObject({ code: 'MISSING_URL', status: 400 });
+  });
+
+  test('userId を渡すとその利用者の履歴だけを使い、ほかの利用者の id は RUN_NOT_FOUND', async () => {
+    const model = makeModel([{ ...older, userId: 'acme' }, { ...newer, userId: 'acme' }]);
+    const runDiff = new RunDiff({ model });
+    expect((await runDiff.compareStored({ from: ID_A, to: ID_B, userId: 'acme' })).to.id).toBe(ID_B);
+    await expect(runDiff.compareStored({ from: ID_A, to: ID_B, userId: 'other' })).rejects.toMatchObject({ code: 'RUN_NOT_FOUND', status: 404 });
+    // API キーなし（userId: null）からはキーで保存した履歴は見えない
+    await expect(runDiff.compareStored({ from: ID_A, to: ID_B, userId: null })).rejects.toMatchObject({ code: 'RUN_NOT_FOUND' });
+    await expect(runDiff.findBase({ base: ID_A, userId: null })).rejects.toMatchObject({ code: 'RUN_NOT_FOUND' });
+
+    await runDiff.compareStored({ url: 'https://example.com/', userId: null }).catch(() => null);
+    expect(model.calls.filter.userId).toBeNull();
+  });
+
+  test('今回の診断は最新の履歴と比べ、fresh を付ける', async () => {
+    const runDiff = new RunDiff({ model: makeModel([older, newer]) });
+    const before = await runDiff.findBase({ url: 'https://example.com/' });
+    expect(String(before._id)).toBe(ID_B);
+    const results = makeResults({ timestamp: '2026-10-21T00:00:00.000Z', overallScore: 95 });
+    const diff = runDiff.compareWithFresh(results, { url: 'https://example.com/', before });
+    expect(diff).toMatchObject({ fresh: true, from: { id: ID_B }, to: { id: null, at: '2026-10-21T00:00:00.000Z' } });
+    expect(diff.scores[0]).toMatchObject({ before: 50, after: 95, delta: 45 });
+    expect(diff.issues).toMatchObject({ added: [], resolved: [], changed: [] });
+    await expect(new RunDiff({ model: makeModel([]) }).findBase({ url: 'https://example.com/' })).rejects.toMatchObject({ code: 'NOT_ENOUGH_RUNS' });
+  });
+});
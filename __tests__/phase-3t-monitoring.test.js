@@ -0,0 +1,232 @@
+/**
+ * Phase 3-T: 定期監視とアラート (MonitorScheduler) のテスト
+ * 診断は偽の runCheck に差し替え、Webhook は手元の HTTP サーバー（127.0.0.1）で受ける
+ */
+const http = require('http');
+const MonitorScheduler = require('../monitor-scheduler');
+const OutboundGuard = require('../outbound-guard');
+
+function makeResults({ combinedScore = 80, noindex = false, llmsTxt = true, gptBot = 'allowed' } = {}) {
+  return {
+    overallScore: combinedScore,
+    aioOverallScore: combinedScore,
+    combinedScore,
+    checks: {
+      titleTag: { score: 90 },
+      otherSEOElements: { score: 80, issues: noindex ? ['ページがnoindexに設定されています'] : [] },
+    },
+    aio: {
+      checks: {
+        llmsTxtCompliance: {
+          score: llmsTxt ? 80 : 0,
+          details: {
+            found: llmsTxt,
+            httpStatus: llmsTxt ? 200 : 404,
+            robotsTxt: { found: true, aiCrawlers: { GPTBot: gptBot, ClaudeBot: 'allowed' } },
+          },
+        },
+      },
+    },
+  };
+}
+
+/** 受け取った本文を記録する Webhook の受け口 */
+function startReceiver() {
+  const received = [];
+  let status = 200;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(status).end('ok');
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}/hook`,
+      received,
+      setStatus: (code) => { status = code; },
+      close: () => new Promise(done => server.close(done)),
+    }));
+  });
+}
+
+describe('Phase 3-T: 監視の登録内容', () => {
+  const scheduler = new MonitorScheduler();
+
+  test('既定は daily・既定のルール・有効', () => {
+    expect(scheduler.parseInput({ url: ' https://example.com/ ', waitForJS: true })).toEqual({
+      url: 'https://example.com/',
+      schedule: 'daily',
+      intervalMs: 24 * 60 * 60 * 1000,
+      rules: MonitorScheduler.DEFAULT_RULES,
+      webhookUrl: null,
+      enabled: true,
+      options: { waitForJS: true },
+    });
+    expect(scheduler.parseInput({ enabled: false }, { partial: true })).toEqual({ enabled: false });
+  });
+
+  test.each([
+    [{}, 'MISSING_URL'],
+    [{ url: 'example.com' }, 'INVALID_URL'],
+    [{ url: 'https://example.com/', schedule: 'minutely' }, 'INVALID_SCHEDULE'],
+    [{ url: 'https://example.com/', rules: [{ type: 'score_drop' }] }, 'INVALID_RULES'],
+    [{ url: 'https://example.com/', rules: [{ type: 'score_drop', metric: 'foo', threshold: 10 }] }, 'INVALID_RULES'],
+    [{ url: 'https://example.com/', rules: [{ type: 'unknown' }] }, 'INVALID_RULES'],
+    [{ url: 'https://example.com/', webhookUrl: 'ftp://example.com/' }, 'INVALID_WEBHOOK_URL'],
+  ])('%j は %s（400）', (input, code) => {
+    expect(() => scheduler.parseInput(input)).toThrow(expect.objectContaining({ code, status: 400 }));
+  });
+});
+
+describe('Phase 3-T: ルールの評価', () => {
+  const scheduler = new MonitorScheduler();
+  const rules = [
+    { type: 'score_drop', metric: 'combinedScore', threshold: 10 },
+    { type: 'score_below', metric: 'seo.titleTag', threshold: 50 },
+    { type: 'noindex_added' },
+    { type: 'llms_txt_removed' },
+    { type: 'ai_crawler_blocked', userAgent: 'GPTBot' },
+    { type: 'check_failed' },
+  ];
+
+  test('診断結果から比べる値を取り出す', () => {
+    expect(MonitorScheduler.signals(makeResults({ noindex: true, gptBot: 'disallowed' }))).toEqual({
+      overallScore: 80,
+      aioOverallScore: 80,
+      combinedScore: 80,
+      categoryScores: { seo: { titleTag: 90, otherSEOElements: 80 }, aio: { llmsTxtCompliance: 80 } },
+      noindex: true,
+      llmsTxt: true,
+      aiCrawlers: { GPTBot: 'disallowed', ClaudeBot: 'allowed' },
+    });
+    // llms.txt の取得が応答なしで終わった回は「無くなった」と判断しない
+    const timedOut = makeResults();
+    timedOut.aio.checks.llmsTxtCompliance.details = { found: false, httpStatus: null, fetchError: 'timeout' };
+    expect(MonitorScheduler.signals(timedOut)).toMatchObject({ llmsTxt: null, aiCrawlers: null });
+  });
+
+  test('前回から悪くなった項目だけアラートにする', () => {
+    const previous = MonitorScheduler.signals(makeResults({ combinedScore: 80 }));
+    const current = MonitorScheduler.signals(makeResults({ combinedScore: 69, noindex: true, llmsTxt: false, gptBot: 'disallowed' }));
+    const alerts = scheduler.evaluate(rules, previous, current);
+    expect(alerts.map(alert => [alert.type, alert.severity])).toEqual([
+      ['score_drop', 'warning'],
+      ['noindex_added', 'critical'],
+      ['llms_txt_removed', 'warning'],
+      ['ai_crawler_blocked', 'warning'],
+    ]);
+    expect(alerts[0]).toMatchObject({ message: '総合スコアが 11 下がりました（80 → 69）', before: 80, after: 69 });
+    expect(alerts[3].userAgents).toEqual(['GPTBot']);
+
+    // ちょうど 10 の低下・変化なしでは出さない
+    const same = MonitorScheduler.signals(makeResults({ combinedScore: 70 }));
+    expect(scheduler.evaluate(rules, previous, same)).toEqual([]);
+  });
+
+  test('最初の回は比べる相手が無く、下回った・失敗したは状態が変わった回だけ', () => {
+    const low = makeResults();
+    low.checks.titleTag.score = 40;
+    const lowSignals = MonitorScheduler.signals(low);
+    expect(scheduler.evaluate(rules, null, MonitorScheduler.signals(makeResults({ noindex: true })))).toEqual([]);
+    expect(scheduler.evaluate(rules, null, lowSignals).map(alert => alert.message)).toEqual(['SEO / タイトルタグが 50 を下回りました（40）']);
+    expect(scheduler.evaluate(rules, lowSignals, lowSignals)).toEqual([]);
+
+    const error = Object.assign(new Error('タイムアウト'), { code: 'TIMEOUT' });
+    expect(scheduler.evaluate(rules, lowSignals, null, { error, lastStatus: 'succeeded' }))
+      .toEqual([{ type: 'check_failed', severity: 'critical', message: '診断に失敗しました: タイムアウト', code: 'TIMEOUT' }]);
+    expect(scheduler.evaluate(rules, lowSignals, null, { error, lastStatus: 'failed' })).toEqual([]);
+  });
+});
+
+describe('Phase 3-T: スケジューラと Webhook', () => {
+  let receiver;
+  const outboundGuard = new OutboundGuard({ allowlist: ['127.0.0.1'] });
+
+  beforeAll(async () => { receiver = await startReceiver(); });
+  afterAll(() => receiver.close());
+  beforeEach(() => { receiver.received.length = 0; receiver.setStatus(200); });
+
+  test('期限の来た監視を診断して次の予定に進め、悪化したら Slack 互換の本文を POST する', async () => {
+    const results = [makeResults({ combinedScore: 85 }), makeResults({ combinedScore: 60, gptBot: 'disallowed' })];
+    const runCheck = jest.fn(async () => results.shift());
+    const scheduler = new MonitorScheduler({ runCheck, outboundGuard, defaultWebhookUrl: receiver.url });
+
+    const created = await scheduler.create({ url: 'https://example.com/', schedule: 'hourly' }, { userId: 'acme' });
+    await scheduler.tick();
+    expect(runCheck).toHaveBeenCalledWith({ url: 'https://example.com/', userId: 'acme', sessionId: `monitor:${created.id}` });
+    let monitor = await scheduler.get(created.id, { userId: 'acme' });
+    expect(monitor).toMatchObject({ lastStatus: 'succeeded', recentAlerts: [], lastSignals: { combinedScore: 85 } });
+    expect(monitor.nextRunAt - monitor.lastRunAt).toBeGreaterThanOrEqual(60 * 60 * 1000 - 1000);
+    expect(receiver.received).toHaveLength(0);
+
+    // 予定の前は診断しない
+    await scheduler.tick();
+    expect(runCheck).toHaveBeenCalledTimes(1);
+
+    await scheduler.runNow(created.id, { userId: 'acme' });
+    await scheduler.tick();
+    expect(receiver.received).toHaveLength(1);
+    const { headers, body } = receiver.received[0];
+    expect(headers['content-type']).toMatch(/application\/json/);
+    expect(body.text).toBe(':warning: SEO 監視アラート（2件）: https://example.com/');
+    expect(body.blocks[2].text.text).toBe('• 総合スコアが 25 下がりました（85 → 60）\n• robots.txt が GPTBot をブロックするようになりました');
+    expect(body).toMatchObject({
+      event: 'monitor.alert',
+      monitor: { id: created.id, url: 'https://example.com/', schedule: 'hourly' },
+      run: { combinedScore: 60 },
+    });
+    monitor = await scheduler.get(created.id, { userId: 'acme' });
+    expect(monitor.recentAlerts.map(alert => [alert.type, alert.delivered])).toEqual([['score_drop', true], ['ai_crawler_blocked', true]]);
+  });
+
+  test('Webhook が失敗しても監視は続け、送れなかったことを記録する', async () => {
+    receiver.setStatus(500);
+    const results = [makeResults({ noindex: false }), makeResults({ noindex: true })];
+    const scheduler = new MonitorScheduler({ runCheck: async () => results.shift(), outboundGuard });
+    const created = await scheduler.create({ url: 'https://example.com/', webhookUrl: receiver.url }, { userId: 'acme' });
+    expect(created.webhook).toMatch(/^http:\/\/127\.0\.0\.1:\d+\/…$/);
+    await scheduler.tick();
+    await scheduler.runNow(created.id, { userId: 'acme' });
+    await scheduler.tick();
+    const monitor = await scheduler.get(created.id, { userId: 'acme' });
+    expect(receiver.received).toHaveLength(1);
+    expect(monitor.recentAlerts[0]).toMatchObject({ type: 'noindex_added', delivered: false, deliveryError: 'Webhook が HTTP 500 を返しました' });
+    expect(monitor.lastStatus).toBe('succeeded');
+  });
+
+  test('Webhook の宛先も外向きリクエストの検査を通す', async () => {
+    const scheduler = new MonitorScheduler({ outboundGuard: new OutboundGuard() });
+    await expect(scheduler.sendWebhook(receiver.url, {})).rejects.toMatchObject({ code: 'BLOCKED_DESTINATION' });
+    expect(receiver.received).toHaveLength(0);
+  });
+
+  test('他のユーザーの監視は見えず、登録数には上限がある', async () => {
+    const scheduler = new MonitorScheduler({ maxMonitors: 1 });
+    const created = await scheduler.create({ url: 'https://example.com/', enabled: false }, { userId: 'acme' });
+    expect(await scheduler.get(created.id, { userId: 'other' })).toBeNull();
+    expect(await scheduler.list({ userId: 'other' })).toEqual([]);
+    await expect(scheduler.create({ url: 'https://example.org/' }, { userId: 'acme' })).rejects.toMatchObject({ code: 'MONITOR_LIMIT', status: 409 });
+    expect((await scheduler.update(created.id, { schedule: 'weekly' }, { userId: 'acme' })).schedule).toBe('weekly');
+    expect(await scheduler.remove(created.id, { userId: 'acme' })).toBe(true);
+  });
+
+  test('API キーなし（userId: null）では登録・一覧・操作できない', async () => {
+    const scheduler = new MonitorScheduler();
+    const created = await scheduler.create({ url: 'https://example.com/', enabled: false }, { userId: 'acme' });
+    const anonymous = { userId: null };
+    for (const call of [
+      () => scheduler.create({ url: 'https://example.org/' }, anonymous),
+      () => scheduler.list(anonymous),
+      () => scheduler.get(created.id, anonymous),
+      () => scheduler.update(created.id, { webhookUrl: 'https://attacker.example/' }, anonymous),
+      () => scheduler.remove(created.id, anonymous),
+      () => scheduler.runNow(created.id, anonymous),
+    ]) {
+      await expect(call()).rejects.toMatchObject({ code: 'API_KEY_REQUIRED', status: 401 });
+    }
+    expect(await scheduler.list({ userId: 'acme' })).toHaveLength(1);
+  });
+});
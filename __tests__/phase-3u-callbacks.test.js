@@ -0,0 +1,236 @@
+/**
+ * Phase 3-U: 署名付きコールバック (CallbackDispatcher) のテスト
+ * 受け口は手元の HTTP サーバー（127.0.0.1）。応答するステータスを順に指定して再送を確かめる
+ */
+const http = require('http');
+const CallbackDispatcher = require('../callback-dispatcher');
+const JobQueue = require('../job-queue');
+const OutboundGuard = require('../outbound-guard');
+
+const SECRET = 'test-secret-0123456789';
+
+/** 受け取った生の本文とヘッダーを記録し、statuses の順に応答する受け口 */
+function startReceiver() {
+  const received = [];
+  const statuses = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      const next = statuses.shift() || { status: 200 };
+      res.writeHead(next.status, next.headers || {}).end();
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}/hooks/seo`,
+      received,
+      respondWith: (...list) => statuses.push(...list),
+      reset: () => { received.length = 0; statuses.length = 0; },
+      close: () => new Promise(done => server.close(done)),
+    }));
+  });
+}
+
+const SEO_RESULT = {
+  url: 'https://example.com/',
+  timestamp: '2026-10-19T00:00:00.000Z',
+  overallScore: 72,
+  aioOverallScore: 60,
+  combinedScore: 66,
+  checks: { titleTag: { score: 40 } },
+  aio: { checks: { credibilitySignals: { score: 55 } } },
+  conciseRecommendations: [{ priority: 'high', type: 'seo', category: 'titleTag', issue: 'タイトルが短すぎます' }],
+  detailedReport: { large: true },
+};
+
+describe('Phase 3-U: 署名', () => {
+  test('HMAC-SHA256 の署名を検証でき、本文の改ざん・古い時刻は通さない', () => {
+    const body = JSON.stringify({ event: 'job.succeeded' });
+    const header = `t=1760000000,v1=${CallbackDispatcher.sign(SECRET, 1760000000, body)}`;
+    expect(CallbackDispatcher.verifySignature(SECRET, header, body, { now: 1760000100 })).toBe(true);
+    expect(CallbackDispatcher.verifySignature(SECRET, header, body.replace('succeeded', 'failed'), { now: 1760000100 })).toBe(false);
+    expect(CallbackDispatcher.verifySignature('other-secret', header, body, { now: 1760000100 })).toBe(false);
+    expect(CallbackDispatcher.verifySignature(SECRET, header, body, { now: 1760000301 })).toBe(false);
+    expect(CallbackDispatcher.verifySignature(SECRET, 'v1=abc', body)).toBe(false);
+  });
+});
+
+describe('Phase 3-U: リクエストの検証', () => {
+  const dispatcher = new CallbackDispatcher({ secret: SECRET });
+
+  test('callbackUrl が無ければ null、既定の本文は要約', () => {
+    expect(dispatcher.parseRequest({ url: 'https://example.com/' })).toBeNull();
+    expect(dispatcher.parseRequest({ callbackUrl: ' https://cms.example.com/hook ' }))
+      .toEqual({ callbackUrl: 'https://cms.example.com/hook', callbackPayload: 'summary' });
+  });
+
+  test.each([
+    [{ callbackUrl: 'ftp://cms.example.com/' }, 'INVALID_CALLBACK_URL', 400],
+    [{ callbackUrl: 'https://cms.example.com/', callbackPayload: 'html' }, 'INVALID_CALLBACK_PAYLOAD', 400],
+  ])('%j は %s', (params, code, status) => {
+    expect(() => dispatcher.parseRequest(params)).toThrow(expect.objectContaining({ code, status }));
+  });
+
+  test('署名の鍵が無ければ受け付けない（503）', () => {
+    expect(() => new CallbackDispatcher().parseRequest({ callbackUrl: 'https://cms.example.com/' }))
+      .toThrow(expect.objectContaining({ code: 'CALLBACK_UNAVAILABLE', status: 503 }));
+  });
+});
+
+describe('Phase 3-U: 本文', () => {
+  test('要約はスコア・カテゴリ別スコア・問題数・主な問題、full は結果そのもの', () => {
+    const job = { id: 'j1', type: 'seo', status: 'succeeded', result: SEO_RESULT, createdAt: null, finishedAt: null };
+    const summary = CallbackDispatcher.buildJobPayload(job);
+    expect(summary).toEqual({
+      event: 'job.succeeded',
+      job: { id: 'j1', type: 'seo', status: 'succeeded', createdAt: null, startedAt: null, finishedAt: null, statusUrl: '/api/jobs/j1' },
+      payload: 'summary',
+      result: {
+        url: 'https://example.com/',
+        timestamp: '2026-10-19T00:00:00.000Z',
+        overallScore: 72,
+        aioOverallScore: 60,
+        combinedScore: 66,
+        categoryScores: { seo: { titleTag: 40 }, aio: { credibilitySignals: 55 } },
+        issueCounts: { critical: 0, high: 1, medium: 0, low: 0 },
+        topIssues: [{ priority: 'high', type: 'seo', category: 'titleTag', issue: 'タイトルが短すぎます' }],
+      },
+      error: null,
+    });
+    expect(CallbackDispatcher.buildJobPayload(job, 'full').result).toBe(SEO_RESULT);
+    expect(CallbackDispatcher.buildJobPayload({ ...job, status: 'failed', result: null, error: { message: 'x', code: 'FETCH_FAILED' } }))
+      .toMatchObject({ event: 'job.failed', result: null, error: { code: 'FETCH_FAILED' } });
+  });
+
+  test('比較と一括診断の要約', () => {
+    expect(CallbackDispatcher.summarize('compare', {
+      primary: SEO_RESULT, competitor: null, comparison: { available: false }, warnings: [{ code: 'COMPETITOR_FETCH_FAILED' }],
+    })).toMatchObject({ primary: { combinedScore: 66 }, competitor: null, verdict: null, warnings: [{ code: 'COMPETITOR_FETCH_FAILED' }] });
+    expect(CallbackDispatcher.summarize('batch', {
+      summary: { total: 1 }, items: [{ url: 'https://example.com/', status: 'ok', combinedScore: 66, categoryScores: { seo: {} } }],
+    })).toEqual({ summary: { total: 1 }, items: [{ url: 'https://example.com/', status: 'ok', combinedScore: 66 }], skipped: [] });
+  });
+});
+
+describe('Phase 3-U: 配送と再送', () => {
+  let receiver;
+  const outboundGuard = new OutboundGuard({ allowlist: ['127.0.0.1'] });
+  const makeDispatcher = (options = {}) => new CallbackDispatcher({ secret: SECRET, outboundGuard, baseDelayMs: 1000, ...options });
+  // 次の試行の予定を今にして、すぐ送らせる
+  const makeDue = (dispatcher, id) => dispatcher.store.update(id, { nextAttemptAt: new Date(0) });
+
+  beforeAll(async () => { receiver = await startReceiver(); });
+  afterAll(() => receiver.close());
+  beforeEach(() => receiver.reset());
+
+  test('署名・イベント・配送 ID のヘッダーを付けて送り、試行を記録する', async () => {
+    const dispatcher = makeDispatcher();
+    const delivery = await dispatcher.enqueue({ url: receiver.url, event: 'job.succeeded', payload: { hello: '世界' }, jobId: 'j1' });
+    await dispatcher.tick();
+
+    expect(receiver.received).toHaveLength(1);
+    const { headers, body } = receiver.received[0];
+    expect(JSON.parse(body)).toEqual({ hello: '世界' });
+    expect(headers['x-seo-doctor-event']).toBe('job.succeeded');
+    expect(headers['x-seo-doctor-delivery']).toBe(delivery.id);
+    expect(CallbackDispatcher.verifySignature(SECRET, headers['x-seo-doctor-signature'], body)).toBe(true);
+
+    const [logged] = await dispatcher.listByJob('j1');
+    expect(logged).toMatchObject({ id: delivery.id, status: 'delivered', nextAttemptAt: null });
+    expect(logged.attempts).toEqual([expect.objectContaining({ attempt: 1, status: 200, error: null })]);
+    expect(logged.deliveredAt).toBeInstanceOf(Date);
+  });
+
+  test('5xx・429 は指数バックオフで再送し（Retry-After を尊重）、同じ本文を送る', async () => {
+    receiver.respondWith({ status: 500 }, { status: 503 }, { status: 429, headers: { 'Retry-After': '30' } }, { status: 200 });
+    const dispatcher = makeDispatcher();
+    const { id } = await dispatcher.enqueue({ url: receiver.url, event: 'job.succeeded', payload: { n: 1 } });
+    for (let i = 0; i < 4; i++) {
+      await makeDue(dispatcher, id);
+      await dispatcher.tick();
+    }
+    const delivery = CallbackDispatcher.toView(await dispatcher.store.get(id));
+    expect(delivery.status).toBe('delivered');
+    expect(delivery.attempts.map(a => a.status)).toEqual([500, 503, 429, 200]);
+    const delays = delivery.attempts.slice(0, 3).map(a => a.nextAttemptAt - a.at);
+    expect(delays[0]).toBeGreaterThanOrEqual(1000);
+    expect(delays[0]).toBeLessThan(1500);
+    expect(delays[1]).toBeGreaterThanOrEqual(2000);
+    expect(delays[1]).toBeLessThan(2500);
+    expect(delays[2]).toBeGreaterThanOrEqual(30000);
+    expect(new Set(receiver.received.map(r => r.body)).size).toBe(1);
+  });
+
+  test('4xx は再送せず、再送も maxAttempts 回で諦める', async () => {
+    receiver.respondWith({ status: 404 }, { status: 500 }, { status: 500 });
+    const dispatcher = makeDispatcher({ maxAttempts: 2 });
+    const notFound = await dispatcher.enqueue({ url: receiver.url, event: 'job.succeeded', payload: {} });
+    await dispatcher.tick();
+    expect((await dispatcher.store.get(notFound.id)).status).toBe('failed');
+
+    const { id } = await dispatcher.enqueue({ url: receiver.url, event: 'job.succeeded', payload: {} });
+    await dispatcher.tick();
+    await makeDue(dispatcher, id);
+    await dispatcher.tick();
+    const delivery = await dispatcher.store.get(id);
+    expect(delivery.status).toBe('failed');
+    expect(delivery.attempts.map(a => a.error)).toEqual(['HTTP 500', 'HTTP 500']);
+    expect(delivery.expiresAt).toBeInstanceOf(Date);
+  });
+
+  test('宛先はページの取得と同じ検査を通し、拒否されたら送らずに諦める', async () => {
+    const dispatcher = makeDispatcher({ outboundGuard: new OutboundGuard() });
+    const { id } = await dispatcher.enqueue({ url: receiver.url, event: 'job.succeeded', payload: {} });
+    await dispatcher.tick();
+    const delivery = await dispatcher.store.get(id);
+    expect(receiver.received).toHaveLength(0);
+    expect(delivery).toMatchObject({ status: 'failed', attempts: [expect.objectContaining({ status: 'blocked' })] });
+    expect(delivery.attempts[0].error).toMatch(/アクセスできません/);
+  });
+
+  test('callbackUrl 付きのジョブが終わると要約を送る', async () => {
+    const dispatcher = makeDispatcher();
+    const queue = new JobQueue({
+      handlers: { seo: async () => SEO_RESULT },
+      onFinish: job => dispatcher.enqueueForJob(job),
+    });
+    const job = await queue.enqueue('seo', { url: 'https://example.com/', callbackUrl: receiver.url, callbackPayload: 'summary' });
+    const plain = await queue.enqueue('seo', { url: 'https://example.com/' });
+    await queue.tick();
+    await queue.idle();
+    await dispatcher.tick();
+
+    expect(receiver.received).toHaveLength(1);
+    const body = JSON.parse(receiver.received[0].body);
+    expect(body).toMatchObject({ event: 'job.succeeded', job: { id: job.id, type: 'seo' }, payload: 'summary', result: { combinedScore: 66 } });
+    expect(body.result.detailedReport).toBeUndefined();
+    expect(await dispatcher.listByJob(plain.id)).toEqual([]);
+  });
+
+  test('待機中のまま取り消したジョブにも job.cancelled を1回だけ送る', async () => {
+    const dispatcher = makeDispatcher();
+    const handler = jest.fn();
+    const queue = new JobQueue({
+      handlers: { seo: handler },
+      onFinish: job => dispatcher.enqueueForJob(job),
+    });
+    const job = await queue.enqueue('seo', { url: 'https://example.com/', callbackUrl: receiver.url });
+    expect(await queue.cancel(job.id)).toMatchObject({ status: 'cancelled' });
+    // 終了済みのジョブを取り消し直しても送り直さない
+    await queue.cancel(job.id);
+    await queue.tick();
+    await queue.idle();
+    await dispatcher.tick();
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(receiver.received).toHaveLength(1);
+    expect(JSON.parse(receiver.received[0].body)).toMatchObject({
+      event: 'job.cancelled',
+      job: { id: job.id, status: 'cancelled' },
+      result: null,
+      error: null,
+    });
+  });
+});
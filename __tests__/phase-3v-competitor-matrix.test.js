@@ -0,0 +1,112 @@
+/**
+ * Phase 3-V: 複数の競合との比較（CompetitorMatrix）のテスト
+ */
+const CompetitorMatrix = require('../competitor-matrix');
+const CallbackDispatcher = require('../callback-dispatcher');
+
+function makeResults({ seo, aio, combined, categories = {}, aioCategories = {} }) {
+  const checks = Object.fromEntries(Object.entries(categories).map(([key, score]) => [key, { score }]));
+  const aioChecks = Object.fromEntries(Object.entries(aioCategories).map(([key, score]) => [key, { score }]));
+  return { overallScore: seo, aioOverallScore: aio, combinedScore: combined, checks, aio: { overallScore: aio, checks: aioChecks } };
+}
+
+const PRIMARY = { url: 'https://example.com/', result: makeResults({ seo: 70, aio: 60, combined: 65, categories: { titleTag: 90, structuredData: 20, performance: 40 }, aioCategories: { llmsTxtCompliance: 30 } }) };
+const COMPETITORS = [
+  { url: 'https://a.example/', result: makeResults({ seo: 80, aio: 70, combined: 75, categories: { titleTag: 90, structuredData: 95, performance: 85 }, aioCategories: { llmsTxtCompliance: 90 } }) },
+  { url: 'https://b.example/', result: makeResults({ seo: 60, aio: 50, combined: 55, categories: { titleTag: 70, structuredData: 85 }, aioCategories: { llmsTxtCompliance: 20 } }) },
+  { url: 'https://c.example/', result: makeResults({ seo: 70, aio: 90, combined: 80, categories: { titleTag: 95, structuredData: 30, performance: 90 }, aioCategories: { llmsTxtCompliance: 85 } }) },
+];
+
+describe('Phase 3-V: 順位表', () => {
+  const matrix = new CompetitorMatrix().build(PRIMARY, COMPETITORS);
+
+  test('合計スコアごとの自分の順位と、最も高い競合との差', () => {
+    expect(matrix.available).toBe(true);
+    expect(matrix.participants.map(p => p.role)).toEqual(['primary', 'competitor', 'competitor', 'competitor']);
+    expect(matrix.overall.combinedScore).toMatchObject({
+      label: '総合',
+      scores: [65, 75, 55, 80],
+      primaryScore: 65,
+      primaryRank: 3,
+      best: { url: 'https://c.example/', score: 80 },
+      gapToBest: 15,
+      competitorAverage: 70,
+    });
+    // 同点は同じ順位（70, 70 → 2位、次は 4位）
+    expect(matrix.overall.overallScore.ranking.map(entry => [entry.url, entry.rank])).toEqual([
+      ['https://a.example/', 1],
+      ['https://example.com/', 2],
+      ['https://c.example/', 2],
+      ['https://b.example/', 4],
+    ]);
+  });
+
+  test('カテゴリは自分の結果を基準にし、取得しなかったサイトは順位から除く', () => {
+    expect(matrix.categories.map(row => `${row.type}/${row.category}`))
+      .toEqual(['seo/titleTag', 'seo/structuredData', 'seo/performance', 'aio/llmsTxtCompliance']);
+    const titleTag = matrix.categories[0];
+    expect(titleTag).toMatchObject({ title: expect.any(String), primaryRank: 2, gapToBest: 5 });
+    const performance = matrix.categories[2];
+    expect(performance.scores).toEqual([40, 85, null, 90]);
+    expect(performance.ranking).toHaveLength(3);
+    expect(performance).toMatchObject({ primaryRank: 3, competitorAverage: 88 });
+    expect(matrix.positions).toEqual({ total: 4, first: 0, last: 2, behindBest: 4 });
+  });
+
+  test('gapsToClose は競合の過半数が 80 以上で自分が 50 未満の項目', () => {
+    expect(matrix.gapsToClose.map(gap => [gap.category, gap.competitorsAhead.map(c => c.url)])).toEqual([
+      // どれも3社中2社が 80 以上。競合の平均との差が大きい順
+      ['structuredData', ['https://a.example/', 'https://b.example/']],
+      ['performance', ['https://c.example/', 'https://a.example/']],
+      ['llmsTxtCompliance', ['https://a.example/', 'https://c.example/']],
+    ]);
+    expect(matrix.gapsToClose[1]).toMatchObject({ type: 'seo', primary: 40, competitorAverage: 88, competitors: 3 });
+  });
+
+  test('半数ちょうどでは gapsToClose に入れない', () => {
+    const ab = new CompetitorMatrix().build(PRIMARY, COMPETITORS.slice(0, 2));
+    expect(ab.gapsToClose.map(gap => gap.category)).toEqual(['structuredData']);
+    const bc = new CompetitorMatrix().build(PRIMARY, COMPETITORS.slice(1));
+    expect(bc.gapsToClose).toEqual([]);
+  });
+});
+
+describe('Phase 3-V: 取得に失敗したとき', () => {
+  test('失敗した競合は除いて比べ、自分か全競合が失敗したら比較できない', () => {
+    const failed = { url: 'https://d.example/', result: null, error: 'timeout' };
+    const matrix = new CompetitorMatrix().build(PRIMARY, [failed, COMPETITORS[0]]);
+    expect(matrix.participants.map(p => p.url)).toEqual(['https://example.com/', 'https://a.example/']);
+
+    expect(new CompetitorMatrix().build({ url: PRIMARY.url, result: null }, COMPETITORS))
+      .toEqual({ available: false, reason: expect.stringContaining('自分のサイト') });
+    expect(new CompetitorMatrix().build(PRIMARY, [failed]))
+      .toEqual({ available: false, reason: expect.stringContaining('競合サイト') });
+  });
+
+  test('競合の数の上限は設定でき、不正な値は既定値にする', () => {
+    expect(new CompetitorMatrix().options.maxCompetitors).toBe(5);
+    expect(new CompetitorMatrix({ maxCompetitors: '8' }).options.maxCompetitors).toBe(8);
+    expect(new CompetitorMatrix({ maxCompetitors: 'many' }).options.maxCompetitors).toBe(5);
+  });
+});
+
+describe('Phase 3-V: コールバックの要約', () => {
+  test('順位・gapsToClose と各競合の総合スコアを送る', () => {
+    const matrix = new CompetitorMatrix().build(PRIMARY, COMPETITORS);
+    const summary = CallbackDispatcher.summarize('compare', {
+      primary: PRIMARY.result,
+      competitors: [...COMPETITORS, { url: 'https://d.example/', result: null, error: 'timeout' }],
+      matrix,
+      warnings: [],
+    });
+    expect(summary.competitors).toEqual([
+      { url: 'https://a.example/', combinedScore: 75, error: null },
+      { url: 'https://b.example/', combinedScore: 55, error: null },
+      { url: 'https://c.example/', combinedScore: 80, error: null },
+      { url: 'https://d.example/', combinedScore: null, error: 'timeout' },
+    ]);
+    expect(summary.overall.combinedScore).toEqual({ primaryRank: 3, gapToBest: 15 });
+    expect(summary.gapsToClose).toHaveLength(3);
+    expect(summary.primary.combinedScore).toBe(65);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Phase 3-W: 狙うキーワード（targetKeywords）の最適化チェックのテスト
+ */
+const cheerio = require('cheerio');
+const TargetKeywordChecker = require('../target-keyword-checker');
+const EnhancedReporter = require('../enhanced-reporter.js');
+const SEOChecker = require('../index.js');
+
+const BODY_TEXT = 'ホームページ制作の費用と流れを、はじめての方にも分かるように解説します。見積もりの取り方や、制作会社の選び方も紹介します。';
+
+function page({ title = 'ホームページ制作の費用相場｜Example', description = 'ホームページ制作の費用相場と依頼の流れを紹介します。', h1 = 'ホームページ制作の費用', h2 = ['見積もりの取り方'], body = BODY_TEXT, images = [], links = [] } = {}) {
+  return `<!DOCTYPE html><html lang="ja"><head>
+    <title>${title}</title>
+    <meta name="description" content="${description}">
+  </head><body>
+    <h1>${h1}</h1>
+    ${h2.map(text => `<h2>${text}</h2>`).join('')}
+    <main><p>${body}</p></main>
+    ${images.map(alt => `<img src="/a.png" alt="${alt}">`).join('')}
+    ${links.map(text => `<a href="/x">${text}</a>`).join('')}
+    <script>var keyword = "ホームページ制作";</script>
+  </body></html>`;
+}
+
+function check(html, keywords, url = null) {
+  const checker = new TargetKeywordChecker();
+  return checker.check({ url, $: cheerio.load(html), keywords: checker.parseKeywords(keywords) });
+}
+
+describe('Phase 3-W: 表記の揺れ', () => {
+  test.each([
+    ['ＳＥＯ対策', 'seo対策'],
+    ['ｾｵ', 'せお'],
+    ['ホームページ 制作', 'ほーむぺーじ制作'],
+    ['髙橋の會社', '高橋の会社'],
+    ['子供服', 'こども服'],
+    ['子ども服', 'こども服'],
+    ['お勧めの眼鏡', 'おすすめのめがね'],
+  ])('%s と %s は同じ語', (a, b) => {
+    expect(TargetKeywordChecker.normalize(a)).toBe(TargetKeywordChecker.normalize(b));
+  });
+
+  test('読みの辞書が無い漢字とかなは別の語', () => {
+    expect(TargetKeywordChecker.normalize('林檎')).not.toBe(TargetKeywordChecker.normalize('りんご'));
+  });
+});
+
+describe('Phase 3-W: targetKeywords の入力', () => {
+  const checker = new TargetKeywordChecker();
+
+  test('配列・カンマ / 読点区切りを受け付け、表記の揺れだけが違う語はまとめる', () => {
+    expect(checker.parseKeywords(undefined)).toEqual([]);
+    expect(checker.parseKeywords(' SEO対策 、ホームページ　制作,,ＳＥＯ対策 ')).toEqual(['SEO対策', 'ホームページ 制作']);
+    expect(checker.parseKeywords(['子供服', '子ども服', 'こども服'])).toEqual(['子供服']);
+  });
+
+  test.each([
+    [123],
+    [['SEO', 1]],
+    [['a', 'b', 'c', 'd', 'e', 'f']],
+    ['x'.repeat(51)],
+  ])('%j は INVALID_TARGET_KEYWORDS', (input) => {
+    expect(() => checker.parseKeywords(input)).toThrow(expect.objectContaining({ code: 'INVALID_TARGET_KEYWORDS', status: 400 }));
+  });
+});
+
+describe('Phase 3-W: キーワードの配置', () => {
+  test('すべての場所に含まれていれば満点（カタカナ / ひらがな・空白の違いは無視）', () => {
+    const result = check(page({ h2: ['ほーむぺーじ 制作の見積もり'] }), ['ホームページ制作']);
+    expect(result.score).toBe(100);
+    expect(result.issues).toEqual([]);
+    expect(result.keywords[0]).toMatchObject({
+      keyword: 'ホームページ制作',
+      title: { found: true, count: 1, position: 0, inFirstHalf: true },
+      metaDescription: { found: true },
+      h1: { matching: 1, total: 1 },
+      h2: { matching: 1, total: 1 },
+      firstParagraph: { found: true },
+      urlSlug: { applicable: false },
+      overOptimized: false,
+    });
+    // 本文は見出しを含み、script 内の語は数えない（H1・H2・段落の3回）
+    expect(result.keywords[0].body.occurrences).toBe(3);
+  });
+
+  test('含まれていない場所ごとに減点し、キーワードごとの平均をスコアにする', () => {
+    const result = check(page(), ['ホームページ制作', '見積もり 無料']);
+    const [, missing] = result.keywords;
+    expect(result.keywords[0].score).toBe(95); // H2 のみ無い
+    expect(missing.score).toBe(10);
+    expect(result.score).toBe(53);
+    expect(result.issues).toEqual(expect.arrayContaining([
+      'H2に「ホームページ制作」が含まれていません',
+      'タイトルに「見積もり 無料」が含まれていません',
+      '本文に「見積もり 無料」が含まれていません',
+    ]));
+    expect(result.recommendations[0]).toMatchObject({ type: 'low', title: expect.stringContaining('H2') });
+  });
+
+  test('タイトルの後半にあるときは軽い減点', () => {
+    const result = check(page({ title: '費用相場と依頼の流れを徹底解説｜ホームページ制作' }), ['ホームページ制作']);
+    expect(result.keywords[0].title).toMatchObject({ found: true, inFirstHalf: false });
+    expect(result.issues).toContain('タイトルの後半に「ホームページ制作」があります');
+  });
+
+  test('URL のパスは英字のキーワードか、パスが日本語のときだけ確かめる', () => {
+    const html = page({ title: 'SEO tools', description: 'seo tools', h1: 'SEO tools', body: 'SEO tools for everyone. '.repeat(3) });
+    expect(check(html, ['seo tools'], 'https://example.com/seo-tools/').keywords[0].urlSlug).toEqual({ applicable: true, found: true });
+    expect(check(html, ['seo tools'], 'https://example.com/blog/123').issues).toContain('URLに「seo tools」が含まれていません');
+    expect(check(page(), ['ホームページ制作'], 'https://example.com/web/price').keywords[0].urlSlug.applicable).toBe(false);
+    expect(check(page(), ['ホームページ制作'], `https://example.com/${encodeURIComponent('ホームページ制作')}`).keywords[0].urlSlug)
+      .toEqual({ applicable: true, found: true });
+  });
+});
+
+describe('Phase 3-W: 詰め込みすぎ', () => {
+  test('出現率・タイトルでの繰り返し・alt / アンカーテキストの詰め込み', () => {
+    const stuffed = page({
+      title: 'SEO対策ならSEO対策のExample',
+      body: 'SEO対策。'.repeat(60),
+      images: ['SEO対策', 'SEO対策の例', 'SEO対策の図', 'SEO対策', '地図'],
+      links: ['SEO対策', 'SEO対策とは', 'SEO対策の料金', 'SEO対策の事例', 'お問い合わせ'],
+    });
+    const result = check(stuffed, ['SEO対策']);
+    const [keyword] = result.keywords;
+    expect(keyword.overOptimized).toBe(true);
+    expect(keyword.body.density).toBeGreaterThan(3);
+    expect(keyword.imageAlts).toEqual({ matching: 4, total: 5 });
+    expect(result.issues).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^「SEO対策」の出現率が高すぎます（[\d.]+%）$/),
+      'タイトルに「SEO対策」が繰り返されています（2回）',
+      '画像のalt属性の多くに「SEO対策」が使われています（4/5件）',
+      'アンカーテキストの多くに「SEO対策」が使われています（4/5件）',
+    ]));
+  });
+});
+
+describe('Phase 3-W: 推奨アクション', () => {
+  const reporter = new EnhancedReporter();
+
+  test('キーワードごとに別の推奨にし、汎用のタイトル・alt 判定に流さない', () => {
+    const issue = 'タイトルに「SEO対策」が含まれていません';
+    expect(reporter.getIssueKey(issue, 'targetKeywords')).toBe('kw_title_missing:SEO対策');
+    expect(reporter.getIssueKey('タイトルに「MEO」が含まれていません', 'targetKeywords')).toBe('kw_title_missing:MEO');
+    expect(reporter.getConciseFix(issue, 'targetKeywords')).toContain('タイトルの前半に「SEO対策」');
+    expect(reporter.getCodeExample(issue, 'targetKeywords')).toBe('<title>SEO対策｜サイト名</title>');
+    expect(reporter.getDocLink(issue, 'targetKeywords')).toContain('title-link');
+
+    const alt = '画像のalt属性に「llms.txt」が含まれていません';
+    expect(reporter.getDocLink(alt, 'targetKeywords')).toContain('google-images');
+    expect(reporter.getCodeExample(alt, 'targetKeywords')).toBeNull();
+    expect(reporter.getCategoryTitle('targetKeywords')).toBe('狙うキーワード');
+  });
+});
+
+describe('Phase 3-W: checkSEO への統合', () => {
+  test('targetKeywords を指定したときだけカテゴリと推奨アクションを追加する', async () => {
+    const checker = new SEOChecker();
+    const without = await checker.checkSEO(null, page(), false);
+    expect(without.checks.targetKeywords).toBeUndefined();
+
+    const results = await checker.checkSEO(null, page(), false, { targetKeywords: 'ホームページ制作, 見積もり 無料' });
+    const category = results.checks.targetKeywords;
+    expect(category.keywords.map(k => k.keyword)).toEqual(['ホームページ制作', '見積もり 無料']);
+    expect(category.recommendations).toEqual(category.richRecommendations.map(r => r.title));
+    const recs = results.conciseRecommendations.filter(rec => rec.category === 'targetKeywords');
+    expect(recs.map(rec => rec.issue)).toContain('タイトルに「見積もり 無料」が含まれていません');
+    expect(recs.find(rec => rec.issue.startsWith('タイトルに'))).toMatchObject({ type: 'seo', element: expect.stringContaining('title') });
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * Phase 3-X: 形態素解析（JapaneseAnalyzer）と自然言語品質のテスト
+ * 辞書は kuromoji 同梱のものをローカルから読む（ネットワークは使わない）
+ */
+const cheerio = require('cheerio');
+const EventEmitter = require('events');
+const JapaneseAnalyzer = require('../japanese-analyzer');
+const JapaneseAnalyzerProcess = require('../japanese-analyzer-process');
+const AIOChecker = require('../aio-checker');
+const EnhancedReporter = require('../enhanced-reporter.js');
+
+const analyzer = new JapaneseAnalyzer();
+// 辞書の読み込みは数秒かかる（ほかのテストと並ぶとさらに遅い）
+beforeAll(() => analyzer.ready(), 30000);
+
+describe('Phase 3-X: 辞書の読み込み', () => {
+  test('同梱の辞書を1回だけ読み込む', async () => {
+    expect(await analyzer.ready()).toBe(true);
+    expect(analyzer.getStatus()).toEqual({ enabled: true, loaded: true, error: null });
+  });
+
+  test('無効・読み込みに失敗したときは null を返し、例外は投げない', async () => {
+    const disabled = new JapaneseAnalyzer({ enabled: false });
+    expect(await disabled.ready()).toBe(false);
+    expect(disabled.analyze('猫が好きです。')).toBeNull();
+    expect(disabled.countWords('猫が好きです。')).toBeNull();
+
+    let builds = 0;
+    const broken = new JapaneseAnalyzer({
+      builderImpl: () => ({ build: (callback) => { builds++; callback(new Error('dictionary not found')); } }),
+    });
+    expect(await Promise.all([broken.ready(), broken.ready()])).toEqual([false, false]);
+    expect(await broken.ready()).toBe(false);
+    expect(builds).toBe(1);
+    expect(broken.getStatus()).toMatchObject({ loaded: false, error: 'dictionary not found' });
+  });
+});
+
+/** IPC だけを真似るフェイクの子プロセス。送られた本文に respond で答える */
+function makeFakeFork({ ready = { ok: true }, respond = message => ({ id: message.id, result: 42 }) } = {}) {
+  const children = [];
+  const forkImpl = () => {
+    const child = new EventEmitter();
+    child.sent = [];
+    child.killed = false;
+    child.send = (message) => {
+      child.sent.push(message);
+      const reply = respond(message, child);
+      if (reply) setImmediate(() => child.emit('message', reply));
+    };
+    child.kill = () => {
+      child.killed = true;
+      setImmediate(() => child.emit('exit', null, 'SIGTERM'));
+    };
+    children.push(child);
+    if (ready) setImmediate(() => child.emit('message', { type: 'ready', error: null, ...ready }));
+    return child;
+  };
+  return { forkImpl, children };
+}
+
+describe('Phase 3-X: 子プロセスでの解析（JapaneseAnalyzerProcess）', () => {
+  test('共有インスタンスは既定で有効、JA_TOKENIZER=off のときだけ無効', () => {
+    const original = process.env.JA_TOKENIZER;
+    const sharedWith = (value) => {
+      if (value === undefined) delete process.env.JA_TOKENIZER;
+      else process.env.JA_TOKENIZER = value;
+      let status;
+      jest.isolateModules(() => {
+        status = require('../japanese-analyzer-process').shared().getStatus();
+      });
+      return status;
+    };
+    try {
+      expect(sharedWith(undefined)).toEqual({ enabled: true, loaded: false, error: null, starts: 0 });
+      expect(sharedWith('on').enabled).toBe(true);
+      expect(sharedWith('OFF').enabled).toBe(false);
+    } finally {
+      if (original === undefined) delete process.env.JA_TOKENIZER;
+      else process.env.JA_TOKENIZER = original;
+    }
+  });
+
+  test('子プロセスで同梱の辞書を読み、同じ結果を返す。使われなければ終了して次の解析で起動し直す', async () => {
+    const child = new JapaneseAnalyzerProcess({ idleMs: 200 });
+    try {
+      const text = '本が書かれた。確認することができます。';
+      expect(await child.analyze(text)).toEqual(analyzer.analyze(text));
+      expect(await child.countWords('これはテストです。')).toBe(analyzer.countWords('これはテストです。'));
+      expect(child.getStatus()).toEqual({ enabled: true, loaded: true, error: null, starts: 1 });
+
+      await new Promise(resolve => setTimeout(resolve, 400));
+      expect(child.getStatus()).toMatchObject({ loaded: false, starts: 1 });
+      expect(await child.countWords('猫が好きです。')).toBe(4);
+      expect(child.getStatus()).toMatchObject({ loaded: true, starts: 2 });
+    } finally {
+      child.stop();
+    }
+  }, 60000);
+
+  test('並行した解析でも起動は1回で、応答はそれぞれの依頼に返す', async () => {
+    const { forkImpl, children } = makeFakeFork({ respond: message => ({ id: message.id, result: message.text.length }) });
+    const child = new JapaneseAnalyzerProcess({ forkImpl });
+    expect(await Promise.all([child.countWords('あ'), child.countWords('あいう'), child.analyze('あい')])).toEqual([1, 3, 2]);
+    expect(children).toHaveLength(1);
+    expect(children[0].sent.map(message => message.method)).toEqual(['countWords', 'countWords', 'analyze']);
+    child.stop();
+    expect(children[0].killed).toBe(true);
+  });
+
+  test('辞書を読めなければ null を返し、以降は起動しない', async () => {
+    const { forkImpl, children } = makeFakeFork({ ready: { ok: false, error: 'dictionary not found' } });
+    const child = new JapaneseAnalyzerProcess({ forkImpl });
+    expect(await child.analyze('猫が好きです。')).toBeNull();
+    expect(await child.countWords('猫が好きです。')).toBeNull();
+    expect(children).toHaveLength(1);
+    expect(child.getStatus()).toMatchObject({ loaded: false, error: 'dictionary not found' });
+  });
+
+  test('解析中に落ちた・応答しないときはその解析だけ null で、次の解析で起動し直す', async () => {
+    const { forkImpl, children } = makeFakeFork({
+      respond: (message, proc) => {
+        if (message.text === 'crash') {
+          setImmediate(() => proc.emit('exit', null, 'SIGKILL'));
+          return null;
+        }
+        if (message.text === 'hang') return null;
+        return { id: message.id, result: 7 };
+      },
+    });
+    const child = new JapaneseAnalyzerProcess({ forkImpl, timeoutMs: 50 });
+    expect(await child.countWords('crash')).toBeNull();
+    expect(child.getStatus()).toMatchObject({ loaded: false, error: null });
+    expect(await child.countWords('hang')).toBeNull();
+    expect(await child.countWords('ok')).toBe(7);
+    expect(children).toHaveLength(2);
+    child.stop();
+  });
+
+  test('無効なら子プロセスを起動しない', async () => {
+    const { forkImpl, children } = makeFakeFork();
+    const child = new JapaneseAnalyzerProcess({ enabled: false, forkImpl });
+    expect(await child.analyze('猫が好きです。')).toBeNull();
+    expect(children).toHaveLength(0);
+  });
+});
+
+describe('Phase 3-X: 文と語', () => {
+  test('文ごとの文字数・語数・モーラ数', () => {
+    const stats = analyzer.analyze('猫が好きです。');
+    expect(stats).toMatchObject({ sentenceCount: 1, avgSentenceChars: 6, avgSentenceWords: 4, avgSentenceMorae: 7 });
+  });
+
+  test('句点の無い短い行（見出し・メニュー）は文に数えない', () => {
+    const stats = analyzer.analyze('料金プラン\nお問い合わせ\n猫が好きです。犬も好きです。');
+    expect(stats.sentenceCount).toBe(2);
+  });
+
+  test('半角の「.」は後ろが空白・行末のときだけ文末', () => {
+    expect(analyzer.analyze('Version 2.5 is out. It is fast.').sentenceCount).toBe(2);
+  });
+
+  test('語数は記号・空白を除いたトークン数で、長い本文は残りを割合で補う', () => {
+    expect(analyzer.countWords('The quick brown fox. これはテストです。')).toBe(8);
+    const short = new JapaneseAnalyzer({ maxChars: 12 });
+    short.tokenizer = analyzer.tokenizer;
+    // 先頭 12 文字（これはテストです。これは）の 6 語 × 24/12
+    expect(short.countWords('これはテストです。これはテストです。これはテスト')).toBe(12);
+  });
+});
+
+describe('Phase 3-X: SEOChecker の語数', () => {
+  test('prepareWordCount で数えた語数を estimateContentLength が返し、解析できなければ従来の概算', async () => {
+    const SEOChecker = require('../index.js');
+    const checker = new SEOChecker();
+    const html = '<html><body><nav>メニュー</nav><p>これはテストです。</p><script>var x = 1;</script></body></html>';
+
+    checker.japaneseAnalyzer = analyzer;
+    const $ = cheerio.load(html);
+    await checker.prepareWordCount($);
+    expect(checker.estimateContentLength($)).toBe(analyzer.countWords('これはテストです。'));
+
+    checker.japaneseAnalyzer = new JapaneseAnalyzerProcess({ enabled: false });
+    const $fallback = cheerio.load(html);
+    await checker.prepareWordCount($fallback);
+    // 日本語 8 文字 / 2
+    expect(checker.estimateContentLength($fallback)).toBe(4);
+  });
+});
+
+describe('Phase 3-X: 文章の品質の指標', () => {
+  test('受動態は五段動詞の「言われる」「書かれる」も数え、例を返す', () => {
+    const text = '本が書かれた。彼は先生に言われた。ケーキが食べられた。私は走る。';
+    const stats = analyzer.analyze(text);
+    expect(stats.passiveCount).toBe(3);
+    expect(stats.passiveExamples).toEqual(['書かれ', '言われ', '食べられ']);
+    // 従来の /される|られる|された|られた/ は「書かれた」「言われた」を数えない
+    expect(text.match(/される|られる|された|られた/g)).toHaveLength(1);
+  });
+
+  test('漢字の割合', () => {
+    expect(analyzer.analyze('経済産業省所管独立行政法人情報処理推進機構発表。').kanjiRatio).toBeGreaterThan(90);
+    expect(analyzer.analyze('きょうは いい てんきです。').kanjiRatio).toBe(0);
+  });
+
+  test('文末表現の種類・最も多い文末・連続回数', () => {
+    const stats = analyzer.analyze('説明します。確認します。比較します。これはペンです。最新の情報。');
+    expect(stats.sentenceEndings).toMatchObject({
+      total: 5,
+      distinct: 3,
+      top: { ending: 'ます', count: 3, ratio: 60 },
+      maxRun: 3,
+      counts: { 'ます': 3, 'です': 1, '（体言止め）': 1 },
+    });
+  });
+
+  test('冗長な表現（活用しても見つける）', () => {
+    const stats = analyzer.analyze('確認することができます。分析を行いました。紹介させていただきます。利用することが可能です。ということです。');
+    expect(Object.fromEntries(stats.redundantExpressions.map(entry => [entry.expression, entry.count]))).toEqual({
+      'ことができる': 1,
+      '〜を行う': 1,
+      'させていただく': 1,
+      'ことが可能': 1,
+      'ということだ': 1,
+    });
+  });
+
+  test('専門用語は固有名詞と大文字を含む英字の語（全角英字はまとめて1語）', () => {
+    const stats = analyzer.analyze('SEOとAIOの対策にはJavaScriptやGoogleの設定が重要です。東京でＡＩのwebinarを学ぶ。');
+    expect(stats.technicalTermExamples).toEqual(['SEO', 'AIO', 'JavaScript', 'Google', '東京']);
+    // 6語目は全角の「ＡＩ」。小文字だけの webinar は数えない
+    expect(stats.technicalTermCount).toBe(6);
+  });
+});
+
+describe('Phase 3-X: 自然言語品質への統合', () => {
+  const html = body => `<html><body><h1>見出し</h1>${body}<script>var a = "本が書かれた。";</script></body></html>`;
+
+  test('形態素解析で数え、冗長な表現・文末表現の偏りを問題にする', async () => {
+    const aio = new AIOChecker({ japaneseAnalyzer: analyzer });
+    const paragraphs = [
+      '本サービスでは、記事を確認することができます。',
+      'また、分析を行います。',
+      'さらに、結果を比較することができます。',
+      'しかし、設定を変更することができます。',
+      'そのため、作業を行います。',
+      '詳しい手順は以下で紹介させていただきます。',
+    ].map(text => `<p>${text}</p>`).join('');
+    const result = await aio.checkNaturalLanguageQuality(cheerio.load(html(paragraphs)));
+    expect(result).toMatchObject({ analyzer: 'kuromoji', sentenceCount: 6, passiveVoiceCount: 0 });
+    expect(result.sentenceEndings.top).toMatchObject({ ending: 'ます', ratio: 100 });
+    expect(result.issues).toEqual(expect.arrayContaining([
+      '文末表現が単調です（「ます」が100%）',
+      '冗長な表現が多すぎます（6件: 「ことができる」など）',
+    ]));
+    // 文末の偏り（-10）と冗長な表現（6件 → -6）を減点する
+    expect(result.score).toBe(aio.calculateNaturalLanguageScore(
+      result.avgSentenceLength, 0, 0, result.conjunctionsCount
+    ) - 16);
+  });
+
+  test('専門用語は script を除いた本文のトークンから数える', async () => {
+    const aio = new AIOChecker({ japaneseAnalyzer: analyzer });
+    const code = '<script>const apiKey = getAPIKey(); sendToGA4(apiKey); initGTM(); loadCSS(); useJSON(); HTTPS; CDN; DOM; URL; SDK; CLI;</script>';
+    const result = await aio.checkNaturalLanguageQuality(cheerio.load(html(`<p>記事を書きました。</p>${code}`)));
+    expect(result.technicalTermsCount).toBe(0);
+    expect(result.issues).not.toContain('専門用語が多すぎます');
+
+    const terms = 'SEO、AIO、CDN、DNS、HTTPS、JSON、GA4、GTM、CLI、SDK、API';
+    const jargon = await aio.checkNaturalLanguageQuality(cheerio.load(html(`<p>${terms}を設定します。</p>`)));
+    expect(jargon.technicalTermsCount).toBeGreaterThan(10);
+    expect(jargon.issues).toContain('専門用語が多すぎます');
+  });
+
+  test('形態素解析が使えないときは従来の概算', async () => {
+    const aio = new AIOChecker({ japaneseAnalyzer: new JapaneseAnalyzer({ enabled: false }) });
+    const result = await aio.checkNaturalLanguageQuality(cheerio.load(html('<p>本が書かれた。</p>')));
+    expect(result.analyzer).toBe('pattern');
+    expect(result.passiveVoiceCount).toBe(0);
+  });
+
+  test('指標を渡さないときのスコアは従来と同じ', () => {
+    const aio = new AIOChecker({ japaneseAnalyzer: analyzer });
+    expect(aio.calculateNaturalLanguageScore(40, 3, 1, 5)).toBe(aio.calculateNaturalLanguageScore(40, 3, 1, 5, {}));
+    expect(aio.calculateNaturalLanguageScore(40, 3, 1, 5, { kanjiRatio: 60, endingTopRatio: 80, redundantCount: 10 }))
+      .toBe(aio.calculateNaturalLanguageScore(40, 3, 1, 5) - 35);
+  });
+
+  test.each([
+    '漢字の割合が高すぎます（52.3%）',
+    '文末表現が単調です（「ます」が80%）',
+    '冗長な表現が多すぎます（4件: 「ことができる」など）',
+  ])('"%s" に固有の修正方法と参考ドキュメント', (issue) => {
+    const reporter = new EnhancedReporter();
+    expect(reporter.getConciseFix(issue, 'naturalLanguageQuality')).not.toBe('適切な修正を行ってください');
+    expect(reporter.getDocLink(issue, 'naturalLanguageQuality')).toContain('creating-helpful-content');
+    expect(reporter.getIssueKey(issue, 'naturalLanguageQuality')).toMatch(/^aio_/);
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Phase 3-Y: ページ間の重複・類似コンテンツの検出（ContentSimilarity）のテスト
+ */
+const cheerio = require('cheerio');
+const ContentSimilarity = require('../content-similarity');
+const BatchChecker = require('../batch-checker');
+const SiteCrawler = require('../site-crawler');
+const CallbackDispatcher = require('../callback-dispatcher');
+const SEOChecker = require('../index.js');
+
+const DRESS = 'このワンピースは上質なコットン素材を使用し、肌触りがよく一年中快適に着られます。洗濯機で洗えるのでお手入れも簡単です。サイズはS・M・Lの3種類をご用意しています。';
+const KETTLE = 'ステンレス製の電気ケトルは、1.2リットルの大容量でわずか3分でお湯が沸きます。空焚き防止機能と自動電源オフ機能を備えた安心設計です。';
+
+const similarity = new ContentSimilarity();
+const fp = text => similarity.fingerprintText(text);
+
+describe('Phase 3-Y: 指紋と類似度', () => {
+  test('説明文を使い回したページは高く、別の商品は低い', () => {
+    const navy = fp(`${DRESS}カラー：ネイビー`);
+    const beige = fp(`${DRESS}カラー：ベージュ`);
+    expect(navy).toMatchObject({ version: ContentSimilarity.FINGERPRINT_VERSION, shingleSize: 5, charCount: expect.any(Number) });
+    expect(navy.hashes).toHaveLength(128);
+    expect(similarity.similarity(navy, beige)).toBeGreaterThanOrEqual(80);
+    expect(similarity.similarity(navy, fp(KETTLE))).toBeLessThan(20);
+  });
+
+  test('空白・記号・全角 / 半角・大文字 / 小文字の違いは無視する', () => {
+    expect(similarity.similarity(fp(DRESS), fp(`  ${DRESS.replace(/、/g, ' ').replace('S・M・L', 'ｓ ｍ ｌ')}！！`))).toBe(100);
+  });
+
+  test('本文が短いページは指紋を作らず、版の違う指紋とは比べない', () => {
+    expect(fp('在庫切れです')).toBeNull();
+    expect(similarity.similarity(fp(DRESS), null)).toBeNull();
+    expect(similarity.similarity(fp(DRESS), { ...fp(DRESS), version: 0 })).toBeNull();
+  });
+
+  test('本文は main / article から取り、ヘッダー・メニュー・フッターは除く', () => {
+    const layout = main => `<html><body><header>ショップ名</header><nav>メニュー</nav>${main}<footer>会社概要</footer><script>var x = 1;</script></body></html>`;
+    const $ = cheerio.load(layout(`<main><h1>ワンピース</h1><p>${DRESS}</p><aside>関連商品</aside></main>`));
+    expect(similarity.extractMainContent($).replace(/\s/g, '')).toBe(`ワンピース${DRESS}`);
+    // main が無いときは body から定型部分を除く
+    expect(similarity.extractMainContent(cheerio.load(layout(`<div>${KETTLE}</div>`))).trim()).toBe(KETTLE);
+  });
+
+  test('類似度のしきい値は設定でき、不正な値は既定値にする', () => {
+    expect(new ContentSimilarity({ threshold: '90' }).options.threshold).toBe(90);
+    expect(new ContentSimilarity({ threshold: 'high' }).options.threshold).toBe(80);
+    expect(new ContentSimilarity({ threshold: 150 }).options.threshold).toBe(80);
+  });
+});
+
+describe('Phase 3-Y: 同じサイトの似ているページ', () => {
+  const fingerprint = fp(`${DRESS}カラー：ネイビー`);
+
+  function makeModel(docs) {
+    const calls = [];
+    return {
+      calls,
+      find(filter) {
+        calls.push(filter);
+        const chain = { sort: () => chain, limit: () => chain, select: () => chain, lean: async () => docs };
+        return chain;
+      },
+    };
+  }
+
+  const DOCS = [
+    { _id: 'h4', url: 'https://shop.example.com/items/1', normalizedUrl: 'shop.example.com/items/1', createdAt: new Date('2026-10-04'), contentFingerprint: fingerprint },
+    { _id: 'h3', url: 'https://shop.example.com/items/2', normalizedUrl: 'shop.example.com/items/2', createdAt: new Date('2026-10-03'), contentFingerprint: fp(`${DRESS}カラー：ベージュ`), values: { title: 'ワンピース ベージュ' } },
+    { _id: 'h2', url: 'https://shop.example.com/items/3', normalizedUrl: 'shop.example.com/items/3', createdAt: new Date('2026-10-02'), contentFingerprint: fp(KETTLE) },
+    { _id: 'h1', url: 'https://shop.example.com/items/2', normalizedUrl: 'shop.example.com/items/2', createdAt: new Date('2026-10-01'), contentFingerprint: fp(KETTLE) },
+  ];
+
+  test('自分自身を除き、URL ごとに最新の1回と比べて類似度の高い順に返す', async () => {
+    const model = makeModel(DOCS);
+    const result = await new ContentSimilarity({ model }).findSimilar({ url: 'https://www.shop.example.com/items/1?utm_source=mail', fingerprint, userId: 'u1' });
+    expect(result).toMatchObject({ available: true, threshold: 80, comparedPages: 2, nearDuplicates: 1 });
+    // 低い類似度（電気ケトル）は closest に入れない
+    expect(result.closest).toEqual([{
+      url: 'https://shop.example.com/items/2',
+      title: 'ワンピース ベージュ',
+      similarity: expect.any(Number),
+      nearDuplicate: true,
+      checkedAt: '2026-10-03T00:00:00.000Z',
+      historyId: 'h3',
+    }]);
+    // 同じホスト（www の有無は問わない）と利用者の、同じ版の指紋だけを探す
+    const [filter] = model.calls;
+    expect(filter).toMatchObject({ userId: 'u1', 'contentFingerprint.version': ContentSimilarity.FINGERPRINT_VERSION });
+    const site = new RegExp(filter.normalizedUrl.$regex);
+    expect(site.test('shop.example.com/items/9')).toBe(true);
+    expect(site.test('shop.example.com')).toBe(true);
+    expect(site.test('shop.example.com.evil.test/items/9')).toBe(false);
+    expect(site.test('shopxexample.com/items/9')).toBe(false);
+  });
+
+  test('API キーなし（userId 無し）は履歴を探さない（キーなしの利用者どうしで互いのページが見えないように）', async () => {
+    const model = makeModel(DOCS);
+    const similar = new ContentSimilarity({ model });
+    for (const userId of [undefined, null, '']) {
+      expect(await similar.findSimilar({ url: 'https://shop.example.com/items/1', fingerprint, userId }))
+        .toMatchObject({ available: false, reason: expect.stringContaining('API キー') });
+    }
+    expect(model.calls).toEqual([]);
+  });
+
+  test('URL・指紋・履歴が無いときは available: false', async () => {
+    const model = makeModel(DOCS);
+    const withModel = new ContentSimilarity({ model });
+    expect(await withModel.findSimilar({ url: null, fingerprint })).toMatchObject({ available: false, reason: expect.stringContaining('URL') });
+    expect(await withModel.findSimilar({ url: 'https://shop.example.com/', fingerprint: null })).toMatchObject({ available: false });
+    expect(await new ContentSimilarity().findSimilar({ url: 'https://shop.example.com/', fingerprint })).toMatchObject({ available: false, reason: expect.stringContaining('履歴') });
+    expect(model.calls).toEqual([]);
+  });
+});
+
+describe('Phase 3-Y: 重複のグループ', () => {
+  test('しきい値以上の組をつなぎ、2ページ以上のまとまりを大きい順に返す', () => {
+    const clusters = similarity.cluster([
+      { url: '/kettle', fingerprint: fp(KETTLE) },
+      { url: '/dress-navy', fingerprint: fp(`${DRESS}カラー：ネイビー`) },
+      { url: '/empty', fingerprint: null },
+      { url: '/kettle-copy', fingerprint: fp(`${KETTLE}送料無料`) },
+      { url: '/dress-beige', fingerprint: fp(`${DRESS}カラー：ベージュ`) },
+      { url: '/dress-black', fingerprint: fp(`${DRESS}カラー：ブラック`) },
+    ]);
+    expect(clusters.map(cluster => [cluster.id, cluster.urls])).toEqual([
+      [1, ['/dress-navy', '/dress-beige', '/dress-black']],
+      [2, ['/kettle', '/kettle-copy']],
+    ]);
+    expect(clusters[0]).toMatchObject({ size: 3, minSimilarity: expect.any(Number), maxSimilarity: expect.any(Number) });
+    expect(clusters[0].minSimilarity).toBeGreaterThanOrEqual(80);
+  });
+
+  function makeChecker(texts) {
+    return {
+      checkSEO: async (url) => ({
+        url,
+        overallScore: 70,
+        aioOverallScore: 60,
+        combinedScore: 65,
+        checks: { titleTag: { score: 70, current: url, issues: [] }, internalLinkStructure: { score: 60, internalLinks: [] } },
+        aio: { overallScore: 60, checks: {} },
+        conciseRecommendations: [],
+        contentFingerprint: fp(texts[url]),
+      }),
+    };
+  }
+
+  test('一括診断の結果に duplicateClusters と行ごとの duplicateCluster を付ける', async () => {
+    const texts = {
+      'https://shop.example.com/a': `${DRESS}カラー：ネイビー`,
+      'https://shop.example.com/b': KETTLE,
+      'https://shop.example.com/c': `${DRESS}カラー：ベージュ`,
+    };
+    const report = await new BatchChecker(makeChecker(texts)).run(Object.keys(texts));
+    expect(report.duplicateClusters).toEqual([
+      expect.objectContaining({ id: 1, urls: ['https://shop.example.com/a', 'https://shop.example.com/c'] }),
+    ]);
+    expect(report.items.map(item => item.duplicateCluster)).toEqual([1, undefined, 1]);
+    expect(CallbackDispatcher.summarize('batch', report).duplicateClusters).toEqual(report.duplicateClusters);
+  });
+
+  test('クロールのページもまとめる', async () => {
+    const texts = { 'https://shop.example.com/': `${DRESS}カラー：ネイビー`, 'https://shop.example.com/copy': `${DRESS}カラー：ブラック` };
+    const checker = makeChecker(texts);
+    const checkSEO = checker.checkSEO;
+    checker.checkSEO = async (url) => {
+      const results = await checkSEO(url);
+      if (url === 'https://shop.example.com/') results.checks.internalLinkStructure.internalLinks = [{ href: '/copy' }];
+      return results;
+    };
+    const report = await new SiteCrawler(checker, { delayMs: 0 }).crawl('https://shop.example.com/');
+    expect(report.duplicateClusters).toHaveLength(1);
+    expect(report.pages.map(page => page.duplicateCluster)).toEqual([1, 1]);
+  });
+});
+
+describe('Phase 3-Y: checkSEO と履歴', () => {
+  test('本文の指紋を results.contentFingerprint に入れ、履歴に保存する値にする', async () => {
+    const html = `<html><head><title>ワンピース</title></head><body><nav>メニュー</nav><main><h1>ワンピース</h1><p>${DRESS}</p></main></body></html>`;
+    const results = await new SEOChecker().checkSEO(null, html, false);
+    expect(similarity.similarity(results.contentFingerprint, fp(`ワンピース${DRESS}`))).toBe(100);
+    expect(ContentSimilarity.snapshot(results)).toEqual({ contentFingerprint: results.contentFingerprint });
+    expect(ContentSimilarity.snapshot({})).toEqual({ contentFingerprint: null });
+  });
+});
@@ -3,10 +3,19 @@
  * AI検索エンジンでの露出とコンテンツのAI最適化度を測定
  */
 const LlmsTxtChecker = require('./llms-txt-checker');
+const JapaneseAnalyzerProcess = require('./japanese-analyzer-process');
+
+// Phase 3-X: 自然言語品質で段落・見出しの区切りとして改行を入れる要素
+const BLOCK_ELEMENTS = 'p, li, h1, h2, h3, h4, h5, h6, dt, dd, th, td, blockquote, figcaption, caption, div, section, article, br';
 
 class AIOChecker {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {import('./japanese-analyzer')|JapaneseAnalyzerProcess} [options.japaneseAnalyzer] - Phase 3-X: 形態素解析（既定は子プロセスの共有インスタンス）
+   */
+  constructor(options = {}) {
     this.llmsTxtChecker = new LlmsTxtChecker();
+    this.japaneseAnalyzer = options.japaneseAnalyzer || JapaneseAnalyzerProcess.shared();
     this.aiSearchEngines = [
       'Google SGE',
       'Bing AI',
@@ -30,7 +39,6 @@ class AIOChecker {
       const llmsTxtPromise = url
         ? this.checkLlmsTxtSafe(url)
         : Promise.resolve(this._llmsTxtSkippedResult());
-
       const [
         contentComprehensiveness,
         structuredInformation,
@@ -44,7 +52,7 @@ class AIOChecker {
         Promise.resolve(this.checkStructuredInformation($, seoResults)),
         Promise.resolve(this.checkCredibilitySignals($, url)),
         Promise.resolve(this.checkAISearchOptimization($, seoResults)),
-        Promise.resolve(this.checkNaturalLanguageQuality($)),
+        this.checkNaturalLanguageQuality($),
         Promise.resolve(this.checkContextRelevance($, url)),
         llmsTxtPromise,
       ]);
@@ -396,12 +404,105 @@ class AIOChecker {
 
   /**
    * 自然言語品質のチェック
+   * Phase 3-X: 形態素解析（JapaneseAnalyzer）が使えるときは語に分けて、文長・漢字の割合・文末表現・
+   * 冗長な表現・受動態（「言われる」等の五段動詞も含む）・専門用語（固有名詞と英字の語）を数える。
+   * 使えないときは従来の文字列での概算（解析は子プロセスで動くため非同期）
    */
-  checkNaturalLanguageQuality($) {
+  async checkNaturalLanguageQuality($) {
+    const textContent = this.extractReadableText($);
+    const analysis = await this.japaneseAnalyzer.analyze(textContent);
+    if (!analysis) return this.checkNaturalLanguageQualityByPattern($('body').text());
+
     const issues = [];
     const recommendations = [];
 
-    const textContent = $('body').text();
+    if (analysis.avgSentenceChars > 50) {
+      issues.push('文章が長すぎます');
+      recommendations.push(`文章を短く、読みやすくしてください（平均${analysis.avgSentenceChars}文字・${analysis.avgSentenceWords}語）`);
+    }
+
+    if (analysis.technicalTermCount > 10) {
+      issues.push('専門用語が多すぎます');
+      recommendations.push(`専門用語を減らし、一般的な言葉で説明してください（例: ${analysis.technicalTermExamples.slice(0, 3).join('、')}）`);
+    }
+
+    if (analysis.passiveCount > analysis.sentenceCount * 0.3) {
+      issues.push('受動態が多すぎます');
+      recommendations.push(`能動態を多用して、より自然な文章にしてください（例: ${analysis.passiveExamples.slice(0, 3).join('、')}）`);
+    }
+
+    const conjunctions = textContent.match(/しかし|また|さらに|そのため|なぜなら/g) || [];
+    if (conjunctions.length < 3) {
+      issues.push('接続詞が少なすぎます');
+      recommendations.push('文章の流れを良くするため接続詞を追加してください');
+    }
+
+    // 漢字の割合（読みやすい文章は 2〜3 割程度）。数文しかないページでは判定しない
+    if (analysis.sentenceCount >= 3 && analysis.kanjiRatio > 40) {
+      issues.push(`漢字の割合が高すぎます（${analysis.kanjiRatio}%）`);
+      recommendations.push('「事」「出来る」など、ひらがなで書ける語を開いて漢字を3割程度にしてください');
+    }
+
+    // 文末表現の偏り（5文以上で、同じ文末が6割以上か5回以上続く）
+    const endings = analysis.sentenceEndings;
+    const monotonous = endings.total >= 5 && endings.top && (endings.top.ratio >= 60 || endings.maxRun >= 5);
+    if (monotonous) {
+      const label = endings.top.ending.startsWith('（') ? endings.top.ending.slice(1, -1) : `「${endings.top.ending}」`;
+      issues.push(`文末表現が単調です（${label}が${endings.top.ratio}%）`);
+      recommendations.push('「〜です」「〜ます」「〜でしょう」や体言止めを織り交ぜ、同じ文末が続かないようにしてください');
+    }
+
+    const redundantCount = analysis.redundantExpressions.reduce((sum, entry) => sum + entry.count, 0);
+    if (redundantCount >= 3) {
+      const top = analysis.redundantExpressions[0];
+      issues.push(`冗長な表現が多すぎます（${redundantCount}件: 「${top.expression}」など）`);
+      recommendations.push(`「${top.expression}」は${top.suggestion}に言い換えてください`);
+    }
+
+    return {
+      analyzer: 'kuromoji',
+      sentenceCount: analysis.sentenceCount,
+      avgSentenceLength: Math.round(analysis.avgSentenceChars),
+      avgSentenceWords: analysis.avgSentenceWords,
+      avgSentenceMorae: analysis.avgSentenceMorae,
+      kanjiRatio: analysis.kanjiRatio,
+      sentenceEndings: endings,
+      redundantExpressions: analysis.redundantExpressions,
+      technicalTermsCount: analysis.technicalTermCount,
+      passiveVoiceCount: analysis.passiveCount,
+      passiveExamples: analysis.passiveExamples,
+      conjunctionsCount: conjunctions.length,
+      issues: issues,
+      recommendations: recommendations,
+      score: this.calculateNaturalLanguageScore(
+        analysis.avgSentenceChars, analysis.technicalTermCount, analysis.passiveCount, conjunctions.length,
+        {
+          kanjiRatio: analysis.sentenceCount >= 3 ? analysis.kanjiRatio : null,
+          endingTopRatio: endings.total >= 5 && endings.top ? endings.top.ratio : null,
+          redundantCount,
+        }
+      )
+    };
+  }
+
+  /**
+   * Phase 3-X: 段落・見出し・リスト項目の境目に改行を入れた本文（script / style 等は除く）
+   */
+  extractReadableText($) {
+    const $body = $('body').clone();
+    $body.find('script, style, noscript, template, svg').remove();
+    $body.find(BLOCK_ELEMENTS).each((i, el) => {
+      $(el).append('\n');
+    });
+    return $body.text();
+  }
+
+  /**
+   * 自然言語品質のチェック（形態素解析を使わない従来の概算）
+   */
+  checkNaturalLanguageQualityByPattern(textContent) {
+    const issues = [];
+    const recommendations = [];
     
     // 読みやすさのチェック
     const sentences = textContent.split(/[。！？]/).filter(s => s.trim().length > 0);
@@ -434,6 +535,7 @@ class AIOChecker {
     }
 
     return {
+      analyzer: 'pattern',
       avgSentenceLength: Math.round(avgSentenceLength),
       technicalTermsCount: technicalTerms.length,
       passiveVoiceCount: passiveVoice.length,
@@ -726,8 +828,13 @@ class AIOChecker {
   /**
    * 自然言語品質スコア (Phase 1.6)
    * 100点満点から段階的に減点。閾値超えの瞬間に-20ではなく、滑らかに減点する。
+   *
+   * @param {Object} [style] - Phase 3-X: 形態素解析で求めた指標（null / 省略の項目は減点しない）
+   * @param {number|null} [style.kanjiRatio] - 漢字の割合（%）
+   * @param {number|null} [style.endingTopRatio] - 最も多い文末表現の割合（%）
+   * @param {number} [style.redundantCount] - 冗長な表現の数
    */
-  calculateNaturalLanguageScore(avgSentenceLength, technicalTerms, passiveVoice, conjunctions) {
+  calculateNaturalLanguageScore(avgSentenceLength, technicalTerms, passiveVoice, conjunctions, style = {}) {
     // 文長ペナルティ（最大-25）
     // 短い文章(30字以下)は減点なし、50字超で減点開始、80字超は大幅減点
     const lengthPenalty = this.piecewiseLinearScore(avgSentenceLength, [
@@ -766,7 +873,30 @@ class AIOChecker {
     else conjPenalty = -25;
     conjPenalty = Math.round(conjPenalty);
 
-    const score = 100 + lengthPenalty + termPenalty + passivePenalty + conjPenalty;
+    // Phase 3-X: 漢字の割合（最大-15）・文末表現の偏り（最大-10）・冗長な表現（最大-10）
+    const kanjiPenalty = typeof style.kanjiRatio === 'number' ? this.piecewiseLinearScore(style.kanjiRatio, [
+      { x: 0,   score: 0 },
+      { x: 35,  score: 0 },
+      { x: 45,  score: -10 },
+      { x: 60,  score: -15 },
+      { x: 100, score: -15 },
+    ]) : 0;
+    const endingPenalty = typeof style.endingTopRatio === 'number' ? this.piecewiseLinearScore(style.endingTopRatio, [
+      { x: 0,   score: 0 },
+      { x: 60,  score: 0 },
+      { x: 80,  score: -10 },
+      { x: 100, score: -10 },
+    ]) : 0;
+    const redundantPenalty = typeof style.redundantCount === 'number' ? this.piecewiseLinearScore(style.redundantCount, [
+      { x: 0,  score: 0 },
+      { x: 2,  score: 0 },
+      { x: 5,  score: -5 },
+      { x: 10, score: -10 },
+      { x: 50, score: -10 },
+    ]) : 0;
+
+    const score = 100 + lengthPenalty + termPenalty + passivePenalty + conjPenalty +
+      kanjiPenalty + endingPenalty + redundantPenalty;
     return Math.max(0, Math.min(100, Math.round(score)));
   }
 
@@ -0,0 +1,392 @@
+/**
+ * Phase 3-J: 複数URLの一括診断
+ *
+ * URL のリスト（JSON 配列または CSV）を受け取り、同時実行数を制限しながら
+ * SEOChecker.checkSEO を実行して URL ごとの要約と全体集計を返す。
+ *
+ * /api/compare と同じく Promise.allSettled で待つため、
+ * 1件の失敗（取得エラー・タイムアウト等）はその行に記録するだけでバッチ全体は止めない。
+ *
+ * Phase 3-Y: 本文が似ている URL を重複のグループ（duplicateClusters）にまとめ、
+ * 該当する行に duplicateCluster（グループの id）を付ける。
+ *
+ * 制限:
+ *  - concurrency : 同時に診断する URL 数（Puppeteer を使う waitForJS 時は 2 まで）
+ *  - maxUrls     : 1回のバッチで受け付ける URL 数の上限
+ *
+ * @example
+ *   const BatchChecker = require('./batch-checker');
+ *   const { urls, skipped } = BatchChecker.parseUrlList(csvText);
+ *   const batch = new BatchChecker(new SEOChecker(), { concurrency: 3 });
+ *   const report = await batch.run(urls, { onProgress: (event) => ... });
+ *   const csv = batch.toCsv(report);
+ */
+
+const ContentSimilarity = require('./content-similarity');
+
+const DEFAULT_OPTIONS = Object.freeze({
+  concurrency: 3,
+  maxUrls: 50,
+  waitForJS: false,
+});
+
+// API から指定できる上限（Render の 512MB / リクエスト時間を考慮）
+const HARD_LIMITS = Object.freeze({
+  concurrency: 5,
+  concurrencyWithJS: 2,
+  maxUrls: 200,
+});
+
+// CSV の見出し行として扱う列名
+const URL_HEADER = /^(?:url|urls|page_?url|address|ページurl)$/i;
+
+const CSV_BASE_COLUMNS = ['url', 'status', 'overallScore', 'aioOverallScore', 'combinedScore'];
+const CSV_TAIL_COLUMNS = ['topPriority', 'topCategory', 'topIssue', 'topFix', 'error'];
+
+class BatchChecker {
+  /**
+   * @param {Object} checker - SEOChecker インスタンス（checkSEO を使用）
+   * @param {Object} [options] - DEFAULT_OPTIONS を上書きする設定
+   */
+  constructor(checker, options = {}) {
+    if (!checker || typeof checker.checkSEO !== 'function') {
+      throw new Error('BatchChecker には checkSEO を持つ checker が必要です');
+    }
+    this.checker = checker;
+    this.options = BatchChecker.resolveOptions(options);
+    this.contentSimilarity = checker.contentSimilarity || ContentSimilarity.shared();
+  }
+
+  /**
+   * リクエスト由来の設定値を既定値・上限で丸める
+   * @param {Object} options
+   * @returns {Object} 正規化済みの設定
+   */
+  static resolveOptions(options = {}) {
+    const toInt = (v, fallback) => {
+      const n = parseInt(v, 10);
+      return Number.isFinite(n) ? n : fallback;
+    };
+    const waitForJS = options.waitForJS === true || options.waitForJS === 'true';
+    const maxConcurrency = waitForJS ? HARD_LIMITS.concurrencyWithJS : HARD_LIMITS.concurrency;
+    return {
+      concurrency: Math.min(Math.max(toInt(options.concurrency, DEFAULT_OPTIONS.concurrency), 1), maxConcurrency),
+      maxUrls: Math.min(Math.max(toInt(options.maxUrls, DEFAULT_OPTIONS.maxUrls), 1), HARD_LIMITS.maxUrls),
+      waitForJS,
+    };
+  }
+
+  /**
+   * URL の配列または CSV テキストから診断対象の URL を取り出す
+   *
+   * CSV は見出し行に url 列があればその列を、無ければ1列目を読む。
+   * http(s) 以外・形式不正の値は skipped に行番号つきで記録し、重複は1件にまとめる。
+   *
+   * @param {string[]|string} input - URL の配列、または CSV / 改行区切りのテキスト
+   * @returns {{ urls: string[], skipped: Array<{ line: number, value: string, reason: string }> }}
+   */
+  static parseUrlList(input) {
+    let entries;
+    if (Array.isArray(input)) {
+      entries = input.map((value, i) => ({ line: i + 1, value: typeof value === 'string' ? value : String(value) }));
+    } else if (typeof input === 'string') {
+      entries = BatchChecker.extractCsvColumn(BatchChecker.parseCsv(input));
+    } else {
+      entries = [];
+    }
+
+    const urls = [];
+    const seen = new Set();
+    const skipped = [];
+    for (const { line, value } of entries) {
+      const trimmed = value.trim();
+      if (!trimmed) continue;
+      let u;
+      try {
+        u = new URL(trimmed);
+      } catch (_) {
+        skipped.push({ line, value: trimmed, reason: 'URLの形式が不正です' });
+        continue;
+      }
+      if (u.protocol !== 'http:' && u.protocol !== 'https:') {
+        skipped.push({ line, value: trimmed, reason: 'http / https 以外のURLです' });
+        continue;
+      }
+      const normalized = u.toString();
+      if (seen.has(normalized)) {
+        skipped.push({ line, value: trimmed, reason: '重複しています' });
+        continue;
+      }
+      seen.add(normalized);
+      urls.push(normalized);
+    }
+    return { urls, skipped };
+  }
+
+  /**
+   * RFC 4180 形式の CSV を行×列の配列にする（ダブルクォート・改行を含むセルに対応）
+   * @param {string} text
+   * @returns {string[][]}
+   */
+  static parseCsv(text) {
+    const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+      const ch = source[i];
+      if (quoted) {
+        if (ch === '"' && source[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          cell += ch;
+        }
+      } else if (ch === '"' && cell === '') {
+        quoted = true;
+      } else if (ch === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && source[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * CSV の行から URL 列を取り出す（見出し行は読み飛ばす）
+   */
+  static extractCsvColumn(rows) {
+    let column = 0;
+    let startRow = 0;
+    const header = rows[0] || [];
+    const headerIndex = header.findIndex(cell => URL_HEADER.test(cell.trim()));
+    if (headerIndex >= 0) {
+      column = headerIndex;
+      startRow = 1;
+    }
+    const entries = [];
+    for (let i = startRow; i < rows.length; i++) {
+      entries.push({ line: i + 1, value: rows[i][column] || '' });
+    }
+    return entries;
+  }
+
+  /**
+   * バッチを実行
+   * @param {string[]} urls - parseUrlList で正規化済みの URL
+   * @param {Object} [hooks]
+   * @param {Function} [hooks.onProgress] - 1件終わるごとに進捗イベントで呼ばれる
+   * @param {Function} [hooks.onResult] - 診断に成功するごとに (url, results) で呼ばれる（履歴保存用）
+   * @param {Function} [hooks.beforeCheck] - 診断する前に (url) で呼ばれる。例外を投げるとその URL は診断せず、
+   *   その例外の code でエラーの行にする（回数制限の上限に達したとき等）
+   * @returns {Promise<Object>} バッチレポート
+   */
+  async run(urls, hooks = {}) {
+    if (urls.length > this.options.maxUrls) {
+      const err = new Error(`URLは${this.options.maxUrls}件までです（${urls.length}件指定されました）`);
+      err.code = 'TOO_MANY_URLS';
+      throw err;
+    }
+
+    const startedAt = new Date();
+    const total = urls.length;
+    let completed = 0;
+    const limit = this.createLimiter(this.options.concurrency);
+    // 重複のグループ用（入力順に並べ直してから比べる）
+    const fingerprints = new Map();
+
+    const settled = await Promise.allSettled(urls.map(url => limit(async () => {
+      let item;
+      try {
+        if (typeof hooks.beforeCheck === 'function') await hooks.beforeCheck(url);
+        const results = await this.checker.checkSEO(url, null, this.options.waitForJS);
+        item = this.summarizeResult(url, results);
+        fingerprints.set(url, results.contentFingerprint || null);
+        if (typeof hooks.onResult === 'function') {
+          try {
+            await hooks.onResult(url, results);
+          } catch (_) { /* フックの失敗でバッチは止めない */ }
+        }
+      } catch (error) {
+        item = { url, status: 'error', error: error.message, code: error.code || null };
+      }
+      completed++;
+      if (typeof hooks.onProgress === 'function') {
+        try {
+          hooks.onProgress({ completed, total, item });
+        } catch (_) { /* 同上 */ }
+      }
+      return item;
+    })));
+
+    // 入力順に並べ直す（完了順ではなく）
+    const items = settled.map((s, i) => (s.status === 'fulfilled'
+      ? s.value
+      : { url: urls[i], status: 'error', error: s.reason && s.reason.message, code: (s.reason && s.reason.code) || null }));
+    const duplicateClusters = this.contentSimilarity.cluster(
+      items.filter(item => fingerprints.has(item.url)).map(item => ({ url: item.url, fingerprint: fingerprints.get(item.url) }))
+    );
+    ContentSimilarity.markClusters(items, duplicateClusters);
+
+    return {
+      options: { ...this.options },
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      items,
+      summary: this.buildSummary(items),
+      duplicateClusters,
+    };
+  }
+
+  /**
+   * 同時実行数を制限する関数を作る
+   * @param {number} concurrency
+   * @returns {Function} (task) => Promise
+   */
+  createLimiter(concurrency) {
+    let active = 0;
+    const waiting = [];
+    const next = () => {
+      if (active >= concurrency || waiting.length === 0) return;
+      active++;
+      const { task, resolve, reject } = waiting.shift();
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    };
+    return (task) => new Promise((resolve, reject) => {
+      waiting.push({ task, resolve, reject });
+      next();
+    });
+  }
+
+  /**
+   * 1件分の結果をバッチレポート用に要約（最優先の推奨事項を1つ添える）
+   */
+  summarizeResult(url, results) {
+    const categoryScores = { seo: {}, aio: {} };
+    for (const [key, check] of Object.entries(results.checks || {})) {
+      if (check && typeof check.score === 'number') categoryScores.seo[key] = check.score;
+    }
+    const aioChecks = (results.aio && results.aio.checks) || {};
+    for (const [key, check] of Object.entries(aioChecks)) {
+      if (check && typeof check.score === 'number') categoryScores.aio[key] = check.score;
+    }
+
+    // conciseRecommendations は優先度順に並んでいる
+    const top = (results.conciseRecommendations || [])[0];
+    return {
+      url,
+      status: 'ok',
+      overallScore: results.overallScore,
+      aioOverallScore: results.aioOverallScore,
+      combinedScore: results.combinedScore,
+      categoryScores,
+      topRecommendation: top
+        ? { priority: top.priority, category: top.category, type: top.type, issue: top.issue, fix: top.fix || null }
+        : null,
+    };
+  }
+
+  /**
+   * 成功・失敗件数と平均スコアを集計
+   */
+  buildSummary(items) {
+    const ok = items.filter(item => item.status === 'ok');
+    const avg = (values) => values.length
+      ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length)
+      : null;
+    const byCombined = [...ok].sort((a, b) => a.combinedScore - b.combinedScore);
+    const pick = (item) => item ? { url: item.url, combinedScore: item.combinedScore } : null;
+
+    return {
+      total: items.length,
+      succeeded: ok.length,
+      failed: items.length - ok.length,
+      averageScores: {
+        overallScore: avg(ok.map(item => item.overallScore)),
+        aioOverallScore: avg(ok.map(item => item.aioOverallScore)),
+        combinedScore: avg(ok.map(item => item.combinedScore)),
+      },
+      lowest: pick(byCombined[0]),
+      highest: pick(byCombined[byCombined.length - 1]),
+    };
+  }
+
+  /**
+   * バッチレポートを CSV にする（1行 = 1URL、カテゴリ別スコアは seo:titleTag のような列名）
+   * @param {Object} report - run() の戻り値
+   * @returns {string}
+   */
+  toCsv(report) {
+    const categoryColumns = [];
+    for (const item of report.items) {
+      if (item.status !== 'ok') continue;
+      for (const type of ['seo', 'aio']) {
+        for (const key of Object.keys(item.categoryScores[type])) {
+          const column = `${type}:${key}`;
+          if (!categoryColumns.includes(column)) categoryColumns.push(column);
+        }
+      }
+    }
+
+    const header = [...CSV_BASE_COLUMNS, ...categoryColumns, ...CSV_TAIL_COLUMNS];
+    const lines = [header.map(csvCell).join(',')];
+    for (const item of report.items) {
+      const top = item.topRecommendation || {};
+      const row = [
+        item.url,
+        item.status,
+        item.overallScore,
+        item.aioOverallScore,
+        item.combinedScore,
+        ...categoryColumns.map((column) => {
+          const [type, key] = column.split(':');
+          return item.categoryScores ? item.categoryScores[type][key] : null;
+        }),
+        top.priority,
+        top.category,
+        top.issue,
+        top.fix,
+        item.error,
+      ];
+      lines.push(row.map(csvCell).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+  }
+}
+
+/**
+ * CSV のセルをエスケープ。表計算ソフトで式として解釈されないよう、
+ * = + - @ で始まる文字列の先頭には ' を付ける
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = BatchChecker;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+module.exports.HARD_LIMITS = HARD_LIMITS;
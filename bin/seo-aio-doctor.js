@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+/**
+ * seo-aio-doctor コマンド (Phase 3-O)
+ *
+ * サーバーを起動せずに1ページを診断する。引数と終了コードは cli.js を参照。
+ *
+ * 使い方:
+ *   npx seo-aio-doctor https://example.com --min-seo 80 --min-aio 60 --fail-on critical
+ *   npx seo-aio-doctor --help
+ */
+// index.js より先に設定する（サーバーを起動せず、ログを標準エラーへ出す）
+process.env.SEO_AIO_DOCTOR_CLI = '1';
+
+const Cli = require('../cli');
+
+new Cli().run(process.argv.slice(2)).then((code) => {
+  // process.exit() だと標準出力がパイプのときに書き切れないことがあるため exitCode で返す
+  process.exitCode = code;
+}, (err) => {
+  console.error(err.stack || err.message);
+  process.exitCode = Cli.EXIT_CODES.error;
+});
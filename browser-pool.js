@@ -0,0 +1,336 @@
+/**
+ * Phase 3-L: Puppeteer のブラウザプール
+ *
+ * これまで fetchHTMLWithPuppeteer はリクエストごとに Chromium を起動・終了しており、
+ * /api/compare では2つ同時に起動して 512MB の上限に当たっていた。
+ * プールはブラウザを使い回し、同時に開くページ数を制限して、超えた分は待ち行列に並べる。
+ *
+ * - ページごとに別のブラウザコンテキスト（シークレットウィンドウ相当）を作るため、
+ *   Cookie やストレージがリクエスト間で混ざらない
+ * - ブラウザは recycleAfterPages ページ処理するか、ヒープが recycleHeapMB を超えたら作り直す。
+ *   idleCloseMs のあいだ使われなければ閉じてメモリを返す
+ * - 待ち行列が満杯、待ち時間切れ、ヒープが heapBudgetMB を超えている場合は
+ *   status: 503 のエラー（BROWSER_QUEUE_FULL / BROWSER_QUEUE_TIMEOUT / MEMORY_OVER_BUDGET）で断る
+ *
+ * @example
+ *   const pool = new BrowserPool({ maxBrowsers: 1, pagesPerBrowser: 2 });
+ *   const html = await pool.withPage(async (page) => {
+ *     await page.goto(url);
+ *     return page.content();
+ *   });
+ *   pool.getStats(); // { browsers, activePages, queued, ... }
+ */
+
+const DEFAULT_OPTIONS = Object.freeze({
+  maxBrowsers: 1,
+  pagesPerBrowser: 2,
+  maxQueue: 10,
+  queueTimeoutMs: 60 * 1000,
+  recycleAfterPages: 20,
+  recycleHeapMB: 300,
+  heapBudgetMB: 420,   // --max-old-space-size=512 に対し、page.content() 等の余裕を残す
+  idleCloseMs: 60 * 1000,
+});
+
+const OVERLOAD_CODES = new Set(['BROWSER_QUEUE_FULL', 'BROWSER_QUEUE_TIMEOUT', 'MEMORY_OVER_BUDGET']);
+
+class BrowserPool {
+  /**
+   * @param {Object} [options] - DEFAULT_OPTIONS を上書きする設定
+   * @param {Function} [options.launchImpl] - ブラウザを起動する関数（既定は BrowserPool.launchBrowser）
+   * @param {Function} [options.memoryUsageImpl] - process.memoryUsage の差し替え（テスト用）
+   * @param {Object} [options.logger] - winston 互換のロガー（info / warn）
+   */
+  constructor(options = {}) {
+    const { launchImpl = null, memoryUsageImpl = null, logger = null, ...rest } = options;
+    this.options = { ...DEFAULT_OPTIONS };
+    for (const [key, value] of Object.entries(rest)) {
+      const n = parseInt(value, 10);
+      if (key in DEFAULT_OPTIONS && Number.isFinite(n) && n > 0) this.options[key] = n;
+    }
+    this.launchImpl = launchImpl || BrowserPool.launchBrowser;
+    this.memoryUsageImpl = memoryUsageImpl || (() => process.memoryUsage());
+    this.logger = logger;
+    this.entries = [];
+    this.waiting = [];
+    this.nextId = 1;
+    this.counters = { launched: 0, recycled: 0, pagesServed: 0, rejectedQueueFull: 0, rejectedTimeout: 0, rejectedMemory: 0 };
+  }
+
+  /**
+   * Chromium を起動（Render 等の本番環境では @sparticuz/chromium のバイナリを使用）
+   */
+  static async launchBrowser() {
+    const puppeteer = require('puppeteer');
+    const launchOptions = {
+      headless: true,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-first-run',
+        '--no-zygote',
+        '--disable-gpu',
+        '--memory-pressure-off',
+        '--max_old_space_size=512'
+      ]
+    };
+    // ビルド成果物に Chrome が含まれないため
+    if (process.env.NODE_ENV === 'production') {
+      try {
+        const chromium = require('@sparticuz/chromium');
+        launchOptions.executablePath = await chromium.executablePath();
+        launchOptions.args = chromium.args || launchOptions.args;
+        launchOptions.headless = 'shell'; // @sparticuz/chromium 推奨
+      } catch (_) { /* 読み込めなければ通常の Puppeteer を使用 */ }
+    }
+    return puppeteer.launch(launchOptions);
+  }
+
+  /**
+   * 満杯・メモリ超過でプールに断られたエラーか（呼び出し側でフォールバックせず 503 を返す判定用）
+   */
+  static isOverloadError(error) {
+    return !!error && OVERLOAD_CODES.has(error.code);
+  }
+
+  /**
+   * ページを1枚借りて fn(page) を実行し、終わったらコンテキストごと閉じて返す
+   * @param {Function} fn - async (page) => any
+   * @returns {Promise<*>} fn の戻り値
+   */
+  async withPage(fn) {
+    const lease = await this.acquire();
+    try {
+      return await fn(lease.page);
+    } finally {
+      await this.release(lease);
+    }
+  }
+
+  /**
+   * 空きがあればページを開き、無ければ待ち行列に並ぶ
+   * @returns {Promise<{entry: Object, context: Object, page: Object}>}
+   */
+  async acquire() {
+    const heapUsedMB = this.heapUsedMB();
+    if (heapUsedMB > this.options.heapBudgetMB) {
+      this.counters.rejectedMemory++;
+      throw this.overloadError('MEMORY_OVER_BUDGET',
+        `サーバーのメモリ使用量が上限を超えているため受け付けられません（${heapUsedMB}MB / ${this.options.heapBudgetMB}MB）。しばらくしてから再度お試しください`);
+    }
+
+    let entry = this.reserveSlot();
+    if (!entry) {
+      if (this.waiting.length >= this.options.maxQueue) {
+        this.counters.rejectedQueueFull++;
+        throw this.overloadError('BROWSER_QUEUE_FULL',
+          `混雑しているため受け付けられません（処理中 ${this.activePages()}件・待機 ${this.waiting.length}件）。しばらくしてから再度お試しください`);
+      }
+      entry = await new Promise((resolve, reject) => {
+        const waiter = { resolve, reject, timer: null };
+        waiter.timer = setTimeout(() => {
+          this.waiting = this.waiting.filter(w => w !== waiter);
+          this.counters.rejectedTimeout++;
+          reject(this.overloadError('BROWSER_QUEUE_TIMEOUT',
+            `混雑のため ${Math.round(this.options.queueTimeoutMs / 1000)}秒待っても処理を開始できませんでした。しばらくしてから再度お試しください`));
+        }, this.options.queueTimeoutMs);
+        if (typeof waiter.timer.unref === 'function') waiter.timer.unref();
+        this.waiting.push(waiter);
+      });
+    }
+
+    let context = null;
+    try {
+      const browser = await entry.browserPromise;
+      context = await browser.createBrowserContext();
+      const page = await context.newPage();
+      return { entry, context, page };
+    } catch (error) {
+      // 起動失敗・クラッシュしたブラウザは使わない
+      if (context) await context.close().catch(() => {});
+      entry.retiring = true;
+      entry.active--;
+      await this.closeIfDrained(entry);
+      this.dispatch();
+      throw error;
+    }
+  }
+
+  /**
+   * ページ（コンテキスト）を閉じて枠を返す。必要ならブラウザを作り直す
+   */
+  async release(lease) {
+    const { entry, context } = lease;
+    try {
+      await context.close();
+    } catch (_) { /* 既に閉じている */ }
+    entry.active--;
+    entry.served++;
+    this.counters.pagesServed++;
+
+    if (!entry.retiring && entry.served >= this.options.recycleAfterPages) {
+      this.retire(entry, `${entry.served}ページ処理`);
+    }
+    const heapUsedMB = this.heapUsedMB();
+    if (heapUsedMB >= this.options.recycleHeapMB) {
+      this.entries.filter(e => !e.retiring).forEach(e => this.retire(e, `ヒープ ${heapUsedMB}MB`));
+    }
+    await this.closeIfDrained(entry);
+    this.scheduleIdleClose(entry);
+    this.dispatch();
+  }
+
+  /**
+   * 空いている枠を1つ確保（必要ならブラウザを起動）。確保できなければ null
+   */
+  reserveSlot() {
+    let entry = this.entries.find(e => !e.retiring && e.active < this.options.pagesPerBrowser);
+    if (!entry && this.entries.length < this.options.maxBrowsers) {
+      entry = this.launchEntry();
+    }
+    if (!entry) return null;
+    entry.active++;
+    if (entry.idleTimer) {
+      clearTimeout(entry.idleTimer);
+      entry.idleTimer = null;
+    }
+    return entry;
+  }
+
+  launchEntry() {
+    const entry = {
+      id: this.nextId++,
+      browserPromise: null,
+      browser: null,
+      active: 0,
+      served: 0,
+      retiring: false,
+      launchedAt: Date.now(),
+      idleTimer: null,
+    };
+    entry.browserPromise = Promise.resolve()
+      .then(() => this.launchImpl())
+      .then((browser) => {
+        entry.browser = browser;
+        if (typeof browser.on === 'function') {
+          // クラッシュ・外部からの終了。以後このブラウザには割り当てない
+          browser.on('disconnected', () => {
+            entry.retiring = true;
+            this.entries = this.entries.filter(e => e !== entry);
+            this.dispatch();
+          });
+        }
+        return browser;
+      });
+    // 失敗は acquire 側で扱う（未処理の rejection にしない）
+    entry.browserPromise.catch(() => {});
+    this.entries.push(entry);
+    this.counters.launched++;
+    return entry;
+  }
+
+  retire(entry, reason) {
+    if (entry.retiring) return;
+    entry.retiring = true;
+    this.counters.recycled++;
+    this.log('info', `ブラウザ #${entry.id} を作り直します（${reason}）`);
+  }
+
+  /** 作り直し対象で処理中のページが無くなったブラウザを閉じる */
+  async closeIfDrained(entry) {
+    if (!entry.retiring || entry.active > 0) return;
+    this.entries = this.entries.filter(e => e !== entry);
+    if (entry.idleTimer) clearTimeout(entry.idleTimer);
+    try {
+      const browser = await entry.browserPromise;
+      await browser.close();
+    } catch (_) { /* 起動失敗・既に終了 */ }
+  }
+
+  /** しばらく使われないブラウザは閉じて Chromium のメモリを返す */
+  scheduleIdleClose(entry) {
+    if (entry.retiring || entry.active > 0 || entry.idleTimer) return;
+    entry.idleTimer = setTimeout(() => {
+      entry.idleTimer = null;
+      if (entry.active > 0) return;
+      entry.retiring = true;
+      this.closeIfDrained(entry);
+    }, this.options.idleCloseMs);
+    if (typeof entry.idleTimer.unref === 'function') entry.idleTimer.unref();
+  }
+
+  /** 空いた枠を待ち行列の先頭から渡す */
+  dispatch() {
+    while (this.waiting.length > 0) {
+      const entry = this.reserveSlot();
+      if (!entry) return;
+      const waiter = this.waiting.shift();
+      clearTimeout(waiter.timer);
+      waiter.resolve(entry);
+    }
+  }
+
+  activePages() {
+    return this.entries.reduce((sum, e) => sum + e.active, 0);
+  }
+
+  heapUsedMB() {
+    return Math.round(this.memoryUsageImpl().heapUsed / 1024 / 1024);
+  }
+
+  overloadError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    err.status = 503;
+    this.log('warn', `ブラウザプール: ${code}（処理中 ${this.activePages()}件・待機 ${this.waiting.length}件）`);
+    return err;
+  }
+
+  /**
+   * /api/status 用の統計
+   */
+  getStats() {
+    const now = Date.now();
+    return {
+      browsers: this.entries.length,
+      activePages: this.activePages(),
+      capacity: this.options.maxBrowsers * this.options.pagesPerBrowser,
+      queued: this.waiting.length,
+      maxQueue: this.options.maxQueue,
+      heapUsedMB: this.heapUsedMB(),
+      heapBudgetMB: this.options.heapBudgetMB,
+      ...this.counters,
+      browserDetails: this.entries.map(e => ({
+        id: e.id,
+        activePages: e.active,
+        pagesServed: e.served,
+        retiring: e.retiring,
+        uptimeMs: now - e.launchedAt,
+      })),
+    };
+  }
+
+  /** すべてのブラウザを閉じる（終了処理用） */
+  async close() {
+    for (const waiter of this.waiting.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(this.overloadError('BROWSER_QUEUE_TIMEOUT', 'サーバーを停止しています'));
+    }
+    const entries = this.entries.splice(0);
+    await Promise.all(entries.map(async (entry) => {
+      if (entry.idleTimer) clearTimeout(entry.idleTimer);
+      try {
+        await (await entry.browserPromise).close();
+      } catch (_) { /* ignore */ }
+    }));
+  }
+
+  log(level, message) {
+    if (this.logger && typeof this.logger[level] === 'function') this.logger[level](message);
+  }
+}
+
+module.exports = BrowserPool;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
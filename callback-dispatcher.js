@@ -0,0 +1,525 @@
+/**
+ * Phase 3-U: 診断が終わったときの署名付きコールバック
+ *
+ * CMS の公開時に診断を始め、ポーリングせずに結果を受け取れるようにする。
+ * /api/check/seo・/api/compare・/api/check/batch・/api/jobs に callbackUrl を付けると、
+ * 診断は非同期ジョブになり（202 を返す）、ジョブが終わったときに結果（callbackPayload: full）
+ * または要約（summary、既定）をその URL に POST する。
+ *
+ * 署名: 本文を CALLBACK_SIGNING_SECRET で HMAC-SHA256 し、次のヘッダーで送る
+ *   X-SEO-Doctor-Signature: t=<UNIX 秒>,v1=<hex(HMAC(secret, "<t>.<本文>"))>
+ * 受け手は verifySignature() と同じ手順で検証し、t が古すぎるものは捨てる（再送攻撃の対策）。
+ *
+ * 配送は記録（delivery）として保存し、ポーリングで送る。2xx 以外・接続エラーは指数バックオフ
+ * （baseDelayMs × 2^(n-1)、上限 maxDelayMs。429 / 503 の Retry-After は尊重）で maxAttempts 回まで再送する。
+ * 4xx（408 / 429 を除く）と宛先の拒否（BLOCKED_DESTINATION）は再送しない。
+ * 試行ごとに日時・HTTP ステータス・所要時間・エラーを attempts に残し、GET /api/jobs/:id/callbacks で確認できる。
+ * 宛先はページの取得と同じ外向きリクエストの検査（Phase 3-M）を試行のたびに通す。
+ *
+ * 保存先（store）は JobQueue と同じく2種類:
+ *  - MongoDeliveryStore  : MONGODB_URI 設定時。再起動後も再送を続け、複数インスタンスで分担できる
+ *  - MemoryDeliveryStore : 未設定時のフォールバック（再起動で消える）
+ *
+ * @example
+ *   const dispatcher = new CallbackDispatcher({ secret: process.env.CALLBACK_SIGNING_SECRET });
+ *   dispatcher.start();
+ *   await dispatcher.enqueue({ url: 'https://cms.example.com/hooks/seo', event: 'job.succeeded', payload, jobId });
+ *   // 受け手:
+ *   CallbackDispatcher.verifySignature(secret, req.get('X-SEO-Doctor-Signature'), rawBody); // => true
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const OutboundGuard = require('./outbound-guard');
+const ScoreHistory = require('./score-history');
+
+const DEFAULT_OPTIONS = Object.freeze({
+  maxAttempts: 6,
+  baseDelayMs: 10 * 1000,       // 10秒 → 20秒 → 40秒 → 80秒 → 160秒
+  maxDelayMs: 15 * 60 * 1000,
+  timeoutMs: 10 * 1000,
+  pollIntervalMs: 2000,
+  leaseMs: 60 * 1000,
+  retentionMs: 7 * 24 * 60 * 60 * 1000, // 終わった配送の記録を残す時間
+});
+
+const PAYLOAD_MODES = ['summary', 'full'];
+
+const SIGNATURE_HEADER = 'X-SEO-Doctor-Signature';
+const EVENT_HEADER = 'X-SEO-Doctor-Event';
+const DELIVERY_HEADER = 'X-SEO-Doctor-Delivery';
+
+// 要約に含める問題の数
+const SUMMARY_TOP_ISSUES = 5;
+
+const USER_AGENT = 'SEO-AIO-Doctor/1.3 (+https://seo-checker-tool.onrender.com/)';
+
+/**
+ * プロセス内メモリの保存先（MONGODB_URI 未設定時）
+ */
+class MemoryDeliveryStore {
+  constructor() {
+    this.deliveries = new Map();
+  }
+
+  async create(fields) {
+    this.prune();
+    const now = new Date();
+    const delivery = { id: crypto.randomUUID(), ...fields, createdAt: now, updatedAt: now };
+    this.deliveries.set(delivery.id, delivery);
+    return { ...delivery };
+  }
+
+  async get(id) {
+    const delivery = this.deliveries.get(id);
+    return delivery ? { ...delivery } : null;
+  }
+
+  async listByJob(jobId) {
+    this.prune();
+    return [...this.deliveries.values()]
+      .filter(delivery => delivery.jobId === jobId)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(delivery => ({ ...delivery }));
+  }
+
+  async claimDue(now, leaseMs) {
+    const due = [...this.deliveries.values()]
+      .filter(d => (d.status === 'pending' && d.nextAttemptAt <= now) || (d.status === 'delivering' && d.leaseUntil < now))
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0];
+    if (!due) return null;
+    Object.assign(due, { status: 'delivering', leaseUntil: new Date(now.getTime() + leaseMs), updatedAt: now });
+    return { ...due };
+  }
+
+  async update(id, patch) {
+    const delivery = this.deliveries.get(id);
+    if (!delivery) return null;
+    Object.assign(delivery, patch, { updatedAt: new Date() });
+    return { ...delivery };
+  }
+
+  /** 保持期限を過ぎた記録を捨てる（Mongo では TTL インデックスが行う） */
+  prune() {
+    const now = new Date();
+    for (const [id, delivery] of this.deliveries) {
+      if (delivery.expiresAt && delivery.expiresAt < now) this.deliveries.delete(id);
+    }
+  }
+}
+
+/**
+ * MongoDB の保存先（models/CallbackDelivery）
+ */
+class MongoDeliveryStore {
+  /**
+   * @param {Object} model - CallbackDelivery モデル
+   */
+  constructor(model) {
+    this.model = model;
+  }
+
+  async create(fields) {
+    const doc = await this.model.create(fields);
+    return MongoDeliveryStore.toDelivery(doc.toObject());
+  }
+
+  async get(id) {
+    if (typeof id !== 'string' || !mongoose.Types.ObjectId.isValid(id)) return null;
+    return MongoDeliveryStore.toDelivery(await this.model.findById(id).lean());
+  }
+
+  async listByJob(jobId) {
+    const docs = await this.model.find({ jobId }).sort({ createdAt: 1 }).lean();
+    return docs.map(MongoDeliveryStore.toDelivery);
+  }
+
+  async claimDue(now, leaseMs) {
+    // 送る時刻になったもの、または送信中のまま担当インスタンスが落ちたもの
+    const doc = await this.model.findOneAndUpdate(
+      { $or: [{ status: 'pending', nextAttemptAt: { $lte: now } }, { status: 'delivering', leaseUntil: { $lt: now } }] },
+      { $set: { status: 'delivering', leaseUntil: new Date(now.getTime() + leaseMs) } },
+      { sort: { nextAttemptAt: 1 }, new: true, lean: true }
+    );
+    return MongoDeliveryStore.toDelivery(doc);
+  }
+
+  async update(id, patch) {
+    const doc = await this.model.findByIdAndUpdate(id, { $set: patch }, { new: true, lean: true });
+    return MongoDeliveryStore.toDelivery(doc);
+  }
+
+  static toDelivery(doc) {
+    if (!doc) return null;
+    const { _id, __v, ...rest } = doc;
+    return { id: String(_id), ...rest };
+  }
+}
+
+class CallbackDispatcher {
+  /**
+   * @param {Object} [options] - DEFAULT_OPTIONS を上書きする設定
+   * @param {string} [options.secret] - 署名の鍵（未設定ならコールバックを受け付けない）
+   * @param {Object} [options.store] - 保存先（既定は MemoryDeliveryStore）
+   * @param {OutboundGuard} [options.outboundGuard] - 宛先の検査（既定は共有インスタンス）
+   * @param {Object} [options.logger] - winston 互換のロガー（info / warn / error）
+   */
+  constructor(options = {}) {
+    const { secret = null, store = null, outboundGuard = null, logger = null, ...rest } = options;
+    this.options = { ...DEFAULT_OPTIONS };
+    for (const [key, value] of Object.entries(rest)) {
+      const n = parseInt(value, 10);
+      if (key in DEFAULT_OPTIONS && Number.isFinite(n) && n > 0) this.options[key] = n;
+    }
+    this.secret = secret || null;
+    this.store = store || new MemoryDeliveryStore();
+    this.outboundGuard = outboundGuard || OutboundGuard.shared();
+    this.logger = logger;
+    this.timer = null;
+    this.ticking = null;
+  }
+
+  /**
+   * 保存先を差し替える（起動時に DB 接続の有無が分かってから決める）
+   */
+  useStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * リクエストの callbackUrl / callbackPayload を検証する
+   * @param {Object} params - リクエストボディ
+   * @returns {{ callbackUrl: string, callbackPayload: string }|null} 指定が無ければ null
+   */
+  parseRequest(params = {}) {
+    const { callbackUrl, callbackPayload } = params;
+    if (callbackUrl === undefined || callbackUrl === null || callbackUrl === '') return null;
+    if (typeof callbackUrl !== 'string' || !/^https?:\/\//i.test(callbackUrl.trim())) {
+      throw callbackError('callbackUrl は http(s):// で始まる URL を指定してください', 'INVALID_CALLBACK_URL', 400);
+    }
+    try {
+      new URL(callbackUrl.trim());
+    } catch (_) {
+      throw callbackError(`callbackUrl が不正です: ${callbackUrl}`, 'INVALID_CALLBACK_URL', 400);
+    }
+    const mode = callbackPayload === undefined ? 'summary' : callbackPayload;
+    if (!PAYLOAD_MODES.includes(mode)) {
+      throw callbackError(`callbackPayload は ${PAYLOAD_MODES.join(' / ')} のいずれかを指定してください`, 'INVALID_CALLBACK_PAYLOAD', 400);
+    }
+    if (!this.secret) {
+      throw callbackError('コールバックは利用できません（CALLBACK_SIGNING_SECRET が未設定）', 'CALLBACK_UNAVAILABLE', 503);
+    }
+    return { callbackUrl: callbackUrl.trim(), callbackPayload: mode };
+  }
+
+  /**
+   * 終わったジョブのコールバックを登録する（callbackUrl の無いジョブは何もしない）
+   * @param {Object} job - JobQueue の保存形式（params.callbackUrl / callbackPayload を持つ）
+   * @returns {Promise<Object|null>} toView 形式の配送
+   */
+  async enqueueForJob(job) {
+    const { callbackUrl, callbackPayload = 'summary' } = job.params || {};
+    if (!callbackUrl) return null;
+    return this.enqueue({
+      url: callbackUrl,
+      event: `job.${job.status}`,
+      jobId: job.id,
+      userId: job.userId || null,
+      payload: CallbackDispatcher.buildJobPayload(job, callbackPayload),
+    });
+  }
+
+  /**
+   * 配送を登録する。本文は登録時に文字列にし、再送でも同じバイト列を送る
+   * @param {Object} delivery - url / event / payload / jobId / userId
+   */
+  async enqueue({ url, event, payload, jobId = null, userId = null }) {
+    const delivery = await this.store.create({
+      url,
+      event,
+      jobId,
+      userId,
+      body: JSON.stringify(payload),
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: new Date(),
+      leaseUntil: null,
+      deliveredAt: null,
+      expiresAt: null,
+    });
+    if (this.timer) setImmediate(() => this.tick());
+    return CallbackDispatcher.toView(delivery);
+  }
+
+  async listByJob(jobId) {
+    return (await this.store.listByJob(jobId)).map(CallbackDispatcher.toView);
+  }
+
+  /** ポーリングを開始 */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.options.pollIntervalMs);
+    this.timer.unref();
+    setImmediate(() => this.tick());
+  }
+
+  /** ポーリングを止める */
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * 送る時刻になった配送を1件ずつ送る
+   */
+  async tick() {
+    if (this.ticking) return this.ticking;
+    this.ticking = (async () => {
+      try {
+        for (;;) {
+          const delivery = await this.store.claimDue(new Date(), this.options.leaseMs);
+          if (!delivery) break;
+          await this.attempt(delivery);
+        }
+      } catch (error) {
+        this.log('error', `コールバックの取得に失敗しました: ${error.message}`);
+      } finally {
+        this.ticking = null;
+      }
+    })();
+    return this.ticking;
+  }
+
+  /** 送信中の配送が終わるまで待つ（テスト・終了処理用） */
+  async idle() {
+    while (this.ticking) await this.ticking;
+  }
+
+  /**
+   * 1回送る。結果を attempts に残し、失敗なら次の試行を予約するか諦める
+   * @returns {Promise<Object>} 更新後の配送（toView 形式）
+   */
+  async attempt(delivery) {
+    const number = (delivery.attempts || []).length + 1;
+    const startedAt = new Date();
+    let status = null;
+    let error = null;
+    let retryAfterMs = null;
+    try {
+      const res = await this.send(delivery);
+      status = res.status;
+      if (status < 200 || status >= 300) {
+        error = `HTTP ${status}`;
+        retryAfterMs = parseRetryAfter(res.headers && res.headers['retry-after']);
+      }
+    } catch (err) {
+      error = err.message;
+      if (OutboundGuard.isBlockedError(err)) status = 'blocked';
+    }
+
+    const record = { attempt: number, at: startedAt, durationMs: Date.now() - startedAt.getTime(), status, error };
+    const attempts = [...(delivery.attempts || []), record];
+    const label = `${delivery.event} ${delivery.id} ${number}/${this.options.maxAttempts}`;
+    let patch;
+    if (!error) {
+      patch = { status: 'delivered', deliveredAt: new Date() };
+      this.log('info', `コールバック送信 (${label}): HTTP ${status} ${record.durationMs}ms`);
+    } else if (number < this.options.maxAttempts && isRetryable(status)) {
+      const delay = Math.min(this.options.maxDelayMs, Math.max(retryAfterMs || 0, this.options.baseDelayMs * 2 ** (number - 1)));
+      record.nextAttemptAt = new Date(Date.now() + delay);
+      patch = { status: 'pending', nextAttemptAt: record.nextAttemptAt };
+      this.log('warn', `コールバック失敗・再送予定 (${label}): ${error}（${Math.round(delay / 1000)}秒後）`);
+    } else {
+      patch = { status: 'failed' };
+      this.log('error', `コールバックを諦めました (${label}): ${error}`);
+    }
+    const finished = patch.status !== 'pending';
+    return CallbackDispatcher.toView(await this.store.update(delivery.id, {
+      ...patch,
+      attempts,
+      leaseUntil: null,
+      ...(finished && { expiresAt: new Date(Date.now() + this.options.retentionMs) }),
+    }));
+  }
+
+  /**
+   * 署名を付けて POST する（リダイレクトは追わない）
+   */
+  async send(delivery) {
+    this.outboundGuard.assertUrlAllowed(delivery.url);
+    const timestamp = Math.floor(Date.now() / 1000);
+    return axios.post(delivery.url, delivery.body, {
+      ...this.outboundGuard.axiosOptions(),
+      timeout: this.options.timeoutMs,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      // 署名した文字列をそのまま送る（axios に JSON を作り直させない）
+      transformRequest: [data => data],
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        [EVENT_HEADER]: delivery.event,
+        [DELIVERY_HEADER]: delivery.id,
+        [SIGNATURE_HEADER]: `t=${timestamp},v1=${CallbackDispatcher.sign(this.secret, timestamp, delivery.body)}`,
+      },
+    });
+  }
+
+  log(level, message) {
+    if (this.logger && typeof this.logger[level] === 'function') this.logger[level](message);
+  }
+
+  /**
+   * HMAC-SHA256(secret, "<timestamp>.<body>") の16進
+   */
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * 受け手側の検証（X-SEO-Doctor-Signature ヘッダーと受け取った本文そのもの）
+   * @param {string} secret
+   * @param {string} header - "t=...,v1=..."
+   * @param {string|Buffer} body - パース前の本文
+   * @param {Object} [opts]
+   * @param {number} [opts.toleranceSec=300] - 許容する時刻のずれ
+   * @param {number} [opts.now] - 現在の UNIX 秒（テスト用）
+   * @returns {boolean}
+   */
+  static verifySignature(secret, header, body, { toleranceSec = 300, now = Math.floor(Date.now() / 1000) } = {}) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+    const timestamp = parseInt(parts.t, 10);
+    if (!Number.isFinite(timestamp) || !parts.v1 || Math.abs(now - timestamp) > toleranceSec) return false;
+    const expected = Buffer.from(CallbackDispatcher.sign(secret, timestamp, String(body)), 'hex');
+    const actual = Buffer.from(parts.v1, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * 終わったジョブのコールバックの本文
+   * @param {Object} job - JobQueue の保存形式
+   * @param {'summary'|'full'} mode
+   */
+  static buildJobPayload(job, mode = 'summary') {
+    const succeeded = job.status === 'succeeded';
+    return {
+      event: `job.${job.status}`,
+      job: {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        createdAt: job.createdAt || null,
+        startedAt: job.startedAt || null,
+        finishedAt: job.finishedAt || null,
+        statusUrl: `/api/jobs/${job.id}`,
+      },
+      payload: mode,
+      result: succeeded ? (mode === 'full' ? job.result : CallbackDispatcher.summarize(job.type, job.result)) : null,
+      error: job.status === 'failed' ? job.error || null : null,
+    };
+  }
+
+  /**
+   * ジョブの結果の要約（スコア・カテゴリ別スコア・優先度ごとの問題数・主な問題）
+   * @param {'seo'|'compare'|'batch'} type
+   */
+  static summarize(type, result) {
+    if (!result) return null;
+    // Phase 3-V: competitorUrls の比較は順位と gapsToClose を送る（カテゴリごとの順位表は省く）
+    if (type === 'compare' && result.matrix) {
+      const { matrix } = result;
+      return {
+        primary: CallbackDispatcher.summarize('seo', result.primary),
+        competitors: (result.competitors || []).map(c => ({
+          url: c.url,
+          combinedScore: c.result ? c.result.combinedScore ?? null : null,
+          error: c.error || null,
+        })),
+        overall: matrix.available
+          ? Object.fromEntries(Object.entries(matrix.overall).map(([field, row]) => [field, { primaryRank: row.primaryRank, gapToBest: row.gapToBest }]))
+          : null,
+        positions: matrix.positions || null,
+        gapsToClose: matrix.gapsToClose || [],
+        warnings: result.warnings || [],
+      };
+    }
+    if (type === 'compare') {
+      return {
+        primary: CallbackDispatcher.summarize('seo', result.primary),
+        competitor: CallbackDispatcher.summarize('seo', result.competitor),
+        verdict: (result.comparison && result.comparison.verdict) || null,
+        warnings: result.warnings || [],
+      };
+    }
+    if (type === 'batch') {
+      return {
+        summary: result.summary,
+        items: (result.items || []).map(({ categoryScores: _categoryScores, ...item }) => item),
+        skipped: result.skipped || [],
+        // Phase 3-Y: 本文が似ている URL のグループ
+        ...(result.duplicateClusters && { duplicateClusters: result.duplicateClusters }),
+      };
+    }
+    const { categoryScores, issueCounts } = ScoreHistory.snapshot(result);
+    return {
+      url: result.url || null,
+      timestamp: result.timestamp || null,
+      overallScore: result.overallScore ?? null,
+      aioOverallScore: result.aioOverallScore ?? null,
+      combinedScore: result.combinedScore ?? null,
+      categoryScores,
+      issueCounts,
+      topIssues: (result.conciseRecommendations || []).slice(0, SUMMARY_TOP_ISSUES)
+        .map(rec => ({ priority: rec.priority, type: rec.type, category: rec.category, issue: rec.issue })),
+    };
+  }
+
+  /**
+   * API レスポンス用の形（本文は大きいため出さない）
+   */
+  static toView(delivery) {
+    if (!delivery) return null;
+    return {
+      id: delivery.id,
+      url: delivery.url,
+      event: delivery.event,
+      jobId: delivery.jobId || null,
+      status: delivery.status,
+      attempts: delivery.attempts || [],
+      nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+      deliveredAt: delivery.deliveredAt || null,
+      createdAt: delivery.createdAt || null,
+    };
+  }
+}
+
+/** 接続エラー・408・429・5xx は再送する */
+function isRetryable(status) {
+  if (status === null) return true;
+  if (status === 'blocked') return false;
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/** Retry-After（秒または HTTP 日付）→ ミリ秒 */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+function callbackError(message, code, status) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+module.exports = CallbackDispatcher;
+module.exports.MemoryDeliveryStore = MemoryDeliveryStore;
+module.exports.MongoDeliveryStore = MongoDeliveryStore;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+module.exports.PAYLOAD_MODES = PAYLOAD_MODES;
+module.exports.SIGNATURE_HEADER = SIGNATURE_HEADER;
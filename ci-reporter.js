@@ -0,0 +1,279 @@
+/**
+ * Phase 3-P: CI 向けの出力（SARIF 2.1.0 / JUnit XML）
+ *
+ * checkSEO の結果を、コードスキャン（GitHub code scanning 等）が読む SARIF と、
+ * テストダッシュボードが読む JUnit XML に変換する。
+ *
+ * SARIF:
+ *  - conciseRecommendations の1件 = 1 result。ruleId は `seo/metaDescription/meta_length` のように
+ *    EnhancedReporter.getIssueKey で作るため、数値や文言が変わっても同じ問題は同じルールになる
+ *  - level は優先度から（critical / high → error、medium → warning、low → note）
+ *  - locations はページ（URL または HTML ファイル）と要素。detailedAnalysis.specificIssues は
+ *    relatedLocations に載せ、元の HTML が分かるときは行番号も付ける
+ *
+ * JUnit:
+ *  - SEO / AIO を testsuite、各カテゴリを testcase とし、スコアがしきい値未満なら failure
+ *  - 取得しなかったカテゴリ（URL なしの llms.txt 等）は skipped
+ *
+ * @example
+ *   const CiReporter = require('./ci-reporter');
+ *   const reporter = new CiReporter({ threshold: 70, thresholds: { titleTag: 90 } });
+ *   const sarif = reporter.toSarif(results, { artifactUri: 'dist/index.html', html });
+ *   const xml = reporter.toJUnit(results);
+ */
+
+const crypto = require('crypto');
+const EnhancedReporter = require('./enhanced-reporter');
+const { version, homepage } = require('./package.json');
+
+const TOOL_NAME = 'seo-aio-doctor';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// 優先度 → SARIF の level
+const PRIORITY_LEVELS = Object.freeze({
+  critical: 'error',
+  high: 'error',
+  medium: 'warning',
+  low: 'note',
+});
+
+// カテゴリの合格点の既定値（評価 B 以上）
+const DEFAULT_THRESHOLD = 70;
+
+// 1件の result に付ける specificIssues の上限（画像・リンクが多いページで SARIF が膨らまないよう）
+const MAX_RELATED_LOCATIONS = 20;
+
+class CiReporter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.threshold=70] - JUnit でカテゴリを合格とするスコア
+   * @param {Object<string, number>} [options.thresholds] - カテゴリごとの上書き（例: { titleTag: 90 }）
+   * @param {Object} [options.enhancedReporter] - getIssueKey を持つもの（ルールIDの生成に使用）
+   */
+  constructor(options = {}) {
+    this.threshold = Number.isFinite(options.threshold) ? options.threshold : DEFAULT_THRESHOLD;
+    this.thresholds = options.thresholds || {};
+    this.enhancedReporter = options.enhancedReporter || new EnhancedReporter();
+  }
+
+  /**
+   * 問題からルールIDを作る。getIssueKey に対応が無い文言は、数値や括弧内を除いた文言のハッシュにする
+   * @returns {string} 例: seo/metaDescription/meta_length、aio/credibilitySignals/h3f2a9c1d
+   */
+  ruleId(type, category, issue) {
+    const key = this.enhancedReporter.getIssueKey(issue, category);
+    const suffix = /^[A-Za-z0-9_]+$/.test(key) ? key : `h${hash(normalizeIssue(issue)).slice(0, 8)}`;
+    return `${type}/${category}/${suffix}`;
+  }
+
+  /**
+   * @param {Object} results - checkSEO の戻り値
+   * @param {Object} [options]
+   * @param {string} [options.artifactUri] - HTML を直接診断したときのファイル名（URL 診断時は results.url）
+   * @param {string} [options.html] - 診断した HTML。あれば relatedLocations に行番号を付ける
+   * @returns {Object} SARIF 2.1.0 のログ
+   */
+  toSarif(results, options = {}) {
+    const artifactUri = options.artifactUri || (/^https?:\/\//i.test(results.url || '') ? results.url : null);
+    const html = typeof options.html === 'string' ? options.html : null;
+    const rules = [];
+    const ruleIndexes = new Map();
+
+    const sarifResults = (results.conciseRecommendations || []).map((rec) => {
+      const ruleId = this.ruleId(rec.type, rec.category, rec.issue);
+      const level = PRIORITY_LEVELS[rec.priority] || 'note';
+      if (!ruleIndexes.has(ruleId)) {
+        ruleIndexes.set(ruleId, rules.length);
+        rules.push({
+          id: ruleId,
+          shortDescription: { text: rec.issue },
+          ...(rec.fix && { help: { text: rec.fix } }),
+          ...(/^https?:\/\//.test(rec.docLink || '') && { helpUri: rec.docLink }),
+          defaultConfiguration: { level },
+          properties: { tags: [rec.type, rec.category], priority: rec.priority },
+        });
+      }
+
+      const relatedLocations = this.findSpecificIssues(results, rec)
+        .slice(0, MAX_RELATED_LOCATIONS)
+        .map((specific, i) => ({
+          id: i + 1,
+          message: { text: specific.description },
+          ...buildLocation(artifactUri, specific.element, locateLine(html, specific)),
+        }));
+      const primaryLine = relatedLocations.length && relatedLocations[0].physicalLocation
+        ? relatedLocations[0].physicalLocation.region
+        : null;
+
+      return {
+        ruleId,
+        ruleIndex: ruleIndexes.get(ruleId),
+        level,
+        message: { text: rec.fix ? `${rec.issue}\n対応: ${rec.fix}` : rec.issue },
+        locations: [buildLocation(artifactUri, rec.element || rec.category, primaryLine ? primaryLine.startLine : null, rec.location)],
+        ...(relatedLocations.length && { relatedLocations }),
+        partialFingerprints: { 'seoAioDoctorIssue/v1': hash(`${ruleId}|${artifactUri || ''}|${normalizeIssue(rec.issue)}`) },
+        properties: { priority: rec.priority, type: rec.type, category: rec.category, count: rec.count || 1 },
+      };
+    });
+
+    return {
+      $schema: SARIF_SCHEMA,
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: { name: TOOL_NAME, version, informationUri: homepage, rules },
+        },
+        ...(artifactUri && { artifacts: [{ location: { uri: artifactUri } }] }),
+        results: sarifResults,
+        properties: {
+          overallScore: results.overallScore,
+          aioOverallScore: results.aioOverallScore,
+          combinedScore: results.combinedScore,
+        },
+      }],
+    };
+  }
+
+  /**
+   * recommendation に対応する detailedAnalysis.specificIssues。
+   * 問題のキーが一致するものを優先し、無ければ同じカテゴリの全件
+   */
+  findSpecificIssues(results, rec) {
+    if (rec.type !== 'seo' || !results.detailedAnalysis) return [];
+    const analysis = results.detailedAnalysis[rec.category];
+    const specifics = (analysis && Array.isArray(analysis.specificIssues)) ? analysis.specificIssues : [];
+    const key = this.enhancedReporter.getIssueKey(rec.issue, rec.category);
+    const matched = specifics.filter(specific => this.enhancedReporter.getIssueKey(specific.description || '', rec.category) === key);
+    return matched.length ? matched : specifics;
+  }
+
+  /**
+   * @param {Object} results - checkSEO の戻り値
+   * @returns {string} JUnit XML
+   */
+  toJUnit(results) {
+    const suites = [
+      this.buildSuite('seo', results.checks, results.overallScore),
+      this.buildSuite('aio', results.aio && results.aio.checks, results.aioOverallScore),
+    ];
+    const tests = suites.reduce((sum, suite) => sum + suite.cases.length, 0);
+    const failures = suites.reduce((sum, suite) => sum + suite.failures, 0);
+    const skipped = suites.reduce((sum, suite) => sum + suite.skipped, 0);
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="${TOOL_NAME}" tests="${tests}" failures="${failures}" errors="0" skipped="${skipped}" time="0">`,
+    ];
+    for (const suite of suites) {
+      lines.push(`  <testsuite name="${TOOL_NAME}.${suite.type}" tests="${suite.cases.length}" failures="${suite.failures}" errors="0" skipped="${suite.skipped}" time="0" timestamp="${xml(results.timestamp || new Date().toISOString())}">`);
+      lines.push('    <properties>');
+      lines.push(`      <property name="url" value="${xml(results.url)}"/>`);
+      lines.push(`      <property name="score" value="${xml(suite.score)}"/>`);
+      lines.push('    </properties>');
+      for (const testCase of suite.cases) {
+        const open = `    <testcase classname="${TOOL_NAME}.${suite.type}" name="${xml(testCase.name)}" time="0"`;
+        if (testCase.skipped) {
+          lines.push(`${open}>`, `      <skipped message="${xml(testCase.skipped)}"/>`, '    </testcase>');
+        } else if (testCase.failure) {
+          lines.push(`${open}>`);
+          lines.push(`      <failure type="threshold" message="${xml(testCase.failure)}">${xml(testCase.issues.join('\n'))}</failure>`);
+          lines.push('    </testcase>');
+        } else {
+          lines.push(`${open}/>`);
+        }
+      }
+      lines.push('  </testsuite>');
+    }
+    lines.push('</testsuites>');
+    return `${lines.join('\n')}\n`;
+  }
+
+  buildSuite(type, checks, score) {
+    const cases = [];
+    for (const [category, check] of Object.entries(checks || {})) {
+      if (!check || typeof check.score !== 'number') continue;
+      const details = check.details || {};
+      const skipReason = check.skipped || details.skipped ? (check.skipReason || details.skipReason || '診断していません') : null;
+      const threshold = Number.isFinite(this.thresholds[category]) ? this.thresholds[category] : this.threshold;
+      cases.push({
+        name: category,
+        skipped: skipReason,
+        failure: !skipReason && check.score < threshold ? `スコア ${check.score} が基準 ${threshold} を下回りました` : null,
+        issues: check.issues || [],
+      });
+    }
+    return {
+      type,
+      score,
+      cases,
+      failures: cases.filter(testCase => testCase.failure).length,
+      skipped: cases.filter(testCase => testCase.skipped).length,
+    };
+  }
+}
+
+function hash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/** 数値・括弧や「」内の値を除いた文言（値が変わっても同じ問題として扱うため） */
+function normalizeIssue(issue) {
+  return String(issue)
+    .replace(/（[^）]*）|\([^)]*\)|「[^」]*」/g, '')
+    .replace(/\d+(?:\.\d+)?/g, '#')
+    .trim();
+}
+
+/**
+ * SARIF の location。ページの URL / ファイルが分からない（HTML 貼り付け）ときは要素だけ
+ */
+function buildLocation(artifactUri, element, startLine, container) {
+  const location = {};
+  if (artifactUri) {
+    location.physicalLocation = {
+      artifactLocation: { uri: artifactUri },
+      ...(startLine && { region: { startLine } }),
+    };
+  }
+  if (element) {
+    location.logicalLocations = [{
+      name: element,
+      kind: 'element',
+      ...(container && { fullyQualifiedName: `${container} ${element}` }),
+    }];
+  }
+  return location;
+}
+
+/**
+ * 元の HTML から specificIssue の要素がある行を探す（src / href / 要素名の順。見つからなければ null）
+ */
+function locateLine(html, specific) {
+  if (!html || !specific) return null;
+  const needles = [specific.src, specific.href];
+  if (/^[a-z][a-z0-9]*$/i.test(specific.element || '')) needles.push(`<${specific.element}`);
+  for (const needle of needles) {
+    if (!needle) continue;
+    const index = html.toLowerCase().indexOf(String(needle).toLowerCase());
+    if (index >= 0) return html.slice(0, index).split('\n').length;
+  }
+  return null;
+}
+
+/** XML の属性値・本文用のエスケープ（XML 1.0 で使えない制御文字は除く） */
+function xml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = CiReporter;
+module.exports.DEFAULT_THRESHOLD = DEFAULT_THRESHOLD;
+module.exports.PRIORITY_LEVELS = PRIORITY_LEVELS;
+module.exports.normalizeIssue = normalizeIssue;
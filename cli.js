@@ -0,0 +1,433 @@
+/**
+ * Phase 3-O: コマンドラインからの診断 (`seo-aio-doctor`)
+ *
+ * Express サーバーを起動せずに SEOChecker.checkSEO を実行し、結果を table / json / markdown で出力する。
+ * 入力は URL・ローカルの HTML ファイル・標準入力（`-` またはパイプ）のいずれか。
+ *
+ * スコアの下限（--min-seo / --min-aio）と問題の優先度（--fail-on）を基準として評価し、
+ * 満たさない場合は終了コード 1 を返す。CI やデプロイのパイプラインでスコアが下がるリリースを止めるため。
+ *
+ * 終了コード:
+ *  - 0 : 診断でき、基準も満たした
+ *  - 1 : 基準を満たさなかった
+ *  - 2 : 引数の誤り・入力の読み込みや診断の失敗
+ *
+ * @example
+ *   npx seo-aio-doctor https://example.com --min-seo 80 --min-aio 60 --fail-on critical
+ *   npx seo-aio-doctor ./dist/index.html --format markdown > seo-report.md
+ *   curl -s https://example.com | npx seo-aio-doctor - --format json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CiReporter = require('./ci-reporter');
+
+const FORMATS = ['table', 'json', 'markdown', 'sarif', 'junit'];
+
+// 重い順（--fail-on high なら critical と high が対象）
+const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
+const EXIT_CODES = Object.freeze({
+  ok: 0,
+  budgetFailed: 1,
+  error: 2,
+});
+
+// 表・Markdown に載せる問題の件数（JSON は全件）
+const MAX_LISTED_ISSUES = 10;
+
+const USAGE = `使い方: seo-aio-doctor <URL | HTMLファイル | -> [オプション]
+
+入力:
+  https://example.com     URL を取得して診断
+  ./dist/index.html       ローカルの HTML ファイルを診断
+  -                       標準入力の HTML を診断（パイプ時は省略可）
+
+オプション:
+  --js                    JavaScript 実行後の HTML を診断（Advanced Check。URL のみ）
+  --format <形式>         table（既定）| json | markdown | sarif | junit
+  --threshold <点>        junit でカテゴリを合格とするスコア（既定 70）
+  --min-seo <点>          SEO スコアの下限（0〜100）
+  --min-aio <点>          AIO スコアの下限（0〜100）
+  --fail-on <優先度>      この優先度以上の問題があれば失敗（critical | high | medium | low）
+  -h, --help              この説明を表示
+  -v, --version           バージョンを表示
+
+終了コード: 0 = 基準を満たした / 1 = 基準を満たさなかった / 2 = 引数の誤り・診断の失敗`;
+
+// 値を取るオプション（--name value / --name=value）
+const VALUE_OPTIONS = {
+  '--format': 'format',
+  '--min-seo': 'minSeo',
+  '--min-aio': 'minAio',
+  '--fail-on': 'failOn',
+  '--threshold': 'threshold',
+};
+
+const FLAG_OPTIONS = {
+  '--js': 'js',
+  '-h': 'help',
+  '--help': 'help',
+  '-v': 'version',
+  '--version': 'version',
+};
+
+class Cli {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.createChecker] - checkSEO を持つ checker を返す関数（既定は index.js の SEOChecker）
+   * @param {Object} [options.stdin] - HTML を読む Readable（既定は process.stdin）
+   * @param {Object} [options.stdout] - 結果の出力先（write を持つもの）
+   * @param {Object} [options.stderr] - 警告・エラーの出力先
+   * @param {Function} [options.readFileImpl] - (filePath) => Promise<string>。テスト用
+   */
+  constructor(options = {}) {
+    this.createChecker = options.createChecker || (() => {
+      const SEOChecker = require('./index');
+      return new SEOChecker();
+    });
+    this.stdin = options.stdin || process.stdin;
+    this.stdout = options.stdout || process.stdout;
+    this.stderr = options.stderr || process.stderr;
+    this.readFileImpl = options.readFileImpl || ((filePath) => fs.promises.readFile(filePath, 'utf8'));
+  }
+
+  /**
+   * 引数を解釈する。誤りは code: 'INVALID_ARGUMENT' で throw
+   * @param {string[]} argv - process.argv.slice(2)
+   * @returns {{ input: string|null, js: boolean, format: string, minSeo: number|null, minAio: number|null, failOn: string|null, threshold: number|null, help: boolean, version: boolean }}
+   */
+  static parseArgs(argv) {
+    const args = { input: null, js: false, format: 'table', minSeo: null, minAio: null, failOn: null, threshold: null, help: false, version: false };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+      const token = argv[i];
+      const eq = token.startsWith('--') ? token.indexOf('=') : -1;
+      const name = eq > 0 ? token.slice(0, eq) : token;
+
+      if (FLAG_OPTIONS[name] && eq < 0) {
+        args[FLAG_OPTIONS[name]] = true;
+      } else if (VALUE_OPTIONS[name]) {
+        const value = eq > 0 ? token.slice(eq + 1) : argv[++i];
+        if (value === undefined || value === '') throw invalidArgument(`${name} には値を指定してください`);
+        args[VALUE_OPTIONS[name]] = value;
+      } else if (token.startsWith('-') && token !== '-') {
+        throw invalidArgument(`不明なオプションです: ${token}`);
+      } else {
+        positional.push(token);
+      }
+    }
+
+    if (positional.length > 1) throw invalidArgument(`入力は1つだけ指定してください: ${positional.join(' ')}`);
+    args.input = positional[0] || null;
+
+    if (!FORMATS.includes(args.format)) {
+      throw invalidArgument(`--format は ${FORMATS.join(' | ')} のいずれかです: ${args.format}`);
+    }
+    args.minSeo = parseScore('--min-seo', args.minSeo);
+    args.minAio = parseScore('--min-aio', args.minAio);
+    args.threshold = parseScore('--threshold', args.threshold);
+    if (args.failOn !== null && !PRIORITIES.includes(args.failOn)) {
+      throw invalidArgument(`--fail-on は ${PRIORITIES.join(' | ')} のいずれかです: ${args.failOn}`);
+    }
+    if (args.js && args.input !== null && !isUrl(args.input)) {
+      throw invalidArgument('--js は URL を診断するときだけ指定できます');
+    }
+    return args;
+  }
+
+  /**
+   * 診断結果を基準と照らし合わせる
+   * @param {Object} results - checkSEO の戻り値
+   * @param {{ minSeo?: number|null, minAio?: number|null, failOn?: string|null }} budget
+   * @returns {{ passed: boolean, failures: Array<{ code: string, message: string }>, issueCounts: Object }}
+   */
+  static evaluateBudget(results, budget = {}) {
+    const issueCounts = Cli.countIssues(results);
+    const failures = [];
+
+    if (typeof budget.minSeo === 'number' && !(results.overallScore >= budget.minSeo)) {
+      failures.push({ code: 'MIN_SEO', message: `SEO スコア ${results.overallScore} が下限 ${budget.minSeo} を下回りました` });
+    }
+    if (typeof budget.minAio === 'number' && !(results.aioOverallScore >= budget.minAio)) {
+      failures.push({ code: 'MIN_AIO', message: `AIO スコア ${results.aioOverallScore} が下限 ${budget.minAio} を下回りました` });
+    }
+    if (budget.failOn) {
+      const levels = PRIORITIES.slice(0, PRIORITIES.indexOf(budget.failOn) + 1);
+      const count = levels.reduce((sum, level) => sum + issueCounts[level], 0);
+      if (count > 0) {
+        failures.push({ code: 'FAIL_ON', message: `優先度 ${levels.join(' / ')} の問題が ${count} 件あります（--fail-on ${budget.failOn}）` });
+      }
+    }
+
+    return { passed: failures.length === 0, failures, issueCounts };
+  }
+
+  /**
+   * conciseRecommendations（問題ごとに優先度つき）を優先度別に数える
+   */
+  static countIssues(results) {
+    const counts = Object.fromEntries(PRIORITIES.map(level => [level, 0]));
+    for (const rec of results.conciseRecommendations || []) {
+      if (counts[rec.priority] !== undefined) counts[rec.priority]++;
+    }
+    return counts;
+  }
+
+  /**
+   * SEO / AIO のカテゴリ別スコアと問題数の一覧
+   */
+  static listCategories(results) {
+    const rows = [];
+    const push = (type, checks) => {
+      for (const [category, check] of Object.entries(checks || {})) {
+        if (!check || typeof check.score !== 'number') continue;
+        rows.push({ type, category, score: check.score, issues: (check.issues || []).length });
+      }
+    };
+    push('seo', results.checks);
+    push('aio', results.aio && results.aio.checks);
+    return rows;
+  }
+
+  /**
+   * 結果を指定の形式の文字列にする
+   * @param {Object} results - checkSEO の戻り値
+   * @param {Object} evaluation - evaluateBudget の戻り値
+   * @param {string} format - table | json | markdown | sarif | junit
+   * @param {Object} [budget] - JSON に基準値を載せるため
+   * @param {Object} [source] - sarif / junit 用（{ html, artifactUri, threshold }）
+   * @returns {string}
+   */
+  static format(results, evaluation, format, budget = {}, source = {}) {
+    // Phase 3-P: CI 向けの形式（基準の合否は終了コードで返す）
+    if (format === 'sarif') {
+      const sarif = new CiReporter().toSarif(results, { html: source.html, artifactUri: source.artifactUri });
+      return `${JSON.stringify(sarif, null, 2)}\n`;
+    }
+    if (format === 'junit') {
+      return new CiReporter({ threshold: source.threshold ?? undefined }).toJUnit(results);
+    }
+    if (format === 'json') return `${JSON.stringify(Cli.toJson(results, evaluation, budget), null, 2)}\n`;
+    if (format === 'markdown') return Cli.toMarkdown(results, evaluation);
+    return Cli.toTable(results, evaluation);
+  }
+
+  static toJson(results, evaluation, budget) {
+    return {
+      url: results.url,
+      timestamp: results.timestamp || new Date().toISOString(),
+      scores: {
+        seo: results.overallScore,
+        aio: results.aioOverallScore,
+        combined: results.combinedScore,
+      },
+      issueCounts: evaluation.issueCounts,
+      categories: Cli.listCategories(results),
+      issues: (results.conciseRecommendations || []).map(rec => ({
+        priority: rec.priority,
+        type: rec.type,
+        category: rec.category,
+        issue: rec.issue,
+        fix: rec.fix || null,
+      })),
+      warnings: results.warnings || [],
+      budget: {
+        passed: evaluation.passed,
+        minSeo: budget.minSeo ?? null,
+        minAio: budget.minAio ?? null,
+        failOn: budget.failOn ?? null,
+        failures: evaluation.failures,
+      },
+    };
+  }
+
+  static toTable(results, evaluation) {
+    const lines = [];
+    const counts = evaluation.issueCounts;
+    lines.push(`SEO AIO Doctor: ${results.url}`);
+    lines.push(`  SEO スコア : ${results.overallScore}/100`);
+    lines.push(`  AIO スコア : ${results.aioOverallScore}/100`);
+    lines.push(`  総合スコア : ${results.combinedScore}/100`);
+    lines.push(`  問題       : ${PRIORITIES.map(level => `${level} ${counts[level]}`).join(' / ')}`);
+    lines.push('');
+
+    const categories = Cli.listCategories(results);
+    const width = Math.max(displayWidth('カテゴリ'), ...categories.map(row => row.category.length));
+    lines.push(`${padDisplay('種別', 4)}  ${padDisplay('カテゴリ', width)}  スコア  問題`);
+    for (const row of categories) {
+      lines.push(`${padDisplay(row.type, 4)}  ${padDisplay(row.category, width)}  ${String(row.score).padStart(6)}  ${String(row.issues).padStart(4)}`);
+    }
+
+    const issues = (results.conciseRecommendations || []).slice(0, MAX_LISTED_ISSUES);
+    if (issues.length > 0) {
+      lines.push('');
+      lines.push('優先度の高い問題:');
+      for (const rec of issues) {
+        lines.push(`  [${rec.priority}] ${rec.type}/${rec.category}: ${rec.issue}`);
+        if (rec.fix) lines.push(`      → ${rec.fix}`);
+      }
+    }
+
+    lines.push('');
+    lines.push(Cli.describeEvaluation(evaluation));
+    for (const failure of evaluation.failures) lines.push(`  ✗ ${failure.message}`);
+    return `${lines.join('\n')}\n`;
+  }
+
+  static toMarkdown(results, evaluation) {
+    const counts = evaluation.issueCounts;
+    const lines = [
+      `## SEO AIO Doctor: ${markdownCell(results.url)}`,
+      '',
+      '| SEO | AIO | 総合 | critical | high | medium | low |',
+      '|----:|----:|-----:|---------:|-----:|-------:|----:|',
+      `| ${results.overallScore} | ${results.aioOverallScore} | ${results.combinedScore} | ${PRIORITIES.map(level => counts[level]).join(' | ')} |`,
+      '',
+      `**${Cli.describeEvaluation(evaluation)}**`,
+      ...evaluation.failures.map(failure => `- ❌ ${markdownCell(failure.message)}`),
+      '',
+      '### カテゴリ別スコア',
+      '',
+      '| 種別 | カテゴリ | スコア | 問題 |',
+      '|------|----------|-------:|-----:|',
+      ...Cli.listCategories(results).map(row => `| ${row.type} | \`${row.category}\` | ${row.score} | ${row.issues} |`),
+    ];
+
+    const issues = (results.conciseRecommendations || []).slice(0, MAX_LISTED_ISSUES);
+    if (issues.length > 0) {
+      lines.push('', '### 優先度の高い問題', '');
+      for (const rec of issues) {
+        const fix = rec.fix ? ` — ${markdownCell(rec.fix)}` : '';
+        lines.push(`- **${rec.priority}** \`${rec.type}/${rec.category}\`: ${markdownCell(rec.issue)}${fix}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  static describeEvaluation(evaluation) {
+    return evaluation.passed ? '基準: OK' : `基準: NG（${evaluation.failures.length} 件）`;
+  }
+
+  /**
+   * 入力（URL / ファイル / 標準入力）から checkSEO の引数を作る
+   * @returns {Promise<{ url: string|null, html: string|null }>}
+   */
+  async readInput(input) {
+    if (input !== null && isUrl(input)) return { url: input, html: null };
+
+    let html;
+    if (input === null || input === '-') {
+      if (input === null && this.stdin.isTTY) throw invalidArgument('診断する URL・HTML ファイルを指定してください');
+      html = await readStream(this.stdin);
+    } else {
+      try {
+        html = await this.readFileImpl(path.resolve(input));
+      } catch (err) {
+        const error = new Error(`HTML ファイルを読み込めません: ${input}（${err.code || err.message}）`);
+        error.code = 'INPUT_UNREADABLE';
+        throw error;
+      }
+    }
+    if (!html || !html.trim()) {
+      const error = new Error('入力の HTML が空です');
+      error.code = 'INPUT_EMPTY';
+      throw error;
+    }
+    return { url: null, html };
+  }
+
+  /**
+   * 引数を受け取って診断し、終了コードを返す（process.exit は呼び出し側で）
+   * @param {string[]} argv - process.argv.slice(2)
+   * @returns {Promise<number>} EXIT_CODES のいずれか
+   */
+  async run(argv) {
+    let args;
+    try {
+      args = Cli.parseArgs(argv);
+    } catch (err) {
+      this.stderr.write(`${err.message}\n\n${USAGE}\n`);
+      return EXIT_CODES.error;
+    }
+    if (args.help) {
+      this.stdout.write(`${USAGE}\n`);
+      return EXIT_CODES.ok;
+    }
+    if (args.version) {
+      this.stdout.write(`${require('./package.json').version}\n`);
+      return EXIT_CODES.ok;
+    }
+
+    let checker = null;
+    try {
+      const { url, html } = await this.readInput(args.input);
+      checker = this.createChecker();
+      const results = await checker.checkSEO(url, html, args.js);
+
+      for (const warning of results.warnings || []) this.stderr.write(`警告: ${warning.message}\n`);
+      const budget = { minSeo: args.minSeo, minAio: args.minAio, failOn: args.failOn };
+      const evaluation = Cli.evaluateBudget(results, budget);
+      // SARIF の場所はファイル名で示す（URL 診断時は URL、標準入力では場所なし）
+      const artifactUri = html && args.input && args.input !== '-' ? args.input.split(path.sep).join('/') : null;
+      this.stdout.write(Cli.format(results, evaluation, args.format, budget, { html, artifactUri, threshold: args.threshold }));
+      return evaluation.passed ? EXIT_CODES.ok : EXIT_CODES.budgetFailed;
+    } catch (err) {
+      this.stderr.write(`診断できませんでした: ${err.message}${err.code ? ` (${err.code})` : ''}\n`);
+      if (err.code === 'BLOCKED_DESTINATION') {
+        this.stderr.write('社内のステージング等を診断する場合は OUTBOUND_ALLOWLIST にホスト名を指定してください\n');
+      }
+      return EXIT_CODES.error;
+    } finally {
+      // Advanced Check で起動した Chromium が残るとプロセスが終わらない
+      if (checker && checker.browserPool) await checker.browserPool.close().catch(() => {});
+    }
+  }
+}
+
+function isUrl(input) {
+  return /^https?:\/\//i.test(input);
+}
+
+function invalidArgument(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_ARGUMENT';
+  return err;
+}
+
+function parseScore(name, value) {
+  if (value === null) return null;
+  const score = Number(value);
+  if (!Number.isFinite(score) || score < 0 || score > 100) {
+    throw invalidArgument(`${name} は 0〜100 の数値で指定してください: ${value}`);
+  }
+  return score;
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/** 端末での表示幅（全角は2桁）。表の列をそろえるため */
+function displayWidth(text) {
+  let width = 0;
+  for (const char of String(text)) width += char.codePointAt(0) >= 0x1100 ? 2 : 1;
+  return width;
+}
+
+function padDisplay(text, width) {
+  return `${text}${' '.repeat(Math.max(0, width - displayWidth(text)))}`;
+}
+
+/** Markdown の表・リスト内で崩れないよう | と改行を逃がす */
+function markdownCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+module.exports = Cli;
+module.exports.EXIT_CODES = EXIT_CODES;
+module.exports.PRIORITIES = PRIORITIES;
+module.exports.USAGE = USAGE;
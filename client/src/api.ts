@@ -1,4 +1,4 @@
-import type { ApiResponse, SEOCheckResult } from './types';
+import type { ApiResponse, ScoreTrend, SEOCheckResult } from './types';
 
 const API_BASE = '';
 
@@ -27,3 +27,13 @@ export async function getReport(
   });
   return res.json();
 }
+
+/** Phase 3-R: URL（match=normalized なら同じページとみなす URL のグループ）のスコアの推移 */
+export async function getScoreTrend(
+  url: string,
+  match: ScoreTrend['match']
+): Promise<ApiResponse<ScoreTrend> & { code?: string }> {
+  const params = new URLSearchParams({ url, match });
+  const res = await fetch(`${API_BASE}/api/history/trend?${params.toString()}`);
+  return res.json();
+}
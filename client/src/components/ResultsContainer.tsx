@@ -4,6 +4,8 @@ import { SummaryTab } from './tabs/SummaryTab';
 import { DetailsTab } from './tabs/DetailsTab';
 import { AIOTab } from './tabs/AIOTab';
 import { StructuredDataTab } from './tabs/StructuredDataTab';
+import { SocialPreviewTab } from './tabs/SocialPreviewTab';
+import { TrendTab } from './tabs/TrendTab';
 import { SpecificIssuesTab } from './tabs/SpecificIssuesTab';
 import { DetailedReportTab } from './tabs/DetailedReportTab';
 import { ReportTab } from './tabs/ReportTab';
@@ -13,6 +15,8 @@ const TABS = [
   { id: 'details', label: 'SEO詳細' },
   { id: 'aio', label: 'AIO詳細' },
   { id: 'structured-data', label: '構造化データ' },
+  { id: 'social', label: 'SNSプレビュー' },
+  { id: 'trend', label: '推移' },
   { id: 'specific', label: '具体的な箇所' },
   { id: 'detailed', label: '詳細レポート' },
   { id: 'report', label: 'Markdownレポート' },
@@ -64,6 +68,12 @@ export function ResultsContainer({ results, reportText }: ResultsContainerProps)
       <div className={`tab-content${activeTab === 'structured-data' ? ' active' : ''}`} id="structured-data">
         <StructuredDataTab results={results} />
       </div>
+      <div className={`tab-content${activeTab === 'social' ? ' active' : ''}`} id="social">
+        <SocialPreviewTab results={results} />
+      </div>
+      <div className={`tab-content${activeTab === 'trend' ? ' active' : ''}`} id="trend">
+        <TrendTab url={results.url} checkedAt={results.timestamp} active={activeTab === 'trend'} />
+      </div>
       <div className={`tab-content${activeTab === 'specific' ? ' active' : ''}`} id="specific">
         <SpecificIssuesTab results={results} />
       </div>
@@ -9,6 +9,8 @@ const CATEGORIES = [
   { key: 'internalLinkStructure', name: '内部リンク構造' },
   { key: 'structuredData', name: '構造化データ' },
   { key: 'otherSEOElements', name: 'その他SEO要素' },
+  { key: 'socialMetadata', name: 'SNSシェア（OGP / Twitterカード）' },
+  { key: 'performance', name: 'パフォーマンス（Core Web Vitals）' },
 ];
 
 interface DetailsTabProps {
@@ -0,0 +1,90 @@
+import type { SEOCheckResult, SocialMetadataCheck, SocialPlatform, SocialPreview } from '../../types';
+import { getScoreClass } from '../../utils/helpers';
+
+const PLATFORMS: SocialPlatform[] = ['line', 'x', 'facebook'];
+
+interface SocialPreviewTabProps {
+  results: SEOCheckResult;
+}
+
+function PreviewCard({ preview }: { preview: SocialPreview }) {
+  const large = preview.layout === 'large';
+  return (
+    <div className="social-preview">
+      <div className="social-preview-label">{preview.label}</div>
+      <div className={`social-card social-card-${preview.platform} social-card-${preview.layout}`}>
+        {preview.imageUrl ? (
+          <div
+            className="social-card-image"
+            style={large ? { aspectRatio: String(preview.aspectRatio) } : undefined}
+          >
+            <img src={preview.imageUrl} alt="" loading="lazy" referrerPolicy="no-referrer" />
+          </div>
+        ) : (
+          <div className="social-card-image social-card-noimage">画像なし</div>
+        )}
+        <div className="social-card-body">
+          {preview.platform === 'facebook' && preview.domain && (
+            <div className="social-card-domain">{preview.domain}</div>
+          )}
+          <div className="social-card-title">{preview.title || preview.domain || '（タイトルなし）'}</div>
+          {preview.description && <div className="social-card-description">{preview.description}</div>}
+          {preview.platform !== 'facebook' && preview.domain && (
+            <div className="social-card-domain">{preview.domain}</div>
+          )}
+        </div>
+      </div>
+      {(preview.truncated.title || preview.truncated.description) && (
+        <div className="social-preview-note">
+          {preview.truncated.title && 'タイトル'}
+          {preview.truncated.title && preview.truncated.description && '・'}
+          {preview.truncated.description && '説明文'}
+          が省略されて表示されます
+        </div>
+      )}
+      {preview.warnings.map((warning, i) => (
+        <div key={i} className="social-preview-note warning">⚠️ {warning}</div>
+      ))}
+    </div>
+  );
+}
+
+export function SocialPreviewTab({ results }: SocialPreviewTabProps) {
+  const check = results.checks.socialMetadata as SocialMetadataCheck | undefined;
+  if (!check || check.skipped || !check.previews) return <p>SNSシェアのチェック結果がありません</p>;
+
+  const image = check.image;
+  return (
+    <>
+      <div className="category">
+        <h3>SNSシェア（OGP / Twitterカード）</h3>
+        <div className={`category-score score-${getScoreClass(check.score)}`}>スコア: {check.score}/100</div>
+        {image && (
+          <p className="social-image-info">
+            og:image: {image.width && image.height ? `${image.width}×${image.height}` : 'サイズ不明'}
+            {image.bytes ? ` / ${(image.bytes / 1024).toFixed(0)}KB` : ''}
+            {image.source === 'meta' ? '（og:image:width/height の宣言値）' : ''}
+          </p>
+        )}
+        {check.issues && check.issues.length > 0 && (
+          <div className="issues-list">
+            <h4>改善点 ({check.issues.length}件)</h4>
+            <ul>
+              {check.issues.map((issue, i) => (
+                <li key={i}>{issue}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+      <div className="social-preview-grid">
+        {PLATFORMS.map((platform) => (
+          <PreviewCard key={platform} preview={check.previews![platform]} />
+        ))}
+      </div>
+      <p className="social-preview-disclaimer">
+        ※ 各SNSの表示ルールは非公開のため、文字数や画像の切り取りは目安です。
+      </p>
+    </>
+  );
+}
@@ -0,0 +1,226 @@
+import { useEffect, useMemo, useState } from 'react';
+import type { ScoreTrend, ScoreTrendSeries } from '../../types';
+import { getScoreTrend } from '../../api';
+
+const CHART = { width: 640, height: 220, top: 12, right: 16, bottom: 28, left: 36 };
+const COLORS = ['#2563eb', '#047857', '#b45309', '#7c3aed', '#b91c1c'];
+
+interface TrendTabProps {
+  url?: string;
+  /** 診断のたびに取り直すためのキー（結果の timestamp） */
+  checkedAt?: string;
+  active: boolean;
+}
+
+function formatDate(at: string): string {
+  const date = new Date(at);
+  return `${date.getMonth() + 1}/${date.getDate()} ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+function formatDelta(delta: number): string {
+  return delta > 0 ? `+${delta}` : String(delta);
+}
+
+/** 診断した回を横軸にした折れ線（実線が各回の値、破線が移動平均） */
+function TrendChart({ runs, series, yMax }: { runs: ScoreTrend['runs']; series: ScoreTrendSeries[]; yMax: number }) {
+  const plotWidth = CHART.width - CHART.left - CHART.right;
+  const plotHeight = CHART.height - CHART.top - CHART.bottom;
+  const indexByAt = new Map(runs.map((run, i) => [run.at, i]));
+  const x = (at: string) => {
+    const index = indexByAt.get(at) ?? 0;
+    return CHART.left + (runs.length > 1 ? (index * plotWidth) / (runs.length - 1) : plotWidth / 2);
+  };
+  const y = (value: number) => CHART.top + plotHeight - (Math.min(value, yMax) / yMax) * plotHeight;
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((ratio) => Math.round(yMax * ratio));
+
+  return (
+    <div className="trend-chart">
+      <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} role="img" aria-label={series.map((s) => s.label).join('・')}>
+        {ticks.map((tick) => (
+          <g key={tick}>
+            <line className="trend-grid" x1={CHART.left} x2={CHART.width - CHART.right} y1={y(tick)} y2={y(tick)} />
+            <text className="trend-axis" x={CHART.left - 6} y={y(tick) + 4} textAnchor="end">{tick}</text>
+          </g>
+        ))}
+        {runs.length > 0 && (
+          <>
+            <text className="trend-axis" x={CHART.left} y={CHART.height - 8} textAnchor="start">{formatDate(runs[0].at)}</text>
+            {runs.length > 1 && (
+              <text className="trend-axis" x={CHART.width - CHART.right} y={CHART.height - 8} textAnchor="end">
+                {formatDate(runs[runs.length - 1].at)}
+              </text>
+            )}
+          </>
+        )}
+        {series.map((s, i) => {
+          const color = COLORS[i % COLORS.length];
+          return (
+            <g key={s.key}>
+              <polyline
+                className="trend-average"
+                stroke={color}
+                points={s.points.map((p) => `${x(p.at)},${y(p.movingAverage)}`).join(' ')}
+              />
+              <polyline className="trend-line" stroke={color} points={s.points.map((p) => `${x(p.at)},${y(p.value)}`).join(' ')} />
+              {s.points.map((p) => (
+                <circle key={p.at} cx={x(p.at)} cy={y(p.value)} r={3} fill={color}>
+                  <title>{`${s.label} ${formatDate(p.at)}: ${p.value}（移動平均 ${p.movingAverage}）`}</title>
+                </circle>
+              ))}
+            </g>
+          );
+        })}
+      </svg>
+      <div className="trend-legend">
+        {series.map((s, i) => (
+          <span key={s.key}>
+            <span className="trend-swatch" style={{ background: COLORS[i % COLORS.length] }} />
+            {s.label} {s.latest}（{formatDelta(s.change)}）
+          </span>
+        ))}
+        <span className="trend-legend-note">破線は移動平均</span>
+      </div>
+    </div>
+  );
+}
+
+export function TrendTab({ url, checkedAt, active }: TrendTabProps) {
+  const [match, setMatch] = useState<ScoreTrend['match']>('exact');
+  const [trend, setTrend] = useState<ScoreTrend | null>(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [categoryKey, setCategoryKey] = useState('');
+  const isUrl = !!url && /^https?:\/\//i.test(url);
+
+  useEffect(() => {
+    if (!active || !isUrl) return;
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+    getScoreTrend(url!, match)
+      .then((res) => {
+        if (cancelled) return;
+        if (res.success && res.data) {
+          setTrend(res.data);
+        } else {
+          setTrend(null);
+          setError(
+            res.code === 'DB_UNAVAILABLE'
+              ? '推移は分析履歴の保存（環境変数 MONGODB_URI）を設定すると表示されます'
+              : res.code === 'API_KEY_REQUIRED'
+                ? '推移は API キーを使った診断の履歴からのみ表示できます'
+                : res.error ?? '推移を取得できませんでした'
+          );
+        }
+      })
+      .catch((err) => !cancelled && setError('ネットワークエラーが発生しました: ' + (err instanceof Error ? err.message : String(err))))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [active, isUrl, url, match, checkedAt]);
+
+  const categories = useMemo(
+    () => (trend ? trend.series.filter((s) => s.group === 'seo' || s.group === 'aio') : []),
+    [trend]
+  );
+  const selected = categories.find((s) => s.key === categoryKey) ?? categories[0];
+
+  if (!isUrl) return <p>推移は URL を診断したときに表示されます</p>;
+
+  const totals = trend ? trend.series.filter((s) => s.group === 'total') : [];
+  const issues = trend ? trend.series.filter((s) => s.group === 'issues') : [];
+  const issueMax = Math.max(5, ...issues.map((s) => s.max));
+
+  return (
+    <>
+      <div className="category">
+        <h3>スコアの推移</h3>
+        <div className="trend-controls">
+          <label>
+            対象:{' '}
+            <select value={match} onChange={(e) => setMatch(e.target.value as ScoreTrend['match'])}>
+              <option value="exact">この URL のみ</option>
+              <option value="normalized">同じページとみなす URL をまとめる</option>
+            </select>
+          </label>
+          {trend && <span className="trend-meta">{trend.count} 回分（{match === 'normalized' ? trend.normalizedUrl : trend.url}）</span>}
+        </div>
+        {loading && <p>読み込み中...</p>}
+        {error && <p className="trend-message">{error}</p>}
+        {trend && trend.count < 2 && <p className="trend-message">同じ URL を2回以上診断すると推移が表示されます</p>}
+      </div>
+
+      {trend && trend.count >= 2 && (
+        <>
+          <div className="category">
+            <h4>合計スコア</h4>
+            <TrendChart runs={trend.runs} series={totals} yMax={100} />
+          </div>
+
+          {selected && (
+            <div className="category">
+              <h4>
+                カテゴリ別:{' '}
+                <select value={selected.key} onChange={(e) => setCategoryKey(e.target.value)}>
+                  {categories.map((s) => (
+                    <option key={s.key} value={s.key}>
+                      {s.group === 'seo' ? 'SEO' : 'AIO'} / {s.label}
+                    </option>
+                  ))}
+                </select>
+              </h4>
+              <TrendChart runs={trend.runs} series={[selected]} yMax={100} />
+            </div>
+          )}
+
+          {issues.length > 0 && (
+            <div className="category">
+              <h4>優先度ごとの問題数</h4>
+              <TrendChart runs={trend.runs} series={issues} yMax={issueMax} />
+            </div>
+          )}
+
+          {trend.largestChanges.length > 0 && (
+            <div className="category">
+              <h4>大きく動いたスコア</h4>
+              <table className="trend-changes">
+                <thead>
+                  <tr>
+                    <th>項目</th>
+                    <th>期間</th>
+                    <th>スコア</th>
+                    <th>変化</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {trend.largestChanges.map((change) => (
+                    <tr key={`${change.key}-${change.to.at}`}>
+                      <td>{change.group === 'total' ? change.label : `${change.group.toUpperCase()} / ${change.label}`}</td>
+                      <td>{formatDate(change.from.at)} → {formatDate(change.to.at)}</td>
+                      <td>{change.from.value} → {change.to.value}</td>
+                      <td className={change.delta > 0 ? 'trend-up' : 'trend-down'}>{formatDelta(change.delta)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {trend.pageTypeChanges.length > 0 && (
+            <div className="category">
+              <h4>ページの種類の変化</h4>
+              <ul>
+                {trend.pageTypeChanges.map((change) => (
+                  <li key={change.at}>
+                    {formatDate(change.at)}: {change.from} → {change.to}（スコアの基準も変わります）
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </>
+  );
+}
@@ -27,6 +27,69 @@ export interface SEOCheckItem {
   recommendations?: string[];
 }
 
+/** Phase 3-H: パフォーマンス（Core Web Vitals）カテゴリ。計測時のみ checks.performance に入る */
+export interface PerformanceCheck extends SEOCheckItem {
+  profile: 'mobile' | 'desktop';
+  profileLabel: string;
+  metrics: PerformanceMetrics;
+  ratings: Partial<Record<'lcp' | 'cls' | 'tbt' | 'inp' | 'fcp' | 'ttfb', 'good' | 'needs-improvement' | 'poor' | null>>;
+}
+
+export interface PerformanceMetrics {
+  lcp: number | null;
+  lcpElement: string | null;
+  cls: number | null;
+  tbt: number | null;
+  inp: number | null;
+  fcp: number | null;
+  ttfb: number | null;
+  transferBytes: number;
+  requestCount: number;
+  failedRequests: number;
+  requestsByType: Record<string, number>;
+}
+
+/** Phase 3-G: SNSシェア（OGP / Twitterカード）カテゴリ */
+export interface SocialMetadataCheck extends SEOCheckItem {
+  og?: Record<string, string>;
+  twitter?: Record<string, string>;
+  image?: SocialImageInfo | null;
+  previews?: Record<SocialPlatform, SocialPreview> | null;
+  skipped?: boolean;
+}
+
+export type SocialPlatform = 'line' | 'x' | 'facebook';
+
+export interface SocialImageInfo {
+  raw: string;
+  url: string | null;
+  declaredWidth: number | null;
+  declaredHeight: number | null;
+  width: number | null;
+  height: number | null;
+  format?: string | null;
+  contentType: string | null;
+  bytes: number | null;
+  statusCode: number | null;
+  source: 'meta' | 'fetch' | null;
+  error: string | null;
+}
+
+/** リンクカードの表示モデル（切り詰め後の文字列・レイアウト） */
+export interface SocialPreview {
+  platform: SocialPlatform;
+  label: string;
+  layout: 'large' | 'summary';
+  aspectRatio: number;
+  imageUrl: string | null;
+  title: string | null;
+  description: string | null;
+  domain: string | null;
+  siteName: string | null;
+  truncated: { title: boolean; description: boolean };
+  warnings: string[];
+}
+
 export interface AIOChecks {
   overallScore: number;
   checks: Record<string, SEOCheckItem>;
@@ -142,6 +205,43 @@ export interface SchemaRecommendationItem {
   seoValue?: string;
 }
 
+/** Phase 3-R: GET /api/history/trend の系列（合計・カテゴリ別・優先度ごとの問題数） */
+export type ScoreTrendGroup = 'total' | 'seo' | 'aio' | 'issues';
+
+export interface ScoreTrendSeries {
+  key: string;
+  group: ScoreTrendGroup;
+  category: string | null;
+  label: string;
+  points: Array<{ at: string; value: number; movingAverage: number }>;
+  latest: number;
+  change: number;
+  min: number;
+  max: number;
+}
+
+export interface ScoreTrendChange {
+  key: string;
+  group: ScoreTrendGroup;
+  category: string | null;
+  label: string;
+  from: { at: string; value: number };
+  to: { at: string; value: number };
+  delta: number;
+}
+
+export interface ScoreTrend {
+  url: string;
+  normalizedUrl: string;
+  match: 'exact' | 'normalized';
+  window: number;
+  count: number;
+  runs: Array<{ id: string | null; at: string; url: string | null; waitForJS: boolean; pageType: string | null }>;
+  series: ScoreTrendSeries[];
+  largestChanges: ScoreTrendChange[];
+  pageTypeChanges: Array<{ at: string; from: string; to: string }>;
+}
+
 export interface ApiResponse<T> {
   success: boolean;
   data?: T;
@@ -41,6 +41,9 @@ export function getCategoryTitle(category: string): string {
     internalLinkStructure: '内部リンク構造',
     structuredData: '構造化データ',
     otherSEOElements: 'その他SEO要素',
+    socialMetadata: 'SNSシェア（OGP / Twitterカード）',
+    performance: 'パフォーマンス（Core Web Vitals）',
+    targetKeywords: '狙うキーワード',
     contentComprehensiveness: 'コンテンツ包括性',
     structuredInformation: '構造化情報',
     credibilitySignals: '信頼性シグナル',
@@ -0,0 +1,197 @@
+/**
+ * Phase 3-V: 複数の競合との比較（マトリクス）
+ *
+ * /api/compare（Phase 2-B）は自分のサイトと競合1つの比較しかできず、3〜5社と比べるには
+ * 何度も診断して結果を手で並べる必要があった。自分（primary）と N 個の競合の診断結果から次を返す:
+ *  - 合計スコア（SEO / AIO / 総合）と SEO / AIO の各カテゴリの順位表
+ *  - 各項目での自分の順位と、最も高い競合との差（gapToBest。正なら自分が下回っている）
+ *  - gapsToClose: 競合の過半数が高スコア（80 以上）で、自分が低スコア（50 未満）の項目
+ *
+ * 順位は同点を同じ順位にする（90, 80, 80, 70 → 1, 2, 2, 4）。
+ * その回に取得しなかったカテゴリ（パフォーマンス計測の有無など）は、そのサイトを順位から除く。
+ *
+ * @example
+ *   const matrix = new CompetitorMatrix().build(
+ *     { url: 'https://example.com/', result: primaryResults },
+ *     [{ url: 'https://a.example/', result: aResults }, { url: 'https://b.example/', result: null, error: 'timeout' }]
+ *   );
+ *   matrix.overall.combinedScore.primaryRank; // 2
+ *   matrix.gapsToClose[0];                   // { category: 'structuredData', competitorsAhead: [...], ... }
+ */
+
+const EnhancedReporter = require('./enhanced-reporter');
+const ScoreHistory = require('./score-history');
+
+const DEFAULT_OPTIONS = Object.freeze({
+  maxCompetitors: 5,
+  // gapsToClose: 競合が「対応している」・自分が「対応していない」とみなすスコア（Phase 2-B と同じ）
+  leadScore: 80,
+  lagScore: 50,
+});
+
+// 合計スコア（診断結果のフィールド名 → 表示名）
+const TOTAL_SCORES = Object.freeze({
+  overallScore: 'SEO',
+  aioOverallScore: 'AIO',
+  combinedScore: '総合',
+});
+
+class CompetitorMatrix {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxCompetitors=5] - 1回に比べる競合の数の上限
+   * @param {number} [options.leadScore=80]
+   * @param {number} [options.lagScore=50]
+   * @param {Object} [options.enhancedReporter] - getCategoryTitle を持つもの（カテゴリの表示名）
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxCompetitors: positiveInt(options.maxCompetitors, DEFAULT_OPTIONS.maxCompetitors),
+      leadScore: options.leadScore ?? DEFAULT_OPTIONS.leadScore,
+      lagScore: options.lagScore ?? DEFAULT_OPTIONS.lagScore,
+    };
+    this.enhancedReporter = options.enhancedReporter || new EnhancedReporter();
+  }
+
+  /**
+   * 比較マトリクスを組み立てる
+   * @param {{ url: string, result: Object|null }} primary - 自分のサイトの診断結果（失敗なら result: null）
+   * @param {Array<{ url: string, result: Object|null }>} competitors - 競合の診断結果（失敗したものも含めてよい）
+   */
+  build(primary, competitors = []) {
+    const available = competitors.filter(c => c && c.result);
+    if (!primary || !primary.result) {
+      return { available: false, reason: '自分のサイトの診断データが取得できなかったため、比較できません' };
+    }
+    if (available.length === 0) {
+      return { available: false, reason: 'どの競合サイトの診断データも取得できなかったため、比較できません' };
+    }
+
+    const participants = [
+      { url: primary.url, role: 'primary', result: primary.result },
+      ...available.map(c => ({ url: c.url, role: 'competitor', result: c.result })),
+    ];
+
+    const overall = {};
+    for (const [field, label] of Object.entries(TOTAL_SCORES)) {
+      overall[field] = { label, ...this.rankRow(participants.map(p => totalScore(p.result, field)), participants) };
+    }
+
+    // カテゴリは自分の結果にあるものを基準にする（Phase 2-B の categoryDiffs と同じ）
+    const categoryScores = participants.map(p => ScoreHistory.snapshot(p.result).categoryScores);
+    const categories = [];
+    for (const type of ['seo', 'aio']) {
+      for (const category of Object.keys(categoryScores[0][type] || {})) {
+        const scores = categoryScores.map(scoresByType => scoresByType[type] && Number.isFinite(scoresByType[type][category])
+          ? scoresByType[type][category]
+          : null);
+        categories.push({
+          category,
+          type,
+          title: this.enhancedReporter.getCategoryTitle(category),
+          ...this.rankRow(scores, participants),
+        });
+      }
+    }
+
+    return {
+      available: true,
+      participants: participants.map(({ url, role }) => ({ url, role })),
+      overall,
+      categories,
+      gapsToClose: this.findGaps(categories, participants),
+      positions: CompetitorMatrix.countPositions(categories),
+    };
+  }
+
+  /**
+   * カテゴリのうち、自分が1位・最下位・最も高い競合を下回っている数
+   */
+  static countPositions(categories) {
+    const isLast = row => row.primaryRank > 1 && row.primaryRank === row.ranking[row.ranking.length - 1].rank;
+    return {
+      total: categories.length,
+      first: categories.filter(row => row.primaryRank === 1).length,
+      last: categories.filter(row => row.primaryRank !== null && isLast(row)).length,
+      behindBest: categories.filter(row => row.gapToBest !== null && row.gapToBest > 0).length,
+    };
+  }
+
+  /**
+   * 1項目分の順位表
+   * @param {Array<number|null>} scores - participants と同じ並び（null は順位から除く）
+   * @returns {{ scores, ranking, primaryScore, primaryRank, best, gapToBest, competitorAverage }}
+   */
+  rankRow(scores, participants) {
+    const entries = participants
+      .map((p, i) => ({ url: p.url, role: p.role, score: scores[i] }))
+      .filter(entry => entry.score !== null);
+    const sorted = [...entries].sort((a, b) => b.score - a.score);
+    const ranking = sorted.map(entry => ({
+      ...entry,
+      rank: sorted.findIndex(other => other.score === entry.score) + 1,
+    }));
+
+    const primaryEntry = ranking.find(entry => entry.role === 'primary') || null;
+    const competitorEntries = ranking.filter(entry => entry.role === 'competitor');
+    const best = competitorEntries[0] || null;
+    return {
+      scores,
+      ranking,
+      primaryScore: primaryEntry ? primaryEntry.score : null,
+      primaryRank: primaryEntry ? primaryEntry.rank : null,
+      best: best ? { url: best.url, score: best.score } : null,
+      gapToBest: primaryEntry && best ? best.score - primaryEntry.score : null,
+      competitorAverage: competitorEntries.length > 0
+        ? Math.round(competitorEntries.reduce((sum, entry) => sum + entry.score, 0) / competitorEntries.length)
+        : null,
+    };
+  }
+
+  /**
+   * 競合の過半数が高スコアで、自分が低スコアの項目（先行している競合が多い順、次に平均との差が大きい順）
+   */
+  findGaps(categories, participants) {
+    const competitorCount = participants.length - 1;
+    const { leadScore, lagScore } = this.options;
+    return categories
+      .filter(row => row.primaryScore !== null && row.primaryScore < lagScore)
+      .map(row => ({
+        category: row.category,
+        type: row.type,
+        title: row.title,
+        primary: row.primaryScore,
+        competitorsAhead: row.ranking
+          .filter(entry => entry.role === 'competitor' && entry.score >= leadScore)
+          .map(({ url, score }) => ({ url, score })),
+        competitorAverage: row.competitorAverage,
+        competitors: competitorCount,
+      }))
+      .filter(gap => gap.competitorsAhead.length * 2 > competitorCount)
+      .sort((a, b) => (b.competitorsAhead.length - a.competitorsAhead.length) ||
+        ((b.competitorAverage - b.primary) - (a.competitorAverage - a.primary)));
+  }
+}
+
+// 合計スコア。AIO は古い結果では aio.overallScore にしかない
+function totalScore(result, field) {
+  if (field === 'aioOverallScore') {
+    const score = result.aioOverallScore ?? (result.aio && result.aio.overallScore);
+    return Number.isFinite(score) ? score : null;
+  }
+  if (field === 'combinedScore' && !Number.isFinite(result.combinedScore)) {
+    const seo = totalScore(result, 'overallScore');
+    const aio = totalScore(result, 'aioOverallScore');
+    return seo !== null && aio !== null ? Math.round((seo + aio) / 2) : null;
+  }
+  return Number.isFinite(result[field]) ? result[field] : null;
+}
+
+function positiveInt(value, fallback) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+module.exports = CompetitorMatrix;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+module.exports.TOTAL_SCORES = TOTAL_SCORES;
@@ -0,0 +1,344 @@
+/**
+ * Phase 3-Y: ページ間の重複・類似コンテンツの検出（MinHash）
+ *
+ * EC サイトでは、説明文を使い回した商品ページや中身の薄いページが多いが、1ページずつの診断では気付けなかった。
+ * 各ページの本文（main / article。無ければ nav・header・footer・aside を除いた body）から指紋を作り、
+ * 次を求める:
+ *  - 指紋: 正規化した本文の文字 5-gram（shingle）の集合の MinHash（128 個の 32bit 値）。分かち書きしない
+ *    文字単位なので、日本語と英語を同じ方法で比べられる
+ *  - 類似度: 2ページの指紋で一致する値の割合（shingle 集合の Jaccard 係数の推定値。0〜100）
+ *  - 同じサイトの似ているページ: 分析履歴に保存した指紋と比べ、類似度の高い順に返す（URL ごとに最新の1回）
+ *  - 重複のグループ: クロール・一括診断の各ページを、類似度が threshold 以上の組でつないだまとまり
+ *
+ * 指紋は診断のたびに AnalysisHistory に保存する（snapshot）。作り方を変えたときは FINGERPRINT_VERSION を上げ、
+ * 違う版の指紋とは比べない。
+ *
+ * @example
+ *   const similarity = ContentSimilarity.shared();
+ *   const fingerprint = similarity.fingerprint($);                    // checkSEO が results.contentFingerprint に入れる
+ *   await AnalysisHistory.create({ ...fields, ...ContentSimilarity.snapshot(results) });
+ *   const similar = await new ContentSimilarity({ model: AnalysisHistory }).findSimilar({ url, fingerprint });
+ *   const clusters = similarity.cluster(pages.map(p => ({ url: p.url, fingerprint: p.fingerprint })));
+ */
+
+const ScoreHistory = require('./score-history');
+
+// 指紋の作り方の版（shingle の長さ・ハッシュの数・正規化を変えたら上げる）
+const FINGERPRINT_VERSION = 1;
+
+const DEFAULT_OPTIONS = Object.freeze({
+  shingleSize: 5,
+  numHashes: 128,
+  // 本文がこれより短いページは指紋を作らない（空のページ同士が 100% になるため）
+  minChars: 50,
+  // これより長い本文は先頭だけを使う
+  maxChars: 20000,
+  // 重複とみなす類似度（%）
+  threshold: 80,
+  // 似ているページとして返す類似度の下限（%）と件数
+  minSimilarity: 50,
+  limit: 5,
+  // 比べる履歴の件数の上限（同じサイトの新しい順）
+  maxCandidates: 500,
+});
+
+const MAIN_CONTENT = 'main, [role="main"], article';
+const BOILERPLATE = 'script, style, noscript, template, svg, iframe, nav, header, footer, aside, form, [role="navigation"], [role="banner"], [role="contentinfo"]';
+const IGNORED_CHARS = /[\s\p{P}\p{S}]+/gu;
+
+// MinHash の各ハッシュに使う種（固定。保存した指紋と比べるため、実行ごとに変えない）
+const SEEDS = createSeeds(DEFAULT_OPTIONS.numHashes, 0x5eed);
+
+let sharedSimilarity = null;
+
+class ContentSimilarity {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.model] - AnalysisHistory（find().sort().limit().select().lean() を持つもの）
+   * @param {number} [options.threshold=80] - 重複とみなす類似度（%）
+   * @param {number} [options.minSimilarity=50] - 似ているページとして返す類似度の下限（%）
+   * @param {number} [options.limit=5] - 似ているページとして返す件数
+   */
+  constructor(options = {}) {
+    this.model = options.model || null;
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      threshold: percent(options.threshold, DEFAULT_OPTIONS.threshold),
+      minSimilarity: percent(options.minSimilarity, DEFAULT_OPTIONS.minSimilarity),
+      limit: positiveInt(options.limit, DEFAULT_OPTIONS.limit),
+      maxCandidates: positiveInt(options.maxCandidates, DEFAULT_OPTIONS.maxCandidates),
+      minChars: positiveInt(options.minChars, DEFAULT_OPTIONS.minChars),
+    };
+  }
+
+  /**
+   * 環境変数（DUPLICATE_SIMILARITY_THRESHOLD）から作った共有インスタンス（履歴の model は持たない）
+   */
+  static shared() {
+    if (!sharedSimilarity) {
+      sharedSimilarity = new ContentSimilarity({ threshold: process.env.DUPLICATE_SIMILARITY_THRESHOLD });
+    }
+    return sharedSimilarity;
+  }
+
+  /**
+   * AnalysisHistory に保存する値（指紋が無い結果は null）
+   * @param {Object} results - checkSEO の戻り値
+   * @returns {{ contentFingerprint: Object|null }}
+   */
+  static snapshot(results) {
+    return { contentFingerprint: (results && results.contentFingerprint) || null };
+  }
+
+  /**
+   * 重複のグループに入った行（クロールのページ / 一括診断の1件）に、グループの id を duplicateCluster として付ける
+   * @param {Array<{ url: string }>} items
+   * @param {Object[]} clusters - cluster() の戻り値
+   */
+  static markClusters(items, clusters) {
+    const ids = new Map();
+    for (const cluster of clusters) cluster.urls.forEach(url => ids.set(url, cluster.id));
+    for (const item of items) {
+      if (ids.has(item.url)) item.duplicateCluster = ids.get(item.url);
+    }
+  }
+
+  /**
+   * ページの本文（main / article があればそれ、無ければ定型部分を除いた body）
+   * @param {Function} $ - cheerio
+   * @returns {string}
+   */
+  extractMainContent($) {
+    // 入れ子（main の中の article など）や複数の article は、いちばん長いものを使う
+    const main = $(MAIN_CONTENT).toArray()
+      .map((el) => {
+        const $section = $(el).clone();
+        $section.find(BOILERPLATE).remove();
+        return $section.text();
+      })
+      .reduce((longest, text) => (text.length > longest.length ? text : longest), '');
+    if (normalizeText(main).length >= this.options.minChars) return main;
+
+    const $body = $('body').clone();
+    $body.find(BOILERPLATE).remove();
+    return $body.text();
+  }
+
+  /**
+   * ページの指紋。本文が minChars より短ければ null
+   * @param {Function} $ - cheerio
+   * @returns {{ version: number, shingleSize: number, hashes: number[], charCount: number }|null}
+   */
+  fingerprint($) {
+    return this.fingerprintText(this.extractMainContent($));
+  }
+
+  /**
+   * 本文の指紋（空白・記号を除き、NFKC・小文字にそろえた文字列の shingle の MinHash）
+   * @param {string} text
+   */
+  fingerprintText(text) {
+    const normalized = normalizeText(text);
+    if (normalized.length < this.options.minChars) return null;
+    const source = normalized.slice(0, this.options.maxChars);
+    const { shingleSize, numHashes } = this.options;
+
+    const shingles = new Set();
+    for (let i = 0; i + shingleSize <= source.length; i++) {
+      shingles.add(fnv1a(source.slice(i, i + shingleSize)));
+    }
+    const hashes = new Array(numHashes).fill(0xffffffff);
+    for (const shingle of shingles) {
+      for (let i = 0; i < numHashes; i++) {
+        const value = fmix32(shingle ^ SEEDS[i]);
+        if (value < hashes[i]) hashes[i] = value;
+      }
+    }
+    return { version: FINGERPRINT_VERSION, shingleSize, hashes, charCount: normalized.length };
+  }
+
+  /**
+   * 2つの指紋の類似度（0〜100）。どちらかが無い・作り方が違うときは null
+   */
+  similarity(a, b) {
+    if (!isComparable(a) || !isComparable(b) || a.shingleSize !== b.shingleSize || a.hashes.length !== b.hashes.length) {
+      return null;
+    }
+    let same = 0;
+    for (let i = 0; i < a.hashes.length; i++) {
+      if (a.hashes[i] === b.hashes[i]) same++;
+    }
+    return Math.round((same / a.hashes.length) * 100);
+  }
+
+  /**
+   * 分析履歴から、同じサイト（ホスト名。www の有無は問わない）で本文が似ているページを探す
+   * @param {Object} params
+   * @param {string} params.url - 診断した URL（このページ自身の履歴は除く）
+   * @param {Object} params.fingerprint - 今回の指紋
+   * @param {string|null} [params.userId] - その利用者の履歴だけを比べる。null・省略（API キーなし）は比べない
+   *   （キーなしの利用者は区別できず、ほかの人のページの URL・タイトルを返してしまうため）
+   */
+  async findSimilar({ url, fingerprint, userId } = {}) {
+    const normalizedUrl = ScoreHistory.normalizeUrl(url);
+    if (!normalizedUrl) return unavailable('URL を指定した診断でのみ比べられます');
+    if (!isComparable(fingerprint)) return unavailable('本文が短いため比べられません');
+    if (!this.model) return unavailable('分析履歴が保存されていないため比べられません');
+    if (!userId) return unavailable('API キーを指定した診断でのみ比べられます');
+
+    const site = normalizedUrl.match(/^[^/?]+/)[0];
+    const filter = {
+      normalizedUrl: { $regex: `^${escapeRegExp(site)}(?:[/?]|$)` },
+      'contentFingerprint.version': FINGERPRINT_VERSION,
+      // ほかの利用者のページ（URL・タイトル）は返さない
+      userId: String(userId),
+    };
+    const docs = await this.model.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(this.options.maxCandidates)
+      .select('url normalizedUrl createdAt contentFingerprint values.title')
+      .lean();
+    return this.rankCandidates(fingerprint, normalizedUrl, docs);
+  }
+
+  /**
+   * 履歴（新しい順）を URL ごとに最新の1回にまとめ、類似度の高い順に並べる
+   */
+  rankCandidates(fingerprint, normalizedUrl, docs) {
+    const latest = new Map();
+    for (const doc of docs) {
+      const key = doc.normalizedUrl || doc.url;
+      if (key && key !== normalizedUrl && !latest.has(key)) latest.set(key, doc);
+    }
+    const scored = [];
+    for (const doc of latest.values()) {
+      const similarity = this.similarity(fingerprint, doc.contentFingerprint);
+      if (similarity === null) continue;
+      scored.push({
+        url: doc.url,
+        title: (doc.values && doc.values.title) || null,
+        similarity,
+        nearDuplicate: similarity >= this.options.threshold,
+        checkedAt: doc.createdAt ? new Date(doc.createdAt).toISOString() : null,
+        historyId: doc._id ? String(doc._id) : null,
+      });
+    }
+    scored.sort((a, b) => b.similarity - a.similarity);
+    return {
+      available: true,
+      threshold: this.options.threshold,
+      comparedPages: scored.length,
+      nearDuplicates: scored.filter(page => page.nearDuplicate).length,
+      closest: scored.filter(page => page.similarity >= this.options.minSimilarity).slice(0, this.options.limit),
+    };
+  }
+
+  /**
+   * 類似度が threshold 以上の組をつなぎ、2ページ以上のまとまりを返す（大きい順、同じ大きさなら入力順）
+   * @param {Array<{ url: string, fingerprint: Object|null }>} entries - 指紋の無いページは除く
+   * @returns {Array<{ id: number, size: number, urls: string[], minSimilarity: number, maxSimilarity: number }>}
+   */
+  cluster(entries) {
+    const pages = (entries || []).filter(entry => entry && isComparable(entry.fingerprint));
+    const parent = pages.map((_, i) => i);
+    const find = (i) => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+
+    const links = [];
+    for (let i = 0; i < pages.length; i++) {
+      for (let j = i + 1; j < pages.length; j++) {
+        const similarity = this.similarity(pages[i].fingerprint, pages[j].fingerprint);
+        if (similarity === null || similarity < this.options.threshold) continue;
+        links.push({ i, similarity });
+        const [a, b] = [find(i), find(j)];
+        if (a !== b) parent[Math.max(a, b)] = Math.min(a, b);
+      }
+    }
+
+    const groups = new Map();
+    pages.forEach((page, i) => {
+      const root = find(i);
+      if (!groups.has(root)) groups.set(root, { urls: [], similarities: [] });
+      groups.get(root).urls.push(page.url);
+    });
+    for (const link of links) groups.get(find(link.i)).similarities.push(link.similarity);
+
+    return [...groups.entries()]
+      .filter(([, group]) => group.urls.length > 1)
+      .sort(([a, ga], [b, gb]) => gb.urls.length - ga.urls.length || a - b)
+      .map(([, group], index) => ({
+        id: index + 1,
+        size: group.urls.length,
+        urls: group.urls,
+        minSimilarity: Math.min(...group.similarities),
+        maxSimilarity: Math.max(...group.similarities),
+      }));
+  }
+}
+
+function normalizeText(text) {
+  return String(text || '').normalize('NFKC').toLowerCase().replace(IGNORED_CHARS, '');
+}
+
+function isComparable(fingerprint) {
+  return !!fingerprint && fingerprint.version === FINGERPRINT_VERSION && Array.isArray(fingerprint.hashes) && fingerprint.hashes.length > 0;
+}
+
+function unavailable(reason) {
+  return { available: false, reason };
+}
+
+// 32bit FNV-1a（shingle → 数値）
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// MurmurHash3 の仕上げ（種ごとに別のハッシュ関数として使う）
+function fmix32(value) {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// 固定の種から作る擬似乱数列（mulberry32）
+function createSeeds(count, seed) {
+  let state = seed;
+  return Array.from({ length: count }, () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return (t ^ (t >>> 14)) >>> 0;
+  });
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function positiveInt(value, fallback) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+function percent(value, fallback) {
+  const n = Number(value);
+  return value !== undefined && value !== null && value !== '' && Number.isFinite(n) && n >= 0 && n <= 100 ? n : fallback;
+}
+
+module.exports = ContentSimilarity;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+module.exports.FINGERPRINT_VERSION = FINGERPRINT_VERSION;
@@ -85,7 +85,8 @@ class DetailedAnalyzer {
    * @returns {Object} 詳細分析結果
    */
   // Phase 2-C: LLM 補正のため async 化
-  async analyzeDetails($, url) {
+  // Phase 3-E: options.linkVerification（LinkVerifier の結果）があればリンク切れの箇所も出す
+  async analyzeDetails($, url, options = {}) {
     const pageData = {
       title: $('title').text().trim(),
       metaDescription: $('meta[name="description"]').attr('content') || '',
@@ -98,7 +99,7 @@ class DetailedAnalyzer {
       metaDescription: this.analyzeMetaDescription($),
       headingStructure: this.analyzeHeadingStructure($),
       imageAltAttributes: this.analyzeImageAltAttributes($),
-      internalLinkStructure: this.analyzeInternalLinkStructure($, url),
+      internalLinkStructure: this.analyzeInternalLinkStructure($, url, options.linkVerification || null),
       // Phase 2-C: LLM 補正含む
       structuredData: await this.analyzeStructuredData($, url, pageData),
       otherSEOElements: this.analyzeOtherSEOElements($, url)
@@ -536,7 +537,7 @@ class DetailedAnalyzer {
   /**
    * 内部リンク構造の詳細分析
    */
-  analyzeInternalLinkStructure($, url) {
+  analyzeInternalLinkStructure($, url, linkVerification = null) {
     const links = [];
     const issues = [];
     const recommendations = [];
@@ -661,6 +662,11 @@ class DetailedAnalyzer {
           fix: 'リンクテキストをより具体的で説明的な内容に変更してください'
         });
       }
+
+      // Phase 3-E: リンク切れ検証の結果を、ページ内の位置付きで出す
+      if (linkVerification) {
+        this.addLinkVerificationIssues(links, linkVerification, url, specificIssues);
+      }
     }
 
     return {
@@ -675,6 +681,69 @@ class DetailedAnalyzer {
     };
   }
 
+  /**
+   * Phase 3-E: リンク切れ / リダイレクトするリンクを specificIssues に追加
+   * 同じURLへのリンクが複数あれば、すべての位置を列挙する
+   */
+  addLinkVerificationIssues(links, linkVerification, url, specificIssues) {
+    const resolve = (href) => {
+      try {
+        const u = new URL(href, url);
+        u.hash = '';
+        return u.toString();
+      } catch (_) {
+        return null;
+      }
+    };
+    const locate = (results) => {
+      // 検証側はリダイレクト後の最終URL基準で解決しているため、まず href そのもので照合する
+      const byHref = new Map(results.map(r => [r.href, r]));
+      const byUrl = new Map(results.map(r => [r.url, r]));
+      const located = [];
+      links.forEach(link => {
+        const result = byHref.get(link.href) || byUrl.get(resolve(link.href));
+        if (result) {
+          located.push({
+            href: link.href,
+            text: link.text,
+            position: link.position,
+            status: result.status,
+            statusCode: result.statusCode,
+            finalUrl: result.finalUrl,
+            error: result.error
+          });
+        }
+      });
+      return located;
+    };
+
+    const broken = locate(linkVerification.brokenLinks || []);
+    if (broken.length > 0) {
+      specificIssues.push({
+        type: 'broken_links',
+        element: 'a',
+        location: 'body',
+        count: broken.length,
+        links: broken,
+        description: `${broken.length}個のリンクがリンク切れ・タイムアウト・リダイレクトループです`,
+        fix: 'リンク先を正しいURLに修正するか、リンクを削除してください'
+      });
+    }
+
+    const redirected = locate(linkVerification.redirectedLinks || []);
+    if (redirected.length > 0) {
+      specificIssues.push({
+        type: 'redirected_links',
+        element: 'a',
+        location: 'body',
+        count: redirected.length,
+        links: redirected,
+        description: `${redirected.length}個のリンクがリダイレクトするURLを指しています`,
+        fix: 'href をリダイレクト後の最終URL（finalUrl）に書き換えてください'
+      });
+    }
+  }
+
   /**
    * 構造化データの詳細分析（拡張版）
    * Phase 2-C: LLM 補正のため async 化
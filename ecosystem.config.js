@@ -6,7 +6,7 @@ module.exports = {
     autorestart: true,
     watch: false,
     max_memory_restart: '512M',
-    node_args: '--max-old-space-size=512 --expose-gc',
+    node_args: '--max-old-space-size=512',
     env: {
       NODE_ENV: 'production',
       PORT: 3001
@@ -24,6 +24,93 @@ function loadEnhancedReporterConfig() {
   return defaults;
 }
 
+// Phase 3-W: 狙うキーワード（targetKeywords）の issue。issue にはキーワード自体が入るため、
+// 汎用の「タイトル」「alt属性」等の判定より先にこの表で確定する（kw はキーワード）
+const SEARCH_APPEARANCE_DOC = 'https://developers.google.com/search/docs/appearance';
+const TARGET_KEYWORD_RULES = [
+  {
+    pattern: /^タイトルに「(.+)」が含まれていません/,
+    key: 'kw_title_missing',
+    fix: kw => `タイトルの前半に「${kw}」を入れてください（例: ${kw}｜サイト名）`,
+    codeExample: kw => `<title>${kw}｜サイト名</title>`,
+    docLink: `${SEARCH_APPEARANCE_DOC}/title-link?hl=ja`
+  },
+  {
+    pattern: /^タイトルの後半に「(.+)」があります/,
+    key: 'kw_title_position',
+    fix: kw => `「${kw}」をタイトルの前半に移してください（後半は検索結果で切り捨てられることがあります）`,
+    docLink: `${SEARCH_APPEARANCE_DOC}/title-link?hl=ja`
+  },
+  {
+    pattern: /^タイトルに「(.+)」が繰り返されています/,
+    key: 'kw_title_repeated',
+    fix: kw => `タイトルの「${kw}」は1回にしてください`,
+    docLink: 'https://developers.google.com/search/docs/essentials/spam-policies?hl=ja#keyword-stuffing'
+  },
+  {
+    pattern: /^メタディスクリプションに「(.+)」が含まれていません/,
+    key: 'kw_meta_description_missing',
+    fix: kw => `メタディスクリプションの前半で「${kw}」に触れてください`,
+    codeExample: kw => `<meta name="description" content="${kw}について…">`,
+    docLink: `${SEARCH_APPEARANCE_DOC}/snippet?hl=ja`
+  },
+  {
+    pattern: /^H1に「(.+)」が含まれていません/,
+    key: 'kw_h1_missing',
+    fix: kw => `H1に「${kw}」を入れてください`,
+    codeExample: kw => `<h1>${kw}とは</h1>`,
+    docLink: 'https://developers.google.com/search/docs/fundamentals/seo-starter-guide?hl=ja'
+  },
+  {
+    pattern: /^H2に「(.+)」が含まれていません/,
+    key: 'kw_h2_missing',
+    fix: kw => `H2の1つに「${kw}」か関連語を入れてください`,
+    docLink: 'https://developers.google.com/search/docs/fundamentals/seo-starter-guide?hl=ja'
+  },
+  {
+    pattern: /^URLに「(.+)」が含まれていません/,
+    key: 'kw_url_missing',
+    fix: kw => `新しいページでは URL のパスに「${kw}」を表す語を入れてください（公開済みの URL を変える場合は 301 リダイレクトが必要です）`,
+    docLink: 'https://developers.google.com/search/docs/crawling-indexing/url-structure?hl=ja'
+  },
+  {
+    pattern: /^最初の段落に「(.+)」が含まれていません/,
+    key: 'kw_first_paragraph_missing',
+    fix: kw => `冒頭の段落で「${kw}」に触れてください`,
+    docLink: 'https://developers.google.com/search/docs/fundamentals/creating-helpful-content?hl=ja'
+  },
+  {
+    pattern: /^画像のalt属性に「(.+)」が含まれていません/,
+    key: 'kw_image_alt_missing',
+    fix: kw => `内容が合う画像の alt に「${kw}」を含めてください`,
+    docLink: `${SEARCH_APPEARANCE_DOC}/google-images?hl=ja`
+  },
+  {
+    pattern: /^本文に「(.+)」が含まれていません/,
+    key: 'kw_body_missing',
+    fix: kw => `本文で「${kw}」を扱う段落・見出しを追加してください`,
+    docLink: 'https://developers.google.com/search/docs/fundamentals/creating-helpful-content?hl=ja'
+  },
+  {
+    pattern: /^「(.+)」の出現率が高すぎます/,
+    key: 'kw_density_high',
+    fix: kw => `「${kw}」の繰り返しを減らし、言い換え・関連語に置き換えてください`,
+    docLink: 'https://developers.google.com/search/docs/essentials/spam-policies?hl=ja#keyword-stuffing'
+  },
+  {
+    pattern: /^画像のalt属性の多くに「(.+)」が使われています/,
+    key: 'kw_image_alt_stuffing',
+    fix: () => 'alt 属性は画像ごとの内容の説明にしてください',
+    docLink: `${SEARCH_APPEARANCE_DOC}/google-images?hl=ja`
+  },
+  {
+    pattern: /^アンカーテキストの多くに「(.+)」が使われています/,
+    key: 'kw_anchor_stuffing',
+    fix: () => 'アンカーテキストはリンク先の内容が分かる語にしてください',
+    docLink: 'https://developers.google.com/search/docs/crawling-indexing/links-crawlable?hl=ja#write-good-anchor-text'
+  }
+];
+
 class EnhancedReporter {
   constructor() {
     this.config = loadEnhancedReporterConfig();
@@ -42,7 +129,10 @@ class EnhancedReporter {
         imageAltAttributes: 10,
         internalLinkStructure: 15,
         structuredData: 10,
-        otherSEOElements: 5
+        otherSEOElements: 5,
+        socialMetadata: 5,
+        performance: 15,
+        targetKeywords: 20
       },
       aio: {
         contentComprehensiveness: 20,
@@ -692,6 +782,10 @@ class EnhancedReporter {
    * 問題のキーを取得
    */
   getIssueKey(issue, category) {
+    // Phase 3-W: 狙うキーワードはキーワードごとに分ける
+    const keywordIssue = this.matchTargetKeywordIssue(issue, category);
+    if (keywordIssue) return `${keywordIssue.rule.key}:${keywordIssue.keyword}`;
+
     // 同じような問題をグループ化するためのキーを生成
     if (issue.includes('タイトルが短すぎます') || issue.includes('タイトルが長すぎます')) {
       return 'title_length';
@@ -780,6 +874,11 @@ class EnhancedReporter {
     if (issue.includes('URLパラメータが多すぎ')) return 'url_too_many_params';
     if (issue.includes('URLの形式が正しくありません')) return 'invalid_url';
     if (issue.includes('タッチターゲットが小さすぎます')) return 'small_touch_targets';
+    // Phase 3-I: Advanced Check のモバイル表示の実測
+    if (issue.includes('タッチターゲットの間隔が狭すぎます')) return 'touch_targets_too_close';
+    if (issue.includes('px未満の文字が本文の')) return 'small_font_text';
+    if (issue.includes('ページの横幅が画面幅を超えています')) return 'horizontal_overflow';
+    if (issue.includes('インタースティシャル')) return 'intrusive_interstitial';
 
     // ---------- AIO関連 ----------
     if (issue.includes('コンテンツが短すぎます')) return 'aio_content_too_short';
@@ -804,6 +903,10 @@ class EnhancedReporter {
     if (issue.includes('専門用語が多すぎます')) return 'aio_too_many_jargon';
     if (issue.includes('受動態が多すぎます')) return 'aio_too_much_passive';
     if (issue.includes('接続詞が少なすぎます')) return 'aio_few_connectives';
+    // Phase 3-X: 形態素解析による指標
+    if (issue.startsWith('漢字の割合が高すぎます')) return 'aio_kanji_ratio_high';
+    if (issue.startsWith('文末表現が単調です')) return 'aio_monotonous_endings';
+    if (issue.startsWith('冗長な表現が多すぎます')) return 'aio_redundant_expressions';
     if (issue.includes('URLとコンテンツの関連性')) return 'aio_url_irrelevant';
     if (issue.includes('内部リンクの関連性が低い')) return 'aio_internal_link_irrelevant';
     if (issue.includes('カテゴリやタグがありません')) return 'aio_no_taxonomy';
@@ -819,9 +922,97 @@ class EnhancedReporter {
     if (issue.includes('URL不正のため llms.txt')) return 'llmstxt_invalid_url';
     if (issue.includes('llms.txtチェックでエラー')) return 'llmstxt_check_error';
 
+    // ---------- Phase 3-B: サイトマップ関連（件数入りの文言を固定キーに寄せる） ----------
+    if (issue.includes('sitemap.xml が見つかりません')) return 'sitemap_missing';
+    if (issue.includes('robots.txt に Sitemap: ディレクティブ')) return 'sitemap_not_in_robots';
+    if (issue.includes('このページがサイトマップに含まれていません')) return 'sitemap_page_not_listed';
+    if (issue.includes('lastmodの日付形式が不正')) return 'sitemap_invalid_lastmod';
+    if (issue.includes('サイトマップの') && issue.includes('正規URLではありません')) return 'sitemap_non_canonical_urls';
+    if (issue.includes('サイトマップの') && issue.includes('robots.txtでブロック')) return 'sitemap_disallowed_urls';
+    if (issue.includes('サイトマップの取得または解析に失敗')) return 'sitemap_fetch_failed';
+
+    // ---------- Phase 3-C: HTTPレスポンスヘッダー関連 ----------
+    if (issue.includes('X-Robots-Tagヘッダーでnoindex')) return 'x_robots_noindex';
+    if (issue.includes('X-Robots-Tagヘッダーでnofollow')) return 'x_robots_nofollow';
+    if (issue.includes('Content-Typeヘッダーにcharset')) return 'content_type_no_charset';
+    if (issue.includes('Content-Typeヘッダーが未設定') || issue.includes('Content-Typeがtext/htmlではありません')) return 'content_type_invalid';
+    if (issue.includes('Strict-Transport-Security（HSTS）ヘッダーが未設定')) return 'hsts_missing';
+    if (issue.includes('HSTSのmax-ageが短すぎます')) return 'hsts_short_max_age';
+    if (issue.includes('X-Content-Type-Options')) return 'x_content_type_options';
+    if (issue.includes('Content-Security-Policyがreport-onlyのみ')) return 'csp_report_only';
+    if (issue.includes('Content-Security-Policyヘッダーが未設定')) return 'csp_missing';
+    if (issue.includes('Referrer-Policy')) return 'referrer_policy';
+    if (issue.includes('Cache-Controlヘッダーが未設定')) return 'cache_control_missing';
+
+    // ---------- Phase 3-D: リダイレクト / canonical 関連 ----------
+    if (issue.includes('リダイレクトチェーンが発生')) return 'redirect_chain';
+    if (issue.includes('HTTPSからHTTPへのリダイレクト')) return 'redirect_https_downgrade';
+    if (issue.includes('一時的リダイレクト')) return 'redirect_temporary';
+    if (issue.includes('meta refreshによるリダイレクト')) return 'redirect_meta_refresh';
+    if (issue.includes('JavaScriptによるリダイレクト')) return 'redirect_javascript';
+    if (issue.includes('canonicalタグが未設定')) return 'canonical_missing';
+    if (issue.includes('canonicalタグが複数')) return 'canonical_multiple';
+    if (issue.includes('canonicalが相対URL')) return 'canonical_relative';
+    if (issue.includes('canonicalのURLが不正')) return 'canonical_invalid';
+    if (issue.includes('canonicalが最終URLと異なります')) return 'canonical_mismatch';
+    if (issue.includes('canonicalがリダイレクトするURL')) return 'canonical_redirects';
+    if (issue.includes('canonicalがステータス')) return 'canonical_broken';
+    if (issue.includes('og:urlがcanonicalと一致しません')) return 'og_url_mismatch';
+    if (issue.includes('JSON-LDのurl/@idがcanonical')) return 'jsonld_url_mismatch';
+
+    // ---------- Phase 3-E: リンク切れ検証 ----------
+    if (issue.includes('個のリンク切れがあります')) return 'links_broken';
+    if (issue.includes('個のリンクがタイムアウト')) return 'links_timeout';
+    if (issue.includes('個のリンクでリダイレクトループ')) return 'links_redirect_loop';
+    if (issue.includes('個のリンクがリダイレクトするURL')) return 'links_redirected';
+
+    // ---------- Phase 3-F: hreflang / html lang ----------
+    if (issue.includes('hreflangの言語・地域コードが不正')) return 'hreflang_invalid_code';
+    if (issue.includes('hreflangの値が重複')) return 'hreflang_duplicate';
+    if (issue.includes('hreflangのURLが相対URL')) return 'hreflang_relative';
+    if (issue.includes('hreflangに自己参照')) return 'hreflang_missing_self';
+    if (issue.includes('hreflangにx-default')) return 'hreflang_missing_x_default';
+    if (issue.includes('hreflangの代替URLにアクセスできません')) return 'hreflang_alternate_unreachable';
+    if (issue.includes('hreflangの戻りリンクが不足')) return 'hreflang_missing_return';
+    if (issue.includes('hreflangの代替URLが正規URL')) return 'hreflang_alternate_not_canonical';
+    if (issue.includes('canonicalとhreflangが矛盾')) return 'hreflang_canonical_conflict';
+    if (issue.includes('html要素のlang属性が未設定')) return 'html_lang_missing';
+    if (issue.includes('html langと本文の言語が一致しません')) return 'html_lang_mismatch';
+
+    // ---------- Phase 3-G: OGP / Twitterカード ----------
+    const ogMissing = issue.match(/^(og:[a-z_:]+|twitter:card)が未設定です/);
+    if (ogMissing) return `${ogMissing[1].replace(':', '_')}_missing`;
+    if (issue.includes('twitter:cardの値が不正')) return 'twitter_card_invalid';
+    if (issue.includes('og:imageが相対URL')) return 'og_image_relative';
+    if (issue.includes('og:imageの画像を取得できません')) return 'og_image_unreachable';
+    if (issue.includes('og:imageの画像が小さすぎます')) return 'og_image_small';
+    if (issue.includes('og:imageのアスペクト比')) return 'og_image_aspect';
+    if (issue.includes('og:imageのファイルサイズ')) return 'og_image_heavy';
+    if (issue.includes('og:titleがtitleタグと大きく異なります')) return 'og_title_mismatch';
+    if (issue.includes('og:descriptionがmeta descriptionと大きく異なります')) return 'og_description_mismatch';
+
+    // ---------- Phase 3-H: Core Web Vitals ----------
+    const perfMetric = issue.match(/^(LCP|CLS|TBT|INP|FCP|TTFB)（/);
+    if (perfMetric) return `perf_${perfMetric[1].toLowerCase()}`;
+    if (issue.startsWith('ページの転送量が')) return 'perf_transfer_size';
+    if (issue.startsWith('リクエスト数が')) return 'perf_request_count';
+
     return issue; // デフォルトは元の文字列
   }
 
+  /**
+   * Phase 3-W: targetKeywords カテゴリの issue を TARGET_KEYWORD_RULES に当てる
+   * @returns {{ rule: Object, keyword: string }|null}
+   */
+  matchTargetKeywordIssue(issue, category) {
+    if (category !== 'targetKeywords') return null;
+    for (const rule of TARGET_KEYWORD_RULES) {
+      const match = issue.match(rule.pattern);
+      if (match) return { rule, keyword: match[1] };
+    }
+    return null;
+  }
+
   /**
    * 要素名を取得
    */
@@ -834,6 +1025,9 @@ class EnhancedReporter {
       internalLinkStructure: 'a[href]',
       structuredData: 'script[type="application/ld+json"]',
       otherSEOElements: 'meta, url',
+      socialMetadata: 'meta[property^="og:"], meta[name^="twitter:"]',
+      performance: '読み込まれる全リソース',
+      targetKeywords: 'title, meta[name="description"], h1, h2, URL, 本文',
       // AIOカテゴリ
       contentComprehensiveness: '本文 / 見出し',
       structuredInformation: '構造化マークアップ',
@@ -859,6 +1053,9 @@ class EnhancedReporter {
       internalLinkStructure: 'body',
       structuredData: 'head/body',
       otherSEOElements: 'head/url',
+      socialMetadata: 'head',
+      performance: 'サーバー / 画像 / CSS / JavaScript',
+      targetKeywords: 'head / body / URL',
       // AIOカテゴリ（具体的な場所をユーザーに伝える）
       contentComprehensiveness: 'body（本文セクション）',
       structuredInformation: 'head（JSON-LDスクリプト）',
@@ -876,6 +1073,10 @@ class EnhancedReporter {
    * 簡潔な修正方法を取得
    */
   getConciseFix(issue, category) {
+    // Phase 3-W: 狙うキーワード
+    const keywordIssue = this.matchTargetKeywordIssue(issue, category);
+    if (keywordIssue) return keywordIssue.rule.fix(keywordIssue.keyword);
+
     // Phase 1.5: config 経由
     if (issue.includes('タイトルが短すぎます')) {
       return `タイトルを${this.config.titleMinLength}全角文字以上にしてください（理想は20-${this.config.titleMaxLength}全角文字）`;
@@ -1071,6 +1272,18 @@ class EnhancedReporter {
     if (issue.includes('タッチターゲットが小さすぎます')) {
       return 'タップ可能な要素（ボタン・リンク・アイコン）を 48×48px（最低 44×44px）以上にし、要素間の余白も8px以上確保してください。モバイルUX とCore Web Vitals の INP 改善に直結します。';
     }
+    if (issue.includes('タッチターゲットの間隔が狭すぎます')) {
+      return '隣り合うリンク・ボタンの間に 8px 以上の余白（margin / gap）を入れ、押し間違えを防いでください。';
+    }
+    if (issue.includes('px未満の文字が本文の')) {
+      return '本文は 16px を基準にし、注釈などでも 12px 未満の文字サイズは使わないでください。';
+    }
+    if (issue.includes('ページの横幅が画面幅を超えています')) {
+      return '固定幅（width: 980px 等）を max-width: 100% に置き換え、画像・表・iframe が画面幅に収まるようにしてください。';
+    }
+    if (issue.includes('インタースティシャル')) {
+      return 'ページを開いた直後に本文を覆うポップアップをやめ、画面の一部に収まるバナーに変更してください。';
+    }
 
     // ---------- AIO関連の具体fix ----------
     if (issue.includes('コンテンツが短すぎます')) {
@@ -1139,6 +1352,16 @@ class EnhancedReporter {
     if (issue.includes('接続詞が少なすぎます')) {
       return '「しかし」「そのため」「一方で」など論理関係を示す接続詞を増やし、文の流れを明示してください。';
     }
+    // Phase 3-X
+    if (issue.startsWith('漢字の割合が高すぎます')) {
+      return '「事」「出来る」「下さい」などひらがなで書ける語を開き、漢字を全体の3割程度にしてください。';
+    }
+    if (issue.startsWith('文末表現が単調です')) {
+      return '「〜です」「〜ます」「〜でしょう」や体言止めを織り交ぜ、同じ文末が3回以上続かないようにしてください。';
+    }
+    if (issue.startsWith('冗長な表現が多すぎます')) {
+      return '「〜することができる」は「〜できる」、「確認を行う」は「確認する」のように短く言い換えてください。';
+    }
     if (issue.includes('URLとコンテンツの関連性')) {
       return 'URLスラッグにページ主題のキーワードを含め、コンテンツとの一致度を高めてください。';
     }
@@ -1178,6 +1401,198 @@ class EnhancedReporter {
       return 'llms.txt 取得時にネットワークエラーが発生しました。サイトが応答可能か確認のうえ再診断してください。';
     }
 
+    // ---------- Phase 3-B: サイトマップ関連の具体fix ----------
+    if (issue.includes('sitemap.xml が見つかりません')) {
+      return '/sitemap.xml にXMLサイトマップを設置し、robots.txt に「Sitemap: https://<ドメイン>/sitemap.xml」を追記してください。';
+    }
+    if (issue.includes('robots.txt に Sitemap: ディレクティブ')) {
+      return 'robots.txt に「Sitemap: <サイトマップの絶対URL>」を1行追加してください。Google以外のクローラーもサイトマップを発見できます。';
+    }
+    if (issue.includes('このページがサイトマップに含まれていません')) {
+      return 'このページの正規URL（canonical と同じURL）をサイトマップの <url><loc> に追加してください。';
+    }
+    if (issue.includes('lastmodの日付形式が不正')) {
+      return 'lastmod を W3C Datetime 形式（例: 2025-01-15 または 2025-01-15T09:00:00+09:00）にし、未来日付を設定しないでください。';
+    }
+    if (issue.includes('サイトマップの') && issue.includes('正規URLではありません')) {
+      return 'サイトマップから別ホスト・フラグメント付き・utm等のパラメータ付き・canonical が別URLのページを除外し、正規URLのみを掲載してください。';
+    }
+    if (issue.includes('サイトマップの') && issue.includes('robots.txtでブロック')) {
+      return 'robots.txt で Disallow しているURLをサイトマップから外すか、クロールさせたい場合は Disallow を解除してください。';
+    }
+    if (issue.includes('サイトマップの取得または解析に失敗')) {
+      return 'サイトマップURLが200で応答し、<urlset> または <sitemapindex> を持つ正しいXML（gzipの場合は正しい圧縮形式）か確認してください。';
+    }
+
+    // ---------- Phase 3-C: HTTPレスポンスヘッダー関連の具体fix ----------
+    if (issue.includes('X-Robots-Tagヘッダーでnoindex')) {
+      return 'サーバー/CDN の設定から X-Robots-Tag: noindex を削除してください。HTMLに robots メタタグが無くてもインデックスから除外されます。';
+    }
+    if (issue.includes('X-Robots-Tagヘッダーでnofollow')) {
+      return 'X-Robots-Tag の nofollow が意図したものか確認し、不要なら削除してください。ページ内リンクが評価されなくなります。';
+    }
+    if (issue.includes('Content-Typeヘッダーにcharset')) {
+      return 'レスポンスヘッダーを「Content-Type: text/html; charset=UTF-8」にして文字コードを明示してください。';
+    }
+    if (issue.includes('Content-Typeヘッダーが未設定') || issue.includes('Content-Typeがtext/htmlではありません')) {
+      return 'HTMLページは「Content-Type: text/html; charset=UTF-8」で返してください。';
+    }
+    if (issue.includes('Strict-Transport-Security（HSTS）ヘッダーが未設定') || issue.includes('HSTSのmax-ageが短すぎます')) {
+      return '「Strict-Transport-Security: max-age=31536000; includeSubDomains」を設定してください（max-age は180日以上）。';
+    }
+    if (issue.includes('X-Content-Type-Options')) {
+      return '「X-Content-Type-Options: nosniff」を設定してください。';
+    }
+    if (issue.includes('Content-Security-Policyがreport-onlyのみ')) {
+      return 'Report-Only で違反が出ないことを確認できたら、同じポリシーを Content-Security-Policy ヘッダーで適用してください。';
+    }
+    if (issue.includes('Content-Security-Policyヘッダーが未設定')) {
+      return "Content-Security-Policy を設定してください。まずは Content-Security-Policy-Report-Only: default-src 'self' で影響を確認するのが安全です。";
+    }
+    if (issue.includes('Referrer-Policy')) {
+      return '「Referrer-Policy: strict-origin-when-cross-origin」を設定してください。';
+    }
+    if (issue.includes('Cache-Controlヘッダーが未設定')) {
+      return 'HTMLには「Cache-Control: public, max-age=0, must-revalidate」など、キャッシュ方針を明示してください。';
+    }
+
+    // ---------- Phase 3-D: リダイレクト / canonical 関連の具体fix ----------
+    if (issue.includes('リダイレクトチェーンが発生')) {
+      return '最初のURLから最終URLへ1回の 301 で直接リダイレクトするよう、サーバー/CDN のルールをまとめてください。';
+    }
+    if (issue.includes('HTTPSからHTTPへのリダイレクト')) {
+      return 'HTTPS から HTTP へ転送しているルールを削除し、常に HTTPS の最終URLへリダイレクトしてください。';
+    }
+    if (issue.includes('一時的リダイレクト')) {
+      return '恒久的な移転であれば 302 / 307 を 301 / 308 に変更してください。';
+    }
+    if (issue.includes('meta refreshによるリダイレクト') || issue.includes('JavaScriptによるリダイレクト')) {
+      return 'クライアント側の転送をやめ、サーバー側の 301 リダイレクトに置き換えてください。';
+    }
+    if (issue.includes('canonicalタグが未設定')) {
+      return '<head> に <link rel="canonical" href="ページ自身の絶対URL"> を追加してください。';
+    }
+    if (issue.includes('canonicalタグが複数')) {
+      return 'canonical タグを1つだけにしてください。テーマとSEOプラグインの二重出力がよくある原因です。';
+    }
+    if (issue.includes('canonicalが相対URL') || issue.includes('canonicalのURLが不正')) {
+      return 'canonical の href を https:// から始まる絶対URLにしてください。';
+    }
+    if (issue.includes('canonicalが最終URLと異なります')) {
+      return 'このページをインデックスさせたい場合は、canonical をリダイレクト後の最終URL（自身のURL）にしてください。';
+    }
+    if (issue.includes('canonicalがリダイレクトするURL') || issue.includes('canonicalがステータス')) {
+      return 'canonical には 200 を返す最終URLを指定してください。リダイレクト元や 404 のURLは無視されます。';
+    }
+    if (issue.includes('og:urlがcanonicalと一致しません')) {
+      return 'og:url を canonical と同じ絶対URLにしてください。';
+    }
+    if (issue.includes('JSON-LDのurl/@idがcanonical')) {
+      return 'JSON-LD の WebPage / Article 等の url・@id を canonical と同じURLにしてください。';
+    }
+
+    // ---------- Phase 3-E: リンク切れ検証の具体fix ----------
+    if (issue.includes('個のリンク切れがあります')) {
+      return '詳細分析の「broken_links」に出ているリンクを、正しいURLに直すか削除してください。';
+    }
+    if (issue.includes('個のリンクがタイムアウト')) {
+      return 'リンク先がブラウザで開けるか確認し、閉鎖されていればリンクを削除してください。';
+    }
+    if (issue.includes('個のリンクでリダイレクトループ')) {
+      return 'リンク先のリダイレクト設定がループしていないか確認し、到達できる最終URLへリンクしてください。';
+    }
+    if (issue.includes('個のリンクがリダイレクトするURL')) {
+      return 'リンクの href をリダイレクト後の最終URLに書き換え、無駄なリダイレクトを省いてください。';
+    }
+
+    // ---------- Phase 3-H: Core Web Vitals の具体fix ----------
+    if (issue.startsWith('LCP（')) {
+      return 'LCP 要素（ファーストビューの画像・見出し）を preload し、fetchpriority="high" を付けて loading="lazy" を外してください。';
+    }
+    if (issue.startsWith('CLS（')) {
+      return '画像・広告・埋め込みに width / height を指定し、後から挿入される要素の領域をあらかじめ確保してください。';
+    }
+    if (issue.startsWith('TBT（') || issue.startsWith('INP（')) {
+      return '50ミリ秒を超える JavaScript の処理を分割し、初期表示に不要なスクリプトは defer にしてください。';
+    }
+    if (issue.startsWith('FCP（')) {
+      return 'レンダリングをブロックする CSS / JS を減らし、Web フォントに font-display: swap を指定してください。';
+    }
+    if (issue.startsWith('TTFB（')) {
+      return 'CDN・ページキャッシュでサーバーの応答を速くし、リダイレクトを減らしてください。';
+    }
+    if (issue.startsWith('ページの転送量が')) {
+      return '画像を WebP / AVIF に変換して圧縮し、使っていない JavaScript / CSS を削除してください。';
+    }
+    if (issue.startsWith('リクエスト数が')) {
+      return '不要なサードパーティタグを削除し、ファーストビュー外のリソースは遅延読み込みにしてください。';
+    }
+
+    // ---------- Phase 3-G: OGP / Twitterカードの具体fix ----------
+    if (issue.includes('og:imageが未設定')) {
+      return '<meta property="og:image" content="https://example.com/ogp.png"> を追加してください（1200×630 推奨）。';
+    }
+    if (/^og:[a-z_:]+が未設定です/.test(issue)) {
+      const prop = issue.split('が未設定')[0];
+      return `<head> に <meta property="${prop}" content="..."> を追加してください。`;
+    }
+    if (issue.includes('twitter:cardが未設定') || issue.includes('twitter:cardの値が不正')) {
+      return '<meta name="twitter:card" content="summary_large_image"> を設定してください。';
+    }
+    if (issue.includes('og:imageが相対URL')) {
+      return 'og:image の content を https:// から始まる絶対URLにしてください。';
+    }
+    if (issue.includes('og:imageの画像を取得できません')) {
+      return 'og:image に、ログインなしで取得できる公開画像のURLを指定してください。';
+    }
+    if (issue.includes('og:imageの画像が小さすぎます') || issue.includes('og:imageのアスペクト比')) {
+      return 'og:image には 1200×630（1.91:1）の画像を用意してください。';
+    }
+    if (issue.includes('og:imageのファイルサイズ')) {
+      return 'og:image を圧縮し、5MB 以下（できれば 1MB 以下）にしてください。';
+    }
+    if (issue.includes('og:titleがtitleタグと大きく異なります')) {
+      return 'og:title をページの <title>（サイト名を除いた部分）と揃えてください。';
+    }
+    if (issue.includes('og:descriptionがmeta descriptionと大きく異なります')) {
+      return 'og:description にページ固有の説明文（meta description と同じ内容）を入れてください。';
+    }
+
+    // ---------- Phase 3-F: hreflang / html lang の具体fix ----------
+    if (issue.includes('hreflangの言語・地域コードが不正')) {
+      return 'hreflang は「言語（ISO 639-1）-地域（ISO 3166-1）」で指定してください（例: ja, en-gb。jp や en-uk は誤り）。';
+    }
+    if (issue.includes('hreflangの値が重複')) {
+      return '同じ hreflang 値には1つのURLだけを指定し、HTML・Linkヘッダー・サイトマップの宣言を揃えてください。';
+    }
+    if (issue.includes('hreflangのURLが相対URL')) {
+      return 'hreflang の href を https:// から始まる絶対URLにしてください。';
+    }
+    if (issue.includes('hreflangに自己参照')) {
+      return 'hreflang の一覧に、このページ自身の言語とURLも追加してください。';
+    }
+    if (issue.includes('hreflangにx-default')) {
+      return '言語選択ページまたはデフォルト版のURLを hreflang="x-default" で追加してください。';
+    }
+    if (issue.includes('hreflangの代替URLにアクセスできません')) {
+      return 'hreflang の代替URLを、200 を返す各言語版の最終URLに修正してください。';
+    }
+    if (issue.includes('hreflangの戻りリンクが不足')) {
+      return '各言語版のページにも、このページを指す hreflang を追加して相互参照にしてください。';
+    }
+    if (issue.includes('hreflangの代替URLが正規URL')) {
+      return 'hreflang には各言語版の canonical と同じURLを指定してください。';
+    }
+    if (issue.includes('canonicalとhreflangが矛盾')) {
+      return '各言語版の canonical は自分自身のURLにしてください。別言語版を canonical にすると hreflang が無視されます。';
+    }
+    if (issue.includes('html要素のlang属性が未設定')) {
+      return '<html lang="ja"> のように、ページの言語を lang 属性で指定してください。';
+    }
+    if (issue.includes('html langと本文の言語が一致しません')) {
+      return '<html lang> を本文の言語に合わせてください。翻訳版のテンプレートで変え忘れがないか確認してください。';
+    }
+
     // ---------- 最終フォールバック ----------
     // ここに来た時点で個別マッピング漏れ。何の問題かをそのまま表示し、カテゴリ別のヒントを付与する。
     const categoryHint = this.getCategoryHint(category);
@@ -1199,11 +1614,14 @@ class EnhancedReporter {
       internalLinkStructure: '内部リンク・外部リンクの構造を見直してください',
       structuredData: '構造化データ（JSON-LD）の見直しが必要です',
       otherSEOElements: 'その他SEO要素（viewport, robots, URL等）を確認してください',
+      socialMetadata: 'SNSシェア用の OGP / Twitterカードのメタタグを見直してください',
+      performance: '表示速度（Core Web Vitals）を改善してください',
+      targetKeywords: '狙うキーワードをタイトル・H1・冒頭の段落に自然に入れてください',
       contentComprehensiveness: 'コンテンツのボリュームと構造を見直してください',
       structuredInformation: '構造化情報（JSON-LD等）の実装を見直してください',
       credibilitySignals: '信頼性シグナル（著者・出典・連絡先）を強化してください',
       aiSearchOptimization: 'AI検索向けのコンテンツ構造（FAQ/HowTo/比較）を強化してください',
-      naturalLanguageQuality: '文章の読みやすさ（文長・専門用語・接続詞）を見直してください',
+      naturalLanguageQuality: '文章の読みやすさ（文長・専門用語・接続詞・漢字の割合・文末表現）を見直してください',
       contextRelevance: 'URL・内部リンク・カテゴリの文脈関連性を見直してください',
       llmsTxtCompliance: 'llms.txt を /llms.txt に設置し、AI/LLMがサイト構造を理解できるようにしてください'
     };
@@ -1215,6 +1633,10 @@ class EnhancedReporter {
    * 各issueに対応するスニペットを返す。ない場合は null
    */
   getCodeExample(issue, category) {
+    // Phase 3-W: 狙うキーワード（例の無い issue は null）
+    const keywordIssue = this.matchTargetKeywordIssue(issue, category);
+    if (keywordIssue) return keywordIssue.rule.codeExample ? keywordIssue.rule.codeExample(keywordIssue.keyword) : null;
+
     // SEO
     if (issue.includes('構造化データが存在しません') || issue.includes('JSON-LD構造化データがありません')) {
       return [
@@ -1433,6 +1855,109 @@ class EnhancedReporter {
         '.btn + .btn { margin-left: 8px; }'
       ].join('\n');
     }
+    // Phase 3-I: モバイル表示の実測
+    if (issue.includes('タッチターゲットの間隔が狭すぎます')) {
+      return '.nav { display: flex; gap: 8px; }';
+    }
+    if (issue.includes('px未満の文字が本文の')) {
+      return 'body { font-size: 16px; }\nsmall, .note { font-size: 12px; } /* 12px 未満にしない */';
+    }
+    if (issue.includes('ページの横幅が画面幅を超えています')) {
+      return 'img, video, iframe, table { max-width: 100%; }\n.container { width: auto; max-width: 980px; }';
+    }
+    // ---------- Phase 3-B: サイトマップ関連サンプル ----------
+    if (issue.includes('sitemap.xml が見つかりません') || issue.includes('このページがサイトマップに含まれていません')) {
+      return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        '  <url>',
+        '    <loc>https://example.com/page</loc>',
+        '    <lastmod>2025-01-15T09:00:00+09:00</lastmod>',
+        '  </url>',
+        '</urlset>'
+      ].join('\n');
+    }
+    if (issue.includes('robots.txt に Sitemap: ディレクティブ')) {
+      return [
+        '# robots.txt',
+        'User-agent: *',
+        'Allow: /',
+        '',
+        'Sitemap: https://example.com/sitemap.xml'
+      ].join('\n');
+    }
+    if (issue.includes('lastmodの日付形式が不正')) {
+      return '<lastmod>2025-01-15T09:00:00+09:00</lastmod>';
+    }
+    // ---------- Phase 3-H: Core Web Vitals 関連サンプル ----------
+    if (issue.startsWith('LCP（')) {
+      return '<link rel="preload" as="image" href="/hero.webp" fetchpriority="high">\n<img src="/hero.webp" width="1200" height="630" fetchpriority="high" alt="...">';
+    }
+    if (issue.startsWith('CLS（')) {
+      return '<img src="/photo.webp" width="1200" height="630" alt="...">\n<style>.ad-slot { min-height: 250px; }</style>';
+    }
+    if (issue.startsWith('TBT（') || issue.startsWith('INP（')) {
+      return '<script src="/analytics.js" defer></script>';
+    }
+    // ---------- Phase 3-G: OGP / Twitterカード関連サンプル ----------
+    if (/^(og:[a-z_:]+|twitter:card)が未設定です/.test(issue) || issue.includes('twitter:cardの値が不正') ||
+        issue.includes('og:imageが相対URL') || issue.includes('og:imageの画像が小さすぎます') || issue.includes('og:imageのアスペクト比')) {
+      return [
+        '<meta property="og:title" content="ページのタイトル">',
+        '<meta property="og:description" content="ページの説明文">',
+        '<meta property="og:type" content="article">',
+        '<meta property="og:url" content="https://example.com/page">',
+        '<meta property="og:image" content="https://example.com/ogp.png">',
+        '<meta property="og:image:width" content="1200">',
+        '<meta property="og:image:height" content="630">',
+        '<meta name="twitter:card" content="summary_large_image">'
+      ].join('\n');
+    }
+    // ---------- Phase 3-F: hreflang / html lang 関連サンプル ----------
+    if (issue.includes('hreflang')) {
+      return [
+        '<link rel="alternate" hreflang="ja" href="https://example.com/">',
+        '<link rel="alternate" hreflang="en" href="https://example.com/en/">',
+        '<link rel="alternate" hreflang="zh-Hans" href="https://example.com/zh/">',
+        '<link rel="alternate" hreflang="x-default" href="https://example.com/">'
+      ].join('\n');
+    }
+    if (issue.includes('html要素のlang属性') || issue.includes('html langと本文の言語')) {
+      return '<html lang="ja">';
+    }
+    // ---------- Phase 3-D: リダイレクト / canonical 関連サンプル ----------
+    if (issue.includes('リダイレクトチェーンが発生') || issue.includes('HTTPSからHTTPへのリダイレクト') || issue.includes('一時的リダイレクト')) {
+      return [
+        '# nginx: http / www なしを1回の301で正規URLへ',
+        'server {',
+        '  listen 80;',
+        '  server_name example.com www.example.com;',
+        '  return 301 https://www.example.com$request_uri;',
+        '}'
+      ].join('\n');
+    }
+    if (issue.includes('canonicalタグが未設定') || issue.includes('canonicalが相対URL') ||
+        issue.includes('canonicalのURLが不正') || issue.includes('canonicalタグが複数')) {
+      return '<link rel="canonical" href="https://example.com/page">';
+    }
+    if (issue.includes('og:urlがcanonicalと一致しません')) {
+      return '<meta property="og:url" content="https://example.com/page">';
+    }
+    // ---------- Phase 3-C: HTTPレスポンスヘッダー関連サンプル ----------
+    if (issue.includes('Content-Typeヘッダー') || issue.includes('Content-Typeがtext/html') ||
+        issue.includes('HSTS') || issue.includes('X-Content-Type-Options') ||
+        issue.includes('Content-Security-Policy') || issue.includes('Referrer-Policy') ||
+        issue.includes('Cache-Controlヘッダー')) {
+      return [
+        '# nginx の例（server ブロック）',
+        'charset utf-8;',
+        'add_header Strict-Transport-Security "max-age=31536000; includeSubDomains" always;',
+        'add_header X-Content-Type-Options "nosniff" always;',
+        'add_header Referrer-Policy "strict-origin-when-cross-origin" always;',
+        'add_header Content-Security-Policy-Report-Only "default-src \'self\'" always;',
+        'add_header Cache-Control "public, max-age=0, must-revalidate";'
+      ].join('\n');
+    }
     // ---------- Phase 2-A: llms.txt 関連サンプル ----------
     if (issue.includes('llms.txt が見つかりません') || issue.includes('llms.txt にH1') || issue.includes('llms.txt に H2') || issue.includes('llms.txt にサマリー')) {
       return [
@@ -1482,6 +2007,10 @@ class EnhancedReporter {
    * 注: 具体的なスキーマ名は一般的な「構造化データ」より先に判定する
    */
   getDocLink(issue, category) {
+    // Phase 3-W: 狙うキーワード（issue 内のキーワードが後段の判定に当たらないよう最初に確定する）
+    const keywordIssue = this.matchTargetKeywordIssue(issue, category);
+    if (keywordIssue) return keywordIssue.rule.docLink;
+
     // Phase 2-A: llms.txt 関連を最優先判定（issue文中の「タイトル」「H2」「H1」等が
     // 後段のSEO系docLinkに先食いされないよう、ここで先に確定する）
     if (issue.includes('llms.txt')) {
@@ -1490,6 +2019,100 @@ class EnhancedReporter {
     if (issue.includes('AIクローラーが robots.txt')) {
       return 'https://platform.openai.com/docs/gptbot';
     }
+    // Phase 3-C: HTTPレスポンスヘッダー関連（'noindex' / 'HTTPS' 等の汎用判定より先に確定）
+    if (issue.includes('X-Robots-Tag')) {
+      return 'https://developers.google.com/search/docs/crawling-indexing/robots-meta-tag?hl=ja#xrobotstag';
+    }
+    const headerDocs = [
+      ['Content-Type', 'Content-Type'],
+      ['HSTS', 'Strict-Transport-Security'],
+      ['Strict-Transport-Security', 'Strict-Transport-Security'],
+      ['X-Content-Type-Options', 'X-Content-Type-Options'],
+      ['Content-Security-Policy', 'Content-Security-Policy'],
+      ['Referrer-Policy', 'Referrer-Policy'],
+      ['Cache-Control', 'Cache-Control']
+    ];
+    for (const [keyword, header] of headerDocs) {
+      // 'Content-Type' は 'X-Content-Type-Options' にも含まれるため先頭一致で判定
+      if (issue.startsWith(keyword)) {
+        return `https://developer.mozilla.org/ja/docs/Web/HTTP/Headers/${header}`;
+      }
+    }
+
+    // Phase 3-E: リンク切れ検証（リダイレクト系は下の Phase 3-D の 301 ドキュメントに任せる）
+    if (issue.includes('個のリンク切れがあります') || issue.includes('個のリンクがタイムアウト')) {
+      return 'https://developers.google.com/search/docs/crawling-indexing/http-network-errors?hl=ja';
+    }
+
+    // Phase 3-I: モバイル表示の実測（'本文' / 'ページ' を含むため先に確定）
+    if (issue.includes('タッチターゲットの間隔が狭すぎます')) {
+      return 'https://developer.chrome.com/docs/lighthouse/seo/tap-targets?hl=ja';
+    }
+    if (issue.includes('px未満の文字が本文の')) {
+      return 'https://developer.chrome.com/docs/lighthouse/seo/font-size?hl=ja';
+    }
+    if (issue.includes('ページの横幅が画面幅を超えています')) {
+      return 'https://developers.google.com/search/docs/crawling-indexing/mobile/mobile-sites-mobile-first-indexing?hl=ja';
+    }
+    if (issue.includes('インタースティシャル')) {
+      return 'https://developers.google.com/search/docs/appearance/avoid-intrusive-interstitials?hl=ja';
+    }
+
+    // Phase 3-H: Core Web Vitals
+    const perfDocs = {
+      LCP: 'optimize-lcp', CLS: 'optimize-cls', TBT: 'optimize-inp', INP: 'optimize-inp', FCP: 'fcp', TTFB: 'optimize-ttfb'
+    };
+    const perfMetric = issue.match(/^(LCP|CLS|TBT|INP|FCP|TTFB)（/);
+    if (perfMetric) {
+      return `https://web.dev/articles/${perfDocs[perfMetric[1]]}`;
+    }
+    if (issue.startsWith('ページの転送量が') || issue.startsWith('リクエスト数が')) {
+      return 'https://web.dev/articles/total-byte-weight';
+    }
+
+    // Phase 3-G: OGP / Twitterカード（'URL' / '画像' を含むため先に確定）
+    if (issue.startsWith('twitter:card')) {
+      return 'https://developer.x.com/en/docs/x-for-websites/cards/overview/markup';
+    }
+    if (issue.startsWith('og:image') && !issue.includes('未設定')) {
+      return 'https://developers.facebook.com/docs/sharing/webmasters/images';
+    }
+    if (/^og:[a-z_:]+(?:が未設定です|がtitleタグ|がmeta description)/.test(issue)) {
+      return 'https://ogp.me/';
+    }
+
+    // Phase 3-F: hreflang / html lang（'canonical' / 'URL' を含むため先に確定）
+    if (issue.includes('hreflang')) {
+      return 'https://developers.google.com/search/docs/specialty/international/localized-versions?hl=ja';
+    }
+    if (issue.includes('html要素のlang属性') || issue.includes('html langと本文の言語')) {
+      return 'https://developer.mozilla.org/ja/docs/Web/HTML/Global_attributes/lang';
+    }
+
+    // Phase 3-D: リダイレクト / canonical 関連（'HTTPS' / 'URL' / 'JSON-LD' を含むため先に確定）
+    if (issue.includes('og:url')) {
+      return 'https://ogp.me/#metadata';
+    }
+    if (issue.includes('canonical') && !issue.includes('サイトマップ')) {
+      return 'https://developers.google.com/search/docs/crawling-indexing/consolidate-duplicate-urls?hl=ja';
+    }
+    if (issue.includes('リダイレクト')) {
+      return 'https://developers.google.com/search/docs/crawling-indexing/301-redirects?hl=ja';
+    }
+
+    // Phase 3-B: サイトマップ関連（'URL' / 'robots.txt' を含むため後段の汎用判定より先に確定）
+    if (issue.includes('lastmodの日付形式が不正')) {
+      return 'https://www.sitemaps.org/protocol.html#lastmoddef';
+    }
+    if (issue.includes('サイトマップの') && issue.includes('正規URLではありません')) {
+      return 'https://developers.google.com/search/docs/crawling-indexing/consolidate-duplicate-urls?hl=ja';
+    }
+    if (issue.includes('サイトマップの') && issue.includes('robots.txtでブロック')) {
+      return 'https://developers.google.com/search/docs/crawling-indexing/robots/intro?hl=ja';
+    }
+    if (issue.includes('sitemap.xml') || issue.includes('サイトマップ') || issue.includes('Sitemap: ディレクティブ')) {
+      return 'https://developers.google.com/search/docs/crawling-indexing/sitemaps/build-sitemap?hl=ja';
+    }
     // llmsTxtCompliance カテゴリの issue は全て llmstxt.org にフォールバック
     if (category === 'llmsTxtCompliance') {
       return 'https://llmstxt.org/';
@@ -1592,7 +2215,8 @@ class EnhancedReporter {
     }
     // 自然言語品質系
     if (issue.includes('文章が長') || issue.includes('専門用語') ||
-        issue.includes('受動態') || issue.includes('接続詞')) {
+        issue.includes('受動態') || issue.includes('接続詞') ||
+        issue.startsWith('漢字の割合') || issue.startsWith('文末表現') || issue.startsWith('冗長な表現')) {
       return 'https://developers.google.com/search/docs/fundamentals/creating-helpful-content?hl=ja';
     }
     // コンテキスト関連性系
@@ -1741,6 +2365,9 @@ class EnhancedReporter {
       internalLinkStructure: 5,
       structuredData: 8,
       otherSEOElements: 2,
+      socialMetadata: 1,
+      performance: 6,
+      targetKeywords: 2,
       contentComprehensiveness: 6,
       structuredInformation: 7,
       credibilitySignals: 4,
@@ -1857,12 +2484,16 @@ class EnhancedReporter {
       internalLinkStructure: '内部リンク構造',
       structuredData: '構造化データ',
       otherSEOElements: 'その他SEO要素',
+      socialMetadata: 'SNSシェア（OGP / Twitterカード）',
+      performance: 'パフォーマンス（Core Web Vitals）',
+      targetKeywords: '狙うキーワード',
       contentComprehensiveness: 'コンテンツ包括性',
       structuredInformation: '構造化情報',
       credibilitySignals: '信頼性シグナル',
       aiSearchOptimization: 'AI検索最適化',
       naturalLanguageQuality: '自然言語品質',
-      contextRelevance: 'コンテキスト関連性'
+      contextRelevance: 'コンテキスト関連性',
+      llmsTxtCompliance: 'llms.txt 対応'
     };
     return titles[category] || category;
   }
@@ -0,0 +1,452 @@
+/**
+ * Phase 3-F: hreflang / 多言語サイトの検証
+ *
+ * hreflang の宣言を3つの経路から集める:
+ *  - HTML の <link rel="alternate" hreflang="...">
+ *  - HTTP の Link ヘッダー（<url>; rel="alternate"; hreflang="en"）
+ *  - サイトマップの <xhtml:link rel="alternate" hreflang="...">（SitemapChecker の pageEntry）
+ *
+ * 検出するもの:
+ *  - 言語コード（ISO 639-1）・地域コード（ISO 3166-1 alpha-2）の誤り（例: jp, en-uk, en_US）
+ *  - 同じ hreflang 値で異なるURL、相対URL、自己参照の欠落、x-default の欠落
+ *  - 戻りリンクの欠落（代替ページを取得し、こちらへの hreflang があるか確認）
+ *  - canonical と hreflang の矛盾（自ページ・代替ページの canonical が別URL）
+ *  - <html lang> と本文の言語（ひらがな・カタカナ・漢字の比率で判定）の食い違い
+ *
+ * @example
+ *   const HreflangChecker = require('./hreflang-checker');
+ *   const result = await new HreflangChecker().check({ url, httpResponse, $, sitemap });
+ *   // result.annotations, result.alternates, result.htmlLang, result.score, result.issues, ...
+ */
+
+const axios = require('axios');
+const OutboundGuard = require('./outbound-guard');
+const cheerio = require('cheerio');
+
+const USER_AGENT = 'SEO-AIO-Doctor/1.3 (+https://seo-checker-tool.onrender.com/)';
+
+// ISO 639-1
+const LANGUAGE_CODES = new Set((
+  'aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy ' +
+  'da de dv dz ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu ' +
+  'hy hz ia id ie ig ii ik io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb ' +
+  'lg li ln lo lt lu lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om ' +
+  'or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw ' +
+  'ta te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi vo wa wo xh yi yo za zh zu'
+).split(' '));
+
+// ISO 3166-1 alpha-2
+const REGION_CODES = new Set((
+  'AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR ' +
+  'BS BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ ' +
+  'EC EE EG EH ER ES ET FI FJ FK FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW ' +
+  'GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW KY ' +
+  'KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT MU MV ' +
+  'MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY ' +
+  'QA RE RO RS RU RW SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG ' +
+  'TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW'
+).split(' '));
+
+// よくある誤りと正しいコード（推奨文で案内する）
+const COMMON_MISTAKES = { jp: 'ja', kr: 'ko', cn: 'zh', 'en-uk': 'en-gb', dk: 'da', se: 'sv', gr: 'el', cz: 'cs' };
+
+// index.js の文字化け判定と同じ範囲（ひらがな・カタカナ / 漢字）
+const KANA = /[\u3040-\u309F\u30A0-\u30FF]/g;
+const KANJI = /[\u3400-\u4DBF\u4E00-\u9FFF]/g;
+const LATIN = /[A-Za-z\u00C0-\u024F]/g;
+const CONTENT_LANGUAGE_LABELS = { ja: '日本語', zh: '中国語', latin: 'ラテン文字の言語' };
+
+const PENALTIES = {
+  invalidCode: 15,
+  duplicate: 10,
+  relative: 10,
+  missingSelf: 10,
+  missingXDefault: 5,
+  missingReturn: 20,
+  alternateUnreachable: 15,
+  canonicalConflict: 20,
+  alternateNotCanonical: 10,
+  langMissing: 5,
+  langMismatch: 10,
+};
+
+const DOC_LINK = 'https://developers.google.com/search/docs/specialty/international/localized-versions?hl=ja';
+
+class HreflangChecker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - 代替ページ取得のタイムアウト
+   * @param {number} [options.maxAlternates] - 戻りリンクを確認する代替ページ数の上限
+   * @param {Function} [options.fetchImpl] - テスト注入用。(url) => Promise<{ statusCode, headers, html }>
+   * @param {OutboundGuard} [options.outboundGuard] - Phase 3-M: 宛先の検査（既定は共有インスタンス）
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || 8000;
+    this.maxAlternates = options.maxAlternates || 10;
+    this.fetchImpl = options.fetchImpl || null;
+    this.outboundGuard = options.outboundGuard || OutboundGuard.shared();
+  }
+
+  /**
+   * メインのチェック関数
+   * @param {Object} input
+   * @param {string|null} input.url - 診断を要求したURL（HTML直接入力時は null）
+   * @param {Object|null} input.httpResponse - { headers, finalUrl }
+   * @param {Function} input.$ - cheerio
+   * @param {Object|null} [input.sitemap] - SitemapChecker の結果（pageEntry / alternateEntries を使う）
+   * @returns {Promise<Object>} チェック結果
+   */
+  async check({ url = null, httpResponse = null, $, sitemap = null }) {
+    const pageUrl = (httpResponse && httpResponse.finalUrl) || url || null;
+    const pageKey = this.normalizeUrl(pageUrl);
+    const result = {
+      pageUrl,
+      present: false,
+      sources: { html: 0, header: 0, sitemap: 0 },
+      annotations: [], // [{ hreflang, href, url, resolved, source }] resolved は比較用キー
+      invalidCodes: [],
+      duplicates: [],
+      hasXDefault: false,
+      hasSelfReference: null,
+      canonical: null,
+      alternates: [], // [{ hreflang, url, statusCode, returnLink, canonical, error }]
+      htmlLang: { value: null, contentLanguage: null, matches: null },
+      score: 100,
+      issues: [],
+      recommendations: [],
+    };
+
+    this._collect(result, $, httpResponse, sitemap, pageUrl);
+    if (result.present) {
+      this._inspectAnnotations(result, pageKey);
+      this._inspectCanonical(result, $, pageUrl, pageKey);
+      await this._inspectAlternates(result, pageKey, sitemap);
+    }
+    this._inspectHtmlLang(result, $);
+    return result;
+  }
+
+  /**
+   * 比較用のURL正規化（フラグメント除去・末尾スラッシュの揺れを吸収）
+   * @returns {string|null}
+   */
+  normalizeUrl(value, base) {
+    if (!value || typeof value !== 'string') return null;
+    try {
+      const u = base ? new URL(value.trim(), base) : new URL(value.trim());
+      if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+      u.hash = '';
+      let s = u.toString();
+      if (s.endsWith('/') && u.pathname !== '/') s = s.slice(0, -1);
+      return s;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * hreflang 値を検証（x-default / 言語 / 言語-地域 / 言語-用字 / 言語-用字-地域）
+   * @returns {boolean}
+   */
+  isValidHreflang(value) {
+    if (value === 'x-default') return true;
+    const parts = String(value).split('-');
+    if (parts.length > 3 || !LANGUAGE_CODES.has(parts[0].toLowerCase())) return false;
+    let rest = parts.slice(1);
+    if (rest.length > 0 && /^[A-Za-z]{4}$/.test(rest[0])) rest = rest.slice(1); // zh-Hant など
+    if (rest.length === 0) return true;
+    return rest.length === 1 && REGION_CODES.has(rest[0].toUpperCase());
+  }
+
+  /**
+   * HTTP Link ヘッダーから rel="alternate" かつ hreflang 付きのものを抽出
+   * @param {string} header
+   * @returns {Array<{hreflang: string, href: string}>}
+   */
+  parseLinkHeader(header) {
+    const links = [];
+    if (!header || typeof header !== 'string') return links;
+    const re = /<([^>]*)>((?:\s*;\s*[^;,]+(?:=(?:"[^"]*"|[^;,]*))?)*)/g;
+    let m;
+    while ((m = re.exec(header)) !== null) {
+      const params = {};
+      m[2].split(';').forEach(part => {
+        const eq = part.indexOf('=');
+        if (eq === -1) return;
+        params[part.slice(0, eq).trim().toLowerCase()] = part.slice(eq + 1).trim().replace(/^"|"$/g, '');
+      });
+      if (/\balternate\b/i.test(params.rel || '') && params.hreflang) {
+        links.push({ hreflang: params.hreflang, href: m[1].trim() });
+      }
+    }
+    return links;
+  }
+
+  /**
+   * 本文の言語を推定（'ja' | 'zh' | 'latin' | null）
+   * かなが一定数あれば日本語、漢字ばかりでかながほぼ無ければ中国語とみなす
+   */
+  detectContentLanguage(text) {
+    const kana = (text.match(KANA) || []).length;
+    const kanji = (text.match(KANJI) || []).length;
+    const latin = (text.match(LATIN) || []).length;
+    const total = kana + kanji + latin;
+    if (total < 30) return null;
+    if (kana >= 10 && (kana + kanji) / total >= 0.3) return 'ja';
+    if (kanji / total >= 0.3 && kana < kanji * 0.05) return 'zh';
+    if (latin / total >= 0.8) return 'latin';
+    return null;
+  }
+
+  /**
+   * 取得用の絶対URL（フラグメントのみ除去。末尾スラッシュは変えない）
+   * @private
+   */
+  _absoluteUrl(value, base) {
+    try {
+      const u = base ? new URL(String(value).trim(), base) : new URL(String(value).trim());
+      u.hash = '';
+      return u.toString();
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /** @private */
+  _addIssue(result, penalty, issue, recommendation) {
+    result.score = Math.max(0, result.score - PENALTIES[penalty]);
+    result.issues.push(issue);
+    result.recommendations.push({ docLink: DOC_LINK, ...recommendation });
+  }
+
+  /** @private */
+  _collect(result, $, httpResponse, sitemap, pageUrl) {
+    const add = (hreflang, href, source) => {
+      result.sources[source]++;
+      result.annotations.push({
+        hreflang: String(hreflang).trim(),
+        href: String(href).trim(),
+        url: this._absoluteUrl(href, pageUrl),
+        resolved: this.normalizeUrl(href, pageUrl || undefined),
+        source,
+      });
+    };
+
+    $('link[hreflang]').each((i, el) => {
+      const $el = $(el);
+      if (!/\balternate\b/i.test($el.attr('rel') || '')) return;
+      add($el.attr('hreflang'), $el.attr('href') || '', 'html');
+    });
+    const headers = (httpResponse && httpResponse.headers) || {};
+    this.parseLinkHeader(headers.link || headers.Link).forEach(l => add(l.hreflang, l.href, 'header'));
+    const entry = sitemap && sitemap.pageEntry;
+    if (entry && entry.alternates) entry.alternates.forEach(a => add(a.hreflang, a.href, 'sitemap'));
+
+    result.present = result.annotations.length > 0;
+  }
+
+  /** @private */
+  _inspectAnnotations(result, pageKey) {
+    const annotations = result.annotations;
+
+    result.invalidCodes = [...new Set(annotations.map(a => a.hreflang).filter(v => !this.isValidHreflang(v)))];
+    if (result.invalidCodes.length > 0) {
+      const hints = result.invalidCodes
+        .map(v => COMMON_MISTAKES[v.toLowerCase()] ? `${v} → ${COMMON_MISTAKES[v.toLowerCase()]}` : v.includes('_') ? `${v} → ${v.replace('_', '-')}` : v);
+      this._addIssue(result, 'invalidCode', `hreflangの言語・地域コードが不正です（${result.invalidCodes.join(', ')}）`, {
+        type: 'high',
+        title: 'hreflang に ISO 639-1 の言語コード（と ISO 3166-1 の地域コード）を使用',
+        description: `不正な値の hreflang は無視されます: ${hints.join(' / ')}`,
+        codeExample: '<link rel="alternate" hreflang="en-gb" href="https://example.com/en-gb/">',
+      });
+    }
+
+    // 同じ hreflang 値で異なるURL（経路をまたいだ食い違いも含む）
+    const byCode = new Map();
+    annotations.forEach(a => {
+      const key = a.hreflang.toLowerCase();
+      if (!byCode.has(key)) byCode.set(key, new Set());
+      byCode.get(key).add(a.resolved || a.href);
+    });
+    result.duplicates = [...byCode.entries()].filter(([, urls]) => urls.size > 1)
+      .map(([hreflang, urls]) => ({ hreflang, urls: [...urls] }));
+    if (result.duplicates.length > 0) {
+      this._addIssue(result, 'duplicate', `hreflangの値が重複しています（${result.duplicates.map(d => d.hreflang).join(', ')}）`, {
+        type: 'high',
+        title: '1つの hreflang 値には1つのURLだけを指定',
+        description: result.duplicates.map(d => `${d.hreflang}: ${d.urls.join(', ')}`).join(' / '),
+      });
+    }
+
+    const relative = annotations.filter(a => a.href && !/^https?:\/\//i.test(a.href));
+    if (relative.length > 0) {
+      this._addIssue(result, 'relative', `hreflangのURLが相対URLで指定されています（${relative.length}件）`, {
+        type: 'medium',
+        title: 'hreflang の href は https:// から始まる絶対URLで指定',
+        description: `相対URL: ${relative.slice(0, 5).map(a => a.href).join(', ')}`,
+      });
+    }
+
+    if (pageKey) {
+      result.hasSelfReference = annotations.some(a => a.resolved === pageKey);
+      if (!result.hasSelfReference) {
+        this._addIssue(result, 'missingSelf', 'hreflangに自己参照が含まれていません', {
+          type: 'medium',
+          title: 'hreflang の一覧に自ページ自身も含める',
+          description: `各言語版は、自分自身を含むすべての言語版を列挙する必要があります（${pageKey}）。`,
+        });
+      }
+    }
+
+    result.hasXDefault = byCode.has('x-default');
+    if (!result.hasXDefault) {
+      this._addIssue(result, 'missingXDefault', 'hreflangにx-defaultが未設定です', {
+        type: 'low',
+        title: '言語が一致しないユーザー向けに x-default を指定',
+        description: '言語選択ページやグローバル版のURLを x-default として宣言してください。',
+        codeExample: '<link rel="alternate" hreflang="x-default" href="https://example.com/">',
+      });
+    }
+  }
+
+  /**
+   * canonical が別URL（他言語版など）を指していると hreflang は無視される
+   * @private
+   */
+  _inspectCanonical(result, $, pageUrl, pageKey) {
+    const href = $('link[rel="canonical" i]').first().attr('href');
+    result.canonical = href ? this.normalizeUrl(href, pageUrl || undefined) : null;
+    if (!result.canonical || !pageKey || result.canonical === pageKey) return;
+    const target = result.annotations.find(a => a.resolved === result.canonical);
+    this._addIssue(result, 'canonicalConflict', 'canonicalとhreflangが矛盾しています', {
+      type: 'high',
+      title: '各言語版の canonical は自分自身のURLにする',
+      description: target
+        ? `canonical が別の言語版（${target.hreflang}: ${result.canonical}）を指しているため、このページの hreflang は無視されます。`
+        : `canonical（${result.canonical}）がこのページ（${pageKey}）と異なるため、hreflang は正規URL側でのみ評価されます。`,
+    });
+  }
+
+  /**
+   * 代替ページを取得し、戻りリンク・ステータス・canonical を確認
+   * @private
+   */
+  async _inspectAlternates(result, pageKey, sitemap) {
+    if (!pageKey) return; // HTML直接入力では確認できない
+
+    const targets = new Map();
+    result.annotations.forEach(a => {
+      if (a.resolved && a.resolved !== pageKey && !targets.has(a.resolved)) targets.set(a.resolved, { hreflang: a.hreflang, url: a.url });
+    });
+    const sitemapAlternates = new Map(((sitemap && sitemap.alternateEntries) || [])
+      .map(e => [this.normalizeUrl(e.loc), e.alternates]));
+
+    const checks = [...targets.entries()].slice(0, this.maxAlternates).map(async ([key, { hreflang, url }]) => {
+      const alt = { hreflang, url, statusCode: null, returnLink: null, canonical: null, error: null };
+      let res;
+      try {
+        res = await this._fetch(url);
+      } catch (err) {
+        alt.error = err.code || err.message;
+        return alt;
+      }
+      alt.statusCode = res.statusCode;
+      if (res.statusCode !== 200) return alt;
+
+      const $alt = cheerio.load(res.html || '');
+      const declared = [];
+      $alt('link[hreflang]').each((i, el) => {
+        if (/\balternate\b/i.test($alt(el).attr('rel') || '')) declared.push($alt(el).attr('href') || '');
+      });
+      const headers = res.headers || {};
+      this.parseLinkHeader(headers.link || headers.Link).forEach(l => declared.push(l.href));
+      (sitemapAlternates.get(key) || []).forEach(a => declared.push(a.href));
+      alt.returnLink = declared.some(href => this.normalizeUrl(href, url) === pageKey);
+
+      const canonicalHref = $alt('link[rel="canonical" i]').first().attr('href');
+      alt.canonical = canonicalHref ? this.normalizeUrl(canonicalHref, url) : null;
+      return alt;
+    });
+    result.alternates = await Promise.all(checks);
+
+    const unreachable = result.alternates.filter(a => a.statusCode !== 200 && !a.error);
+    if (unreachable.length > 0) {
+      this._addIssue(result, 'alternateUnreachable', `hreflangの代替URLにアクセスできません（${unreachable.length}件）`, {
+        type: 'high',
+        title: 'hreflang の代替URLは 200 を返すURLにする',
+        description: unreachable.map(a => `${a.hreflang}: ${a.url} (${a.statusCode})`).join(' / '),
+      });
+    }
+    const noReturn = result.alternates.filter(a => a.returnLink === false);
+    if (noReturn.length > 0) {
+      this._addIssue(result, 'missingReturn', `hreflangの戻りリンクが不足しています（${noReturn.length}件）`, {
+        type: 'high',
+        title: '代替ページ側にもこのページへの hreflang を追加',
+        description: `hreflang は相互に参照し合わないと無視されます。戻りリンクが無いページ: ${noReturn.map(a => `${a.hreflang}: ${a.url}`).join(' / ')}`,
+      });
+    }
+    const notCanonical = result.alternates.filter(a => a.canonical && a.canonical !== this.normalizeUrl(a.url));
+    if (notCanonical.length > 0) {
+      this._addIssue(result, 'alternateNotCanonical', `hreflangの代替URLが正規URLになっていません（${notCanonical.length}件）`, {
+        type: 'medium',
+        title: 'hreflang には各言語版の canonical URL を指定',
+        description: notCanonical.map(a => `${a.url} → canonical: ${a.canonical}`).join(' / '),
+      });
+    }
+  }
+
+  /** @private */
+  _inspectHtmlLang(result, $) {
+    const value = ($('html').attr('lang') || '').trim();
+    const $body = $('body').clone();
+    $body.find('script, style, noscript, template').remove();
+    const contentLanguage = this.detectContentLanguage($body.text());
+    result.htmlLang = { value: value || null, contentLanguage, matches: null };
+
+    if (!value) {
+      this._addIssue(result, 'langMissing', 'html要素のlang属性が未設定です', {
+        type: 'low',
+        title: '<html> に lang 属性でページの言語を指定',
+        description: contentLanguage === 'ja' ? '本文は日本語と判定されました。lang="ja" を指定してください。' : 'スクリーンリーダーや翻訳機能がページの言語を判別できるようにしてください。',
+        codeExample: '<html lang="ja">',
+        docLink: 'https://developer.mozilla.org/ja/docs/Web/HTML/Global_attributes/lang',
+      });
+      return;
+    }
+    if (!contentLanguage) return;
+
+    const primary = value.split('-')[0].toLowerCase();
+    const matches = contentLanguage === 'latin' ? !['ja', 'zh', 'ko'].includes(primary) : primary === contentLanguage;
+    result.htmlLang.matches = matches;
+    if (!matches) {
+      this._addIssue(result, 'langMismatch', `html langと本文の言語が一致しません（lang="${value}"、本文は${CONTENT_LANGUAGE_LABELS[contentLanguage]}）`, {
+        type: 'medium',
+        title: '<html lang> を本文の言語に合わせる',
+        description: '翻訳版でテンプレートの lang を変え忘れていないか確認してください。',
+        codeExample: contentLanguage === 'latin' ? '<html lang="en">' : `<html lang="${contentLanguage}">`,
+        docLink: 'https://developer.mozilla.org/ja/docs/Web/HTML/Global_attributes/lang',
+      });
+    }
+  }
+
+  /**
+   * 代替ページの HTML を取得
+   * @private
+   */
+  async _fetch(url) {
+    if (this.fetchImpl) return this.fetchImpl(url);
+    this.outboundGuard.assertUrlAllowed(url);
+    const res = await axios.get(url, {
+      ...this.outboundGuard.axiosOptions(),
+      timeout: this.timeout,
+      maxRedirects: 0,
+      maxContentLength: 2_000_000,
+      validateStatus: () => true,
+      responseType: 'text',
+      headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html' },
+    });
+    return { statusCode: res.status, headers: res.headers, html: typeof res.data === 'string' ? res.data : '' };
+  }
+}
+
+module.exports = HreflangChecker;
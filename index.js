@@ -13,7 +13,6 @@ const cheerio = require('cheerio');
 // Phase 1.4: lighthouse は v10+ で ESM-only になり require() で失敗してテストを阻害していた。
 // 実コードからは未使用だったため除去（モバイル指標の Lighthouse 連携を入れる場合は
 // dynamic import: const { default: lighthouse } = await import('lighthouse'); を使うこと）
-const puppeteer = require('puppeteer');
 const winston = require('winston');
 const iconv = require('iconv-lite');
 const cors = require('cors');
@@ -24,8 +23,37 @@ const DetailedAnalyzer = require('./detailed-analyzer');
 const PageTypeAnalyzer = require('./page-type-analyzer');
 const StructuredDataRecommender = require('./structured-data-recommender');
 const SchemaTemplates = require('./schema-templates');
+const SiteCrawler = require('./site-crawler');
+const BatchChecker = require('./batch-checker');
+const SitemapChecker = require('./sitemap-checker');
+const ResponseHeaderChecker = require('./response-header-checker');
+const RedirectCanonicalChecker = require('./redirect-canonical-checker');
+const HreflangChecker = require('./hreflang-checker');
+const SocialMetadataChecker = require('./social-metadata-checker');
+const PerformanceChecker = require('./performance-checker');
+const MobileRenderingAuditor = require('./mobile-rendering-auditor');
+const LinkVerifier = require('./link-verifier');
+const TargetKeywordChecker = require('./target-keyword-checker');
+const ContentSimilarity = require('./content-similarity');
+const JapaneseAnalyzerProcess = require('./japanese-analyzer-process');
+const JobQueue = require('./job-queue');
+const BrowserPool = require('./browser-pool');
+const OutboundGuard = require('./outbound-guard');
+const RateLimiter = require('./rate-limiter');
+const CiReporter = require('./ci-reporter');
+const ReportExporter = require('./report-exporter');
+const ScoreHistory = require('./score-history');
+const RunDiff = require('./run-diff');
+const MonitorScheduler = require('./monitor-scheduler');
+const CallbackDispatcher = require('./callback-dispatcher');
+const CompetitorMatrix = require('./competitor-matrix');
 const { connectDB, isDBConnected } = require('./db');
 const AnalysisHistory = require('./models/AnalysisHistory');
+const AnalysisJob = require('./models/AnalysisJob');
+const ApiKey = require('./models/ApiKey');
+const ApiUsage = require('./models/ApiUsage');
+const Monitor = require('./models/Monitor');
+const CallbackDelivery = require('./models/CallbackDelivery');
 
 // ログ用ディレクトリを用意（Render 等では存在しない場合がある）
 const logsDir = path.join(__dirname, 'logs');
@@ -33,18 +61,35 @@ try {
   fs.mkdirSync(logsDir, { recursive: true });
 } catch (_) { /* 無視 */ }
 
+// Phase 3-O: CLI（bin/seo-aio-doctor.js）から読み込まれたときはサーバーを起動せず、
+// 標準出力を診断結果だけにするためログは warn 以上を標準エラーへ出す
+const cliMode = process.env.SEO_AIO_DOCTOR_CLI === '1';
+
 const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
+  level: process.env.LOG_LEVEL || (cliMode ? 'warn' : 'info'),
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.json()
   ),
   transports: [
     ...(fs.existsSync(logsDir) ? [new winston.transports.File({ filename: path.join(logsDir, 'seo-checker.log') })] : []),
-    new winston.transports.Console()
+    new winston.transports.Console(cliMode ? { stderrLevels: Object.keys(winston.config.npm.levels) } : {})
   ]
 });
 
+// Phase 3-L: Puppeteer のブラウザはプロセス内で共有する（SEOChecker はリクエストごとに作られるため）
+const browserPool = new BrowserPool({
+  maxBrowsers: process.env.BROWSER_POOL_MAX_BROWSERS,
+  pagesPerBrowser: process.env.BROWSER_POOL_PAGES_PER_BROWSER,
+  maxQueue: process.env.BROWSER_POOL_MAX_QUEUE,
+  recycleAfterPages: process.env.BROWSER_POOL_RECYCLE_AFTER_PAGES,
+  heapBudgetMB: process.env.HEAP_BUDGET_MB,
+  logger
+});
+
+// Phase 3-M: 外向きリクエストの宛先検査（OUTBOUND_ALLOWLIST / OUTBOUND_ALLOWED_PORTS で設定）
+const outboundGuard = OutboundGuard.shared();
+
 /**
  * 包括的SEO・AIOチェック機能
  * 指定されたWebページについて、SEO観点で網羅的なチェックを行い、改善提案をレポート形式で作成
@@ -53,12 +98,26 @@ class SEOChecker {
   constructor() {
     this.config = this.loadConfig();
     this.results = {};
-    this.aioChecker = new AIOChecker();
+    // Phase 3-X: 語数と自然言語品質で使う形態素解析（辞書は子プロセスだけが読み込む）
+    this.japaneseAnalyzer = JapaneseAnalyzerProcess.shared();
+    this.aioChecker = new AIOChecker({ japaneseAnalyzer: this.japaneseAnalyzer });
     this.enhancedReporter = new EnhancedReporter();
     this.detailedAnalyzer = new DetailedAnalyzer();
     this.pageTypeAnalyzer = new PageTypeAnalyzer();
     this.structuredDataRecommender = new StructuredDataRecommender();
     this.schemaTemplates = new SchemaTemplates();
+    this.sitemapChecker = new SitemapChecker();
+    this.responseHeaderChecker = new ResponseHeaderChecker();
+    this.redirectCanonicalChecker = new RedirectCanonicalChecker();
+    this.hreflangChecker = new HreflangChecker();
+    this.socialMetadataChecker = new SocialMetadataChecker({ measure: (text) => this.calculateFullWidthLength(text) });
+    this.performanceChecker = new PerformanceChecker();
+    this.mobileRenderingAuditor = new MobileRenderingAuditor();
+    this.targetKeywordChecker = new TargetKeywordChecker();
+    // Phase 3-Y: 本文の指紋（同じサイトの似ているページ・クロール / 一括診断の重複のグループ用）
+    this.contentSimilarity = ContentSimilarity.shared();
+    this.browserPool = browserPool;
+    this.outboundGuard = outboundGuard;
   }
 
   /**
@@ -123,7 +182,15 @@ class SEOChecker {
       internalLinksMin: 3,           // 短いページの基準。コンテンツ長で動的調整
       structuredDataRequired: true,
       jsWaitTime: 2500,
-      jsTimeout: 20000
+      jsTimeout: 20000,
+      // Phase 3-E: リンク切れ検証（verifyLinks: true 指定時のみ実行）
+      linkVerification: {
+        concurrency: 5,
+        perHostIntervalMs: 250,
+        timeBudgetMs: 20000,
+        timeout: 5000,
+        maxLinks: 100
+      }
     };
     const configPath = path.join(__dirname, 'seo-config.json');
     try {
@@ -143,121 +210,194 @@ class SEOChecker {
   /**
    * Puppeteerを使用してHTMLを取得（JavaScript実行待機付き）
    * @param {string} url - 取得対象のURL
-   * @returns {string} HTMLコンテンツ
+   * @param {Object} [options]
+   * @param {string} [options.performanceProfile] - Phase 3-H: 'mobile' | 'desktop' を指定すると全リソースを読み込み Core Web Vitals を計測する
+   * @param {boolean} [options.mobileAudit] - Phase 3-I: HTML取得後にモバイル表示へ切り替え、タッチターゲット等を実測する
+   * @returns {Promise<{html: string, statusCode: number|null, headers: Object, finalUrl: string, redirectChain: Array, performance?: Object|null, mobileAudit?: Object|null}>}
+   *   HTMLコンテンツと、ドキュメント本体のレスポンス情報（Phase 3-C）。計測時は performance / mobileAudit に計測値
    */
-  async fetchHTMLWithPuppeteer(url) {
-    let browser = null;
-    let page = null;
+  async fetchHTMLWithPuppeteer(url, options = {}) {
     try {
       logger.info(`PuppeteerでHTML取得開始: ${url}`);
+      // Phase 3-M: 内部ネットワーク宛てならブラウザを借りる前に断る
+      await this.outboundGuard.check(url);
+      // Phase 3-L: ブラウザは共有プールから借りる（起動・終了、メモリ管理はプールが行う）
+      return await this.browserPool.withPage(page => this.renderWithPuppeteer(page, url, options));
+    } catch (error) {
+      logger.error(`PuppeteerでHTML取得エラー: ${error.message}`);
+      throw error;
+    } finally {
+      // Phase 1.5.1: 終了時メモリも記録（OOM 切れの境界調査用）
+      const heapEnd = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
+      logger.info(`Puppeteer 処理完了 (heap=${heapEnd}MB)`);
+    }
+  }
 
-      const launchOptions = {
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--disable-gpu',
-          '--memory-pressure-off',
-          '--max_old_space_size=512'
-        ]
-      };
-
-      // Render 等の本番環境では @sparticuz/chromium のバイナリを使用（ビルド成果物に Chrome が含まれないため）
-      if (process.env.NODE_ENV === 'production') {
+  /**
+   * プールから借りたページで URL を開き、HTML とレスポンス情報を取り出す（fetchHTMLWithPuppeteer の本体）
+   * @param {Object} page - Puppeteer の Page（リクエストごとの新しいブラウザコンテキスト）
+   * @param {string} url - 取得対象のURL
+   * @param {Object} [options] - fetchHTMLWithPuppeteer と同じ
+   */
+  async renderWithPuppeteer(page, url, options = {}) {
+    // メモリ使用量を制限
+    await page.setCacheEnabled(false);
+    await page.setJavaScriptEnabled(true);
+
+    // 小さめのビューポート (省メモリ)
+    await page.setViewport({ width: 1280, height: 800, deviceScaleFactor: 1 });
+
+    // ユーザーエージェントを設定
+    await page.setUserAgent('Mozilla/5.0 (compatible; SEO-AIO-Doctor/1.1)');
+
+    // Phase 3-H: パフォーマンスモードは実際の表示速度を測るため、リソースをブロックせず
+    // プロファイルのビューポート・UA・CPU / ネットワーク制限で読み込む
+    const performanceProfile = options.performanceProfile ? PerformanceChecker.resolveProfile(options.performanceProfile) : null;
+    let performanceSession = null;
+    if (performanceProfile) {
+      performanceSession = await this.performanceChecker.prepare(page, performanceProfile);
+    }
+
+    // Phase 3-M: サブリソース・リダイレクト先も含め、ブラウザが出すすべてのリクエストの宛先を検査する。
+    // 内部ネットワーク宛てのリクエストは中止し、ページ本体（メインフレームの遷移）なら BLOCKED_DESTINATION にする
+    // 🆙 Phase 1.1: 通常の取得ではメモリ&時間節約のため不要リソースもブロック
+    //   - 画像/フォント/メディア: SEO診断には不要（alt属性等の解析はDOMで完結）
+    //   - トラッキングや広告系のドメインを軽くブロックして処理を高速化
+    //   パフォーマンス計測（Phase 3-H）とモバイル表示の実測（Phase 3-I）では実際の表示を再現するためブロックしない
+    let blockResources = !performanceProfile;
+    let blockedNavigation = null;
+    const blockedResourceTypes = new Set(['image', 'media', 'font']);
+    const blockedDomainsRegex = /(googletagmanager|google-analytics|doubleclick|facebook\.net|hotjar|segment|adsystem|amazon-adsystem|criteo|optimizely|gtag|adservice|cdn\.taboola|cdn\.outbrain)/i;
+    await page.setRequestInterception(true);
+    page.on('request', async (req) => {
+      try {
+        const reqUrl = req.url();
+        if (/^(?:data|blob):/i.test(reqUrl)) return await req.continue();
         try {
-          const chromium = require('@sparticuz/chromium');
-          launchOptions.executablePath = await chromium.executablePath();
-          launchOptions.args = chromium.args || launchOptions.args;
-          launchOptions.headless = 'shell'; // @sparticuz/chromium 推奨
-        } catch (chromiumErr) {
-          logger.warn('@sparticuz/chromium の読み込みに失敗、通常の Puppeteer を使用:', chromiumErr.message);
+          await this.outboundGuard.check(reqUrl);
+        } catch (guardErr) {
+          if (req.isNavigationRequest() && req.frame() === page.mainFrame()) blockedNavigation = guardErr;
+          logger.warn(`内部ネットワーク宛てのリクエストを中止: ${reqUrl}`);
+          return await req.abort('blockedbyclient');
         }
-      }
-
-      browser = await puppeteer.launch(launchOptions);
-
-      page = await browser.newPage();
-
-      // メモリ使用量を制限
-      await page.setCacheEnabled(false);
-      await page.setJavaScriptEnabled(true);
-
-      // 小さめのビューポート (省メモリ)
-      await page.setViewport({ width: 1280, height: 800, deviceScaleFactor: 1 });
-
-      // ユーザーエージェントを設定
-      await page.setUserAgent('Mozilla/5.0 (compatible; SEO-AIO-Doctor/1.1)');
-
-      // 🆙 Phase 1.1: メモリ&時間節約のため不要リソースをブロック
-      //   - 画像/フォント/メディア: SEO診断には不要（alt属性等の解析はDOMで完結）
-      //   - トラッキングや広告系のドメインを軽くブロックして処理を高速化
-      await page.setRequestInterception(true);
-      const blockedResourceTypes = new Set(['image', 'media', 'font']);
-      const blockedDomainsRegex = /(googletagmanager|google-analytics|doubleclick|facebook\.net|hotjar|segment|adsystem|amazon-adsystem|criteo|optimizely|gtag|adservice|cdn\.taboola|cdn\.outbrain)/i;
-      page.on('request', (req) => {
-        try {
-          const type = req.resourceType();
-          const reqUrl = req.url();
-          if (blockedResourceTypes.has(type) || blockedDomainsRegex.test(reqUrl)) {
-            return req.abort();
-          }
-          return req.continue();
-        } catch (_) {
-          try { req.continue(); } catch (_) { /* ignore */ }
+        if (blockResources && (blockedResourceTypes.has(req.resourceType()) || blockedDomainsRegex.test(reqUrl))) {
+          return await req.abort();
         }
-      });
+        return await req.continue();
+      } catch (_) { /* 既に処理済みのリクエスト・閉じたページは無視 */ }
+    });
 
-      // ページの読み込みとJavaScript実行待機
-      // 🆙 networkidle2 は SPA だとサードパーティ通信が止まらず常にタイムアウトしがち。
-      //    domcontentloaded で確実に止めつつ、後段で待機を入れて動的コンテンツに対応する。
-      await page.goto(url, {
-        waitUntil: 'domcontentloaded',
+    // ページの読み込みとJavaScript実行待機
+    // 🆙 networkidle2 は SPA だとサードパーティ通信が止まらず常にタイムアウトしがち。
+    //    domcontentloaded で確実に止めつつ、後段で待機を入れて動的コンテンツに対応する。
+    //    Phase 3-H: 計測時は LCP 画像等の読み込み完了まで待つため load にする
+    let mainResponse;
+    try {
+      mainResponse = await page.goto(url, {
+        waitUntil: performanceSession ? 'load' : 'domcontentloaded',
         timeout: this.config.jsTimeout
       });
+    } catch (gotoErr) {
+      throw blockedNavigation || gotoErr;
+    }
+    if (blockedNavigation) throw blockedNavigation;
+    // Phase 3-C: ドキュメント本体のレスポンス情報を保持（ヘッダー診断・リダイレクト追跡用）
+    const httpResponse = this.extractPuppeteerResponse(url, mainResponse);
+    // Phase 3-D: 後続の meta refresh / JS リダイレクトを種別判定するため、最初のHTMLを控える
+    let initialHtml = '';
+    try {
+      initialHtml = mainResponse ? await mainResponse.text() : '';
+    } catch (_) { /* 既に遷移済みで本文が取れない場合は空のまま */ }
+
+    // 追加の待機時間（JavaScriptで動的に生成されるコンテンツを待つ）
+    await new Promise(resolve => setTimeout(resolve, this.config.jsWaitTime));
 
-      // 追加の待機時間（JavaScriptで動的に生成されるコンテンツを待つ）
-      await new Promise(resolve => setTimeout(resolve, this.config.jsWaitTime));
+    // ネットワークがアイドルになるなら追加で待機（最大 jsWaitTime までで打ち切り）
+    try {
+      await page.waitForNetworkIdle({ idleTime: 500, timeout: this.config.jsWaitTime });
+    } catch (_) { /* タイムアウトは無視（SPAで永久にidleにならない場合がある） */ }
 
-      // ネットワークがアイドルになるなら追加で待機（最大 jsWaitTime までで打ち切り）
+    // Phase 3-H: 計測値の読み取り。失敗しても SEO 診断は続ける
+    let performance = null;
+    if (performanceSession) {
       try {
-        await page.waitForNetworkIdle({ idleTime: 500, timeout: this.config.jsWaitTime });
-      } catch (_) { /* タイムアウトは無視（SPAで永久にidleにならない場合がある） */ }
-
-      // メタディスクリプションとタイトルタグが動的に生成される場合の追加待機
-      await this.waitForDynamicContent(page);
-
-      // HTMLコンテンツを取得
-      // Phase 1.5.1: page.content() は重いSPAだと数十MB単位の文字列を一気に確保する。
-      // 失敗時にどこで死んだか分かるよう、前後でメモリ使用量を記録する。
-      const heapBefore = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
-      logger.info(`page.content() 取得開始 (heap=${heapBefore}MB)`);
-      const htmlContent = await page.content();
-      const heapAfter = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
-      logger.info(`PuppeteerでHTML取得完了: ${htmlContent.length}文字 (heap=${heapAfter}MB, Δ=${heapAfter - heapBefore}MB)`);
-      return htmlContent;
-      
-    } catch (error) {
-      logger.error(`PuppeteerでHTML取得エラー: ${error.message}`);
-      throw error;
-    } finally {
-      if (page) {
-        try { await page.close(); } catch (_) { /* ignore */ }
+        performance = { profile: performanceProfile, metrics: await performanceSession.collect() };
+      } catch (perfErr) {
+        logger.warn(`パフォーマンス計測に失敗、スキップ: ${perfErr.message}`);
       }
-      if (browser) {
-        try { await browser.close(); } catch (_) { /* ignore */ }
-      }
-      // ガベージコレクションを強制実行
-      if (global.gc) {
-        global.gc();
+    }
+
+    // メタディスクリプションとタイトルタグが動的に生成される場合の追加待機
+    await this.waitForDynamicContent(page);
+
+    // HTMLコンテンツを取得
+    // Phase 1.5.1: page.content() は重いSPAだと数十MB単位の文字列を一気に確保する。
+    // 失敗時にどこで死んだか分かるよう、前後でメモリ使用量を記録する。
+    const heapBefore = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
+    logger.info(`page.content() 取得開始 (heap=${heapBefore}MB)`);
+    const htmlContent = await page.content();
+    const heapAfter = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
+    logger.info(`PuppeteerでHTML取得完了: ${htmlContent.length}文字 (heap=${heapAfter}MB, Δ=${heapAfter - heapBefore}MB)`);
+    httpResponse.clientRedirects = this.detectClientRedirects(httpResponse.finalUrl, page.url(), initialHtml);
+
+    // Phase 3-I: モバイル表示の実測。画像の実寸が要るためリソースのブロックを解除してから（宛先の検査は続ける）
+    // モバイル端末に切り替える（isMobile の変更でページは再読み込みされる）。失敗しても静的チェックに戻すだけ
+    let mobileAudit = null;
+    if (options.mobileAudit) {
+      try {
+        blockResources = false;
+        mobileAudit = await this.mobileRenderingAuditor.audit(page, { emulate: performanceProfile !== 'mobile' });
+      } catch (auditErr) {
+        logger.warn(`モバイル表示の計測に失敗、静的チェックを使用: ${auditErr.message}`);
       }
-      // Phase 1.5.1: 終了時メモリも記録（OOM 切れの境界調査用）
-      const heapEnd = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
-      logger.info(`Puppeteer cleanup 完了 (heap=${heapEnd}MB)`);
     }
+
+    const result = { html: htmlContent, ...httpResponse };
+    if (performanceSession) result.performance = performance;
+    if (options.mobileAudit) result.mobileAudit = mobileAudit;
+    return result;
+  }
+
+  /**
+   * page.goto の戻り値からレスポンス情報を取り出す（Phase 3-C）
+   * @param {string} url - 要求したURL
+   * @param {Object|null} response - Puppeteer の HTTPResponse（about:blank 等では null）
+   * @returns {{statusCode: number|null, headers: Object, finalUrl: string, redirectChain: Array}}
+   */
+  extractPuppeteerResponse(url, response) {
+    if (!response) {
+      return { statusCode: null, headers: {}, finalUrl: url, redirectChain: [] };
+    }
+    const redirectChain = response.request().redirectChain().map((req) => {
+      const res = req.response();
+      const location = res ? res.headers().location : null;
+      return {
+        url: req.url(),
+        statusCode: res ? res.status() : null,
+        location: location ? new URL(location, req.url()).toString() : null
+      };
+    });
+    return {
+      statusCode: response.status(),
+      headers: ResponseHeaderChecker.normalizeHeaders(response.headers()),
+      finalUrl: response.url(),
+      redirectChain
+    };
+  }
+
+  /**
+   * HTTPレスポンス後にブラウザ内で起きた遷移を記録する（Phase 3-D）
+   * 最初のHTMLに meta refresh があれば meta-refresh、無ければ JavaScript による遷移とみなす。
+   * @param {string} responseUrl - HTTPリダイレクト後のURL
+   * @param {string} pageUrl - JS実行・待機後の page.url()
+   * @param {string} initialHtml - 最初に受け取ったHTML
+   * @returns {Array<{from: string, to: string, type: 'meta-refresh'|'javascript'}>}
+   */
+  detectClientRedirects(responseUrl, pageUrl, initialHtml) {
+    const strip = (u) => String(u || '').split('#')[0];
+    if (!pageUrl || strip(pageUrl) === strip(responseUrl)) return [];
+    const hasMetaRefresh = /<meta[^>]+http-equiv\s*=\s*["']?refresh/i.test(initialHtml || '');
+    return [{ from: responseUrl, to: pageUrl, type: hasMetaRefresh ? 'meta-refresh' : 'javascript' }];
   }
 
   /**
@@ -305,10 +445,47 @@ class SEOChecker {
     }
   }
 
+  /**
+   * リダイレクトを1ホップずつ追跡しながら GET する（Phase 3-C）
+   * axios の自動追跡では途中のホップが見えないため maxRedirects: 0 で自前ループする。
+   * 4xx/5xx は axios と同じく error.response 付きで throw される。
+   * @param {string} url - 取得対象のURL
+   * @param {Object} axiosOptions - axios.get に渡す設定（maxRedirects / validateStatus は上書き）
+   * @param {number} [maxRedirects=5] - 追跡するリダイレクト回数の上限
+   * @returns {Promise<{response: Object, finalUrl: string, redirectChain: Array<{url: string, statusCode: number, location: string}>}>}
+   */
+  async requestWithRedirects(url, axiosOptions = {}, maxRedirects = 5) {
+    const redirectChain = [];
+    let currentUrl = url;
+    for (;;) {
+      // Phase 3-M: ホップごとに宛先を検査（名前解決後のアドレスは lookup で検査）
+      this.outboundGuard.assertUrlAllowed(currentUrl);
+      const response = await axios.get(currentUrl, {
+        ...axiosOptions,
+        ...this.outboundGuard.axiosOptions(),
+        maxRedirects: 0,
+        validateStatus: (status) => status >= 200 && status < 400
+      });
+      const location = response.headers && response.headers.location;
+      if (response.status < 300 || !location) {
+        return { response, finalUrl: currentUrl, redirectChain };
+      }
+      if (redirectChain.length >= maxRedirects) {
+        const err = new Error(`リダイレクトが多すぎます（${maxRedirects}回超）: ${url}`);
+        err.code = 'TOO_MANY_REDIRECTS';
+        throw err;
+      }
+      const nextUrl = new URL(location, currentUrl).toString();
+      redirectChain.push({ url: currentUrl, statusCode: response.status, location: nextUrl });
+      currentUrl = nextUrl;
+    }
+  }
+
   /**
    * Axiosを使用してHTMLを取得（従来の方法）
    * @param {string} url - 取得対象のURL
-   * @returns {string} HTMLコンテンツ
+   * @returns {Promise<{html: string, statusCode: number, headers: Object, finalUrl: string, redirectChain: Array}>}
+   *   HTMLコンテンツと、レスポンス情報（Phase 3-C）
    */
   async fetchHTMLWithAxios(url) {
     try {
@@ -320,12 +497,10 @@ class SEOChecker {
         'Accept-Language': 'ja,en-US;q=0.9,en;q=0.8',
         'Accept-Encoding': 'gzip, deflate, br'
       };
-      const response = await axios.get(url, {
+      const { response, finalUrl, redirectChain } = await this.requestWithRedirects(url, {
         timeout: 10000,
         headers: browserHeaders,
-        responseType: 'arraybuffer',
-        maxRedirects: 5,
-        validateStatus: (status) => status >= 200 && status < 400
+        responseType: 'arraybuffer'
       });
       
       // 文字エンコーディングを検出して正しくデコード
@@ -411,7 +586,13 @@ class SEOChecker {
       }
       
       logger.info(`AxiosでHTML取得完了: ${pageContent.length}文字`);
-      return pageContent;
+      return {
+        html: pageContent,
+        statusCode: response.status,
+        headers: ResponseHeaderChecker.normalizeHeaders(response.headers),
+        finalUrl,
+        redirectChain
+      };
       
     } catch (error) {
       logger.error(`AxiosでHTML取得エラー: ${error.message}`);
@@ -424,30 +605,52 @@ class SEOChecker {
    * @param {string} url - チェック対象のURL
    * @param {string} html - オプションのHTMLコンテンツ
    * @param {boolean} waitForJS - JavaScript実行待機フラグ
+   * @param {Object} [options]
+   * @param {boolean} [options.verifyLinks] - Phase 3-E: リンク先へ実際にリクエストしてリンク切れを検証する
+   * @param {boolean} [options.measurePerformance] - Phase 3-H: Core Web Vitals を計測する（Advanced Check として Puppeteer で取得）
+   * @param {string} [options.performanceProfile] - Phase 3-H: 'mobile'（既定）| 'desktop'
+   * @param {string[]|string} [options.targetKeywords] - Phase 3-W: 狙うキーワード（指定時のみ targetKeywords カテゴリを追加）
+   * @param {Function} [options.onStage] - Phase 3-K: 処理段階（fetch / analyze / aio / report）の切り替わりで await される。
+   *   throw すると診断を中断する（ジョブの取り消し用）
    * @returns {Object} SEOチェック結果
    */
-  async checkSEO(url, html = null, waitForJS = false) {
+  async checkSEO(url, html = null, waitForJS = false, options = {}) {
+    const enterStage = async (stage) => {
+      if (typeof options.onStage === 'function') await options.onStage(stage);
+    };
     try {
       logger.info(`SEOチェック開始: ${url || 'HTMLコンテンツ'}, JS待機: ${waitForJS}`);
+      await enterStage('fetch');
       
       let pageContent = '';
       // Advanced Check で Puppeteer が失敗した場合に Simple Check へフォールバックしたかの記録
       // （後段でメタ情報として results.warnings に積む）
       let advancedFallbackReason = null;
+      // Phase 3-C: URL取得時のレスポンス情報（ヘッダー・ステータス・リダイレクト）。HTML直接入力時は null
+      let fetched = null;
+      // Phase 3-H: パフォーマンス計測は Advanced Check（Puppeteer）の1モード。HTML直接入力では計測しない
+      const performanceProfile = options.measurePerformance && !html
+        ? PerformanceChecker.resolveProfile(options.performanceProfile)
+        : null;
       if (html) {
         pageContent = html;
       } else {
         // JavaScript実行待機が必要な場合、または Axios が 403 の場合は Puppeteer を使用
-        if (waitForJS) {
+        if (waitForJS || performanceProfile) {
           try {
-            pageContent = await this.fetchHTMLWithPuppeteer(url);
+            // Phase 3-I: Advanced Check ではモバイル表示も実測する
+            fetched = await this.fetchHTMLWithPuppeteer(url, performanceProfile ? { performanceProfile, mobileAudit: true } : { mobileAudit: true });
           } catch (puppeteerError) {
+            // Phase 3-L: 混雑・メモリ超過で断られた場合は Simple Check に落とさず 503 として返す
+            if (BrowserPool.isOverloadError(puppeteerError)) throw puppeteerError;
+            // Phase 3-M: 内部ネットワーク宛ては Simple Check でも取得しない
+            if (OutboundGuard.isBlockedError(puppeteerError)) throw OutboundGuard.findBlockedError(puppeteerError);
             const msg = puppeteerError && puppeteerError.message ? puppeteerError.message : 'unknown';
             logger.warn(`Advanced Check (Puppeteer) 失敗、Simple Check にフォールバック: ${msg}`);
             advancedFallbackReason = msg;
             // Puppeteer失敗時は通常のAxiosフェッチに自動フォールバック
             try {
-              pageContent = await this.fetchHTMLWithAxios(url);
+              fetched = await this.fetchHTMLWithAxios(url);
             } catch (axiosError2) {
               // Axiosも失敗した場合のみ元のエラーを投げる
               const status = axiosError2.response && axiosError2.response.status;
@@ -460,13 +663,13 @@ class SEOChecker {
           }
         } else {
           try {
-            pageContent = await this.fetchHTMLWithAxios(url);
+            fetched = await this.fetchHTMLWithAxios(url);
           } catch (axiosError) {
             const status = axiosError.response && axiosError.response.status;
             if (status === 403 || status === 429 || status === 401) {
               logger.warn(`Axios で ${status} のため Puppeteer にフォールバック: ${url}`);
               try {
-                pageContent = await this.fetchHTMLWithPuppeteer(url);
+                fetched = await this.fetchHTMLWithPuppeteer(url);
               } catch (puppeteerError) {
                 const msg = puppeteerError && puppeteerError.message ? puppeteerError.message : '';
                 if (/Could not find Chrome|Browser was not found|executablePath/i.test(msg)) {
@@ -477,12 +680,26 @@ class SEOChecker {
                 throw puppeteerError;
               }
             } else {
-              throw axiosError;
+              throw OutboundGuard.findBlockedError(axiosError) || axiosError;
             }
           }
         }
       }
 
+      await enterStage('analyze');
+
+      // Phase 3-C: 本文とレスポンス情報を分離
+      let httpResponse = null;
+      let performance = null;
+      let mobileAudit = null;
+      if (fetched) {
+        const { html: fetchedHtml, performance: measured, mobileAudit: audited, ...responseInfo } = fetched;
+        pageContent = fetchedHtml;
+        httpResponse = responseInfo;
+        performance = measured || null;
+        mobileAudit = audited || null;
+      }
+
       // pageContentが文字列でない場合はエラー
       if (typeof pageContent !== 'string') {
         logger.error(`pageContentの型: ${typeof pageContent}, 値: ${pageContent}`);
@@ -501,25 +718,40 @@ class SEOChecker {
 
       // cheerioでHTMLを解析
       const $ = cheerio.load(pageContent);
+      // Phase 3-X: 語数（estimateContentLength）は形態素解析で先に数えておく。失敗時は従来の概算
+      await this.prepareWordCount($);
 
       const heapAfterParse = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
       logger.info(`cheerio解析完了: HTML長=${$.html().length}, title存在=${$('title').length > 0} (heap=${heapAfterParse}MB)`);
       
+      // Phase 3-B: サイトマップ取得（HTTP）は他のチェックと並列に走らせる
+      // url が空（HTMLペースト診断）の場合はスキップ
+      const sitemapPromise = url ? this.checkSitemapSafe(url, $) : Promise.resolve(null);
+      // Phase 3-D: canonical 先の確認（HTTP）も並列に走らせる
+      const redirectCanonicalPromise = this.checkRedirectCanonicalSafe(url || null, httpResponse, $);
+      // Phase 3-F: hreflang はサイトマップの xhtml:link も使うため、サイトマップ取得後に走らせる
+      const hreflangPromise = sitemapPromise.then(sitemap => this.checkHreflangSafe(url || null, httpResponse, $, sitemap));
+
       const titleTagResult = this.checkTitleTag($);
       const metaDescriptionResult = this.checkMetaDescription($);
+      // Phase 3-G: og:image の取得（HTTP）があるため並列に走らせる
+      const socialMetadataPromise = this.checkSocialMetadataSafe(url || null, $, titleTagResult.current, metaDescriptionResult.current);
       
       logger.info(`タイトルタグ結果: ${JSON.stringify(titleTagResult)}`);
       logger.info(`メタディスクリプション結果: ${JSON.stringify(metaDescriptionResult)}`);
       
+      // リダイレクト後の最終URL（内部リンクの判定とクロールのリンクの解決に使う）
+      const finalUrl = (httpResponse && httpResponse.finalUrl) || url || null;
       const results = {
         url: url || 'HTMLコンテンツ',
+        finalUrl,
         timestamp: new Date().toISOString(),
         checks: {
           titleTag: titleTagResult,
           metaDescription: metaDescriptionResult,
           headingStructure: this.checkHeadingStructure($),
           imageAltAttributes: this.checkImageAltAttributes($),
-          internalLinkStructure: this.checkInternalLinkStructure($, url || ''),
+          internalLinkStructure: this.checkInternalLinkStructure($, finalUrl || ''),
           // Phase 2-C: structuredData は async (LLM補正含む) になったため await
           structuredData: await this.checkStructuredData($, url || '', {
             title: titleTagResult.current,
@@ -527,7 +759,14 @@ class SEOChecker {
             bodyText: $('body').text().trim(),
             url: url || ''
           }),
-          otherSEOElements: this.checkOtherSEOElements($, url || '')
+          otherSEOElements: this.checkOtherSEOElements($, url || '', {
+            sitemap: await sitemapPromise,
+            httpResponse,
+            redirectCanonical: await redirectCanonicalPromise,
+            hreflang: await hreflangPromise,
+            mobileAudit
+          }),
+          socialMetadata: await socialMetadataPromise
         },
         overallScore: 0,
         recommendations: [],
@@ -538,7 +777,40 @@ class SEOChecker {
         }] : []
       };
 
+      // Phase 3-H: Core Web Vitals（計測できた場合のみカテゴリを追加）
+      if (performance) {
+        results.checks.performance = this.buildPerformanceCheck(performance);
+      } else if (performanceProfile) {
+        results.warnings.push({
+          code: 'PERFORMANCE_NOT_MEASURED',
+          message: 'パフォーマンス（Core Web Vitals）を計測できなかったため、performance カテゴリを省略しています。',
+          detail: advancedFallbackReason
+        });
+      }
+
+      // Phase 3-W: 狙うキーワードの最適化（指定時のみカテゴリを追加）
+      const targetKeywords = this.targetKeywordChecker.parseKeywords(options.targetKeywords);
+      if (targetKeywords.length > 0) {
+        results.checks.targetKeywords = this.checkTargetKeywords(
+          (httpResponse && httpResponse.finalUrl) || url || null, $, targetKeywords
+        );
+      }
+
+      // Phase 3-Y: 本文の指紋（履歴に保存し、ほかのページとの類似度を求める。本文が短ければ null）
+      results.contentFingerprint = this.contentSimilarity.fingerprint($);
+
+      // Phase 3-E: リンク切れ検証（オプション。URL指定時のみ）
+      let linkVerification = null;
+      if (options.verifyLinks && url) {
+        linkVerification = await this.verifyLinksSafe(
+          results.checks.internalLinkStructure,
+          (httpResponse && httpResponse.finalUrl) || url
+        );
+        this.applyLinkVerification(results.checks.internalLinkStructure, linkVerification);
+      }
+
       // AIOチェックの実行
+      await enterStage('aio');
       const heapBeforeAIO = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
       logger.info(`AIOチェック開始 (heap=${heapBeforeAIO}MB)`);
       const aioResults = await this.aioChecker.checkAIO(results, url || '', $);
@@ -552,6 +824,7 @@ class SEOChecker {
       results.combinedScore = Math.round((results.overallScore + aioResults.overallScore) / 2);
       
       // 改善提案生成
+      await enterStage('report');
       results.recommendations = this.generateRecommendations(results.checks);
       results.aioRecommendations = aioResults.recommendations;
 
@@ -560,7 +833,7 @@ class SEOChecker {
       // 将来サマリーに統合したい場合や、別エンドポイントから参照したい場合に備える。
       // 不要なクライアントは slim:true パラメータで除外可能。
       // Phase 2-C: analyzeDetails が async になったため await
-      results.detailedAnalysis = await this.detailedAnalyzer.analyzeDetails($, url || '');
+      results.detailedAnalysis = await this.detailedAnalyzer.analyzeDetails($, url || '', { linkVerification });
 
       // 詳細レポート生成
       // Phase 1.8: 「詳細レポート」タブは廃止したが、generateDetailedReport の出力 (quickWins,
@@ -570,11 +843,7 @@ class SEOChecker {
       // 簡潔な推奨アクション生成
       results.conciseRecommendations = this.enhancedReporter.generateConciseRecommendations(results);
 
-      // メモリクリーンアップ
       pageContent = null;
-      if (global.gc) {
-        global.gc();
-      }
 
       logger.info(`SEOチェック完了: ${url}, スコア: ${results.overallScore}`);
       
@@ -885,8 +1154,8 @@ class SEOChecker {
   /**
    * コンテンツ長を概算（Phase 1.5）
    * 日本語+英語混在を考慮し、ざっくり「語数相当」に正規化する。
-   * - 英単語は1語=1
-   * - 日本語は約2文字=1語相当
+   * - Phase 3-X: 形態素解析が使えるときは、記号を除いたトークン数（実際の語数）
+   * - 使えないときは、英単語は1語=1、日本語は約2文字=1語相当
    * - script/style/nav/footer/header の中身は除外
    *
    * Phase 1.5.1: 同じ $ オブジェクトに対して見出しチェック + リンクチェックで
@@ -897,10 +1166,7 @@ class SEOChecker {
     if (!$ || typeof $ !== 'function') return 0;
     if (typeof $._wordCountCache === 'number') return $._wordCountCache;
     try {
-      // 主要本文要素を優先的に取得（無ければ body）
-      const $clone = $('body').clone();
-      $clone.find('script, style, nav, footer, header, aside').remove();
-      const text = $clone.text().replace(/\s+/g, ' ').trim();
+      const text = this.extractWordCountText($);
       if (!text) {
         $._wordCountCache = 0;
         return 0;
@@ -917,6 +1183,34 @@ class SEOChecker {
     }
   }
 
+  /**
+   * Phase 3-X: 形態素解析の語数を先に数え、estimateContentLength のメモに入れる。
+   * 解析は子プロセスで非同期に動くため、同期の estimateContentLength より前に呼ぶ。
+   * 解析できないときは何もしない（estimateContentLength が従来の概算で数える）
+   */
+  async prepareWordCount($) {
+    if (!$ || typeof $ !== 'function' || typeof $._wordCountCache === 'number') return;
+    try {
+      const text = this.extractWordCountText($);
+      if (!text) return;
+      const tokenized = await this.japaneseAnalyzer.countWords(text);
+      if (typeof tokenized === 'number') $._wordCountCache = tokenized;
+    } catch (_) {
+      // 従来の概算に任せる
+    }
+  }
+
+  /**
+   * 語数を数える本文（script・ナビゲーション等を除いた body のテキスト）
+   * @private
+   */
+  extractWordCountText($) {
+    // 主要本文要素を優先的に取得（無ければ body）
+    const $clone = $('body').clone();
+    $clone.find('script, style, nav, footer, header, aside').remove();
+    return $clone.text().replace(/\s+/g, ' ').trim();
+  }
+
   /**
    * 見出しの階層チェック
    */
@@ -1112,6 +1406,59 @@ class SEOChecker {
     };
   }
 
+  /**
+   * Phase 3-E: リンク切れ検証を安全に実行（例外時は null でスキップ）
+   * @param {Object} linkCheck - checkInternalLinkStructure の結果
+   * @param {string} baseUrl - 相対URLの解決に使う最終URL
+   */
+  async verifyLinksSafe(linkCheck, baseUrl) {
+    if (!linkCheck || !Array.isArray(linkCheck.internalLinks)) return null;
+    try {
+      const verifier = new LinkVerifier(this.config.linkVerification);
+      const verification = await verifier.verify(linkCheck, baseUrl);
+      logger.info(`リンク検証完了: ${verification.summary.checked}件確認, 切れ${verification.brokenLinks.length}件 (${verification.summary.durationMs}ms)`);
+      return verification;
+    } catch (err) {
+      logger.warn(`リンク検証でエラー、スキップ: ${err && err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Phase 3-E: リンク検証の結果を internalLinkStructure の brokenLinks / issues / score に反映
+   */
+  applyLinkVerification(linkCheck, verification) {
+    if (!linkCheck || !verification) return;
+    const { summary } = verification;
+    linkCheck.brokenLinks = verification.brokenLinks;
+    linkCheck.redirectedLinks = verification.redirectedLinks;
+    linkCheck.linkVerification = summary;
+
+    const broken = summary.broken + summary.errors;
+    if (broken > 0) {
+      linkCheck.issues.push(`${broken}個のリンク切れがあります`);
+      linkCheck.recommendations.push('リンク切れ（4xx/5xx・接続不可）のリンクを修正または削除してください');
+    }
+    if (summary.timedOut > 0) {
+      linkCheck.issues.push(`${summary.timedOut}個のリンクがタイムアウトしました`);
+      linkCheck.recommendations.push('応答しないリンク先が生きているか確認してください');
+    }
+    if (summary.redirectLoops > 0) {
+      linkCheck.issues.push(`${summary.redirectLoops}個のリンクでリダイレクトループが発生しています`);
+      linkCheck.recommendations.push('リダイレクトループになっているリンク先を修正してください');
+    }
+    if (summary.redirected > 0) {
+      linkCheck.issues.push(`${summary.redirected}個のリンクがリダイレクトするURLを指しています`);
+      linkCheck.recommendations.push('リンクのhrefをリダイレクト後の最終URLに更新してください');
+    }
+
+    linkCheck.score = Math.max(0, linkCheck.score -
+      Math.min(40, broken * 10) -
+      Math.min(20, summary.redirectLoops * 10) -
+      Math.min(10, summary.timedOut * 2) -
+      Math.min(10, summary.redirected * 2));
+  }
+
   /**
    * リンクテキストのチェック
    */
@@ -1362,10 +1709,94 @@ class SEOChecker {
     return { issues, recommendations };
   }
 
+  /**
+   * Phase 3-B: サイトマップチェックを安全に実行（タイムアウトや例外を握り潰す）
+   * ページの canonical を渡し、サイトマップ掲載URLとの一致を判定させる。
+   * 判定できない場合（取得不能・例外）は null を返し、スコアに影響させない。
+   */
+  async checkSitemapSafe(url, $) {
+    try {
+      const href = $('link[rel="canonical"]').attr('href');
+      let canonicalUrl = null;
+      if (href) {
+        try {
+          canonicalUrl = new URL(href.trim(), url).toString();
+        } catch (_) { /* 不正な canonical は無視 */ }
+      }
+      const raw = await this.sitemapChecker.check(url, { canonicalUrl });
+      return raw.skipped ? null : raw;
+    } catch (err) {
+      logger.warn(`サイトマップチェックでエラー、スキップ: ${err && err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Phase 3-D: リダイレクト/canonical 監査を安全に実行（例外時は null でスキップ）
+   */
+  async checkRedirectCanonicalSafe(url, httpResponse, $) {
+    try {
+      return await this.redirectCanonicalChecker.check({ url, httpResponse, $ });
+    } catch (err) {
+      logger.warn(`リダイレクト/canonicalチェックでエラー、スキップ: ${err && err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Phase 3-F: hreflang / 多言語チェックを安全に実行（例外時は null でスキップ）
+   */
+  async checkHreflangSafe(url, httpResponse, $, sitemap) {
+    try {
+      return await this.hreflangChecker.check({ url, httpResponse, $, sitemap });
+    } catch (err) {
+      logger.warn(`hreflangチェックでエラー、スキップ: ${err && err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Phase 3-G: SNSシェア用メタデータ（OGP / Twitterカード）のチェック
+   * 例外時も総合スコア計算が壊れないよう、減点なしの結果を返す
+   */
+  async checkSocialMetadataSafe(url, $, title, description) {
+    try {
+      const { recommendations: richRecommendations, ...details } = await this.socialMetadataChecker.check({ url, $, title, description });
+      return { ...details, recommendations: richRecommendations.map(r => r.title), richRecommendations };
+    } catch (err) {
+      logger.warn(`SNSメタデータチェックでエラー、スキップ: ${err && err.message}`);
+      return { score: 100, issues: [], recommendations: [], richRecommendations: [], skipped: true };
+    }
+  }
+
+  /**
+   * Phase 3-W: 狙うキーワードのチェック（リダイレクト後の URL のパスも見る）
+   */
+  checkTargetKeywords(url, $, keywords) {
+    const { recommendations: richRecommendations, ...details } = this.targetKeywordChecker.check({ url, $, keywords });
+    return { ...details, recommendations: richRecommendations.map(r => r.title), richRecommendations };
+  }
+
+  /**
+   * Phase 3-H: パフォーマンス計測値の採点
+   * @param {{profile: string, metrics: Object}} performance - fetchHTMLWithPuppeteer の performance
+   * @returns {Object} performance カテゴリの結果
+   */
+  buildPerformanceCheck(performance) {
+    const { recommendations: richRecommendations, ...details } = this.performanceChecker.evaluate(performance.metrics, performance.profile);
+    return { ...details, recommendations: richRecommendations.map(r => r.title), richRecommendations };
+  }
+
   /**
    * その他SEO要素のチェック
+   * @param {Object} [context]
+   * @param {Object|null} [context.sitemap] - Phase 3-B: SitemapChecker の結果（null ならスキップ）
+   * @param {Object|null} [context.httpResponse] - Phase 3-C: 取得時のレスポンス情報（HTML直接入力時は null）
+   * @param {Object|null} [context.redirectCanonical] - Phase 3-D: RedirectCanonicalChecker の結果
+   * @param {Object|null} [context.hreflang] - Phase 3-F: HreflangChecker の結果
+   * @param {Object|null} [context.mobileAudit] - Phase 3-I: Advanced Check で実測したモバイル表示（null なら静的チェック）
    */
-  checkOtherSEOElements($, url) {
+  checkOtherSEOElements($, url, context = {}) {
     const issues = [];
     const recommendations = [];
 
@@ -1375,25 +1806,74 @@ class SEOChecker {
     recommendations.push(...urlIssues.recommendations);
 
     // モバイル対応チェック
-    const mobileIssues = this.checkMobileOptimization($);
+    const mobileIssues = this.checkMobileOptimization($, context.mobileAudit || null);
     issues.push(...mobileIssues.issues);
     recommendations.push(...mobileIssues.recommendations);
 
+    // Phase 3-C: 実際のレスポンスヘッダーを評価（noindex / セキュリティ系で共有）
+    const headerResult = this.responseHeaderChecker.check(context.httpResponse || null, { $ });
+
     // noindexチェック
-    const noindexIssues = this.checkNoindex($);
+    const noindexIssues = this.checkNoindex($, headerResult);
     issues.push(...noindexIssues.issues);
     recommendations.push(...noindexIssues.recommendations);
 
     // セキュリティヘッダーチェック
-    const securityIssues = this.checkSecurityHeaders($);
+    const securityIssues = this.checkSecurityHeaders($, headerResult);
     issues.push(...securityIssues.issues);
     recommendations.push(...securityIssues.recommendations);
 
-    return {
+    // Phase 3-B: サイトマップ
+    const sitemap = context.sitemap || null;
+    const sitemapIssues = {
+      issues: sitemap ? sitemap.issues : [],
+      recommendations: sitemap ? sitemap.recommendations.map(r => r.title) : []
+    };
+    issues.push(...sitemapIssues.issues);
+    recommendations.push(...sitemapIssues.recommendations);
+
+    // Phase 3-D: リダイレクトチェーン / canonical 整合性
+    const redirectCanonical = context.redirectCanonical || null;
+    const redirectCanonicalIssues = {
+      issues: redirectCanonical ? redirectCanonical.issues : [],
+      recommendations: redirectCanonical ? redirectCanonical.recommendations.map(r => r.title) : []
+    };
+    issues.push(...redirectCanonicalIssues.issues);
+    recommendations.push(...redirectCanonicalIssues.recommendations);
+
+    // Phase 3-F: hreflang / html lang
+    const hreflang = context.hreflang || null;
+    const hreflangIssues = {
+      issues: hreflang ? hreflang.issues : [],
+      recommendations: hreflang ? hreflang.recommendations.map(r => r.title) : []
+    };
+    issues.push(...hreflangIssues.issues);
+    recommendations.push(...hreflangIssues.recommendations);
+
+    const result = {
       issues: issues,
       recommendations: recommendations,
-      score: this.calculateOtherSEOScore(urlIssues, mobileIssues, noindexIssues, securityIssues)
+      score: this.calculateOtherSEOScore(urlIssues, mobileIssues, noindexIssues, securityIssues, sitemapIssues, redirectCanonicalIssues, hreflangIssues)
     };
+    const { issues: _headerIssues, indexingIssues: _indexingIssues, recommendations: headerRecommendations, ...headerDetails } = headerResult;
+    result.responseHeaders = { ...headerDetails, richRecommendations: headerRecommendations };
+    if (sitemap) {
+      // 推奨アクションのリッチオブジェクトは details 側で保持（llmsTxtCompliance と同じ形）
+      const { issues: _issues, recommendations: richRecommendations, ...details } = sitemap;
+      result.sitemap = { ...details, richRecommendations };
+    }
+    if (redirectCanonical) {
+      const { issues: _rcIssues, recommendations: rcRecommendations, ...rcDetails } = redirectCanonical;
+      result.redirectCanonical = { ...rcDetails, richRecommendations: rcRecommendations };
+    }
+    if (hreflang) {
+      const { issues: _hlIssues, recommendations: hlRecommendations, ...hlDetails } = hreflang;
+      result.hreflang = { ...hlDetails, richRecommendations: hlRecommendations };
+    }
+    if (mobileIssues.mobileRendering) {
+      result.mobileRendering = mobileIssues.mobileRendering;
+    }
+    return result;
   }
 
   /**
@@ -1446,8 +1926,11 @@ class SEOChecker {
 
   /**
    * モバイル最適化のチェック
+   * @param {Object|null} [mobileAudit] - Phase 3-I: MobileRenderingAuditor の計測値。
+   *   あればタッチターゲットの静的推定（インラインスタイルしか読めない）の代わりに実測結果を使う
+   * @returns {{issues: string[], recommendations: string[], mobileRendering?: Object}}
    */
-  checkMobileOptimization($) {
+  checkMobileOptimization($, mobileAudit = null) {
     const issues = [];
     const recommendations = [];
 
@@ -1467,7 +1950,14 @@ class SEOChecker {
       }
     }
 
-    // タッチターゲットのチェック
+    if (mobileAudit) {
+      const { issues: auditIssues, recommendations: richRecommendations, ...details } = this.mobileRenderingAuditor.evaluate(mobileAudit);
+      issues.push(...auditIssues);
+      recommendations.push(...richRecommendations.map(r => r.title));
+      return { issues, recommendations, mobileRendering: { ...details, richRecommendations } };
+    }
+
+    // タッチターゲットのチェック（静的HTMLのみ。インラインスタイルの width / height しか読めない）
     const touchTargets = $('a, button, input, select, textarea');
     let smallTouchTargets = 0;
     
@@ -1490,9 +1980,10 @@ class SEOChecker {
   }
 
   /**
-   * noindexチェック
+   * noindexチェック（robots メタタグ + Phase 3-C: X-Robots-Tag ヘッダー）
+   * @param {Object} [headerResult] - ResponseHeaderChecker の結果
    */
-  checkNoindex($) {
+  checkNoindex($, headerResult = null) {
     const issues = [];
     const recommendations = [];
 
@@ -1502,22 +1993,28 @@ class SEOChecker {
       recommendations.push('検索エンジンにインデックスされるようにnoindexを削除してください');
     }
 
+    if (headerResult && !headerResult.skipped && headerResult.indexingIssues.length > 0) {
+      issues.push(...headerResult.indexingIssues);
+      recommendations.push(headerResult.checks.xRobotsTag.recommendation.title);
+    }
+
     return { issues, recommendations };
   }
 
   /**
-   * セキュリティヘッダーのチェック
+   * HTTPレスポンスヘッダーのチェック（Phase 3-C で実ヘッダー評価に置き換え）
+   * HSTS / CSP / X-Content-Type-Options / Referrer-Policy / Cache-Control / Content-Type charset。
+   * HTML直接入力ではヘッダーが無いためスキップし、一般論の推奨は出さない。
+   * @param {Object} [headerResult] - ResponseHeaderChecker の結果
    */
-  checkSecurityHeaders($) {
-    const issues = [];
-    const recommendations = [];
-
-    // この部分は実際のHTTPレスポンスヘッダーをチェックする必要があります
-    // 現在はHTMLからは確認できないため、推奨事項のみ提供
-    recommendations.push('X-Frame-Optionsヘッダーを設定してください');
-    recommendations.push('X-Content-Type-Optionsヘッダーを設定してください');
-    recommendations.push('X-XSS-Protectionヘッダーを設定してください');
-    recommendations.push('Referrer-Policyヘッダーを設定してください');
+  checkSecurityHeaders($, headerResult = null) {
+    if (!headerResult || headerResult.skipped) {
+      return { issues: [], recommendations: [] };
+    }
+    const issues = [...headerResult.issues];
+    const recommendations = Object.values(headerResult.checks)
+      .filter(item => item.issue && !item.indexing)
+      .map(item => item.recommendation.title);
 
     return { issues, recommendations };
   }
@@ -1776,13 +2273,16 @@ class SEOChecker {
     return Math.min(score, 100);
   }
 
-  calculateOtherSEOScore(urlIssues, mobileIssues, noindexIssues, securityIssues) {
+  calculateOtherSEOScore(urlIssues, mobileIssues, noindexIssues, securityIssues, sitemapIssues = { issues: [] }, redirectCanonicalIssues = { issues: [] }, hreflangIssues = { issues: [] }) {
     let score = 100;
     
     score -= urlIssues.issues.length * 10;
     score -= mobileIssues.issues.length * 15;
     score -= noindexIssues.issues.length * 20;
     score -= securityIssues.issues.length * 5;
+    score -= sitemapIssues.issues.length * 5;
+    score -= redirectCanonicalIssues.issues.length * 5;
+    score -= hreflangIssues.issues.length * 5;
     
     return Math.max(score, 0);
   }
@@ -1796,6 +2296,8 @@ class SEOChecker {
       internalLinkStructure: 0.15,
       structuredData: 0.15,
       otherSEOElements: 0.10
+      // Phase 3-G: socialMetadata は総合スコアに配分しない。配分を変えると同じページでも総合スコアが変わり、
+      // 履歴・推移・差分・監視（score_drop）で以前の結果と比べられなくなるため
     };
 
     let totalScore = 0;
@@ -1803,6 +2305,15 @@ class SEOChecker {
       totalScore += checks[key].score * weight;
     }
 
+    // Phase 3-H: パフォーマンスを計測した場合のみ 10% を配分（他カテゴリは比率を保って 90% に縮める）
+    if (checks.performance) {
+      totalScore = totalScore * 0.9 + checks.performance.score * 0.1;
+    }
+    // Phase 3-W: 狙うキーワードを指定した場合も同じく 10% を配分
+    if (checks.targetKeywords) {
+      totalScore = totalScore * 0.9 + checks.targetKeywords.score * 0.1;
+    }
+
     return Math.round(totalScore);
   }
 
@@ -2054,11 +2565,15 @@ class SEOChecker {
       { key: 'imageAltAttributes', name: '画像のalt属性' },
       { key: 'internalLinkStructure', name: '内部リンク構造' },
       { key: 'structuredData', name: '構造化データ' },
-      { key: 'otherSEOElements', name: 'その他SEO要素' }
+      { key: 'otherSEOElements', name: 'その他SEO要素' },
+      { key: 'socialMetadata', name: 'SNSシェア（OGP / Twitterカード）' },
+      { key: 'performance', name: 'パフォーマンス（Core Web Vitals）' },
+      { key: 'targetKeywords', name: '狙うキーワード' }
     ];
 
     categories.forEach(category => {
       const check = checks[category.key];
+      if (!check) return; // Phase 3-G 以前の履歴には socialMetadata が、未計測時は performance が、キーワード未指定時は targetKeywords が無い
       report += `## ${category.name}\n\n`;
       report += `**現状の評価**: ${check.score}/100\n\n`;
       
@@ -2154,6 +2669,12 @@ class SEOChecker {
 const app = express();
 const port = Number(process.env.PORT) || 3001;
 
+// Phase 3-N: Render 等のプロキシ配下では TRUST_PROXY=1 にして、IP ごとの制限に実際の接続元を使う
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // CORS設定（Render 等では CORS_ORIGIN で指定、未設定時は localhost + 同一オリジン許可）
 const corsOrigin = process.env.CORS_ORIGIN;
 const corsOptions = {
@@ -2170,6 +2691,37 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ limit: '10mb', extended: true }));
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Phase 3-N: API キー認証と利用回数の制限。上限は RATE_LIMITS（JSON）で既定値を上書きできる
+// 例: RATE_LIMITS='{"anonymous":{"check":{"perMinute":20}},"key":{"llm":{"perDay":500}}}'
+function parseRateLimits(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    logger.warn(`RATE_LIMITS を解釈できないため既定値を使用: ${err.message}`);
+    return {};
+  }
+}
+const rateLimiter = new RateLimiter({ limits: parseRateLimits(process.env.RATE_LIMITS), logger });
+
+// キーがあれば利用者を識別して req.apiIdentity に入れる（キーなしは IP アドレスごとの匿名利用）
+app.use('/api', async (req, res, next) => {
+  try {
+    req.apiIdentity = await rateLimiter.authenticate(req);
+    return next();
+  } catch (error) {
+    if (error.code === 'INVALID_API_KEY') return sendApiError(res, 401, error.message, error.code);
+    logger.error(`APIキー確認エラー: ${error.message}`);
+    return sendApiError(res, 500, error.message, 'INTERNAL_ERROR');
+  }
+});
+
+const runDiff = new RunDiff({ model: AnalysisHistory });
+const contentSimilarity = new ContentSimilarity({
+  model: AnalysisHistory,
+  threshold: process.env.DUPLICATE_SIMILARITY_THRESHOLD,
+});
+
 // 分析履歴をDBに保存（MONGODB_URI が設定されている場合のみ）
 async function saveAnalysisHistory(results, options = {}) {
   if (!isDBConnected()) return;
@@ -2182,6 +2734,12 @@ async function saveAnalysisHistory(results, options = {}) {
       overallScore: results.overallScore,
       aioOverallScore: results.aioOverallScore,
       combinedScore: results.combinedScore,
+      // Phase 3-R: カテゴリ別スコア・優先度ごとの問題数・ページの種類（/api/history/trend 用）
+      ...ScoreHistory.snapshot(results, url),
+      // Phase 3-S: 問題の一覧・ページの値・JSON-LD の @type（/api/history/diff 用）
+      ...runDiff.snapshot(results),
+      // Phase 3-Y: 本文の指紋（同じサイトの似ているページを探す用）
+      ...ContentSimilarity.snapshot(results),
       sessionId: sessionId || null,
       userId: userId || null,
     });
@@ -2190,6 +2748,20 @@ async function saveAnalysisHistory(results, options = {}) {
   }
 }
 
+/**
+ * Phase 3-Y: 分析履歴から、同じサイトで本文が似ているページを探す（今回の結果を保存する前に呼ぶ）
+ * 履歴が無い・探せなかったときは available: false（診断自体は失敗にしない）
+ */
+async function findSimilarPages(results, { url, userId } = {}) {
+  if (!isDBConnected()) return { available: false, reason: '分析履歴が保存されていないため比べられません' };
+  try {
+    return await contentSimilarity.findSimilar({ url, fingerprint: results.contentFingerprint, userId });
+  } catch (err) {
+    logger.warn('Failed to find similar pages:', err.message);
+    return { available: false, reason: '分析履歴を読み込めませんでした' };
+  }
+}
+
 // 統一APIレスポンスヘルパー（OpenAPI仕様に準拠）
 function sendApiError(res, statusCode, message, code = null) {
   const body = {
@@ -2205,31 +2777,181 @@ function sendApiSuccess(res, data) {
   return res.json({ success: true, data });
 }
 
+// Phase 3-L: ブラウザプールの混雑・メモリ超過は 503 + Retry-After で返す
+function sendOverloadError(res, error) {
+  res.set('Retry-After', '30');
+  return sendApiError(res, 503, error.message, error.code);
+}
+
+// Phase 3-M: 内部ネットワーク宛ての URL は 400 BLOCKED_DESTINATION で返す
+function sendBlockedError(res, error) {
+  const blocked = OutboundGuard.findBlockedError(error);
+  return sendApiError(res, 400, blocked.message, blocked.code);
+}
+
+/**
+ * Phase 3-N: 利用回数を計上し、RateLimit-* ヘッダーを付ける。上限を超えていれば 429 を返して false
+ * @param {'check'|'puppeteer'|'llm'} bucket
+ * @param {number} [cost=1] - 一括診断・クロールは URL / ページ数
+ */
+async function enforceRateLimit(req, res, bucket, cost = 1) {
+  const decision = await rateLimiter.consume(req.apiIdentity, bucket, cost);
+  // 待っても通らない依頼なので、Retry-After 付きの 429 にはしない
+  if (decision.code === 'COST_EXCEEDS_LIMIT') {
+    sendApiError(res, 400, RateLimiter.describe(decision), decision.code);
+    return false;
+  }
+  RateLimiter.setHeaders(res, decision);
+  if (decision.allowed) return true;
+  logger.warn(`利用回数の上限: ${req.apiIdentity.subject} ${bucket} ${decision.window}`);
+  sendApiError(res, 429, RateLimiter.describe(decision), decision.code);
+  return false;
+}
+
+/**
+ * Phase 3-N: クロール・一括診断のページを診断するたびに1回ずつ数える（beforePage / beforeCheck 用）。
+ * 1件目は受付時に enforceRateLimit で数えておく。上限に達したらその理由のエラーを投げ、以降も同じエラーにする
+ * （ページ数の上限分を先に数えると、1分あたりの上限より多いページ数の依頼がすべて断られるため）
+ * @param {Object} identity - req.apiIdentity（ジョブでは登録時に保存した subject / limits）
+ */
+function createPageCharger(identity, bucket) {
+  let pages = 0;
+  let denied = null;
+  return async () => {
+    if (pages++ === 0) return;
+    if (denied) throw denied;
+    const decision = await rateLimiter.consume(identity, bucket, 1);
+    if (decision.allowed) return;
+    denied = new Error(RateLimiter.describe(decision));
+    denied.code = decision.code;
+    throw denied;
+  };
+}
+
+// ブラウザを使う診断（Advanced Check・パフォーマンス計測）は puppeteer、それ以外は check として数える
+function checkBucket({ waitForJS, measurePerformance } = {}) {
+  return waitForJS === true || waitForJS === 'true' || measurePerformance === true ? 'puppeteer' : 'check';
+}
+
+// 分析履歴・ジョブの userId は API キーから決める（リクエストボディの userId は使わない）
+function withIdentity(req, params) {
+  return { ...params, userId: req.apiIdentity ? req.apiIdentity.userId : null };
+}
+
+// ジョブの取得・取り消しの所有者。API キーなしのジョブは登録時に返した accessToken（X-Job-Token か ?token=）で確かめる
+function jobOwner(req) {
+  const token = req.get('X-Job-Token') || req.query.token;
+  return { ...withIdentity(req, {}), accessToken: typeof token === 'string' ? token : null };
+}
+
+// 202 で返す状態の URL（API キーなしのジョブはトークンを付けて、そのままポーリングできるようにする）
+function jobUrl(job, suffix = '') {
+  const query = job.accessToken ? `?token=${encodeURIComponent(job.accessToken)}` : '';
+  return `/api/jobs/${job.id}${suffix}${query}`;
+}
+
+// Phase 3-W: targetKeywords の検証用（診断は SEOChecker の持つインスタンスで行う）
+const targetKeywordChecker = new TargetKeywordChecker();
+
 // バリデーション: URL または HTML 必須
 function validateSeoRequest(body) {
-  const { url, html } = body || {};
+  const { url, html, performanceProfile } = body || {};
   if (!url && !html) {
     return { valid: false, error: 'URLまたはHTMLが必要です', code: 'MISSING_INPUT' };
   }
+  if (performanceProfile !== undefined && !['mobile', 'desktop'].includes(performanceProfile)) {
+    return { valid: false, error: 'performanceProfile は mobile または desktop を指定してください', code: 'INVALID_PERFORMANCE_PROFILE' };
+  }
+  // Phase 3-W: targetKeywords（最大5語）
+  try {
+    targetKeywordChecker.parseKeywords(body.targetKeywords);
+  } catch (error) {
+    return { valid: false, error: error.message, code: error.code };
+  }
+  return validateReportFormat(body);
+}
+
+// Phase 3-P: 結果の形式。sarif / junit は CI（コードスキャン・テストダッシュボード）向け
+const REPORT_FORMATS = ['json', 'sarif', 'junit'];
+
+/**
+ * format と threshold（junit でカテゴリを合格とするスコア）の検証
+ */
+function validateReportFormat({ format, threshold } = {}) {
+  if (format !== undefined && !REPORT_FORMATS.includes(format)) {
+    return { valid: false, error: `format は ${REPORT_FORMATS.join(' / ')} のいずれかを指定してください`, code: 'INVALID_FORMAT' };
+  }
+  if (threshold !== undefined && !(Number(threshold) >= 0 && Number(threshold) <= 100)) {
+    return { valid: false, error: 'threshold は 0〜100 の数値で指定してください', code: 'INVALID_THRESHOLD' };
+  }
   return { valid: true };
 }
 
+/**
+ * 診断結果を format に応じて返す（json は従来どおり { success, data }）
+ * @param {Object} options - { format, threshold, html }（html があれば SARIF に行番号を付ける）
+ */
+function sendCheckResult(res, results, { format = 'json', threshold, html } = {}) {
+  if (format === 'sarif') {
+    const sarif = new CiReporter().toSarif(results, { html });
+    return res.type('application/sarif+json').send(JSON.stringify(sarif, null, 2));
+  }
+  if (format === 'junit') {
+    const reporter = new CiReporter({ threshold: threshold === undefined ? undefined : Number(threshold) });
+    return res.type('application/xml').send(reporter.toJUnit(results));
+  }
+  return sendApiSuccess(res, results);
+}
+
+/**
+ * SEOチェックを実行して履歴に保存（/api/check/seo と seo ジョブで共用）
+ * @param {Object} params - /api/check/seo のリクエストボディ（validateSeoRequest 済み）
+ * @param {Object} [hooks]
+ * @param {Function} [hooks.onStage] - checkSEO の処理段階の通知（ジョブの進捗・取り消し用）
+ */
+async function runSeoCheck(params, hooks = {}) {
+  const { url, html, waitForJS = false, sessionId, userId, slim = false, verifyLinks = false, measurePerformance = false, performanceProfile, targetKeywords } = params;
+  const checker = new SEOChecker();
+  const results = await checker.checkSEO(url, html, waitForJS, {
+    verifyLinks: verifyLinks === true,
+    measurePerformance: measurePerformance === true,
+    performanceProfile,
+    targetKeywords,
+    onStage: hooks.onStage
+  });
+  // Phase 3-Y: 同じサイトの似ているページ（今回の結果を保存する前に探す）
+  results.similarPages = await findSimilarPages(results, { url, userId });
+  await saveAnalysisHistory(results, { url, html, waitForJS, sessionId, userId });
+  // レスポンスサイズ制限対策: slim 時は詳細を省略
+  return slim ? { ...results, detailedAnalysis: undefined, detailedReport: undefined } : results;
+}
+
 // SEOチェックエンドポイント
 app.post('/api/check/seo', async (req, res) => {
   try {
-    const validation = validateSeoRequest(req.body);
+    // Phase 3-P: format / threshold はクエリ（?format=sarif）でも指定できる
+    const params = {
+      ...req.body,
+      format: (req.body && req.body.format) || req.query.format,
+      threshold: (req.body && req.body.threshold) ?? req.query.threshold,
+    };
+    const validation = validateSeoRequest(params);
     if (!validation.valid) {
       return sendApiError(res, 400, validation.error, validation.code);
     }
-    const { url, html, waitForJS = false, sessionId, userId, slim = false } = req.body;
-    const checker = new SEOChecker();
-    const results = await checker.checkSEO(url, html, waitForJS);
-    await saveAnalysisHistory(results, { url, html, waitForJS, sessionId, userId });
-    // レスポンスサイズ制限対策: slim 時は詳細を省略
-    const data = slim ? { ...results, detailedAnalysis: undefined, detailedReport: undefined } : results;
-    return sendApiSuccess(res, data);
+    // Phase 3-U: callbackUrl 付きはジョブにして 202 を返し、終わったら結果を POST する
+    const callback = callbackDispatcher.parseRequest(params);
+    if (callback && params.format && params.format !== 'json') {
+      return sendApiError(res, 400, 'callbackUrl を指定したときは format=json のみ指定できます', 'INVALID_FORMAT');
+    }
+    if (!(await enforceRateLimit(req, res, checkBucket(params)))) return;
+    if (callback) return await acceptWithCallback(res, 'seo', withIdentity(req, params), callback);
+    return sendCheckResult(res, await runSeoCheck(withIdentity(req, params)), params);
   } catch (error) {
+    if (isCallbackRequestError(error)) return sendApiError(res, error.status, error.message, error.code);
     logger.error(`API エラー: ${error.message}`);
+    if (BrowserPool.isOverloadError(error)) return sendOverloadError(res, error);
+    if (OutboundGuard.isBlockedError(error)) return sendBlockedError(res, error);
     const code = error.code === 'CHROME_UNAVAILABLE' ? 'CHROME_UNAVAILABLE' : 'INTERNAL_ERROR';
     const status = code === 'CHROME_UNAVAILABLE' ? 503 : 500;
     return sendApiError(res, status, error.message, code);
@@ -2239,65 +2961,201 @@ app.post('/api/check/seo', async (req, res) => {
 // Phase 1.8: '/api/report/seo' と '/api/report/detailed' エンドポイントを削除。
 // 'Markdownレポート' / '詳細レポート' タブの撤去に伴い、これらのAPIも未使用になった。
 // 復活が必要になったら git 履歴 (v2.5.0 以前) から復元すること。
+// Phase 3-Q: 持ち帰り用のレポートは POST /api/report/export（HTML / PDF）で出力する。
 
 // Phase 2-B: 競合URL比較エンドポイント
 // 2つのURLを並列診断し、自分(primary) vs 競合(competitor) のスコア差分を返す。
 // 片方が失敗しても続行（partial failure 対応）。
-app.post('/api/compare', async (req, res) => {
-  try {
-    const { primaryUrl, competitorUrl, waitForJS = false, sessionId, userId } = req.body || {};
-    if (!primaryUrl || typeof primaryUrl !== 'string') {
-      return sendApiError(res, 400, 'primaryUrl は必須です', 'MISSING_PRIMARY_URL');
-    }
-    if (!competitorUrl || typeof competitorUrl !== 'string') {
-      return sendApiError(res, 400, 'competitorUrl は必須です', 'MISSING_COMPETITOR_URL');
-    }
-    // 簡易URLバリデーション
-    for (const u of [primaryUrl, competitorUrl]) {
-      try { new URL(u); } catch (_) {
-        return sendApiError(res, 400, `URLが不正です: ${u}`, 'INVALID_URL');
-      }
+// Phase 3-V: competitorUrls（配列）を指定すると、複数の競合と比べたマトリクスを返す
+const competitorMatrix = new CompetitorMatrix({ maxCompetitors: process.env.COMPARE_MAX_COMPETITORS });
+
+// バリデーション: primaryUrl と competitorUrl（または competitorUrls）必須（/api/compare と compare ジョブで共用）
+function validateCompareRequest(body) {
+  const { primaryUrl, competitorUrl, competitorUrls } = body || {};
+  if (!primaryUrl || typeof primaryUrl !== 'string') {
+    return { valid: false, error: 'primaryUrl は必須です', code: 'MISSING_PRIMARY_URL' };
+  }
+  if (competitorUrls !== undefined) return validateCompetitorUrls(primaryUrl, competitorUrl, competitorUrls);
+  if (!competitorUrl || typeof competitorUrl !== 'string') {
+    return { valid: false, error: 'competitorUrl は必須です', code: 'MISSING_COMPETITOR_URL' };
+  }
+  // 簡易URLバリデーション
+  for (const u of [primaryUrl, competitorUrl]) {
+    try { new URL(u); } catch (_) {
+      return { valid: false, error: `URLが不正です: ${u}`, code: 'INVALID_URL' };
     }
-    if (primaryUrl === competitorUrl) {
-      return sendApiError(res, 400, '比較対象URLが同じです。別のURLを指定してください', 'SAME_URL');
+  }
+  if (primaryUrl === competitorUrl) {
+    return { valid: false, error: '比較対象URLが同じです。別のURLを指定してください', code: 'SAME_URL' };
+  }
+  return { valid: true };
+}
+
+// Phase 3-V: competitorUrls は 1〜maxCompetitors 個の重複の無い URL
+function validateCompetitorUrls(primaryUrl, competitorUrl, competitorUrls) {
+  const { maxCompetitors } = competitorMatrix.options;
+  if (competitorUrl !== undefined) {
+    return { valid: false, error: 'competitorUrl と competitorUrls はどちらか一方を指定してください', code: 'INVALID_COMPETITOR_URLS' };
+  }
+  if (!Array.isArray(competitorUrls) || competitorUrls.length === 0 || !competitorUrls.every(u => typeof u === 'string' && u)) {
+    return { valid: false, error: 'competitorUrls は URL の配列で指定してください', code: 'INVALID_COMPETITOR_URLS' };
+  }
+  if (competitorUrls.length > maxCompetitors) {
+    return { valid: false, error: `competitorUrls は ${maxCompetitors} 個までです`, code: 'TOO_MANY_COMPETITORS' };
+  }
+  for (const u of [primaryUrl, ...competitorUrls]) {
+    try { new URL(u); } catch (_) {
+      return { valid: false, error: `URLが不正です: ${u}`, code: 'INVALID_URL' };
     }
+  }
+  if (competitorUrls.includes(primaryUrl)) {
+    return { valid: false, error: '比較対象URLが同じです。別のURLを指定してください', code: 'SAME_URL' };
+  }
+  if (new Set(competitorUrls).size !== competitorUrls.length) {
+    return { valid: false, error: 'competitorUrls に同じURLが含まれています', code: 'DUPLICATE_URL' };
+  }
+  return { valid: true };
+}
 
-    logger.info(`比較診断開始: primary=${primaryUrl} vs competitor=${competitorUrl}, JS待機=${waitForJS}`);
-    const checker = new SEOChecker();
+// 比較で診断するページ数（回数制限の計上用）
+function compareCost({ competitorUrls } = {}) {
+  return Array.isArray(competitorUrls) ? 1 + competitorUrls.length : 2;
+}
 
-    // 並列実行。Promise.allSettled で片方失敗でも結果を返す
-    const settled = await Promise.allSettled([
-      checker.checkSEO(primaryUrl, null, waitForJS),
-      checker.checkSEO(competitorUrl, null, waitForJS),
-    ]);
+/**
+ * 2つのURLを並列診断して比較結果を組み立てる（/api/compare と compare ジョブで共用）
+ * 両方失敗した場合のみ code: BOTH_FETCH_FAILED, status: 502 のエラーを投げる
+ * competitorUrls があれば runMultiComparison に任せる
+ * @param {Object} params - /api/compare のリクエストボディ（validateCompareRequest 済み）
+ * @param {Object} [hooks]
+ * @param {Function} [hooks.onStage] - 処理段階（check / compare）の通知
+ */
+async function runComparison(params, hooks = {}) {
+  if (Array.isArray(params.competitorUrls)) return runMultiComparison(params, hooks);
+  const { primaryUrl, competitorUrl, waitForJS = false, sessionId, userId } = params;
+  const enterStage = async (stage) => {
+    if (typeof hooks.onStage === 'function') await hooks.onStage(stage);
+  };
 
-    const primary = settled[0].status === 'fulfilled' ? settled[0].value : null;
-    const competitor = settled[1].status === 'fulfilled' ? settled[1].value : null;
-    const primaryError = settled[0].status === 'rejected' ? (settled[0].reason && settled[0].reason.message) : null;
-    const competitorError = settled[1].status === 'rejected' ? (settled[1].reason && settled[1].reason.message) : null;
+  logger.info(`比較診断開始: primary=${primaryUrl} vs competitor=${competitorUrl}, JS待機=${waitForJS}`);
+  const checker = new SEOChecker();
+  // Phase 3-M: どちらかが内部ネットワーク宛てなら比較自体を断る（片方だけの結果は返さない）
+  await Promise.all([outboundGuard.check(primaryUrl), outboundGuard.check(competitorUrl)]);
+
+  // 並列実行。Promise.allSettled で片方失敗でも結果を返す
+  await enterStage('check');
+  const settled = await Promise.allSettled([
+    checker.checkSEO(primaryUrl, null, waitForJS),
+    checker.checkSEO(competitorUrl, null, waitForJS),
+  ]);
+
+  const primary = settled[0].status === 'fulfilled' ? settled[0].value : null;
+  const competitor = settled[1].status === 'fulfilled' ? settled[1].value : null;
+  const primaryError = settled[0].status === 'rejected' ? (settled[0].reason && settled[0].reason.message) : null;
+  const competitorError = settled[1].status === 'rejected' ? (settled[1].reason && settled[1].reason.message) : null;
+
+  if (!primary && !competitor) {
+    // Phase 3-L: 混雑・メモリ超過で断られたなら 502 ではなく 503 として返す
+    const overload = settled.map(s => s.reason).find(reason => BrowserPool.isOverloadError(reason));
+    if (overload) throw overload;
+    const err = new Error(`両方のURLの取得に失敗しました (primary: ${primaryError}, competitor: ${competitorError})`);
+    err.code = 'BOTH_FETCH_FAILED';
+    err.status = 502;
+    throw err;
+  }
 
-    if (!primary && !competitor) {
-      return sendApiError(res, 502, `両方のURLの取得に失敗しました (primary: ${primaryError}, competitor: ${competitorError})`, 'BOTH_FETCH_FAILED');
-    }
+  // 比較結果を組み立てる
+  await enterStage('compare');
+  const comparison = buildComparison(primary, competitor);
 
-    // 比較結果を組み立てる
-    const comparison = buildComparison(primary, competitor);
+  // 履歴保存（成功した方のみ）
+  if (primary) await saveAnalysisHistory(primary, { url: primaryUrl, waitForJS, sessionId, userId, comparedWith: competitorUrl });
+  if (competitor) await saveAnalysisHistory(competitor, { url: competitorUrl, waitForJS, sessionId, userId, comparedWith: primaryUrl });
 
-    // 履歴保存（成功した方のみ）
-    if (primary) await saveAnalysisHistory(primary, { url: primaryUrl, waitForJS, sessionId, userId, comparedWith: competitorUrl });
-    if (competitor) await saveAnalysisHistory(competitor, { url: competitorUrl, waitForJS, sessionId, userId, comparedWith: primaryUrl });
+  return {
+    primary,
+    competitor,
+    comparison,
+    warnings: [
+      ...(primaryError ? [{ code: 'PRIMARY_FETCH_FAILED', message: `自分のサイトの取得に失敗: ${primaryError}`, detail: primaryError }] : []),
+      ...(competitorError ? [{ code: 'COMPETITOR_FETCH_FAILED', message: `競合サイトの取得に失敗: ${competitorError}`, detail: competitorError }] : []),
+    ]
+  };
+}
 
-    return sendApiSuccess(res, {
-      primary,
-      competitor,
-      comparison,
-      warnings: [
-        ...(primaryError ? [{ code: 'PRIMARY_FETCH_FAILED', message: `自分のサイトの取得に失敗: ${primaryError}`, detail: primaryError }] : []),
-        ...(competitorError ? [{ code: 'COMPETITOR_FETCH_FAILED', message: `競合サイトの取得に失敗: ${competitorError}`, detail: competitorError }] : []),
-      ]
-    });
+/**
+ * Phase 3-V: 自分と N 個の競合を並列診断し、順位表のマトリクスを組み立てる（competitorUrls 指定時）
+ * 全部失敗した場合のみ code: ALL_FETCH_FAILED, status: 502 のエラーを投げる。
+ * 競合の結果は応答が大きくならないよう詳細（detailedAnalysis / detailedReport）を省く
+ */
+async function runMultiComparison(params, hooks = {}) {
+  const { primaryUrl, competitorUrls, waitForJS = false, sessionId, userId } = params;
+  const enterStage = async (stage) => {
+    if (typeof hooks.onStage === 'function') await hooks.onStage(stage);
+  };
+  const urls = [primaryUrl, ...competitorUrls];
+
+  logger.info(`複数比較診断開始: primary=${primaryUrl} vs ${competitorUrls.length}件, JS待機=${waitForJS}`);
+  const checker = new SEOChecker();
+  await Promise.all(urls.map(u => outboundGuard.check(u)));
+
+  await enterStage('check');
+  const settled = await Promise.allSettled(urls.map(u => checker.checkSEO(u, null, waitForJS)));
+  const entries = settled.map((s, i) => ({
+    url: urls[i],
+    result: s.status === 'fulfilled' ? s.value : null,
+    error: s.status === 'rejected' ? ((s.reason && s.reason.message) || String(s.reason)) : null,
+  }));
+
+  if (entries.every(entry => !entry.result)) {
+    const overload = settled.map(s => s.reason).find(reason => BrowserPool.isOverloadError(reason));
+    if (overload) throw overload;
+    const err = new Error(`すべてのURLの取得に失敗しました (primary: ${entries[0].error})`);
+    err.code = 'ALL_FETCH_FAILED';
+    err.status = 502;
+    throw err;
+  }
+
+  await enterStage('compare');
+  const [primary, ...competitors] = entries;
+  const matrix = competitorMatrix.build(primary, competitors);
+
+  for (const entry of entries) {
+    if (entry.result) await saveAnalysisHistory(entry.result, { url: entry.url, waitForJS, sessionId, userId });
+  }
+
+  return {
+    primary: primary.result,
+    competitors: competitors.map(({ url, result, error }) => ({
+      url,
+      result: result ? { ...result, detailedAnalysis: undefined, detailedReport: undefined } : null,
+      error,
+    })),
+    matrix,
+    warnings: entries.filter(entry => entry.error).map(entry => entry === primary
+      ? { code: 'PRIMARY_FETCH_FAILED', message: `自分のサイトの取得に失敗: ${entry.error}`, detail: entry.error }
+      : { code: 'COMPETITOR_FETCH_FAILED', message: `競合サイトの取得に失敗 (${entry.url}): ${entry.error}`, detail: entry.error, url: entry.url }),
+  };
+}
+
+app.post('/api/compare', async (req, res) => {
+  try {
+    const validation = validateCompareRequest(req.body);
+    if (!validation.valid) {
+      return sendApiError(res, 400, validation.error, validation.code);
+    }
+    const callback = callbackDispatcher.parseRequest(req.body);
+    if (!(await enforceRateLimit(req, res, checkBucket(req.body), compareCost(req.body)))) return;
+    if (callback) return await acceptWithCallback(res, 'compare', withIdentity(req, req.body), callback);
+    return sendApiSuccess(res, await runComparison(withIdentity(req, req.body)));
   } catch (error) {
+    if (isCallbackRequestError(error)) return sendApiError(res, error.status, error.message, error.code);
     logger.error(`比較診断エラー: ${error.message}`);
+    if (BrowserPool.isOverloadError(error)) return sendOverloadError(res, error);
+    if (OutboundGuard.isBlockedError(error)) return sendBlockedError(res, error);
+    if (error.code === 'BOTH_FETCH_FAILED' || error.code === 'ALL_FETCH_FAILED') {
+      return sendApiError(res, error.status, error.message, error.code);
+    }
     return sendApiError(res, 500, error.message, 'COMPARE_ERROR');
   }
 });
@@ -2395,11 +3253,377 @@ function buildComparison(primary, competitor) {
   };
 }
 
+// Phase 3-A: サイト全体クロールエンドポイント
+// 開始URLから内部リンクをたどり、各ページを checkSEO で診断してサイト単位のレポートを返す。
+// 個々のページの失敗はレポート内に記録し、クロール全体は止めない。
+app.post('/api/crawl', async (req, res) => {
+  try {
+    const { url, maxDepth, maxPages, sameHostOnly, waitForJS, sessionId } = req.body || {};
+    const { userId } = withIdentity(req, {});
+    if (!url || typeof url !== 'string') {
+      return sendApiError(res, 400, 'url は必須です', 'MISSING_INPUT');
+    }
+    try { new URL(url); } catch (_) {
+      return sendApiError(res, 400, `URLが不正です: ${url}`, 'INVALID_URL');
+    }
+    // Phase 3-M: 開始URLが内部ネットワーク宛てなら断る（たどったリンク先は取得時に検査し、ページ単位の失敗になる）
+    await outboundGuard.check(url);
+
+    const checker = new SEOChecker();
+    const crawler = new SiteCrawler(checker, { maxDepth, maxPages, sameHostOnly, waitForJS });
+    // Phase 3-N: 開始URLの1回を数え、2ページ目からは診断するたびに数える（上限に達したらそこで止める）
+    const bucket = checkBucket(crawler.options);
+    if (!(await enforceRateLimit(req, res, bucket))) return;
+    logger.info(`サイトクロール開始: ${url} (depth=${crawler.options.maxDepth}, pages=${crawler.options.maxPages})`);
+
+    const report = await crawler.crawl(url, {
+      beforePage: createPageCharger(req.apiIdentity, bucket),
+      onPage: (page, results) => saveAnalysisHistory(results, { url: page.url, waitForJS: crawler.options.waitForJS, sessionId, userId })
+    });
+    logger.info(`サイトクロール完了: ${url}, ${report.summary.pagesCrawled}ページ`);
+    return sendApiSuccess(res, report);
+  } catch (error) {
+    logger.error(`サイトクロールエラー: ${error.message}`);
+    if (OutboundGuard.isBlockedError(error)) return sendBlockedError(res, error);
+    const status = error.code === 'INVALID_URL' ? 400 : 500;
+    return sendApiError(res, status, error.message, error.code || 'CRAWL_ERROR');
+  }
+});
+
+// Phase 3-J: 複数URLの一括診断エンドポイント
+// JSON の urls 配列 / csv 文字列、または Content-Type: text/csv の本文（CSV ファイルそのもの）を受け付ける。
+// 本文が CSV のときはオプションをクエリ（?format=csv&concurrency=3 など）で指定する。
+// stream: true（または Accept: application/x-ndjson）なら1件ごとの進捗を NDJSON で逐次返す。
+// 個々のURLの失敗は items に記録し、バッチ全体は止めない。
+const BATCH_CSV_BOM = String.fromCharCode(0xfeff); // Excel で文字化けしないよう CSV 出力の先頭に付ける
+
+app.post('/api/check/batch', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+  const isCsvBody = typeof req.body === 'string';
+  const params = isCsvBody ? (req.query || {}) : { ...(req.query || {}), ...(req.body || {}) };
+  const format = params.format === 'csv' ? 'csv' : 'json';
+  const stream = params.stream === true || params.stream === 'true' ||
+    /application\/x-ndjson/.test(req.get('accept') || '');
+
+  let batch;
+  let parsed;
+  try {
+    const input = isCsvBody ? req.body : (Array.isArray(params.urls) ? params.urls : params.csv);
+    if (input === undefined || input === null) {
+      return sendApiError(res, 400, 'urls（配列）または csv が必要です', 'MISSING_INPUT');
+    }
+    parsed = BatchChecker.parseUrlList(input);
+    if (parsed.urls.length === 0) {
+      return sendApiError(res, 400, '診断できるURLがありません', 'MISSING_INPUT');
+    }
+    batch = new BatchChecker(new SEOChecker(), {
+      concurrency: params.concurrency,
+      maxUrls: params.maxUrls,
+      waitForJS: params.waitForJS,
+    });
+    if (parsed.urls.length > batch.options.maxUrls) {
+      return sendApiError(res, 400, `URLは${batch.options.maxUrls}件までです（${parsed.urls.length}件指定されました）`, 'TOO_MANY_URLS');
+    }
+    const callback = callbackDispatcher.parseRequest(params);
+    if (callback && stream) {
+      return sendApiError(res, 400, 'callbackUrl と stream は同時に指定できません', 'INVALID_STREAM');
+    }
+    // Phase 3-N: 1件目を数え、2件目からは診断するたびに数える（上限に達した URL は RATE_LIMITED 等のエラーの行になる）
+    if (!(await enforceRateLimit(req, res, checkBucket(batch.options)))) return;
+    if (callback) {
+      return await acceptWithCallback(res, 'batch', withIdentity(req, {
+        ...batch.options,
+        urls: parsed.urls,
+        skipped: parsed.skipped,
+        format,
+        sessionId: params.sessionId,
+        // ジョブの実行時に同じ利用者の枠で数えるため
+        rateLimit: { subject: req.apiIdentity.subject, limits: req.apiIdentity.limits },
+      }), callback);
+    }
+  } catch (error) {
+    if (isCallbackRequestError(error)) return sendApiError(res, error.status, error.message, error.code);
+    if (OutboundGuard.isBlockedError(error)) return sendBlockedError(res, error);
+    logger.error(`一括診断エラー: ${error.message}`);
+    return sendApiError(res, 500, error.message, 'BATCH_ERROR');
+  }
+
+  const { sessionId } = params;
+  const { userId } = withIdentity(req, {});
+  const waitForJS = batch.options.waitForJS;
+  logger.info(`一括診断開始: ${parsed.urls.length}件 (同時実行=${batch.options.concurrency}, JS待機=${waitForJS})`);
+
+  // 進捗は1行1イベント。compression が溜め込まないよう書くたびに flush する
+  const writeEvent = (event) => {
+    res.write(`${JSON.stringify(event)}\n`);
+    if (typeof res.flush === 'function') res.flush();
+  };
+  if (stream) {
+    res.status(200).set({ 'Content-Type': 'application/x-ndjson; charset=utf-8', 'Cache-Control': 'no-cache' });
+    writeEvent({ type: 'start', total: parsed.urls.length, skipped: parsed.skipped });
+  }
+
+  try {
+    const report = await batch.run(parsed.urls, {
+      beforeCheck: createPageCharger(req.apiIdentity, checkBucket(batch.options)),
+      onProgress: stream ? ({ completed, total, item }) => writeEvent({ type: 'progress', completed, total, item }) : null,
+      onResult: (url, results) => saveAnalysisHistory(results, { url, waitForJS, sessionId, userId }),
+    });
+    report.skipped = parsed.skipped;
+    logger.info(`一括診断完了: 成功 ${report.summary.succeeded}件 / 失敗 ${report.summary.failed}件`);
+
+    if (stream) {
+      writeEvent({ type: 'complete', data: report, ...(format === 'csv' && { csv: batch.toCsv(report) }) });
+      return res.end();
+    }
+    if (report.summary.succeeded === 0) {
+      return sendApiError(res, 502, `すべてのURLの診断に失敗しました（${report.summary.failed}件）`, 'ALL_FETCH_FAILED');
+    }
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="seo-batch-${report.startedAt.slice(0, 10)}.csv"`);
+      return res.send(BATCH_CSV_BOM + batch.toCsv(report));
+    }
+    return sendApiSuccess(res, report);
+  } catch (error) {
+    logger.error(`一括診断エラー: ${error.message}`);
+    if (stream) {
+      writeEvent({ type: 'error', error: error.message, code: error.code || 'BATCH_ERROR' });
+      return res.end();
+    }
+    return sendApiError(res, 500, error.message, error.code || 'BATCH_ERROR');
+  }
+});
+
+// Phase 3-K: 非同期ジョブ
+// POST /api/jobs で診断を登録して 202 とジョブIDを返し、GET /api/jobs/:id で状態・段階・結果を取得、
+// DELETE /api/jobs/:id で取り消す。保存先は起動時に決める（MONGODB_URI 接続時は MongoDB、未設定ならメモリ）
+const JOB_VALIDATORS = {
+  seo: validateSeoRequest,
+  compare: validateCompareRequest,
+};
+const jobQueue = new JobQueue({
+  concurrency: process.env.JOB_CONCURRENCY,
+  leaseMs: process.env.JOB_LEASE_MS,
+  logger,
+  handlers: {
+    seo: (params, ctx) => runSeoCheck(params, { onStage: ctx.setStage }),
+    compare: (params, ctx) => runComparison(params, { onStage: ctx.setStage }),
+    // Phase 3-U: callbackUrl 付きの一括診断（/api/check/batch から登録）
+    batch: (params, ctx) => runBatch(params, { onStage: ctx.setStage }),
+  },
+  onFinish: job => callbackDispatcher.enqueueForJob(job),
+});
+
+// Phase 3-U: 診断が終わったときの署名付きコールバック（callbackUrl）
+// 配送は試行ごとに記録し、失敗は指数バックオフで再送する。宛先はページの取得と同じく外向きの検査を通す
+const callbackDispatcher = new CallbackDispatcher({
+  secret: process.env.CALLBACK_SIGNING_SECRET,
+  maxAttempts: process.env.CALLBACK_MAX_ATTEMPTS,
+  outboundGuard,
+  logger,
+});
+
+function isCallbackRequestError(error) {
+  return ['INVALID_CALLBACK_URL', 'INVALID_CALLBACK_PAYLOAD', 'CALLBACK_UNAVAILABLE'].includes(error.code);
+}
+
+/**
+ * callbackUrl 付きの依頼をジョブとして登録し、202 を返す
+ * @param {'seo'|'compare'|'batch'} type
+ * @param {Object} params - withIdentity 済みのパラメータ
+ * @param {Object} callback - callbackDispatcher.parseRequest の戻り値
+ */
+async function acceptWithCallback(res, type, params, callback) {
+  // 診断対象と同じく、登録時にも宛先を検査する（送信のたびにも検査される）
+  await outboundGuard.check(callback.callbackUrl);
+  const job = await jobQueue.enqueue(type, { ...params, ...callback }, { sessionId: params.sessionId, userId: params.userId });
+  logger.info(`ジョブ登録（コールバック付き）: ${type} ${job.id}`);
+  res.status(202).set('Location', jobUrl(job));
+  return sendApiSuccess(res, {
+    ...job,
+    statusUrl: jobUrl(job),
+    callback: { url: callback.callbackUrl, payload: callback.callbackPayload, deliveriesUrl: jobUrl(job, '/callbacks') },
+  });
+}
+
+/**
+ * 一括診断を実行して履歴に保存（callbackUrl 付きの batch ジョブ用）
+ * @param {Object} params - urls / skipped / concurrency / maxUrls / waitForJS / sessionId / userId /
+ *   rateLimit（登録した利用者の subject / limits。2件目からの回数はジョブの実行時に数える）
+ */
+async function runBatch(params, hooks = {}) {
+  const { urls = [], skipped = [], concurrency, maxUrls, waitForJS, sessionId, userId, rateLimit } = params;
+  const batch = new BatchChecker(new SEOChecker(), { concurrency, maxUrls, waitForJS });
+  if (typeof hooks.onStage === 'function') await hooks.onStage('check');
+  const report = await batch.run(urls, {
+    beforeCheck: rateLimit ? createPageCharger(rateLimit, checkBucket(batch.options)) : null,
+    onResult: (url, results) => saveAnalysisHistory(results, { url, waitForJS: batch.options.waitForJS, sessionId, userId }),
+  });
+  report.skipped = skipped;
+  if (params.format === 'csv') report.csv = batch.toCsv(report);
+  return report;
+}
+
+app.post('/api/jobs', async (req, res) => {
+  try {
+    const { type = 'seo', ...body } = req.body || {};
+    const params = withIdentity(req, body);
+    const validate = JOB_VALIDATORS[type];
+    if (!validate) {
+      return sendApiError(res, 400, `type は ${Object.keys(JOB_VALIDATORS).join(' / ')} のいずれかを指定してください`, 'UNSUPPORTED_JOB_TYPE');
+    }
+    const validation = validate(params);
+    if (!validation.valid) {
+      return sendApiError(res, 400, validation.error, validation.code);
+    }
+    // Phase 3-U: callbackUrl を付けると、終わったときに結果を POST する
+    const callback = callbackDispatcher.parseRequest(params);
+    if (callback) Object.assign(params, callback);
+    // Phase 3-M: 内部ネットワーク宛ては登録時に断る（実行時にも取得のたびに検査される）
+    const competitorUrls = type === 'compare' && Array.isArray(params.competitorUrls) ? params.competitorUrls : [];
+    for (const target of [params.url, params.primaryUrl, params.competitorUrl, ...competitorUrls, params.callbackUrl]) {
+      if (typeof target === 'string' && target) await outboundGuard.check(target);
+    }
+    if (!(await enforceRateLimit(req, res, checkBucket(params), type === 'compare' ? compareCost(params) : 1))) return;
+    const job = await jobQueue.enqueue(type, params, { sessionId: params.sessionId, userId: params.userId });
+    logger.info(`ジョブ登録: ${type} ${job.id}`);
+    res.status(202).set('Location', jobUrl(job));
+    return sendApiSuccess(res, { ...job, statusUrl: jobUrl(job) });
+  } catch (error) {
+    if (isCallbackRequestError(error)) return sendApiError(res, error.status, error.message, error.code);
+    logger.error(`ジョブ登録エラー: ${error.message}`);
+    if (OutboundGuard.isBlockedError(error)) return sendBlockedError(res, error);
+    return sendApiError(res, 500, error.message, 'JOB_ERROR');
+  }
+});
+
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobQueue.get(req.params.id, jobOwner(req));
+    if (!job) {
+      return sendApiError(res, 404, 'ジョブが見つかりません（終了後24時間で削除されます）', 'JOB_NOT_FOUND');
+    }
+    // Phase 3-P: ?format=sarif | junit は完了した seo ジョブの結果を CI 向けの形式で返す
+    const { format, threshold } = req.query;
+    if (format && format !== 'json') {
+      const validation = validateReportFormat({ format, threshold });
+      if (!validation.valid) return sendApiError(res, 400, validation.error, validation.code);
+      if (job.type !== 'seo' || job.status !== 'succeeded') {
+        return sendApiError(res, 409, `format=${format} は完了した seo ジョブでのみ指定できます（${job.type} / ${job.status}）`, 'JOB_RESULT_UNAVAILABLE');
+      }
+      return sendCheckResult(res, job.result, { format, threshold });
+    }
+    return sendApiSuccess(res, job);
+  } catch (error) {
+    logger.error(`ジョブ取得エラー: ${error.message}`);
+    return sendApiError(res, 500, error.message, 'JOB_ERROR');
+  }
+});
+
+app.delete('/api/jobs/:id', async (req, res) => {
+  try {
+    const owner = jobOwner(req);
+    const current = await jobQueue.get(req.params.id, owner);
+    if (!current) {
+      return sendApiError(res, 404, 'ジョブが見つかりません（終了後24時間で削除されます）', 'JOB_NOT_FOUND');
+    }
+    if (JobQueue.isFinished(current)) {
+      return sendApiError(res, 409, `ジョブは既に終了しています（${current.status}）`, 'JOB_ALREADY_FINISHED');
+    }
+    return sendApiSuccess(res, await jobQueue.cancel(req.params.id, owner));
+  } catch (error) {
+    logger.error(`ジョブ取り消しエラー: ${error.message}`);
+    return sendApiError(res, 500, error.message, 'JOB_ERROR');
+  }
+});
+
+// Phase 3-U: ジョブのコールバックの配送状況（試行ごとの日時・HTTP ステータス・所要時間・エラー）
+app.get('/api/jobs/:id/callbacks', async (req, res) => {
+  try {
+    const job = await jobQueue.get(req.params.id, jobOwner(req));
+    if (!job) {
+      return sendApiError(res, 404, 'ジョブが見つかりません（終了後24時間で削除されます）', 'JOB_NOT_FOUND');
+    }
+    return sendApiSuccess(res, { items: await callbackDispatcher.listByJob(job.id) });
+  } catch (error) {
+    logger.error(`コールバック取得エラー: ${error.message}`);
+    return sendApiError(res, 500, error.message, 'JOB_ERROR');
+  }
+});
+
+// Phase 3-Q: 持ち帰り用レポート（単体で開ける HTML / PDF）
+// url / html を診断するか、完了した seo ジョブ（jobId）の結果を使う。
+// branding（companyName / logoUrl / primaryColor / footerText）で代理店のロゴ・社名・色を入れられる
+app.post('/api/report/export', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const format = body.format || req.query.format || 'html';
+    if (!ReportExporter.FORMATS.includes(format)) {
+      return sendApiError(res, 400, `format は ${ReportExporter.FORMATS.join(' / ')} のいずれかを指定してください`, 'INVALID_FORMAT');
+    }
+    const branding = ReportExporter.resolveBranding(body.branding);
+
+    let results;
+    if (body.jobId) {
+      const job = await jobQueue.get(String(body.jobId), jobOwner(req));
+      if (!job) {
+        return sendApiError(res, 404, 'ジョブが見つかりません（終了後24時間で削除されます）', 'JOB_NOT_FOUND');
+      }
+      if (job.type !== 'seo' || job.status !== 'succeeded') {
+        return sendApiError(res, 409, `レポートにできるのは完了した seo ジョブだけです（${job.type} / ${job.status}）`, 'JOB_RESULT_UNAVAILABLE');
+      }
+      results = job.result;
+    } else {
+      const validation = validateSeoRequest({ url: body.url, html: body.html, performanceProfile: body.performanceProfile });
+      if (!validation.valid) {
+        return sendApiError(res, 400, validation.error, validation.code);
+      }
+      if (!(await enforceRateLimit(req, res, checkBucket(body)))) return;
+    }
+    // PDF の印刷は Chromium を使うため puppeteer 枠も数える
+    if (format === 'pdf' && !(await enforceRateLimit(req, res, 'puppeteer'))) return;
+    if (!results) results = await runSeoCheck(withIdentity(req, { ...body, slim: false }));
+
+    const exporter = new ReportExporter({ browserPool, outboundGuard });
+    const filename = `seo-report-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'pdf') {
+      return res.type('application/pdf').send(await exporter.renderPdf(results, { branding }));
+    }
+    res.set('Content-Security-Policy', ReportExporter.CONTENT_SECURITY_POLICY);
+    return res.type('html').send(exporter.renderHtml(results, { branding }));
+  } catch (error) {
+    logger.error(`レポート出力エラー: ${error.message}`);
+    if (error.code === 'INVALID_BRANDING') return sendApiError(res, 400, error.message, error.code);
+    if (BrowserPool.isOverloadError(error)) return sendOverloadError(res, error);
+    if (OutboundGuard.isBlockedError(error)) return sendBlockedError(res, error);
+    if (error.code === 'CHROME_UNAVAILABLE') return sendApiError(res, 503, error.message, error.code);
+    return sendApiError(res, 500, error.message, 'REPORT_EXPORT_ERROR');
+  }
+});
+
 // ヘルスチェック（Render 等の監視用）
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Phase 3-L: 稼働状況（ブラウザプール・メモリ）
+app.get('/api/status', (req, res) => {
+  const used = process.memoryUsage();
+  res.set('Cache-Control', 'no-store');
+  return sendApiSuccess(res, {
+    uptimeSec: Math.round(process.uptime()),
+    memory: {
+      heapUsedMB: Math.round(used.heapUsed / 1024 / 1024),
+      heapTotalMB: Math.round(used.heapTotal / 1024 / 1024),
+      rssMB: Math.round(used.rss / 1024 / 1024),
+    },
+    browserPool: browserPool.getStats(),
+    // Phase 3-X: 形態素解析の子プロセスの状況
+    japaneseAnalyzer: JapaneseAnalyzerProcess.shared().getStatus(),
+  });
+});
+
 // バージョン情報（Phase 2-B: フッタの動的バージョン表示用）
 // package.json から version / license / name を読み込んで返す
 // 起動時に1度だけ読み込みキャッシュ
@@ -2447,6 +3671,7 @@ app.post('/api/llm/suggest', async (req, res) => {
     if (!LlmContentRewriter.SUPPORTED_TARGETS.includes(target)) {
       return sendApiError(res, 400, `target は ${LlmContentRewriter.SUPPORTED_TARGETS.join('/')} のいずれか`, 'UNSUPPORTED_TARGET');
     }
+    if (!(await enforceRateLimit(req, res, 'llm'))) return;
     // Phase 2-G: specificLocation も渡す (該当箇所単位での個別最適化)
     const result = await rewriter.rewrite({
       target,
@@ -2465,18 +3690,27 @@ app.post('/api/llm/suggest', async (req, res) => {
   }
 });
 
+// 分析履歴を読めるのは API キーの利用者だけ。キーなしの履歴は利用者を区別できず、
+// キーなしの呼び出しどうしで互いの URL・結果が見えてしまうため、保存はしても返さない
+function requireHistoryOwner(req, res) {
+  const { userId } = withIdentity(req, {});
+  if (!userId) sendApiError(res, 401, '分析履歴の参照には API キーが必要です', 'API_KEY_REQUIRED');
+  return userId;
+}
+
 // 分析履歴一覧（MONGODB_URI 設定時のみ有効）
 app.get('/api/history', async (req, res) => {
   if (!isDBConnected()) {
     return sendApiError(res, 503, '履歴機能は利用できません（データベース未接続）', 'DB_UNAVAILABLE');
   }
+  const userId = requireHistoryOwner(req, res);
+  if (!userId) return;
   try {
     const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
     const sessionId = req.query.sessionId || null;
-    const userId = req.query.userId || null;
-    const filter = {};
+    // 自分の履歴だけを返す（クエリの userId は使わない）
+    const filter = { userId };
     if (sessionId) filter.sessionId = sessionId;
-    if (userId) filter.userId = userId;
     const items = await AnalysisHistory.find(filter)
       .sort({ createdAt: -1 })
       .limit(limit)
@@ -2488,28 +3722,206 @@ app.get('/api/history', async (req, res) => {
   }
 });
 
+// Phase 3-R: 1つの URL（match=normalized なら同じページとみなす URL のグループ）のスコアの推移
+// 合計・カテゴリ別・優先度ごとの問題数の系列と移動平均、動きの大きかった変化を返す
+const scoreHistory = new ScoreHistory({ model: AnalysisHistory });
+app.get('/api/history/trend', async (req, res) => {
+  if (!isDBConnected()) {
+    return sendApiError(res, 503, '履歴機能は利用できません（データベース未接続）', 'DB_UNAVAILABLE');
+  }
+  if (!requireHistoryOwner(req, res)) return;
+  try {
+    return sendApiSuccess(res, await scoreHistory.trend(withIdentity(req, { ...req.query })));
+  } catch (error) {
+    if (error.status === 400) return sendApiError(res, 400, error.message, error.code);
+    logger.error(`推移取得エラー: ${error.message}`);
+    return sendApiError(res, 500, error.message, 'HISTORY_ERROR');
+  }
+});
+
+// Phase 3-S: 同じ URL の2回分の差分（新しい問題・解消した問題・値の変化・JSON-LD の @type・カテゴリ別スコア）
+// GET は履歴の2回分（from / to、省略時は url の最新の2回）、POST は今回の診断と最新の履歴（または base）を比べる
+app.get('/api/history/diff', async (req, res) => {
+  if (!isDBConnected()) {
+    return sendApiError(res, 503, '履歴機能は利用できません（データベース未接続）', 'DB_UNAVAILABLE');
+  }
+  if (!requireHistoryOwner(req, res)) return;
+  try {
+    return sendApiSuccess(res, await runDiff.compareStored(withIdentity(req, { ...req.query })));
+  } catch (error) {
+    if (error.status === 400 || error.status === 404) return sendApiError(res, error.status, error.message, error.code);
+    logger.error(`差分取得エラー: ${error.message}`);
+    return sendApiError(res, 500, error.message, 'HISTORY_ERROR');
+  }
+});
+
+app.post('/api/history/diff', async (req, res) => {
+  if (!isDBConnected()) {
+    return sendApiError(res, 503, '履歴機能は利用できません（データベース未接続）', 'DB_UNAVAILABLE');
+  }
+  if (!requireHistoryOwner(req, res)) return;
+  try {
+    const body = req.body || {};
+    if (!body.url) {
+      return sendApiError(res, 400, '今回の診断と比べるには url を指定してください', 'MISSING_INPUT');
+    }
+    const validation = validateSeoRequest({ url: body.url, performanceProfile: body.performanceProfile });
+    if (!validation.valid) {
+      return sendApiError(res, 400, validation.error, validation.code);
+    }
+    // 今回の結果も履歴に保存されるため、比較元は診断の前に決めておく
+    const params = withIdentity(req, { ...body, html: undefined });
+    const before = await runDiff.findBase({ url: body.url, base: body.base, userId: params.userId });
+    if (!(await enforceRateLimit(req, res, checkBucket(body)))) return;
+    const results = await runSeoCheck(params);
+    return sendApiSuccess(res, runDiff.compareWithFresh(results, { url: body.url, before }));
+  } catch (error) {
+    if (error.status === 400 || error.status === 404) return sendApiError(res, error.status, error.message, error.code);
+    logger.error(`差分取得エラー: ${error.message}`);
+    if (BrowserPool.isOverloadError(error)) return sendOverloadError(res, error);
+    if (OutboundGuard.isBlockedError(error)) return sendBlockedError(res, error);
+    if (error.code === 'CHROME_UNAVAILABLE') return sendApiError(res, 503, error.message, error.code);
+    return sendApiError(res, 500, error.message, 'HISTORY_ERROR');
+  }
+});
+
+// Phase 3-T: 定期監視とアラート
+// 登録した URL を周期（hourly / daily / weekly）ごとに診断して履歴に保存し、前回と比べてルールに当たれば
+// Webhook（Slack 互換）に通知する。保存先は起動時に決める（MONGODB_URI 接続時は MongoDB、未設定ならメモリ）
+// 登録・操作は API キーの利用者だけ（キーなしは API_KEY_REQUIRED・401）
+const monitorScheduler = new MonitorScheduler({
+  pollIntervalMs: process.env.MONITOR_POLL_MS,
+  maxMonitors: process.env.MONITOR_MAX,
+  defaultWebhookUrl: process.env.MONITOR_WEBHOOK_URL,
+  outboundGuard,
+  logger,
+  runCheck: params => runSeoCheck(params),
+});
+
+function sendMonitorError(res, error) {
+  if (OutboundGuard.isBlockedError(error)) return sendBlockedError(res, error);
+  if ([400, 401, 404, 409].includes(error.status)) return sendApiError(res, error.status, error.message, error.code);
+  logger.error(`監視エラー: ${error.message}`);
+  return sendApiError(res, 500, error.message, 'MONITOR_ERROR');
+}
+
+// 監視する URL と Webhook の宛先は登録時に検査する（診断・送信のたびにも検査される）
+async function checkMonitorDestinations(body) {
+  for (const target of [body.url, body.webhookUrl]) {
+    if (typeof target === 'string' && target) await outboundGuard.check(target);
+  }
+}
+
+function monitorNotFound(res) {
+  return sendApiError(res, 404, '監視が見つかりません', 'MONITOR_NOT_FOUND');
+}
+
+app.post('/api/monitors', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const identity = withIdentity(req, {});
+    monitorScheduler.parseInput(body);
+    await monitorScheduler.checkQuota(identity);
+    // 登録するとすぐ最初の診断を行うため、診断1回分として数える
+    if (!(await enforceRateLimit(req, res, checkBucket(body.options)))) return;
+    await checkMonitorDestinations(body);
+    const monitor = await monitorScheduler.create(body, identity);
+    logger.info(`監視登録: ${monitor.id} ${monitor.url} (${monitor.schedule})`);
+    res.status(201).set('Location', `/api/monitors/${monitor.id}`);
+    return sendApiSuccess(res, monitor);
+  } catch (error) {
+    return sendMonitorError(res, error);
+  }
+});
+
+app.get('/api/monitors', async (req, res) => {
+  try {
+    return sendApiSuccess(res, { items: await monitorScheduler.list(withIdentity(req, {})) });
+  } catch (error) {
+    return sendMonitorError(res, error);
+  }
+});
+
+app.get('/api/monitors/:id', async (req, res) => {
+  try {
+    const monitor = await monitorScheduler.get(req.params.id, withIdentity(req, {}));
+    return monitor ? sendApiSuccess(res, monitor) : monitorNotFound(res);
+  } catch (error) {
+    return sendMonitorError(res, error);
+  }
+});
+
+app.patch('/api/monitors/:id', async (req, res) => {
+  try {
+    const body = req.body || {};
+    monitorScheduler.parseInput(body, { partial: true });
+    await checkMonitorDestinations(body);
+    const monitor = await monitorScheduler.update(req.params.id, body, withIdentity(req, {}));
+    return monitor ? sendApiSuccess(res, monitor) : monitorNotFound(res);
+  } catch (error) {
+    return sendMonitorError(res, error);
+  }
+});
+
+app.delete('/api/monitors/:id', async (req, res) => {
+  try {
+    const removed = await monitorScheduler.remove(req.params.id, withIdentity(req, {}));
+    return removed ? sendApiSuccess(res, { id: req.params.id, deleted: true }) : monitorNotFound(res);
+  } catch (error) {
+    return sendMonitorError(res, error);
+  }
+});
+
+// 次の予定を待たずに診断する（結果は GET /api/monitors/:id の lastRunAt / recentAlerts で確認）
+app.post('/api/monitors/:id/run', async (req, res) => {
+  try {
+    const identity = withIdentity(req, {});
+    const current = await monitorScheduler.get(req.params.id, identity);
+    if (!current) return monitorNotFound(res);
+    if (!(await enforceRateLimit(req, res, checkBucket(current.options)))) return;
+    res.status(202);
+    return sendApiSuccess(res, await monitorScheduler.runNow(req.params.id, identity));
+  } catch (error) {
+    return sendMonitorError(res, error);
+  }
+});
+
 // メモリ使用量監視
+// Phase 3-L: global.gc() の強制実行は廃止。ブラウザの作り直し・受付停止はブラウザプールが行う
 setInterval(() => {
   const used = process.memoryUsage();
   const usedMB = Math.round(used.heapUsed / 1024 / 1024);
   const totalMB = Math.round(used.heapTotal / 1024 / 1024);
-  
+
   if (usedMB > 200) { // 200MBを超えた場合に警告
-    logger.warn(`メモリ使用量が高いです: ${usedMB}MB / ${totalMB}MB`);
-    
-    // ガベージコレクションを強制実行
-    if (global.gc) {
-      global.gc();
-      const afterGC = process.memoryUsage();
-      const afterMB = Math.round(afterGC.heapUsed / 1024 / 1024);
-      logger.info(`ガベージコレクション実行後: ${afterMB}MB`);
-    }
+    const stats = browserPool.getStats();
+    logger.warn(`メモリ使用量が高いです: ${usedMB}MB / ${totalMB}MB（ブラウザ ${stats.browsers}・処理中 ${stats.activePages}・待機 ${stats.queued}）`);
   }
 }, 30000).unref(); // 30秒ごとにチェック（.unref() でテストプロセスを終わらせない）
 
 // サーバー起動（Render 等では 0.0.0.0 でバインド）
 async function start() {
   await connectDB();
+  // Phase 3-K: DB に接続できたときだけジョブを MongoDB に保存（複数インスタンスで共有）
+  jobQueue.useStore(isDBConnected() ? new JobQueue.MongoJobStore(AnalysisJob) : new JobQueue.MemoryJobStore());
+  jobQueue.start();
+  // Phase 3-T: 監視も同じ DB に保存する（複数インスタンスでは期限の来た回をどれか1つが診断する）
+  monitorScheduler.useStore(isDBConnected() ? new MonitorScheduler.MongoMonitorStore(Monitor) : new MonitorScheduler.MemoryMonitorStore());
+  monitorScheduler.start();
+  // Phase 3-U: コールバックの配送も同じ DB に保存する（再起動後も再送を続ける）
+  callbackDispatcher.useStore(isDBConnected() ? new CallbackDispatcher.MongoDeliveryStore(CallbackDelivery) : new CallbackDispatcher.MemoryDeliveryStore());
+  callbackDispatcher.start();
+  // Phase 3-N: API キーは DB にのみ登録できる。未接続時は回数もメモリで数える（全員 IP ごとの制限）
+  if (isDBConnected()) {
+    rateLimiter.useStores({ keyStore: new RateLimiter.MongoApiKeyStore(ApiKey), usageStore: new RateLimiter.MongoUsageStore(ApiUsage) });
+  }
+  // Phase 3-L: 停止時（Render の再デプロイ等は SIGTERM）にプールの Chromium を閉じる
+  process.once('SIGTERM', () => {
+    jobQueue.stop();
+    monitorScheduler.stop();
+    callbackDispatcher.stop();
+    browserPool.close().finally(() => process.exit(0));
+  });
   const host = process.env.HOST || '0.0.0.0';
   app.listen(port, host, () => {
     logger.info(`SEOチェックサーバー起動: ${host}:${port}`);
@@ -2522,7 +3934,7 @@ async function start() {
   });
 }
 
-if (process.env.NODE_ENV !== 'test') {
+if (process.env.NODE_ENV !== 'test' && !cliMode) {
   start().catch((err) => {
     logger.error('Server start failed:', err);
     process.exit(1);
@@ -2530,3 +3942,5 @@ if (process.env.NODE_ENV !== 'test') {
 }
 
 module.exports = SEOChecker;
+// ルート単位のテスト用（テストでは start しない）
+module.exports.app = app;
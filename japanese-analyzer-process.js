@@ -0,0 +1,259 @@
+/**
+ * Phase 3-X: 形態素解析（JapaneseAnalyzer）を子プロセスで動かす
+ *
+ * kuromoji の辞書は読み込むとプロセスの RSS が約 320MB 増え、参照を捨てて GC しても
+ * Web プロセスの RSS は戻らない（実測 367MB → 336MB。worker_threads でも終了のたびに 50〜70MB ずつ残る）。
+ * そこで辞書は子プロセス（child_process.fork）だけが読み、Web プロセスは本文を送って結果を受け取る。
+ *  - 最初の解析で子プロセスを起動する（辞書の読み込みに約 1 秒）。idleMs（既定 60 秒）使われなければ
+ *    終了してメモリを OS に返し、次の解析で起動し直す
+ *  - 子プロセスのヒープは maxHeapMb（既定 256MB。辞書を読んだ直後で約 80MB）を上限にする
+ *  - 子プロセスが落ちた、または timeoutMs 以内に応答しないときは、その解析だけ null を返す
+ *    （呼び出し側は従来の概算を使う）。辞書の読み込みに失敗したときは以降は起動しない
+ *
+ * 共有インスタンス（shared）は JA_TOKENIZER=off のときだけ無効にする。
+ *
+ * @example
+ *   const analyzer = JapaneseAnalyzerProcess.shared();
+ *   const stats = await analyzer.analyze('本が書かれた。確認することができます。');
+ *   const words = await analyzer.countWords('これはテストです。');
+ *   analyzer.getStatus(); // { enabled: true, loaded: true, error: null, starts: 1 }
+ */
+
+const { fork } = require('child_process');
+
+const DEFAULT_OPTIONS = Object.freeze({
+  idleMs: 60 * 1000,
+  // 辞書の読み込み（初回）を含めた1件の上限
+  timeoutMs: 15 * 1000,
+  maxHeapMb: 256,
+});
+
+let sharedProcess = null;
+
+class JapaneseAnalyzerProcess {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled=true] - false なら子プロセスを起動せず、常に null を返す
+   * @param {number} [options.maxChars] - 解析する本文の上限（JapaneseAnalyzer の maxChars）
+   * @param {number} [options.idleMs=60000]
+   * @param {number} [options.timeoutMs=15000]
+   * @param {number} [options.maxHeapMb=256]
+   * @param {Function} [options.forkImpl] - child_process.fork 互換の関数（テスト用）
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.options = {
+      maxChars: positiveInt(options.maxChars, null),
+      idleMs: positiveInt(options.idleMs, DEFAULT_OPTIONS.idleMs),
+      timeoutMs: positiveInt(options.timeoutMs, DEFAULT_OPTIONS.timeoutMs),
+      maxHeapMb: positiveInt(options.maxHeapMb, DEFAULT_OPTIONS.maxHeapMb),
+    };
+    this.forkImpl = options.forkImpl || fork;
+    this.child = null;
+    this.loading = null;
+    this.loaded = false;
+    this.loadError = null;
+    this.pending = new Map();
+    this.nextId = 1;
+    this.idleTimer = null;
+    this.starts = 0;
+  }
+
+  /**
+   * 環境変数（JA_TOKENIZER / JA_TOKENIZER_MAX_CHARS / JA_TOKENIZER_IDLE_MS / JA_TOKENIZER_MAX_HEAP_MB）から
+   * 作った共有インスタンス
+   */
+  static shared() {
+    if (!sharedProcess) {
+      sharedProcess = new JapaneseAnalyzerProcess({
+        enabled: String(process.env.JA_TOKENIZER || '').toLowerCase() !== 'off',
+        maxChars: process.env.JA_TOKENIZER_MAX_CHARS,
+        idleMs: process.env.JA_TOKENIZER_IDLE_MS,
+        maxHeapMb: process.env.JA_TOKENIZER_MAX_HEAP_MB,
+      });
+    }
+    return sharedProcess;
+  }
+
+  /**
+   * 子プロセスを起動して辞書を読み込む（並行して呼ばれても1回だけ起動する）。失敗しても例外は投げない
+   * @returns {Promise<boolean>} 解析できるなら true
+   */
+  ready() {
+    if (this.loaded) return Promise.resolve(true);
+    if (!this.enabled || this.loadError) return Promise.resolve(false);
+    if (!this.loading) {
+      this.loading = new Promise((resolve) => {
+        let child;
+        try {
+          const args = this.options.maxChars ? [String(this.options.maxChars)] : [];
+          child = this.forkImpl(__filename, args, {
+            execArgv: [`--max-old-space-size=${this.options.maxHeapMb}`],
+            stdio: ['ignore', 'inherit', 'inherit', 'ipc'],
+          });
+        } catch (err) {
+          this.loadError = err;
+          this.loading = null;
+          return resolve(false);
+        }
+        this.child = child;
+        this.starts++;
+        // 待っている解析が無いあいだは、子プロセスが親（CLI 等）の終了を妨げないようにする
+        if (typeof child.unref === 'function') child.unref();
+        holdOpen(child, true);
+        child.on('message', (message) => {
+          if (message && message.type === 'ready') {
+            if (message.ok) {
+              this.loaded = true;
+              this.touch();
+            } else {
+              this.loadError = new Error(message.error || '辞書を読み込めません');
+              this.stop();
+            }
+            return resolve(message.ok === true);
+          }
+          this.settle(message && message.id, message && message.result);
+        });
+        child.on('exit', (code, signal) => {
+          if (this.child !== child) return;
+          if (!this.loaded && !this.loadError) {
+            this.loadError = new Error(`形態素解析のプロセスが終了しました（${signal || `code ${code}`}）`);
+          }
+          this.reset();
+          resolve(false);
+        });
+        child.on('error', (err) => {
+          if (this.child !== child) return;
+          if (!this.loaded) this.loadError = err;
+          this.stop();
+          resolve(false);
+        });
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * 文章の品質の指標（JapaneseAnalyzer#analyze）。解析できないときは null
+   * @param {string} text
+   * @returns {Promise<Object|null>}
+   */
+  analyze(text) {
+    return this.request('analyze', text);
+  }
+
+  /**
+   * 語数（JapaneseAnalyzer#countWords）。解析できないときは null
+   * @param {string} text
+   * @returns {Promise<number|null>}
+   */
+  countWords(text) {
+    return this.request('countWords', text);
+  }
+
+  /** /api/status 用 */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      loaded: this.loaded,
+      error: this.loadError ? this.loadError.message : null,
+      starts: this.starts,
+    };
+  }
+
+  /** 子プロセスを終了する（待っている解析は null で返す） */
+  stop() {
+    const child = this.child;
+    this.reset();
+    if (child) child.kill();
+  }
+
+  /** @private */
+  async request(method, text) {
+    if (!(await this.ready())) return null;
+    const child = this.child;
+    if (!child) return null;
+    const id = this.nextId++;
+    clearTimeout(this.idleTimer);
+    holdOpen(child, true);
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => this.settle(id, null), this.options.timeoutMs);
+      if (typeof timer.unref === 'function') timer.unref();
+      this.pending.set(id, { resolve, timer });
+      try {
+        child.send({ id, method, text: String(text || '') });
+      } catch (err) {
+        this.settle(id, null);
+      }
+    });
+  }
+
+  /** @private */
+  settle(id, result) {
+    const entry = this.pending.get(id);
+    if (!entry) return;
+    this.pending.delete(id);
+    clearTimeout(entry.timer);
+    entry.resolve(result === undefined ? null : result);
+    this.touch();
+  }
+
+  /**
+   * 待っている解析が無くなったら、idleMs 後に子プロセスを終了する
+   * @private
+   */
+  touch() {
+    clearTimeout(this.idleTimer);
+    if (!this.child || this.pending.size > 0) return;
+    holdOpen(this.child, false);
+    this.idleTimer = setTimeout(() => this.stop(), this.options.idleMs);
+    if (typeof this.idleTimer.unref === 'function') this.idleTimer.unref();
+  }
+
+  /** @private */
+  reset() {
+    clearTimeout(this.idleTimer);
+    this.child = null;
+    this.loading = null;
+    this.loaded = false;
+    const pending = [...this.pending.keys()];
+    pending.forEach(id => this.settle(id, null));
+  }
+}
+
+/** IPC のチャネルで親プロセスを生かしておくか（解析を待っているあいだだけ） */
+function holdOpen(child, hold) {
+  const channel = child.channel;
+  if (!channel) return;
+  if (hold && typeof channel.ref === 'function') channel.ref();
+  if (!hold && typeof channel.unref === 'function') channel.unref();
+}
+
+function positiveInt(value, fallback) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+// 子プロセス: 辞書を読み込んで ready を返し、親から届いた本文を解析する
+if (require.main === module && typeof process.send === 'function') {
+  const JapaneseAnalyzer = require('./japanese-analyzer');
+  const analyzer = new JapaneseAnalyzer({ maxChars: process.argv[2] });
+  process.on('disconnect', () => process.exit(0));
+  process.on('message', ({ id, method, text }) => {
+    let result = null;
+    try {
+      result = method === 'countWords' ? analyzer.countWords(text) : analyzer.analyze(text);
+    } catch (err) {
+      result = null;
+    }
+    process.send({ id, result });
+  });
+  analyzer.ready().then(ok => process.send({
+    type: 'ready',
+    ok,
+    error: analyzer.loadError ? analyzer.loadError.message : null,
+  }));
+}
+
+module.exports = JapaneseAnalyzerProcess;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
@@ -0,0 +1,360 @@
+/**
+ * Phase 3-X: 日本語の形態素解析（kuromoji + 同梱の IPA 辞書）
+ *
+ * 自然言語品質（AIOChecker.checkNaturalLanguageQuality）は「。！？」で文を区切り、受動態を
+ * /される|られる/ で数えていたため、「言われる」「書かれる」を見落とし、語数も文字数からの概算だった。
+ * kuromoji でトークンに分け、次を求める（辞書は node_modules/kuromoji/dict から読み、ネットワークは使わない）:
+ *  - 文ごとの長さ（文字数・語数・モーラ数）
+ *  - 漢字の割合（漢字 ÷ 漢字とかなの文字数）
+ *  - 文末表現の種類（「ます」「です」「た」「（体言止め）」など）と、最も多い文末の割合・連続回数
+ *  - 冗長な表現（「〜することができる」「〜を行う」「〜させていただく」など）
+ *  - 受動態（動詞の未然形に付く接尾の「れる / られる」。可能・尊敬の「られる」とは区別できない）
+ *  - 専門用語（固有名詞と、英字の語。全角英字は続く文字をまとめて1語）
+ *  - 語数（記号を除いたトークン数。SEOChecker.estimateContentLength が使う）
+ *
+ * 辞書の読み込みは 1 インスタンスで 1 回（約 1 秒）。読み込むとプロセスの RSS が約 320MB 増える
+ * （実測 41MB → 367MB。ヒープは約 80MB で、残りは辞書の配列バッファ）ため、Web プロセスでは直接使わず、
+ * 子プロセスで動かす JapaneseAnalyzerProcess（japanese-analyzer-process.js）を通す。無効、または
+ * 読み込みに失敗したときは analyze / countWords が null を返し、呼び出し側は従来の概算を使う。
+ *
+ * @example
+ *   const analyzer = new JapaneseAnalyzer();
+ *   await analyzer.ready();
+ *   const stats = analyzer.analyze('本が書かれた。確認することができます。');
+ *   // stats.passiveCount === 1, stats.redundantExpressions[0].expression === 'ことができる'
+ */
+
+const path = require('path');
+
+const DEFAULT_OPTIONS = Object.freeze({
+  // これより長い本文は先頭だけを解析する（語数は残りの文字数の割合で補う）
+  maxChars: 30000,
+  // 句点の無い行（見出し・メニュー等）は、この語数以上のときだけ文として数える
+  minUnterminatedWords: 8,
+});
+
+// 冗長な表現（トークンの基本形の並び）。関数は前後関係を見る照合
+const REDUNDANT_PATTERNS = [
+  { expression: 'ことができる', suggestion: '可能動詞・「〜できる」', sequence: ['こと', 'が', 'できる'] },
+  { expression: 'ことが可能', suggestion: '「〜できる」', sequence: ['こと', 'が', '可能'] },
+  { expression: '〜を行う', suggestion: '「〜する」', sequence: [token => token.pos_detail_1 === 'サ変接続', 'を', '行う'] },
+  { expression: 'させていただく', suggestion: '「〜します」', sequence: ['せる', 'て', 'いただく'] },
+  { expression: 'させていただく', suggestion: '「〜します」', sequence: ['させる', 'て', 'いただく'] },
+  { expression: 'ということだ', suggestion: '言い切りの「〜だ / 〜です」', sequence: ['という', 'こと', token => ['だ', 'です'].includes(token.basic_form)] },
+];
+
+// 文末とみなす記号（句点・感嘆符・疑問符）。半角の「.」は後ろが空白・行末のときだけ（小数・略語を除く）
+const SENTENCE_END = /^[。．！？!?]+$/;
+const PUNCTUATION_ONLY = /^[\p{P}\p{S}]+$/u;
+const SMALL_KANA = /[ァィゥェォャュョヮヵヶぁぃぅぇぉゃゅょゎ]/g;
+const KANJI = /[㐀-䶿一-鿿々〆]/g;
+const KANA = /[ぁ-ゖァ-ヺー]/g;
+// 専門用語とみなす英字の語（略語・製品名のように大文字を含むもの。小文字だけの英単語は除く）
+const LATIN_TERM = /^(?=.*[A-ZＡ-Ｚ])[A-Za-zＡ-Ｚａ-ｚ][A-Za-z0-9Ａ-Ｚａ-ｚ０-９_-]*$/;
+
+class JapaneseAnalyzer {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled=true] - false なら辞書を読まず、常に null を返す
+   * @param {number} [options.maxChars=30000]
+   * @param {string} [options.dicPath] - 辞書のディレクトリ（既定は kuromoji 同梱の dict）
+   * @param {Function} [options.builderImpl] - kuromoji.builder 互換の関数（テスト用）
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.options = {
+      maxChars: positiveInt(options.maxChars, DEFAULT_OPTIONS.maxChars),
+      minUnterminatedWords: positiveInt(options.minUnterminatedWords, DEFAULT_OPTIONS.minUnterminatedWords),
+    };
+    this.dicPath = options.dicPath || null;
+    this.builderImpl = options.builderImpl || null;
+    this.tokenizer = null;
+    this.loadError = null;
+    this.loading = null;
+    // 同じ本文を語数・品質の両方で解析するため、直前の1件だけ覚えておく
+    this.lastTokens = { text: null, tokens: null };
+  }
+
+  get available() {
+    return this.tokenizer !== null;
+  }
+
+  /**
+   * 辞書を読み込む（初回のみ。並行して呼ばれても1回だけ読む）。失敗しても例外は投げない
+   * @returns {Promise<boolean>} 解析できるなら true
+   */
+  ready() {
+    if (this.tokenizer) return Promise.resolve(true);
+    if (!this.enabled || this.loadError) return Promise.resolve(false);
+    if (!this.loading) {
+      this.loading = new Promise((resolve) => {
+        try {
+          const builder = this.builderImpl || require('kuromoji').builder;
+          const dicPath = this.dicPath || path.join(path.dirname(require.resolve('kuromoji')), '..', 'dict');
+          builder({ dicPath }).build((err, tokenizer) => {
+            if (err) {
+              this.loadError = err;
+              return resolve(false);
+            }
+            this.tokenizer = tokenizer;
+            return resolve(true);
+          });
+        } catch (err) {
+          this.loadError = err;
+          resolve(false);
+        }
+      });
+    }
+    return this.loading;
+  }
+
+  /** /api/status 用 */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      loaded: this.available,
+      error: this.loadError ? this.loadError.message : null,
+    };
+  }
+
+  /**
+   * 語数（記号・空白を除いたトークン数）。解析できないときは null
+   * @param {string} text
+   * @returns {number|null}
+   */
+  countWords(text) {
+    const source = String(text || '');
+    const tokens = this.tokenize(source);
+    if (!tokens) return null;
+    const words = tokens.filter(isWord).length;
+    const analyzed = Math.min(source.length, this.options.maxChars);
+    return analyzed > 0 ? Math.round(words * (source.length / analyzed)) : 0;
+  }
+
+  /**
+   * 文章の品質の指標。解析できないときは null
+   * @param {string} text - 本文（改行は段落・見出しの区切りとして扱う）
+   */
+  analyze(text) {
+    const source = String(text || '');
+    const tokens = this.tokenize(source);
+    if (!tokens) return null;
+
+    const sentences = this.splitSentences(tokens);
+    const sentenceStats = sentences.map(sentence => {
+      const words = sentence.tokens.filter(isWord);
+      return {
+        chars: words.reduce((sum, token) => sum + token.surface_form.length, 0),
+        words: words.length,
+        morae: words.reduce((sum, token) => sum + countMorae(token), 0),
+      };
+    });
+    const average = key => sentenceStats.length > 0
+      ? round1(sentenceStats.reduce((sum, stat) => sum + stat[key], 0) / sentenceStats.length)
+      : 0;
+
+    const sentenceText = sentences.map(sentence => sentence.tokens.map(token => token.surface_form).join('')).join('');
+    const kanji = (sentenceText.match(KANJI) || []).length;
+    const kana = (sentenceText.match(KANA) || []).length;
+
+    // 受動態は「書か + れ」のように直前の動詞と合わせて例に出す
+    const passives = [];
+    tokens.forEach((token, i) => {
+      if (isPassive(token, tokens[i - 1])) passives.push(`${tokens[i - 1].surface_form}${token.surface_form}`);
+    });
+    const technicalTerms = findTechnicalTerms(tokens);
+
+    return {
+      sentenceCount: sentences.length,
+      avgSentenceChars: average('chars'),
+      avgSentenceWords: average('words'),
+      avgSentenceMorae: average('morae'),
+      longestSentenceChars: sentenceStats.reduce((max, stat) => Math.max(max, stat.chars), 0),
+      kanjiRatio: kanji + kana > 0 ? round1(kanji / (kanji + kana) * 100) : 0,
+      sentenceEndings: summarizeEndings(sentences.filter(sentence => sentence.terminated).map(sentence => sentenceEnding(sentence.tokens))),
+      passiveCount: passives.length,
+      passiveExamples: unique(passives).slice(0, 5),
+      redundantExpressions: findRedundant(tokens),
+      technicalTermCount: technicalTerms.length,
+      technicalTermExamples: unique(technicalTerms).slice(0, 5),
+      wordCount: tokens.filter(isWord).length,
+    };
+  }
+
+  /**
+   * トークン列（maxChars を超える分は解析しない）。直前と同じ本文なら前回の結果を返す
+   * @private
+   */
+  tokenize(text) {
+    if (!this.tokenizer) return null;
+    const source = text.length > this.options.maxChars ? text.slice(0, this.options.maxChars) : text;
+    if (this.lastTokens.text === source) return this.lastTokens.tokens;
+    // kuromoji は改行を記号として返すため、行ごとに解析して改行トークンを入れる
+    const tokens = [];
+    for (const line of source.split(/\n+/)) {
+      const trimmed = line.replace(/\s+/g, ' ').trim();
+      if (!trimmed) continue;
+      tokens.push(...this.tokenizer.tokenize(trimmed), LINE_BREAK);
+    }
+    this.lastTokens = { text: source, tokens };
+    return tokens;
+  }
+
+  /**
+   * 句点・感嘆符・疑問符と改行で文に分ける。句点の無い短い行（見出し・メニュー等）は文に数えない
+   * @private
+   */
+  splitSentences(tokens) {
+    const sentences = [];
+    let current = [];
+    const flush = (terminated) => {
+      const words = current.filter(isWord).length;
+      if (words > 0 && (terminated || words >= this.options.minUnterminatedWords)) {
+        sentences.push({ tokens: current, terminated });
+      }
+      current = [];
+    };
+    tokens.forEach((token, i) => {
+      const next = tokens[i + 1];
+      if (token === LINE_BREAK) {
+        flush(false);
+      } else if (SENTENCE_END.test(token.surface_form) ||
+        (token.surface_form === '.' && (!next || next === LINE_BREAK || next.surface_form.trim() === ''))) {
+        flush(true);
+      } else {
+        current.push(token);
+      }
+    });
+    flush(false);
+    return sentences;
+  }
+}
+
+// 行の区切り（kuromoji のトークンと同じ形にしておく）
+const LINE_BREAK = Object.freeze({ surface_form: '\n', pos: '記号', pos_detail_1: '改行', basic_form: '\n' });
+
+// 未知語の「.」「/」なども名詞になるため、記号だけのトークンは語に数えない
+function isWord(token) {
+  return token.pos !== '記号' && token.surface_form.trim() !== '' && !PUNCTUATION_ONLY.test(token.surface_form);
+}
+
+/** 動詞の未然形に付く接尾の「れる / られる」 */
+function isPassive(token, previous) {
+  return token.pos === '動詞' && token.pos_detail_1 === '接尾' &&
+    (token.basic_form === 'れる' || token.basic_form === 'られる') &&
+    !!previous && previous.pos === '動詞' && /^未然/.test(previous.conjugated_form || '');
+}
+
+/**
+ * 文末表現: 文の最後に続く助動詞・終助詞。無ければ体言止め / 用言の終止形
+ */
+function sentenceEnding(sentenceTokens) {
+  const words = sentenceTokens.filter(isWord);
+  const tail = [];
+  for (let i = words.length - 1; i >= 0; i--) {
+    const token = words[i];
+    if (token.pos === '助動詞' || (token.pos === '助詞' && token.pos_detail_1 === '終助詞')) {
+      tail.unshift(token.surface_form);
+    } else {
+      if (tail.length === 0) {
+        if (token.pos === '名詞') return '（体言止め）';
+        if (token.pos === '動詞' || token.pos === '形容詞') return '（用言の終止形）';
+        return `（${token.pos}）`;
+      }
+      break;
+    }
+  }
+  return tail.join('') || '（その他）';
+}
+
+/**
+ * 文末表現の集計。top は最も多い文末、maxRun は同じ文末が続いた最大の回数
+ */
+function summarizeEndings(endings) {
+  const counts = new Map();
+  let maxRun = 0;
+  let run = 0;
+  endings.forEach((ending, i) => {
+    counts.set(ending, (counts.get(ending) || 0) + 1);
+    run = i > 0 && endings[i - 1] === ending ? run + 1 : 1;
+    maxRun = Math.max(maxRun, run);
+  });
+  const ranked = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  return {
+    total: endings.length,
+    distinct: counts.size,
+    top: ranked.length > 0
+      ? { ending: ranked[0][0], count: ranked[0][1], ratio: round1(ranked[0][1] / endings.length * 100) }
+      : null,
+    maxRun,
+    counts: Object.fromEntries(ranked.slice(0, 10)),
+  };
+}
+
+/**
+ * 専門用語: 名詞のうち固有名詞と大文字を含む英字の語（未知語の「AIO」「Google」は一般名詞になるため）。
+ * 全角英字は1文字ずつ「記号・アルファベット」になるため、続く文字をまとめて1語にする
+ */
+function findTechnicalTerms(tokens) {
+  const terms = [];
+  let letters = '';
+  const flush = () => {
+    if (letters) terms.push(letters);
+    letters = '';
+  };
+  for (const token of tokens) {
+    if (token.pos === '記号' && token.pos_detail_1 === 'アルファベット') {
+      letters += token.surface_form;
+      continue;
+    }
+    flush();
+    if (token.pos === '名詞' && (token.pos_detail_1 === '固有名詞' || LATIN_TERM.test(token.surface_form))) {
+      terms.push(token.surface_form);
+    }
+  }
+  flush();
+  return terms;
+}
+
+function findRedundant(tokens) {
+  const found = new Map();
+  for (let i = 0; i < tokens.length; i++) {
+    for (const pattern of REDUNDANT_PATTERNS) {
+      const matched = pattern.sequence.every((matcher, offset) => {
+        const token = tokens[i + offset];
+        if (!token) return false;
+        return typeof matcher === 'function' ? matcher(token) : token.basic_form === matcher;
+      });
+      if (!matched) continue;
+      const entry = found.get(pattern.expression) || { expression: pattern.expression, suggestion: pattern.suggestion, count: 0 };
+      entry.count++;
+      found.set(pattern.expression, entry);
+    }
+  }
+  return [...found.values()].sort((a, b) => b.count - a.count);
+}
+
+/** モーラ数（読みのカナ数。拗音の小書き文字は数えない。読みの無い未知語は文字数） */
+function countMorae(token) {
+  const reading = token.pronunciation && token.pronunciation !== '*' ? token.pronunciation : null;
+  if (reading) return reading.replace(SMALL_KANA, '').length;
+  const surface = token.surface_form;
+  return /^[ぁ-ゖァ-ヺー]+$/.test(surface) ? surface.replace(SMALL_KANA, '').length : surface.length;
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function positiveInt(value, fallback) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+module.exports = JapaneseAnalyzer;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+module.exports.REDUNDANT_PATTERNS = REDUNDANT_PATTERNS;
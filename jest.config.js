@@ -1,3 +1,7 @@
+// Phase 3-X: テストでは形態素解析の子プロセス（辞書で約 320MB）を起動しない。
+// 解析そのもののテストは JapaneseAnalyzer / JapaneseAnalyzerProcess を直接作る
+process.env.JA_TOKENIZER = process.env.JA_TOKENIZER || 'off';
+
 /** @type {import('jest').Config} */
 module.exports = {
   testEnvironment: 'node',
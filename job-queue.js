@@ -0,0 +1,479 @@
+/**
+ * Phase 3-K: 非同期ジョブキュー
+ *
+ * Puppeteer・llms.txt 取得・LLM 呼び出しを HTTP リクエストの中で待つと、
+ * Render のプロキシのタイムアウトに当たる。そこで診断をジョブとして登録し、
+ * ワーカーがバックグラウンドで処理、クライアントは GET /api/jobs/:id で状態と結果を取りに来る。
+ *
+ * 保存先（store）は2種類:
+ *  - MongoJobStore  : MONGODB_URI 設定時。AnalysisHistory と同じ DB に保存し、再起動後も残る。
+ *                     ジョブの取得は findOneAndUpdate で原子的に行うため、複数インスタンスで分担できる
+ *  - MemoryJobStore : 未設定時のフォールバック。プロセス内の Map に保存（再起動で消える）
+ *
+ * 処理中のジョブには担当期限（lease）を付け、処理中は定期的に延長する。
+ * インスタンスが落ちて期限が切れたジョブは、別のインスタンス（または再起動後の自分）が引き継ぐ。
+ *
+ * ジョブの状態: queued → running → succeeded / failed / cancelled
+ *
+ * 取得・取り消しは登録した利用者だけ。API キーのジョブは同じ userId、API キーなしのジョブは
+ * 登録時にだけ返すアクセストークン（accessToken。保存するのは SHA-256 のハッシュ）で確かめる。
+ *
+ * @example
+ *   const queue = new JobQueue({ handlers: { seo: (params, ctx) => runSeoCheck(params, ctx) } });
+ *   queue.start();
+ *   const job = await queue.enqueue('seo', { url: 'https://example.com/' });
+ *   // ... await queue.get(job.id)
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const mongoose = require('mongoose');
+
+const DEFAULT_OPTIONS = Object.freeze({
+  concurrency: 1,          // Render の 512MB で Puppeteer を多重起動しないよう既定は 1
+  pollIntervalMs: 1000,
+  leaseMs: 60 * 1000,
+  maxAttempts: 3,          // 処理中に落ち続けるジョブ（重いSPAで OOM 等）を諦めるまでの回数
+  retentionMs: 24 * 60 * 60 * 1000, // 終了したジョブを残す時間
+});
+
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+/**
+ * プロセス内メモリの保存先（MONGODB_URI 未設定時）
+ */
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async create(fields) {
+    this.prune();
+    const now = new Date();
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      stage: null,
+      result: null,
+      error: null,
+      attempts: 0,
+      workerId: null,
+      leaseUntil: null,
+      cancelRequested: false,
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null,
+      ...fields,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.jobs.set(job.id, job);
+    return { ...job };
+  }
+
+  async get(id) {
+    this.prune();
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  async claimNext(workerId, leaseMs) {
+    const now = new Date();
+    const candidates = [...this.jobs.values()]
+      .filter(job => job.status === 'queued' || (job.status === 'running' && job.leaseUntil < now))
+      .sort((a, b) => a.createdAt - b.createdAt);
+    const job = candidates[0];
+    if (!job) return null;
+    Object.assign(job, {
+      status: 'running',
+      workerId,
+      leaseUntil: new Date(now.getTime() + leaseMs),
+      startedAt: job.startedAt || now,
+      attempts: job.attempts + 1,
+      updatedAt: now,
+    });
+    return { ...job };
+  }
+
+  async update(id, workerId, patch) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'running' || job.workerId !== workerId) return null;
+    Object.assign(job, patch, { updatedAt: new Date() });
+    return { ...job };
+  }
+
+  /**
+   * @param {string} id
+   * @param {number} retentionMs - 待機中のまま取り消したジョブを残す時間（終了したジョブと同じ）
+   * @returns {Promise<Object|null>} 待機中からこの呼び出しで cancelled にしたときは cancelledQueued: true（保存はしない）
+   */
+  async requestCancel(id, retentionMs) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    const now = new Date();
+    if (job.status === 'queued') {
+      Object.assign(job, { status: 'cancelled', finishedAt: now, expiresAt: new Date(now.getTime() + retentionMs), updatedAt: now });
+      return { ...job, cancelledQueued: true };
+    } else if (job.status === 'running') {
+      Object.assign(job, { cancelRequested: true, updatedAt: now });
+    }
+    return { ...job };
+  }
+
+  /** 保持期限を過ぎた終了済みジョブを捨てる（Mongo では TTL インデックスが行う） */
+  prune() {
+    const now = new Date();
+    for (const [id, job] of this.jobs) {
+      if (job.expiresAt && job.expiresAt < now) this.jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * MongoDB の保存先（models/AnalysisJob）
+ */
+class MongoJobStore {
+  /**
+   * @param {Object} model - AnalysisJob モデル
+   */
+  constructor(model) {
+    this.model = model;
+  }
+
+  async create(fields) {
+    const doc = await this.model.create(fields);
+    return MongoJobStore.toJob(doc.toObject());
+  }
+
+  async get(id) {
+    if (!this.isValidId(id)) return null;
+    return MongoJobStore.toJob(await this.model.findById(id).lean());
+  }
+
+  async claimNext(workerId, leaseMs) {
+    const now = new Date();
+    // 未処理のもの、または担当インスタンスが期限までに終えられなかったもの
+    const doc = await this.model.findOneAndUpdate(
+      { $or: [{ status: 'queued' }, { status: 'running', leaseUntil: { $lt: now } }] },
+      [{
+        $set: {
+          status: 'running',
+          workerId,
+          leaseUntil: new Date(now.getTime() + leaseMs),
+          startedAt: { $ifNull: ['$startedAt', now] },
+          attempts: { $add: [{ $ifNull: ['$attempts', 0] }, 1] },
+        },
+      }],
+      { sort: { createdAt: 1 }, new: true, lean: true }
+    );
+    return MongoJobStore.toJob(doc);
+  }
+
+  async update(id, workerId, patch) {
+    const doc = await this.model.findOneAndUpdate(
+      { _id: id, status: 'running', workerId },
+      { $set: patch },
+      { new: true, lean: true }
+    );
+    return MongoJobStore.toJob(doc);
+  }
+
+  async requestCancel(id, retentionMs) {
+    if (!this.isValidId(id)) return null;
+    const now = new Date();
+    const queued = await this.model.findOneAndUpdate(
+      { _id: id, status: 'queued' },
+      { $set: { status: 'cancelled', finishedAt: now, expiresAt: new Date(now.getTime() + retentionMs) } },
+      { new: true, lean: true }
+    );
+    if (queued) return { ...MongoJobStore.toJob(queued), cancelledQueued: true };
+    const running = await this.model.findOneAndUpdate(
+      { _id: id, status: 'running' },
+      { $set: { cancelRequested: true } },
+      { new: true, lean: true }
+    );
+    return running ? MongoJobStore.toJob(running) : this.get(id);
+  }
+
+  isValidId(id) {
+    return typeof id === 'string' && mongoose.Types.ObjectId.isValid(id);
+  }
+
+  static toJob(doc) {
+    if (!doc) return null;
+    const { _id, __v, ...rest } = doc;
+    return { id: String(_id), ...rest };
+  }
+}
+
+class JobQueue {
+  /**
+   * @param {Object} [options] - DEFAULT_OPTIONS を上書きする設定
+   * @param {Object} [options.handlers] - ジョブ種別 → async (params, ctx) => result
+   * @param {Object} [options.store] - 保存先（既定は MemoryJobStore）
+   * @param {Object} [options.logger] - winston 互換のロガー（warn / error）
+   * @param {Function} [options.onFinish] - Phase 3-U: 終了を保存した後に async (job) => void で呼ばれる（params を含む保存形式）
+   */
+  constructor(options = {}) {
+    const { handlers = {}, store = null, logger = null, workerId = null, onFinish = null, ...rest } = options;
+    this.options = { ...DEFAULT_OPTIONS };
+    for (const [key, value] of Object.entries(rest)) {
+      const n = parseInt(value, 10);
+      if (key in DEFAULT_OPTIONS && Number.isFinite(n) && n > 0) this.options[key] = n;
+    }
+    this.handlers = { ...handlers };
+    this.store = store || new MemoryJobStore();
+    this.logger = logger;
+    this.onFinish = onFinish;
+    this.workerId = workerId || `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.running = new Map();
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * 保存先を差し替える（起動時に DB 接続の有無が分かってから決める）
+   */
+  useStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * ジョブを登録
+   * @param {string} type - handlers のキー
+   * @param {Object} params - handler に渡すパラメータ
+   * @param {Object} [meta] - sessionId / userId
+   * @returns {Promise<Object>} toView 形式のジョブ。userId が無ければ accessToken（取得・取り消しに使う）を付ける
+   */
+  async enqueue(type, params, meta = {}) {
+    if (!this.handlers[type]) {
+      const err = new Error(`未対応のジョブ種別です: ${type}`);
+      err.code = 'UNSUPPORTED_JOB_TYPE';
+      throw err;
+    }
+    // API キーなしの利用者は区別できないため、登録した呼び出しにだけトークンを返す
+    const accessToken = meta.userId ? null : crypto.randomBytes(24).toString('base64url');
+    const job = await this.store.create({
+      type,
+      params: params || {},
+      sessionId: meta.sessionId || null,
+      userId: meta.userId || null,
+      accessTokenHash: accessToken ? hashToken(accessToken) : null,
+    });
+    // 待たずに次のポーリングを前倒しする
+    if (this.timer) setImmediate(() => this.tick());
+    const view = JobQueue.toView(job);
+    return accessToken ? { ...view, accessToken } : view;
+  }
+
+  /**
+   * @param {string} id
+   * @param {Object} [meta] - userId のキーがあれば（null でも）、ほかの利用者のジョブは見つからない扱いにする。
+   *   API キーなしのジョブは accessToken も必要
+   */
+  async get(id, meta = {}) {
+    const job = await this.store.get(id);
+    return JobQueue.toView(JobQueue.isOwnedBy(job, meta) ? job : null);
+  }
+
+  /**
+   * ジョブを取り消す。待機中なら即 cancelled（終了時の処理 onFinish もここで呼ぶ）、処理中なら次の区切り（stage の切り替え）で止める
+   * @param {string} id
+   * @param {Object} [meta] - get と同じ（ほかの利用者のジョブは取り消さない）
+   * @returns {Promise<Object|null>} 取り消し後のジョブ。存在しなければ null
+   */
+  async cancel(id, meta = {}) {
+    if ('userId' in meta && !JobQueue.isOwnedBy(await this.store.get(id), meta)) return null;
+    const job = await this.store.requestCancel(id, this.options.retentionMs);
+    if (job && this.running.has(job.id)) this.running.get(job.id).cancelled = true;
+    // 待機中のまま取り消したジョブは runJob を通らないため、コールバック等の終了時の処理をここで呼ぶ
+    if (job && job.cancelledQueued) await this.notifyFinished(job);
+    return JobQueue.toView(job);
+  }
+
+  /** ポーリングを開始 */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.options.pollIntervalMs);
+    this.timer.unref();
+    setImmediate(() => this.tick());
+  }
+
+  /** ポーリングを止める（処理中のジョブは最後まで走る） */
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * 空きがある分だけジョブを取り出して処理を始める
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+    try {
+      while (this.running.size < this.options.concurrency) {
+        const job = await this.store.claimNext(this.workerId, this.options.leaseMs);
+        if (!job) break;
+        const entry = { cancelled: !!job.cancelRequested, promise: null };
+        this.running.set(job.id, entry);
+        entry.promise = this.runJob(job, entry).finally(() => this.running.delete(job.id));
+      }
+    } catch (error) {
+      this.log('error', `ジョブの取得に失敗しました: ${error.message}`);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /** 処理中のジョブがすべて終わるまで待つ（テスト・終了処理用） */
+  async idle() {
+    while (this.running.size > 0) {
+      await Promise.all([...this.running.values()].map(entry => entry.promise));
+    }
+  }
+
+  /**
+   * 1件のジョブを実行し、結果を保存する
+   */
+  async runJob(job, entry) {
+    const { store, workerId } = this;
+    const cancelledError = () => {
+      const err = new Error('ジョブは取り消されました');
+      err.code = 'JOB_CANCELLED';
+      return err;
+    };
+    // 取り消し要求・担当期限を延長のたびに確認する
+    const renew = async (patch = {}) => {
+      const updated = await store.update(job.id, workerId, {
+        ...patch,
+        leaseUntil: new Date(Date.now() + this.options.leaseMs),
+      });
+      // 期限切れで他のインスタンスに引き継がれた場合も、このインスタンスでは続けない
+      if (!updated || updated.cancelRequested) entry.cancelled = true;
+    };
+    const heartbeat = setInterval(() => {
+      renew().catch(error => this.log('warn', `ジョブの期限延長に失敗しました (${job.id}): ${error.message}`));
+    }, Math.max(Math.floor(this.options.leaseMs / 3), 10));
+    heartbeat.unref();
+
+    const ctx = {
+      jobId: job.id,
+      isCancelled: () => entry.cancelled,
+      setStage: async (stage) => {
+        await renew({ stage });
+        if (entry.cancelled) throw cancelledError();
+      },
+    };
+
+    let patch;
+    try {
+      if (entry.cancelled) throw cancelledError();
+      if (job.attempts > this.options.maxAttempts) {
+        const err = new Error(`処理が${this.options.maxAttempts}回中断されたため中止しました`);
+        err.code = 'JOB_ABANDONED';
+        throw err;
+      }
+      const result = await this.handlers[job.type](job.params || {}, ctx);
+      patch = entry.cancelled
+        ? { status: 'cancelled', result: null }
+        : { status: 'succeeded', stage: 'done', result: result === undefined ? null : result };
+    } catch (error) {
+      patch = entry.cancelled || error.code === 'JOB_CANCELLED'
+        ? { status: 'cancelled' }
+        : { status: 'failed', error: { message: error.message, code: error.code || 'JOB_FAILED' } };
+      if (patch.status === 'failed') this.log('warn', `ジョブ失敗 (${job.type} ${job.id}): ${error.message}`);
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    const finishedAt = new Date();
+    let finished = null;
+    try {
+      finished = await store.update(job.id, workerId, {
+        ...patch,
+        finishedAt,
+        expiresAt: new Date(finishedAt.getTime() + this.options.retentionMs),
+        leaseUntil: null,
+      });
+    } catch (error) {
+      // 結果が大きすぎて保存できない等。失敗として記録し直す
+      this.log('error', `ジョブ結果の保存に失敗しました (${job.id}): ${error.message}`);
+      finished = await store.update(job.id, workerId, {
+        status: 'failed',
+        result: null,
+        error: { message: `結果を保存できませんでした: ${error.message}`, code: 'JOB_RESULT_NOT_SAVED' },
+        finishedAt,
+        expiresAt: new Date(finishedAt.getTime() + this.options.retentionMs),
+        leaseUntil: null,
+      }).catch(() => null);
+    }
+
+    // 他のインスタンスに引き継がれていた場合（finished が null）は、引き継いだ側が呼ぶ
+    if (finished) await this.notifyFinished(finished);
+  }
+
+  /**
+   * 終了を保存したジョブで onFinish を呼ぶ（失敗はログに残すだけ）
+   * @private
+   */
+  async notifyFinished(job) {
+    if (typeof this.onFinish !== 'function') return;
+    try {
+      await this.onFinish(job);
+    } catch (error) {
+      this.log('error', `ジョブ終了時の処理に失敗しました (${job.id}): ${error.message}`);
+    }
+  }
+
+  log(level, message) {
+    if (this.logger && typeof this.logger[level] === 'function') this.logger[level](message);
+  }
+
+  /**
+   * API レスポンス用の形（内部の担当情報は出さない。結果は成功時のみ）
+   */
+  static toView(job) {
+    if (!job) return null;
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      stage: job.stage || null,
+      cancelRequested: !!job.cancelRequested,
+      attempts: job.attempts || 0,
+      createdAt: job.createdAt || null,
+      startedAt: job.startedAt || null,
+      finishedAt: job.finishedAt || null,
+      result: job.status === 'succeeded' ? job.result : null,
+      error: job.status === 'failed' && job.error && job.error.message ? job.error : null,
+    };
+  }
+
+  /**
+   * meta に userId のキーが無ければ所有者を問わない（内部の呼び出し）。API キーのジョブは同じ userId、
+   * API キーなしのジョブ（userId が null）は登録時に返した accessToken が一致するときだけ
+   */
+  static isOwnedBy(job, meta = {}) {
+    if (!job) return false;
+    if (!('userId' in meta)) return true;
+    if (job.userId) return job.userId === (meta.userId || null);
+    if (!job.accessTokenHash || typeof meta.accessToken !== 'string' || !meta.accessToken) return false;
+    const expected = Buffer.from(job.accessTokenHash, 'hex');
+    const actual = Buffer.from(hashToken(meta.accessToken), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  static isFinished(job) {
+    return !!job && FINISHED_STATUSES.includes(job.status);
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = JobQueue;
+module.exports.MemoryJobStore = MemoryJobStore;
+module.exports.MongoJobStore = MongoJobStore;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
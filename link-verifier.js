@@ -0,0 +1,242 @@
+/**
+ * Phase 3-E: リンク切れ検証（内部リンク・外部リンク）
+ *
+ * checkInternalLinkStructure が集めたリンクに HEAD（非対応なら GET）を送り、
+ * 実際に到達できるかを確認する。診断時間とリンク先サーバーへの負荷を抑えるため:
+ *  - concurrency      : 同時リクエスト数の上限
+ *  - perHostIntervalMs: 同一ホストへのリクエスト間隔（ホスト単位のレート制限）
+ *  - timeBudgetMs     : 検証全体の持ち時間。超えたリンクは skipped として残す
+ *  - maxLinks         : 検証するリンク数の上限（内部リンク優先）
+ *
+ * リダイレクトは1ホップずつ追跡し、ループ・回数超過・リダイレクト先へのリンクを区別する。
+ *
+ * @example
+ *   const LinkVerifier = require('./link-verifier');
+ *   const result = await new LinkVerifier().verify({ internalLinks, externalLinks }, 'https://example.com/');
+ *   // result.links[i].status: 'ok' | 'broken' | 'timeout' | 'redirect' | 'redirect_loop' | 'error' | 'skipped'
+ */
+
+const axios = require('axios');
+const OutboundGuard = require('./outbound-guard');
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; SEO-AIO-Doctor/1.3; +https://seo-checker-tool.onrender.com/)';
+// HEAD を正しく扱わないサーバーが返しがちなステータス → GET で再確認する
+const HEAD_FALLBACK_STATUSES = new Set([400, 403, 405, 501]);
+const TIMEOUT_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT']);
+
+const DEFAULT_OPTIONS = Object.freeze({
+  concurrency: 5,
+  perHostIntervalMs: 250,
+  timeBudgetMs: 20000,
+  timeout: 5000,
+  maxLinks: 100,
+  maxRedirects: 5,
+});
+
+class LinkVerifier {
+  /**
+   * @param {Object} [options] - DEFAULT_OPTIONS を上書きする設定
+   * @param {Function} [options.requestImpl] - テスト注入用。(method, url, { timeout }) => Promise<{ status, headers }>
+   * @param {OutboundGuard} [options.outboundGuard] - Phase 3-M: 宛先の検査（既定は共有インスタンス）
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS };
+    for (const key of Object.keys(DEFAULT_OPTIONS)) {
+      if (Number.isFinite(options[key]) && options[key] >= 0) this.options[key] = options[key];
+    }
+    this.options.concurrency = Math.max(1, this.options.concurrency);
+    this.requestImpl = options.requestImpl || null;
+    this.outboundGuard = options.outboundGuard || OutboundGuard.shared();
+  }
+
+  /**
+   * リンクを検証する
+   * @param {Object} linkSets
+   * @param {Array<{href: string, text: string}>} [linkSets.internalLinks]
+   * @param {Array<{href: string, text: string}>} [linkSets.externalLinks]
+   * @param {string} baseUrl - 相対URLの解決に使うページURL（リダイレクト後の最終URL）
+   * @returns {Promise<Object>} { links, brokenLinks, redirectedLinks, summary }
+   */
+  async verify({ internalLinks = [], externalLinks = [] }, baseUrl) {
+    const startedAt = Date.now();
+    const deadline = startedAt + this.options.timeBudgetMs;
+
+    const targets = this.collectTargets(internalLinks, externalLinks, baseUrl);
+    const hostNextAt = new Map();
+    let cursor = 0;
+
+    const worker = async () => {
+      while (cursor < targets.length) {
+        const target = targets[cursor++];
+        if (Date.now() >= deadline) {
+          target.status = 'skipped';
+          target.error = 'TIME_BUDGET_EXCEEDED';
+          continue;
+        }
+        await this._waitForHost(hostNextAt, target.url);
+        if (Date.now() >= deadline) {
+          target.status = 'skipped';
+          target.error = 'TIME_BUDGET_EXCEEDED';
+          continue;
+        }
+        Object.assign(target, await this.checkLink(target.url, deadline));
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.options.concurrency, targets.length) }, worker));
+
+    const pick = ({ href, url, text, type, status, statusCode, finalUrl, redirectChain, error }) =>
+      ({ href, url, text, type, status, statusCode, finalUrl, redirectChain, error });
+    const links = targets.map(pick);
+    const count = (status) => links.filter(l => l.status === status).length;
+
+    return {
+      links,
+      brokenLinks: links.filter(l => ['broken', 'timeout', 'redirect_loop', 'error'].includes(l.status)),
+      redirectedLinks: links.filter(l => l.status === 'redirect'),
+      summary: {
+        totalCollected: targets.totalCollected,
+        checked: links.filter(l => l.status !== 'skipped').length,
+        ok: count('ok'),
+        broken: count('broken'),
+        timedOut: count('timeout'),
+        redirectLoops: count('redirect_loop'),
+        errors: count('error'),
+        redirected: count('redirect'),
+        skipped: count('skipped'),
+        truncated: targets.totalCollected > targets.length,
+        budgetExceeded: count('skipped') > 0,
+        durationMs: Date.now() - startedAt,
+      },
+    };
+  }
+
+  /**
+   * href を絶対URLにして重複を除き、内部リンク優先で maxLinks 件に絞る
+   * @returns {Array<Object>} totalCollected プロパティ付きの配列
+   */
+  collectTargets(internalLinks, externalLinks, baseUrl) {
+    const seen = new Set();
+    const targets = [];
+    const add = (link, type) => {
+      let u;
+      try {
+        u = new URL(String(link.href || '').trim(), baseUrl);
+      } catch (_) {
+        return;
+      }
+      if (u.protocol !== 'http:' && u.protocol !== 'https:') return;
+      u.hash = '';
+      const url = u.toString();
+      if (seen.has(url)) return;
+      seen.add(url);
+      targets.push({ href: link.href, url, text: link.text || '', type, status: null, statusCode: null, finalUrl: null, redirectChain: [], error: null });
+    };
+    internalLinks.forEach(l => add(l, 'internal'));
+    externalLinks.forEach(l => add(l, 'external'));
+
+    const limited = targets.slice(0, this.options.maxLinks);
+    limited.totalCollected = targets.length;
+    return limited;
+  }
+
+  /**
+   * 1リンクを検証（リダイレクトは自前で追跡）
+   * @param {string} url
+   * @param {number} [deadline] - 検証全体の締め切り（epoch ms）
+   * @returns {Promise<{status: string, statusCode: number|null, finalUrl: string|null, redirectChain: Array, error: string|null}>}
+   */
+  async checkLink(url, deadline = Infinity) {
+    const redirectChain = [];
+    const visited = new Set([url]);
+    let current = url;
+
+    for (;;) {
+      const timeout = Math.max(1, Math.min(this.options.timeout, deadline - Date.now()));
+      let res;
+      try {
+        res = await this._request(current, timeout);
+      } catch (err) {
+        const code = err.code || err.message;
+        return {
+          status: TIMEOUT_CODES.has(err.code) ? 'timeout' : 'error',
+          statusCode: null,
+          finalUrl: current,
+          redirectChain,
+          error: code,
+        };
+      }
+
+      const location = res.headers && res.headers.location;
+      if (res.status >= 300 && res.status < 400 && location) {
+        let next;
+        try {
+          next = new URL(location, current);
+          next.hash = '';
+          next = next.toString();
+        } catch (_) {
+          return { status: 'error', statusCode: res.status, finalUrl: current, redirectChain, error: 'INVALID_LOCATION' };
+        }
+        redirectChain.push({ url: current, statusCode: res.status, location: next });
+        if (visited.has(next) || redirectChain.length > this.options.maxRedirects) {
+          return { status: 'redirect_loop', statusCode: res.status, finalUrl: next, redirectChain, error: null };
+        }
+        visited.add(next);
+        current = next;
+        continue;
+      }
+
+      if (res.status >= 400) {
+        return { status: 'broken', statusCode: res.status, finalUrl: current, redirectChain, error: null };
+      }
+      return {
+        status: redirectChain.length > 0 ? 'redirect' : 'ok',
+        statusCode: res.status,
+        finalUrl: current,
+        redirectChain,
+        error: null,
+      };
+    }
+  }
+
+  /**
+   * HEAD → （非対応なら）GET。本文は読まずに破棄する
+   * @private
+   */
+  async _request(url, timeout) {
+    const send = async (method) => {
+      if (this.requestImpl) return this.requestImpl(method, url, { timeout });
+      // Phase 3-M: リダイレクトは自前で追うため、ホップごとにここを通る
+      this.outboundGuard.assertUrlAllowed(url);
+      const res = await axios.request({
+        ...this.outboundGuard.axiosOptions(),
+        method,
+        url,
+        timeout,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        responseType: 'stream',
+        headers: { 'User-Agent': USER_AGENT, 'Accept': '*/*' },
+      });
+      if (res.data && typeof res.data.destroy === 'function') res.data.destroy();
+      return { status: res.status, headers: res.headers };
+    };
+    const res = await send('HEAD');
+    return HEAD_FALLBACK_STATUSES.has(res.status) ? send('GET') : res;
+  }
+
+  /**
+   * 同一ホストへの間隔を空ける（予約方式なので並列ワーカー間でも守られる）
+   * @private
+   */
+  async _waitForHost(hostNextAt, url) {
+    if (this.options.perHostIntervalMs <= 0) return;
+    const host = new URL(url).host;
+    const now = Date.now();
+    const at = Math.max(now, hostNextAt.get(host) || 0);
+    hostNextAt.set(host, at + this.options.perHostIntervalMs);
+    if (at > now) await new Promise(resolve => setTimeout(resolve, at - now));
+  }
+}
+
+module.exports = LinkVerifier;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
@@ -23,6 +23,7 @@
  */
 
 const axios = require('axios');
+const OutboundGuard = require('./outbound-guard');
 
 const USER_AGENT = 'SEO-AIO-Doctor/1.3 (+https://seo-checker-tool.onrender.com/)';
 // AIクローラーの代表的な User-Agent 文字列（参考用）
@@ -43,6 +44,8 @@ class LlmsTxtChecker {
   constructor(options = {}) {
     this.timeout = options.timeout || 8000;
     this.maxBytes = options.maxBytes || 200_000; // llms.txt は通常小さい
+    // Phase 3-M: 内部ネットワーク宛ての取得を防ぐ
+    this.outboundGuard = options.outboundGuard || OutboundGuard.shared();
   }
 
   /**
@@ -137,7 +140,9 @@ class LlmsTxtChecker {
    */
   async _fetchText(url) {
     try {
+      this.outboundGuard.assertUrlAllowed(url);
       const res = await axios.get(url, {
+        ...this.outboundGuard.axiosOptions(),
         timeout: this.timeout,
         maxContentLength: this.maxBytes,
         validateStatus: () => true, // 4xx/5xx もエラーにしない
@@ -166,7 +171,7 @@ class LlmsTxtChecker {
         status: err.response ? err.response.status : null,
         text: null,
         looksLikeHtml: false,
-        error: err.code || err.message,
+        error: (OutboundGuard.findBlockedError(err) || err).code || err.message,
       };
     }
   }
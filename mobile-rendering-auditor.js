@@ -0,0 +1,298 @@
+/**
+ * Phase 3-I: モバイル表示の実測監査（Advanced Check）
+ *
+ * 静的HTMLの `$el.css()` はインラインスタイルしか読めず、タッチターゲットのサイズを実際には測れない。
+ * このモジュールは Puppeteer のページをモバイル端末としてエミュレートし、レンダリング後のレイアウトから:
+ *  - タッチターゲット（リンク・ボタン・フォーム部品）の実寸と、隣接するターゲットとの間隔
+ *  - 12px 未満の文字が本文に占める割合
+ *  - 画面幅を超える横スクロール（はみ出している要素）
+ *  - 画面の大部分を覆う固定表示のポップアップ（インタースティシャル）
+ * を計測し、otherSEOElements のモバイル対応チェックに反映する。
+ *
+ * 基準は Lighthouse の tap-targets / font-size 監査と Google の「煩わしいインタースティシャル」ガイドラインに合わせている。
+ *
+ * @example
+ *   const auditor = new MobileRenderingAuditor();
+ *   const raw = await auditor.audit(page, { emulate: true });
+ *   const result = auditor.evaluate(raw);
+ *   // result.issues / result.recommendations / result.tapTargets / result.text / result.overflow / result.interstitials
+ */
+
+const PerformanceChecker = require('./performance-checker');
+
+const THRESHOLDS = {
+  minTargetSize: 48,        // 48×48px 未満は小さいタッチターゲット
+  minTargetSpacing: 8,      // 隣のターゲットとの間隔
+  minFontSize: 12,          // 12px 未満は読みにくい文字
+  maxSmallTextRatio: 0.4,   // 本文の 40% 超が小さい文字なら指摘（Lighthouse は 60% 以上が読める大きさで合格）
+  interstitialCoverage: 0.3 // 画面の 30% 以上を覆う固定要素はインタースティシャル
+};
+
+const MOBILE_DOC = 'https://developers.google.com/search/docs/crawling-indexing/mobile/mobile-sites-mobile-first-indexing?hl=ja';
+const TAP_TARGET_DOC = 'https://developer.chrome.com/docs/lighthouse/seo/tap-targets?hl=ja';
+const FONT_SIZE_DOC = 'https://developer.chrome.com/docs/lighthouse/seo/font-size?hl=ja';
+const INTERSTITIAL_DOC = 'https://developers.google.com/search/docs/appearance/avoid-intrusive-interstitials?hl=ja';
+
+class MobileRenderingAuditor {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.settleTimeout] - モバイル表示へ切り替えた後、ネットワークが落ち着くまで待つ上限（ms）
+   */
+  constructor(options = {}) {
+    this.thresholds = { ...THRESHOLDS, ...(options.thresholds || {}) };
+    this.settleTimeout = options.settleTimeout != null ? options.settleTimeout : 3000;
+  }
+
+  /**
+   * ページをモバイル表示で計測する
+   * @param {Object} page - Puppeteer の Page（読み込み済み）
+   * @param {Object} [options]
+   * @param {boolean} [options.emulate=true] - モバイル端末のビューポート・UA に切り替える（isMobile の変更でページは再読み込みされる）。
+   *   既にモバイルのプロファイルで読み込んだページ（Phase 3-H の mobile 計測）では false
+   * @returns {Promise<Object>} measureMobileLayout の計測値
+   */
+  async audit(page, options = {}) {
+    if (options.emulate !== false) {
+      const device = PerformanceChecker.PROFILES.mobile;
+      await page.setUserAgent(device.userAgent);
+      await page.setViewport(device.viewport);
+      try {
+        await page.waitForNetworkIdle({ idleTime: 500, timeout: this.settleTimeout });
+      } catch (_) { /* SPA で idle にならなくても計測は続ける */ }
+    }
+    return page.evaluate(measureMobileLayout, this.thresholds);
+  }
+
+  /**
+   * 計測値を issue / 推奨アクションに変換する
+   * @param {Object} raw - audit() の戻り値
+   * @returns {{ measured: true, viewport: Object, tapTargets: Object, text: Object, overflow: Object, interstitials: Array, issues: string[], recommendations: Object[] }}
+   */
+  evaluate(raw) {
+    const t = this.thresholds;
+    const result = {
+      measured: true,
+      viewport: raw.viewport,
+      tapTargets: raw.tapTargets,
+      text: raw.text,
+      overflow: raw.overflow,
+      interstitials: raw.interstitials,
+      issues: [],
+      recommendations: [],
+    };
+    const add = (issue, recommendation) => {
+      result.issues.push(issue);
+      result.recommendations.push(recommendation);
+    };
+    const examples = (list) => list.slice(0, 3).map(item => item.selector).join(', ');
+
+    const { tapTargets, text, overflow, interstitials } = raw;
+    if (tapTargets.smallCount > 0) {
+      add(`${tapTargets.smallCount}個のタッチターゲットが小さすぎます（${t.minTargetSize}×${t.minTargetSize}px未満）`, {
+        type: 'medium',
+        title: `タッチターゲットを ${t.minTargetSize}×${t.minTargetSize}px 以上にする`,
+        description: `周囲に他のタップ可能な要素があり、指で正確に押せません（例: ${examples(tapTargets.small)}）。padding で押せる領域を広げてください。`,
+        codeExample: '.nav a { display: inline-block; min-width: 48px; min-height: 48px; padding: 12px; }',
+        docLink: TAP_TARGET_DOC,
+      });
+    }
+    if (tapTargets.closePairCount > 0) {
+      add(`${tapTargets.closePairCount}組のタッチターゲットの間隔が狭すぎます（${t.minTargetSpacing}px未満）`, {
+        type: 'medium',
+        title: `タッチターゲットの間隔を ${t.minTargetSpacing}px 以上空ける`,
+        description: `隣り合うリンク・ボタンが近すぎて押し間違えやすくなっています（例: ${tapTargets.closePairs.slice(0, 2).map(p => `${p.a} と ${p.b}`).join(' / ')}）。`,
+        codeExample: '.button-group > * + * { margin-left: 8px; }',
+        docLink: TAP_TARGET_DOC,
+      });
+    }
+    if (text.totalChars > 0 && text.smallRatio > t.maxSmallTextRatio) {
+      add(`${t.minFontSize}px未満の文字が本文の${Math.round(text.smallRatio * 100)}%を占めています`, {
+        type: 'medium',
+        title: `本文の文字サイズを ${t.minFontSize}px 以上（推奨 16px）にする`,
+        description: `モバイルでは拡大しないと読めません（例: ${examples(text.examples)}）。viewport の設定漏れでページ全体が縮小表示されている場合もあります。`,
+        codeExample: 'body { font-size: 16px; }',
+        docLink: FONT_SIZE_DOC,
+      });
+    }
+    if (overflow.overflowing) {
+      add(`ページの横幅が画面幅を超えています（画面 ${overflow.viewportWidth}px に対して ${overflow.scrollWidth}px）`, {
+        type: 'high',
+        title: '横スクロールが発生しないようにする',
+        description: overflow.offenders.length > 0
+          ? `画面からはみ出している要素: ${examples(overflow.offenders)}。固定幅（width: 980px 等）を max-width: 100% に変更してください。`
+          : '固定幅の要素や大きな画像・表が画面からはみ出していないか確認してください。',
+        codeExample: 'img, table, iframe { max-width: 100%; }',
+        docLink: MOBILE_DOC,
+      });
+    }
+    if (interstitials.length > 0) {
+      const coverage = Math.round(Math.max(...interstitials.map(i => i.coverage)) * 100);
+      add(`画面の${coverage}%を覆うポップアップ（インタースティシャル）が表示されています`, {
+        type: 'high',
+        title: '本文を覆うポップアップを表示しない',
+        description: `${examples(interstitials)} がページ読み込み直後に本文を覆っています。Google は煩わしいインタースティシャルのあるページの評価を下げる場合があります。バナーは画面の一部に収めてください。`,
+        docLink: INTERSTITIAL_DOC,
+      });
+    }
+    return result;
+  }
+}
+
+/**
+ * ページ内で実行する計測処理（page.evaluate でシリアライズされるため外部変数を参照しない）
+ * @param {Object} t - THRESHOLDS
+ */
+function measureMobileLayout(t) {
+  const vw = window.innerWidth;
+  const vh = window.innerHeight;
+  const describe = (el) => {
+    let s = el.tagName.toLowerCase();
+    if (el.id) return `${s}#${el.id}`;
+    const classes = typeof el.className === 'string' ? el.className.trim().split(/\s+/).filter(Boolean).slice(0, 2) : [];
+    if (classes.length) s += `.${classes.join('.')}`;
+    return s;
+  };
+  const visible = (el, rect) => {
+    if (rect.width === 0 || rect.height === 0) return false;
+    const style = window.getComputedStyle(el);
+    return style.visibility !== 'hidden' && style.display !== 'none' && parseFloat(style.opacity) > 0;
+  };
+  const absolute = (rect) => ({
+    left: rect.left + window.scrollX,
+    top: rect.top + window.scrollY,
+    right: rect.right + window.scrollX,
+    bottom: rect.bottom + window.scrollY,
+    width: rect.width,
+    height: rect.height,
+  });
+
+  // ---- タッチターゲット ----
+  const targets = [];
+  const candidates = document.querySelectorAll('a[href], button, input:not([type="hidden"]), select, textarea, [role="button"]');
+  for (const el of Array.from(candidates).slice(0, 500)) {
+    const rect = el.getBoundingClientRect();
+    if (!visible(el, rect)) continue;
+    // 文中のインラインリンクは対象外（Lighthouse と同じ扱い）
+    if (el.tagName === 'A' && window.getComputedStyle(el).display === 'inline' && el.parentElement) {
+      const own = (el.textContent || '').trim().length;
+      const around = (el.parentElement.textContent || '').trim().length;
+      if (around > own + 20) continue;
+    }
+    targets.push({ el, box: absolute(rect) });
+  }
+  const nested = (a, b) => a.el.contains(b.el) || b.el.contains(a.el);
+  const intersects = (a, b) => a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+  const gap = (a, b) => {
+    const dx = Math.max(0, Math.max(a.left, b.left) - Math.min(a.right, b.right));
+    const dy = Math.max(0, Math.max(a.top, b.top) - Math.min(a.bottom, b.bottom));
+    return dx > 0 && dy > 0 ? Math.hypot(dx, dy) : Math.max(dx, dy);
+  };
+
+  const small = [];
+  const closePairs = [];
+  targets.forEach((target, i) => {
+    const { box } = target;
+    const isSmall = box.width < t.minTargetSize || box.height < t.minTargetSize;
+    // 指の接触範囲（中心から minTargetSize 四方）に他のターゲットが入るか
+    const cx = (box.left + box.right) / 2;
+    const cy = (box.top + box.bottom) / 2;
+    const half = t.minTargetSize / 2;
+    const finger = { left: cx - half, right: cx + half, top: cy - half, bottom: cy + half };
+    let crowded = false;
+    targets.forEach((other, j) => {
+      if (i === j || nested(target, other)) return;
+      if (isSmall && !crowded && intersects(finger, other.box)) crowded = true;
+      if (j > i && !intersects(box, other.box) && gap(box, other.box) < t.minTargetSpacing) {
+        closePairs.push({ a: describe(target.el), b: describe(other.el), gap: Math.round(gap(box, other.box)) });
+      }
+    });
+    if (isSmall && crowded) {
+      small.push({
+        selector: describe(target.el),
+        text: (target.el.textContent || target.el.getAttribute('aria-label') || '').trim().slice(0, 40),
+        width: Math.round(box.width),
+        height: Math.round(box.height),
+      });
+    }
+  });
+
+  // ---- 文字サイズ ----
+  let totalChars = 0;
+  let smallChars = 0;
+  const smallText = new Map();
+  if (document.body) {
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+      const length = node.textContent.trim().length;
+      const parent = node.parentElement;
+      if (!length || !parent || ['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(parent.tagName)) continue;
+      if (!visible(parent, parent.getBoundingClientRect())) continue;
+      totalChars += length;
+      const size = parseFloat(window.getComputedStyle(parent).fontSize);
+      if (size < t.minFontSize) {
+        smallChars += length;
+        const key = describe(parent);
+        const entry = smallText.get(key) || { selector: key, fontSize: size, chars: 0 };
+        entry.chars += length;
+        smallText.set(key, entry);
+      }
+    }
+  }
+
+  // ---- 横スクロール ----
+  const scrollWidth = Math.max(document.documentElement.scrollWidth, document.body ? document.body.scrollWidth : 0);
+  const offenders = [];
+  if (scrollWidth > vw + 1 && document.body) {
+    for (const el of Array.from(document.body.querySelectorAll('*')).slice(0, 3000)) {
+      const rect = el.getBoundingClientRect();
+      if (rect.right <= vw + 1 || !visible(el, rect)) continue;
+      // はみ出しの原因になっている最上位の要素だけを記録する
+      const parentRect = el.parentElement ? el.parentElement.getBoundingClientRect() : null;
+      if (parentRect && parentRect.right > vw + 1) continue;
+      offenders.push({ selector: describe(el), width: Math.round(rect.width), right: Math.round(rect.right) });
+      if (offenders.length >= 5) break;
+    }
+  }
+
+  // ---- インタースティシャル ----
+  const interstitials = [];
+  if (document.body) {
+    for (const el of Array.from(document.body.querySelectorAll('*')).slice(0, 3000)) {
+      const style = window.getComputedStyle(el);
+      if (style.position !== 'fixed') continue;
+      const rect = el.getBoundingClientRect();
+      if (!visible(el, rect)) continue;
+      const width = Math.max(0, Math.min(rect.right, vw) - Math.max(rect.left, 0));
+      const height = Math.max(0, Math.min(rect.bottom, vh) - Math.max(rect.top, 0));
+      const coverage = (width * height) / (vw * vh);
+      if (coverage < t.interstitialCoverage) continue;
+      // 内側の固定要素は外側と同じポップアップとして扱う
+      if (interstitials.some(item => item.el.contains(el))) continue;
+      interstitials.push({ el, selector: describe(el), coverage: Math.round(coverage * 100) / 100, text: (el.textContent || '').trim().slice(0, 60) });
+    }
+  }
+
+  return {
+    viewport: { width: vw, height: vh },
+    tapTargets: {
+      total: targets.length,
+      smallCount: small.length,
+      small: small.slice(0, 10),
+      closePairCount: closePairs.length,
+      closePairs: closePairs.slice(0, 10),
+    },
+    text: {
+      totalChars,
+      smallChars,
+      smallRatio: totalChars ? Math.round((smallChars / totalChars) * 1000) / 1000 : 0,
+      examples: Array.from(smallText.values()).sort((a, b) => b.chars - a.chars).slice(0, 10),
+    },
+    overflow: { viewportWidth: vw, scrollWidth, overflowing: scrollWidth > vw + 1, offenders },
+    interstitials: interstitials.map(({ el: _el, ...item }) => item),
+  };
+}
+
+MobileRenderingAuditor.measureMobileLayout = measureMobileLayout;
+
+module.exports = MobileRenderingAuditor;
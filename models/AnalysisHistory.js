@@ -8,6 +8,54 @@ const analysisHistorySchema = new mongoose.Schema(
     overallScore: { type: Number },
     aioOverallScore: { type: Number },
     combinedScore: { type: Number },
+    // Phase 3-R: カテゴリ別の推移用（score-history.js の snapshot）
+    normalizedUrl: { type: String, default: null },
+    categoryScores: {
+      seo: { type: Map, of: Number, default: undefined },
+      aio: { type: Map, of: Number, default: undefined },
+    },
+    issueCounts: {
+      critical: { type: Number },
+      high: { type: Number },
+      medium: { type: Number },
+      low: { type: Number },
+    },
+    pageType: { type: String, default: null },
+    // Phase 3-S: 診断結果の差分用（run-diff.js の snapshot）。ruleId は SARIF の ruleId と同じ
+    issues: {
+      type: [
+        {
+          _id: false,
+          ruleId: { type: String },
+          type: { type: String },
+          category: { type: String },
+          priority: { type: String, default: null },
+          issue: { type: String },
+        },
+      ],
+      default: undefined,
+    },
+    values: {
+      title: { type: String, default: null },
+      metaDescription: { type: String, default: null },
+      h1: { type: String, default: null },
+      canonical: { type: String, default: null },
+      ogTitle: { type: String, default: null },
+      ogDescription: { type: String, default: null },
+      ogImage: { type: String, default: null },
+    },
+    jsonLdTypes: { type: [String], default: undefined },
+    // Phase 3-Y: 本文の指紋（content-similarity.js の MinHash。本文が短いページは null）
+    contentFingerprint: {
+      type: {
+        _id: false,
+        version: { type: Number },
+        shingleSize: { type: Number },
+        hashes: { type: [Number] },
+        charCount: { type: Number },
+      },
+      default: null,
+    },
     sessionId: { type: String, default: null },
     userId: { type: String, default: null },
   },
@@ -17,5 +65,7 @@ const analysisHistorySchema = new mongoose.Schema(
 analysisHistorySchema.index({ createdAt: -1 });
 analysisHistorySchema.index({ sessionId: 1, createdAt: -1 });
 analysisHistorySchema.index({ userId: 1, createdAt: -1 });
+analysisHistorySchema.index({ url: 1, createdAt: -1 });
+analysisHistorySchema.index({ normalizedUrl: 1, createdAt: -1 });
 
 module.exports = mongoose.model('AnalysisHistory', analysisHistorySchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Phase 3-K: 非同期ジョブ（/api/jobs）。複数インスタンスで共有し、再起動後も続きから処理する
+const analysisJobSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ['seo', 'compare', 'batch'], required: true },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'],
+      default: 'queued',
+    },
+    stage: { type: String, default: null },
+    params: { type: mongoose.Schema.Types.Mixed, default: {} },
+    result: { type: mongoose.Schema.Types.Mixed, default: null },
+    error: {
+      message: { type: String },
+      code: { type: String },
+    },
+    attempts: { type: Number, default: 0 },
+    // 処理中のインスタンスと、その担当期限（期限切れは他のインスタンスが引き継ぐ）
+    workerId: { type: String, default: null },
+    leaseUntil: { type: Date, default: null },
+    cancelRequested: { type: Boolean, default: false },
+    sessionId: { type: String, default: null },
+    userId: { type: String, default: null },
+    // API キーなしのジョブの取得・取り消しに使うトークンの SHA-256（トークンそのものは登録時に返すだけ）
+    accessTokenHash: { type: String, default: null },
+    startedAt: { type: Date, default: null },
+    finishedAt: { type: Date, default: null },
+    // 終了したジョブは一定時間後に TTL インデックスで自動削除
+    expiresAt: { type: Date, default: null },
+  },
+  { timestamps: true, minimize: false }
+);
+
+analysisJobSchema.index({ status: 1, createdAt: 1 });
+analysisJobSchema.index({ status: 1, leaseUntil: 1 });
+analysisJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AnalysisJob', analysisJobSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Phase 3-N: API キー。キー本体は保存せず SHA-256 のハッシュだけを持つ（発行時に一度だけ表示）
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    keyHash: { type: String, required: true, unique: true },
+    // 一覧やログで見分けるための先頭部分（sad_xxxxxx）
+    prefix: { type: String, required: true },
+    // 分析履歴・ジョブの userId はリクエストボディではなくキーから決める
+    userId: { type: String, required: true },
+    // キーごとの上書き（例: { check: { perDay: 5000 } }）。未指定は既定値
+    limits: { type: mongoose.Schema.Types.Mixed, default: {} },
+    lastUsedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true, minimize: false }
+);
+
+apiKeySchema.index({ userId: 1 });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Phase 3-N: API の利用回数（キー / IP・種別・時間枠ごとの固定ウィンドウ）。複数インスタンスで共有する
+const apiUsageSchema = new mongoose.Schema(
+  {
+    // `${subject}:${bucket}:${windowMs}:${windowStart}`（例: key:abc:check:86400000:1792368000000）
+    _id: { type: String },
+    count: { type: Number, default: 0 },
+    // 時間枠の終わりに TTL インデックスで自動削除
+    expiresAt: { type: Date, required: true },
+  },
+  { versionKey: false }
+);
+
+apiUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ApiUsage', apiUsageSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Phase 3-U: 診断が終わったときのコールバック（callbackUrl）の配送と、試行ごとの記録
+const callbackDeliverySchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    event: { type: String, required: true },
+    jobId: { type: String, default: null },
+    userId: { type: String, default: null },
+    // 署名した本文（再送でも同じバイト列を送る）
+    body: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ['pending', 'delivering', 'delivered', 'failed'],
+      default: 'pending',
+    },
+    // { attempt, at, durationMs, status, error, nextAttemptAt }
+    attempts: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    nextAttemptAt: { type: Date, default: null },
+    leaseUntil: { type: Date, default: null },
+    deliveredAt: { type: Date, default: null },
+    // 終わった配送は一定時間後に TTL インデックスで自動削除
+    expiresAt: { type: Date, default: null },
+  },
+  { timestamps: true, minimize: false }
+);
+
+callbackDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+callbackDeliverySchema.index({ jobId: 1, createdAt: 1 });
+callbackDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CallbackDelivery', callbackDeliverySchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Phase 3-T: 定期監視（/api/monitors）。期限の来た監視は複数インスタンスのどれか1つが診断する
+const monitorSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    schedule: { type: String, enum: ['hourly', 'daily', 'weekly'], required: true },
+    intervalMs: { type: Number, required: true },
+    enabled: { type: Boolean, default: true },
+    rules: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    // waitForJS / verifyLinks / measurePerformance / performanceProfile
+    options: { type: mongoose.Schema.Types.Mixed, default: {} },
+    webhookUrl: { type: String, default: null },
+    userId: { type: String, default: null },
+    nextRunAt: { type: Date, required: true },
+    lastRunAt: { type: Date, default: null },
+    lastStatus: { type: String, enum: ['succeeded', 'failed', null], default: null },
+    lastError: { type: mongoose.Schema.Types.Mixed, default: null }, // { message, code }
+    // 前回の診断の値（次の回のルールの評価で比べる）
+    lastSignals: { type: mongoose.Schema.Types.Mixed, default: null },
+    consecutiveFailures: { type: Number, default: 0 },
+    recentAlerts: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  },
+  { timestamps: true, minimize: false }
+);
+
+monitorSchema.index({ enabled: 1, nextRunAt: 1 });
+monitorSchema.index({ userId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Monitor', monitorSchema);
@@ -0,0 +1,705 @@
+/**
+ * Phase 3-T: 定期監視とアラート
+ *
+ * 監視する URL を周期（hourly / daily / weekly）付きで登録しておくと、組み込みのスケジューラが
+ * 期限の来た監視を診断し（結果は通常の診断と同じく分析履歴に保存される）、前回の診断と比べて
+ * アラートのルールを評価する。ルールに当たったときは Webhook（Slack の Incoming Webhook 互換の
+ * JSON）を POST する。
+ *
+ * ルール（rules）の種類:
+ *  - score_drop         : 前回からスコアが threshold より大きく下がった（metric 既定 combinedScore）
+ *  - score_below        : スコアが threshold を下回った（下回った回だけ通知）
+ *  - noindex_added      : noindex（robots メタタグ・X-Robots-Tag）が付いた
+ *  - llms_txt_removed   : あった llms.txt が無くなった
+ *  - ai_crawler_blocked : robots.txt が AI クローラー（userAgent 省略時はすべて）をブロックし始めた
+ *  - check_failed       : 診断に失敗した（連続失敗の1回目だけ通知）
+ * 状態が変わった回だけ通知するため、前回の診断の値（lastSignals）を監視に保存しておく。
+ * 最初の診断は比べる相手が無いため、score_below と check_failed 以外は当たらない。
+ *
+ * 保存先（store）は JobQueue と同じく2種類:
+ *  - MongoMonitorStore  : MONGODB_URI 設定時。期限の来た監視の取得は findOneAndUpdate で次回の予定に
+ *                         進めながら行うため、複数インスタンスでも同じ回を二重に診断しない
+ *  - MemoryMonitorStore : 未設定時のフォールバック（再起動で消える）
+ *
+ * 監視は利用者（API キーの userId）ごとに分ける。キーなしの呼び出しは全員が同じ userId: null になり、
+ * ほかの人の監視（Webhook の宛先を含む）を一覧・変更・削除できてしまうため、登録・操作には userId が要る
+ * （無ければ API_KEY_REQUIRED・401）。
+ *
+ * Webhook の宛先は監視ごとの webhookUrl、無ければ defaultWebhookUrl（環境変数 MONITOR_WEBHOOK_URL）。
+ * 宛先も外向きリクエストの検査（Phase 3-M）を通すため、手元の受け口で試すときは
+ * OUTBOUND_ALLOWLIST に localhost 等を加える。
+ *
+ * @example
+ *   const scheduler = new MonitorScheduler({ runCheck: params => runSeoCheck(params) });
+ *   scheduler.start();
+ *   await scheduler.create({
+ *     url: 'https://example.com/',
+ *     schedule: 'daily',
+ *     rules: [{ type: 'score_drop', threshold: 10 }, { type: 'ai_crawler_blocked', userAgent: 'GPTBot' }],
+ *     webhookUrl: 'https://hooks.slack.com/services/...',
+ *   }, { userId: identity.userId });
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const OutboundGuard = require('./outbound-guard');
+const EnhancedReporter = require('./enhanced-reporter');
+const ScoreHistory = require('./score-history');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// 監視の周期 → 間隔
+const SCHEDULES = Object.freeze({
+  hourly: HOUR_MS,
+  daily: 24 * HOUR_MS,
+  weekly: 7 * 24 * HOUR_MS,
+});
+
+const DEFAULT_OPTIONS = Object.freeze({
+  pollIntervalMs: 60 * 1000,
+  maxMonitors: 100,       // 1ユーザーあたりの登録数
+  webhookTimeoutMs: 10 * 1000,
+  recentAlerts: 20,       // 監視に残す直近のアラート
+});
+
+// ルールの種類 → 表示名・既定の重大度
+const RULE_TYPES = Object.freeze({
+  score_drop: { label: 'スコアの低下', severity: 'warning' },
+  score_below: { label: 'スコアが基準を下回った', severity: 'warning' },
+  noindex_added: { label: 'noindex が付いた', severity: 'critical' },
+  llms_txt_removed: { label: 'llms.txt が無くなった', severity: 'warning' },
+  ai_crawler_blocked: { label: 'AI クローラーのブロック', severity: 'warning' },
+  check_failed: { label: '診断の失敗', severity: 'critical' },
+});
+
+// rules を省略したときのルール
+const DEFAULT_RULES = Object.freeze([
+  { type: 'score_drop', metric: 'combinedScore', threshold: 10 },
+  { type: 'noindex_added' },
+  { type: 'llms_txt_removed' },
+  { type: 'ai_crawler_blocked' },
+]);
+
+const TOTAL_METRICS = Object.freeze({
+  overallScore: 'SEO スコア',
+  aioOverallScore: 'AIO スコア',
+  combinedScore: '総合スコア',
+});
+
+// 監視ごとに渡せる診断のオプション
+const CHECK_OPTIONS = ['waitForJS', 'verifyLinks', 'measurePerformance', 'performanceProfile'];
+
+const USER_AGENT = 'SEO-AIO-Doctor/1.3 (+https://seo-checker-tool.onrender.com/)';
+
+/**
+ * プロセス内メモリの保存先（MONGODB_URI 未設定時）
+ */
+class MemoryMonitorStore {
+  constructor() {
+    this.monitors = new Map();
+  }
+
+  async create(fields) {
+    const now = new Date();
+    const monitor = { id: crypto.randomUUID(), ...fields, createdAt: now, updatedAt: now };
+    this.monitors.set(monitor.id, monitor);
+    return { ...monitor };
+  }
+
+  async get(id) {
+    const monitor = this.monitors.get(id);
+    return monitor ? { ...monitor } : null;
+  }
+
+  async list(filter = {}) {
+    return [...this.monitors.values()]
+      .filter(monitor => !('userId' in filter) || monitor.userId === filter.userId)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(monitor => ({ ...monitor }));
+  }
+
+  async count(filter = {}) {
+    return (await this.list(filter)).length;
+  }
+
+  async update(id, patch) {
+    const monitor = this.monitors.get(id);
+    if (!monitor) return null;
+    Object.assign(monitor, patch, { updatedAt: new Date() });
+    return { ...monitor };
+  }
+
+  async remove(id) {
+    return this.monitors.delete(id);
+  }
+
+  /** 期限の来た監視を1件取り、次回の予定を進める */
+  async claimDue(now) {
+    const due = [...this.monitors.values()]
+      .filter(monitor => monitor.enabled && monitor.nextRunAt <= now)
+      .sort((a, b) => a.nextRunAt - b.nextRunAt)[0];
+    if (!due) return null;
+    Object.assign(due, { nextRunAt: new Date(now.getTime() + due.intervalMs), updatedAt: now });
+    return { ...due };
+  }
+}
+
+/**
+ * MongoDB の保存先（models/Monitor）
+ */
+class MongoMonitorStore {
+  /**
+   * @param {Object} model - Monitor モデル
+   */
+  constructor(model) {
+    this.model = model;
+  }
+
+  async create(fields) {
+    const doc = await this.model.create(fields);
+    return MongoMonitorStore.toMonitor(doc.toObject());
+  }
+
+  async get(id) {
+    if (!this.isValidId(id)) return null;
+    return MongoMonitorStore.toMonitor(await this.model.findById(id).lean());
+  }
+
+  async list(filter = {}) {
+    const docs = await this.model.find(filter).sort({ createdAt: 1 }).lean();
+    return docs.map(MongoMonitorStore.toMonitor);
+  }
+
+  async count(filter = {}) {
+    return this.model.countDocuments(filter);
+  }
+
+  async update(id, patch) {
+    if (!this.isValidId(id)) return null;
+    return MongoMonitorStore.toMonitor(await this.model.findByIdAndUpdate(id, { $set: patch }, { new: true, lean: true }));
+  }
+
+  async remove(id) {
+    if (!this.isValidId(id)) return false;
+    return !!(await this.model.findByIdAndDelete(id));
+  }
+
+  async claimDue(now) {
+    // 取得と同時に次回の予定へ進める（他のインスタンスは同じ回を取らない）
+    const doc = await this.model.findOneAndUpdate(
+      { enabled: true, nextRunAt: { $lte: now } },
+      [{ $set: { nextRunAt: { $add: [now, '$intervalMs'] } } }],
+      { sort: { nextRunAt: 1 }, new: true, lean: true }
+    );
+    return MongoMonitorStore.toMonitor(doc);
+  }
+
+  isValidId(id) {
+    return typeof id === 'string' && mongoose.Types.ObjectId.isValid(id);
+  }
+
+  static toMonitor(doc) {
+    if (!doc) return null;
+    const { _id, __v, ...rest } = doc;
+    return { id: String(_id), ...rest };
+  }
+}
+
+class MonitorScheduler {
+  /**
+   * @param {Object} [options] - DEFAULT_OPTIONS を上書きする設定
+   * @param {Function} [options.runCheck] - async (params) => checkSEO の結果（履歴への保存も行うもの）
+   * @param {Object} [options.store] - 保存先（既定は MemoryMonitorStore）
+   * @param {string} [options.defaultWebhookUrl] - 監視に webhookUrl が無いときの宛先
+   * @param {OutboundGuard} [options.outboundGuard] - Webhook の宛先の検査（既定は共有インスタンス）
+   * @param {Object} [options.enhancedReporter] - getCategoryTitle を持つもの（アラートの表示名）
+   * @param {Object} [options.logger] - winston 互換のロガー（info / warn / error）
+   */
+  constructor(options = {}) {
+    const {
+      runCheck = null, store = null, defaultWebhookUrl = null, outboundGuard = null,
+      enhancedReporter = null, logger = null, ...rest
+    } = options;
+    this.options = { ...DEFAULT_OPTIONS };
+    for (const [key, value] of Object.entries(rest)) {
+      const n = parseInt(value, 10);
+      if (key in DEFAULT_OPTIONS && Number.isFinite(n) && n > 0) this.options[key] = n;
+    }
+    this.runCheck = runCheck;
+    this.store = store || new MemoryMonitorStore();
+    this.defaultWebhookUrl = defaultWebhookUrl || null;
+    this.outboundGuard = outboundGuard || OutboundGuard.shared();
+    this.enhancedReporter = enhancedReporter || new EnhancedReporter();
+    this.logger = logger;
+    this.timer = null;
+    this.ticking = null;
+  }
+
+  /**
+   * 保存先を差し替える（起動時に DB 接続の有無が分かってから決める）
+   */
+  useStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * 登録・変更の入力を検証して保存する形にする
+   * @param {Object} input - url / schedule / rules / webhookUrl / enabled と CHECK_OPTIONS
+   * @param {Object} [opts]
+   * @param {boolean} [opts.partial] - 変更（指定されたフィールドだけ）
+   * @returns {Object} 保存するフィールド
+   */
+  parseInput(input = {}, { partial = false } = {}) {
+    const fields = {};
+    if (!partial || input.url !== undefined) {
+      if (typeof input.url !== 'string' || !input.url.trim()) throw monitorError('url を指定してください', 'MISSING_URL', 400);
+      if (!isHttpUrl(input.url.trim())) throw monitorError('url は http(s):// で始まる URL を指定してください', 'INVALID_URL', 400);
+      fields.url = input.url.trim();
+    }
+    if (!partial || input.schedule !== undefined) {
+      const schedule = input.schedule === undefined ? 'daily' : input.schedule;
+      if (!SCHEDULES[schedule]) {
+        throw monitorError(`schedule は ${Object.keys(SCHEDULES).join(' / ')} のいずれかを指定してください`, 'INVALID_SCHEDULE', 400);
+      }
+      Object.assign(fields, { schedule, intervalMs: SCHEDULES[schedule] });
+    }
+    if (!partial || input.rules !== undefined) {
+      fields.rules = this.parseRules(input.rules === undefined ? DEFAULT_RULES : input.rules);
+    }
+    if (!partial || input.webhookUrl !== undefined) {
+      const webhookUrl = input.webhookUrl ? String(input.webhookUrl).trim() : null;
+      if (webhookUrl && !isHttpUrl(webhookUrl)) {
+        throw monitorError('webhookUrl は http(s):// で始まる URL を指定してください', 'INVALID_WEBHOOK_URL', 400);
+      }
+      fields.webhookUrl = webhookUrl;
+    }
+    if (!partial || input.enabled !== undefined) {
+      fields.enabled = input.enabled === undefined ? true : input.enabled === true || input.enabled === 'true';
+    }
+    const checkOptions = {};
+    for (const key of CHECK_OPTIONS) {
+      if (input[key] !== undefined) checkOptions[key] = input[key];
+    }
+    if (checkOptions.performanceProfile !== undefined && !['mobile', 'desktop'].includes(checkOptions.performanceProfile)) {
+      throw monitorError('performanceProfile は mobile または desktop を指定してください', 'INVALID_PERFORMANCE_PROFILE', 400);
+    }
+    if (!partial || Object.keys(checkOptions).length > 0) fields.options = checkOptions;
+    return fields;
+  }
+
+  /**
+   * ルールを検証し、既定値を補う
+   * @returns {Object[]}
+   */
+  parseRules(rules) {
+    if (!Array.isArray(rules)) throw monitorError('rules は配列で指定してください', 'INVALID_RULES', 400);
+    return rules.map((rule, index) => {
+      const at = `rules[${index}]`;
+      if (!rule || !RULE_TYPES[rule.type]) {
+        throw monitorError(`${at}.type は ${Object.keys(RULE_TYPES).join(' / ')} のいずれかを指定してください`, 'INVALID_RULES', 400);
+      }
+      const parsed = { type: rule.type };
+      if (rule.type === 'score_drop' || rule.type === 'score_below') {
+        parsed.metric = rule.metric === undefined ? 'combinedScore' : rule.metric;
+        if (!TOTAL_METRICS[parsed.metric] && !/^(seo|aio)\.[A-Za-z]+$/.test(parsed.metric)) {
+          throw monitorError(`${at}.metric は ${Object.keys(TOTAL_METRICS).join(' / ')} または seo.<カテゴリ> / aio.<カテゴリ> を指定してください`, 'INVALID_RULES', 400);
+        }
+        const threshold = Number(rule.threshold);
+        if (rule.threshold === undefined || rule.threshold === null || !Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+          throw monitorError(`${at}.threshold は 0〜100 の数値で指定してください`, 'INVALID_RULES', 400);
+        }
+        parsed.threshold = threshold;
+      }
+      if (rule.type === 'ai_crawler_blocked' && rule.userAgent) parsed.userAgent = String(rule.userAgent);
+      if (rule.severity !== undefined) {
+        if (!['critical', 'warning', 'info'].includes(rule.severity)) {
+          throw monitorError(`${at}.severity は critical / warning / info のいずれかを指定してください`, 'INVALID_RULES', 400);
+        }
+        parsed.severity = rule.severity;
+      }
+      return parsed;
+    });
+  }
+
+  /**
+   * 監視を登録する。最初の診断はすぐ（次のポーリングで）行う
+   * @param {Object} input - parseInput と同じ
+   * @param {Object} meta - userId（必須）
+   */
+  async create(input, meta = {}) {
+    const fields = this.parseInput(input);
+    const userId = await this.checkQuota(meta);
+    const monitor = await this.store.create({
+      ...fields,
+      userId,
+      nextRunAt: new Date(),
+      lastRunAt: null,
+      lastStatus: null,
+      lastError: null,
+      lastSignals: null,
+      consecutiveFailures: 0,
+      recentAlerts: [],
+    });
+    this.kick();
+    return MonitorScheduler.toView(monitor);
+  }
+
+  /**
+   * 登録できるかを確かめ、登録先の userId を返す（回数の計上より先に呼べるよう create から分けている）
+   * @throws API_KEY_REQUIRED（401）/ MONITOR_LIMIT（409）
+   */
+  async checkQuota(meta = {}) {
+    const userId = MonitorScheduler.ownerOf(meta);
+    if (await this.store.count({ userId }) >= this.options.maxMonitors) {
+      throw monitorError(`監視は ${this.options.maxMonitors} 件まで登録できます`, 'MONITOR_LIMIT', 409);
+    }
+    return userId;
+  }
+
+  /** 他のユーザーの監視は無いものとして扱う */
+  async find(id, meta = {}) {
+    const userId = MonitorScheduler.ownerOf(meta);
+    const monitor = await this.store.get(id);
+    if (!monitor || monitor.userId !== userId) return null;
+    return monitor;
+  }
+
+  async get(id, meta = {}) {
+    return MonitorScheduler.toView(await this.find(id, meta));
+  }
+
+  async list(meta = {}) {
+    return (await this.store.list({ userId: MonitorScheduler.ownerOf(meta) })).map(MonitorScheduler.toView);
+  }
+
+  async update(id, input, meta = {}) {
+    const current = await this.find(id, meta);
+    if (!current) return null;
+    const patch = this.parseInput(input, { partial: true });
+    if (patch.options) patch.options = { ...(current.options || {}), ...patch.options };
+    // 周期を変えたときは、前回の診断から数え直す
+    if (patch.intervalMs && current.lastRunAt) patch.nextRunAt = new Date(new Date(current.lastRunAt).getTime() + patch.intervalMs);
+    return MonitorScheduler.toView(await this.store.update(id, patch));
+  }
+
+  async remove(id, meta = {}) {
+    if (!(await this.find(id, meta))) return false;
+    return this.store.remove(id);
+  }
+
+  /** 次のポーリングを待たずに診断する */
+  async runNow(id, meta = {}) {
+    if (!(await this.find(id, meta))) return null;
+    const monitor = await this.store.update(id, { nextRunAt: new Date() });
+    this.kick();
+    return MonitorScheduler.toView(monitor);
+  }
+
+  /** ポーリングを開始 */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.options.pollIntervalMs);
+    this.timer.unref();
+    setImmediate(() => this.tick());
+  }
+
+  /** ポーリングを止める（診断中の監視は最後まで走る） */
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  kick() {
+    if (this.timer) setImmediate(() => this.tick());
+  }
+
+  /**
+   * 期限の来た監視を1件ずつ診断する（Puppeteer を多重起動しないよう直列）
+   */
+  async tick() {
+    if (this.ticking) return this.ticking;
+    this.ticking = (async () => {
+      try {
+        for (;;) {
+          const monitor = await this.store.claimDue(new Date());
+          if (!monitor) break;
+          await this.runMonitor(monitor);
+        }
+      } catch (error) {
+        this.log('error', `監視の取得に失敗しました: ${error.message}`);
+      } finally {
+        this.ticking = null;
+      }
+    })();
+    return this.ticking;
+  }
+
+  /** 診断中の監視が終わるまで待つ（テスト・終了処理用） */
+  async idle() {
+    while (this.ticking) await this.ticking;
+  }
+
+  /**
+   * 1件の監視を診断し、ルールを評価して通知する
+   * @returns {Promise<Object[]>} 出したアラート
+   */
+  async runMonitor(monitor) {
+    const startedAt = new Date();
+    let results = null;
+    let error = null;
+    try {
+      results = await this.runCheck({
+        ...(monitor.options || {}),
+        url: monitor.url,
+        userId: monitor.userId || null,
+        // 履歴を /api/history?sessionId=monitor:<id> で絞り込めるように
+        sessionId: `monitor:${monitor.id}`,
+      });
+    } catch (err) {
+      error = err;
+      this.log('warn', `監視の診断に失敗しました (${monitor.id} ${monitor.url}): ${err.message}`);
+    }
+
+    const signals = results ? MonitorScheduler.signals(results) : null;
+    const alerts = this.evaluate(monitor.rules || [], monitor.lastSignals, signals, { error, lastStatus: monitor.lastStatus })
+      .map(alert => ({ ...alert, at: startedAt.toISOString() }));
+    if (alerts.length > 0) await this.notify(monitor, alerts, { signals, at: startedAt });
+
+    await this.store.update(monitor.id, {
+      lastRunAt: startedAt,
+      lastStatus: error ? 'failed' : 'succeeded',
+      lastError: error ? { message: error.message, code: error.code || 'CHECK_FAILED' } : null,
+      // 失敗した回は比べる相手にしない
+      lastSignals: signals || monitor.lastSignals || null,
+      consecutiveFailures: error ? (monitor.consecutiveFailures || 0) + 1 : 0,
+      recentAlerts: [...alerts, ...(monitor.recentAlerts || [])].slice(0, this.options.recentAlerts),
+    });
+    return alerts;
+  }
+
+  /**
+   * ルールを評価する
+   * @param {Object[]} rules
+   * @param {Object|null} previous - 前回の signals
+   * @param {Object|null} current - 今回の signals（診断に失敗したときは null）
+   * @param {Object} [context] - error（今回の失敗）/ lastStatus（前回の状態）
+   * @returns {Object[]} { type, severity, message, ... }
+   */
+  evaluate(rules, previous, current, { error = null, lastStatus = null } = {}) {
+    const alerts = [];
+    const push = (rule, message, extra = {}) => {
+      alerts.push({ type: rule.type, severity: rule.severity || RULE_TYPES[rule.type].severity, message, ...extra });
+    };
+    for (const rule of rules) {
+      if (rule.type === 'check_failed') {
+        if (error && lastStatus !== 'failed') push(rule, `診断に失敗しました: ${error.message}`, { code: error.code || 'CHECK_FAILED' });
+        continue;
+      }
+      if (!current) continue;
+      switch (rule.type) {
+        case 'score_drop': {
+          const before = this.metricValue(previous, rule.metric);
+          const after = this.metricValue(current, rule.metric);
+          if (before !== null && after !== null && before - after > rule.threshold) {
+            push(rule, `${this.metricLabel(rule.metric)}が ${before - after} 下がりました（${before} → ${after}）`, { metric: rule.metric, before, after });
+          }
+          break;
+        }
+        case 'score_below': {
+          const before = this.metricValue(previous, rule.metric);
+          const after = this.metricValue(current, rule.metric);
+          if (after !== null && after < rule.threshold && (before === null || before >= rule.threshold)) {
+            push(rule, `${this.metricLabel(rule.metric)}が ${rule.threshold} を下回りました（${after}）`, { metric: rule.metric, before, after });
+          }
+          break;
+        }
+        case 'noindex_added':
+          if (previous && previous.noindex === false && current.noindex === true) {
+            push(rule, 'ページに noindex が付きました（検索結果から外れます）');
+          }
+          break;
+        case 'llms_txt_removed':
+          if (previous && previous.llmsTxt === true && current.llmsTxt === false) {
+            push(rule, 'llms.txt が見つからなくなりました');
+          }
+          break;
+        case 'ai_crawler_blocked': {
+          if (!previous || !previous.aiCrawlers || !current.aiCrawlers) break;
+          const agents = rule.userAgent ? [rule.userAgent] : Object.keys(current.aiCrawlers);
+          const blocked = agents.filter(agent => current.aiCrawlers[agent] === 'disallowed' && previous.aiCrawlers[agent] !== 'disallowed');
+          if (blocked.length > 0) {
+            push(rule, `robots.txt が ${blocked.join(' / ')} をブロックするようになりました`, { userAgents: blocked });
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    }
+    return alerts;
+  }
+
+  metricValue(signals, metric) {
+    if (!signals) return null;
+    const [group, category] = metric.split('.');
+    const value = category ? ((signals.categoryScores || {})[group] || {})[category] : signals[metric];
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+  }
+
+  metricLabel(metric) {
+    if (TOTAL_METRICS[metric]) return TOTAL_METRICS[metric];
+    const [group, category] = metric.split('.');
+    return `${group.toUpperCase()} / ${this.enhancedReporter.getCategoryTitle(category)}`;
+  }
+
+  /**
+   * アラートを Webhook に送る。送れなかったときはアラートに deliveryError を付ける（監視は止めない）
+   */
+  async notify(monitor, alerts, run) {
+    const webhookUrl = monitor.webhookUrl || this.defaultWebhookUrl;
+    if (!webhookUrl) return;
+    try {
+      await this.sendWebhook(webhookUrl, MonitorScheduler.buildPayload(monitor, alerts, run));
+      for (const alert of alerts) alert.delivered = true;
+      this.log('info', `監視アラートを送信しました (${monitor.id}): ${alerts.map(alert => alert.type).join(', ')}`);
+    } catch (error) {
+      for (const alert of alerts) Object.assign(alert, { delivered: false, deliveryError: error.message });
+      this.log('warn', `監視アラートを送信できませんでした (${monitor.id}): ${error.message}`);
+    }
+  }
+
+  /**
+   * JSON を POST する（2xx 以外は失敗）
+   */
+  async sendWebhook(url, payload) {
+    this.outboundGuard.assertUrlAllowed(url);
+    const res = await axios.post(url, payload, {
+      ...this.outboundGuard.axiosOptions(),
+      timeout: this.options.webhookTimeoutMs,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      headers: { 'Content-Type': 'application/json', 'User-Agent': USER_AGENT },
+    });
+    if (res.status < 200 || res.status >= 300) {
+      throw monitorError(`Webhook が HTTP ${res.status} を返しました`, 'WEBHOOK_FAILED', 502);
+    }
+  }
+
+  log(level, message) {
+    if (this.logger && typeof this.logger[level] === 'function') this.logger[level](message);
+  }
+
+  /**
+   * ルールの評価に使う値を診断結果から取り出す（取れなかった値は null）
+   * @param {Object} results - checkSEO の戻り値
+   */
+  static signals(results) {
+    const checks = results.checks || {};
+    const other = checks.otherSEOElements;
+    const llms = results.aio && results.aio.checks && results.aio.checks.llmsTxtCompliance;
+    const llmsDetails = llms && llms.details && !llms.details.skipped ? llms.details : null;
+    return {
+      overallScore: numberOrNull(results.overallScore),
+      aioOverallScore: numberOrNull(results.aioOverallScore),
+      combinedScore: numberOrNull(results.combinedScore),
+      categoryScores: ScoreHistory.snapshot(results).categoryScores,
+      // robots メタタグ・X-Robots-Tag のどちらの noindex も otherSEOElements の問題に入る
+      noindex: other && Array.isArray(other.issues) ? other.issues.some(issue => /noindex/i.test(issue)) : null,
+      // 取得できずに HTTP の応答すら無かったとき（タイムアウト等）は不明
+      llmsTxt: llmsDetails && (llmsDetails.found || llmsDetails.httpStatus) ? !!llmsDetails.found : null,
+      aiCrawlers: llmsDetails && llmsDetails.robotsTxt ? { ...(llmsDetails.robotsTxt.aiCrawlers || {}) } : null,
+    };
+  }
+
+  /**
+   * Webhook の本文。text / blocks は Slack の Incoming Webhook がそのまま表示でき、
+   * event / monitor / alerts / run は他の受け口が機械的に読むためのもの
+   */
+  static buildPayload(monitor, alerts, run = {}) {
+    const at = run.at ? new Date(run.at).toISOString() : new Date().toISOString();
+    const signals = run.signals || {};
+    const critical = alerts.some(alert => alert.severity === 'critical');
+    const scoreLine = typeof signals.combinedScore === 'number'
+      ? `総合 ${signals.combinedScore}・SEO ${signals.overallScore ?? '-'}・AIO ${signals.aioOverallScore ?? '-'}`
+      : '診断できませんでした';
+    return {
+      text: `${critical ? ':rotating_light:' : ':warning:'} SEO 監視アラート（${alerts.length}件）: ${monitor.url}`,
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: 'SEO 監視アラート' } },
+        { type: 'section', text: { type: 'mrkdwn', text: `*<${monitor.url}|${monitor.url}>*\n${scoreLine}` } },
+        { type: 'section', text: { type: 'mrkdwn', text: alerts.map(alert => `• ${alert.message}`).join('\n') } },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: `監視 ${monitor.id}・${monitor.schedule}・${at}` }] },
+      ],
+      event: 'monitor.alert',
+      monitor: { id: monitor.id, url: monitor.url, schedule: monitor.schedule },
+      alerts: alerts.map(({ delivered: _delivered, deliveryError: _deliveryError, ...alert }) => alert),
+      run: {
+        at,
+        overallScore: signals.overallScore ?? null,
+        aioOverallScore: signals.aioOverallScore ?? null,
+        combinedScore: signals.combinedScore ?? null,
+      },
+    };
+  }
+
+  /**
+   * 監視の持ち主（API キーの userId）。キーなしの呼び出しは区別できないため受け付けない
+   * @throws API_KEY_REQUIRED（status 401）
+   */
+  static ownerOf(meta = {}) {
+    if (!meta.userId) throw monitorError('監視の登録・操作には API キーが必要です', 'API_KEY_REQUIRED', 401);
+    return String(meta.userId);
+  }
+
+  /**
+   * API レスポンス用の形（Webhook の URL はトークンを含むため、オリジンだけ見せる）
+   */
+  static toView(monitor) {
+    if (!monitor) return null;
+    return {
+      id: monitor.id,
+      url: monitor.url,
+      schedule: monitor.schedule,
+      enabled: !!monitor.enabled,
+      rules: monitor.rules || [],
+      options: monitor.options || {},
+      webhook: monitor.webhookUrl ? `${new URL(monitor.webhookUrl).origin}/…` : null,
+      nextRunAt: monitor.nextRunAt || null,
+      lastRunAt: monitor.lastRunAt || null,
+      lastStatus: monitor.lastStatus || null,
+      lastError: monitor.lastError || null,
+      lastSignals: monitor.lastSignals || null,
+      consecutiveFailures: monitor.consecutiveFailures || 0,
+      recentAlerts: monitor.recentAlerts || [],
+      createdAt: monitor.createdAt || null,
+    };
+  }
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (_) {
+    return false;
+  }
+}
+
+function numberOrNull(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+function monitorError(message, code, status) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+module.exports = MonitorScheduler;
+module.exports.MemoryMonitorStore = MemoryMonitorStore;
+module.exports.MongoMonitorStore = MongoMonitorStore;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+module.exports.DEFAULT_RULES = DEFAULT_RULES;
+module.exports.RULE_TYPES = RULE_TYPES;
+module.exports.SCHEDULES = SCHEDULES;
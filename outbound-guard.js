@@ -0,0 +1,321 @@
+/**
+ * Phase 3-M: 外向きリクエストの SSRF 対策
+ *
+ * 利用者が指定した URL（とページ内のリンク・canonical・og:image・サイトマップ・リダイレクト先）に
+ * サーバーからリクエストするため、localhost・169.254.169.254（クラウドのメタデータ）・
+ * RFC1918 のプライベートアドレス等を指されると内部ネットワークに届いてしまう。
+ * すべての外向きリクエストはこのガードを通し、次の宛先を BLOCKED_DESTINATION で拒否する:
+ *  - http / https 以外のスキーム、allowedPorts 以外のポート
+ *  - ループバック・プライベート・リンクローカル・CGNAT・マルチキャスト等の予約済みアドレス
+ *    （ホスト名は DNS で解決したすべてのアドレスを確認する。NAT64・6to4・IPv4 互換・IPv4 変換の IPv6 アドレスは
+ *    埋め込まれた IPv4 アドレスで判定する）
+ *  - 名前解決に失敗したホスト（Puppeteer 用の check()）。ブラウザは自分で名前解決し直すため、ここで解決できなかった
+ *    名前が後から内部のアドレスに解決される（DNS リバインディング・社内向けの DNS）と検査をすり抜けてしまう
+ *
+ * 使い方は2通り:
+ *  - axios: axiosOptions() の lookup を渡すと、接続のたびに解決結果を検査する
+ *    （確認後に DNS の応答を変える DNS リバインディングも防げる）。beforeRedirect で自動追跡の各ホップも検査する。
+ *    IP アドレス直書きの URL は DNS 解決を経ないため、事前に assertUrlAllowed() も呼ぶ
+ *  - Puppeteer: ブラウザが自分で名前解決するため、リクエストの横取り（request interception）で
+ *    リクエストごとに check() する
+ *
+ * 社内のステージング環境など、例外的に許可するホストは OUTBOUND_ALLOWLIST
+ * （カンマ区切り。`*.staging.example.com` の形でサブドメインも指定可）で設定する。
+ * 許可リストのホストはアドレス・ポートの検査をしない。
+ *
+ * @example
+ *   const guard = OutboundGuard.shared();
+ *   guard.assertUrlAllowed(url);
+ *   await axios.get(url, { ...guard.axiosOptions() });
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+const DEFAULT_ALLOWED_PORTS = Object.freeze([80, 443, 8080, 8443]);
+
+// 外部サイトとしてはあり得ない宛先
+const BLOCKED_SUBNETS = Object.freeze([
+  ['0.0.0.0', 8, 'ipv4'],        // 「このネットワーク」
+  ['10.0.0.0', 8, 'ipv4'],       // RFC1918
+  ['100.64.0.0', 10, 'ipv4'],    // CGNAT
+  ['127.0.0.0', 8, 'ipv4'],      // ループバック
+  ['169.254.0.0', 16, 'ipv4'],   // リンクローカル（169.254.169.254 = メタデータ）
+  ['172.16.0.0', 12, 'ipv4'],    // RFC1918
+  ['192.0.0.0', 24, 'ipv4'],     // IETF プロトコル割り当て
+  ['192.168.0.0', 16, 'ipv4'],   // RFC1918
+  ['198.18.0.0', 15, 'ipv4'],    // ベンチマーク用
+  ['224.0.0.0', 4, 'ipv4'],      // マルチキャスト
+  ['240.0.0.0', 4, 'ipv4'],      // 予約済み・ブロードキャスト
+  ['::', 128, 'ipv6'],           // 未指定
+  ['::1', 128, 'ipv6'],          // ループバック
+  ['fc00::', 7, 'ipv6'],         // ユニークローカル（fd00:ec2::254 = AWS のメタデータ）
+  ['fe80::', 10, 'ipv6'],        // リンクローカル
+  ['fec0::', 10, 'ipv6'],        // サイトローカル（廃止済み。社内ネットワークで使われていることがある）
+  ['ff00::', 8, 'ipv6'],         // マルチキャスト
+]);
+
+// DNS を引く前に拒否するホスト名
+const BLOCKED_HOSTNAMES = /^(?:localhost|metadata|metadata\.google\.internal)$|\.localhost$/i;
+
+// IPv4 アドレスを埋め込む IPv6 の形式は、埋め込まれた IPv4 アドレスで判定する
+// （16bit ごとの8つの値 → IPv4 アドレスの上位・下位 16bit の位置。該当しなければ null）
+const EMBEDDED_IPV4_FORMATS = Object.freeze([
+  // NAT64（64:ff9b::/96。64:ff9b::ffff:a.b.c.d の形も）
+  words => (words[0] === 0x64 && words[1] === 0xff9b && words[2] === 0 && words[3] === 0 && words[4] === 0 &&
+    (words[5] === 0 || words[5] === 0xffff) ? [words[6], words[7]] : null),
+  // 6to4（2002::/16。2002:AABB:CCDD:: → AA.BB.CC.DD）
+  words => (words[0] === 0x2002 ? [words[1], words[2]] : null),
+  // IPv4 互換アドレス（::/96。非推奨。::127.0.0.1 = ::7f00:1）
+  words => (words.slice(0, 6).every(word => word === 0) ? [words[6], words[7]] : null),
+  // IPv4 変換アドレス（::ffff:0:0/96。::ffff:0:7f00:1 = 127.0.0.1）
+  words => (words.slice(0, 4).every(word => word === 0) && words[4] === 0xffff && words[5] === 0 ? [words[6], words[7]] : null),
+]);
+
+const LOOKUP_CACHE_MS = 30 * 1000;
+
+let sharedGuard = null;
+
+class OutboundGuard {
+  /**
+   * @param {Object} [options]
+   * @param {string[]|string} [options.allowlist] - 検査しないホスト（`*.example.com` 形式も可）
+   * @param {number[]|string} [options.allowedPorts] - 許可するポート（既定 80 / 443 / 8080 / 8443）
+   * @param {Function} [options.lookupImpl] - dns.lookup 互換の関数（テスト用）
+   */
+  constructor(options = {}) {
+    this.allowlist = OutboundGuard.parseList(options.allowlist).map(h => h.toLowerCase());
+    const ports = OutboundGuard.parseList(options.allowedPorts).map(p => parseInt(p, 10)).filter(Number.isFinite);
+    this.allowedPorts = new Set(ports.length > 0 ? ports : DEFAULT_ALLOWED_PORTS);
+    this.lookupImpl = options.lookupImpl || dns.lookup;
+    this.blockList = new net.BlockList();
+    for (const [address, prefix, type] of BLOCKED_SUBNETS) this.blockList.addSubnet(address, prefix, type);
+    this.cache = new Map();
+    // axios / http に渡すためインスタンスに束縛しておく
+    this.lookup = this.lookup.bind(this);
+    this.beforeRedirect = this.beforeRedirect.bind(this);
+  }
+
+  /**
+   * 環境変数（OUTBOUND_ALLOWLIST / OUTBOUND_ALLOWED_PORTS）から作った共有インスタンス
+   */
+  static shared() {
+    if (!sharedGuard) {
+      sharedGuard = new OutboundGuard({
+        allowlist: process.env.OUTBOUND_ALLOWLIST,
+        allowedPorts: process.env.OUTBOUND_ALLOWED_PORTS,
+      });
+    }
+    return sharedGuard;
+  }
+
+  static parseList(value) {
+    if (Array.isArray(value)) return value.map(String).map(s => s.trim()).filter(Boolean);
+    if (typeof value === 'string') return value.split(',').map(s => s.trim()).filter(Boolean);
+    return [];
+  }
+
+  static isBlockedError(error) {
+    return !!OutboundGuard.findBlockedError(error);
+  }
+
+  /**
+   * BLOCKED_DESTINATION を取り出す。axios の自動追跡中に拒否した場合は
+   * ERR_FR_REDIRECTION_FAILURE の cause に入っているため、そちらも見る
+   * @returns {Error|null}
+   */
+  static findBlockedError(error) {
+    if (!error) return null;
+    if (error.code === 'BLOCKED_DESTINATION') return error;
+    if (error.cause && error.cause.code === 'BLOCKED_DESTINATION') return error.cause;
+    return null;
+  }
+
+  /**
+   * BLOCKED_DESTINATION エラーを作る
+   * @param {string} destination - 拒否した URL またはホスト
+   * @param {string} reason - 理由（利用者向けの日本語）
+   */
+  static blockedError(destination, reason) {
+    const err = new Error(`このURLにはアクセスできません（${reason}）: ${destination}`);
+    err.code = 'BLOCKED_DESTINATION';
+    err.status = 400;
+    err.destination = destination;
+    err.reason = reason;
+    return err;
+  }
+
+  /**
+   * NAT64・6to4・IPv4 互換・IPv4 変換の IPv6 アドレスに埋め込まれた IPv4 アドレス（EMBEDDED_IPV4_FORMATS）
+   * @example embeddedIPv4('64:ff9b::a9fe:a9fe') // '169.254.169.254'
+   * @returns {string|null}
+   */
+  static embeddedIPv4(address) {
+    const words = OutboundGuard.ipv6Words(address);
+    if (!words) return null;
+    for (const format of EMBEDDED_IPV4_FORMATS) {
+      const embedded = format(words);
+      if (embedded) {
+        const [hi, lo] = embedded;
+        return [hi >> 8, hi & 0xff, lo >> 8, lo & 0xff].join('.');
+      }
+    }
+    return null;
+  }
+
+  /**
+   * IPv6 アドレスを 16bit ごとの8つの値にする（末尾が a.b.c.d の形も可）。IPv6 でなければ null
+   * @example ipv6Words('2002:7f00:1::') // [0x2002, 0x7f00, 1, 0, 0, 0, 0, 0]
+   */
+  static ipv6Words(address) {
+    if (net.isIP(address) !== 6) return null;
+    let text = address.replace(/%.*$/, '');
+    const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+    if (dotted) {
+      const [a, b, c, d] = dotted.slice(1).map(Number);
+      text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+    const [head, tail] = text.includes('::') ? text.split('::') : [text, null];
+    const parse = part => (part ? part.split(':').map(word => parseInt(word, 16)) : []);
+    const left = parse(head);
+    const right = parse(tail);
+    const zeros = tail === null ? [] : new Array(8 - left.length - right.length).fill(0);
+    return [...left, ...zeros, ...right];
+  }
+
+  isAllowlisted(hostname) {
+    const host = String(hostname || '').toLowerCase();
+    return this.allowlist.some(entry => (entry.startsWith('*.')
+      ? host.endsWith(entry.slice(1)) || host === entry.slice(2)
+      : host === entry));
+  }
+
+  /**
+   * IP アドレスが拒否対象なら理由、そうでなければ null
+   * @param {string} address
+   * @returns {string|null}
+   */
+  blockedAddressReason(address) {
+    const type = net.isIP(address);
+    if (type === 0) return null;
+    if (type === 6) {
+      const embedded = OutboundGuard.embeddedIPv4(address);
+      if (embedded && this.blockList.check(embedded, 'ipv4')) return `内部ネットワークのアドレス ${address} です`;
+    }
+    return this.blockList.check(address, type === 4 ? 'ipv4' : 'ipv6')
+      ? `内部ネットワークのアドレス ${address} です`
+      : null;
+  }
+
+  /**
+   * URL のスキーム・ポート・ホスト名（IP 直書きならアドレス）を検査する。DNS は引かない
+   * @param {string|URL} url
+   * @returns {URL} 解析済みの URL
+   * @throws BLOCKED_DESTINATION
+   */
+  assertUrlAllowed(url) {
+    let u;
+    try {
+      u = url instanceof URL ? url : new URL(url);
+    } catch (_) {
+      throw OutboundGuard.blockedError(String(url), 'URLの形式が不正です');
+    }
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') {
+      throw OutboundGuard.blockedError(u.href, `${u.protocol.replace(':', '')} スキームは使えません`);
+    }
+    const hostname = u.hostname.replace(/^\[|\]$/g, '');
+    if (this.isAllowlisted(hostname)) return u;
+
+    const port = u.port ? parseInt(u.port, 10) : (u.protocol === 'https:' ? 443 : 80);
+    if (!this.allowedPorts.has(port)) {
+      throw OutboundGuard.blockedError(u.href, `ポート ${port} は使えません`);
+    }
+    if (BLOCKED_HOSTNAMES.test(hostname)) {
+      throw OutboundGuard.blockedError(u.href, `内部ホスト ${hostname} です`);
+    }
+    const reason = this.blockedAddressReason(hostname);
+    if (reason) throw OutboundGuard.blockedError(u.href, reason);
+    return u;
+  }
+
+  /**
+   * assertUrlAllowed に加えて DNS を引き、解決したすべてのアドレスを検査する（Puppeteer 用）
+   * 名前解決に失敗した・アドレスが1つも無い場合も拒否する（ブラウザが解決し直すと内部に届くことがあるため）
+   * @param {string|URL} url
+   * @throws BLOCKED_DESTINATION
+   */
+  async check(url) {
+    const u = this.assertUrlAllowed(url);
+    const hostname = u.hostname.replace(/^\[|\]$/g, '');
+    if (this.isAllowlisted(hostname) || net.isIP(hostname)) return;
+    let addresses;
+    try {
+      addresses = await this.resolve(hostname);
+    } catch (error) {
+      throw OutboundGuard.blockedError(u.href, `${hostname} の名前を解決できません（${error.code || error.message}）`);
+    }
+    if (addresses.length === 0) {
+      throw OutboundGuard.blockedError(u.href, `${hostname} の名前を解決できません`);
+    }
+    for (const { address } of addresses) {
+      const reason = this.blockedAddressReason(address);
+      if (reason) throw OutboundGuard.blockedError(u.href, `${hostname} は${reason}`);
+    }
+  }
+
+  /** 短時間キャッシュつきの名前解決（Puppeteer はサブリソースごとに検査するため） */
+  async resolve(hostname) {
+    const cached = this.cache.get(hostname);
+    if (cached && cached.expiresAt > Date.now()) return cached.addresses;
+    const addresses = await new Promise((resolve, reject) => {
+      this.lookupImpl(hostname, { all: true }, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+    this.cache.set(hostname, { addresses, expiresAt: Date.now() + LOOKUP_CACHE_MS });
+    if (this.cache.size > 500) this.cache.delete(this.cache.keys().next().value);
+    return addresses;
+  }
+
+  /**
+   * dns.lookup 互換。解決したアドレスに拒否対象が含まれていれば BLOCKED_DESTINATION で失敗させる
+   */
+  lookup(hostname, options, callback) {
+    const cb = typeof options === 'function' ? options : callback;
+    const opts = typeof options === 'object' && options !== null ? options : {};
+    this.lookupImpl(hostname, { ...opts, all: true }, (err, addresses) => {
+      if (err) return cb(err);
+      if (!Array.isArray(addresses) || addresses.length === 0) {
+        const notFound = new Error(`getaddrinfo ENOTFOUND ${hostname}`);
+        notFound.code = 'ENOTFOUND';
+        notFound.hostname = hostname;
+        return cb(notFound);
+      }
+      if (!this.isAllowlisted(hostname)) {
+        for (const { address } of addresses) {
+          const reason = this.blockedAddressReason(address);
+          if (reason) return cb(OutboundGuard.blockedError(hostname, `${hostname} は${reason}`));
+        }
+      }
+      if (opts.all) return cb(null, addresses);
+      return cb(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  /**
+   * axios（follow-redirects）の自動追跡で、次のホップへ進む前に呼ばれる
+   */
+  beforeRedirect(options) {
+    const href = options.href || `${options.protocol}//${options.hostname}${options.port ? `:${options.port}` : ''}${options.path || ''}`;
+    this.assertUrlAllowed(href);
+  }
+
+  /**
+   * axios の設定に混ぜるオプション
+   * @returns {{lookup: Function, beforeRedirect: Function}}
+   */
+  axiosOptions() {
+    return { lookup: this.lookup, beforeRedirect: this.beforeRedirect };
+  }
+}
+
+module.exports = OutboundGuard;
+module.exports.DEFAULT_ALLOWED_PORTS = DEFAULT_ALLOWED_PORTS;
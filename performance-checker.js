@@ -0,0 +1,356 @@
+/**
+ * Phase 3-H: Core Web Vitals のラボ計測（Advanced Check のパフォーマンスモード）
+ *
+ * Puppeteer のページに対して:
+ *  - プロファイル（mobile / desktop）ごとのビューポート・UA・CPU / ネットワーク制限を設定
+ *  - PerformanceObserver で LCP / CLS / Long Task（TBT）/ Event Timing（INP）/ FCP を収集
+ *  - CDP の Network イベントで転送量とリクエスト数（種別ごと）を集計
+ * し、計測値を `performance` カテゴリとして採点する。
+ *
+ * ラボ計測では操作が発生しないため INP は通常 null になる。代わりに TBT を INP の代替指標として採点する。
+ * 閾値は web.dev の Core Web Vitals 基準（good / needs-improvement / poor）に合わせている。
+ *
+ * @example
+ *   const checker = new PerformanceChecker();
+ *   const session = await checker.prepare(page, 'mobile');
+ *   await page.goto(url, { waitUntil: 'load' });
+ *   const metrics = await session.collect();
+ *   const result = checker.evaluate(metrics, 'mobile');
+ */
+
+// Lighthouse の throttling 既定値に合わせる（mobile: Slow 4G + CPU 4倍遅延 / desktop: 制限なしに近い回線）
+const PROFILES = {
+  mobile: {
+    label: 'モバイル',
+    viewport: { width: 412, height: 823, deviceScaleFactor: 1.75, isMobile: true, hasTouch: true },
+    userAgent: 'Mozilla/5.0 (Linux; Android 11; moto g power (2022)) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36 (compatible; SEO-AIO-Doctor/1.1)',
+    cpuSlowdown: 4,
+    network: { latency: 562.5, download: Math.round(1474.56 * 1024 / 8), upload: Math.round(675 * 1024 / 8) },
+    budgets: { transferBytes: 3 * 1024 * 1024, requests: 100 },
+  },
+  desktop: {
+    label: 'デスクトップ',
+    viewport: { width: 1350, height: 940, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36 (compatible; SEO-AIO-Doctor/1.1)',
+    cpuSlowdown: 1,
+    network: { latency: 40, download: Math.round(10240 * 0.9 * 1024 / 8), upload: Math.round(10240 * 0.9 * 1024 / 8) },
+    budgets: { transferBytes: 5 * 1024 * 1024, requests: 150 },
+  },
+};
+
+// [good の上限, poor の下限]
+const THRESHOLDS = {
+  lcp: [2500, 4000],
+  cls: [0.1, 0.25],
+  tbt: [200, 600],
+  inp: [200, 500],
+  fcp: [1800, 3000],
+  ttfb: [800, 1800],
+};
+
+// [needs-improvement, poor] の減点
+const PENALTIES = {
+  lcp: [15, 30],
+  cls: [10, 25],
+  tbt: [15, 30],
+  inp: [10, 20],
+  fcp: [5, 10],
+  ttfb: [5, 10],
+  transferBytes: 5,
+  requests: 5,
+};
+
+const WEB_DEV = 'https://web.dev/articles';
+
+class PerformanceChecker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.settleTime] - 計測値を読む前の待機（ms）。遅れて描画される LCP 候補を拾うため
+   */
+  constructor(options = {}) {
+    this.settleTime = options.settleTime != null ? options.settleTime : 1000;
+  }
+
+  static get PROFILES() {
+    return PROFILES;
+  }
+
+  /**
+   * プロファイル名を正規化する（不明な値は mobile）
+   * @param {string} [name]
+   * @returns {'mobile'|'desktop'}
+   */
+  static resolveProfile(name) {
+    return name === 'desktop' ? 'desktop' : 'mobile';
+  }
+
+  /**
+   * page.goto の前に呼び、エミュレーション設定と計測の仕込みを行う
+   * @param {Object} page - Puppeteer の Page
+   * @param {string} [profileName='mobile']
+   * @returns {Promise<{ collect: Function }>} collect() で計測値を返すセッション
+   */
+  async prepare(page, profileName = 'mobile') {
+    const profile = PROFILES[PerformanceChecker.resolveProfile(profileName)];
+
+    await page.setViewport(profile.viewport);
+    await page.setUserAgent(profile.userAgent);
+    await page.emulateCPUThrottling(profile.cpuSlowdown > 1 ? profile.cpuSlowdown : null);
+    await page.emulateNetworkConditions(profile.network);
+    await page.evaluateOnNewDocument(installPerformanceObservers);
+
+    // 転送量・リクエスト数は CDP の Network イベントで数える（キャッシュ無効前提）
+    const network = { transferBytes: 0, requestCount: 0, failedRequests: 0, requestsByType: {} };
+    const cdp = await page.createCDPSession();
+    await cdp.send('Network.enable');
+    cdp.on('Network.responseReceived', (event) => {
+      const type = String(event.type || 'Other').toLowerCase();
+      network.requestCount++;
+      network.requestsByType[type] = (network.requestsByType[type] || 0) + 1;
+    });
+    cdp.on('Network.loadingFinished', (event) => {
+      network.transferBytes += event.encodedDataLength || 0;
+    });
+    cdp.on('Network.loadingFailed', () => {
+      network.failedRequests++;
+    });
+
+    return {
+      collect: async () => {
+        if (this.settleTime > 0) await new Promise(resolve => setTimeout(resolve, this.settleTime));
+        const observed = await page.evaluate(readPerformanceObservers);
+        try { await cdp.detach(); } catch (_) { /* ページが閉じていれば無視 */ }
+        return { ...observed, ...network };
+      },
+    };
+  }
+
+  /**
+   * 計測値を採点する
+   * @param {Object} metrics - collect() の戻り値
+   * @param {string} [profileName='mobile']
+   * @returns {{ profile: string, metrics: Object, ratings: Object, score: number, issues: string[], recommendations: Object[] }}
+   */
+  evaluate(metrics, profileName = 'mobile') {
+    const profileKey = PerformanceChecker.resolveProfile(profileName);
+    const profile = PROFILES[profileKey];
+    const result = {
+      profile: profileKey,
+      profileLabel: profile.label,
+      current: this.summarize(metrics, profile.label),
+      metrics,
+      ratings: {},
+      score: 100,
+      issues: [],
+      recommendations: [],
+    };
+
+    for (const name of Object.keys(THRESHOLDS)) {
+      const value = metrics[name];
+      if (value == null) {
+        result.ratings[name] = null;
+        continue;
+      }
+      const rating = this.rate(name, value);
+      result.ratings[name] = rating;
+      if (rating === 'good') continue;
+      const penalty = PENALTIES[name][rating === 'poor' ? 1 : 0];
+      this._addIssue(result, penalty, this._metricIssue(name, value), this._metricRecommendation(name, rating, metrics));
+    }
+
+    if (metrics.transferBytes > profile.budgets.transferBytes) {
+      const mb = (metrics.transferBytes / 1024 / 1024).toFixed(1);
+      this._addIssue(result, PENALTIES.transferBytes, `ページの転送量が${mb}MBです（目標: ${profile.budgets.transferBytes / 1024 / 1024}MB以内）`, {
+        type: 'medium',
+        title: 'ページの転送量を減らす',
+        description: `${profile.label}回線では転送量がそのまま表示速度に響きます。画像の圧縮（WebP / AVIF）・不要な JavaScript の削除・遅延読み込みを検討してください。`,
+        docLink: `${WEB_DEV}/total-byte-weight`,
+      });
+    }
+    if (metrics.requestCount > profile.budgets.requests) {
+      this._addIssue(result, PENALTIES.requests, `リクエスト数が${metrics.requestCount}件です（目標: ${profile.budgets.requests}件以内）`, {
+        type: 'low',
+        title: 'リクエスト数を減らす',
+        description: 'サードパーティのタグやアイコン画像をまとめ、初期表示に不要なリソースは遅延読み込みにしてください。',
+        docLink: `${WEB_DEV}/critical-rendering-path`,
+      });
+    }
+    return result;
+  }
+
+  /**
+   * 計測値の1行サマリー（レポートの「現在の値」に使う）
+   * @param {Object} metrics
+   * @param {string} label - プロファイル表示名
+   * @returns {string}
+   */
+  summarize(metrics, label) {
+    const seconds = (ms) => (ms == null ? '-' : `${(ms / 1000).toFixed(1)}秒`);
+    const millis = (ms) => (ms == null ? '-' : `${Math.round(ms)}ms`);
+    const parts = [
+      `LCP ${seconds(metrics.lcp)}`,
+      `CLS ${metrics.cls == null ? '-' : metrics.cls.toFixed(2)}`,
+      `TBT ${millis(metrics.tbt)}`,
+      `FCP ${seconds(metrics.fcp)}`,
+      `TTFB ${millis(metrics.ttfb)}`,
+    ];
+    if (metrics.inp != null) parts.splice(3, 0, `INP ${millis(metrics.inp)}`);
+    const weight = `${((metrics.transferBytes || 0) / 1024 / 1024).toFixed(1)}MB・${metrics.requestCount || 0}リクエスト`;
+    return `${parts.join(' / ')}（${label}、${weight}）`;
+  }
+
+  /**
+   * 指標値を good / needs-improvement / poor に分類する
+   * @param {string} name - lcp / cls / tbt / inp / fcp / ttfb
+   * @param {number} value
+   * @returns {'good'|'needs-improvement'|'poor'}
+   */
+  rate(name, value) {
+    const [good, poor] = THRESHOLDS[name];
+    if (value <= good) return 'good';
+    if (value <= poor) return 'needs-improvement';
+    return 'poor';
+  }
+
+  /** @private */
+  _addIssue(result, penalty, issue, recommendation) {
+    result.score = Math.max(0, result.score - penalty);
+    result.issues.push(issue);
+    result.recommendations.push(recommendation);
+  }
+
+  /** @private */
+  _metricIssue(name, value) {
+    const seconds = (ms) => (ms / 1000).toFixed(1);
+    switch (name) {
+      case 'lcp': return `LCP（最大コンテンツの描画）が${seconds(value)}秒です（目標: 2.5秒以内）`;
+      case 'cls': return `CLS（レイアウトのずれ）が${value.toFixed(2)}です（目標: 0.1以下）`;
+      case 'tbt': return `TBT（メインスレッドのブロック時間）が${Math.round(value)}ミリ秒です（目標: 200ミリ秒以内。INP の代替指標）`;
+      case 'inp': return `INP（操作への応答）が${Math.round(value)}ミリ秒です（目標: 200ミリ秒以内）`;
+      case 'fcp': return `FCP（最初のコンテンツの描画）が${seconds(value)}秒です（目標: 1.8秒以内）`;
+      default: return `TTFB（サーバーの応答時間）が${Math.round(value)}ミリ秒です（目標: 800ミリ秒以内）`;
+    }
+  }
+
+  /** @private */
+  _metricRecommendation(name, rating, metrics) {
+    const type = rating === 'poor' ? 'high' : 'medium';
+    switch (name) {
+      case 'lcp':
+        return {
+          type,
+          title: 'LCP 要素を早く表示する',
+          description: metrics.lcpElement
+            ? `LCP 要素は ${metrics.lcpElement} です。画像なら preload と fetchpriority="high" を指定し、loading="lazy" を外してください。`
+            : 'ファーストビューの画像・見出しを早く描画できるよう、preload とレンダリングをブロックする CSS / JS の削減を行ってください。',
+          codeExample: '<link rel="preload" as="image" href="/hero.webp" fetchpriority="high">',
+          docLink: `${WEB_DEV}/optimize-lcp`,
+        };
+      case 'cls':
+        return {
+          type,
+          title: 'レイアウトのずれを防ぐ',
+          description: '画像・広告・埋め込みに width / height（または aspect-ratio）を指定し、後から挿入される要素の領域を確保してください。',
+          codeExample: '<img src="/photo.webp" width="1200" height="630" alt="...">',
+          docLink: `${WEB_DEV}/optimize-cls`,
+        };
+      case 'tbt':
+      case 'inp':
+        return {
+          type,
+          title: 'メインスレッドを長時間ふさぐ JavaScript を減らす',
+          description: '50ミリ秒を超える処理（Long Task）を分割し、初期表示に不要なスクリプトは defer / 遅延読み込みにしてください。',
+          codeExample: '<script src="/analytics.js" defer></script>',
+          docLink: `${WEB_DEV}/optimize-inp`,
+        };
+      case 'fcp':
+        return {
+          type,
+          title: '最初の描画を早める',
+          description: 'レンダリングをブロックする CSS / JS を減らし、Web フォントには font-display: swap を指定してください。',
+          docLink: `${WEB_DEV}/fcp`,
+        };
+      default:
+        return {
+          type,
+          title: 'サーバーの応答を速くする',
+          description: 'キャッシュ（CDN・ページキャッシュ）の活用と、リダイレクトの削減を検討してください。',
+          docLink: `${WEB_DEV}/optimize-ttfb`,
+        };
+    }
+  }
+}
+
+/**
+ * ページ内で実行する計測の仕込み（evaluateOnNewDocument でシリアライズされるため外部変数を参照しない）
+ * CLS は web-vitals と同じセッションウィンドウ方式（1秒以内の連続したずれを最大5秒までまとめ、最大のウィンドウを採用）
+ */
+function installPerformanceObservers() {
+  const state = { lcp: null, lcpElement: null, cls: 0, longTasks: [], inp: null };
+  window.__seoAioPerf = state;
+  const observe = (type, callback, extra) => {
+    try {
+      new window.PerformanceObserver((list) => list.getEntries().forEach(callback))
+        .observe(Object.assign({ type, buffered: true }, extra));
+    } catch (_) { /* 非対応のエントリ種別は無視 */ }
+  };
+
+  observe('largest-contentful-paint', (entry) => {
+    state.lcp = entry.startTime;
+    const el = entry.element;
+    state.lcpElement = el ? `<${el.tagName.toLowerCase()}${el.currentSrc ? ` src="${el.currentSrc}"` : ''}>` : null;
+  });
+
+  let sessionValue = 0;
+  let sessionStart = 0;
+  let lastShift = 0;
+  observe('layout-shift', (entry) => {
+    if (entry.hadRecentInput) return;
+    if (sessionValue && (entry.startTime - lastShift > 1000 || entry.startTime - sessionStart > 5000)) {
+      sessionValue = 0;
+    }
+    if (!sessionValue) sessionStart = entry.startTime;
+    sessionValue += entry.value;
+    lastShift = entry.startTime;
+    state.cls = Math.max(state.cls, sessionValue);
+  });
+
+  observe('longtask', (entry) => {
+    state.longTasks.push({ start: entry.startTime, duration: entry.duration });
+  });
+
+  observe('event', (entry) => {
+    if (entry.interactionId) state.inp = Math.max(state.inp || 0, entry.duration);
+  }, { durationThreshold: 40 });
+}
+
+/**
+ * ページ内で実行し、installPerformanceObservers の収集結果と Navigation / Paint Timing を読む
+ * TBT は FCP 以降の Long Task について 50ms を超えた分の合計
+ */
+function readPerformanceObservers() {
+  const state = window.__seoAioPerf || { lcp: null, lcpElement: null, cls: 0, longTasks: [], inp: null };
+  const nav = window.performance.getEntriesByType('navigation')[0];
+  const paint = window.performance.getEntriesByType('paint').find(e => e.name === 'first-contentful-paint');
+  const fcp = paint ? paint.startTime : null;
+  const tbt = state.longTasks
+    .filter(task => fcp == null || task.start + task.duration > fcp)
+    .reduce((sum, task) => sum + Math.max(0, task.duration - 50), 0);
+  return {
+    lcp: state.lcp,
+    lcpElement: state.lcpElement,
+    cls: Math.round(state.cls * 1000) / 1000,
+    tbt: Math.round(tbt),
+    inp: state.inp,
+    fcp,
+    ttfb: nav ? nav.responseStart : null,
+    domContentLoaded: nav ? nav.domContentLoadedEventEnd : null,
+    load: nav ? nav.loadEventEnd : null,
+    longTaskCount: state.longTasks.length,
+  };
+}
+
+PerformanceChecker.installPerformanceObservers = installPerformanceObservers;
+PerformanceChecker.readPerformanceObservers = readPerformanceObservers;
+
+module.exports = PerformanceChecker;
@@ -0,0 +1,402 @@
+/**
+ * Phase 3-N: API キー認証と利用回数の制限
+ *
+ * API は誰でも呼べたため、/api/llm/suggest が OpenAI の利用料を無制限に使えてしまっていた。
+ * リクエストを次のどちらかの利用者として識別し、種別（bucket）ごとに回数を制限する:
+ *  - API キー（`Authorization: Bearer <key>` または `X-API-Key: <key>`）: キーごと。userId はキーに紐づく
+ *  - キーなし（Web UI からの利用）: IP アドレスごと。キーありより少ない回数にする
+ *
+ * 種別は3つで、それぞれ1分あたり（perMinute）と1日あたり（perDay、UTC 0時にリセット）の上限を持つ:
+ *  - check     : Simple Check（axios で取得）
+ *  - puppeteer : Advanced Check・パフォーマンス計測（ブラウザを使うため重い）
+ *  - llm       : AI 書き換え提案（OpenAI を呼ぶ）
+ *
+ * 保存先は JobQueue と同じく2種類:
+ *  - MongoDB（MONGODB_URI 設定時）: キーは ApiKey（ハッシュのみ保存）、回数は ApiUsage に $inc で原子的に加算。
+ *    複数インスタンスで回数を共有する
+ *  - メモリ: 未設定時のフォールバック（キーは登録できないため、全員 IP ごとの制限になる）
+ *
+ * 回数の保存に失敗した場合はリクエストを止めない（制限より診断の可用性を優先）。
+ *
+ * @example
+ *   const limiter = new RateLimiter();
+ *   const identity = await limiter.authenticate(req); // 不正なキーは INVALID_API_KEY（401）
+ *   const decision = await limiter.consume(identity, 'puppeteer');
+ *   RateLimiter.setHeaders(res, decision);
+ *   if (!decision.allowed) // 429 decision.code（cost だけで上限を超える依頼は 400 COST_EXCEEDS_LIMIT）
+ */
+
+const crypto = require('crypto');
+
+const BUCKETS = Object.freeze(['check', 'puppeteer', 'llm']);
+
+const WINDOWS = Object.freeze({
+  perMinute: 60 * 1000,
+  perDay: 24 * 60 * 60 * 1000,
+});
+
+const DEFAULT_LIMITS = Object.freeze({
+  // API キーの既定値（キーごとに limits で上書きできる）
+  key: {
+    check: { perMinute: 30, perDay: 1000 },
+    puppeteer: { perMinute: 5, perDay: 200 },
+    llm: { perMinute: 10, perDay: 200 },
+  },
+  // キーなし（IP アドレスごと）
+  anonymous: {
+    check: { perMinute: 10, perDay: 200 },
+    puppeteer: { perMinute: 3, perDay: 30 },
+    llm: { perMinute: 3, perDay: 30 },
+  },
+});
+
+const KEY_PREFIX = 'sad_';
+const KEY_CACHE_MS = 60 * 1000; // 失効したキーが使えなくなるまでの最大時間
+
+/**
+ * 上限の設定を重ねる（数値のみ採用）
+ * @param {Object} base - { check: { perMinute, perDay }, ... }
+ * @param {Object} [override] - 一部だけの上書き
+ */
+function mergeLimits(base, override) {
+  const merged = {};
+  for (const bucket of BUCKETS) {
+    merged[bucket] = { ...base[bucket] };
+    const patch = override && override[bucket];
+    if (!patch || typeof patch !== 'object') continue;
+    for (const window of Object.keys(WINDOWS)) {
+      const value = Number(patch[window]);
+      if (patch[window] !== undefined && patch[window] !== null && Number.isFinite(value) && value >= 0) {
+        merged[bucket][window] = Math.floor(value);
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * プロセス内メモリのキー保存先（MONGODB_URI 未設定時・テスト用）
+ */
+class MemoryApiKeyStore {
+  constructor() {
+    this.keys = new Map();
+  }
+
+  async create(fields) {
+    const key = { id: crypto.randomUUID(), limits: {}, lastUsedAt: null, revokedAt: null, ...fields, createdAt: new Date() };
+    this.keys.set(key.keyHash, key);
+    return { ...key };
+  }
+
+  async findByHash(keyHash) {
+    const key = this.keys.get(keyHash);
+    return key && !key.revokedAt ? { ...key } : null;
+  }
+
+  async touch(id, at) {
+    for (const key of this.keys.values()) {
+      if (key.id === id) key.lastUsedAt = at;
+    }
+  }
+}
+
+/**
+ * MongoDB のキー保存先（models/ApiKey）
+ */
+class MongoApiKeyStore {
+  /**
+   * @param {Object} model - ApiKey モデル
+   */
+  constructor(model) {
+    this.model = model;
+  }
+
+  async create(fields) {
+    const doc = await this.model.create(fields);
+    return MongoApiKeyStore.toKey(doc.toObject());
+  }
+
+  async findByHash(keyHash) {
+    return MongoApiKeyStore.toKey(await this.model.findOne({ keyHash, revokedAt: null }).lean());
+  }
+
+  async touch(id, at) {
+    await this.model.updateOne({ _id: id }, { $set: { lastUsedAt: at } });
+  }
+
+  static toKey(doc) {
+    if (!doc) return null;
+    const { _id, __v, ...rest } = doc;
+    return { id: String(_id), ...rest };
+  }
+}
+
+/**
+ * プロセス内メモリの回数保存先
+ */
+class MemoryUsageStore {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.now] - 現在時刻（テスト用）
+   */
+  constructor(options = {}) {
+    this.counters = new Map();
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * 回数を加算して、加算後の回数を返す
+   * @param {string} id - 時間枠まで含めたカウンタの ID
+   * @param {number} cost - 加算する回数
+   * @param {Date} expiresAt - 時間枠の終わり
+   */
+  async increment(id, cost, expiresAt) {
+    this.prune();
+    const counter = this.counters.get(id) || { count: 0, expiresAt };
+    counter.count += cost;
+    this.counters.set(id, counter);
+    return counter.count;
+  }
+
+  /** 終わった時間枠を捨てる（Mongo では TTL インデックスが行う） */
+  prune() {
+    const now = this.now();
+    for (const [id, counter] of this.counters) {
+      if (counter.expiresAt.getTime() <= now) this.counters.delete(id);
+    }
+  }
+}
+
+/**
+ * MongoDB の回数保存先（models/ApiUsage）
+ */
+class MongoUsageStore {
+  /**
+   * @param {Object} model - ApiUsage モデル
+   */
+  constructor(model) {
+    this.model = model;
+  }
+
+  async increment(id, cost, expiresAt) {
+    const doc = await this.model.findOneAndUpdate(
+      { _id: id },
+      { $inc: { count: cost }, $setOnInsert: { expiresAt } },
+      { upsert: true, new: true, lean: true }
+    );
+    return doc.count;
+  }
+}
+
+class RateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.limits] - DEFAULT_LIMITS の一部上書き（{ key: {...}, anonymous: {...} }）
+   * @param {Object} [options.keyStore] - 既定は MemoryApiKeyStore
+   * @param {Object} [options.usageStore] - 既定は MemoryUsageStore
+   * @param {Function} [options.now] - 現在時刻（テスト用）
+   * @param {Object} [options.logger]
+   */
+  constructor(options = {}) {
+    const limits = options.limits || {};
+    this.limits = {
+      key: mergeLimits(DEFAULT_LIMITS.key, limits.key),
+      anonymous: mergeLimits(DEFAULT_LIMITS.anonymous, limits.anonymous),
+    };
+    this.now = options.now || (() => Date.now());
+    this.keyStore = options.keyStore || new MemoryApiKeyStore();
+    this.usageStore = options.usageStore || new MemoryUsageStore({ now: this.now });
+    this.logger = options.logger || null;
+    this.keyCache = new Map();
+  }
+
+  /**
+   * 保存先を差し替える（起動時に DB 接続の有無で決める）
+   */
+  useStores({ keyStore, usageStore }) {
+    if (keyStore) this.keyStore = keyStore;
+    if (usageStore) this.usageStore = usageStore;
+    this.keyCache.clear();
+  }
+
+  /** 新しいキー文字列（sad_ + 32バイトの乱数） */
+  static generateKey() {
+    return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  }
+
+  static hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  /** リクエストヘッダーから API キーを取り出す（無ければ null） */
+  static extractKey(req) {
+    const header = (name) => (typeof req.get === 'function' ? req.get(name) : req.headers && req.headers[name.toLowerCase()]);
+    const auth = header('authorization');
+    const bearer = auth && /^Bearer\s+(\S+)$/i.exec(auth);
+    if (bearer) return bearer[1];
+    const apiKey = header('x-api-key');
+    return apiKey ? String(apiKey).trim() || null : null;
+  }
+
+  /**
+   * キーを発行する。戻り値の key はここでしか得られない（保存するのはハッシュのみ）
+   * @param {Object} fields
+   * @param {string} fields.name - 用途のメモ
+   * @param {string} fields.userId - 分析履歴に記録する利用者ID
+   * @param {Object} [fields.limits] - 既定値の上書き
+   * @returns {Promise<{key: string, record: Object}>}
+   */
+  async createKey({ name, userId, limits = {} }) {
+    if (!name || !userId) {
+      const err = new Error('name と userId は必須です');
+      err.code = 'INVALID_API_KEY_FIELDS';
+      throw err;
+    }
+    const key = RateLimiter.generateKey();
+    const record = await this.keyStore.create({
+      name,
+      userId,
+      limits,
+      keyHash: RateLimiter.hashKey(key),
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+    });
+    return { key, record };
+  }
+
+  /**
+   * リクエストの利用者を識別する
+   * @param {Object} req - Express のリクエスト
+   * @returns {Promise<{type: 'key'|'anonymous', subject: string, userId: string|null, keyId: string|null, limits: Object}>}
+   * @throws INVALID_API_KEY（status 401）- キーが指定されているが、登録されていない・失効している
+   */
+  async authenticate(req) {
+    const key = RateLimiter.extractKey(req);
+    if (!key) {
+      const ip = req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+      return { type: 'anonymous', subject: `ip:${ip}`, userId: null, keyId: null, limits: this.limits.anonymous };
+    }
+
+    const record = await this.findKey(RateLimiter.hashKey(key));
+    if (!record) {
+      const err = new Error('APIキーが無効です（未登録または失効済み）');
+      err.code = 'INVALID_API_KEY';
+      err.status = 401;
+      throw err;
+    }
+    Promise.resolve(this.keyStore.touch(record.id, new Date(this.now()))).catch(() => { /* 最終利用日時は記録できなくてもよい */ });
+    return {
+      type: 'key',
+      subject: `key:${record.id}`,
+      userId: record.userId,
+      keyId: record.id,
+      limits: mergeLimits(this.limits.key, record.limits),
+    };
+  }
+
+  /** 短時間キャッシュつきのキー検索（リクエストごとに DB を引かない） */
+  async findKey(keyHash) {
+    const cached = this.keyCache.get(keyHash);
+    if (cached && cached.expiresAt > this.now()) return cached.record;
+    const record = await this.keyStore.findByHash(keyHash);
+    this.keyCache.set(keyHash, { record, expiresAt: this.now() + KEY_CACHE_MS });
+    if (this.keyCache.size > 1000) this.keyCache.delete(this.keyCache.keys().next().value);
+    return record;
+  }
+
+  /**
+   * 利用回数を計上し、上限内かを判定する
+   * 1分の枠を先に数え、超えていれば1日の枠は消費しない。断ったときは計上した分を戻す（断られた依頼で枠を使い切らない）。
+   * cost だけで上限を超える依頼（枠が空いていても通らない）は計上せずに COST_EXCEEDS_LIMIT で断る
+   * @param {Object} identity - authenticate の戻り値
+   * @param {'check'|'puppeteer'|'llm'} bucket
+   * @param {number} [cost=1] - 一括診断・クロールは URL / ページ数
+   * @returns {Promise<{allowed: boolean, code: string|null, bucket: string, limit: number, remaining: number,
+   *   resetSec: number, window: string, policy: string, cost: number}>}
+   */
+  async consume(identity, bucket, cost = 1) {
+    const limits = identity.limits[bucket];
+    if (!limits) throw new Error(`未対応の種別です: ${bucket}`);
+    const now = this.now();
+    const policy = Object.keys(WINDOWS).map(window => `${limits[window]};w=${WINDOWS[window] / 1000}`).join(', ');
+
+    const oversized = Object.keys(WINDOWS).find(window => cost > limits[window]);
+    if (oversized) {
+      return { allowed: false, code: 'COST_EXCEEDS_LIMIT', bucket, window: oversized, policy, limit: limits[oversized], remaining: null, resetSec: null, cost };
+    }
+
+    const counted = [];
+    let tightest = null;
+    for (const window of Object.keys(WINDOWS)) {
+      const windowMs = WINDOWS[window];
+      const windowStart = Math.floor(now / windowMs) * windowMs;
+      const resetAt = windowStart + windowMs;
+      const id = `${identity.subject}:${bucket}:${windowMs}:${windowStart}`;
+      let count;
+      try {
+        count = await this.usageStore.increment(id, cost, new Date(resetAt));
+      } catch (err) {
+        if (this.logger) this.logger.warn(`利用回数の記録に失敗、制限せずに続行: ${err.message}`);
+        return { allowed: true, code: null, bucket, limit: limits[window], remaining: limits[window], resetSec: Math.ceil((resetAt - now) / 1000), window, policy, cost };
+      }
+      counted.push({ id, resetAt });
+      const state = {
+        bucket,
+        window,
+        policy,
+        cost,
+        limit: limits[window],
+        remaining: Math.max(0, limits[window] - count),
+        resetSec: Math.max(1, Math.ceil((resetAt - now) / 1000)),
+      };
+      if (count > limits[window]) {
+        await this.refund(counted, cost);
+        return { ...state, remaining: Math.max(0, limits[window] - (count - cost)), allowed: false, code: window === 'perDay' ? 'QUOTA_EXCEEDED' : 'RATE_LIMITED' };
+      }
+      if (!tightest || state.remaining < tightest.remaining) tightest = state;
+    }
+    return { ...tightest, allowed: true, code: null };
+  }
+
+  /** 断った依頼で計上した分を戻す（戻せなくても、枠は時間で終わるため続行する） */
+  async refund(counted, cost) {
+    for (const { id, resetAt } of counted) {
+      try {
+        await this.usageStore.increment(id, -cost, new Date(resetAt));
+      } catch (err) {
+        if (this.logger) this.logger.warn(`利用回数を戻せませんでした: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * RateLimit-* ヘッダー（IETF draft-ietf-httpapi-ratelimit-headers）を付ける。拒否時は Retry-After も
+   */
+  static setHeaders(res, decision) {
+    res.set('RateLimit-Limit', String(decision.limit));
+    res.set('RateLimit-Remaining', String(decision.remaining));
+    res.set('RateLimit-Reset', String(decision.resetSec));
+    res.set('RateLimit-Policy', decision.policy);
+    if (!decision.allowed) res.set('Retry-After', String(decision.resetSec));
+  }
+
+  /** 429（COST_EXCEEDS_LIMIT は 400）で返すメッセージ */
+  static describe(decision) {
+    const labels = { check: '診断', puppeteer: 'Advanced Check', llm: 'AI 提案' };
+    if (decision.code === 'COST_EXCEEDS_LIMIT') {
+      const per = decision.window === 'perDay' ? '1日' : '1分';
+      return `この依頼は${labels[decision.bucket]}${decision.cost}回分として数えますが、${per}あたりの上限は${decision.limit}回です。` +
+        'ページ数・URL・比較するサイトの数を減らすか、上限の大きい API キーを使ってください';
+    }
+    return decision.window === 'perDay'
+      ? `${labels[decision.bucket]}の1日の上限（${decision.limit}回）に達しました。UTC 0時（日本時間9時）にリセットされます`
+      : `${labels[decision.bucket]}の回数制限（1分あたり${decision.limit}回）を超えました。${decision.resetSec}秒後に再試行してください`;
+  }
+}
+
+module.exports = RateLimiter;
+module.exports.MemoryApiKeyStore = MemoryApiKeyStore;
+module.exports.MongoApiKeyStore = MongoApiKeyStore;
+module.exports.MemoryUsageStore = MemoryUsageStore;
+module.exports.MongoUsageStore = MongoUsageStore;
+module.exports.DEFAULT_LIMITS = DEFAULT_LIMITS;
+module.exports.BUCKETS = BUCKETS;
@@ -0,0 +1,412 @@
+/**
+ * Phase 3-D: リダイレクトチェーンと canonical 整合性の監査
+ *
+ * fetchHTMLWith* が記録したレスポンス情報（redirectChain / finalUrl / clientRedirects）と
+ * ページ内の URL 宣言を突き合わせる:
+ *  - HTTP リダイレクトの各ホップ（301 / 302 / 303 / 307 / 308）
+ *  - meta refresh と、Puppeteer で観測した JavaScript リダイレクト
+ *  - 最終URL と <link rel="canonical"> / og:url / JSON-LD の url・@id
+ *
+ * 検出するもの:
+ *  - 2ホップ以上のリダイレクトチェーン、一時的リダイレクト、HTTPS → HTTP のダウングレード
+ *  - canonical の未設定・複数・相対URL・最終URLとの不一致
+ *  - canonical がリダイレクトする URL / 200 以外の URL を指している（HEAD で確認）
+ *  - og:url・JSON-LD が canonical と食い違っている
+ *
+ * @example
+ *   const RedirectCanonicalChecker = require('./redirect-canonical-checker');
+ *   const result = await new RedirectCanonicalChecker().check({ url, httpResponse, $ });
+ *   // result.redirects, result.canonical, result.score, result.issues, ...
+ */
+
+const axios = require('axios');
+const OutboundGuard = require('./outbound-guard');
+
+const USER_AGENT = 'SEO-AIO-Doctor/1.3 (+https://seo-checker-tool.onrender.com/)';
+const TEMPORARY_REDIRECTS = new Set([302, 303, 307]);
+// JSON-LD でページ自身の URL を表すとみなす @type
+const PAGE_LEVEL_TYPES = new Set([
+  'WebPage', 'ItemPage', 'AboutPage', 'ContactPage', 'CollectionPage', 'ProfilePage',
+  'FAQPage', 'QAPage', 'SearchResultsPage', 'Article', 'BlogPosting', 'NewsArticle',
+  'TechArticle', 'Product', 'Recipe', 'Event', 'JobPosting',
+]);
+
+const PENALTIES = {
+  chain: 15,
+  downgrade: 25,
+  temporary: 10,
+  metaRefresh: 15,
+  javascript: 15,
+  canonicalMissing: 10,
+  canonicalMultiple: 15,
+  canonicalRelative: 5,
+  canonicalInvalid: 15,
+  canonicalMismatch: 10,
+  canonicalRedirects: 20,
+  canonicalBroken: 25,
+  ogUrlMismatch: 5,
+  jsonLdMismatch: 5,
+};
+
+class RedirectCanonicalChecker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - canonical 先の確認リクエストのタイムアウト
+   * @param {Function} [options.probeImpl] - テスト注入用。(url) => Promise<{ statusCode, location }>
+   * @param {OutboundGuard} [options.outboundGuard] - Phase 3-M: 宛先の検査（既定は共有インスタンス）
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || 5000;
+    this.probeImpl = options.probeImpl || null;
+    this.outboundGuard = options.outboundGuard || OutboundGuard.shared();
+  }
+
+  /**
+   * メインのチェック関数
+   * @param {Object} input
+   * @param {string|null} input.url - 診断を要求したURL（HTML直接入力時は null）
+   * @param {Object|null} input.httpResponse - { statusCode, finalUrl, redirectChain, clientRedirects }
+   * @param {Function} input.$ - cheerio
+   * @returns {Promise<Object>} チェック結果
+   */
+  async check({ url = null, httpResponse = null, $ }) {
+    const finalUrl = (httpResponse && httpResponse.finalUrl) || url || null;
+    const result = {
+      requestedUrl: url,
+      finalUrl,
+      redirects: {
+        skipped: !httpResponse,
+        hops: httpResponse ? (httpResponse.redirectChain || []) : [],
+        clientRedirects: [],
+        metaRefresh: null,
+      },
+      canonical: {
+        href: null,
+        resolved: null,
+        count: 0,
+        isRelative: false,
+        matchesFinalUrl: null,
+        target: null, // { statusCode, location } canonical 先の確認結果
+      },
+      ogUrl: null,
+      jsonLdUrls: [],
+      score: 100,
+      issues: [],
+      recommendations: [],
+    };
+
+    this._inspectRedirects(result, httpResponse, $);
+    this._inspectCanonical(result, $, finalUrl);
+    await this._probeCanonical(result);
+    this._inspectDeclaredUrls(result, $);
+    return result;
+  }
+
+  /**
+   * 比較用のURL正規化（フラグメント除去・ホスト小文字化・既定ポート除去）
+   * @returns {string|null}
+   */
+  normalizeUrl(value, base) {
+    if (!value || typeof value !== 'string') return null;
+    try {
+      const u = base ? new URL(value.trim(), base) : new URL(value.trim());
+      if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+      u.hash = '';
+      return u.toString();
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /** @private */
+  _addIssue(result, penalty, issue, recommendation) {
+    result.score = Math.max(0, result.score - PENALTIES[penalty]);
+    result.issues.push(issue);
+    result.recommendations.push(recommendation);
+  }
+
+  /**
+   * <meta http-equiv="refresh" content="0; url=/next"> を解析
+   * @returns {{ delay: number, target: string|null }|null}
+   * @private
+   */
+  _parseMetaRefresh($, baseUrl) {
+    const content = $('meta[http-equiv="refresh" i]').attr('content');
+    if (!content) return null;
+    const m = content.match(/^\s*(\d+)?\s*[;,]?\s*(?:url\s*=\s*)?['"]?([^'"]*)['"]?\s*$/i);
+    if (!m || !m[2]) return null;
+    return {
+      delay: m[1] ? parseInt(m[1], 10) : 0,
+      target: this.normalizeUrl(m[2], baseUrl || undefined) || m[2].trim(),
+    };
+  }
+
+  /** @private */
+  _inspectRedirects(result, httpResponse, $) {
+    const hops = result.redirects.hops;
+
+    if (hops.length >= 2) {
+      this._addIssue(result, 'chain', `リダイレクトチェーンが発生しています（${hops.length}ホップ）`, {
+        type: 'medium',
+        title: 'リダイレクトを最終URLへの1回にまとめる',
+        description: `${hops.map(h => `${h.url} (${h.statusCode})`).join(' → ')} → ${result.finalUrl}。クロールの無駄と表示遅延を避けるため、最初のURLから最終URLへ直接リダイレクトしてください。`,
+        docLink: 'https://developers.google.com/search/docs/crawling-indexing/301-redirects?hl=ja',
+      });
+    }
+
+    const downgrade = hops.find(h => h.url.startsWith('https:') && String(h.location || '').startsWith('http:'));
+    if (downgrade) {
+      this._addIssue(result, 'downgrade', 'HTTPSからHTTPへのリダイレクト（ダウングレード）があります', {
+        type: 'critical',
+        title: 'HTTPS から HTTP へのリダイレクトを廃止',
+        description: `${downgrade.url} → ${downgrade.location}。通信が平文になり、検索エンジンも HTTPS 版を正規URLとして扱えなくなります。`,
+        docLink: 'https://developers.google.com/search/docs/crawling-indexing/site-move-with-url-changes?hl=ja',
+      });
+    }
+
+    const temporary = hops.filter(h => TEMPORARY_REDIRECTS.has(h.statusCode));
+    if (temporary.length > 0) {
+      this._addIssue(result, 'temporary', `一時的リダイレクト（${[...new Set(temporary.map(h => h.statusCode))].join('/')}）で転送されています`, {
+        type: 'low',
+        title: '恒久的な移転には 301 / 308 を使用',
+        description: '一時的リダイレクトでは転送元URLがインデックスに残り続けることがあります。恒久的な移転であれば 301 または 308 に変更してください。',
+        codeExample: '# nginx\nreturn 301 https://example.com$request_uri;',
+        docLink: 'https://developers.google.com/search/docs/crawling-indexing/301-redirects?hl=ja',
+      });
+    }
+
+    // クライアントサイドのリダイレクト（Puppeteer で観測したもの + 静的HTMLの meta refresh）
+    const clientRedirects = (httpResponse && httpResponse.clientRedirects) || [];
+    result.redirects.clientRedirects = clientRedirects;
+    const metaRefresh = this._parseMetaRefresh($, result.finalUrl);
+    result.redirects.metaRefresh = metaRefresh;
+
+    if (metaRefresh || clientRedirects.some(r => r.type === 'meta-refresh')) {
+      this._addIssue(result, 'metaRefresh', 'meta refreshによるリダイレクトがあります', {
+        type: 'medium',
+        title: 'meta refresh をサーバー側の 301 リダイレクトに置き換え',
+        description: 'meta refresh はユーザー体験を損ない、検索エンジンによっては転送として扱われません。',
+        codeExample: '<!-- 削除する -->\n<meta http-equiv="refresh" content="0; url=https://example.com/new">',
+        docLink: 'https://developers.google.com/search/docs/crawling-indexing/301-redirects?hl=ja#metarefresh',
+      });
+    }
+    if (clientRedirects.some(r => r.type === 'javascript')) {
+      this._addIssue(result, 'javascript', 'JavaScriptによるリダイレクトがあります', {
+        type: 'medium',
+        title: 'JavaScript リダイレクトをサーバー側の 301 リダイレクトに置き換え',
+        description: 'JavaScript の実行が必要なリダイレクトは、クローラーがレンダリングするまで検出されません。サーバー側で転送してください。',
+        docLink: 'https://developers.google.com/search/docs/crawling-indexing/301-redirects?hl=ja#jslocation',
+      });
+    }
+  }
+
+  /** @private */
+  _inspectCanonical(result, $, finalUrl) {
+    const links = $('link[rel="canonical" i]');
+    const canonical = result.canonical;
+    canonical.count = links.length;
+
+    if (links.length === 0) {
+      this._addIssue(result, 'canonicalMissing', 'canonicalタグが未設定です', {
+        type: 'low',
+        title: 'canonical タグで正規URLを宣言',
+        description: 'パラメータ違い・末尾スラッシュ違いなどの重複URLを1つにまとめるため、ページ自身の絶対URLを canonical に指定してください。',
+        codeExample: `<link rel="canonical" href="${finalUrl || 'https://example.com/page'}">`,
+        docLink: 'https://developers.google.com/search/docs/crawling-indexing/consolidate-duplicate-urls?hl=ja',
+      });
+      return;
+    }
+
+    if (links.length > 1) {
+      const hrefs = new Set(links.toArray().map(el => ($(el).attr('href') || '').trim()));
+      this._addIssue(result, 'canonicalMultiple', `canonicalタグが複数あります（${links.length}個）`, {
+        type: 'high',
+        title: 'canonical タグを1つにする',
+        description: hrefs.size > 1
+          ? `異なる canonical が宣言されているため、検索エンジンはすべて無視します: ${[...hrefs].join(', ')}`
+          : 'テンプレートとプラグインの両方が出力していないか確認してください。',
+        docLink: 'https://developers.google.com/search/docs/crawling-indexing/consolidate-duplicate-urls?hl=ja',
+      });
+    }
+
+    const href = (links.first().attr('href') || '').trim();
+    canonical.href = href;
+    canonical.isRelative = !!href && !/^https?:\/\//i.test(href);
+    canonical.resolved = this.normalizeUrl(href, finalUrl || undefined);
+
+    if (!canonical.resolved) {
+      // 相対URLでもベースURLが無い（HTML直接入力）場合は解決できない
+      if (canonical.isRelative && !finalUrl && href) {
+        this._addRelativeIssue(result, href);
+        return;
+      }
+      this._addIssue(result, 'canonicalInvalid', 'canonicalのURLが不正です', {
+        type: 'high',
+        title: 'canonical に有効な絶対URLを指定',
+        description: `現在の値: "${href}"`,
+        docLink: 'https://developers.google.com/search/docs/crawling-indexing/consolidate-duplicate-urls?hl=ja',
+      });
+      return;
+    }
+
+    if (canonical.isRelative) this._addRelativeIssue(result, href);
+
+    const finalKey = this.normalizeUrl(finalUrl);
+    if (finalKey) {
+      canonical.matchesFinalUrl = canonical.resolved === finalKey;
+      if (!canonical.matchesFinalUrl) {
+        this._addIssue(result, 'canonicalMismatch', 'canonicalが最終URLと異なります', {
+          type: 'medium',
+          title: 'canonical と実際のURLの関係を確認',
+          description: `最終URL ${finalKey} に対して canonical は ${canonical.resolved} です。このページをインデックスさせたい場合は自身のURLを指定してください。`,
+          docLink: 'https://developers.google.com/search/docs/crawling-indexing/consolidate-duplicate-urls?hl=ja',
+        });
+      }
+    }
+  }
+
+  /** @private */
+  _addRelativeIssue(result, href) {
+    this._addIssue(result, 'canonicalRelative', 'canonicalが相対URLで指定されています', {
+      type: 'low',
+      title: 'canonical は絶対URLで指定',
+      description: `"${href}" のような相対URLは、ステージング環境やプロトコル違いのページで誤った正規URLとして解釈される原因になります。`,
+      codeExample: '<link rel="canonical" href="https://example.com/page">',
+      docLink: 'https://developers.google.com/search/docs/crawling-indexing/consolidate-duplicate-urls?hl=ja#rel-canonical-link-method',
+    });
+  }
+
+  /**
+   * canonical 先が 200 を返すか（最終URLと同じなら確認不要）
+   * @private
+   */
+  async _probeCanonical(result) {
+    const canonical = result.canonical;
+    if (!canonical.resolved || canonical.matchesFinalUrl !== false) return;
+
+    let target;
+    try {
+      target = await this._probe(canonical.resolved);
+    } catch (err) {
+      // 到達不能は判定不能として扱い、減点しない
+      canonical.target = { statusCode: null, location: null, error: err.code || err.message };
+      return;
+    }
+    canonical.target = target;
+
+    if (target.statusCode >= 300 && target.statusCode < 400) {
+      this._addIssue(result, 'canonicalRedirects', `canonicalがリダイレクトするURLを指しています（${target.statusCode}）`, {
+        type: 'high',
+        title: 'canonical にはリダイレクト後の最終URLを指定',
+        description: `${canonical.resolved} → ${target.location || '(Locationなし)'}。canonical はリダイレクトせず 200 を返すURLにしてください。`,
+        docLink: 'https://developers.google.com/search/docs/crawling-indexing/consolidate-duplicate-urls?hl=ja',
+      });
+    } else if (target.statusCode !== 200) {
+      this._addIssue(result, 'canonicalBroken', `canonicalがステータス${target.statusCode}のURLを指しています`, {
+        type: 'critical',
+        title: 'canonical を存在するURLに修正',
+        description: `${canonical.resolved} は ${target.statusCode} を返します。検索エンジンは canonical を無視し、意図しないURLが正規化される可能性があります。`,
+        docLink: 'https://developers.google.com/search/docs/crawling-indexing/consolidate-duplicate-urls?hl=ja',
+      });
+    }
+  }
+
+  /**
+   * リダイレクトを追わずにステータスだけ確認（HEAD 非対応なら GET）
+   * @private
+   */
+  async _probe(url) {
+    if (this.probeImpl) return this.probeImpl(url);
+    this.outboundGuard.assertUrlAllowed(url);
+    const options = {
+      ...this.outboundGuard.axiosOptions(),
+      timeout: this.timeout,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      headers: { 'User-Agent': USER_AGENT },
+    };
+    let res = await axios.head(url, options);
+    if (res.status === 405 || res.status === 501) {
+      res = await axios.get(url, { ...options, responseType: 'stream' });
+      if (res.data && typeof res.data.destroy === 'function') res.data.destroy();
+    }
+    const location = res.headers && res.headers.location;
+    return {
+      statusCode: res.status,
+      location: location ? this.normalizeUrl(location, url) : null,
+    };
+  }
+
+  /**
+   * og:url と JSON-LD の url / @id を canonical（無ければ最終URL）と比較
+   * @private
+   */
+  _inspectDeclaredUrls(result, $) {
+    const base = result.finalUrl || undefined;
+    const reference = result.canonical.resolved || this.normalizeUrl(result.finalUrl);
+    if (!reference) return;
+
+    const ogHref = $('meta[property="og:url"]').attr('content');
+    if (ogHref) {
+      const resolved = this.normalizeUrl(ogHref, base);
+      result.ogUrl = { href: ogHref, resolved, matches: resolved === reference };
+      if (!result.ogUrl.matches) {
+        this._addIssue(result, 'ogUrlMismatch', 'og:urlがcanonicalと一致しません', {
+          type: 'low',
+          title: 'og:url を canonical と同じURLにする',
+          description: `og:url=${ogHref} / 正規URL=${reference}。SNS でのシェア数が別URLに分散します。`,
+          codeExample: `<meta property="og:url" content="${reference}">`,
+          docLink: 'https://ogp.me/#metadata',
+        });
+      }
+    }
+
+    const declared = this._collectJsonLdUrls($, base);
+    result.jsonLdUrls = declared;
+    if (declared.length > 0 && !declared.some(d => d.resolved === reference)) {
+      this._addIssue(result, 'jsonLdMismatch', 'JSON-LDのurl/@idがcanonicalと一致しません', {
+        type: 'low',
+        title: 'JSON-LD の url / @id を canonical に揃える',
+        description: `JSON-LD: ${declared.map(d => d.href).slice(0, 3).join(', ')} / 正規URL: ${reference}`,
+        docLink: 'https://developers.google.com/search/docs/appearance/structured-data/intro-structured-data?hl=ja',
+      });
+    }
+  }
+
+  /**
+   * ページ単位の @type を持つ JSON-LD ノードから url / @id / mainEntityOfPage を集める
+   * @private
+   */
+  _collectJsonLdUrls($, base) {
+    const declared = [];
+    const visit = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) return node.forEach(visit);
+      if (Array.isArray(node['@graph'])) node['@graph'].forEach(visit);
+      const types = [].concat(node['@type'] || []);
+      if (!types.some(t => PAGE_LEVEL_TYPES.has(t))) return;
+
+      const candidates = [node.url, node['@id']];
+      const mainEntity = node.mainEntityOfPage;
+      if (typeof mainEntity === 'string') candidates.push(mainEntity);
+      else if (mainEntity && typeof mainEntity === 'object') candidates.push(mainEntity['@id'], mainEntity.url);
+
+      for (const href of candidates) {
+        if (typeof href !== 'string') continue;
+        // "#organization" のような断片だけの @id はページURLの宣言ではない
+        if (href.startsWith('#')) continue;
+        const resolved = this.normalizeUrl(href, base);
+        if (resolved && !declared.some(d => d.resolved === resolved)) declared.push({ href, resolved });
+      }
+    };
+
+    $('script[type="application/ld+json"]').each((i, el) => {
+      try {
+        visit(JSON.parse($(el).contents().text()));
+      } catch (_) { /* 壊れた JSON-LD は構造化データのチェックで指摘済み */ }
+    });
+    return declared;
+  }
+}
+
+module.exports = RedirectCanonicalChecker;
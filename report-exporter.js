@@ -0,0 +1,420 @@
+/**
+ * Phase 3-Q: 持ち帰り用のレポート（単体で開ける HTML / PDF）
+ *
+ * Phase 1.8 で /api/report/seo・/api/report/detailed を廃止して以降、結果は画面でしか見られなかった。
+ * checkSEO の結果から、CSS を埋め込んだ1ファイルの HTML を組み立て、PDF は同じ HTML を
+ * ブラウザプールの Chromium で印刷して作る。
+ *
+ * 載せる内容: スコアの要約、優先度順の改善提案（コード例つき）、構造化データの推奨と JSON-LD 例、AIO の詳細
+ * 代理店向けの表示: branding の companyName / logoUrl / primaryColor / footerText
+ *
+ * PDF の印刷では JavaScript を無効にし、ロゴ以外の外部リクエストはすべて止める
+ * （ロゴの URL も外向きリクエストの宛先検査を通す）。
+ *
+ * @example
+ *   const exporter = new ReportExporter({ browserPool, outboundGuard });
+ *   const branding = ReportExporter.resolveBranding({ companyName: '株式会社サンプル', primaryColor: '#0f766e' });
+ *   const html = exporter.renderHtml(results, { branding });
+ *   const pdf = await exporter.renderPdf(results, { branding }); // Buffer
+ */
+
+const EnhancedReporter = require('./enhanced-reporter');
+const OutboundGuard = require('./outbound-guard');
+
+const FORMATS = ['html', 'pdf'];
+
+const DEFAULT_BRANDING = Object.freeze({
+  companyName: null,
+  logoUrl: null,
+  primaryColor: '#2563eb',
+  footerText: null,
+});
+
+const BRANDING_LIMITS = Object.freeze({
+  companyName: 100,
+  footerText: 200,
+  logoUrl: 2048,
+  // data: URL のロゴ（base64 で約 200KB まで）
+  logoDataUrl: 280 * 1024,
+});
+
+const PRIORITY_LABELS = Object.freeze({
+  critical: '緊急',
+  high: '高',
+  medium: '中',
+  low: '低',
+});
+
+// 改善提案に載せる件数の上限（PDF が数十ページにならないよう）
+const MAX_RECOMMENDATIONS = 30;
+
+// レポートはスクリプトを持たない。ロゴ（https / data:）と埋め込み CSS 以外は読み込ませない
+const CONTENT_SECURITY_POLICY = "default-src 'none'; img-src https: data:; style-src 'unsafe-inline'";
+
+const PDF_OPTIONS = Object.freeze({
+  format: 'A4',
+  printBackground: true,
+  margin: { top: '16mm', bottom: '16mm', left: '14mm', right: '14mm' },
+});
+
+class ReportExporter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.browserPool] - PDF 印刷に使う BrowserPool（withPage を持つもの）
+   * @param {Object} [options.outboundGuard] - ロゴ取得の宛先検査（既定は共有の OutboundGuard）
+   * @param {Object} [options.enhancedReporter] - カテゴリ名・評価の表示に使用
+   * @param {Function} [options.now] - 作成日時（テスト用）
+   */
+  constructor(options = {}) {
+    this.browserPool = options.browserPool || null;
+    this.outboundGuard = options.outboundGuard || OutboundGuard.shared();
+    this.enhancedReporter = options.enhancedReporter || new EnhancedReporter();
+    this.now = options.now || (() => new Date());
+  }
+
+  /**
+   * リクエストの branding を検証して既定値と合わせる。誤りは code: 'INVALID_BRANDING'（400）で throw
+   * @param {Object} [input] - { companyName, logoUrl, primaryColor, footerText }
+   * @returns {Object}
+   */
+  static resolveBranding(input) {
+    if (input === undefined || input === null) return { ...DEFAULT_BRANDING };
+    if (typeof input !== 'object' || Array.isArray(input)) throw brandingError('branding はオブジェクトで指定してください');
+    const branding = { ...DEFAULT_BRANDING };
+
+    for (const key of ['companyName', 'footerText']) {
+      if (input[key] === undefined || input[key] === null || input[key] === '') continue;
+      if (typeof input[key] !== 'string' || input[key].length > BRANDING_LIMITS[key]) {
+        throw brandingError(`branding.${key} は ${BRANDING_LIMITS[key]} 文字以内の文字列で指定してください`);
+      }
+      branding[key] = input[key].trim();
+    }
+
+    if (input.primaryColor !== undefined && input.primaryColor !== null && input.primaryColor !== '') {
+      if (typeof input.primaryColor !== 'string' || !/^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(input.primaryColor)) {
+        throw brandingError('branding.primaryColor は #1a73e8 のような16進カラーで指定してください');
+      }
+      branding.primaryColor = input.primaryColor.toLowerCase();
+    }
+
+    if (input.logoUrl !== undefined && input.logoUrl !== null && input.logoUrl !== '') {
+      const logoUrl = input.logoUrl;
+      const isDataUrl = typeof logoUrl === 'string' && /^data:image\/(?:png|jpeg|gif|webp);base64,[A-Za-z0-9+/=]+$/.test(logoUrl);
+      if (isDataUrl) {
+        if (logoUrl.length > BRANDING_LIMITS.logoDataUrl) throw brandingError('branding.logoUrl の画像が大きすぎます（200KB まで）');
+      } else if (typeof logoUrl !== 'string' || logoUrl.length > BRANDING_LIMITS.logoUrl || !/^https:\/\/[^\s"'<>]+$/i.test(logoUrl)) {
+        // SVG の data: URL はスクリプトを含められるため受け付けない
+        throw brandingError('branding.logoUrl は https:// の URL か、PNG / JPEG / GIF / WebP の data: URL で指定してください');
+      }
+      branding.logoUrl = logoUrl;
+    }
+    return branding;
+  }
+
+  /**
+   * 単体で開ける HTML（CSS 埋め込み・スクリプトなし）
+   * @param {Object} results - checkSEO の戻り値
+   * @param {Object} [options]
+   * @param {Object} [options.branding] - resolveBranding 済みの値
+   * @returns {string}
+   */
+  renderHtml(results, options = {}) {
+    const branding = options.branding || { ...DEFAULT_BRANDING };
+    const generatedAt = this.now();
+    const target = results.url || 'HTMLコンテンツ';
+    const title = `SEO・AIO 診断レポート - ${target}`;
+
+    return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta http-equiv="Content-Security-Policy" content="${CONTENT_SECURITY_POLICY}">
+<meta name="generator" content="SEO AIO Doctor">
+<title>${esc(title)}</title>
+<style>${this.renderStyles(branding)}</style>
+</head>
+<body>
+<main class="report">
+${this.renderHeader(results, branding, generatedAt)}
+${this.renderSummary(results)}
+${this.renderRecommendations(results)}
+${this.renderCategoryScores(results)}
+${this.renderStructuredData(results)}
+${this.renderAio(results)}
+<footer class="footer">
+  ${branding.footerText ? `<p>${esc(branding.footerText)}</p>` : ''}
+  <p>${esc(formatDate(generatedAt))} 作成 / SEO AIO Doctor</p>
+</footer>
+</main>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * HTML を Chromium で印刷して PDF にする
+   * @param {Object} results - checkSEO の戻り値
+   * @param {Object} [options] - renderHtml と同じ
+   * @returns {Promise<Buffer>}
+   */
+  async renderPdf(results, options = {}) {
+    if (!this.browserPool) throw new Error('PDF の作成にはブラウザプールが必要です');
+    const html = this.renderHtml(results, options);
+    const logoUrl = options.branding && options.branding.logoUrl;
+    const allowedRemote = logoUrl && logoUrl.startsWith('https://') ? logoUrl : null;
+
+    try {
+      return await this.browserPool.withPage(async (page) => {
+        await page.setJavaScriptEnabled(false);
+        await page.setRequestInterception(true);
+        page.on('request', async (req) => {
+          const url = req.url();
+          if (url.startsWith('data:') || url === 'about:blank') return req.continue();
+          if (url === allowedRemote) {
+            try {
+              await this.outboundGuard.check(url);
+              return req.continue();
+            } catch (_) { /* 宛先検査で拒否されたロゴは表示しない */ }
+          }
+          return req.abort('blockedbyclient');
+        });
+        await page.setContent(html, { waitUntil: 'networkidle0', timeout: 30000 });
+        const pdf = await page.pdf(PDF_OPTIONS);
+        return Buffer.from(pdf);
+      });
+    } catch (error) {
+      const msg = (error && error.message) || '';
+      if (/Could not find Chrome|Browser was not found|executablePath/i.test(msg)) {
+        const err = new Error('PDF の作成に使う Chromium を起動できません。format: "html" で出力してブラウザから印刷してください。');
+        err.code = 'CHROME_UNAVAILABLE';
+        err.status = 503;
+        throw err;
+      }
+      throw error;
+    }
+  }
+
+  renderStyles(branding) {
+    return `
+:root { --brand: ${branding.primaryColor}; --text: #1f2937; --muted: #6b7280; --border: #e5e7eb; --surface: #f9fafb; }
+* { box-sizing: border-box; }
+body { margin: 0; color: var(--text); font-family: "Hiragino Sans", "Noto Sans JP", "Yu Gothic", Meiryo, sans-serif; font-size: 14px; line-height: 1.7; background: #fff; }
+.report { max-width: 960px; margin: 0 auto; padding: 32px 24px; }
+.header { display: flex; align-items: center; justify-content: space-between; gap: 16px; border-bottom: 4px solid var(--brand); padding-bottom: 16px; }
+.brand { display: flex; align-items: center; gap: 12px; }
+.brand img { max-height: 48px; max-width: 200px; }
+.brand-name { font-weight: 700; font-size: 16px; }
+.header h1 { margin: 0; font-size: 22px; color: var(--brand); }
+.meta { color: var(--muted); font-size: 12px; word-break: break-all; }
+section { margin-top: 32px; }
+h2 { font-size: 18px; border-left: 4px solid var(--brand); padding-left: 10px; margin: 0 0 12px; }
+h3 { font-size: 15px; margin: 16px 0 6px; }
+.scores { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; }
+.score-card { border: 1px solid var(--border); border-radius: 8px; padding: 16px; text-align: center; background: var(--surface); }
+.score-card .value { font-size: 36px; font-weight: 700; line-height: 1.2; }
+.score-card .label { color: var(--muted); font-size: 12px; }
+.good { color: #15803d; } .fair { color: #b45309; } .poor { color: #b91c1c; }
+.counts { margin-top: 12px; display: flex; flex-wrap: wrap; gap: 8px; }
+.badge { display: inline-block; border-radius: 999px; padding: 2px 10px; font-size: 12px; font-weight: 700; color: #fff; }
+.badge-critical { background: #b91c1c; } .badge-high { background: #c2410c; } .badge-medium { background: #b45309; } .badge-low { background: #4b5563; }
+.rec { border: 1px solid var(--border); border-radius: 8px; padding: 12px 16px; margin-bottom: 10px; break-inside: avoid; }
+.rec-title { font-weight: 700; }
+.rec-category { color: var(--muted); font-size: 12px; }
+.fix { margin: 6px 0 0; }
+pre { background: #111827; color: #f9fafb; border-radius: 6px; padding: 10px 12px; font-size: 12px; line-height: 1.5; overflow-x: auto; white-space: pre-wrap; word-break: break-all; }
+a { color: var(--brand); word-break: break-all; }
+table { width: 100%; border-collapse: collapse; }
+th, td { border-bottom: 1px solid var(--border); padding: 6px 8px; text-align: left; vertical-align: top; }
+th { background: var(--surface); font-size: 12px; color: var(--muted); }
+td.num { text-align: right; white-space: nowrap; }
+.bar { height: 8px; border-radius: 4px; background: var(--border); overflow: hidden; min-width: 120px; }
+.bar span { display: block; height: 100%; background: var(--brand); }
+.aio-card { border: 1px solid var(--border); border-radius: 8px; padding: 12px 16px; margin-bottom: 10px; break-inside: avoid; }
+ul { margin: 4px 0; padding-left: 20px; }
+.muted { color: var(--muted); }
+.footer { margin-top: 40px; padding-top: 12px; border-top: 1px solid var(--border); color: var(--muted); font-size: 12px; text-align: center; }
+@page { size: A4; }
+@media print { .report { padding: 0; } section { break-inside: auto; } h2 { break-after: avoid; } }
+`;
+  }
+
+  renderHeader(results, branding, generatedAt) {
+    const brand = branding.logoUrl || branding.companyName
+      ? `<div class="brand">
+    ${branding.logoUrl ? `<img src="${esc(branding.logoUrl)}" alt="${esc(branding.companyName || 'logo')}">` : ''}
+    ${branding.companyName ? `<span class="brand-name">${esc(branding.companyName)}</span>` : ''}
+  </div>`
+      : '';
+    return `<header class="header">
+  <div>
+    <h1>SEO・AIO 診断レポート</h1>
+    <div class="meta">対象: ${esc(results.url || 'HTMLコンテンツ')}<br>診断日時: ${esc(formatDate(results.timestamp ? new Date(results.timestamp) : generatedAt))}</div>
+  </div>
+  ${brand}
+</header>`;
+  }
+
+  renderSummary(results) {
+    const reporter = this.enhancedReporter;
+    const card = (label, score) => `<div class="score-card">
+    <div class="label">${esc(label)}</div>
+    <div class="value ${scoreClass(score)}">${esc(score ?? '-')}</div>
+    <div class="label">/ 100（評価 ${esc(typeof score === 'number' ? reporter.getGrade(score) : '-')}）</div>
+  </div>`;
+    const counts = { critical: 0, high: 0, medium: 0, low: 0 };
+    for (const rec of results.conciseRecommendations || []) {
+      if (counts[rec.priority] !== undefined) counts[rec.priority]++;
+    }
+    const warnings = (results.warnings || []).map(w => `<li>${esc(w.message)}</li>`).join('');
+
+    return `<section>
+  <h2>スコアの要約</h2>
+  <div class="scores">
+  ${card('SEO スコア', results.overallScore)}
+  ${card('AIO スコア', results.aioOverallScore)}
+  ${card('総合スコア', results.combinedScore)}
+  </div>
+  <div class="counts">${Object.entries(counts).map(([level, count]) => `<span class="badge badge-${level}">${PRIORITY_LABELS[level]} ${count}件</span>`).join(' ')}</div>
+  ${warnings ? `<ul class="muted">${warnings}</ul>` : ''}
+</section>`;
+  }
+
+  renderRecommendations(results) {
+    const recs = (results.conciseRecommendations || []).slice(0, MAX_RECOMMENDATIONS);
+    if (recs.length === 0) {
+      return '<section><h2>優先度の高い改善提案</h2><p>改善が必要な項目は見つかりませんでした。</p></section>';
+    }
+    const total = (results.conciseRecommendations || []).length;
+    const items = recs.map(rec => `<div class="rec">
+    <div><span class="badge badge-${esc(rec.priority)}">${esc(PRIORITY_LABELS[rec.priority] || rec.priority)}</span>
+      <span class="rec-category">${esc(rec.type === 'aio' ? 'AIO' : 'SEO')} / ${esc(this.enhancedReporter.getCategoryTitle(rec.category))}${rec.location ? ` / ${esc(rec.location)}` : ''}</span></div>
+    <div class="rec-title">${esc(rec.issue)}${rec.count > 1 ? `（${esc(rec.count)}件）` : ''}</div>
+    ${rec.fix ? `<p class="fix">${esc(rec.fix)}</p>` : ''}
+    ${rec.codeExample ? `<pre><code>${esc(rec.codeExample)}</code></pre>` : ''}
+    ${isHttpUrl(rec.docLink) ? `<div class="muted">参考: <a href="${esc(rec.docLink)}">${esc(rec.docLink)}</a></div>` : ''}
+  </div>`).join('\n  ');
+
+    return `<section>
+  <h2>優先度の高い改善提案</h2>
+  ${total > recs.length ? `<p class="muted">優先度の高い順に ${recs.length} 件を掲載しています（全 ${total} 件）。</p>` : ''}
+  ${items}
+</section>`;
+  }
+
+  renderCategoryScores(results) {
+    const rows = Object.entries(results.checks || {})
+      .filter(([, check]) => check && typeof check.score === 'number')
+      .map(([key, check]) => `<tr>
+      <td>${esc(this.enhancedReporter.getCategoryTitle(key))}</td>
+      <td class="num ${scoreClass(check.score)}">${esc(check.score)}</td>
+      <td><div class="bar"><span style="width:${clampPercent(check.score)}%"></span></div></td>
+      <td>${(check.issues || []).length ? `<ul>${check.issues.map(issue => `<li>${esc(issue)}</li>`).join('')}</ul>` : '<span class="muted">問題なし</span>'}</td>
+    </tr>`).join('\n    ');
+    return `<section>
+  <h2>SEO カテゴリ別スコア</h2>
+  <table>
+    <thead><tr><th>カテゴリ</th><th>スコア</th><th></th><th>検出された問題</th></tr></thead>
+    <tbody>
+    ${rows}
+    </tbody>
+  </table>
+</section>`;
+  }
+
+  renderStructuredData(results) {
+    const sd = (results.checks && results.checks.structuredData) || null;
+    if (!sd) return '';
+    const pageType = sd.pageTypeAnalysis || {};
+    const recommendations = (sd.structuredDataRecommendations && sd.structuredDataRecommendations.recommendations) || {};
+    const suggested = [...(recommendations.missing || []), ...(recommendations.improvements || [])];
+    const examples = (sd.implementationExamples && sd.implementationExamples.immediate) || [];
+    const existing = (sd.jsonLd || []).length + (sd.microdata || []).length + (sd.rdfa || []).length;
+
+    const suggestedRows = suggested.map(item => `<tr>
+      <td><code>${esc(item.schema)}</code></td>
+      <td><span class="badge badge-${esc(item.priority || 'low')}">${esc(PRIORITY_LABELS[item.priority] || item.priority || '-')}</span></td>
+      <td>${esc(item.reason || '')}</td>
+    </tr>`).join('\n    ');
+    const exampleBlocks = examples
+      .filter(example => example.jsonLd)
+      .map(example => `<h3>${esc(example.title || example.schema)}</h3>
+  <pre><code>${esc(`<script type="application/ld+json">\n${JSON.stringify(example.jsonLd, null, 2)}\n</script>`)}</code></pre>`)
+      .join('\n  ');
+
+    return `<section>
+  <h2>構造化データの推奨</h2>
+  <p>ページの種類: <strong>${esc(pageType.primaryType || '不明')}</strong>${typeof pageType.confidence === 'number' ? `（確度 ${Math.round(pageType.confidence * 100)}%）` : ''} / 実装済みの構造化データ: ${existing} 件</p>
+  ${suggestedRows ? `<table>
+    <thead><tr><th>スキーマ</th><th>優先度</th><th>理由</th></tr></thead>
+    <tbody>
+    ${suggestedRows}
+    </tbody>
+  </table>` : '<p class="muted">追加を推奨するスキーマはありません。</p>'}
+  ${exampleBlocks}
+</section>`;
+  }
+
+  renderAio(results) {
+    const checks = (results.aio && results.aio.checks) || {};
+    const cards = Object.entries(checks)
+      .filter(([, check]) => check && typeof check.score === 'number')
+      .map(([key, check]) => {
+        const details = check.details || {};
+        const skipped = details.skipped ? `<p class="muted">${esc(details.skipReason || '診断していません')}</p>` : '';
+        return `<div class="aio-card">
+    <h3>${esc(this.enhancedReporter.getCategoryTitle(key))} <span class="${scoreClass(check.score)}">${esc(check.score)} / 100</span></h3>
+    ${skipped}
+    ${(check.issues || []).length ? `<div>問題点</div><ul>${check.issues.map(issue => `<li>${esc(issue)}</li>`).join('')}</ul>` : ''}
+    ${(check.recommendations || []).length ? `<div>推奨アクション</div><ul>${check.recommendations.map(rec => `<li>${esc(typeof rec === 'string' ? rec : rec.message || JSON.stringify(rec))}</li>`).join('')}</ul>` : ''}
+  </div>`;
+      }).join('\n  ');
+    if (!cards) return '';
+    return `<section>
+  <h2>AIO（AI 検索最適化）の詳細</h2>
+  ${cards}
+</section>`;
+  }
+}
+
+/** HTML エスケープ（テキスト・属性値の両方に使う） */
+function esc(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function isHttpUrl(value) {
+  return typeof value === 'string' && /^https?:\/\//i.test(value);
+}
+
+function scoreClass(score) {
+  if (typeof score !== 'number') return '';
+  if (score >= 80) return 'good';
+  if (score >= 60) return 'fair';
+  return 'poor';
+}
+
+function clampPercent(score) {
+  return Math.max(0, Math.min(100, Math.round(Number(score) || 0)));
+}
+
+function formatDate(date) {
+  return date.toLocaleString('ja-JP', { timeZone: 'Asia/Tokyo' });
+}
+
+function brandingError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_BRANDING';
+  err.status = 400;
+  return err;
+}
+
+module.exports = ReportExporter;
+module.exports.FORMATS = FORMATS;
+module.exports.DEFAULT_BRANDING = DEFAULT_BRANDING;
+module.exports.PDF_OPTIONS = PDF_OPTIONS;
+module.exports.CONTENT_SECURITY_POLICY = CONTENT_SECURITY_POLICY;
@@ -0,0 +1,318 @@
+/**
+ * Phase 3-C: HTTPレスポンスヘッダーチェッカー
+ *
+ * fetchHTMLWithAxios / fetchHTMLWithPuppeteer が保持したレスポンス情報
+ * （{ statusCode, headers, finalUrl, redirectChain }）から、SEO・セキュリティ上
+ * 重要なヘッダーを実際の値で評価する。
+ *
+ * 評価するヘッダーと配点（合計100点）:
+ *  - X-Robots-Tag              25  noindex / none / nofollow
+ *  - Content-Type              15  text/html かつ charset 指定
+ *  - Strict-Transport-Security 15  HTTPS ページのみ。max-age 180日以上
+ *  - X-Content-Type-Options    15  nosniff
+ *  - Content-Security-Policy   10  report-only のみは半分
+ *  - Referrer-Policy           10  unsafe-url は不可
+ *  - Cache-Control             10  存在すること
+ *
+ * HTML直接入力（レスポンスが無い）場合は skipped を返し、一般論の推奨は出さない。
+ *
+ * @example
+ *   const ResponseHeaderChecker = require('./response-header-checker');
+ *   const result = new ResponseHeaderChecker().check(httpResponse, { $ });
+ *   // result.checks.hsts.status === 'pass' | 'warn' | 'fail' | 'skipped'
+ */
+
+const HSTS_MIN_MAX_AGE = 15552000; // 180日（Mozilla Observatory の基準）
+const VALID_REFERRER_POLICIES = new Set([
+  'no-referrer', 'no-referrer-when-downgrade', 'origin', 'origin-when-cross-origin',
+  'same-origin', 'strict-origin', 'strict-origin-when-cross-origin', 'unsafe-url',
+]);
+// X-Robots-Tag で「UA名:」と紛らわしいディレクティブ（値にコロンを含む）
+const VALUED_ROBOTS_DIRECTIVES = new Set([
+  'unavailable_after', 'max-snippet', 'max-image-preview', 'max-video-preview',
+]);
+
+const SKIP_REASON = 'HTML直接入力のため、HTTPレスポンスヘッダーのチェックをスキップしました';
+
+class ResponseHeaderChecker {
+  /**
+   * axios / Puppeteer のヘッダーを「小文字キー → 文字列」に正規化
+   * （axios は配列、Puppeteer は改行区切りで複数値を返す）
+   * @param {Object} headers
+   * @returns {Object<string, string>}
+   */
+  static normalizeHeaders(headers) {
+    const plain = headers && typeof headers.toJSON === 'function' ? headers.toJSON() : (headers || {});
+    const normalized = {};
+    for (const [key, value] of Object.entries(plain)) {
+      if (value === undefined || value === null) continue;
+      const str = Array.isArray(value) ? value.join(', ') : String(value).split('\n').join(', ');
+      normalized[key.toLowerCase()] = str;
+    }
+    return normalized;
+  }
+
+  /**
+   * メインのチェック関数
+   * @param {Object|null} httpResponse - { statusCode, headers, finalUrl, redirectChain }
+   * @param {Object} [context]
+   * @param {Function} [context.$] - cheerio（<meta charset> の確認用）
+   * @returns {Object} チェック結果
+   */
+  check(httpResponse, context = {}) {
+    if (!httpResponse || !httpResponse.headers) {
+      return {
+        skipped: true,
+        skipReason: SKIP_REASON,
+        score: null,
+        checks: {},
+        issues: [],
+        indexingIssues: [],
+        recommendations: [],
+      };
+    }
+
+    const headers = ResponseHeaderChecker.normalizeHeaders(httpResponse.headers);
+    let isHttps = false;
+    try {
+      isHttps = new URL(httpResponse.finalUrl).protocol === 'https:';
+    } catch (_) { /* finalUrl 不明なら HSTS は評価しない */ }
+
+    const checks = {
+      xRobotsTag: this._checkXRobotsTag(headers['x-robots-tag']),
+      contentType: this._checkContentType(headers['content-type'], context.$),
+      hsts: this._checkHsts(headers['strict-transport-security'], isHttps),
+      xContentTypeOptions: this._checkXContentTypeOptions(headers['x-content-type-options']),
+      csp: this._checkCsp(headers['content-security-policy'], headers['content-security-policy-report-only']),
+      referrerPolicy: this._checkReferrerPolicy(headers['referrer-policy']),
+      cacheControl: this._checkCacheControl(headers['cache-control']),
+    };
+
+    const issues = [];
+    const indexingIssues = [];
+    const recommendations = [];
+    let earned = 0;
+    let possible = 0;
+    for (const item of Object.values(checks)) {
+      if (item.status === 'skipped') continue;
+      earned += item.score;
+      possible += item.maxScore;
+      if (item.issue) {
+        (item.indexing ? indexingIssues : issues).push(item.issue);
+        recommendations.push(item.recommendation);
+      }
+    }
+
+    return {
+      skipped: false,
+      statusCode: httpResponse.statusCode || null,
+      finalUrl: httpResponse.finalUrl || null,
+      score: possible > 0 ? Math.round((earned / possible) * 100) : null,
+      checks,
+      issues,
+      indexingIssues, // X-Robots-Tag の noindex は checkNoindex 側で扱う
+      recommendations,
+    };
+  }
+
+  /** @private */
+  _item(header, maxScore, value) {
+    return { header, value: value === undefined ? null : value, status: 'pass', score: maxScore, maxScore, issue: null, recommendation: null };
+  }
+
+  /** @private */
+  _fail(item, status, issue, recommendation) {
+    item.status = status;
+    item.score = status === 'warn' ? Math.round(item.maxScore / 2) : 0;
+    item.issue = issue;
+    item.recommendation = recommendation;
+    return item;
+  }
+
+  /**
+   * X-Robots-Tag をパースして UA 別の noindex / nofollow を調べる
+   * 例: "noindex, nofollow" / "googlebot: noindex" / "unavailable_after: 25 Jun 2030 15:00:00 PST"
+   * @private
+   */
+  _parseXRobotsTag(value) {
+    const noindexAgents = [];
+    const nofollowAgents = [];
+    let agent = '*';
+    for (const rawPart of String(value || '').split(',')) {
+      let part = rawPart.trim().toLowerCase();
+      const m = part.match(/^([a-z0-9_-]+)\s*:\s*(.*)$/);
+      if (m && !VALUED_ROBOTS_DIRECTIVES.has(m[1])) {
+        agent = m[1];
+        part = m[2].trim();
+      }
+      for (const directive of part.split(/\s+/)) {
+        if (directive === 'noindex' || directive === 'none') noindexAgents.push(agent);
+        if (directive === 'nofollow' || directive === 'none') nofollowAgents.push(agent);
+      }
+    }
+    return { noindexAgents, nofollowAgents };
+  }
+
+  /** @private */
+  _checkXRobotsTag(value) {
+    const item = this._item('X-Robots-Tag', 25, value);
+    item.indexing = false;
+    if (!value) return item;
+    const { noindexAgents, nofollowAgents } = this._parseXRobotsTag(value);
+    const label = (agents) => agents.includes('*') ? '' : `（${[...new Set(agents)].join(', ')}）`;
+    if (noindexAgents.length > 0) {
+      item.indexing = true;
+      return this._fail(item, 'fail', `X-Robots-Tagヘッダーでnoindexが指定されています${label(noindexAgents)}`, {
+        type: 'critical',
+        title: 'X-Robots-Tag ヘッダーから noindex を削除',
+        description: 'HTMLに robots メタタグが無くても、HTTPヘッダーの X-Robots-Tag: noindex でページはインデックスから除外されます。サーバー/CDN の設定を確認してください。',
+        codeExample: '# nginx: 該当ロケーションから削除\n# add_header X-Robots-Tag "noindex";',
+        docLink: 'https://developers.google.com/search/docs/crawling-indexing/robots-meta-tag?hl=ja#xrobotstag',
+      });
+    }
+    if (nofollowAgents.length > 0) {
+      return this._fail(item, 'warn', `X-Robots-Tagヘッダーでnofollowが指定されています${label(nofollowAgents)}`, {
+        type: 'medium',
+        title: 'X-Robots-Tag ヘッダーの nofollow を見直す',
+        description: 'nofollow を指定するとページ内のリンクがクロール・評価されません。意図したものか確認してください。',
+        docLink: 'https://developers.google.com/search/docs/crawling-indexing/robots-meta-tag?hl=ja#xrobotstag',
+      });
+    }
+    return item;
+  }
+
+  /** @private */
+  _checkContentType(value, $) {
+    const item = this._item('Content-Type', 15, value);
+    const recommendation = {
+      type: 'medium',
+      title: 'Content-Type ヘッダーで text/html と charset を指定',
+      description: '文字コードをHTTPヘッダーで明示すると、ブラウザや検索エンジンが本文を推測せずに正しくデコードできます（文字化け防止）。',
+      codeExample: 'Content-Type: text/html; charset=UTF-8',
+      docLink: 'https://developer.mozilla.org/ja/docs/Web/HTTP/Headers/Content-Type',
+    };
+    if (!value) {
+      return this._fail(item, 'fail', 'Content-Typeヘッダーが未設定です', recommendation);
+    }
+    const mediaType = value.split(';')[0].trim().toLowerCase();
+    if (mediaType !== 'text/html' && mediaType !== 'application/xhtml+xml') {
+      return this._fail(item, 'fail', `Content-Typeがtext/htmlではありません（${mediaType}）`, recommendation);
+    }
+    if (/charset\s*=/i.test(value)) return item;
+
+    const hasMetaCharset = !!($ && ($('meta[charset]').length > 0 ||
+      /charset\s*=/i.test($('meta[http-equiv="Content-Type" i]').attr('content') || '')));
+    return this._fail(item, hasMetaCharset ? 'warn' : 'fail',
+      hasMetaCharset
+        ? 'Content-Typeヘッダーにcharsetが指定されていません（<meta charset>のみ）'
+        : 'Content-Typeヘッダーにcharsetが指定されていません',
+      recommendation);
+  }
+
+  /** @private */
+  _checkHsts(value, isHttps) {
+    const item = this._item('Strict-Transport-Security', 15, value);
+    if (!isHttps) {
+      // HTTP ページでは HSTS は無視される（HTTPS 化は checkUrlStructure で指摘済み）
+      item.status = 'skipped';
+      item.score = 0;
+      return item;
+    }
+    const recommendation = {
+      type: 'medium',
+      title: 'Strict-Transport-Security ヘッダーを設定',
+      description: 'HTTPS へのアクセスを強制し、ダウングレード攻撃を防ぎます。max-age は180日（15552000秒）以上を推奨します。',
+      codeExample: 'Strict-Transport-Security: max-age=31536000; includeSubDomains',
+      docLink: 'https://developer.mozilla.org/ja/docs/Web/HTTP/Headers/Strict-Transport-Security',
+    };
+    if (!value) {
+      return this._fail(item, 'fail', 'Strict-Transport-Security（HSTS）ヘッダーが未設定です', recommendation);
+    }
+    const m = value.match(/max-age\s*=\s*"?(\d+)"?/i);
+    const maxAge = m ? parseInt(m[1], 10) : 0;
+    item.maxAge = maxAge;
+    if (maxAge < HSTS_MIN_MAX_AGE) {
+      return this._fail(item, 'warn', `HSTSのmax-ageが短すぎます（${maxAge}秒）`, recommendation);
+    }
+    return item;
+  }
+
+  /** @private */
+  _checkXContentTypeOptions(value) {
+    const item = this._item('X-Content-Type-Options', 15, value);
+    const recommendation = {
+      type: 'medium',
+      title: 'X-Content-Type-Options: nosniff を設定',
+      description: 'ブラウザによる MIME タイプの推測（スニッフィング）を禁止し、意図しないスクリプト実行を防ぎます。',
+      codeExample: 'X-Content-Type-Options: nosniff',
+      docLink: 'https://developer.mozilla.org/ja/docs/Web/HTTP/Headers/X-Content-Type-Options',
+    };
+    if (!value) {
+      return this._fail(item, 'fail', 'X-Content-Type-Optionsヘッダーが未設定です', recommendation);
+    }
+    if (value.trim().toLowerCase() !== 'nosniff') {
+      return this._fail(item, 'fail', `X-Content-Type-Optionsの値がnosniffではありません（${value}）`, recommendation);
+    }
+    return item;
+  }
+
+  /** @private */
+  _checkCsp(value, reportOnlyValue) {
+    const item = this._item('Content-Security-Policy', 10, value || null);
+    const recommendation = {
+      type: 'low',
+      title: 'Content-Security-Policy ヘッダーを設定',
+      description: '読み込めるスクリプト・スタイルの取得元を制限し、XSS の影響を抑えます。まずは Report-Only で様子を見てから本番適用するのが安全です。',
+      codeExample: "Content-Security-Policy: default-src 'self'; img-src 'self' https:; frame-ancestors 'self'",
+      docLink: 'https://developer.mozilla.org/ja/docs/Web/HTTP/CSP',
+    };
+    if (value && value.trim()) return item;
+    if (reportOnlyValue) {
+      item.value = reportOnlyValue;
+      return this._fail(item, 'warn', 'Content-Security-Policyがreport-onlyのみです', recommendation);
+    }
+    return this._fail(item, 'fail', 'Content-Security-Policyヘッダーが未設定です', recommendation);
+  }
+
+  /** @private */
+  _checkReferrerPolicy(value) {
+    const item = this._item('Referrer-Policy', 10, value);
+    const recommendation = {
+      type: 'low',
+      title: 'Referrer-Policy ヘッダーを設定',
+      description: '外部サイトへ送るリファラーを制限し、URLに含まれる情報の漏えいを防ぎます。strict-origin-when-cross-origin を推奨します。',
+      codeExample: 'Referrer-Policy: strict-origin-when-cross-origin',
+      docLink: 'https://developer.mozilla.org/ja/docs/Web/HTTP/Headers/Referrer-Policy',
+    };
+    if (!value) {
+      return this._fail(item, 'fail', 'Referrer-Policyヘッダーが未設定です', recommendation);
+    }
+    // カンマ区切りの場合は最後の有効な値が適用される
+    const policies = value.split(',').map(v => v.trim().toLowerCase()).filter(v => VALID_REFERRER_POLICIES.has(v));
+    const effective = policies[policies.length - 1];
+    if (!effective) {
+      return this._fail(item, 'fail', `Referrer-Policyの値が不正です（${value}）`, recommendation);
+    }
+    if (effective === 'unsafe-url') {
+      return this._fail(item, 'fail', 'Referrer-Policyがunsafe-urlに設定されています', recommendation);
+    }
+    return item;
+  }
+
+  /** @private */
+  _checkCacheControl(value) {
+    const item = this._item('Cache-Control', 10, value);
+    if (!value) {
+      return this._fail(item, 'fail', 'Cache-Controlヘッダーが未設定です', {
+        type: 'low',
+        title: 'Cache-Control ヘッダーを設定',
+        description: 'キャッシュ方針を明示すると、CDN・ブラウザの再検証が効率化され表示速度とクロール効率が向上します。',
+        codeExample: 'Cache-Control: public, max-age=0, must-revalidate',
+        docLink: 'https://developer.mozilla.org/ja/docs/Web/HTTP/Headers/Cache-Control',
+      });
+    }
+    return item;
+  }
+}
+
+module.exports = ResponseHeaderChecker;
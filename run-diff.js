@@ -0,0 +1,374 @@
+/**
+ * Phase 3-S: 同じ URL の診断結果の差分（デプロイ前後の回帰の確認）
+ *
+ * スコアが下がったとき、2つの結果画面を目で見比べる必要があった。
+ * 分析履歴の2回分、または最新の履歴と今回の診断を比べて次を返す:
+ *  - 新しく出た問題・解消した問題・内容が変わった問題
+ *  - タイトル・メタディスクリプション・H1・canonical・OGP など、ページの値の変化
+ *  - 追加・削除された JSON-LD の @type
+ *  - 合計と SEO / AIO の各カテゴリのスコアの変化
+ *
+ * 問題の同一性は SARIF の ruleId（Phase 3-P）と同じ `seo/<カテゴリ>/<EnhancedReporter.getIssueKey>` で判定する。
+ * 「タイトルが短すぎます（20全角文字）」→「（25全角文字）」のように数値だけが変わった問題は同じ問題として扱い、
+ * 文言が変わったとき（「短すぎます」→「長すぎます」等）だけ changed に入れる。
+ *
+ * 比較に使う値は診断のたびに AnalysisHistory に保存する（snapshot）。この変更より前の履歴は
+ * スコアしか無いため、問題・値の差分は null にして warnings で知らせる。
+ *
+ * @example
+ *   const runDiff = new RunDiff({ model: AnalysisHistory });
+ *   await AnalysisHistory.create({ ...fields, ...runDiff.snapshot(results) });
+ *   const diff = await runDiff.compareStored({ url: 'https://example.com/' }); // 最新の2回
+ *   const before = await runDiff.findBase({ url });                              // 診断の前に取る
+ *   const diff2 = runDiff.compareWithFresh(await checker.checkSEO(url), { url, before });
+ */
+
+const mongoose = require('mongoose');
+const CiReporter = require('./ci-reporter');
+const EnhancedReporter = require('./enhanced-reporter');
+const ScoreHistory = require('./score-history');
+
+// 比べるページの値（snapshot の values のキー → 表示名）
+const VALUE_FIELDS = Object.freeze({
+  title: 'タイトル',
+  metaDescription: 'メタディスクリプション',
+  h1: 'H1',
+  canonical: 'canonical',
+  ogTitle: 'og:title',
+  ogDescription: 'og:description',
+  ogImage: 'og:image',
+});
+
+const TOTAL_SCORES = Object.freeze({
+  overallScore: 'SEO スコア',
+  aioOverallScore: 'AIO スコア',
+  combinedScore: '総合スコア',
+});
+
+// 1回分に保存する問題の上限（画像の多いページでドキュメントが膨らまないよう）
+const MAX_STORED_ISSUES = 200;
+
+class RunDiff {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.model] - AnalysisHistory（findById / find を持つもの）
+   * @param {Object} [options.ciReporter] - ruleId を持つもの（問題の同一性）
+   * @param {Object} [options.enhancedReporter] - getCategoryTitle を持つもの
+   */
+  constructor(options = {}) {
+    this.model = options.model;
+    this.enhancedReporter = options.enhancedReporter || new EnhancedReporter();
+    this.ciReporter = options.ciReporter || new CiReporter({ enhancedReporter: this.enhancedReporter });
+  }
+
+  /**
+   * AnalysisHistory に保存する、差分用の値
+   * @param {Object} results - checkSEO の戻り値
+   * @returns {{ issues: Object[], values: Object<string, string|null>, jsonLdTypes: string[] }}
+   */
+  snapshot(results) {
+    const priorities = new Map();
+    for (const rec of results.conciseRecommendations || []) {
+      priorities.set(this.ciReporter.ruleId(rec.type, rec.category, rec.issue), rec.priority);
+    }
+    const issues = [];
+    const collect = (type, checks) => {
+      for (const [category, check] of Object.entries(checks || {})) {
+        for (const issue of (check && Array.isArray(check.issues)) ? check.issues : []) {
+          if (typeof issue !== 'string' || !issue) continue;
+          const id = this.ciReporter.ruleId(type, category, issue);
+          issues.push({ ruleId: id, type, category, priority: priorities.get(id) || null, issue });
+        }
+      }
+    };
+    collect('seo', results.checks);
+    collect('aio', results.aio && results.aio.checks);
+
+    const checks = results.checks || {};
+    const other = checks.otherSEOElements || {};
+    const canonical = other.redirectCanonical && other.redirectCanonical.canonical;
+    const og = (checks.socialMetadata && checks.socialMetadata.og) || {};
+    const h1Texts = checks.headingStructure && checks.headingStructure.h1Texts;
+    return {
+      issues: issues.slice(0, MAX_STORED_ISSUES),
+      values: {
+        title: textOrNull(checks.titleTag && checks.titleTag.current),
+        metaDescription: textOrNull(checks.metaDescription && checks.metaDescription.current),
+        h1: Array.isArray(h1Texts) && h1Texts.length ? h1Texts.join(' / ') : null,
+        canonical: textOrNull(canonical && canonical.href),
+        ogTitle: textOrNull(og['og:title']),
+        ogDescription: textOrNull(og['og:description']),
+        ogImage: textOrNull(og['og:image']),
+      },
+      jsonLdTypes: collectJsonLdTypes(checks.structuredData && checks.structuredData.jsonLd),
+    };
+  }
+
+  /**
+   * 履歴の2回分を比べる。from / to を省くと url の最新の2回（古い方が from）
+   * @param {Object} query
+   * @param {string} [query.from] - 比較元の履歴 id
+   * @param {string} [query.to] - 比較先の履歴 id
+   * @param {string} [query.url] - from / to を省くときの URL（同じページとみなす URL のグループで探す）
+   * @param {string|null} [query.userId] - キーがあれば（null でも）その利用者の履歴だけを比べる
+   */
+  async compareStored(query = {}) {
+    let before;
+    let after;
+    if (query.from || query.to) {
+      if (!query.from || !query.to) throw diffError('from と to の両方を指定してください', 'MISSING_RUN_ID', 400);
+      [before, after] = await Promise.all([this.load(query.from, query), this.load(query.to, query)]);
+      if (!sameGroup(before, after)) {
+        throw diffError('異なる URL の履歴は比較できません', 'URL_MISMATCH', 400);
+      }
+    } else {
+      const latest = await this.latest(query, 2);
+      if (latest.length < 2) {
+        throw diffError('比較できる履歴が2回分ありません（同じ URL を2回以上診断してください）', 'NOT_ENOUGH_RUNS', 404);
+      }
+      [after, before] = latest;
+    }
+    return this.diff(before, after);
+  }
+
+  /**
+   * 今回の診断結果を、履歴（base または url の最新の1回）と比べる。
+   * 今回の結果も履歴に保存されるため、base の取得は診断の前に済ませておくこと
+   * @param {Object} results - checkSEO の戻り値
+   * @param {Object} options
+   * @param {string} options.url - 診断した URL
+   * @param {Object} options.before - 比較元の履歴（findBase の戻り値）
+   */
+  compareWithFresh(results, { url, before }) {
+    const after = {
+      _id: null,
+      url,
+      createdAt: results.timestamp,
+      overallScore: results.overallScore,
+      aioOverallScore: results.aioOverallScore,
+      combinedScore: results.combinedScore,
+      ...ScoreHistory.snapshot(results, url),
+      ...this.snapshot(results),
+    };
+    return { ...this.diff(before, after), fresh: true };
+  }
+
+  /**
+   * 今回の診断と比べる履歴（base の id、無ければ url の最新の1回）
+   */
+  async findBase(query = {}) {
+    if (query.base) return this.load(query.base, query);
+    if (!ScoreHistory.normalizeUrl(query.url)) throw diffError('url は http(s):// で始まる URL を指定してください', 'INVALID_URL', 400);
+    const [latest] = await this.latest(query, 1);
+    if (!latest) {
+      throw diffError('この URL の履歴がありません（先に1回診断してください）', 'NOT_ENOUGH_RUNS', 404);
+    }
+    return latest;
+  }
+
+  /**
+   * 履歴の1回分。scope に userId のキーがあれば、ほかの利用者の履歴は見つからない扱いにする
+   */
+  async load(id, scope = {}) {
+    if (typeof id !== 'string' || !mongoose.Types.ObjectId.isValid(id)) {
+      throw diffError('履歴の id が正しくありません', 'INVALID_RUN_ID', 400);
+    }
+    const run = await this.model.findById(id).lean();
+    if (!run || ('userId' in scope && (run.userId || null) !== (scope.userId || null))) {
+      throw diffError('履歴が見つかりません', 'RUN_NOT_FOUND', 404);
+    }
+    return run;
+  }
+
+  async latest(query = {}, count) {
+    const { url, sessionId } = query;
+    const normalizedUrl = ScoreHistory.normalizeUrl(url);
+    if (!normalizedUrl) throw diffError('url または from / to を指定してください', 'MISSING_URL', 400);
+    const filter = { $or: [{ normalizedUrl }, { url }] };
+    if ('userId' in query) filter.userId = query.userId ? String(query.userId) : null;
+    if (sessionId) filter.sessionId = String(sessionId);
+    return this.model.find(filter).sort({ createdAt: -1 }).limit(count).lean();
+  }
+
+  /**
+   * 2回分（AnalysisHistory のドキュメントの形）の差分
+   */
+  diff(before, after) {
+    const warnings = [];
+    const detailed = Array.isArray(before.issues) && Array.isArray(after.issues) && before.values && after.values;
+    if (!detailed) {
+      warnings.push({
+        code: 'RUN_WITHOUT_DETAILS',
+        message: '問題の一覧を保存する前の履歴のため、スコアの変化だけを比較しました',
+      });
+    }
+    const beforeType = before.pageType || null;
+    const afterType = after.pageType || null;
+    if (beforeType && afterType && beforeType !== afterType) {
+      warnings.push({
+        code: 'PAGE_TYPE_CHANGED',
+        message: `ページの種類の判定が ${beforeType} から ${afterType} に変わったため、構造化データの基準も変わっています`,
+      });
+    }
+
+    return {
+      from: describeRun(before),
+      to: describeRun(after),
+      scores: this.diffScores(before, after),
+      issues: detailed ? diffIssues(before.issues, after.issues) : null,
+      values: detailed ? diffValues(before.values, after.values) : null,
+      jsonLdTypes: detailed ? diffTypes(before.jsonLdTypes, after.jsonLdTypes) : null,
+      warnings,
+    };
+  }
+
+  /** 合計と、どちらかの回にあるカテゴリのスコア（取得しなかった回は null） */
+  diffScores(before, after) {
+    const rows = Object.entries(TOTAL_SCORES).map(([key, label]) => scoreRow(key, 'total', null, label, before[key], after[key]));
+    for (const group of ['seo', 'aio']) {
+      const beforeScores = toPlain(before.categoryScores && before.categoryScores[group]);
+      const afterScores = toPlain(after.categoryScores && after.categoryScores[group]);
+      const categories = [...new Set([...Object.keys(beforeScores), ...Object.keys(afterScores)])];
+      for (const category of categories) {
+        rows.push(scoreRow(`${group}.${category}`, group, category, this.enhancedReporter.getCategoryTitle(category), beforeScores[category], afterScores[category]));
+      }
+    }
+    return rows;
+  }
+}
+
+function diffIssues(beforeIssues, afterIssues) {
+  const beforeById = groupById(beforeIssues);
+  const afterById = groupById(afterIssues);
+  const added = [];
+  const resolved = [];
+  const changed = [];
+  let unchanged = 0;
+  for (const [id, issues] of afterById) {
+    const previous = beforeById.get(id);
+    if (!previous) {
+      added.push(...issues);
+    } else if (issueTexts(previous) === issueTexts(issues)) {
+      unchanged++;
+    } else {
+      changed.push({
+        ruleId: id,
+        type: issues[0].type,
+        category: issues[0].category,
+        priority: issues[0].priority || previous[0].priority || null,
+        before: previous.map(item => item.issue),
+        after: issues.map(item => item.issue),
+      });
+    }
+  }
+  for (const [id, issues] of beforeById) {
+    if (!afterById.has(id)) resolved.push(...issues);
+  }
+  return { added, resolved, changed, unchangedCount: unchanged };
+}
+
+function diffValues(before, after) {
+  const rows = [];
+  for (const [field, label] of Object.entries(VALUE_FIELDS)) {
+    const from = before[field] === undefined ? null : before[field];
+    const to = after[field] === undefined ? null : after[field];
+    if (from !== to) rows.push({ field, label, before: from, after: to });
+  }
+  return rows;
+}
+
+function diffTypes(before = [], after = []) {
+  const beforeSet = new Set(before || []);
+  const afterSet = new Set(after || []);
+  return {
+    added: [...afterSet].filter(type => !beforeSet.has(type)),
+    removed: [...beforeSet].filter(type => !afterSet.has(type)),
+  };
+}
+
+function scoreRow(key, group, category, label, before, after) {
+  const from = typeof before === 'number' ? before : null;
+  const to = typeof after === 'number' ? after : null;
+  return {
+    key,
+    group,
+    category,
+    label,
+    before: from,
+    after: to,
+    delta: from !== null && to !== null ? Math.round((to - from) * 10) / 10 : null,
+  };
+}
+
+function describeRun(run) {
+  const at = run.createdAt ? new Date(run.createdAt) : null;
+  return {
+    id: run._id ? String(run._id) : null,
+    at: at && !Number.isNaN(at.getTime()) ? at.toISOString() : null,
+    url: run.url || null,
+    pageType: run.pageType || null,
+  };
+}
+
+/** 同じ URL（または同じページとみなす URL のグループ）の履歴か */
+function sameGroup(a, b) {
+  if (a.url && a.url === b.url) return true;
+  const keyA = a.normalizedUrl || ScoreHistory.normalizeUrl(a.url);
+  const keyB = b.normalizedUrl || ScoreHistory.normalizeUrl(b.url);
+  return !!keyA && keyA === keyB;
+}
+
+function groupById(issues) {
+  const map = new Map();
+  for (const item of issues || []) {
+    if (!map.has(item.ruleId)) map.set(item.ruleId, []);
+    map.get(item.ruleId).push(item);
+  }
+  return map;
+}
+
+/** 数値・括弧内の値を除いて並べた文言（数値だけの変化は同じ内容として扱う） */
+function issueTexts(items) {
+  return items.map(item => CiReporter.normalizeIssue(item.issue)).sort().join('\n');
+}
+
+/** JSON-LD の @type（@graph・配列・入れ子も含む）を重複なく並べる */
+function collectJsonLdTypes(jsonLd) {
+  const types = new Set();
+  const visit = (node, depth) => {
+    if (!node || typeof node !== 'object' || depth > 10) return;
+    if (Array.isArray(node)) {
+      node.forEach(child => visit(child, depth + 1));
+      return;
+    }
+    const type = node['@type'];
+    for (const name of Array.isArray(type) ? type : [type]) {
+      if (typeof name === 'string' && name) types.add(name);
+    }
+    for (const [key, value] of Object.entries(node)) {
+      if (key !== '@context' && value && typeof value === 'object') visit(value, depth + 1);
+    }
+  };
+  visit(jsonLd, 0);
+  return [...types].sort();
+}
+
+function textOrNull(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function toPlain(value) {
+  if (!value) return {};
+  return value instanceof Map ? Object.fromEntries(value) : value;
+}
+
+function diffError(message, code, status) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+module.exports = RunDiff;
+module.exports.VALUE_FIELDS = VALUE_FIELDS;
+module.exports.MAX_STORED_ISSUES = MAX_STORED_ISSUES;
@@ -0,0 +1,325 @@
+/**
+ * Phase 3-R: カテゴリ別のスコア履歴と推移
+ *
+ * AnalysisHistory には合計スコア（SEO / AIO / 総合）しか無く、どのカテゴリが動いたのか分からなかった。
+ * 診断のたびに次の値も保存し、1つの URL（または同じページとみなす URL のグループ）の推移を返す:
+ *  - SEO / AIO の各カテゴリのスコア（取得しなかったカテゴリは保存しない。0点の谷に見えないように）
+ *  - 優先度ごとの問題数（conciseRecommendations の件数。CLI の --fail-on と同じ数え方）
+ *  - ページの種類（structuredData.pageTypeAnalysis.primaryType）
+ *
+ * URL のグループ（match=normalized）は、http / https・www の有無・末尾のスラッシュ・index.html・
+ * 計測用のクエリ（utm_* 等）・# 以降・クエリの順序の違いを同じページとして扱う。
+ *
+ * 推移（trend）:
+ *  - 系列ごとに各回の値と、直近 window 回の移動平均
+ *  - 連続する2回の間で動きが大きかったスコア（largestChanges）と、ページの種類が変わった回
+ *
+ * @example
+ *   const ScoreHistory = require('./score-history');
+ *   await AnalysisHistory.create({ url, ...ScoreHistory.snapshot(results, url) });
+ *   const history = new ScoreHistory({ model: AnalysisHistory });
+ *   const trend = await history.trend({ url: 'https://example.com/', match: 'normalized', window: 3 });
+ */
+
+const EnhancedReporter = require('./enhanced-reporter');
+
+const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
+const MATCH_MODES = ['exact', 'normalized'];
+
+// 推移の既定値と上限（1回の応答で返す履歴の件数・移動平均の幅）
+const DEFAULT_OPTIONS = Object.freeze({
+  limit: 50,
+  maxLimit: 200,
+  window: 3,
+  maxWindow: 20,
+  largestChanges: 5,
+});
+
+// 合計スコアの系列（AnalysisHistory のフィールド名 → 表示名）
+const TOTAL_SERIES = Object.freeze({
+  overallScore: 'SEO スコア',
+  aioOverallScore: 'AIO スコア',
+  combinedScore: '総合スコア',
+});
+
+const PRIORITY_LABELS = Object.freeze({
+  critical: '緊急の問題',
+  high: '重要度の高い問題',
+  medium: '中程度の問題',
+  low: '軽微な問題',
+});
+
+// 同じページとみなすため、グループのキーから除くクエリ（広告・メールの計測用）
+const TRACKING_PARAMS = /^(utm_[a-z]+|gclid|fbclid|yclid|msclkid|mc_cid|mc_eid|_ga)$/i;
+
+class ScoreHistory {
+  /**
+   * @param {Object} options
+   * @param {Object} options.model - AnalysisHistory（find().sort().limit().lean() を持つもの）
+   * @param {Object} [options.enhancedReporter] - getCategoryTitle を持つもの（系列の表示名）
+   * @param {Object} [options.defaults] - DEFAULT_OPTIONS の上書き（limit / window の既定値・上限など）
+   */
+  constructor(options = {}) {
+    this.model = options.model;
+    this.enhancedReporter = options.enhancedReporter || new EnhancedReporter();
+    this.options = { ...DEFAULT_OPTIONS, ...(options.defaults || {}) };
+  }
+
+  /**
+   * 同じページとみなす URL のグループのキー（スキームと www を除いた `host/path?query`）。
+   * URL として読めなければ null
+   * @example normalizeUrl('https://www.Example.com/blog/?utm_source=x#top') // 'example.com/blog'
+   */
+  static normalizeUrl(url) {
+    if (typeof url !== 'string' || !url.trim()) return null;
+    let parsed;
+    try {
+      parsed = new URL(url.trim());
+    } catch (e) {
+      return null;
+    }
+    if (!/^https?:$/.test(parsed.protocol)) return null;
+
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const defaultPort = parsed.port === '' || parsed.port === '80' || parsed.port === '443';
+    const path = parsed.pathname
+      .replace(/\/(index|default)\.(html?|php|aspx?)$/i, '/')
+      .replace(/\/+$/, '');
+    const params = [...parsed.searchParams.entries()]
+      .filter(([name]) => !TRACKING_PARAMS.test(name))
+      .sort(([a, av], [b, bv]) => (a === b ? av.localeCompare(bv) : a.localeCompare(b)));
+    const query = params.length ? `?${new URLSearchParams(params).toString()}` : '';
+    return `${host}${defaultPort ? '' : `:${parsed.port}`}${path}${query}`;
+  }
+
+  /**
+   * AnalysisHistory に合計スコアと一緒に保存する値
+   * @param {Object} results - checkSEO の戻り値
+   * @param {string|null} [url] - 診断した URL（HTML 貼り付けは null）
+   * @returns {{ normalizedUrl: string|null, categoryScores: { seo: Object, aio: Object },
+   *             issueCounts: Object<string, number>, pageType: string|null }}
+   */
+  static snapshot(results, url = null) {
+    const structuredData = (results.checks && results.checks.structuredData) || {};
+    const pageTypeAnalysis = structuredData.pageTypeAnalysis || {};
+    const issueCounts = Object.fromEntries(PRIORITIES.map(level => [level, 0]));
+    for (const rec of results.conciseRecommendations || []) {
+      if (issueCounts[rec.priority] !== undefined) issueCounts[rec.priority]++;
+    }
+    return {
+      normalizedUrl: ScoreHistory.normalizeUrl(url),
+      categoryScores: {
+        seo: collectScores(results.checks),
+        aio: collectScores(results.aio && results.aio.checks),
+      },
+      issueCounts,
+      pageType: pageTypeAnalysis.primaryType || null,
+    };
+  }
+
+  /**
+   * クエリ文字列を推移の条件に変換する。誤りは code 付きの Error（status 400）
+   * @returns {{ url: string, normalizedUrl: string, match: string, limit: number, window: number }}
+   */
+  parseQuery(query = {}) {
+    const url = typeof query.url === 'string' ? query.url.trim() : '';
+    if (!url) throw queryError('url を指定してください', 'MISSING_URL');
+    const normalizedUrl = ScoreHistory.normalizeUrl(url);
+    if (!normalizedUrl) throw queryError('url は http(s):// で始まる URL を指定してください', 'INVALID_URL');
+
+    const match = query.match || 'exact';
+    if (!MATCH_MODES.includes(match)) {
+      throw queryError(`match は ${MATCH_MODES.join(' / ')} のいずれかを指定してください`, 'INVALID_MATCH');
+    }
+    const limit = parseIntegerOption(query.limit, this.options.limit, 1, this.options.maxLimit, 'limit');
+    const window = parseIntegerOption(query.window, this.options.window, 1, this.options.maxWindow, 'window');
+    return { url, normalizedUrl, match, limit, window };
+  }
+
+  /**
+   * 1つの URL（match=normalized ならそのグループ）の推移
+   * @param {Object} query - parseQuery と同じ（url / match / limit / window）と、絞り込みの userId / sessionId。
+   *   userId のキーがあれば（null でも）その利用者の履歴だけにする（API キーなしの履歴は userId が null）
+   */
+  async trend(query = {}) {
+    const { url, normalizedUrl, match, limit, window } = this.parseQuery(query);
+    // normalizedUrl を持たない Phase 3-R より前の履歴も、URL が完全に一致すれば含める
+    const filter = match === 'normalized' ? { $or: [{ normalizedUrl }, { url }] } : { url };
+    if ('userId' in query) filter.userId = query.userId ? String(query.userId) : null;
+    if (query.sessionId) filter.sessionId = String(query.sessionId);
+
+    const items = await this.model.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    return {
+      url,
+      normalizedUrl,
+      match,
+      window,
+      ...this.buildTrend(items.slice().reverse(), { window }),
+    };
+  }
+
+  /**
+   * 古い順に並んだ履歴から系列・移動平均・大きな変化を作る
+   * @param {Object[]} items - AnalysisHistory のドキュメント（古い順）
+   * @param {Object} [options]
+   * @param {number} [options.window] - 移動平均に使う直近の回数
+   */
+  buildTrend(items, options = {}) {
+    const window = options.window || this.options.window;
+    const runs = items.map(item => ({
+      id: item._id ? String(item._id) : null,
+      at: toIso(item.createdAt),
+      url: item.url || null,
+      waitForJS: !!item.waitForJS,
+      pageType: item.pageType || null,
+    }));
+
+    const series = [];
+    const addSeries = (key, group, category, label, pick) => {
+      const points = [];
+      items.forEach((item, i) => {
+        const value = pick(item);
+        if (typeof value === 'number' && Number.isFinite(value)) points.push({ at: runs[i].at, value });
+      });
+      if (!points.length) return;
+      points.forEach((point, i) => {
+        const recent = points.slice(Math.max(0, i - window + 1), i + 1);
+        point.movingAverage = round(recent.reduce((sum, p) => sum + p.value, 0) / recent.length);
+      });
+      const values = points.map(point => point.value);
+      series.push({
+        key,
+        group,
+        category,
+        label,
+        points,
+        latest: values[values.length - 1],
+        change: round(values[values.length - 1] - values[0]),
+        min: Math.min(...values),
+        max: Math.max(...values),
+      });
+    };
+
+    for (const [field, label] of Object.entries(TOTAL_SERIES)) {
+      addSeries(field, 'total', null, label, item => item[field]);
+    }
+    for (const group of ['seo', 'aio']) {
+      const categories = new Set();
+      for (const item of items) {
+        for (const [category] of entriesOf(item.categoryScores && item.categoryScores[group])) categories.add(category);
+      }
+      for (const category of categories) {
+        addSeries(`${group}.${category}`, group, category, this.enhancedReporter.getCategoryTitle(category), (item) => {
+          const scores = item.categoryScores && item.categoryScores[group];
+          return scores instanceof Map ? scores.get(category) : (scores || {})[category];
+        });
+      }
+    }
+    for (const level of PRIORITIES) {
+      addSeries(`issues.${level}`, 'issues', level, PRIORITY_LABELS[level], item => item.issueCounts && item.issueCounts[level]);
+    }
+
+    return {
+      count: runs.length,
+      from: runs.length ? runs[0].at : null,
+      to: runs.length ? runs[runs.length - 1].at : null,
+      runs,
+      series,
+      largestChanges: findLargestChanges(series, this.options.largestChanges),
+      pageTypeChanges: findPageTypeChanges(runs),
+    };
+  }
+}
+
+/** checks のうち、スコアが数値で取得済み（skipped でない）カテゴリのスコア */
+function collectScores(checks) {
+  const scores = {};
+  for (const [category, check] of Object.entries(checks || {})) {
+    if (!check || typeof check.score !== 'number' || !Number.isFinite(check.score)) continue;
+    if (check.skipped || (check.details && check.details.skipped)) continue;
+    scores[category] = check.score;
+  }
+  return scores;
+}
+
+/**
+ * スコアの系列（合計・カテゴリ）で、連続する2回の差が大きいものから top 件。
+ * 差が同じなら新しい変化を優先する
+ */
+function findLargestChanges(series, top) {
+  const changes = [];
+  for (const s of series) {
+    if (s.group === 'issues') continue;
+    for (let i = 1; i < s.points.length; i++) {
+      const delta = round(s.points[i].value - s.points[i - 1].value);
+      if (delta === 0) continue;
+      changes.push({
+        key: s.key,
+        group: s.group,
+        category: s.category,
+        label: s.label,
+        from: { at: s.points[i - 1].at, value: s.points[i - 1].value },
+        to: { at: s.points[i].at, value: s.points[i].value },
+        delta,
+      });
+    }
+  }
+  return changes
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || String(b.to.at).localeCompare(String(a.to.at)))
+    .slice(0, top);
+}
+
+/** ページの種類が前回と変わった回（判定の変化でスコアの基準も変わるため） */
+function findPageTypeChanges(runs) {
+  const changes = [];
+  let previous = null;
+  for (const run of runs) {
+    if (!run.pageType) continue;
+    if (previous && previous.pageType !== run.pageType) {
+      changes.push({ at: run.at, from: previous.pageType, to: run.pageType });
+    }
+    previous = run;
+  }
+  return changes;
+}
+
+/** Mongoose の Map（lean() 前）と、lean() で返る素のオブジェクトの両方を [key, value] にする */
+function entriesOf(value) {
+  if (!value) return [];
+  return value instanceof Map ? [...value.entries()] : Object.entries(value);
+}
+
+function parseIntegerOption(value, fallback, min, max, name) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw queryError(`${name} は ${min}〜${max} の整数で指定してください`, `INVALID_${name.toUpperCase()}`);
+  }
+  return number;
+}
+
+function queryError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = 400;
+  return err;
+}
+
+function toIso(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+module.exports = ScoreHistory;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+module.exports.MATCH_MODES = MATCH_MODES;
+module.exports.PRIORITIES = PRIORITIES;
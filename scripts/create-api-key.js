@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * API キー発行スクリプト (Phase 3-N)
+ *
+ * キーを1つ発行して MongoDB（MONGODB_URI）の ApiKey に登録し、キー本体を表示する。
+ * 保存されるのはハッシュのみのため、表示されたキーは再表示できない（紛失したら発行し直す）。
+ *
+ * 使い方:
+ *   MONGODB_URI=mongodb+srv://... node scripts/create-api-key.js --user acme --name "ACME 社 CI"
+ *   # 上限の上書き（JSON。省略時は既定値）
+ *   node scripts/create-api-key.js --user acme --name "ACME" --limits '{"check":{"perDay":5000}}'
+ *   # 失効
+ *   node scripts/create-api-key.js --revoke sad_xxxxxxxx...
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB } = require('../db');
+const ApiKey = require('../models/ApiKey');
+const RateLimiter = require('../rate-limiter');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.revoke && (!args.user || !args.name)) {
+    console.error('使い方: node scripts/create-api-key.js --user <userId> --name <用途> [--limits <JSON>]');
+    process.exitCode = 1;
+    return;
+  }
+  if (!(await connectDB())) {
+    console.error('MongoDB に接続できません（MONGODB_URI を確認してください）');
+    process.exitCode = 1;
+    return;
+  }
+  try {
+    if (args.revoke) {
+      const result = await ApiKey.updateOne({ keyHash: RateLimiter.hashKey(args.revoke), revokedAt: null }, { $set: { revokedAt: new Date() } });
+      console.log(result.modifiedCount > 0 ? 'キーを失効させました（各インスタンスで最大1分間は有効なままです）' : '有効なキーが見つかりません');
+      return;
+    }
+    const limiter = new RateLimiter({ keyStore: new RateLimiter.MongoApiKeyStore(ApiKey) });
+    const { key, record } = await limiter.createKey({
+      name: args.name,
+      userId: args.user,
+      limits: args.limits ? JSON.parse(args.limits) : {},
+    });
+    console.log(`発行しました: ${record.name}（userId: ${record.userId}）`);
+    console.log(`APIキー: ${key}`);
+    console.log('このキーは再表示できません。安全な場所に保存してください。');
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,350 @@
+/**
+ * Phase 3-A: サイト全体クロール
+ *
+ * 開始URLから内部リンクを幅優先でたどり、見つかった各ページに対して
+ * SEOChecker.checkSEO を実行してサイト単位のレポートを作る。
+ *
+ * リンクの収集は checkInternalLinkStructure が既に集めている
+ * results.checks.internalLinkStructure.internalLinks を再利用する
+ * （ページを二重に解析しないため）。
+ *
+ * 制限:
+ *  - maxDepth     : 開始URLからのリンク階層の上限（開始URL = 0）
+ *  - maxPages     : 診断するページ数の上限
+ *  - sameHostOnly : true ならホスト名完全一致のみ、false ならサブドメインも許可
+ *
+ * 重いSPAで Puppeteer を多重起動しないよう、ページは1件ずつ順番に診断する。
+ * リンクはリダイレクト後の最終URL（results.finalUrl）を基準に解決し、範囲（sameHostOnly）も
+ * 開始URLの最終URLのホストで判定する（example.com → www.example.com へのリダイレクト等）。
+ *
+ * Phase 3-Y: 本文が似ているページを重複のグループ（duplicateClusters）にまとめ、
+ * 該当するページに duplicateCluster（グループの id）を付ける。
+ *
+ * @example
+ *   const SiteCrawler = require('./site-crawler');
+ *   const crawler = new SiteCrawler(new SEOChecker(), { maxDepth: 2, maxPages: 20 });
+ *   const report = await crawler.crawl('https://example.com/');
+ *   // report.pages, report.summary, ...
+ */
+
+const ContentSimilarity = require('./content-similarity');
+
+const DEFAULT_OPTIONS = Object.freeze({
+  maxDepth: 2,
+  maxPages: 20,
+  sameHostOnly: true,
+  waitForJS: false,
+  delayMs: 300, // 対象サイトへの負荷を抑えるためのページ間待機
+});
+
+// API から指定できる上限（Render の 512MB / リクエスト時間を考慮）
+const HARD_LIMITS = Object.freeze({
+  maxDepth: 5,
+  maxPages: 100,
+});
+
+// HTML ではない可能性が高い拡張子はクロール対象外
+const NON_HTML_EXTENSIONS = /\.(?:pdf|jpe?g|png|gif|webp|avif|svg|ico|css|js|json|xml|txt|zip|gz|mp3|mp4|mov|avi|docx?|xlsx?|pptx?|csv)$/i;
+
+const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
+class SiteCrawler {
+  /**
+   * @param {Object} checker - SEOChecker インスタンス（checkSEO / enhancedReporter を使用）
+   * @param {Object} [options] - DEFAULT_OPTIONS を上書きする設定
+   */
+  constructor(checker, options = {}) {
+    if (!checker || typeof checker.checkSEO !== 'function') {
+      throw new Error('SiteCrawler には checkSEO を持つ checker が必要です');
+    }
+    this.checker = checker;
+    this.options = SiteCrawler.resolveOptions(options);
+    this.contentSimilarity = checker.contentSimilarity || ContentSimilarity.shared();
+  }
+
+  /**
+   * リクエスト由来の設定値を既定値・上限で丸める
+   * @param {Object} options
+   * @returns {Object} 正規化済みの設定
+   */
+  static resolveOptions(options = {}) {
+    const toInt = (v, fallback) => {
+      const n = parseInt(v, 10);
+      return Number.isFinite(n) ? n : fallback;
+    };
+    // フォーム・クエリの "false" を true にしないよう、真偽値と文字列の 'true' / 'false' だけを受け付ける
+    const toBool = (v, fallback) => {
+      if (v === true || v === 'true') return true;
+      if (v === false || v === 'false') return false;
+      return fallback;
+    };
+    return {
+      maxDepth: Math.min(Math.max(toInt(options.maxDepth, DEFAULT_OPTIONS.maxDepth), 0), HARD_LIMITS.maxDepth),
+      maxPages: Math.min(Math.max(toInt(options.maxPages, DEFAULT_OPTIONS.maxPages), 1), HARD_LIMITS.maxPages),
+      sameHostOnly: toBool(options.sameHostOnly, DEFAULT_OPTIONS.sameHostOnly),
+      waitForJS: toBool(options.waitForJS, DEFAULT_OPTIONS.waitForJS),
+      delayMs: Math.max(toInt(options.delayMs, DEFAULT_OPTIONS.delayMs), 0),
+    };
+  }
+
+  /**
+   * クロールを実行
+   * @param {string} startUrl - 開始URL
+   * @param {Object} [hooks]
+   * @param {Function} [hooks.onPage] - 1ページ診断ごとに (pageSummary, results) で呼ばれる（履歴保存用）
+   * @param {Function} [hooks.beforePage] - ページを診断する前に (url) で呼ばれる。例外を投げるとクロールを止め、
+   *   その理由を stoppedReason に入れる（回数制限の上限に達したとき等）
+   * @returns {Promise<Object>} サイトレポート
+   */
+  async crawl(startUrl, hooks = {}) {
+    const start = this.normalizeUrl(startUrl);
+    if (!start) {
+      const err = new Error(`開始URLが不正です: ${startUrl}`);
+      err.code = 'INVALID_URL';
+      throw err;
+    }
+
+    const startedAt = new Date();
+    const queue = [{ url: start, depth: 0, foundOn: null }];
+    const seen = new Set([start]);
+    // 範囲の基準。開始URLがリダイレクトしたら最終URLに置き換える
+    let scope = start;
+    const pages = [];
+    // 集計用。ページごとの結果全体は保持しない（メモリ節約）
+    const issueTally = new Map();
+    // 重複のグループ用に、指紋だけは全ページ分を持つ
+    const fingerprints = [];
+    let stoppedReason = null;
+
+    while (queue.length > 0 && pages.length < this.options.maxPages) {
+      if (typeof hooks.beforePage === 'function') {
+        try {
+          await hooks.beforePage(queue[0].url);
+        } catch (error) {
+          stoppedReason = { code: error.code || null, message: error.message };
+          break;
+        }
+      }
+      const { url, depth, foundOn } = queue.shift();
+      if (pages.length > 0 && this.options.delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.options.delayMs));
+      }
+
+      let results = null;
+      try {
+        results = await this.checker.checkSEO(url, null, this.options.waitForJS);
+      } catch (error) {
+        pages.push({ url, depth, foundOn, status: 'error', error: error.message, code: error.code || null });
+        continue;
+      }
+
+      const pageUrl = this.normalizeUrl(results.finalUrl) || url;
+      if (depth === 0 && pageUrl !== url) {
+        scope = pageUrl;
+        seen.add(pageUrl);
+      }
+
+      const page = this.summarizePage(url, depth, foundOn, results);
+      pages.push(page);
+      this.tallyIssues(issueTally, results);
+      fingerprints.push({ url, fingerprint: results.contentFingerprint || null });
+
+      if (typeof hooks.onPage === 'function') {
+        try {
+          await hooks.onPage(page, results);
+        } catch (_) { /* フックの失敗でクロールは止めない */ }
+      }
+
+      if (depth < this.options.maxDepth) {
+        for (const link of this.extractLinks(results, pageUrl)) {
+          if (seen.has(link) || !this.isInScope(link, scope)) continue;
+          seen.add(link);
+          queue.push({ url: link, depth: depth + 1, foundOn: url });
+        }
+      }
+      results = null;
+    }
+
+    const duplicateClusters = this.contentSimilarity.cluster(fingerprints);
+    ContentSimilarity.markClusters(pages, duplicateClusters);
+
+    return {
+      startUrl: start,
+      options: { ...this.options },
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      truncated: queue.length > 0,
+      pendingUrls: queue.length,
+      stoppedReason,
+      pages,
+      summary: this.buildSiteSummary(pages, issueTally),
+      duplicateClusters,
+    };
+  }
+
+  /**
+   * href を絶対URLに正規化（フラグメント除去）。クロール対象外なら null
+   * @param {string} href
+   * @param {string} [baseUrl]
+   * @returns {string|null}
+   */
+  normalizeUrl(href, baseUrl) {
+    if (!href || typeof href !== 'string') return null;
+    const trimmed = href.trim();
+    if (/^(?:mailto|tel|javascript|data):/i.test(trimmed)) return null;
+    let u;
+    try {
+      u = baseUrl ? new URL(trimmed, baseUrl) : new URL(trimmed);
+    } catch (_) {
+      return null;
+    }
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+    if (NON_HTML_EXTENSIONS.test(u.pathname)) return null;
+    u.hash = '';
+    return u.toString();
+  }
+
+  /**
+   * checkInternalLinkStructure が集めた内部リンクを絶対URLの配列にする
+   */
+  extractLinks(results, pageUrl) {
+    const linkCheck = results && results.checks && results.checks.internalLinkStructure;
+    const internalLinks = (linkCheck && Array.isArray(linkCheck.internalLinks)) ? linkCheck.internalLinks : [];
+    const urls = [];
+    for (const link of internalLinks) {
+      const normalized = this.normalizeUrl(link && link.href, pageUrl);
+      if (normalized) urls.push(normalized);
+    }
+    return urls;
+  }
+
+  /**
+   * クロール範囲内かどうか（sameHostOnly の判定）
+   */
+  isInScope(url, startUrl) {
+    let host, startHost;
+    try {
+      host = new URL(url).hostname.toLowerCase();
+      startHost = new URL(startUrl).hostname.toLowerCase();
+    } catch (_) {
+      return false;
+    }
+    if (host === startHost) return true;
+    if (this.options.sameHostOnly) return false;
+    // www. を外したサイトのルートドメイン配下（サブドメイン）を許可
+    const root = startHost.replace(/^www\./, '');
+    return host === root || host.endsWith(`.${root}`);
+  }
+
+  /**
+   * 1ページ分の結果をサイトレポート用に要約
+   */
+  summarizePage(url, depth, foundOn, results) {
+    const categoryScores = { seo: {}, aio: {} };
+    for (const [key, check] of Object.entries(results.checks || {})) {
+      if (check && typeof check.score === 'number') categoryScores.seo[key] = check.score;
+    }
+    const aioChecks = (results.aio && results.aio.checks) || {};
+    for (const [key, check] of Object.entries(aioChecks)) {
+      if (check && typeof check.score === 'number') categoryScores.aio[key] = check.score;
+    }
+
+    const issueCounts = { critical: 0, high: 0, medium: 0, low: 0 };
+    for (const rec of results.conciseRecommendations || []) {
+      if (issueCounts[rec.priority] !== undefined) issueCounts[rec.priority]++;
+    }
+
+    const titleCheck = results.checks && results.checks.titleTag;
+    return {
+      url,
+      depth,
+      foundOn,
+      status: 'ok',
+      title: titleCheck ? titleCheck.current : '',
+      overallScore: results.overallScore,
+      aioOverallScore: results.aioOverallScore,
+      combinedScore: results.combinedScore,
+      categoryScores,
+      issueCounts,
+    };
+  }
+
+  /**
+   * conciseRecommendations を getIssueKey 単位で数え、サイト全体で多い問題を出す
+   */
+  tallyIssues(tally, results) {
+    const reporter = this.checker.enhancedReporter;
+    for (const rec of results.conciseRecommendations || []) {
+      const key = reporter && typeof reporter.getIssueKey === 'function'
+        ? reporter.getIssueKey(rec.issue || '', rec.category)
+        : rec.issue;
+      const id = `${rec.category}:${key}`;
+      const entry = tally.get(id) || {
+        category: rec.category,
+        type: rec.type,
+        issueKey: key,
+        issue: rec.issue,
+        priority: rec.priority,
+        pageCount: 0,
+      };
+      entry.pageCount++;
+      // 同じ問題でもページにより優先度が違うので、最も高いものを代表にする
+      if (PRIORITIES.indexOf(rec.priority) < PRIORITIES.indexOf(entry.priority)) {
+        entry.priority = rec.priority;
+      }
+      tally.set(id, entry);
+    }
+  }
+
+  /**
+   * サイト全体の合計・平均を組み立てる
+   */
+  buildSiteSummary(pages, issueTally) {
+    const ok = pages.filter(p => p.status === 'ok');
+    const avg = (values) => values.length
+      ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length)
+      : null;
+
+    const categoryAverages = { seo: {}, aio: {} };
+    for (const type of ['seo', 'aio']) {
+      const keys = new Set();
+      ok.forEach(p => Object.keys(p.categoryScores[type]).forEach(k => keys.add(k)));
+      for (const key of keys) {
+        categoryAverages[type][key] = avg(
+          ok.map(p => p.categoryScores[type][key]).filter(v => typeof v === 'number')
+        );
+      }
+    }
+
+    const issueTotals = { critical: 0, high: 0, medium: 0, low: 0 };
+    ok.forEach(p => PRIORITIES.forEach(pr => { issueTotals[pr] += p.issueCounts[pr]; }));
+
+    const byCombined = [...ok].sort((a, b) => a.combinedScore - b.combinedScore);
+    const pick = (p) => p ? { url: p.url, combinedScore: p.combinedScore } : null;
+
+    const commonIssues = [...issueTally.values()]
+      .sort((a, b) => b.pageCount - a.pageCount ||
+        PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority))
+      .slice(0, 20);
+
+    return {
+      pagesCrawled: pages.length,
+      pagesSucceeded: ok.length,
+      pagesFailed: pages.length - ok.length,
+      averageScores: {
+        overallScore: avg(ok.map(p => p.overallScore)),
+        aioOverallScore: avg(ok.map(p => p.aioOverallScore)),
+        combinedScore: avg(ok.map(p => p.combinedScore)),
+      },
+      categoryAverages,
+      issueTotals,
+      lowestPage: pick(byCombined[0]),
+      highestPage: pick(byCombined[byCombined.length - 1]),
+      commonIssues,
+    };
+  }
+}
+
+module.exports = SiteCrawler;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+module.exports.HARD_LIMITS = HARD_LIMITS;
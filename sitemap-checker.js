@@ -0,0 +1,558 @@
+/**
+ * Phase 3-B: sitemap.xml チェッカー
+ *
+ * 仕様: https://www.sitemaps.org/protocol.html
+ *
+ * このモジュールは対象ホストに対して以下をチェックする:
+ *  - robots.txt の `Sitemap:` ディレクティブ、無ければ /sitemap.xml からサイトマップを発見
+ *  - サイトマップインデックス（<sitemapindex>）と gzip 圧縮（.xml.gz）の展開
+ *  - lastmod の日付形式（W3C Datetime）
+ *  - 正規URLではないURL（別オリジン・フラグメント・セッション/トラッキングパラメータ・canonical 不一致）
+ *  - robots.txt で Disallow されているURL
+ *  - 診断対象ページがサイトマップに含まれているか
+ *  - （Phase 3-F）各URLの hreflang 代替（xhtml:link）を pageEntry.alternates として保持
+ *
+ * HTTP の取得部分は LlmsTxtChecker と同じく失敗を握り潰し、結果オブジェクトに記録する。
+ *
+ * @example
+ *   const SitemapChecker = require('./sitemap-checker');
+ *   const checker = new SitemapChecker();
+ *   const result = await checker.check('https://example.com/page', { canonicalUrl: 'https://example.com/page' });
+ *   // result.found, result.pageInSitemap, result.score, result.issues, ...
+ */
+
+const axios = require('axios');
+const OutboundGuard = require('./outbound-guard');
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+
+const USER_AGENT = 'SEO-AIO-Doctor/1.3 (+https://seo-checker-tool.onrender.com/)';
+// 正規URLに含めるべきでないクエリパラメータ
+const NON_CANONICAL_PARAMS = /^(?:utm_[a-z]+|gclid|fbclid|yclid|msclkid|sessionid|session_id|sid|phpsessid|jsessionid)$/i;
+// W3C Datetime (YYYY / YYYY-MM / YYYY-MM-DD / YYYY-MM-DDThh:mm[:ss[.s]]TZD)
+const W3C_DATETIME = /^\d{4}(?:-(?:0[1-9]|1[0-2])(?:-(?:0[1-9]|[12]\d|3[01])(?:T(?:[01]\d|2[0-3]):[0-5]\d(?::[0-5]\d(?:\.\d+)?)?(?:Z|[+-](?:[01]\d|2[0-3]):[0-5]\d))?)?)?$/;
+// 結果に載せるURLサンプルの上限（レスポンスサイズ対策）
+const SAMPLE_LIMIT = 20;
+
+class SitemapChecker {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 8000;
+    this.maxBytes = options.maxBytes || 10_000_000; // 仕様上の上限は非圧縮 50MB だが、512MB 環境向けに抑える
+    this.maxSitemaps = options.maxSitemaps || 10;   // インデックス配下で読むサイトマップ数の上限
+    this.maxUrls = options.maxUrls || 50_000;
+    // Phase 3-M: 内部ネットワーク宛ての取得を防ぐ（robots.txt の Sitemap: 行は任意のURLを指せる）
+    this.outboundGuard = options.outboundGuard || OutboundGuard.shared();
+  }
+
+  /**
+   * メインのチェック関数
+   * @param {string} pageUrl - 診断対象のページURL
+   * @param {Object} [context]
+   * @param {string} [context.canonicalUrl] - ページの <link rel="canonical">（絶対URL）
+   * @returns {Promise<Object>} チェック結果
+   */
+  async check(pageUrl, context = {}) {
+    const result = {
+      origin: null,
+      robotsTxtUrl: null,
+      discoveredVia: null,   // 'robots.txt' | 'default' | null
+      sitemapUrls: [],       // 発見したサイトマップ（インデックス含む）
+      sitemaps: [],          // [{ url, type, status, gzipped, urlCount, error }]
+
+      found: false,
+      skipped: false,
+      fetchError: null,
+      urlCount: 0,
+      truncated: false,
+
+      pageUrl: pageUrl || null,
+      canonicalUrl: context.canonicalUrl || null,
+      pageInSitemap: null,
+      pageEntry: null,
+      alternateEntries: [],
+
+      invalidLastmod: { count: 0, samples: [] },
+      nonCanonicalUrls: { count: 0, samples: [] },
+      disallowedUrls: { count: 0, samples: [] },
+
+      score: 0,
+      issues: [],
+      recommendations: [],
+    };
+
+    let pageOrigin;
+    try {
+      const u = new URL(pageUrl);
+      pageOrigin = `${u.protocol}//${u.host}`;
+    } catch (_) {
+      result.fetchError = 'INVALID_URL';
+      result.skipped = true;
+      return result;
+    }
+    result.origin = pageOrigin;
+    result.robotsTxtUrl = `${pageOrigin}/robots.txt`;
+
+    // robots.txt から Sitemap: と Disallow ルールを取得
+    const robotsRes = await this._fetch(result.robotsTxtUrl);
+    const robots = robotsRes.ok
+      ? this._parseRobotsTxt(robotsRes.body.toString('utf-8'))
+      : { sitemaps: [], groups: [] };
+
+    let candidates = robots.sitemaps;
+    if (candidates.length > 0) {
+      result.discoveredVia = 'robots.txt';
+    } else {
+      candidates = [`${pageOrigin}/sitemap.xml`];
+    }
+
+    const entries = [];
+    const queue = candidates.map(url => ({ url, level: 0 }));
+    const visited = new Set();
+    let anyHttpResponse = robotsRes.status !== null;
+
+    while (queue.length > 0 && result.sitemaps.length < this.maxSitemaps) {
+      const { url, level } = queue.shift();
+      if (visited.has(url)) continue;
+      visited.add(url);
+      result.sitemapUrls.push(url);
+
+      const res = await this._fetch(url);
+      if (res.status !== null) anyHttpResponse = true;
+      const info = { url, type: null, status: res.status, gzipped: false, urlCount: 0, error: null };
+      result.sitemaps.push(info);
+      if (!res.ok) {
+        info.error = res.error || `HTTP ${res.status}`;
+        continue;
+      }
+
+      let xml;
+      try {
+        const decoded = this._decodeBody(res.body);
+        info.gzipped = decoded.gzipped;
+        xml = decoded.text;
+      } catch (err) {
+        info.error = `GZIP_ERROR: ${err.message}`;
+        continue;
+      }
+
+      const parsed = this._parseSitemap(xml);
+      info.type = parsed.type;
+      if (!parsed.type) {
+        info.error = 'NOT_A_SITEMAP';
+        continue;
+      }
+      if (parsed.type === 'sitemapindex') {
+        info.urlCount = parsed.sitemaps.length;
+        // インデックスの入れ子は1段まで（仕様上インデックスは入れ子にできない）
+        if (level === 0) {
+          parsed.sitemaps.forEach(s => queue.push({ url: s.loc, level: level + 1 }));
+        }
+        continue;
+      }
+
+      info.urlCount = parsed.entries.length;
+      for (const entry of parsed.entries) {
+        if (entries.length >= this.maxUrls) {
+          result.truncated = true;
+          break;
+        }
+        entries.push(entry);
+      }
+    }
+    if (queue.length > 0) result.truncated = true;
+
+    if (!result.sitemaps.some(s => s.type)) {
+      // すべての取得がネットワークエラー（HTTP応答なし）の場合は判定不能としてスキップ
+      if (!anyHttpResponse) {
+        result.skipped = true;
+        result.fetchError = robotsRes.error || 'FETCH_FAILED';
+        return result;
+      }
+      this._evaluate(result);
+      return result;
+    }
+
+    result.found = true;
+    if (!result.discoveredVia) result.discoveredVia = 'default';
+    result.urlCount = entries.length;
+    this._inspectEntries(result, entries, robots.groups, pageOrigin);
+    this._evaluate(result);
+    return result;
+  }
+
+  /**
+   * HTTP GET でバイナリを取得（gzip を自前で展開するため arraybuffer）
+   * @private
+   */
+  async _fetch(url) {
+    try {
+      this.outboundGuard.assertUrlAllowed(url);
+      const res = await axios.get(url, {
+        ...this.outboundGuard.axiosOptions(),
+        timeout: this.timeout,
+        maxContentLength: this.maxBytes,
+        maxRedirects: 5,
+        validateStatus: () => true,
+        responseType: 'arraybuffer',
+        headers: {
+          'User-Agent': USER_AGENT,
+          'Accept': 'application/xml, text/xml, text/plain, application/x-gzip, */*',
+        },
+      });
+      const ok = res.status >= 200 && res.status < 300;
+      return {
+        ok,
+        status: res.status,
+        body: Buffer.from(res.data || []),
+        contentType: (res.headers['content-type'] || '').toLowerCase(),
+        error: null,
+      };
+    } catch (err) {
+      return {
+        ok: false,
+        status: err.response ? err.response.status : null,
+        body: null,
+        contentType: '',
+        error: (OutboundGuard.findBlockedError(err) || err).code || err.message,
+      };
+    }
+  }
+
+  /**
+   * gzip（マジックバイト 1f 8b）なら展開して文字列にする
+   * @private
+   */
+  _decodeBody(buffer) {
+    if (buffer && buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      const inflated = zlib.gunzipSync(buffer, { maxOutputLength: this.maxBytes });
+      return { text: inflated.toString('utf-8'), gzipped: true };
+    }
+    return { text: buffer ? buffer.toString('utf-8') : '', gzipped: false };
+  }
+
+  /**
+   * サイトマップXMLをパース
+   * @returns {{ type: 'urlset'|'sitemapindex'|null, entries: Array, sitemaps: Array }}
+   * @private
+   */
+  _parseSitemap(xml) {
+    const parsed = { type: null, entries: [], sitemaps: [] };
+    if (!xml || typeof xml !== 'string') return parsed;
+    let $;
+    try {
+      $ = cheerio.load(xml, { xmlMode: true });
+    } catch (_) {
+      return parsed;
+    }
+
+    if ($('sitemapindex').length > 0) {
+      parsed.type = 'sitemapindex';
+      $('sitemapindex > sitemap').each((i, el) => {
+        const loc = $(el).children('loc').first().text().trim();
+        if (loc) parsed.sitemaps.push({ loc, lastmod: $(el).children('lastmod').first().text().trim() || null });
+      });
+      return parsed;
+    }
+
+    if ($('urlset').length > 0) {
+      parsed.type = 'urlset';
+      $('urlset > url').each((i, el) => {
+        const loc = $(el).children('loc').first().text().trim();
+        if (!loc) return;
+        const lastmodEl = $(el).children('lastmod').first();
+        const entry = {
+          loc,
+          lastmod: lastmodEl.length ? lastmodEl.text().trim() : null,
+        };
+        // Phase 3-F: <xhtml:link rel="alternate" hreflang="..."> （名前空間プレフィックスは問わない）
+        // 大きなサイトマップでのメモリを抑えるため、ある場合だけ持たせる
+        const alternates = [];
+        $(el).children().each((j, child) => {
+          const $child = $(child);
+          if (!/(^|:)link$/.test(child.name) || !/\balternate\b/i.test($child.attr('rel') || '')) return;
+          const hreflang = ($child.attr('hreflang') || '').trim();
+          const href = ($child.attr('href') || '').trim();
+          if (hreflang && href) alternates.push({ hreflang, href });
+        });
+        if (alternates.length > 0) entry.alternates = alternates;
+        parsed.entries.push(entry);
+      });
+    }
+    return parsed;
+  }
+
+  /**
+   * robots.txt から Sitemap: 行と User-agent グループ（Allow/Disallow）を抽出
+   * @private
+   */
+  _parseRobotsTxt(text) {
+    const sitemaps = [];
+    const groups = []; // { agents: [], rules: [{ type: 'allow'|'disallow', path }] }
+    let current = null;
+
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      if (!line) continue;
+      const m = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+      if (!m) continue;
+      const field = m[1].toLowerCase();
+      const value = m[2].trim();
+
+      if (field === 'sitemap') {
+        // Sitemap: はグループに属さない
+        if (value) sitemaps.push(value);
+        continue;
+      }
+      if (field === 'user-agent') {
+        if (!current || current.rules.length > 0) {
+          current = { agents: [], rules: [] };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        continue;
+      }
+      if ((field === 'allow' || field === 'disallow') && current) {
+        // 空の Disallow は「全許可」なのでルールとしては無視
+        if (value) current.rules.push({ type: field, path: value });
+      }
+    }
+    return { sitemaps, groups };
+  }
+
+  /**
+   * robots.txt のルールでパスが許可されるか（最長一致、同じ長さなら Allow 優先）
+   * @private
+   */
+  _isAllowedByRobots(groups, pathWithQuery, agent = '*') {
+    const lcAgent = agent.toLowerCase();
+    const group = groups.find(g => g.agents.includes(lcAgent)) ||
+                  groups.find(g => g.agents.includes('*'));
+    if (!group) return true;
+
+    let best = null;
+    for (const rule of group.rules) {
+      if (!this._robotsPathMatches(rule.path, pathWithQuery)) continue;
+      const len = rule.path.length;
+      if (!best || len > best.len || (len === best.len && rule.type === 'allow')) {
+        best = { len, type: rule.type };
+      }
+    }
+    return !best || best.type === 'allow';
+  }
+
+  /**
+   * robots.txt のパスパターン（* と $ をサポート）の前方一致判定
+   * @private
+   */
+  _robotsPathMatches(pattern, path) {
+    const anchored = pattern.endsWith('$');
+    const body = anchored ? pattern.slice(0, -1) : pattern;
+    const regex = body.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${regex}${anchored ? '$' : ''}`).test(path);
+  }
+
+  /**
+   * W3C Datetime として妥当か（未来日付も不正扱い）
+   * @private
+   */
+  _isValidLastmod(value) {
+    if (!value || !W3C_DATETIME.test(value)) return false;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) return false;
+    // タイムゾーン差を考慮して1日の猶予
+    return time <= Date.now() + 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * 比較用のURL正規化（フラグメント除去・ホスト小文字化・末尾スラッシュ統一）
+   * @private
+   */
+  _normalizeForMatch(url) {
+    try {
+      const u = new URL(url);
+      u.hash = '';
+      let s = u.toString();
+      if (s.endsWith('/') && u.pathname !== '/') s = s.slice(0, -1);
+      return s;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * 各URLエントリを検査して result に集計
+   * @private
+   */
+  _inspectEntries(result, entries, robotsGroups, pageOrigin) {
+    const pageKey = this._normalizeForMatch(result.pageUrl);
+    const canonicalKey = result.canonicalUrl ? this._normalizeForMatch(result.canonicalUrl) : null;
+    const pushSample = (bucket, item) => {
+      bucket.count++;
+      if (bucket.samples.length < SAMPLE_LIMIT) bucket.samples.push(item);
+    };
+
+    let pageEntry = null;
+    for (const entry of entries) {
+      if (entry.lastmod !== null && !this._isValidLastmod(entry.lastmod)) {
+        pushSample(result.invalidLastmod, { loc: entry.loc, lastmod: entry.lastmod });
+      }
+
+      let u;
+      try {
+        u = new URL(entry.loc);
+      } catch (_) {
+        pushSample(result.nonCanonicalUrls, { loc: entry.loc, reason: 'invalid_url' });
+        continue;
+      }
+
+      const key = this._normalizeForMatch(entry.loc);
+      if (!pageEntry && (key === pageKey || (canonicalKey && key === canonicalKey))) {
+        pageEntry = entry;
+      }
+
+      const origin = `${u.protocol}//${u.host}`;
+      if (origin !== pageOrigin) {
+        pushSample(result.nonCanonicalUrls, { loc: entry.loc, reason: 'origin_mismatch' });
+      } else if (u.hash) {
+        pushSample(result.nonCanonicalUrls, { loc: entry.loc, reason: 'fragment' });
+      } else if ([...u.searchParams.keys()].some(k => NON_CANONICAL_PARAMS.test(k))) {
+        pushSample(result.nonCanonicalUrls, { loc: entry.loc, reason: 'tracking_param' });
+      } else if (canonicalKey && key === pageKey && pageKey !== canonicalKey) {
+        // 診断ページのURLが載っているが、ページ自身の canonical は別URLを指している
+        pushSample(result.nonCanonicalUrls, { loc: entry.loc, reason: 'canonical_mismatch', canonical: result.canonicalUrl });
+      }
+
+      if (origin === pageOrigin && !this._isAllowedByRobots(robotsGroups, `${u.pathname}${u.search}`)) {
+        pushSample(result.disallowedUrls, entry.loc);
+      }
+    }
+
+    result.pageEntry = pageEntry;
+    // Phase 3-F: hreflang の戻りリンク確認用に、代替URL側のエントリだけ残す
+    result.alternateEntries = [];
+    if (pageEntry && pageEntry.alternates) {
+      const alternateKeys = new Set(pageEntry.alternates.map(a => this._normalizeForMatch(a.href)));
+      alternateKeys.delete(this._normalizeForMatch(pageEntry.loc));
+      result.alternateEntries = entries.filter(e => e.alternates && alternateKeys.has(this._normalizeForMatch(e.loc)));
+    }
+    // 上限で打ち切った場合は「含まれていない」と断定しない
+    result.pageInSitemap = pageEntry ? true : (result.truncated ? null : false);
+  }
+
+  /**
+   * 結果に対するスコア・推奨アクションの生成
+   * @private
+   */
+  _evaluate(result) {
+    let score = 0;
+    const issues = [];
+    const recommendations = [];
+
+    if (!result.found) {
+      issues.push('sitemap.xml が見つかりません');
+      recommendations.push({
+        type: 'high',
+        title: 'XMLサイトマップを設置し robots.txt に登録する',
+        description: '検索エンジンがサイト内のURLを漏れなく発見できるよう、/sitemap.xml を設置して robots.txt に Sitemap: 行を追加してください。',
+        codeExample: `# robots.txt\nSitemap: ${result.origin || 'https://example.com'}/sitemap.xml`,
+        docLink: 'https://developers.google.com/search/docs/crawling-indexing/sitemaps/build-sitemap?hl=ja',
+      });
+      result.score = 0;
+      result.issues = issues;
+      result.recommendations = recommendations;
+      return;
+    }
+
+    // ----- 存在 (30点) -----
+    score += 30;
+
+    // ----- robots.txt への登録 (10点) -----
+    if (result.discoveredVia === 'robots.txt') {
+      score += 10;
+    } else {
+      issues.push('robots.txt に Sitemap: ディレクティブがありません');
+      recommendations.push({
+        type: 'low',
+        title: 'robots.txt に Sitemap: 行を追加',
+        description: '既定パス以外の検索エンジンやクローラーにもサイトマップの場所を伝えられます。',
+        codeExample: `Sitemap: ${result.sitemapUrls[0] || `${result.origin}/sitemap.xml`}`,
+        docLink: 'https://developers.google.com/search/docs/crawling-indexing/sitemaps/build-sitemap?hl=ja#addsitemap',
+      });
+    }
+
+    // ----- 診断ページの掲載 (20点) -----
+    if (result.pageInSitemap === true) {
+      score += 20;
+    } else if (result.pageInSitemap === false) {
+      issues.push('このページがサイトマップに含まれていません');
+      recommendations.push({
+        type: 'medium',
+        title: 'このページの正規URLをサイトマップに追加',
+        description: 'インデックスさせたいページは canonical と同じURLでサイトマップに掲載してください。',
+        docLink: 'https://developers.google.com/search/docs/crawling-indexing/sitemaps/build-sitemap?hl=ja',
+      });
+    } else {
+      score += 10; // 上限打ち切りで判定不能
+    }
+
+    // ----- lastmod (10点) -----
+    if (result.invalidLastmod.count === 0) {
+      score += 10;
+    } else {
+      issues.push(`サイトマップの${result.invalidLastmod.count}件のURLでlastmodの日付形式が不正です`);
+      recommendations.push({
+        type: 'low',
+        title: 'lastmod を W3C Datetime 形式にする',
+        description: 'lastmod は YYYY-MM-DD または YYYY-MM-DDThh:mm:ss+09:00 形式で、実際の更新日時を設定してください。未来日付は無視されます。',
+        codeExample: '<lastmod>2025-01-15T09:00:00+09:00</lastmod>',
+        docLink: 'https://www.sitemaps.org/protocol.html#lastmoddef',
+      });
+    }
+
+    // ----- 正規URLのみ (10点) -----
+    if (result.nonCanonicalUrls.count === 0) {
+      score += 10;
+    } else {
+      issues.push(`サイトマップの${result.nonCanonicalUrls.count}件のURLが正規URLではありません`);
+      recommendations.push({
+        type: 'medium',
+        title: 'サイトマップには正規URLのみを掲載',
+        description: '別プロトコル/別ホストのURL、フラグメント付き、トラッキングパラメータ付き、canonical が別URLを指すページは除外してください。',
+        docLink: 'https://developers.google.com/search/docs/crawling-indexing/consolidate-duplicate-urls?hl=ja',
+      });
+    }
+
+    // ----- robots.txt との矛盾 (10点) -----
+    if (result.disallowedUrls.count === 0) {
+      score += 10;
+    } else {
+      issues.push(`サイトマップの${result.disallowedUrls.count}件のURLがrobots.txtでブロックされています`);
+      recommendations.push({
+        type: 'high',
+        title: 'robots.txt でブロックしたURLをサイトマップから除外',
+        description: 'クロールを禁止したURLをサイトマップに載せると、検索エンジンに矛盾したシグナルを送ることになります。',
+        docLink: 'https://developers.google.com/search/docs/crawling-indexing/robots/intro?hl=ja',
+      });
+    }
+
+    // ----- 取得/解析エラーなし (10点) -----
+    const broken = result.sitemaps.filter(s => s.error);
+    if (broken.length > 0) {
+      issues.push(`${broken.length}件のサイトマップの取得または解析に失敗しました`);
+      recommendations.push({
+        type: 'medium',
+        title: '壊れたサイトマップを修正',
+        description: `取得/解析に失敗: ${broken.map(s => s.url).slice(0, 3).join(', ')}`,
+        docLink: 'https://www.sitemaps.org/protocol.html',
+      });
+    } else {
+      score += 10;
+    }
+
+    result.score = Math.min(100, Math.max(0, score));
+    result.issues = issues;
+    result.recommendations = recommendations;
+  }
+}
+
+module.exports = SitemapChecker;
@@ -0,0 +1,487 @@
+/**
+ * Phase 3-G: SNSシェア用メタデータ（Open Graph / Twitterカード）のチェック
+ *
+ * 仕様: https://ogp.me/ / https://developer.x.com/en/docs/x-for-websites/cards/overview/markup
+ *
+ * このモジュールは以下をチェックする:
+ *  - 必須の OG プロパティ（og:title / og:type / og:image / og:url）と og:description
+ *  - twitter:card の有無と値（twitter:title 等は og:* で代替されるため必須にしない）
+ *  - og:image の実寸・アスペクト比・ファイルサイズ
+ *    （og:image:width/height が無ければ Range 付き GET で先頭だけ取得し、ヘッダーから読む）
+ *  - og:title / og:description と <title> / meta description の食い違い
+ *
+ * あわせて LINE / X / Facebook でリンクカードがどう見えるかのデータモデル（previews）を返す。
+ * 各プラットフォームの表示ルールは非公開のため、切り詰め文字数などは実機観察に基づく目安。
+ *
+ * @example
+ *   const SocialMetadataChecker = require('./social-metadata-checker');
+ *   const result = await new SocialMetadataChecker().check({ url, $, title, description });
+ *   // result.og, result.twitter, result.image, result.previews.line / .x / .facebook, ...
+ */
+
+const axios = require('axios');
+const OutboundGuard = require('./outbound-guard');
+
+const USER_AGENT = 'SEO-AIO-Doctor/1.3 (+https://seo-checker-tool.onrender.com/)';
+const REQUIRED_OG = ['og:title', 'og:type', 'og:image', 'og:url'];
+const TWITTER_CARD_TYPES = new Set(['summary', 'summary_large_image', 'app', 'player']);
+// Facebook / LINE の推奨は 1200×630（1.91:1）。大きい画像カードになる最低ラインは 600×315
+const RECOMMENDED_RATIO = 1.91;
+const MIN_LARGE_WIDTH = 600;
+const MIN_LARGE_HEIGHT = 315;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024; // X の上限（Facebook は 8MB）
+// 画像ヘッダーを読むために取得する先頭バイト数
+const IMAGE_HEAD_BYTES = 65536;
+
+// プラットフォーム別の表示ルール（全角換算の文字数）
+const PLATFORM_RULES = {
+  line: { label: 'LINE', titleMax: 40, descriptionMax: 60, showsDescription: true, largeImageRatio: 1.91 },
+  x: { label: 'X', titleMax: 35, descriptionMax: 0, showsDescription: false, largeImageRatio: 2 },
+  facebook: { label: 'Facebook', titleMax: 44, descriptionMax: 55, showsDescription: true, largeImageRatio: 1.91 },
+};
+
+const PENALTIES = {
+  ogMissing: { 'og:title': 15, 'og:type': 5, 'og:image': 20, 'og:url': 10 },
+  ogDescription: 10,
+  twitterCard: 10,
+  twitterCardInvalid: 10,
+  imageRelative: 5,
+  imageUnreachable: 20,
+  imageSmall: 10,
+  imageAspect: 5,
+  imageHeavy: 5,
+  titleMismatch: 5,
+  descriptionMismatch: 5,
+};
+
+const OGP_DOC = 'https://ogp.me/';
+const X_CARD_DOC = 'https://developer.x.com/en/docs/x-for-websites/cards/overview/markup';
+const FB_IMAGE_DOC = 'https://developers.facebook.com/docs/sharing/webmasters/images';
+
+class SocialMetadataChecker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - og:image 取得のタイムアウト
+   * @param {Function} [options.measure] - 表示幅の計測関数（SEOChecker.calculateFullWidthLength を渡す）
+   * @param {Function} [options.imageProbeImpl] - テスト注入用。(url) => Promise<{ statusCode, headers, body }>
+   * @param {OutboundGuard} [options.outboundGuard] - Phase 3-M: 宛先の検査（既定は共有インスタンス）
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || 5000;
+    this.measure = options.measure || ((text) => String(text || '').length);
+    this.imageProbeImpl = options.imageProbeImpl || null;
+    this.outboundGuard = options.outboundGuard || OutboundGuard.shared();
+  }
+
+  /**
+   * メインのチェック関数
+   * @param {Object} input
+   * @param {string|null} input.url - ページURL（HTML直接入力時は null）
+   * @param {Function} input.$ - cheerio
+   * @param {string} [input.title] - <title> の値
+   * @param {string} [input.description] - meta description の値
+   * @returns {Promise<Object>} チェック結果
+   */
+  async check({ url = null, $, title = '', description = '' }) {
+    const og = this._readMeta($, 'property', 'og:');
+    const twitter = this._readMeta($, 'name', 'twitter:');
+    const result = {
+      og,
+      twitter,
+      image: null,
+      previews: null,
+      score: 100,
+      issues: [],
+      recommendations: [],
+    };
+
+    this._inspectRequired(result, og, twitter);
+    result.image = await this._inspectImage(result, og, twitter, url);
+    this._inspectConsistency(result, og, title, description);
+    result.previews = this.buildPreviews({ og, twitter, image: result.image, url, title, description });
+    return result;
+  }
+
+  /**
+   * LINE / X / Facebook のリンクカード表示モデルを組み立てる
+   * @returns {{ line: Object, x: Object, facebook: Object }}
+   */
+  buildPreviews({ og, twitter, image, url, title, description }) {
+    let domain = null;
+    try {
+      domain = new URL(og['og:url'] || url).host;
+    } catch (_) { /* HTML直接入力で og:url も無い */ }
+    const imageUrl = image ? (image.url || image.raw) : null;
+    const width = image && image.width;
+    const height = image && image.height;
+
+    const build = (platform, values) => {
+      const rules = PLATFORM_RULES[platform];
+      const t = this._truncate(values.title || '', rules.titleMax);
+      const d = rules.showsDescription ? this._truncate(values.description || '', rules.descriptionMax) : { text: null, truncated: false };
+      const warnings = [];
+      if (!values.title) warnings.push('タイトルが無いため、URLがそのまま表示されます');
+      if (!values.imageUrl) warnings.push('画像が無いため、画像なしのカードになります');
+      if (values.layout === 'summary' && values.imageUrl && platform !== 'x') {
+        warnings.push(`画像が ${MIN_LARGE_WIDTH}×${MIN_LARGE_HEIGHT} 未満のため、小さいサムネイル表示になります`);
+      }
+      return {
+        platform,
+        label: rules.label,
+        layout: values.layout,
+        aspectRatio: values.layout === 'large' ? rules.largeImageRatio : 1,
+        imageUrl: values.imageUrl || null,
+        title: t.text || null,
+        description: d.text || null,
+        domain: platform === 'facebook' && domain ? domain.toUpperCase() : domain,
+        siteName: og['og:site_name'] || null,
+        truncated: { title: t.truncated, description: d.truncated },
+        warnings,
+      };
+    };
+
+    // 実寸が分からない場合は大きい画像として扱う（各プラットフォームも宣言値を信じる）
+    const isLarge = !!imageUrl && !(width && height && (width < MIN_LARGE_WIDTH || height < MIN_LARGE_HEIGHT));
+    const ogValues = {
+      title: og['og:title'] || title,
+      description: og['og:description'] || description,
+      imageUrl,
+      layout: isLarge ? 'large' : 'summary',
+    };
+    const card = TWITTER_CARD_TYPES.has(twitter['twitter:card']) ? twitter['twitter:card'] : 'summary';
+    const xImage = twitter['twitter:image'] ? this._absolute(twitter['twitter:image'], url) : imageUrl;
+
+    return {
+      line: build('line', ogValues),
+      x: build('x', {
+        title: twitter['twitter:title'] || og['og:title'] || title,
+        description: null,
+        imageUrl: xImage,
+        layout: card === 'summary_large_image' && xImage ? 'large' : 'summary',
+      }),
+      facebook: build('facebook', ogValues),
+    };
+  }
+
+  /**
+   * 画像の先頭バイトから幅・高さを読む（PNG / GIF / JPEG / WebP）
+   * @param {Buffer} buf
+   * @returns {{ width: number, height: number, format: string }|null}
+   */
+  readImageSize(buf) {
+    if (!buf || buf.length < 24) return null;
+    if (buf.readUInt32BE(0) === 0x89504e47) {
+      return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20), format: 'png' };
+    }
+    if (buf.toString('ascii', 0, 4) === 'GIF8') {
+      return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8), format: 'gif' };
+    }
+    if (buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP' && buf.length >= 30) {
+      const chunk = buf.toString('ascii', 12, 16);
+      if (chunk === 'VP8 ') return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff, format: 'webp' };
+      if (chunk === 'VP8L') {
+        const b = buf.readUInt32LE(21);
+        return { width: (b & 0x3fff) + 1, height: ((b >> 14) & 0x3fff) + 1, format: 'webp' };
+      }
+      if (chunk === 'VP8X') return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1, format: 'webp' };
+      return null;
+    }
+    if (buf[0] === 0xff && buf[1] === 0xd8) {
+      let offset = 2;
+      while (offset + 9 < buf.length) {
+        if (buf[offset] !== 0xff) return null;
+        const marker = buf[offset + 1];
+        // SOF0〜SOF15（DHT / JPG / DAC を除く）に幅・高さがある
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+          return { width: buf.readUInt16BE(offset + 7), height: buf.readUInt16BE(offset + 5), format: 'jpeg' };
+        }
+        offset += 2 + buf.readUInt16BE(offset + 2);
+      }
+    }
+    return null;
+  }
+
+  /** @private */
+  _addIssue(result, penalty, issue, recommendation) {
+    result.score = Math.max(0, result.score - penalty);
+    result.issues.push(issue);
+    result.recommendations.push(recommendation);
+  }
+
+  /**
+   * og:* / twitter:* を { 'og:title': '...' } の形で読む（同じプロパティは最初の値）
+   * twitter:* は property 属性で書かれることも多いため両方見る
+   * @private
+   */
+  _readMeta($, attr, prefix) {
+    const values = {};
+    $(`meta[${attr}^="${prefix}"], meta[${attr === 'name' ? 'property' : 'name'}^="${prefix}"]`).each((i, el) => {
+      const key = ($(el).attr(attr) || $(el).attr(attr === 'name' ? 'property' : 'name') || '').trim().toLowerCase();
+      const content = ($(el).attr('content') || '').trim();
+      if (key && content && !(key in values)) values[key] = content;
+    });
+    return values;
+  }
+
+  /** @private */
+  _inspectRequired(result, og, twitter) {
+    for (const prop of REQUIRED_OG) {
+      if (og[prop]) continue;
+      this._addIssue(result, PENALTIES.ogMissing[prop], `${prop}が未設定です`, {
+        type: prop === 'og:image' || prop === 'og:title' ? 'high' : 'medium',
+        title: `${prop} を設定`,
+        description: prop === 'og:image'
+          ? '画像が無いと、LINE / X / Facebook でシェアされたときに画像なしの小さいカードになります。'
+          : 'SNSでシェアされたときのカード表示に使われます。',
+        codeExample: `<meta property="${prop}" content="${this._exampleContent(prop)}">`,
+        docLink: OGP_DOC,
+      });
+    }
+    if (!og['og:description']) {
+      this._addIssue(result, PENALTIES.ogDescription, 'og:descriptionが未設定です', {
+        type: 'medium',
+        title: 'og:description を設定',
+        description: 'LINE と Facebook のカードに説明文として表示されます。',
+        codeExample: `<meta property="og:description" content="${this._exampleContent('og:description')}">`,
+        docLink: OGP_DOC,
+      });
+    }
+
+    const card = twitter['twitter:card'];
+    if (!card) {
+      this._addIssue(result, PENALTIES.twitterCard, 'twitter:cardが未設定です', {
+        type: 'medium',
+        title: 'twitter:card を設定',
+        description: 'X（旧Twitter）でのカード形式を指定します。大きい画像で表示するには summary_large_image を指定してください。',
+        codeExample: '<meta name="twitter:card" content="summary_large_image">',
+        docLink: X_CARD_DOC,
+      });
+    } else if (!TWITTER_CARD_TYPES.has(card)) {
+      this._addIssue(result, PENALTIES.twitterCardInvalid, `twitter:cardの値が不正です（${card}）`, {
+        type: 'medium',
+        title: 'twitter:card に有効な値を指定',
+        description: `有効な値は ${[...TWITTER_CARD_TYPES].join(' / ')} です。`,
+        codeExample: '<meta name="twitter:card" content="summary_large_image">',
+        docLink: X_CARD_DOC,
+      });
+    }
+  }
+
+  /**
+   * og:image（無ければ twitter:image）の実寸・比率・容量
+   * @private
+   */
+  async _inspectImage(result, og, twitter, pageUrl) {
+    const raw = og['og:image'] || twitter['twitter:image'];
+    if (!raw) return null;
+
+    const image = {
+      raw,
+      url: this._absolute(raw, pageUrl),
+      declaredWidth: parseInt(og['og:image:width'], 10) || null,
+      declaredHeight: parseInt(og['og:image:height'], 10) || null,
+      width: null,
+      height: null,
+      format: null,
+      contentType: null,
+      bytes: null,
+      statusCode: null,
+      source: null, // 'meta' | 'fetch'
+      error: null,
+    };
+
+    if (!/^https?:\/\//i.test(raw)) {
+      this._addIssue(result, PENALTIES.imageRelative, 'og:imageが相対URLで指定されています', {
+        type: 'medium',
+        title: 'og:image は絶対URLで指定',
+        description: `"${raw}" のような相対URLは、多くのSNSで画像として読み込まれません。`,
+        codeExample: '<meta property="og:image" content="https://example.com/ogp.png">',
+        docLink: OGP_DOC,
+      });
+    }
+
+    if (image.declaredWidth && image.declaredHeight) {
+      image.width = image.declaredWidth;
+      image.height = image.declaredHeight;
+      image.source = 'meta';
+    }
+
+    // URL が無い（HTML直接入力の相対パス等）場合は取得しない
+    if (image.url && pageUrl) {
+      try {
+        const res = await this._probeImage(image.url);
+        image.statusCode = res.statusCode;
+        const headers = res.headers || {};
+        image.contentType = (headers['content-type'] || '').split(';')[0].trim() || null;
+        const total = String(headers['content-range'] || '').split('/')[1];
+        image.bytes = parseInt(total, 10) || (res.statusCode === 200 ? parseInt(headers['content-length'], 10) : null) || null;
+        if (res.statusCode >= 400) {
+          this._addIssue(result, PENALTIES.imageUnreachable, `og:imageの画像を取得できません（${res.statusCode}）`, {
+            type: 'high',
+            title: 'og:image に公開されている画像URLを指定',
+            description: `${image.url} が ${res.statusCode} を返すため、SNSのカードに画像が表示されません。`,
+            docLink: FB_IMAGE_DOC,
+          });
+          return image;
+        }
+        if (!image.width) {
+          const size = this.readImageSize(res.body);
+          if (size) Object.assign(image, size, { source: 'fetch' });
+        }
+      } catch (err) {
+        // 到達不能は判定不能として扱い、減点しない
+        image.error = (OutboundGuard.findBlockedError(err) || err).code || err.message;
+      }
+    }
+
+    if (image.width && image.height) {
+      if (image.width < MIN_LARGE_WIDTH || image.height < MIN_LARGE_HEIGHT) {
+        this._addIssue(result, PENALTIES.imageSmall, `og:imageの画像が小さすぎます（${image.width}×${image.height}）`, {
+          type: 'medium',
+          title: 'og:image は 1200×630 以上にする',
+          description: `${MIN_LARGE_WIDTH}×${MIN_LARGE_HEIGHT} 未満の画像は、Facebook や LINE で大きい画像のカードになりません。`,
+          docLink: FB_IMAGE_DOC,
+        });
+      }
+      const ratio = image.width / image.height;
+      if (Math.abs(ratio - RECOMMENDED_RATIO) / RECOMMENDED_RATIO > 0.15) {
+        this._addIssue(result, PENALTIES.imageAspect, `og:imageのアスペクト比が推奨（1.91:1）と異なります（${ratio.toFixed(2)}:1）`, {
+          type: 'low',
+          title: 'og:image のアスペクト比を 1.91:1 にする',
+          description: '比率が大きく異なると、各SNSで上下または左右が切り取られて表示されます。',
+          docLink: FB_IMAGE_DOC,
+        });
+      }
+    }
+    if (image.bytes && image.bytes > MAX_IMAGE_BYTES) {
+      this._addIssue(result, PENALTIES.imageHeavy, `og:imageのファイルサイズが大きすぎます（${(image.bytes / 1024 / 1024).toFixed(1)}MB）`, {
+        type: 'low',
+        title: 'og:image を 5MB 以下に圧縮',
+        description: 'X は 5MB を超える画像をカードに表示しません。',
+        docLink: X_CARD_DOC,
+      });
+    }
+    return image;
+  }
+
+  /**
+   * og:title / og:description が <title> / meta description と大きく異なるか
+   * サイト名の付け外し程度の違い（一方が他方を含む）は許容する
+   * @private
+   */
+  _inspectConsistency(result, og, title, description) {
+    if (og['og:title'] && title && this._isDifferent(og['og:title'], title)) {
+      this._addIssue(result, PENALTIES.titleMismatch, 'og:titleがtitleタグと大きく異なります', {
+        type: 'low',
+        title: 'og:title をページのタイトルと揃える',
+        description: `title: "${title}" / og:title: "${og['og:title']}"。別ページのテンプレート値が残っていないか確認してください。`,
+        docLink: OGP_DOC,
+      });
+    }
+    if (og['og:description'] && description && this._isDifferent(og['og:description'], description)) {
+      this._addIssue(result, PENALTIES.descriptionMismatch, 'og:descriptionがmeta descriptionと大きく異なります', {
+        type: 'low',
+        title: 'og:description をメタディスクリプションと揃える',
+        description: 'サイト共通の説明文が全ページに入っていないか確認してください。',
+        docLink: OGP_DOC,
+      });
+    }
+  }
+
+  /**
+   * 文字バイグラムの Dice 係数で類似度を測る
+   * @private
+   */
+  _isDifferent(a, b) {
+    const norm = (s) => s.toLowerCase().replace(/[\s\u3000|｜\-–—:：・、。,.!！?？「」『』()（）]/g, '');
+    const x = norm(a);
+    const y = norm(b);
+    if (!x || !y || x.includes(y) || y.includes(x)) return false;
+    const bigrams = (s) => {
+      const set = new Map();
+      for (let i = 0; i < s.length - 1; i++) {
+        const g = s.slice(i, i + 2);
+        set.set(g, (set.get(g) || 0) + 1);
+      }
+      return set;
+    };
+    const bx = bigrams(x);
+    const by = bigrams(y);
+    let overlap = 0;
+    for (const [g, n] of bx) overlap += Math.min(n, by.get(g) || 0);
+    const dice = (2 * overlap) / Math.max(1, (x.length - 1) + (y.length - 1));
+    return dice < 0.3;
+  }
+
+  /**
+   * 全角換算で max 文字に切り詰める
+   * @private
+   */
+  _truncate(text, max) {
+    if (!text || max <= 0) return { text: null, truncated: false };
+    if (this.measure(text) <= max) return { text, truncated: false };
+    let out = '';
+    for (const ch of text) {
+      if (this.measure(out + ch) > max - 1) break;
+      out += ch;
+    }
+    return { text: `${out}…`, truncated: true };
+  }
+
+  /** @private */
+  _absolute(value, base) {
+    try {
+      return base ? new URL(value, base).toString() : new URL(value).toString();
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /** @private */
+  _exampleContent(prop) {
+    return {
+      'og:title': 'ページのタイトル',
+      'og:type': 'website',
+      'og:image': 'https://example.com/ogp.png',
+      'og:url': 'https://example.com/page',
+      'og:description': 'ページの説明文',
+    }[prop];
+  }
+
+  /**
+   * 画像の先頭だけ取得（Range 非対応サーバーでも IMAGE_HEAD_BYTES で打ち切る）
+   * @private
+   */
+  async _probeImage(url) {
+    if (this.imageProbeImpl) return this.imageProbeImpl(url);
+    this.outboundGuard.assertUrlAllowed(url);
+    const res = await axios.get(url, {
+      ...this.outboundGuard.axiosOptions(),
+      timeout: this.timeout,
+      maxRedirects: 5,
+      validateStatus: () => true,
+      responseType: 'stream',
+      headers: { 'User-Agent': USER_AGENT, 'Range': `bytes=0-${IMAGE_HEAD_BYTES - 1}`, 'Accept': 'image/*' },
+    });
+    const chunks = [];
+    let received = 0;
+    await new Promise((resolve) => {
+      const stream = res.data;
+      if (!stream || typeof stream.on !== 'function') return resolve();
+      stream.on('data', (chunk) => {
+        chunks.push(chunk);
+        received += chunk.length;
+        if (received >= IMAGE_HEAD_BYTES) {
+          stream.destroy();
+          resolve();
+        }
+      });
+      stream.on('end', resolve);
+      stream.on('error', resolve);
+      stream.on('close', resolve);
+    });
+    return { statusCode: res.status, headers: res.headers, body: Buffer.concat(chunks).subarray(0, IMAGE_HEAD_BYTES) };
+  }
+}
+
+module.exports = SocialMetadataChecker;
@@ -0,0 +1,410 @@
+/**
+ * Phase 3-W: 狙うキーワード（targetKeywords）の最適化チェック
+ *
+ * どのチェックも、ページがどの検索語で上位を狙っているかを知らなかった。
+ * /api/check/seo の targetKeywords（最大5語）を受け取り、キーワードごとに次を確認する:
+ *  - タイトル（含まれるか・前半にあるか）・メタディスクリプション・H1・H2・URL のパス・最初の段落
+ *  - 画像の alt 属性とリンクのアンカーテキストに含まれる数
+ *  - 本文での出現回数と出現率（文字数の比。日本語は単語の区切りが無いため、英語も同じ数え方にする。短いページの出現率は判定しない）
+ *  - 詰め込みすぎ（出現率が高すぎる・タイトルで繰り返す・alt / アンカーテキストの多くに使う）
+ *
+ * 照合は表記の揺れを同じものとして扱う（normalize）:
+ *  - 全角 / 半角（NFKC。半角カナ・全角英数字も含む）と英字の大文字 / 小文字
+ *  - ひらがな / カタカナ（ひらがなに寄せる）
+ *  - 旧字体・異体字（髙→高、﨑→崎、澤→沢 など）
+ *  - 漢字とかなの書き分けがよくある語（子供 / 子ども / こども、出来る / できる など。VARIANT_GROUPS）
+ *  - 空白の有無（「SEO 対策」と「SEO対策」）
+ * 読みの辞書は持たないため、上の表に無い漢字とかなの書き分け（林檎 / りんご 等）は別の語として扱う。
+ *
+ * @example
+ *   const checker = new TargetKeywordChecker();
+ *   const keywords = checker.parseKeywords('SEO対策, ホームページ 制作');
+ *   const result = checker.check({ url, $, keywords });
+ *   // result.score, result.keywords[0].title.position, result.issues, result.recommendations
+ */
+
+const DEFAULT_OPTIONS = Object.freeze({
+  maxKeywords: 5,
+  maxKeywordLength: 50,
+  // 本文の出現率（%）がこれを超えたら詰め込みすぎ。本文が densityMinLength 文字未満なら判定しない
+  maxDensity: 3,
+  densityMinLength: 300,
+  // alt / アンカーテキストの詰め込みとみなす件数と割合
+  stuffingMinCount: 4,
+  stuffingRatio: 0.5,
+});
+
+const PENALTIES = {
+  title: 25,
+  titlePosition: 5,
+  metaDescription: 15,
+  h1: 20,
+  h2: 5,
+  urlSlug: 5,
+  firstParagraph: 10,
+  imageAlts: 5,
+  body: 15,
+  density: 15,
+  titleRepeated: 10,
+  altStuffing: 10,
+  anchorStuffing: 5,
+};
+
+// 旧字体・異体字 → 常用の字形（NFKC で寄らないもの）
+const KANJI_VARIANTS = Object.freeze({
+  '髙': '高', '﨑': '崎', '嵜': '崎', '邊': '辺', '邉': '辺', '澤': '沢', '濱': '浜', '齋': '斎', '齊': '斉',
+  '國': '国', '嶋': '島', '嶌': '島', '廣': '広', '櫻': '桜', '眞': '真', '實': '実', '壽': '寿', '學': '学',
+  '會': '会', '與': '与', '氣': '気', '圓': '円', '縣': '県', '濵': '浜', '榮': '栄', '惠': '恵', '德': '徳',
+  '晝': '昼', '藝': '芸', '舊': '旧', '體': '体', '鐵': '鉄', '驛': '駅', '醫': '医', '藥': '薬', '對': '対',
+});
+
+// 漢字とかなの書き分けがよくある語（ひらがなに寄せた後の表記 → 代表の表記）
+const VARIANT_GROUPS = [
+  ['こども', '子供', '子ども'],
+  ['できる', '出来る'],
+  ['できます', '出来ます'],
+  ['ください', '下さい'],
+  ['いただく', '頂く'],
+  ['いただき', '頂き'],
+  ['いたします', '致します'],
+  ['よろしく', '宜しく'],
+  ['すべて', '全て'],
+  ['たくさん', '沢山'],
+  ['さまざま', '様々'],
+  ['あらかじめ', '予め'],
+  ['または', '又は'],
+  ['および', '及び'],
+  ['さらに', '更に'],
+  ['ほとんど', '殆ど'],
+  ['すでに', '既に'],
+  ['おすすめ', 'お勧め', 'お薦め'],
+  ['めがね', '眼鏡'],
+  ['ふとん', '布団'],
+  ['たまご', '卵', '玉子'],
+  ['ねこ', '猫'],
+];
+
+class TargetKeywordChecker {
+  /**
+   * @param {Object} [options] - DEFAULT_OPTIONS の上書き
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS };
+    for (const key of Object.keys(DEFAULT_OPTIONS)) {
+      if (Number.isFinite(Number(options[key])) && Number(options[key]) > 0) this.options[key] = Number(options[key]);
+    }
+  }
+
+  /**
+   * targetKeywords の入力（配列、またはカンマ・読点・改行区切りの文字列）をキーワードの配列にする。
+   * 表記の揺れだけが違う語は1つにまとめる。誤りは code 付きの Error（status 400）
+   * @returns {string[]} 未指定なら空配列
+   */
+  parseKeywords(input) {
+    if (input === undefined || input === null || input === '') return [];
+    const list = typeof input === 'string' ? input.split(/[,，、\n]/) : input;
+    if (!Array.isArray(list) || !list.every(keyword => typeof keyword === 'string')) {
+      throw keywordError('targetKeywords は文字列の配列、またはカンマ区切りの文字列で指定してください');
+    }
+    const keywords = [];
+    const seen = new Set();
+    for (const raw of list) {
+      const keyword = raw.trim().replace(/\s+/g, ' ');
+      if (!keyword) continue;
+      if (keyword.length > this.options.maxKeywordLength) {
+        throw keywordError(`targetKeywords の各キーワードは ${this.options.maxKeywordLength} 文字以内で指定してください: ${keyword}`);
+      }
+      const normalized = TargetKeywordChecker.normalize(keyword);
+      if (!normalized || seen.has(normalized)) continue;
+      seen.add(normalized);
+      keywords.push(keyword);
+    }
+    if (keywords.length > this.options.maxKeywords) {
+      throw keywordError(`targetKeywords は ${this.options.maxKeywords} 個までです`);
+    }
+    return keywords;
+  }
+
+  /**
+   * メインのチェック関数
+   * @param {Object} input
+   * @param {string|null} input.url - ページURL（HTML直接入力時は null。URL のパスは確認しない）
+   * @param {Function} input.$ - cheerio
+   * @param {string[]} input.keywords - parseKeywords 済みのキーワード
+   * @returns {Object} チェック結果（score はキーワードごとの点の平均）
+   */
+  check({ url = null, $, keywords }) {
+    const page = this.readPage($, url);
+    const result = { keywords: [], score: 100, issues: [], recommendations: [] };
+    for (const keyword of keywords) {
+      result.keywords.push(this.checkKeyword(keyword, page, result));
+    }
+    if (result.keywords.length > 0) {
+      result.score = Math.round(result.keywords.reduce((sum, k) => sum + k.score, 0) / result.keywords.length);
+    }
+    return result;
+  }
+
+  /**
+   * 照合に使うページの各部分（normalize 済み）
+   * @private
+   */
+  readPage($, url) {
+    const texts = selector => $(selector).map((i, el) => $(el).text()).get();
+    const body = $('body').clone();
+    body.find('script, style, noscript, template').remove();
+
+    return {
+      title: TargetKeywordChecker.normalize($('title').first().text()),
+      metaDescription: TargetKeywordChecker.normalize($('meta[name="description"]').attr('content') || ''),
+      h1: texts('h1').map(TargetKeywordChecker.normalize),
+      h2: texts('h2').map(TargetKeywordChecker.normalize),
+      urlSlug: readSlug(url),
+      firstParagraph: TargetKeywordChecker.normalize(findFirstParagraph($)),
+      imageAlts: $('img').map((i, el) => TargetKeywordChecker.normalize($(el).attr('alt') || '')).get(),
+      anchorTexts: texts('a[href]').map(TargetKeywordChecker.normalize).filter(Boolean),
+      body: TargetKeywordChecker.normalize(body.text()),
+    };
+  }
+
+  /**
+   * キーワード1つ分の確認。見つかった問題は result（カテゴリ全体）に積む
+   * @private
+   */
+  checkKeyword(keyword, page, result) {
+    const needle = TargetKeywordChecker.normalize(keyword);
+    const { maxDensity, densityMinLength, stuffingMinCount, stuffingRatio } = this.options;
+    let score = 100;
+    const add = (penalty, issue, recommendation) => {
+      score -= penalty;
+      result.issues.push(issue);
+      result.recommendations.push(recommendation);
+    };
+    const quoted = `「${keyword}」`;
+
+    const titleCount = countOccurrences(page.title, needle);
+    const titlePosition = titleCount > 0 ? page.title.indexOf(needle) : null;
+    const title = {
+      found: titleCount > 0,
+      count: titleCount,
+      position: titlePosition,
+      inFirstHalf: titlePosition !== null && titlePosition < page.title.length / 2,
+    };
+    const metaDescription = { found: page.metaDescription.includes(needle) };
+    const h1 = { matching: page.h1.filter(text => text.includes(needle)).length, total: page.h1.length };
+    const h2 = { matching: page.h2.filter(text => text.includes(needle)).length, total: page.h2.length };
+    const urlSlug = {
+      applicable: isSlugApplicable(page.urlSlug, needle),
+      found: page.urlSlug !== null && page.urlSlug.replace(/[-_./+]/g, '').includes(needle.replace(/[-_./+]/g, '')),
+    };
+    const firstParagraph = { found: page.firstParagraph.includes(needle) };
+    const imageAlts = { matching: page.imageAlts.filter(alt => alt.includes(needle)).length, total: page.imageAlts.length };
+    const anchorTexts = { matching: page.anchorTexts.filter(text => text.includes(needle)).length, total: page.anchorTexts.length };
+    const occurrences = countOccurrences(page.body, needle);
+    const density = page.body.length > 0 ? round1(occurrences * needle.length / page.body.length * 100) : 0;
+    const tooDense = density > maxDensity && page.body.length >= densityMinLength;
+
+    if (!title.found) {
+      add(PENALTIES.title, `タイトルに${quoted}が含まれていません`, {
+        type: 'high',
+        title: `タイトルに${quoted}を入れる`,
+        description: '検索結果で最も目立ち、順位にも強く影響する場所です。なるべく前半に入れてください。',
+        codeExample: `<title>${escapeHtml(keyword)}｜サイト名</title>`,
+      });
+    } else if (!title.inFirstHalf) {
+      add(PENALTIES.titlePosition, `タイトルの後半に${quoted}があります`, {
+        type: 'low',
+        title: `${quoted}をタイトルの前半に移す`,
+        description: '検索結果では長いタイトルの後半が切り捨てられます。',
+      });
+    }
+    if (!metaDescription.found) {
+      add(PENALTIES.metaDescription, `メタディスクリプションに${quoted}が含まれていません`, {
+        type: 'medium',
+        title: `メタディスクリプションに${quoted}を入れる`,
+        description: '検索語と一致した部分は検索結果で太字になり、クリックされやすくなります。',
+        codeExample: `<meta name="description" content="${escapeHtml(keyword)}について…">`,
+      });
+    }
+    if (h1.matching === 0) {
+      add(PENALTIES.h1, `H1に${quoted}が含まれていません`, {
+        type: 'high',
+        title: `H1に${quoted}を入れる`,
+        description: 'ページの主題を表す見出しです。タイトルと同じキーワードを含めてください。',
+        codeExample: `<h1>${escapeHtml(keyword)}とは</h1>`,
+      });
+    }
+    if (h2.total > 0 && h2.matching === 0) {
+      add(PENALTIES.h2, `H2に${quoted}が含まれていません`, {
+        type: 'low',
+        title: `H2の1つに${quoted}か関連語を入れる`,
+        description: '見出しにキーワードがあると、ページの構成が検索語と結び付きます。',
+      });
+    }
+    if (urlSlug.applicable && !urlSlug.found) {
+      add(PENALTIES.urlSlug, `URLに${quoted}が含まれていません`, {
+        type: 'low',
+        title: `URLのパスに${quoted}を表す語を入れる`,
+        description: '公開済みのページは URL を変えず、新しいページから意識してください（変える場合は 301 リダイレクトが必要です）。',
+      });
+    }
+    if (!firstParagraph.found) {
+      add(PENALTIES.firstParagraph, `最初の段落に${quoted}が含まれていません`, {
+        type: 'medium',
+        title: `冒頭の段落で${quoted}に触れる`,
+        description: '最初の段落は検索エンジンと AI がページの要約に使いやすい部分です。',
+      });
+    }
+    if (imageAlts.total > 0 && imageAlts.matching === 0) {
+      add(PENALTIES.imageAlts, `画像のalt属性に${quoted}が含まれていません`, {
+        type: 'low',
+        title: `主な画像の alt に${quoted}を含める`,
+        description: '画像の内容を説明する文の中で、自然に使える画像だけにしてください。',
+      });
+    }
+    if (occurrences === 0) {
+      add(PENALTIES.body, `本文に${quoted}が含まれていません`, {
+        type: 'high',
+        title: `本文で${quoted}を扱う`,
+        description: 'キーワードが本文に無いページは、その検索語の答えになっていると判断されにくくなります。',
+      });
+    }
+
+    // 詰め込みすぎ
+    if (tooDense) {
+      add(PENALTIES.density, `${quoted}の出現率が高すぎます（${density}%）`, {
+        type: 'medium',
+        title: `${quoted}の繰り返しを減らす`,
+        description: `出現率が ${maxDensity}% を超えています。言い換え・代名詞・関連語に置き換えてください。`,
+      });
+    }
+    if (title.count >= 2) {
+      add(PENALTIES.titleRepeated, `タイトルに${quoted}が繰り返されています（${title.count}回）`, {
+        type: 'medium',
+        title: `タイトルの${quoted}を1回にする`,
+        description: '同じ語の繰り返しはキーワードの詰め込みとみなされることがあります。',
+      });
+    }
+    if (imageAlts.matching >= stuffingMinCount && imageAlts.matching / imageAlts.total > stuffingRatio) {
+      add(PENALTIES.altStuffing, `画像のalt属性の多くに${quoted}が使われています（${imageAlts.matching}/${imageAlts.total}件）`, {
+        type: 'medium',
+        title: `alt 属性を画像ごとの説明にする`,
+        description: 'どの画像にも同じキーワードを入れると、詰め込みとみなされることがあります。',
+      });
+    }
+    if (anchorTexts.matching >= stuffingMinCount && anchorTexts.matching / anchorTexts.total > stuffingRatio) {
+      add(PENALTIES.anchorStuffing, `アンカーテキストの多くに${quoted}が使われています（${anchorTexts.matching}/${anchorTexts.total}件）`, {
+        type: 'low',
+        title: 'リンク先の内容が分かるアンカーテキストにする',
+        description: '別のページへのリンクに同じキーワードを使うと、どのページがその語の答えなのか伝わりにくくなります。',
+      });
+    }
+
+    return {
+      keyword,
+      normalized: needle,
+      score: Math.max(0, score),
+      title,
+      metaDescription,
+      h1,
+      h2,
+      urlSlug,
+      firstParagraph,
+      imageAlts,
+      anchorTexts,
+      body: { occurrences, density },
+      overOptimized: tooDense || title.count >= 2,
+    };
+  }
+
+  /**
+   * 照合用に表記の揺れを寄せる（全角 / 半角・大文字 / 小文字・カタカナ / ひらがな・旧字体・書き分け・空白）
+   * @param {string} text
+   * @returns {string}
+   */
+  static normalize(text) {
+    let normalized = String(text || '').normalize('NFKC').toLowerCase();
+    normalized = normalized.replace(/[ァ-ヶ]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60));
+    normalized = normalized.replace(KANJI_VARIANT_PATTERN, ch => KANJI_VARIANTS[ch]);
+    normalized = normalized.replace(VARIANT_PATTERN, word => VARIANT_CANONICAL.get(word));
+    return normalized.replace(/\s+/g, '');
+  }
+}
+
+const KANJI_VARIANT_PATTERN = new RegExp(`[${Object.keys(KANJI_VARIANTS).join('')}]`, 'g');
+
+// 書き分けの表記（カタカナはひらがなに寄せた形）→ 代表の表記。長い表記から先に置き換える
+const VARIANT_CANONICAL = new Map();
+for (const [canonical, ...variants] of VARIANT_GROUPS) {
+  for (const variant of variants) {
+    VARIANT_CANONICAL.set(variant.replace(/[ァ-ヶ]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60)), canonical);
+  }
+}
+const VARIANT_PATTERN = new RegExp(
+  [...VARIANT_CANONICAL.keys()].sort((a, b) => b.length - a.length).join('|'),
+  'g'
+);
+
+// 重ならない出現回数
+function countOccurrences(haystack, needle) {
+  if (!needle) return 0;
+  let count = 0;
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    count++;
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+  return count;
+}
+
+// 最初の段落（main / article の中を優先。短い p は飛ばし、p が無ければ本文の先頭）
+function findFirstParagraph($) {
+  const MIN_LENGTH = 20;
+  for (const scope of ['main p, article p', 'body p']) {
+    const found = $(scope).toArray().map(el => $(el).text().trim()).find(text => text.length >= MIN_LENGTH);
+    if (found) return found;
+  }
+  const body = $('body').clone();
+  body.find('script, style, noscript, template, header, nav').remove();
+  return body.text().trim().slice(0, 200);
+}
+
+// URL のパス（トップページ・HTML直接入力は null）
+function readSlug(url) {
+  if (!url) return null;
+  try {
+    const { pathname } = new URL(url);
+    if (pathname === '/' || pathname === '') return null;
+    let decoded = pathname;
+    try { decoded = decodeURIComponent(pathname); } catch (_) { /* 不正なエスケープはそのまま */ }
+    return TargetKeywordChecker.normalize(decoded);
+  } catch (_) {
+    return null;
+  }
+}
+
+// 英数字のパスに日本語のキーワードは入れられない（ローマ字化は推測しない）
+function isSlugApplicable(slug, needle) {
+  if (slug === null) return false;
+  const asciiOnly = value => /^[\x00-\x7f]*$/.test(value);
+  return asciiOnly(needle) || !asciiOnly(slug);
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+}
+
+function keywordError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_TARGET_KEYWORDS';
+  err.status = 400;
+  return err;
+}
+
+module.exports = TargetKeywordChecker;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+module.exports.VARIANT_GROUPS = VARIANT_GROUPS;
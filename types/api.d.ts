@@ -27,7 +27,346 @@ export interface AnalysisHistoryRecord {
   overallScore?: number;
   aioOverallScore?: number;
   combinedScore?: number;
+  /** Phase 3-R: カテゴリ別の推移用 */
+  normalizedUrl?: string | null;
+  categoryScores?: { seo?: Record<string, number>; aio?: Record<string, number> };
+  issueCounts?: Partial<Record<'critical' | 'high' | 'medium' | 'low', number>>;
+  pageType?: string | null;
+  /** Phase 3-S: 差分用 */
+  issues?: RunIssue[];
+  values?: Partial<Record<'title' | 'metaDescription' | 'h1' | 'canonical' | 'ogTitle' | 'ogDescription' | 'ogImage', string | null>>;
+  jsonLdTypes?: string[];
   sessionId?: string | null;
   userId?: string | null;
   createdAt?: Date;
 }
+
+/** Phase 3-R: GET /api/history/trend */
+export interface ScoreTrendPoint {
+  at: string;
+  value: number;
+  movingAverage: number;
+}
+
+export interface ScoreTrendSeries {
+  /** overallScore / seo.titleTag / aio.credibilitySignals / issues.critical など */
+  key: string;
+  group: 'total' | 'seo' | 'aio' | 'issues';
+  category: string | null;
+  label: string;
+  points: ScoreTrendPoint[];
+  latest: number;
+  change: number;
+  min: number;
+  max: number;
+}
+
+export interface ScoreTrendChange {
+  key: string;
+  group: 'total' | 'seo' | 'aio';
+  category: string | null;
+  label: string;
+  from: { at: string; value: number };
+  to: { at: string; value: number };
+  delta: number;
+}
+
+export interface ScoreTrend {
+  url: string;
+  normalizedUrl: string;
+  match: 'exact' | 'normalized';
+  window: number;
+  count: number;
+  from: string | null;
+  to: string | null;
+  runs: Array<{ id: string | null; at: string; url: string | null; waitForJS: boolean; pageType: string | null }>;
+  series: ScoreTrendSeries[];
+  largestChanges: ScoreTrendChange[];
+  pageTypeChanges: Array<{ at: string; from: string; to: string }>;
+}
+
+export type AnalysisJobStatus = 'queued' | 'running' | 'succeeded' | 'failed' | 'cancelled';
+
+export interface AnalysisJobView<T = unknown> {
+  id: string;
+  type: 'seo' | 'compare' | 'batch';
+  status: AnalysisJobStatus;
+  stage: string | null;
+  cancelRequested: boolean;
+  attempts: number;
+  createdAt: Date | null;
+  startedAt: Date | null;
+  finishedAt: Date | null;
+  result: T | null;
+  error: { message: string; code?: string } | null;
+  /** API キーなしで登録したときの 202 のみ。取得・取り消しに ?token= / X-Job-Token で渡す */
+  accessToken?: string;
+}
+
+/** Phase 3-S: /api/history/diff */
+export interface RunIssue {
+  /** SARIF の ruleId と同じ（seo/titleTag/title_length 等） */
+  ruleId: string;
+  type: 'seo' | 'aio';
+  category: string;
+  priority: 'critical' | 'high' | 'medium' | 'low' | null;
+  issue: string;
+}
+
+export interface RunDiffResult {
+  from: { id: string | null; at: string | null; url: string | null; pageType: string | null };
+  to: { id: string | null; at: string | null; url: string | null; pageType: string | null };
+  /** POST（今回の診断と比較）のとき true */
+  fresh?: boolean;
+  scores: Array<{
+    key: string;
+    group: 'total' | 'seo' | 'aio';
+    category: string | null;
+    label: string;
+    before: number | null;
+    after: number | null;
+    delta: number | null;
+  }>;
+  /** 問題の一覧を保存する前の履歴と比べたときは null */
+  issues: {
+    added: RunIssue[];
+    resolved: RunIssue[];
+    changed: Array<Omit<RunIssue, 'issue'> & { before: string[]; after: string[] }>;
+    unchangedCount: number;
+  } | null;
+  values: Array<{ field: string; label: string; before: string | null; after: string | null }> | null;
+  jsonLdTypes: { added: string[]; removed: string[] } | null;
+  warnings: Array<{ code: 'RUN_WITHOUT_DETAILS' | 'PAGE_TYPE_CHANGED'; message: string }>;
+}
+
+/** Phase 3-T: /api/monitors */
+export type MonitorSchedule = 'hourly' | 'daily' | 'weekly';
+
+export type MonitorRule =
+  | { type: 'score_drop' | 'score_below'; metric: string; threshold: number; severity?: MonitorAlertSeverity }
+  | { type: 'ai_crawler_blocked'; userAgent?: string; severity?: MonitorAlertSeverity }
+  | { type: 'noindex_added' | 'llms_txt_removed' | 'check_failed'; severity?: MonitorAlertSeverity };
+
+export type MonitorAlertSeverity = 'critical' | 'warning' | 'info';
+
+export interface MonitorAlert {
+  type: MonitorRule['type'];
+  severity: MonitorAlertSeverity;
+  message: string;
+  at: string;
+  metric?: string;
+  before?: number | null;
+  after?: number | null;
+  userAgents?: string[];
+  code?: string;
+  /** Webhook に送れたか（宛先が無いときは無し） */
+  delivered?: boolean;
+  deliveryError?: string;
+}
+
+export interface MonitorSignals {
+  overallScore: number | null;
+  aioOverallScore: number | null;
+  combinedScore: number | null;
+  categoryScores: { seo: Record<string, number>; aio: Record<string, number> };
+  noindex: boolean | null;
+  llmsTxt: boolean | null;
+  aiCrawlers: Record<string, 'allowed' | 'disallowed' | 'unspecified'> | null;
+}
+
+export interface MonitorView {
+  id: string;
+  url: string;
+  schedule: MonitorSchedule;
+  enabled: boolean;
+  rules: MonitorRule[];
+  options: { waitForJS?: boolean; verifyLinks?: boolean; measurePerformance?: boolean; performanceProfile?: 'mobile' | 'desktop' };
+  /** Webhook の URL のオリジンだけ（例: https://hooks.slack.com/…） */
+  webhook: string | null;
+  nextRunAt: string | null;
+  lastRunAt: string | null;
+  lastStatus: 'succeeded' | 'failed' | null;
+  lastError: { message: string; code: string } | null;
+  lastSignals: MonitorSignals | null;
+  consecutiveFailures: number;
+  recentAlerts: MonitorAlert[];
+  createdAt: string | null;
+}
+
+/** アラートの Webhook の本文（text / blocks は Slack 互換） */
+export interface MonitorAlertPayload {
+  text: string;
+  blocks: unknown[];
+  event: 'monitor.alert';
+  monitor: { id: string; url: string; schedule: MonitorSchedule };
+  alerts: Array<Omit<MonitorAlert, 'delivered' | 'deliveryError'>>;
+  run: { at: string; overallScore: number | null; aioOverallScore: number | null; combinedScore: number | null };
+}
+
+/** Phase 3-U: callbackUrl */
+export type CallbackPayloadMode = 'summary' | 'full';
+
+export interface CallbackDeliveryAttempt {
+  attempt: number;
+  at: string;
+  durationMs: number;
+  /** HTTP ステータス。接続エラーは null、宛先の拒否は 'blocked' */
+  status: number | 'blocked' | null;
+  error: string | null;
+  /** 再送する場合の次の試行 */
+  nextAttemptAt?: string;
+}
+
+export interface CallbackDeliveryView {
+  id: string;
+  url: string;
+  event: string;
+  jobId: string | null;
+  status: 'pending' | 'delivering' | 'delivered' | 'failed';
+  attempts: CallbackDeliveryAttempt[];
+  nextAttemptAt: string | null;
+  deliveredAt: string | null;
+  createdAt: string | null;
+}
+
+/** callbackUrl に POST する本文（X-SEO-Doctor-Signature で署名） */
+export interface CallbackPayload<T = unknown> {
+  event: 'job.succeeded' | 'job.failed' | 'job.cancelled';
+  job: {
+    id: string;
+    type: 'seo' | 'compare' | 'batch';
+    status: AnalysisJobStatus;
+    createdAt: string | null;
+    startedAt: string | null;
+    finishedAt: string | null;
+    statusUrl: string;
+  };
+  payload: CallbackPayloadMode;
+  result: T | null;
+  error: { message: string; code?: string } | null;
+}
+
+/** Phase 3-V: /api/compare の competitorUrls */
+export interface CompetitorMatrixRow {
+  category?: string;
+  type?: 'seo' | 'aio';
+  title?: string;
+  label?: string;
+  /** participants と同じ並び。取得しなかったカテゴリは null */
+  scores: Array<number | null>;
+  ranking: Array<{ url: string; role: 'primary' | 'competitor'; score: number; rank: number }>;
+  primaryScore: number | null;
+  primaryRank: number | null;
+  best: { url: string; score: number } | null;
+  /** 最も高い競合のスコア − 自分のスコア（正なら自分が下回っている） */
+  gapToBest: number | null;
+  competitorAverage: number | null;
+}
+
+export interface CompetitorGap {
+  category: string;
+  type: 'seo' | 'aio';
+  title: string;
+  primary: number;
+  competitorsAhead: Array<{ url: string; score: number }>;
+  competitorAverage: number;
+  competitors: number;
+}
+
+export interface CompetitorMatrix {
+  available: boolean;
+  reason?: string;
+  participants?: Array<{ url: string; role: 'primary' | 'competitor' }>;
+  overall?: Record<'overallScore' | 'aioOverallScore' | 'combinedScore', CompetitorMatrixRow>;
+  categories?: CompetitorMatrixRow[];
+  gapsToClose?: CompetitorGap[];
+  positions?: { total: number; first: number; last: number; behindBest: number };
+}
+
+/** Phase 3-W: checks.targetKeywords の keywords[] */
+export interface TargetKeywordResult {
+  keyword: string;
+  /** 照合に使った表記（全角 / 半角・かな・旧字体などの揺れを寄せたもの） */
+  normalized: string;
+  score: number;
+  title: { found: boolean; count: number; position: number | null; inFirstHalf: boolean };
+  metaDescription: { found: boolean };
+  h1: { matching: number; total: number };
+  h2: { matching: number; total: number };
+  /** applicable が false なら URL のパスは確かめていない */
+  urlSlug: { applicable: boolean; found: boolean };
+  firstParagraph: { found: boolean };
+  imageAlts: { matching: number; total: number };
+  anchorTexts: { matching: number; total: number };
+  /** density は %（キーワードの文字数 × 出現回数 ÷ 本文の文字数） */
+  body: { occurrences: number; density: number };
+  overOptimized: boolean;
+}
+
+export interface TargetKeywordsCheck {
+  score: number;
+  keywords: TargetKeywordResult[];
+  issues: string[];
+  recommendations: string[];
+}
+
+/** Phase 3-X: aio.checks.naturalLanguageQuality（analyzer が kuromoji のときだけ形態素解析の指標が付く） */
+export interface NaturalLanguageQualityCheck {
+  analyzer: 'kuromoji' | 'pattern';
+  score: number;
+  avgSentenceLength: number;
+  technicalTermsCount: number;
+  passiveVoiceCount: number;
+  conjunctionsCount: number;
+  sentenceCount?: number;
+  avgSentenceWords?: number;
+  avgSentenceMorae?: number;
+  /** 漢字 ÷ 漢字とかなの文字数（%） */
+  kanjiRatio?: number;
+  sentenceEndings?: {
+    total: number;
+    distinct: number;
+    top: { ending: string; count: number; ratio: number } | null;
+    maxRun: number;
+    counts: Record<string, number>;
+  };
+  redundantExpressions?: Array<{ expression: string; suggestion: string; count: number }>;
+  passiveExamples?: string[];
+  issues: string[];
+  recommendations: string[];
+}
+
+/** Phase 3-Y: 本文の指紋（文字 5-gram の MinHash）。本文が短いページは null */
+export interface ContentFingerprint {
+  version: number;
+  shingleSize: number;
+  hashes: number[];
+  charCount: number;
+}
+
+/** Phase 3-Y: /api/check/seo の similarPages（同じサイトで本文が似ている、履歴のページ） */
+export interface SimilarPages {
+  available: boolean;
+  reason?: string;
+  threshold?: number;
+  comparedPages?: number;
+  nearDuplicates?: number;
+  closest?: Array<{
+    url: string;
+    title: string | null;
+    /** 0〜100（shingle 集合の Jaccard 係数の推定値） */
+    similarity: number;
+    nearDuplicate: boolean;
+    checkedAt: string | null;
+    historyId: string | null;
+  }>;
+}
+
+/** Phase 3-Y: /api/crawl・/api/check/batch の duplicateClusters の1件 */
+export interface DuplicateCluster {
+  id: number;
+  size: number;
+  urls: string[];
+  minSimilarity: number;
+  maxSimilarity: number;
+}